@@ -88,6 +88,20 @@ export default class DaActionBar extends LitElement {
     this.dispatchEvent(event);
   }
 
+  async handleExport() {
+    const { items2Markdown } = await import('../da-list/helpers/utils.js');
+    const count = await items2Markdown(this.items);
+    const opts = { detail: count, bubbles: true, composed: true };
+    const event = new CustomEvent('onexport', opts);
+    this.dispatchEvent(event);
+  }
+
+  handleAem(action) {
+    const opts = { detail: { action }, bubbles: true, composed: true };
+    const event = new CustomEvent('onaem', opts);
+    this.dispatchEvent(event);
+  }
+
   inNewDir() {
     // items can only be selected from the same directory
     const itemPath = this.items?.[0]?.path;
@@ -105,6 +119,19 @@ export default class DaActionBar extends LitElement {
     return isFile && !this._isCopying;
   }
 
+  get _canAem() {
+    const inTrash = this.items.some((item) => item.path.includes('/.trash/'));
+    const isLink = this.items.some((item) => item.ext === 'link');
+    // Only content inside of a site can be sent to AEM
+    const inSite = this.currentPath.split('/').length > 2;
+    return inSite && !inTrash && !isLink && !this._isCopying;
+  }
+
+  get _canExport() {
+    const isDoc = this.items.some((item) => item.ext === 'html');
+    return isDoc && !this._isCopying;
+  }
+
   get currentAction() {
     const itemStr = this.items.length > 1 ? 'items' : 'item';
     if (this._isCopying && this._canWrite) {
@@ -163,6 +190,30 @@ export default class DaActionBar extends LitElement {
             <img src="/blocks/browse/img/Smock_Share_18_N.svg" alt="" aria-hidden="true"/>
             <span>Share</span>
           </button>
+          <button
+            @click=${this.handleExport}
+            class="export-button ${this._canExport ? '' : 'hide'}">
+            <img src="/blocks/browse/img/Smock_Document_18_N.svg" alt="" aria-hidden="true"/>
+            <span>Export as Markdown</span>
+          </button>
+          <button
+            @click=${() => this.handleAem('preview')}
+            class="preview-button ${this._canAem ? '' : 'hide'}">
+            <img class="dark-icon" src="/blocks/edit/img/S2_Icon_Preview_20_N.svg" alt="" aria-hidden="true"/>
+            <span>Preview</span>
+          </button>
+          <button
+            @click=${() => this.handleAem('publish')}
+            class="publish-button ${this._canAem ? '' : 'hide'}">
+            <img class="dark-icon" src="/blocks/edit/img/S2_Icon_Publish_20_N.svg" alt="" aria-hidden="true"/>
+            <span>Publish</span>
+          </button>
+          <button
+            @click=${() => this.handleAem('unpublish')}
+            class="unpublish-button ${this._canAem ? '' : 'hide'}">
+            <img class="dark-icon" src="/blocks/edit/img/S2_Icon_PublishNo_20_N.svg" alt="" aria-hidden="true"/>
+            <span>Unpublish</span>
+          </button>
         </div>
       </div>`;
   }
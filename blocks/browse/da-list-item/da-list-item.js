@@ -4,6 +4,7 @@ import { daFetch, aemAdmin, delay } from '../../shared/utils.js';
 import { getNx } from '../../../scripts/utils.js';
 import getEditPath from '../shared.js';
 import { formatDate } from '../../edit/da-versions/helpers.js';
+import { getItemStatus, parseVersionList } from '../da-list/helpers/status.js';
 
 const { default: getStyle } = await import(`${getNx()}/utils/styles.js`);
 const STYLE = await getStyle(import.meta.url);
@@ -25,6 +26,7 @@ export default class DaListItem extends LitElement {
     _live: { state: true },
     _version: { state: true },
     _lastModifedBy: { state: true },
+    status: { attribute: false },
   };
 
   connectedCallback() {
@@ -75,22 +77,9 @@ export default class DaListItem extends LitElement {
   async updateDAStatus() {
     const resp = await daFetch(`${DA_ORIGIN}/versionlist${this.path}`);
     if (!resp.ok) return;
-    const json = await resp.json();
-    if (json.length === 0) {
-      this._lastModifedBy = 'anonymous';
-      this._version = 0;
-      return;
-    }
-
-    json.sort((a, b) => a.timestamp - b.timestamp);
-    const { length: count } = json.reduce((acc, entry) => {
-      if (entry.url?.startsWith('/versionsource')) acc.push(entry);
-      return acc;
-    }, []);
-    this._version = count;
-    this._lastModifedBy = json.pop().users.map(
-      (user) => user.email.split('@')[0],
-    ).join(', ').toLowerCase();
+    const { version, lastModifiedBy } = parseVersionList(await resp.json());
+    this._version = version;
+    this._lastModifedBy = lastModifiedBy;
   }
 
   handleChecked(e) {
@@ -194,6 +183,28 @@ export default class DaListItem extends LitElement {
     return `${date} ${time}`;
   }
 
+  renderStatusDate(time) {
+    if (time === undefined) return 'Checking';
+    if (!time) return 'Never';
+    return formatDate(time).date;
+  }
+
+  renderStatus() {
+    // Folders and links have no AEM status
+    if (!this.ext || this.ext === 'link') {
+      return html`<div class="da-item-list-item-status"></div><div class="da-item-list-item-status"></div><div class="da-item-list-item-status"></div>`;
+    }
+    const { aem, modifiedBy } = this.status;
+    const { preview, live, modified } = aem ? getItemStatus({ lastModified: this.date }, aem) : {};
+    return html`
+      <div class="da-item-list-item-status">${this.renderStatusDate(aem ? preview : undefined)}</div>
+      <div class="da-item-list-item-status">
+        ${this.renderStatusDate(aem ? live : undefined)}
+        ${modified ? html`<span class="da-item-list-item-status-flag" title="Modified since publish">Modified</span>` : nothing}
+      </div>
+      <div class="da-item-list-item-status">${modifiedBy === undefined ? 'Checking' : modifiedBy || 'Unknown'}</div>`;
+  }
+
   renderRename() {
     return html`
       <form class="da-item-list-item-rename" @submit=${this.handleRenameSubmit}>
@@ -222,7 +233,7 @@ export default class DaListItem extends LitElement {
         .then((data) => data.externalUrl);
     }
     return html`
-      <a href="${this.ext === 'link' ? until(externalUrlPromise) : path}" class="da-item-list-item-title">
+      <a href="${this.ext === 'link' ? until(externalUrlPromise) : path}" class="da-item-list-item-title${this.status ? ' has-status' : ''}">
         ${this._isRenaming ? html`
           <span class="da-item-list-item-type">
             <div class="icon rename-icon"></div>
@@ -233,6 +244,7 @@ export default class DaListItem extends LitElement {
         </span>
         <div class="da-item-list-item-name">${this.name}</div>
         <div class="da-item-list-item-date">${this.ext === 'link' ? nothing : this.renderDate()}</div>
+        ${this.status ? this.renderStatus() : nothing}
       </a>`;
   }
 
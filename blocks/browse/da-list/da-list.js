@@ -3,6 +3,20 @@ import { DA_ORIGIN } from '../../shared/constants.js';
 import { getNx, sanitizePathParts } from '../../../scripts/utils.js';
 import { daFetch, aemAdmin } from '../../shared/utils.js';
 
+import {
+  BULK_ACTIONS,
+  toAemPath,
+  startBulkJob,
+  pollBulkJob,
+  getScheduleConflicts,
+} from './helpers/aem.js';
+import {
+  STATUS_FILTERS,
+  matchesStatusFilter,
+  getFolderStatus,
+  getLastModifiedBy,
+} from './helpers/status.js';
+
 import '../da-list-item/da-list-item.js';
 
 // Styles & Icons
@@ -44,6 +58,11 @@ export default class DaList extends LitElement {
     _bulkLoading: { state: true },
     _filterLoading: { state: true },
     _allPagesLoaded: { state: true },
+    _aem: { state: true },
+    _showStatus: { state: true },
+    _statuses: { state: true },
+    _modifiedBy: { state: true },
+    _statusFilter: { state: true },
   };
 
   constructor() {
@@ -60,6 +79,8 @@ export default class DaList extends LitElement {
     this._observer = null;
     this._autoCheckTimer = null;
     this._listItemPaths = new Set();
+    this._modifiedBy = new Map();
+    this._statusFilter = '';
   }
 
   connectedCallback() {
@@ -78,7 +99,12 @@ export default class DaList extends LitElement {
       this._filter = '';
       this._showFilter = undefined;
       this._allPagesLoaded = false;
+      this._statuses = null;
+      this._statusPath = null;
+      this._modifiedBy = new Map();
+      this._statusFilter = '';
       this._listItems = await this.getList();
+      if (this._showStatus) this.loadStatus();
     }
 
     if (props.has('newItem') && this.newItem) {
@@ -189,9 +215,11 @@ export default class DaList extends LitElement {
   }
 
   handleNewItem() {
+    const { error, ...item } = this.newItem;
     // Add it to internal list
-    if (this.newItem?.path) this._listItemPaths.add(this.newItem.path);
-    this._listItems.unshift(this.newItem);
+    if (item.path) this._listItemPaths.add(item.path);
+    this._listItems.unshift(item);
+    if (error) this._itemErrors = [...this._itemErrors, { ...item, message: error }];
     // Clear the public item
     this.newItem = null;
   }
@@ -431,6 +459,87 @@ export default class DaList extends LitElement {
     setTimeout(() => { this.setStatus(); }, 3000);
   }
 
+  handleExport({ detail }) {
+    const suffix = detail === 1 ? 'document' : 'documents';
+    this.setStatus('Exported', `${detail} ${suffix} exported as Markdown.`);
+    setTimeout(() => { this.setStatus(); }, 3000);
+  }
+
+  handleAem({ detail }) {
+    this._aem = { action: detail.action, folder: false, stage: 'confirm' };
+  }
+
+  handleAemClose() {
+    // A running job keeps going, its report shows once it stops
+    if (this._aem?.stage === 'running') {
+      this._aem = { ...this._aem, hidden: true };
+      return;
+    }
+    this._aem = null;
+  }
+
+  getAemPaths() {
+    if (this._aem.folder) return [toAemPath({ path: this.fullpath })];
+    return this._selectedItems.map((item) => toAemPath(item));
+  }
+
+  async handleAemConfirm() {
+    const [org, site] = this.fullpath.slice(1).split('/');
+    const paths = this.getAemPaths();
+
+    if (this._aem.action === 'publish' && this._aem.stage === 'confirm') {
+      const checking = { ...this._aem, stage: 'checking' };
+      this._aem = checking;
+      const conflicts = await import(`${getNx()}/public/utils/tree.js`)
+        .then(({ crawl }) => getScheduleConflicts(org, site, paths, crawl))
+        .catch(() => null);
+      // Closed while checking
+      if (this._aem !== checking) return;
+      if (!conflicts) {
+        this._aem = { ...checking, stage: 'unverified' };
+        return;
+      }
+      if (conflicts.length) {
+        this._aem = { ...checking, stage: 'conflicts', conflicts };
+        return;
+      }
+    }
+
+    await this.runAemJob(org, site, paths);
+  }
+
+  async runAemJob(org, site, paths) {
+    const { action } = this._aem;
+    const { label } = BULK_ACTIONS[action];
+    this._aem = { ...this._aem, stage: 'running', processed: 0, total: 0 };
+
+    const { links, error } = await startBulkJob(org, site, action, paths);
+    if (error) {
+      const message = error.details ? `${error.message}: ${error.details}` : error.message;
+      this._itemErrors = [...this._itemErrors, { name: paths.join(', '), message }];
+      this._aem = null;
+      return;
+    }
+
+    const onProgress = ({ processed, total }) => {
+      this._aem = { ...this._aem, processed, total };
+    };
+    const result = await pollBulkJob(links, onProgress);
+    this._aem = null;
+
+    if (result.error) {
+      this._itemErrors = [...this._itemErrors, { name: paths.join(', '), message: result.error.message }];
+      return;
+    }
+
+    const errors = result.errors.map((err) => ({ name: err.path, message: err.message }));
+    if (errors.length) this._itemErrors = [...this._itemErrors, ...errors];
+    const done = result.total - errors.length;
+    this.setStatus(`${label} complete`, `${done} of ${result.total} files succeeded.`);
+    setTimeout(() => { this.setStatus(); }, 3000);
+    this.handleClear();
+  }
+
   dragenter(e) {
     e.stopPropagation();
     e.target.closest('.da-browse-panel').classList.add('is-dragged-over');
@@ -498,6 +607,9 @@ export default class DaList extends LitElement {
         if (item) {
           if (item.path) this._listItemPaths.add(item.path);
           this._listItems.unshift(item);
+          if (file.error) {
+            this._itemErrors = [...this._itemErrors, { ...item, message: file.error }];
+          }
         }
         this.requestUpdate();
       }));
@@ -608,6 +720,68 @@ export default class DaList extends LitElement {
     }
   }
 
+  toggleStatusView() {
+    this._showStatus = !this._showStatus;
+    if (this._showStatus) {
+      this.loadStatus();
+    } else {
+      this._statusFilter = '';
+    }
+  }
+
+  async loadStatus() {
+    const { fullpath } = this;
+    // Only content inside of a site has an AEM status
+    if (fullpath.split('/').length < 3 || this._statuses || this._statusPath === fullpath) return;
+    this._statusPath = fullpath;
+
+    const { statuses, error } = await getFolderStatus(fullpath);
+    if (this.fullpath !== fullpath) return;
+    this._statusPath = null;
+    if (error) {
+      this._showStatus = false;
+      this.setStatus('Could not load the status', error.details || error.message, 'error');
+      setTimeout(() => { this.setStatus(); }, 3000);
+      return;
+    }
+    this._statuses = statuses;
+  }
+
+  async loadModifiedBy(paths) {
+    const items = (this._listItems || [])
+      .filter((item) => paths.includes(item.path))
+      .filter((item) => item.ext && item.ext !== 'link' && !this._modifiedBy.has(item.path));
+    if (!items.length) return;
+
+    // Reserve the paths so a new list render does not fetch them twice
+    items.forEach((item) => this._modifiedBy.set(item.path, undefined));
+    const { Queue } = await import(`${getNx()}/public/utils/tree.js`);
+    const callback = async (item) => {
+      const modifiedBy = await getLastModifiedBy(item.path);
+      if (!this._modifiedBy.has(item.path)) return;
+      this._modifiedBy = new Map(this._modifiedBy).set(item.path, modifiedBy);
+    };
+    const queue = new Queue(callback, 5);
+    await Promise.all(items.map((item) => queue.push(item)));
+  }
+
+  async handleStatusFilter({ target }) {
+    this._statusFilter = target.value;
+    if (this._statusFilter && this._continuationToken && !this._allPagesLoaded) {
+      this._bulkLoading = true;
+      await this.loadAllPages();
+      this._bulkLoading = false;
+    }
+  }
+
+  getItemStatus(item) {
+    if (!this._showStatus) return null;
+    return {
+      aem: this._statuses ? this._statuses.get(item.path) || {} : undefined,
+      modifiedBy: this._modifiedBy.get(item.path),
+    };
+  }
+
   handleNameFilter(e) {
     this._sortName = undefined;
     this._sortDate = undefined;
@@ -709,6 +883,70 @@ export default class DaList extends LitElement {
     `;
   }
 
+  renderAemContent() {
+    const { action, stage, folder } = this._aem;
+    if (stage === 'running') {
+      const { processed, total } = this._aem;
+      return html`
+        <div class="da-aem-progress">
+          <progress max=${total || 1} value=${processed}></progress>
+          <p>${total ? `${processed} of ${total} files` : 'Starting job'}</p>
+        </div>`;
+    }
+    if (stage === 'conflicts') {
+      const { conflicts } = this._aem;
+      return html`
+        <p>These pages are already scheduled to publish:</p>
+        <ul class="da-aem-conflicts">
+          ${conflicts.map(({ path, schedule }) => html`
+            <li><strong>${path}</strong> ${new Date(schedule.scheduledPublish).toLocaleString()}${schedule.userId ? ` by ${schedule.userId}` : ''}</li>`)}
+        </ul>
+        <p>Publishing now will override the scheduled publish. Continue?</p>`;
+    }
+    if (stage === 'checking') return html`<p>Checking for scheduled publishes...</p>`;
+    if (stage === 'unverified') {
+      return html`
+        <p>Scheduled publishes could not be checked.</p>
+        <p>Publishing now may override a scheduled publish. Continue?</p>`;
+    }
+    const folderName = this.fullpath.split('/').pop();
+    return html`
+      ${action === 'unpublish' ? html`<p>Unpublished content is removed from production.</p>` : nothing}
+      <div class="da-modal-checkbox">
+        <input
+          type="checkbox"
+          id="aem-folder"
+          name="aem-folder"
+          ?checked=${folder}
+          @click=${() => { this._aem = { ...this._aem, folder: !folder }; }}>
+        <label for="aem-folder">Entire folder (${folderName}), including subfolders</label>
+      </div>`;
+  }
+
+  renderAem() {
+    const { action, stage, folder } = this._aem;
+    const { label, verb } = BULK_ACTIONS[action];
+    const count = this._selectedItems?.length || 0;
+    const target = folder ? this.fullpath.split('/').pop() : `${count} ${this._itemString}`;
+    const title = stage === 'running' ? `${verb} ${target}` : `${label} ${target}`;
+
+    const dialogAction = {
+      style: action === 'unpublish' ? 'negative' : 'accent',
+      label: ['conflicts', 'unverified'].includes(stage) ? 'Publish anyway' : label,
+      click: async () => this.handleAemConfirm(),
+      disabled: stage === 'running' || stage === 'checking',
+    };
+
+    return html`
+      <da-dialog
+        title=${title}
+        .action=${dialogAction}
+        @close=${this.handleAemClose}>
+        ${this.renderAemContent()}
+      </da-dialog>
+    `;
+  }
+
   renderDropConfirm() {
     const count = this._dropConflicts.length;
     const itemWord = count === 1 ? 'item' : 'items';
@@ -773,6 +1011,7 @@ export default class DaList extends LitElement {
           date="${item.lastModified}"
           ext="${item.ext}"
           editor="${this.editor}"
+          .status=${this.getItemStatus(item)}
           idx=${idx}>
         </da-list-item>`)}
         ${showSentinel ? html`<div class="da-list-sentinel" aria-hidden="true"></div>` : nothing}
@@ -780,6 +1019,29 @@ export default class DaList extends LitElement {
     `;
   }
 
+  renderStatusControls() {
+    if (this.fullpath?.split('/').length < 3) return nothing;
+    return html`
+      <div class="da-browse-status-controls">
+        ${this._showStatus ? html`
+          <select
+            name="status-filter"
+            aria-label="Filter by status"
+            ?disabled=${!this._statuses}
+            @change=${this.handleStatusFilter}>
+            <option value="" ?selected=${!this._statusFilter}>All statuses</option>
+            ${Object.entries(STATUS_FILTERS).map(([key, { label }]) => html`
+              <option value=${key} ?selected=${this._statusFilter === key}>${label}</option>`)}
+          </select>` : nothing}
+        <button
+          class="da-browse-status-toggle ${this._showStatus ? 'selected' : ''} ${this._showStatus && !this._statuses ? 'loading' : ''}"
+          @click=${this.toggleStatusView}
+          aria-pressed=${this._showStatus ? 'true' : 'false'}>
+          Status
+        </button>
+      </div>`;
+  }
+
   renderDropArea() {
     return html`
       <div class="da-drop-area" data-message=${this._dropMessage} @dragover=${this.dragover} @drop=${this.drop}></div>`;
@@ -802,15 +1064,22 @@ export default class DaList extends LitElement {
 
   render() {
     const hasMorePages = this._continuationToken && !this._allPagesLoaded;
-    const filteredItems = this._filter
+    let filteredItems = this._filter
       ? this._listItems.filter((item) => item.name.includes(this._filter))
       : this._listItems;
+    if (this._statusFilter && this._statuses) {
+      filteredItems = filteredItems.filter((item) => matchesStatusFilter(
+        this._statusFilter,
+        item,
+        this._statuses.get(item.path),
+      ));
+    }
     const showList = filteredItems?.length > 0 || hasMorePages;
 
     return html`
       <div class="da-browse-panel-header" role="row">
         ${this.renderCheckBox()}
-        <div class="da-browse-sort" role="presentation">
+        <div class="da-browse-sort ${this._showStatus ? 'has-status' : ''}" role="presentation">
           <!-- Toggle button is split into 2 buttons (enable/disable) to prevent bug re-toggling on blur event -->
           <div role="columnheader" class="da-browse-sort-filter-container">
             ${!this._showFilter ? html`
@@ -854,7 +1123,13 @@ export default class DaList extends LitElement {
               Modified
             </button>
           </div>
+          ${this._showStatus ? html`
+            <div class="da-browse-header-container da-browse-header-status" role="columnheader">Previewed</div>
+            <div class="da-browse-header-container da-browse-header-status" role="columnheader">Published</div>
+            <div class="da-browse-header-container da-browse-header-status" role="columnheader" title="Loaded for each row as it comes into view">Modified by</div>
+          ` : nothing}
         </div>
+        ${this.renderStatusControls()}
       </div>
       <div class="da-browse-panel" role="rowgroup" aria-label="File list" @dragenter=${this.drag ? this.dragenter : nothing} @dragleave=${this.drag ? this.dragleave : nothing}>
         ${showList ? this.renderList(filteredItems) : this.renderEmpty()}
@@ -867,16 +1142,35 @@ export default class DaList extends LitElement {
         @onpaste=${this.handlePaste}
         @ondelete=${this.handleDelete}
         @onshare=${this.handleShare}
+        @onexport=${this.handleExport}
+        @onaem=${this.handleAem}
         currentPath="${this.fullpath}"
         role="row"
         data-visible="${this._selectedItems?.length > 0}"></da-actionbar>
       ${this._status ? this.renderStatus() : nothing}
       ${this._confirm ? this.renderConfirm() : nothing}
       ${this._dropConflicts?.length ? this.renderDropConfirm() : nothing}
+      ${this._aem && !this._aem.hidden ? this.renderAem() : nothing}
       ${!this._confirm && this._itemErrors.length ? this.renderErrors() : nothing}
       `;
   }
 
+  // DA has no batch version list and the status job only holds AEM times, so who
+  // changed a file is read from its own version list, only for the rows that are shown
+  observeRows() {
+    this._rowObserver ??= new IntersectionObserver((entries) => {
+      const paths = entries.filter((entry) => entry.isIntersecting).map((entry) => {
+        this._rowObserver.unobserve(entry.target);
+        return entry.target.path;
+      });
+      if (paths.length) this.loadModifiedBy(paths);
+    }, { root: null, rootMargin: '200px' });
+
+    this.shadowRoot.querySelectorAll('da-list-item').forEach((row) => {
+      if (!this._modifiedBy.has(row.path)) this._rowObserver.observe(row);
+    });
+  }
+
   setupObserver() {
     if (this._observer) return;
     this._observer = new IntersectionObserver((entries) => {
@@ -913,6 +1207,13 @@ export default class DaList extends LitElement {
       if (sentinel) this._observer.observe(sentinel);
     }
     if (this.hasPaginationStateChanges(changedProps)) this.scheduleAutoCheck();
+    if (changedProps.has('_listItems') || changedProps.has('_showStatus')) {
+      if (this._showStatus) {
+        this.observeRows();
+      } else {
+        this._rowObserver?.disconnect();
+      }
+    }
   }
 
   checkLoadMore() {
@@ -947,6 +1248,7 @@ export default class DaList extends LitElement {
 
   disconnectedCallback() {
     if (this._observer) this._observer.disconnect();
+    this._rowObserver?.disconnect();
     if (this._autoCheckTimer) clearTimeout(this._autoCheckTimer);
     super.disconnectedCallback();
   }
@@ -0,0 +1,149 @@
+import { AEM_ORIGIN } from '../../../shared/constants.js';
+import { sanitizePathParts } from '../../../../scripts/utils.js';
+import { daFetch, parseAemError } from '../../../shared/utils.js';
+import { getExistingSchedule } from '../../../edit/da-prepare/actions/scheduler/utils.js';
+
+export const BULK_ACTIONS = {
+  preview: { api: 'preview', label: 'Preview', verb: 'Previewing' },
+  publish: { api: 'live', label: 'Publish', verb: 'Publishing' },
+  unpublish: { api: 'live', label: 'Unpublish', verb: 'Unpublishing', remove: true },
+};
+
+const POLL_INTERVAL = 1000;
+// Stop following a job that does not finish, it keeps running on the admin
+const POLL_TIMEOUT = 15 * 60 * 1000;
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * The AEM path of a DA item. Folders include all of their children.
+ * @param {Object} item - The path and ext of the item
+ * @returns {String} The AEM path
+ */
+export function toAemPath(item) {
+  const [, , ...parts] = sanitizePathParts(item.path);
+  const path = `/${parts.join('/')}`;
+  if (!item.ext) return `${path === '/' ? '' : path}/*`;
+  return path.replace(/\.html$/, '');
+}
+
+function getError(resp, action) {
+  const authErr = [401, 403].some((status) => status === resp.status);
+  const message = authErr ? `Not authorized to ${action}` : `Error during ${action}`;
+  const error = { status: resp.status, message };
+  const xerror = resp.headers?.get('x-error');
+  if (xerror && !authErr) error.details = parseAemError(xerror);
+  return error;
+}
+
+/**
+ * Start an AEM admin job on many paths.
+ * @param {String} org - The org
+ * @param {String} site - The site
+ * @param {String} api - The admin API (preview, live, status)
+ * @param {Object} body - The paths and options of the job
+ * @param {String} action - The name of the action in error messages
+ * @returns {Promise<Object>} The links of the job, or the error
+ */
+export async function startJob(org, site, api, body, action = api) {
+  const opts = { body: JSON.stringify(body), method: 'POST', headers: { 'Content-Type': 'application/json' } };
+  const resp = await daFetch(`${AEM_ORIGIN}/${api}/${org}/${site}/main/*`, opts);
+  if (!resp.ok) return { error: getError(resp, action) };
+  const json = await resp.json();
+  return { links: json.links, job: json.job };
+}
+
+/**
+ * Start an AEM admin bulk preview, publish or unpublish.
+ * @param {String} org - The org
+ * @param {String} site - The site
+ * @param {String} action - preview, publish or unpublish
+ * @param {Array} paths - The AEM paths
+ * @returns {Promise<Object>} The links of the job, or the error
+ */
+export async function startBulkJob(org, site, action, paths) {
+  const { api, remove } = BULK_ACTIONS[action];
+  const body = { paths, forceUpdate: true };
+  if (remove) body.delete = true;
+  return startJob(org, site, api, body, action);
+}
+
+function getResourceErrors(resources = []) {
+  return resources
+    .filter((resource) => resource.status >= 400 || resource.error)
+    .map((resource) => ({
+      path: resource.path,
+      status: resource.status,
+      message: parseAemError(resource.error || `Error ${resource.status}`),
+    }));
+}
+
+/**
+ * Follow a bulk job until it stops, or until the deadline passes.
+ * @param {Object} links - The links of startBulkJob
+ * @param {Function} onProgress - Called with the processed and total counts
+ * @param {Number} deadline - The time to give up at
+ * @returns {Promise<Object>} The total, the errors of every file and all resources
+ */
+export async function pollBulkJob(links, onProgress, deadline = Date.now() + POLL_TIMEOUT) {
+  if (!links?.self) return { error: { message: 'The job did not start' } };
+
+  let resp;
+  try {
+    resp = await daFetch(links.self);
+  } catch {
+    return { error: { message: 'Error during check the job' } };
+  }
+  if (!resp.ok) return { error: getError(resp, 'check the job') };
+  const { state, progress = {} } = await resp.json();
+  onProgress?.({ processed: progress.processed || 0, total: progress.total || 0 });
+
+  if (state !== 'stopped') {
+    if (Date.now() >= deadline) {
+      return { error: { message: 'The job is taking too long, it keeps running in the background' } };
+    }
+    await wait(POLL_INTERVAL);
+    return pollBulkJob(links, onProgress, deadline);
+  }
+
+  const detailsResp = await daFetch(links.details || `${links.self}/details`);
+  if (!detailsResp.ok) return { total: progress.total || 0, errors: [], resources: [] };
+  const { data } = await detailsResp.json();
+  const resources = data?.resources || [];
+  return { total: progress.total || 0, errors: getResourceErrors(resources), resources };
+}
+
+async function getConflict(org, site, path) {
+  const schedule = await getExistingSchedule(org, site, path);
+  return schedule?.scheduled ? { path, schedule } : null;
+}
+
+// Check every page of a folder and its subfolders while they are listed
+async function getFolderConflicts(crawl, org, site, folder) {
+  const conflicts = [];
+  const callback = async (file) => {
+    if (file.ext !== 'html') return;
+    const conflict = await getConflict(org, site, toAemPath(file));
+    if (conflict) conflicts.push(conflict);
+  };
+  const { results } = crawl({ path: `/${org}/${site}${folder.slice(0, -2)}`, callback, throttle: 10 });
+  await results;
+  return conflicts;
+}
+
+/**
+ * Find the pages of a publish that already have a scheduled publish.
+ * Folders are checked by every page in them, including their subfolders.
+ * @param {String} org - The org
+ * @param {String} site - The site
+ * @param {Array} paths - The AEM paths
+ * @param {Function} crawl - The tree crawler
+ * @returns {Promise<Array>} The paths with their schedule
+ */
+export async function getScheduleConflicts(org, site, paths, crawl) {
+  const conflicts = await Promise.all(paths.map(async (path) => {
+    if (path.endsWith('/*')) return getFolderConflicts(crawl, org, site, path);
+    return getConflict(org, site, path);
+  }));
+  return conflicts.flat().filter(Boolean);
+}
@@ -0,0 +1,112 @@
+import { DA_ORIGIN } from '../../../shared/constants.js';
+import { daFetch } from '../../../shared/utils.js';
+import { toAemPath, startJob, pollBulkJob } from './aem.js';
+
+const toTime = (date) => (date ? new Date(date).getTime() : null);
+
+/**
+ * The state of a page, from its AEM status and DA item.
+ * @param {Object} item - The DA item
+ * @param {Object} status - The preview and live times of the item
+ * @returns {Object} The preview and live times and whether it changed since publish
+ */
+export function getItemStatus(item, status = {}) {
+  const { preview = null, live = null } = status;
+  const modified = !!live && !!item.lastModified && item.lastModified > live;
+  return { preview, live, modified };
+}
+
+export const STATUS_FILTERS = {
+  'never-published': {
+    label: 'Never published',
+    test: ({ live }) => !live,
+  },
+  'unpublished-changes': {
+    label: 'Unpublished changes',
+    test: ({ modified }) => modified,
+  },
+  'previewed-not-live': {
+    label: 'Previewed but not live',
+    test: ({ preview, live }) => !!preview && (!live || preview > live),
+  },
+};
+
+/**
+ * Whether an item matches a status filter. Folders and links never do.
+ * @param {String} filter - The key of the filter
+ * @param {Object} item - The DA item
+ * @param {Object} status - The preview and live times of the item
+ * @returns {Boolean}
+ */
+export function matchesStatusFilter(filter, item, status) {
+  if (!item.ext || item.ext === 'link') return false;
+  return STATUS_FILTERS[filter].test(getItemStatus(item, status));
+}
+
+function toDaPath(org, site, resource) {
+  let path = resource.resourcePath || resource.path;
+  if (/\.md$/i.test(path)) {
+    path = path.replace(/\.md$/i, '.html');
+  } else if (!path.split('/').pop().includes('.')) {
+    path = `${path}.html`;
+  }
+  return `/${org}/${site}${path}`;
+}
+
+/**
+ * Get the preview and publish times of everything in a folder with one status job.
+ * Who changed each file is not part of the job, see getLastModifiedBy.
+ * @param {String} fullpath - The DA path of the folder
+ * @param {Function} onProgress - Called with the processed and total counts
+ * @returns {Promise<Map>} The preview and live times by DA path
+ */
+export async function getFolderStatus(fullpath, onProgress) {
+  const [org, site] = fullpath.slice(1).split('/');
+  const body = { paths: [toAemPath({ path: fullpath })], select: ['preview', 'live'] };
+  const { links, error } = await startJob(org, site, 'status', body, 'get the status');
+  if (error) return { error };
+
+  const result = await pollBulkJob(links, onProgress);
+  if (result.error) return { error: result.error };
+
+  const statuses = new Map();
+  result.resources.forEach((resource) => {
+    statuses.set(toDaPath(org, site, resource), {
+      preview: toTime(resource.previewLastModified),
+      live: toTime(resource.publishLastModified),
+    });
+  });
+  return { statuses };
+}
+
+/**
+ * Summarize the version list of a file.
+ * @param {Array} json - The version list
+ * @returns {Object} The number of versions and who changed the file last
+ */
+export function parseVersionList(json) {
+  if (json.length === 0) return { version: 0, lastModifiedBy: 'anonymous' };
+
+  const sorted = [...json].sort((a, b) => a.timestamp - b.timestamp);
+  const version = sorted.filter((entry) => entry.url?.startsWith('/versionsource')).length;
+  const lastModifiedBy = sorted.pop().users
+    .map((user) => user.email.split('@')[0])
+    .join(', ').toLowerCase();
+  return { version, lastModifiedBy };
+}
+
+/**
+ * Get who changed a file last. It takes one request per file, DA has no batch
+ * version list and the AEM status job does not know who edited the source.
+ * @param {String} path - The DA path of the file
+ * @returns {Promise<String>} The user names, null when unknown
+ */
+export async function getLastModifiedBy(path) {
+  try {
+    const resp = await daFetch(`${DA_ORIGIN}/versionlist${path}`);
+    if (!resp.ok) return null;
+    return parseVersionList(await resp.json()).lastModifiedBy;
+  } catch {
+    return null;
+  }
+}
@@ -1,8 +1,12 @@
 import { SUPPORTED_FILES, DA_ORIGIN } from '../../../shared/constants.js';
 import { sanitizePath, sanitizePathParts } from '../../../../scripts/utils.js';
 import { daFetch } from '../../../shared/utils.js';
+import { md2htmlFile, html2md } from '../../../shared/markdown.js';
+import { importDocx } from '../../../shared/docx.js';
+import { zip } from '../../../shared/zip.js';
 
 const MAX_DEPTH = 1000;
+const MARKDOWN_EXT = /\.(md|markdown)$/i;
 
 function traverseFolder(entry) {
   const reader = entry.createReader();
@@ -43,6 +47,8 @@ function packageFile(file, entry) {
   // No content type fallback
   const ext = (file.name || '').split('.').pop();
   if (!type) type = SUPPORTED_FILES[ext];
+  // Markdown has a different content type on every OS
+  if (MARKDOWN_EXT.test(name || '')) type = SUPPORTED_FILES.md;
 
   // Check if supported type
   const isSupported = Object.keys(SUPPORTED_FILES)
@@ -54,9 +60,28 @@ function packageFile(file, entry) {
   return { data: file, name, type, ext, path };
 }
 
+// Markdown is stored as a document
+async function convertMarkdown(file) {
+  const data = await md2htmlFile(file.data);
+  const path = file.path.replace(MARKDOWN_EXT, '.html');
+  return { data, name: data.name, type: data.type, ext: 'html', path };
+}
+
 function getFile(entry) {
   return new Promise((resolve) => {
-    const callback = (file) => { resolve(packageFile(file, entry)); };
+    const callback = (file) => {
+      const packaged = packageFile(file, entry);
+      if (packaged?.type === SUPPORTED_FILES.md) {
+        resolve(convertMarkdown(packaged));
+        return;
+      }
+      // Word documents are converted on upload, their images need the destination
+      if (packaged?.type === SUPPORTED_FILES.docx) {
+        packaged.path = packaged.path.replace(/\.docx$/, '.html');
+        packaged.docx = true;
+      }
+      resolve(packaged);
+    };
     entry.file(callback);
   });
 }
@@ -99,14 +124,18 @@ export function getDropConflicts(list, files) {
 }
 
 export async function handleUpload(list, fullpath, file) {
-  const { data, path } = file;
+  const { path } = file;
   const formData = new FormData();
-  formData.append('data', data);
   const opts = { method: 'POST', body: formData };
   const sanitizedPath = sanitizePath(path);
   const postpath = `${fullpath}${sanitizedPath}`;
 
   try {
+    let { data } = file;
+    if (file.docx) {
+      ({ file: data, error: file.error } = await importDocx(file.data, postpath));
+    }
+    formData.append('data', data);
     await daFetch(`${DA_ORIGIN}/source${postpath}`, opts);
     file.imported = true;
 
@@ -154,3 +183,36 @@ export function items2Clipboard(items) {
   const data = [new ClipboardItem({ [blob.type]: blob })];
   navigator.clipboard.write(data);
 }
+
+function download(name, blob) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  // Revoking right away can cancel the download before it starts
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/**
+ * Download documents as Markdown. Several documents are downloaded
+ * as a single zip named after their folder.
+ * @param {Array} items - The selected items
+ * @returns {Promise<Number>} The number of documents downloaded
+ */
+export async function items2Markdown(items) {
+  const docs = items.filter((item) => item.ext === 'html');
+  const results = await Promise.all(docs.map(async (item) => {
+    const resp = await daFetch(`${DA_ORIGIN}/source${item.path}`);
+    if (!resp.ok) return null;
+    return { name: `${item.name}.md`, text: html2md(await resp.text()) };
+  }));
+  const files = results.filter((file) => file);
+  if (files.length === 1) {
+    const [{ name, text }] = files;
+    download(name, new Blob([text], { type: 'text/markdown' }));
+  } else if (files.length > 1) {
+    const folder = docs[0].path.split('/').slice(-2)[0];
+    download(`${folder}.zip`, zip(files));
+  }
+  return files.length;
+}
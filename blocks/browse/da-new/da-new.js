@@ -110,14 +110,33 @@ export default class DaNew extends LitElement {
     e.preventDefault();
     const formData = new FormData(e.target);
     const split = this._fileLabel.split('.');
-    const ext = split.pop();
+    let ext = split.pop();
     const name = split.join('.').replaceAll(/[^a-zA-Z0-9.]/g, '-').toLowerCase();
+
+    // Markdown is stored as a document
+    if (ext.toLowerCase() === 'md') {
+      const { md2htmlFile } = await import('../../shared/markdown.js');
+      formData.set('data', await md2htmlFile(formData.get('data')));
+      ext = 'html';
+    }
+
+    let error;
+    if (ext.toLowerCase() === 'docx') {
+      const { importDocx } = await import('../../shared/docx.js');
+      const docPath = `${this.fullpath}/${name}.html`;
+      const imported = await importDocx(formData.get('data'), docPath);
+      formData.set('data', imported.file);
+      ({ error } = imported);
+      ext = 'html';
+    }
+
     const filename = `${name}.${ext}`;
     const path = `${this.fullpath}/${filename}`;
 
     await saveToDa({ path, formData });
 
     const item = { name, path, ext };
+    if (error) item.error = error;
     this.sendNewItem(item);
     this.resetCreate();
     this.requestUpdate();
@@ -2,6 +2,20 @@ import { LitElement, html, nothing } from 'da-lit';
 import { DA_ORIGIN } from '../../shared/constants.js';
 import { getNx } from '../../../scripts/utils.js';
 import { daFetch } from '../../shared/utils.js';
+import { queryIndex, refreshIndex, getRefreshTime } from './helpers/index.js';
+import {
+  REPLACE_SCOPES,
+  getPattern,
+  getReplaceTerm,
+  replaceInSource,
+} from './helpers/replace.js';
+import {
+  createVersion,
+  saveSource,
+  saveJournal,
+  getLastJournal,
+  revertJournal,
+} from './helpers/journal.js';
 
 const { crawl, Queue } = await import(`${getNx()}/public/utils/tree.js`);
 
@@ -38,12 +52,24 @@ export default class DaSearch extends LitElement {
     _items: { state: true },
     showReplace: { state: true },
     _caseSensitive: { state: true },
+    _regex: { state: true },
+    _scope: { state: true },
+    _indexing: { state: true },
+    _indexedAt: { state: true },
+    _error: { state: true },
+    _preview: { state: true },
+    _skipped: { state: true },
+    _journal: { state: true },
+    _revert: { state: true },
   };
 
   constructor() {
     super();
     this.setDefault();
     this._caseSensitive = true;
+    this._regex = false;
+    this._scope = 'text';
+    this._blocks = '';
   }
 
   connectedCallback() {
@@ -55,10 +81,18 @@ export default class DaSearch extends LitElement {
     if (props.has('fullpath') && props.get('fullpath') !== this.fullpath) {
       this.setDefault();
       this.updateList();
+      this.loadJournal();
     }
     super.update(props);
   }
 
+  async loadJournal() {
+    const { fullpath } = this;
+    this._revert = null;
+    const journal = await getLastJournal(fullpath);
+    if (this.fullpath === fullpath) this._journal = journal;
+  }
+
   updateList() {
     const opts = { detail: { items: this._items }, bubbles: true, composed: true };
     const event = new CustomEvent('updated', opts);
@@ -72,6 +106,11 @@ export default class DaSearch extends LitElement {
     this._total = 0;
     this._matches = 0;
     this._time = null;
+    this._indexing = null;
+    this._indexedAt = null;
+    this._error = null;
+    this._preview = null;
+    this._skipped = new Set();
   }
 
   async getSearchScope(startPath) {
@@ -108,59 +147,39 @@ export default class DaSearch extends LitElement {
     return { paths, files };
   }
 
-  async getMatches(startPath, term) {
-    const searchTypes = ['.html', '.json', '.svg'];
-
-    const searchFile = async (file, prevRetry = 0) => {
-      if (!searchTypes.some((type) => file.path.endsWith(type))) return;
-
-      let retryCount = prevRetry;
-      if (retryCount === 0) this._total += 1;
-
-      const getFile = async () => {
-        let match;
-
-        try {
-          const resp = await daFetch(`${DA_ORIGIN}/source${file.path}`);
-          const text = await resp.text();
-          // Log empty files
-          // eslint-disable-next-line no-console
-          if (text.length < 2) console.log(file.path);
-          const filename = file.path.split('/').pop();
-          if (this._caseSensitive) {
-            match = text.includes(term) || filename.includes(term);
-          } else {
-            const lowerTerm = term.toLowerCase();
-            match = text.toLowerCase().includes(lowerTerm)
-              || filename.toLowerCase().includes(lowerTerm);
-          }
-        } catch {
-          return { error: 'fetch error' };
-        }
-
-        if (match) {
-          this._matches += 1;
-          file.name = file.path.replace(`.${file.ext}`, '').replace(this.fullpath, '');
-          this._items = [...this._items, file];
-          this.updateList();
-        }
+  setResults(matches, total) {
+    this._total = total;
+    this._matches = matches.length;
+    this._items = matches.map((record) => ({
+      path: record.path,
+      ext: record.ext,
+      lastModified: record.lastModified,
+      name: record.path.replace(`.${record.ext}`, '').replace(this.fullpath, ''),
+    }));
+    this.updateList();
+  }
 
-        return file;
-      };
+  async getMatches(startPath, term, force = false) {
+    const scope = await this.getSearchScope(startPath);
+    const opts = { scope, caseSensitive: this._caseSensitive, regex: this._regex };
 
-      const result = await this.timeoutWrapper(getFile);
+    // Answer from the local index, then bring it up to date
+    const cached = await queryIndex(startPath, term, opts);
+    if (this._term !== term) return;
+    this.setResults(cached.matches, cached.total);
 
-      if (result.error && retryCount <= 3) {
-        // eslint-disable-next-line no-console
-        console.log(`retrying due to ${result.error}: ${file.path}`);
-        retryCount += 1;
-        await searchFile(file, retryCount);
-      }
+    const onProgress = ({ listed, indexed }) => {
+      if (this._term === term) this._indexing = { listed, indexed };
     };
-
-    const { paths, files } = await this.getSearchScope(startPath);
-    const { results } = crawl({ path: paths, callback: searchFile, throttle: 10, files });
-    await results;
+    const changed = await refreshIndex(crawl, scope, { force, onProgress });
+    if (this._term !== term) return;
+    this._indexing = null;
+    this._indexedAt = getRefreshTime(scope);
+    if (!changed) return;
+
+    const fresh = await queryIndex(startPath, term, opts);
+    if (this._term !== term) return;
+    this.setResults(fresh.matches, fresh.total);
   }
 
   async search(startPath, term) {
@@ -181,6 +200,12 @@ export default class DaSearch extends LitElement {
     this.setDefault();
     const [term] = e.target.elements;
     if (!term.value) return;
+    try {
+      getPattern(term.value, { regex: this._regex });
+    } catch {
+      this._error = 'Invalid regular expression';
+      return;
+    }
     this._term = term.value;
     this.search(this.fullpath, term.value);
   }
@@ -201,11 +226,84 @@ export default class DaSearch extends LitElement {
     });
   }
 
+  get canReplace() {
+    return !this._term || getReplaceTerm(this._term, this._regex) !== null;
+  }
+
+  getReplaceOptions(replacement) {
+    const term = getReplaceTerm(this._term, this._regex);
+    return {
+      pattern: getPattern(term, { regex: this._regex, caseSensitive: this._caseSensitive }),
+      replacement,
+      regex: this._regex,
+      scope: this._scope,
+      blocks: this._blocks.split(',').map((name) => name.trim()).filter(Boolean),
+    };
+  }
+
+  async previewReplace(opts) {
+    const preview = [];
+
+    const previewFile = async (file) => {
+      const result = await this.timeoutWrapper(async () => {
+        const resp = await daFetch(`${DA_ORIGIN}/source${file.path}`);
+        if (!resp.ok) return { error: 'fetch error' };
+        const { changes } = replaceInSource(await resp.text(), file.ext, opts);
+        return { file, changes };
+      });
+      if (result.changes?.length) preview.push(result);
+    };
+
+    this._preview = null;
+    this._skipped = new Set();
+    const queue = new Queue(previewFile);
+    await Promise.all(this._items.map((item) => queue.push(item)));
+    this._preview = this._items
+      .map((item) => preview.find(({ file }) => file === item))
+      .filter(Boolean);
+  }
+
+  toggleSkipped(path) {
+    const skipped = new Set(this._skipped);
+    if (skipped.has(path)) {
+      skipped.delete(path);
+    } else {
+      skipped.add(path);
+    }
+    this._skipped = skipped;
+  }
+
   async handleReplace(e) {
     e.preventDefault();
     const [replace] = e.target.elements;
-    if (!replace.value) return;
+    if (!replace.value || !this.canReplace) return;
+
+    let replaceOpts;
+    try {
+      replaceOpts = this.getReplaceOptions(replace.value);
+    } catch {
+      this._error = 'Invalid regular expression';
+      return;
+    }
 
+    if (e.submitter?.name === 'preview') {
+      this.previewReplace(replaceOpts);
+      return;
+    }
+
+    const items = this._items.filter((item) => !this._skipped.has(item.path));
+    const label = `Before replace of "${this._term}"`;
+    const versioned = new Set();
+    const journal = {
+      id: `${Date.now()}`,
+      path: this.fullpath,
+      date: Date.now(),
+      term: this._term,
+      replacement: replace.value,
+      files: [],
+    };
+    this._preview = null;
+    this._revert = null;
     this._time = null;
     this._action = 'Replaced';
     this._total = this._matches;
@@ -218,13 +316,18 @@ export default class DaSearch extends LitElement {
       const getFile = async () => {
         const getResp = await daFetch(`${DA_ORIGIN}/source${file.path}`);
         const text = await getResp.text();
-        const replacedText = text.replaceAll(this._term, replace.value);
-        const blob = new Blob([replacedText], { type: 'text/html' });
-        const formData = new FormData();
-        formData.append('data', blob);
-        const opts = { method: 'PUT', body: formData };
-        const postResp = await daFetch(`${DA_ORIGIN}/source${file.path}`, opts);
-        if (!postResp.ok) return { error: 'Error saving file' };
+        const { text: replacedText, changes } = replaceInSource(text, file.ext, replaceOpts);
+        // Only the markup matched, nothing to save
+        if (!changes.length) return file;
+        // Never write a file that cannot be restored from its history, retries re-use the version
+        if (!versioned.has(file.path)) {
+          if (!(await createVersion(file.path, label))) return { error: 'Error creating version' };
+          versioned.add(file.path);
+        }
+        if (!(await saveSource(file, replacedText))) return { error: 'Error saving file' };
+        // Saved per file, a write that outlives its timeout can still be reverted
+        journal.files.push({ path: file.path, ext: file.ext, before: text, after: replacedText });
+        await saveJournal(journal);
         this._matches += 1;
         return file;
       };
@@ -239,12 +342,13 @@ export default class DaSearch extends LitElement {
           return;
         }
         retryCount += 1;
-        replaceFile(file, retryCount);
+        await replaceFile(file, retryCount);
       }
     };
 
     const queue = new Queue(replaceFile);
-    await Promise.all(this._items.map((match) => queue.push(match)));
+    await Promise.all(items.map((match) => queue.push(match)));
+    if (journal.files.length) this._journal = journal;
 
     performance.mark('end-replace');
     const timestamp = Date.now();
@@ -253,6 +357,45 @@ export default class DaSearch extends LitElement {
     this._time = String(replaceTime / 1000).substring(0, 4);
   }
 
+  async handleRevert() {
+    const journal = this._journal;
+    this._revert = { pending: true };
+    const run = (files, fn) => {
+      const queue = new Queue(fn);
+      return Promise.all(files.map((file) => queue.push(file)));
+    };
+    const report = await revertJournal(journal, run);
+    this._revert = report;
+    if (!report.failed.length) this._journal = null;
+  }
+
+  renderRevertList(title, paths) {
+    if (!paths.length) return nothing;
+    return html`
+      <div class="revert-title">${title}</div>
+      <ul>${paths.map((path) => html`<li>${path.replace(this.fullpath, '')}</li>`)}</ul>`;
+  }
+
+  renderJournal() {
+    if (this._revert?.pending) return html`<div class="replace-journal">Reverting replace...</div>`;
+    if (this._revert) {
+      const { restored, changed, failed } = this._revert;
+      return html`
+        <div class="replace-journal">
+          <div class="revert-title">Restored ${restored.length} of ${restored.length + changed.length + failed.length} files.</div>
+          ${this.renderRevertList('Changed since the replace, not restored:', changed)}
+          ${this.renderRevertList('Could not be restored:', failed)}
+        </div>`;
+    }
+    if (!this._journal) return nothing;
+    const { term, replacement, files, date } = this._journal;
+    return html`
+      <div class="replace-journal">
+        <span>Replaced "${term}" with "${replacement}" in ${files.length} files on ${new Date(date).toLocaleString()}.</span>
+        <button type="button" class="revert-btn" @click=${this.handleRevert}>Revert this replace</button>
+      </div>`;
+  }
+
   get showText() {
     return this.matches && this._total;
   }
@@ -265,6 +408,26 @@ export default class DaSearch extends LitElement {
     return html`${this._time ? html` in ${this._time} seconds.` : nothing}`;
   }
 
+  get indexText() {
+    if (!this._indexing) return nothing;
+    const { listed, indexed } = this._indexing;
+    return html`<span class="index-status">Updating index: ${indexed} of ${listed} files.</span>`;
+  }
+
+  // Changes made by others since the last refresh are not in the results
+  get indexAgeText() {
+    if (this._indexing || !this._indexedAt) return nothing;
+    const minutes = Math.floor((Date.now() - this._indexedAt) / 60000);
+    if (minutes < 1) return nothing;
+    return html`<span class="index-status">Index updated ${minutes} min ago.
+      <button type="button" class="refresh-index-btn" @click=${this.handleRefreshIndex}>Refresh</button></span>`;
+  }
+
+  handleRefreshIndex() {
+    if (!this._term) return;
+    this.getMatches(this.fullpath, this._term, true);
+  }
+
   async toggleReplace() {
     this.showReplace = !this.showReplace;
   }
@@ -273,6 +436,46 @@ export default class DaSearch extends LitElement {
     this._caseSensitive = !this._caseSensitive;
   }
 
+  toggleRegex() {
+    this._regex = !this._regex;
+  }
+
+  setScope(e) {
+    this._scope = e.target.value;
+    this._preview = null;
+  }
+
+  setBlocks(e) {
+    this._blocks = e.target.value;
+    this._preview = null;
+  }
+
+  renderPreview() {
+    if (!this._preview) return nothing;
+    if (!this._preview.length) {
+      return html`<div class="replace-preview"><p class="preview-empty">No text to replace.</p></div>`;
+    }
+    const count = this._preview.reduce((acc, { changes }) => acc + changes.length, 0);
+    return html`
+      <div class="replace-preview">
+        <h3>${count} replacements in ${this._preview.length} files</h3>
+        <ul class="preview-files">
+          ${this._preview.map(({ file, changes }) => html`
+            <li class="preview-file${this._skipped.has(file.path) ? ' is-skipped' : ''}">
+              <label>
+                <input type="checkbox" .checked=${!this._skipped.has(file.path)} @change=${() => this.toggleSkipped(file.path)}>
+                <span class="preview-file-name">${file.name}</span>
+                <span class="preview-file-count">${changes.length}</span>
+              </label>
+              <ol class="preview-changes">
+                ${changes.map((change) => html`
+                  <li>${change.prefix}<del>${change.match}</del><ins>${change.replacement}</ins>${change.suffix}</li>`)}
+              </ol>
+            </li>`)}
+        </ul>
+      </div>`;
+  }
+
   render() {
     return html`
       <form @submit=${this.handleSearch} role="search">
@@ -286,14 +489,31 @@ export default class DaSearch extends LitElement {
             title="${this._caseSensitive ? 'Case sensitive (click for case insensitive)' : 'Case insensitive (click for case sensitive)'}">
             Aa
           </button>
+          <button
+            type="button"
+            class="case-toggle${this._regex ? ' active' : ''}"
+            @click=${this.toggleRegex}
+            aria-label="Toggle regular expression"
+            title="Use regular expression">
+            .*
+          </button>
         </div>
         <input type="submit" value="Search" />
       </form>
-      <p>${this.showText ? html`${this.matchText}${this.timeText}` : nothing}</p>
+      <p>${this._error || nothing}${this.showText ? html`${this.matchText}${this.timeText}` : nothing}${this.indexText}${this.indexAgeText}</p>
       <div class="replace-pane">
         <form class="da-replace-form${this.showReplace ? nothing : ' hide'}" @submit=${this.handleReplace}>
           <input type="text" placeholder="Enter replace text" name="replace" aria-label="Replacement text"/>
-          <input type="submit" value="Replace" />
+          <input type="submit" name="preview" value="Preview" ?disabled=${!this.canReplace} />
+          <input type="submit" value="Replace" ?disabled=${!this.canReplace} />
+          <div class="replace-scope">
+            <select name="scope" aria-label="Replace in" @change=${this.setScope}>
+              ${Object.entries(REPLACE_SCOPES).map(([value, label]) => html`
+                <option value=${value} ?selected=${this._scope === value}>${label}</option>`)}
+            </select>
+            ${this._scope === 'block' ? html`
+              <input type="text" name="blocks" placeholder="hero, cards" aria-label="Block names" .value=${this._blocks} @input=${this.setBlocks}/>` : nothing}
+          </div>
         </form>
         <div class="checkbox-wrapper">
           <input id="show-replace" type="checkbox" name="item-selected" @click="${this.toggleReplace}" aria-label="Enable replace mode">
@@ -301,6 +521,10 @@ export default class DaSearch extends LitElement {
         </div>
         <input type="checkbox" name="select" style="display: none;">
       </div>
+      ${this.showReplace && !this.canReplace ? html`
+        <p class="replace-note">Fields, prefixes and excluded terms only narrow down the files. Search a single word or "quoted phrase" to replace it.</p>` : nothing}
+      ${this.renderPreview()}
+      ${this.renderJournal()}
     `;
   }
 }
@@ -0,0 +1,322 @@
+import { DA_ORIGIN } from '../../../shared/constants.js';
+import { daFetch, initIms } from '../../../shared/utils.js';
+import { openDb, getStore } from '../../../shared/idb.js';
+import { toBlockCSSClassNames } from '../../../shared/prose2aem.js';
+
+const DB_NAME = 'da-search';
+const STORE_NAME = 'docs';
+export const INDEX_TYPES = ['html', 'json', 'svg'];
+const FIELDS = ['block', 'meta', 'title', 'path'];
+const FETCH_TIMEOUT = 30000;
+const FETCH_RETRIES = 3;
+
+// Listing the tree is cheap, but not free. Re-use a fresh index for a while,
+// the search tells how old it is and can force a refresh.
+const REFRESH_INTERVAL = 5 * 60 * 1000;
+
+// Records of every path that has been loaded from IndexedDB
+const RECORDS = new Map();
+const LOADED = new Set();
+const REFRESHED = new Map();
+// Refreshes in flight by scope, with the progress listeners of every caller
+const PENDING = new Map();
+
+let store;
+
+// One database per user, a shared browser never mixes the content of two accounts
+async function openIndexDb() {
+  let user = 'anonymous';
+  if (localStorage.getItem('nx-ims')) {
+    const ims = await initIms();
+    user = ims?.userId || user;
+  }
+  return openDb(`${DB_NAME}-${user}`, 1, (db) => { db.createObjectStore(STORE_NAME); });
+}
+
+function getIndexStore() {
+  store ??= getStore(openIndexDb(), STORE_NAME);
+  return store;
+}
+
+function getRange(path) {
+  return IDBKeyRange.bound(`${path}/`, `${path}/\uffff`);
+}
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+function tokenize(text) {
+  return [...new Set(text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])];
+}
+
+function getMetadata(main) {
+  const rows = main.querySelectorAll('.metadata > div');
+  return [...rows].reduce((acc, row) => {
+    const [key, value] = row.children;
+    const name = toBlockCSSClassNames(key?.textContent)[0];
+    if (name) acc[name] = collapse(value?.textContent || '');
+    return acc;
+  }, {});
+}
+
+function indexHtml(record, text) {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  const main = doc.querySelector('main') || doc.body;
+  const meta = getMetadata(main);
+  const blocks = [...main.querySelectorAll(':scope > div > div[class]')]
+    .map((block) => block.classList[0]);
+  // Links and alt texts are part of the source authors search and replace
+  const links = [...main.querySelectorAll('a[href], img[src], img[alt]')]
+    .flatMap((el) => [el.getAttribute('href'), el.getAttribute('src'), el.getAttribute('alt')])
+    .filter(Boolean);
+  main.querySelector('.metadata')?.remove();
+
+  const content = collapse(main.textContent);
+  const title = meta.title || collapse(main.querySelector('h1')?.textContent || '');
+  return {
+    ...record,
+    title,
+    meta,
+    blocks: [...new Set(blocks)],
+    text: [content, ...links].join(' '),
+    tokens: tokenize(`${title} ${content}`),
+  };
+}
+
+/**
+ * Build the search record of a file.
+ * @param {Object} file - The path, ext and lastModified of the file
+ * @param {String} text - The source of the file
+ * @returns {Object} The record to store
+ */
+export function indexFile(file, text) {
+  const name = file.path.split('/').pop();
+  const record = {
+    path: file.path,
+    ext: file.ext,
+    lastModified: file.lastModified,
+    name,
+    title: '',
+    meta: {},
+    blocks: [],
+  };
+  if (file.ext === 'html') return indexHtml(record, text);
+  const content = collapse(text);
+  return { ...record, text: content, tokens: tokenize(content) };
+}
+
+/**
+ * Split a query into terms. Supports "quoted phrases", prefix* terms, -excluded terms
+ * and fields: block:hero, meta:template=article, title:word and path:segment.
+ * @param {String} query - The query
+ * @returns {Array} The terms, every term has to match
+ */
+export function parseQuery(query) {
+  const terms = [];
+  const re = /(-?)(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  for (let match = re.exec(query); match; match = re.exec(query)) {
+    const [, not, name, phrase, word] = match;
+    const field = name?.toLowerCase();
+    let value = phrase ?? word;
+    // Only known fields, a URL is a plain term
+    if (field && !FIELDS.includes(field)) value = `${name}:${value}`;
+    if (value) {
+      const term = { field: FIELDS.includes(field) ? field : 'text', value, not: !!not };
+      if (!phrase && value.length > 1 && value.endsWith('*')) {
+        term.value = value.slice(0, -1);
+        term.prefix = true;
+      }
+      terms.push(term);
+    }
+  }
+  return terms;
+}
+
+function includes(text, value, caseSensitive) {
+  if (!text) return false;
+  if (caseSensitive) return text.includes(value);
+  return text.toLowerCase().includes(value.toLowerCase());
+}
+
+function matchTerm(record, term, caseSensitive) {
+  const value = term.value.toLowerCase();
+  switch (term.field) {
+    case 'block':
+      return record.blocks
+        .some((block) => (term.prefix ? block.startsWith(value) : block === value));
+    case 'meta': {
+      const [key, expected] = value.split('=');
+      const name = toBlockCSSClassNames(key)[0];
+      if (!(name in record.meta)) return false;
+      return expected === undefined || record.meta[name].toLowerCase() === expected;
+    }
+    case 'title':
+      return includes(record.title, term.value, caseSensitive);
+    case 'path':
+      return includes(record.path, term.value, caseSensitive);
+    default:
+      if (term.prefix) return record.tokens.some((token) => token.startsWith(value));
+      return includes(record.text, term.value, caseSensitive)
+        || includes(record.name, term.value, caseSensitive);
+  }
+}
+
+/**
+ * Check a record against the terms of a query.
+ * @param {Object} record - The search record
+ * @param {Array} terms - The result of parseQuery
+ * @param {Boolean} caseSensitive - Whether text terms are case sensitive
+ * @returns {Boolean} Whether every term matches
+ */
+export function matchRecord(record, terms, caseSensitive = false) {
+  if (!terms.length) return false;
+  return terms.every((term) => matchTerm(record, term, caseSensitive) !== term.not);
+}
+
+async function loadRecords(path) {
+  if ([...LOADED].some((loaded) => path === loaded || path.startsWith(`${loaded}/`))) return;
+  try {
+    const records = await getIndexStore().getAll(getRange(path));
+    records.forEach((record) => RECORDS.set(record.path, record));
+  } catch {
+    // Without IndexedDB the index only lives in memory
+  }
+  LOADED.add(path);
+}
+
+function inScope(path, { paths, files }) {
+  return paths.some((scope) => path.startsWith(`${scope}/`))
+    || files.some((file) => file.path === path);
+}
+
+/**
+ * Search the index of a folder.
+ * @param {String} startPath - The folder to search
+ * @param {String} query - The query, or a regular expression when opts.regex is set
+ * @param {Object} opts - The search scope, case sensitivity and regex
+ * @returns {Promise<Object>} The matching records and the number of searched records
+ */
+export async function queryIndex(startPath, query, { scope, caseSensitive, regex } = {}) {
+  await loadRecords(startPath);
+  const searchScope = scope || { paths: [startPath], files: [] };
+  const records = [...RECORDS.values()].filter((record) => inScope(record.path, searchScope));
+
+  let test;
+  if (regex) {
+    const pattern = new RegExp(query, caseSensitive ? '' : 'i');
+    test = (record) => pattern.test(record.text) || pattern.test(record.name);
+  } else {
+    const terms = parseQuery(query);
+    test = (record) => matchRecord(record, terms, caseSensitive);
+  }
+  const matches = records.filter(test);
+  return { matches, total: records.length };
+}
+
+async function fetchText(path) {
+  for (let retry = 0; retry <= FETCH_RETRIES; retry += 1) {
+    try {
+      const resp = await daFetch(`${DA_ORIGIN}/source${path}`, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+      if (resp.ok) return await resp.text();
+      if (resp.status === 404) return null;
+    } catch {
+      // Retry below
+    }
+  }
+  return null;
+}
+
+/**
+ * Store the record of a file, used after the file is saved from the browser.
+ * @param {Object} file - The path, ext and lastModified of the file
+ * @param {String} text - The new source of the file
+ */
+export async function updateIndex(file, text) {
+  const record = indexFile(file, text);
+  RECORDS.set(record.path, record);
+  try {
+    await getIndexStore().put(record, record.path);
+  } catch {
+    // Kept in memory
+  }
+}
+
+async function crawlIndex(crawl, scope, onProgress) {
+  await Promise.all(scope.paths.map((path) => loadRecords(path)));
+  const seen = new Set();
+  let listed = 0;
+  let indexed = 0;
+  let changed = false;
+
+  const callback = async (file) => {
+    if (!INDEX_TYPES.includes(file.ext)) return;
+    seen.add(file.path);
+    listed += 1;
+    const existing = RECORDS.get(file.path);
+    if (!existing || existing.lastModified !== file.lastModified) {
+      const text = await fetchText(file.path);
+      if (text !== null) {
+        await updateIndex(file, text);
+        changed = true;
+      }
+    }
+    indexed += 1;
+    onProgress({ listed, indexed });
+  };
+
+  const files = scope.files.filter((file) => INDEX_TYPES.includes(file.ext));
+  const { results } = crawl({ path: scope.paths, callback, throttle: 10, files });
+  await results;
+
+  const removed = [...RECORDS.keys()]
+    .filter((path) => inScope(path, { paths: scope.paths, files: [] }) && !seen.has(path));
+  await Promise.all(removed.map(async (path) => {
+    RECORDS.delete(path);
+    changed = true;
+    try {
+      await getIndexStore().delete(path);
+    } catch {
+      // Already gone
+    }
+  }));
+
+  return changed;
+}
+
+/**
+ * When the index of a search scope was last brought up to date.
+ * @param {Object} scope - The paths and files to index
+ * @returns {Number|undefined} The timestamp of the last refresh
+ */
+export function getRefreshTime(scope) {
+  return REFRESHED.get(JSON.stringify(scope));
+}
+
+/**
+ * Bring the index of a search scope up to date. Only files with a new
+ * lastModified are downloaded, records of removed files are dropped.
+ * Concurrent calls for the same scope share a single crawl.
+ * @param {Function} crawl - The tree crawler
+ * @param {Object} scope - The paths and files to index
+ * @param {Object} opts - force to ignore the refresh interval, onProgress for the counts
+ * @returns {Promise<Boolean>} Whether the index changed
+ */
+export async function refreshIndex(crawl, scope, { force = false, onProgress } = {}) {
+  const key = JSON.stringify(scope);
+  const pending = PENDING.get(key);
+  if (pending) {
+    if (onProgress) pending.listeners.add(onProgress);
+    return pending.promise;
+  }
+  if (!force && Date.now() - (REFRESHED.get(key) || 0) < REFRESH_INTERVAL) return false;
+
+  const listeners = new Set(onProgress ? [onProgress] : []);
+  const notify = (progress) => listeners.forEach((listener) => listener(progress));
+  const promise = crawlIndex(crawl, scope, notify).then((changed) => {
+    REFRESHED.set(key, Date.now());
+    return changed;
+  }).finally(() => {
+    PENDING.delete(key);
+  });
+  PENDING.set(key, { promise, listeners });
+  return promise;
+}
@@ -0,0 +1,126 @@
+import { DA_ORIGIN } from '../../../shared/constants.js';
+import { daFetch } from '../../../shared/utils.js';
+import { openDb, getStore } from '../../../shared/idb.js';
+import { updateIndex } from './index.js';
+
+const DB_NAME = 'da-search-journal';
+const STORE_NAME = 'replaces';
+
+// Kept when IndexedDB is not available
+const JOURNALS = new Map();
+
+let store;
+
+function getJournalStore() {
+  store ??= getStore(
+    openDb(DB_NAME, 1, (db) => { db.createObjectStore(STORE_NAME); }),
+    STORE_NAME,
+  );
+  return store;
+}
+
+/**
+ * Create a labeled version of a file, the same request saveDaVersion makes.
+ * @param {String} path - The path of the file
+ * @param {String} label - The label of the version
+ * @returns {Promise<Boolean>} Whether the version was created
+ */
+export async function createVersion(path, label) {
+  try {
+    const opts = { method: 'POST', body: JSON.stringify({ label }) };
+    const resp = await daFetch(`${DA_ORIGIN}/versionsource${path}`, opts);
+    return resp.status === 201;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Write the source of a file.
+ * @param {Object} file - The path and ext of the file
+ * @param {String} text - The new source
+ * @returns {Promise<Boolean>} Whether the file was saved
+ */
+export async function saveSource(file, text) {
+  const blob = new Blob([text], { type: 'text/html' });
+  const formData = new FormData();
+  formData.append('data', blob);
+  const opts = { method: 'PUT', body: formData };
+  const resp = await daFetch(`${DA_ORIGIN}/source${file.path}`, opts);
+  if (!resp.ok) return false;
+  await updateIndex(file, text);
+  return true;
+}
+
+/**
+ * Record a bulk replace so it can be reverted.
+ * @param {Object} journal - The id, folder path, term, replacement and files (before and after)
+ */
+export async function saveJournal(journal) {
+  JOURNALS.set(journal.id, journal);
+  try {
+    await getJournalStore().put(journal, journal.id);
+  } catch {
+    // Kept in memory
+  }
+}
+
+/**
+ * Remove a journal once it has been reverted.
+ * @param {String} id - The id of the journal
+ */
+export async function deleteJournal(id) {
+  JOURNALS.delete(id);
+  try {
+    await getJournalStore().delete(id);
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * The latest replace that ran from a folder.
+ * @param {String} path - The folder path
+ * @returns {Promise<Object>} The journal, if any
+ */
+export async function getLastJournal(path) {
+  let journals = [...JOURNALS.values()];
+  try {
+    journals = await getJournalStore().getAll();
+  } catch {
+    // Only the memory copy
+  }
+  return journals
+    .filter((journal) => journal.path === path)
+    .sort((a, b) => b.date - a.date)[0];
+}
+
+/**
+ * Restore every file of a journal to its source before the replace.
+ * Files edited or removed since the replace are skipped and reported as changed.
+ * @param {Object} journal - The journal of the replace
+ * @param {Function} run - Runs the revert of every file, all at once by default
+ * @returns {Promise<Object>} The restored, changed and failed paths
+ */
+export async function revertJournal(journal, run = (files, fn) => Promise.all(files.map(fn))) {
+  const report = { restored: [], changed: [], failed: [] };
+
+  const revertFile = async (file) => {
+    try {
+      const resp = await daFetch(`${DA_ORIGIN}/source${file.path}`);
+      const current = resp.ok ? await resp.text() : null;
+      if (current !== file.after) {
+        report.changed.push(file.path);
+        return;
+      }
+      const saved = await saveSource(file, file.before);
+      report[saved ? 'restored' : 'failed'].push(file.path);
+    } catch {
+      report.failed.push(file.path);
+    }
+  };
+
+  await run(journal.files, revertFile);
+  if (!report.failed.length) await deleteJournal(journal.id);
+  return report;
+}
@@ -0,0 +1,167 @@
+import { toBlockCSSClassNames } from '../../../shared/prose2aem.js';
+import { parseQuery } from './index.js';
+
+export const REPLACE_SCOPES = {
+  text: 'All text',
+  href: 'Link URLs',
+  alt: 'Image alt text',
+  metadata: 'Metadata values',
+  block: 'Blocks',
+};
+
+const SNIPPET_LENGTH = 30;
+
+/**
+ * Get the text a search query replaces. Fields, prefixes and excluded terms
+ * only narrow down the files, so only a single word or "quoted phrase" can be replaced.
+ * @param {String} query - The search query
+ * @param {Boolean} regex - Whether the query is a regular expression, used as is
+ * @returns {String|null} The text to replace, null when the query cannot be replaced
+ */
+export function getReplaceTerm(query, regex = false) {
+  if (regex) return query;
+  const terms = parseQuery(query);
+  if (terms.length !== 1) return null;
+  const [term] = terms;
+  if (term.field !== 'text' || term.not || term.prefix) return null;
+  return term.value;
+}
+
+/**
+ * Build the pattern of a search term.
+ * @param {String} term - The search term
+ * @param {Object} opts - regex and caseSensitive
+ * @returns {RegExp} A global pattern, throws a SyntaxError for an invalid regex
+ */
+export function getPattern(term, { regex = false, caseSensitive = true } = {}) {
+  const source = regex ? term : term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+// Same tokens as String.replace: $$, $&, $1 and $<name>
+function expand(replacement, match, groups, named) {
+  return replacement.replace(/\$(\$|&|<([^>]+)>|\d{1,2})/g, (token, key, name) => {
+    if (key === '$') return '$';
+    if (key === '&') return match;
+    if (name !== undefined) return named?.[name] ?? '';
+    return groups[Number(key) - 1] ?? token;
+  });
+}
+
+function replaceValue(value, opts, changes) {
+  const { pattern, replacement, regex } = opts;
+  return value.replace(pattern, (...args) => {
+    const named = typeof args[args.length - 1] === 'object' ? args.pop() : undefined;
+    const [match, ...groups] = args.slice(0, -2);
+    const offset = args[args.length - 2];
+    const result = regex ? expand(replacement, match, groups, named) : replacement;
+    changes.push({
+      prefix: value.slice(Math.max(0, offset - SNIPPET_LENGTH), offset),
+      match,
+      replacement: result,
+      suffix: value.slice(offset + match.length, offset + match.length + SNIPPET_LENGTH),
+    });
+    return result;
+  });
+}
+
+function getTextNodes(roots) {
+  return roots.flatMap((root) => {
+    const nodes = [];
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) nodes.push(node);
+    return nodes;
+  });
+}
+
+function replaceText(nodes, opts, changes) {
+  nodes.forEach((node) => {
+    const value = replaceValue(node.nodeValue, opts, changes);
+    if (value !== node.nodeValue) node.nodeValue = value;
+  });
+}
+
+function replaceAttr(els, attr, opts, changes) {
+  els.forEach((el) => {
+    const current = el.getAttribute(attr);
+    const value = replaceValue(current, opts, changes);
+    if (value !== current) el.setAttribute(attr, value);
+  });
+}
+
+function replaceHtml(source, opts, changes) {
+  const doc = new DOMParser().parseFromString(source, 'text/html');
+  const main = doc.querySelector('main') || doc.body;
+  const { scope = 'text', blocks = [] } = opts;
+
+  if (scope === 'href') replaceAttr(main.querySelectorAll('a[href]'), 'href', opts, changes);
+  if (scope === 'alt') replaceAttr(main.querySelectorAll('img[alt]'), 'alt', opts, changes);
+  if (scope === 'metadata') {
+    const cells = [...main.querySelectorAll('.metadata > div > div:nth-child(2)')];
+    replaceText(getTextNodes(cells), opts, changes);
+  }
+  if (scope === 'block') {
+    const names = blocks.map((name) => toBlockCSSClassNames(name)[0]).filter(Boolean);
+    const els = [...main.querySelectorAll(':scope > div > div[class]')]
+      .filter((el) => names.includes(el.classList[0]));
+    replaceText(getTextNodes(els), opts, changes);
+  }
+  if (scope === 'text') replaceText(getTextNodes([main]), opts, changes);
+
+  return doc.body.outerHTML;
+}
+
+// Only the cells of the data rows, column names and :keys are left alone
+function replaceSheet(sheet, opts, changes) {
+  if (!Array.isArray(sheet?.data)) return sheet;
+  const data = sheet.data.map((row) => {
+    if (!row || typeof row !== 'object') return row;
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? replaceValue(value, opts, changes) : value,
+    ]));
+  });
+  return { ...sheet, data };
+}
+
+function replaceJson(source, opts, changes) {
+  const json = JSON.parse(source);
+  if (Array.isArray(json.data)) return JSON.stringify(replaceSheet(json, opts, changes));
+
+  // A multi sheet has every sheet under its name
+  const sheets = Object.fromEntries(Object.entries(json).map(([key, value]) => [
+    key,
+    key.startsWith(':') ? value : replaceSheet(value, opts, changes),
+  ]));
+  return JSON.stringify(sheets);
+}
+
+function replaceSvg(source, opts, changes) {
+  const doc = new DOMParser().parseFromString(source, 'image/svg+xml');
+  replaceText(getTextNodes([doc.documentElement]), opts, changes);
+  return new XMLSerializer().serializeToString(doc);
+}
+
+/**
+ * Replace the text of a file without touching its markup.
+ * Text nodes are replaced by default, the scope narrows it down
+ * to link hrefs, image alts, metadata values or the named blocks.
+ * @param {String} source - The source of the file
+ * @param {String} ext - The extension of the file
+ * @param {Object} opts - pattern, replacement, regex, scope and blocks
+ * @returns {Object} The new text and every change with a snippet around it
+ */
+export function replaceInSource(source, ext, opts) {
+  const changes = [];
+  const textOnly = (opts.scope ?? 'text') === 'text';
+  let text = source;
+  try {
+    if (ext === 'html') text = replaceHtml(source, opts, changes);
+    if (ext === 'json' && textOnly) text = replaceJson(source, opts, changes);
+    if (ext === 'svg' && textOnly) text = replaceSvg(source, opts, changes);
+  } catch {
+    return { text: source, changes: [] };
+  }
+  if (!changes.length) return { text: source, changes };
+  return { text, changes };
+}
@@ -0,0 +1,195 @@
+import { LitElement, html, nothing } from 'da-lit';
+import getSheet from '../../shared/sheet.js';
+import {
+  getCommentsMap,
+  getThreads,
+  getThreadRange,
+  addThread,
+  addReply,
+  setResolved,
+  deleteThread,
+  selectThread,
+  getAuthor,
+} from '../prose/plugins/comments.js';
+
+const sheet = await getSheet('/blocks/edit/da-comments/da-comments.css');
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+export default class DaComments extends LitElement {
+  static properties = {
+    open: { attribute: false },
+    permissions: { attribute: false },
+    draft: { attribute: false },
+    activeId: { attribute: false },
+    _threads: { state: true },
+    _showResolved: { state: true },
+  };
+
+  constructor() {
+    super();
+    this._threads = [];
+    this._refresh = () => { this._threads = getThreads(); };
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.shadowRoot.adoptedStyleSheets = [sheet];
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._map?.unobserveDeep(this._refresh);
+    this._map = undefined;
+  }
+
+  get _canWrite() {
+    return this.permissions?.some((permission) => permission === 'write');
+  }
+
+  bindMap() {
+    // The map changes when navigating to another document
+    const map = getCommentsMap();
+    if (map === this._map) return;
+    this._map?.unobserveDeep(this._refresh);
+    this._map = map;
+    this._map?.observeDeep(this._refresh);
+    this._refresh();
+  }
+
+  handleClose() {
+    const opts = { bubbles: true, composed: true };
+    const event = new CustomEvent('close', opts);
+    this.dispatchEvent(event);
+  }
+
+  handleCancelDraft() {
+    this.draft = null;
+  }
+
+  handleDraftSubmit(e) {
+    e.preventDefault();
+    const text = e.target.elements.comment.value.trim();
+    if (!text) return;
+    this.activeId = addThread(this.draft, text);
+    this.draft = null;
+  }
+
+  handleReplySubmit(e, thread) {
+    e.preventDefault();
+    const text = e.target.elements.reply.value.trim();
+    if (!text) return;
+    addReply(thread.id, text);
+    e.target.reset();
+  }
+
+  handleSelect(thread) {
+    this.activeId = thread.id;
+    if (window.view) selectThread(window.view, thread.id);
+  }
+
+  update(props) {
+    if (props.has('open') && this.open) this.bindMap();
+    super.update(props);
+  }
+
+  renderMessage(message) {
+    return html`
+      <li class="da-comment-message">
+        <p class="da-comment-meta">
+          <strong>${message.author.name}</strong>
+          <span>${formatDate(message.created)}</span>
+        </p>
+        <p class="da-comment-text">${message.text}</p>
+      </li>
+    `;
+  }
+
+  renderThreadActions(thread) {
+    if (!this._canWrite) return nothing;
+    const isAuthor = thread.author.id === getAuthor().id;
+    return html`
+      <div class="da-comment-actions">
+        <button class="da-comment-btn" @click=${(e) => { e.stopPropagation(); setResolved(thread.id, !thread.resolved); }}>
+          ${thread.resolved ? 'Reopen' : 'Resolve'}
+        </button>
+        ${isAuthor ? html`
+          <button class="da-comment-btn is-quiet" @click=${(e) => { e.stopPropagation(); deleteThread(thread.id); }}>Delete</button>` : nothing}
+      </div>
+    `;
+  }
+
+  renderThread(thread) {
+    const isOrphaned = window.view && !getThreadRange(window.view.state, thread);
+    const classes = [
+      'da-comment-thread',
+      thread.id === this.activeId ? 'is-active' : '',
+      thread.resolved ? 'is-resolved' : '',
+      isOrphaned ? 'is-orphaned' : '',
+    ].join(' ');
+
+    return html`
+      <li class="${classes}" @click=${() => this.handleSelect(thread)}>
+        <blockquote class="da-comment-quote">${thread.quote}</blockquote>
+        ${isOrphaned ? html`<p class="da-comment-note">The commented text was removed.</p>` : nothing}
+        ${thread.resolved ? html`<p class="da-comment-note">Resolved by ${thread.resolvedBy?.name}</p>` : nothing}
+        <ul class="da-comment-messages">
+          ${thread.messages.map((message) => this.renderMessage(message))}
+        </ul>
+        ${this._canWrite && !thread.resolved ? html`
+          <form class="da-comment-form" @submit=${(e) => this.handleReplySubmit(e, thread)} @click=${(e) => e.stopPropagation()}>
+            <textarea name="reply" placeholder="Reply"></textarea>
+            <button class="da-comment-btn" type="submit">Reply</button>
+          </form>` : nothing}
+        ${this.renderThreadActions(thread)}
+      </li>
+    `;
+  }
+
+  renderDraft() {
+    return html`
+      <form class="da-comment-thread is-draft" @submit=${this.handleDraftSubmit}>
+        <blockquote class="da-comment-quote">${this.draft.quote}</blockquote>
+        <textarea name="comment" placeholder="Add a comment" autofocus></textarea>
+        <div class="da-comment-actions">
+          <button class="da-comment-btn" type="submit">Comment</button>
+          <button class="da-comment-btn is-quiet" type="button" @click=${this.handleCancelDraft}>Cancel</button>
+        </div>
+      </form>
+    `;
+  }
+
+  render() {
+    const resolved = this._threads.filter((thread) => thread.resolved);
+    const threads = this._showResolved
+      ? this._threads
+      : this._threads.filter((thread) => !thread.resolved);
+
+    return html`
+      <div class="da-comments-panel">
+        <p class="da-comments-title">
+          <button class="da-comments-close-btn" @click=${this.handleClose} aria-label="Close comments pane">Comments</button>
+        </p>
+        ${this.draft && this._canWrite ? this.renderDraft() : nothing}
+        ${resolved.length ? html`
+          <label class="da-comments-filter">
+            <input type="checkbox" .checked=${!!this._showResolved} @change=${(e) => { this._showResolved = e.target.checked; }} />
+            Show resolved (${resolved.length})
+          </label>` : nothing}
+        ${threads.length ? html`
+          <ul class="da-comments-list">
+            ${threads.map((thread) => this.renderThread(thread))}
+          </ul>` : html`<p class="da-comments-empty">Select text in the document to add a comment.</p>`}
+      </div>
+    `;
+  }
+}
+
+customElements.define('da-comments', DaComments);
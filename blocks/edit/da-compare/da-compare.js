@@ -0,0 +1,181 @@
+import { LitElement, html, nothing } from 'da-lit';
+import getSheet from '../../shared/sheet.js';
+import {
+  fetchVersion,
+  getLiveVersion,
+  getHunks,
+  getMetadataChanges,
+  restoreHunks,
+} from './helpers.js';
+
+const sheet = await getSheet('/blocks/edit/da-compare/da-compare.css');
+
+function toDom(str) {
+  const dom = document.createElement('div');
+  dom.innerHTML = str;
+  return dom;
+}
+
+export default class DaCompare extends LitElement {
+  static properties = {
+    from: { attribute: false },
+    to: { attribute: false },
+    canWrite: { attribute: false },
+    _rows: { state: true },
+    _metadata: { state: true },
+    _selected: { state: true },
+    _message: { state: true },
+  };
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.shadowRoot.adoptedStyleSheets = [sheet];
+  }
+
+  // Hunks can only be restored when one side is the live document
+  get _liveSide() {
+    if (!this.to.url) return 'new';
+    if (!this.from.url) return 'old';
+    return null;
+  }
+
+  async getVersion({ url }) {
+    if (!url) return getLiveVersion(window.view);
+    return fetchVersion(url);
+  }
+
+  async compare() {
+    this._rows = null;
+    this._selected = new Set();
+    const [oldVersion, newVersion] = await Promise.all([
+      this.getVersion(this.from),
+      this.getVersion(this.to),
+    ]);
+    if (!oldVersion || !newVersion) {
+      this._message = 'Could not load the versions to compare.';
+      this._rows = [];
+      this._metadata = [];
+      return;
+    }
+    this._liveDoc = oldVersion.doc || newVersion.doc;
+    this._rows = getHunks(oldVersion.dom, newVersion.dom);
+    this._metadata = getMetadataChanges(oldVersion.metadata, newVersion.metadata);
+  }
+
+  handleCancel() {
+    const opts = { bubbles: true, composed: true };
+    const event = new CustomEvent('close', opts);
+    this.dispatchEvent(event);
+  }
+
+  handleSelect(id) {
+    const selected = new Set(this._selected);
+    if (selected.has(id)) {
+      selected.delete(id);
+    } else {
+      selected.add(id);
+    }
+    this._selected = selected;
+  }
+
+  async handleRestore() {
+    // Block positions are only valid for the doc that was compared
+    if (window.view.state.doc !== this._liveDoc) {
+      await this.compare();
+      this._message = 'The document changed. Review the comparison and restore again.';
+      return;
+    }
+    const hunks = this._rows.filter((row) => this._selected.has(row.id));
+    const metadata = this._metadata.filter((change) => this._selected.has(change.id));
+    restoreHunks(window.view, hunks, metadata, this._liveSide);
+    await this.compare();
+    this._message = 'Restored the selected changes.';
+  }
+
+  updated(props) {
+    if (props.has('from') || props.has('to')) {
+      this._message = null;
+      this.compare();
+    }
+  }
+
+  renderSelect(id) {
+    if (!this._liveSide) return nothing;
+    return html`
+      <input
+        type="checkbox"
+        class="da-compare-select"
+        aria-label="Select change to restore"
+        .checked=${this._selected.has(id)}
+        ?disabled=${!this.canWrite}
+        @change=${() => this.handleSelect(id)} />`;
+  }
+
+  renderMetadataValue(value) {
+    if (value === null) return html`<em>None</em>`;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  renderMetadata() {
+    if (!this._metadata?.length) return nothing;
+    return html`
+      <div class="da-compare-metadata">
+        <p class="da-compare-section-title">Metadata</p>
+        ${this._metadata.map((change) => html`
+          <div class="da-compare-row is-change">
+            ${this.renderSelect(change.id)}
+            <div class="da-compare-old"><strong>${change.key}</strong> ${this.renderMetadataValue(change.oldValue)}</div>
+            <div class="da-compare-new"><strong>${change.key}</strong> ${this.renderMetadataValue(change.newValue)}</div>
+          </div>
+        `)}
+      </div>`;
+  }
+
+  renderRow(row) {
+    if (row.type === 'same') {
+      return html`
+        <div class="da-compare-row is-same">
+          <div class="da-compare-old">${toDom(row.html)}</div>
+          <div class="da-compare-new">${toDom(row.html)}</div>
+        </div>`;
+    }
+    return html`
+      <div class="da-compare-row is-change ${this._selected.has(row.id) ? 'is-selected' : ''}">
+        ${this.renderSelect(row.id)}
+        <div class="da-compare-old">${toDom(row.diff)}</div>
+        <div class="da-compare-new">${toDom(row.diff)}</div>
+      </div>`;
+  }
+
+  renderRows() {
+    if (!this._rows) return html`<p class="da-compare-message">Loading...</p>`;
+    const hasChanges = this._metadata.length || this._rows.some((row) => row.type === 'change');
+    if (!hasChanges) return html`<p class="da-compare-message">No differences found</p>`;
+    return html`
+      ${this.renderMetadata()}
+      <div class="da-compare-rows">${this._rows.map((row) => this.renderRow(row))}</div>`;
+  }
+
+  render() {
+    return html`
+      <div class="da-compare">
+        <div class="da-compare-action-area">
+          <p class="da-compare-message">${this._message}</p>
+          <button @click=${this.handleCancel}>Cancel</button>
+          ${this._liveSide ? html`
+            <button
+              class="accent"
+              @click=${this.handleRestore}
+              ?disabled=${!this.canWrite || !this._selected?.size}>Restore selected</button>
+          ` : nothing}
+        </div>
+        <div class="da-compare-header">
+          <p class="da-compare-old">${this.from.label}</p>
+          <p class="da-compare-new">${this.to.label}</p>
+        </div>
+        ${this.renderRows()}
+      </div>`;
+  }
+}
+
+customElements.define('da-compare', DaCompare);
@@ -0,0 +1,147 @@
+import { DOMParser as proseDOMParser, DOMSerializer, Fragment } from 'da-y-wrapper';
+import { daFetch } from '../../shared/utils.js';
+import { htmlToProse, getDaMetadata, setDaMetadata } from '../utils/helpers.js';
+import { htmlDiff } from '../prose/diff/htmldiff.js';
+
+/**
+ * Get the live document as a DOM, the same way a version is rendered.
+ * @param {EditorView} view - The live editor view
+ * @returns {Object} The document dom and metadata
+ */
+export function getLiveVersion(view) {
+  const { schema, doc } = view.state;
+  const dom = document.createElement('div');
+  dom.append(DOMSerializer.fromSchema(schema).serializeFragment(doc.content));
+  return { dom, metadata: getDaMetadata(), doc };
+}
+
+export async function fetchVersion(url) {
+  const resp = await daFetch(url);
+  if (!resp.ok) return null;
+  const text = await resp.text();
+  const { dom, ydoc } = htmlToProse(text);
+  const metadata = Object.fromEntries(ydoc.getMap('daMetadata').entries());
+  return { dom, metadata };
+}
+
+// Longest common subsequence of two lists of block html strings
+function getCommonBlocks(oldBlocks, newBlocks) {
+  const table = Array.from(
+    { length: oldBlocks.length + 1 },
+    () => new Array(newBlocks.length + 1).fill(0),
+  );
+  for (let i = oldBlocks.length - 1; i >= 0; i -= 1) {
+    for (let j = newBlocks.length - 1; j >= 0; j -= 1) {
+      table[i][j] = oldBlocks[i] === newBlocks[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const common = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldBlocks.length && j < newBlocks.length) {
+    if (oldBlocks[i] === newBlocks[j]) {
+      common.push([i, j]);
+      i += 1;
+      j += 1;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return common;
+}
+
+/**
+ * Split two versions into rows of unchanged blocks and changed hunks.
+ * Each hunk holds a word level diff of its blocks. Block tables are
+ * diffed as a whole so cell changes are marked inside the table.
+ * @param {Element} oldDom - The dom of the older version
+ * @param {Element} newDom - The dom of the newer version
+ * @returns {Array} The rows of the comparison
+ */
+export function getHunks(oldDom, newDom) {
+  const oldBlocks = [...oldDom.children].map((el) => el.outerHTML);
+  const newBlocks = [...newDom.children].map((el) => el.outerHTML);
+  const common = [...getCommonBlocks(oldBlocks, newBlocks), [oldBlocks.length, newBlocks.length]];
+
+  const rows = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  common.forEach(([oldMatch, newMatch]) => {
+    if (oldMatch > oldIndex || newMatch > newIndex) {
+      const oldHtml = oldBlocks.slice(oldIndex, oldMatch).join('');
+      const newHtml = newBlocks.slice(newIndex, newMatch).join('');
+      rows.push({
+        type: 'change',
+        id: `hunk-${rows.length}`,
+        oldIndex,
+        oldCount: oldMatch - oldIndex,
+        newIndex,
+        newCount: newMatch - newIndex,
+        oldHtml,
+        newHtml,
+        diff: htmlDiff(oldHtml, newHtml),
+      });
+    }
+    if (oldMatch < oldBlocks.length) {
+      rows.push({ type: 'same', html: oldBlocks[oldMatch] });
+    }
+    oldIndex = oldMatch + 1;
+    newIndex = newMatch + 1;
+  });
+  return rows;
+}
+
+export function getMetadataChanges(oldMetadata = {}, newMetadata = {}) {
+  const keys = new Set([...Object.keys(oldMetadata), ...Object.keys(newMetadata)]);
+  return [...keys].reduce((acc, key) => {
+    const oldValue = oldMetadata[key] ?? null;
+    const newValue = newMetadata[key] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      acc.push({ id: `meta-${key}`, key, oldValue, newValue });
+    }
+    return acc;
+  }, []);
+}
+
+/**
+ * Restore selected hunks of a version into the live document.
+ * @param {EditorView} view - The live editor view
+ * @param {Array} hunks - The selected hunks
+ * @param {Array} metadata - The selected metadata changes
+ * @param {String} liveSide - Which side of the comparison is the live doc ('old' or 'new')
+ */
+export function restoreHunks(view, hunks, metadata, liveSide) {
+  const versionSide = liveSide === 'new' ? 'old' : 'new';
+  const { schema, doc } = view.state;
+  const parser = proseDOMParser.fromSchema(schema);
+
+  const starts = [];
+  doc.forEach((node, offset) => { starts.push(offset); });
+  starts.push(doc.content.size);
+
+  // Work backwards so the block positions stay valid
+  const { tr } = view.state;
+  [...hunks]
+    .sort((a, b) => b[`${liveSide}Index`] - a[`${liveSide}Index`])
+    .forEach((hunk) => {
+      const index = hunk[`${liveSide}Index`];
+      const from = starts[index];
+      const to = starts[index + hunk[`${liveSide}Count`]];
+
+      const dom = document.createElement('div');
+      dom.innerHTML = hunk[`${versionSide}Html`];
+      const content = hunk[`${versionSide}Count`] ? parser.parse(dom).content : Fragment.empty;
+      tr.replaceWith(from, to, content);
+    });
+
+  if (tr.docChanged) view.dispatch(tr.scrollIntoView());
+
+  metadata.forEach((change) => {
+    setDaMetadata(change.key, change[`${versionSide}Value`]);
+  });
+}
@@ -16,12 +16,16 @@ export default class DaContent extends LitElement {
     _editorLoaded: { state: true },
     _showPane: { state: true },
     _versionUrl: { state: true },
+    _compare: { state: true },
     _externalUrl: { state: true },
+    _commentDraft: { state: true },
+    _activeComment: { state: true },
   };
 
   connectedCallback() {
     super.connectedCallback();
     this.shadowRoot.adoptedStyleSheets = [sheet];
+    this._debug = new URL(window.location.href).searchParams.get('debug');
   }
 
   disconnectWebsocket() {
@@ -37,7 +41,12 @@ export default class DaContent extends LitElement {
 
     const preview = import('../da-preview/da-preview.js');
     const versions = import('../da-versions/da-versions.js');
-    await Promise.all([preview, versions]);
+    const comments = import('../da-comments/da-comments.js');
+    const metadata = import('../da-metadata/da-metadata.js');
+    const outline = import('../da-outline/da-outline.js');
+    const views = [preview, versions, comments, metadata, outline];
+    if (this._debug === 'roundtrip') views.push(import('../da-roundtrip/da-roundtrip.js'));
+    await Promise.all(views);
     this._editorLoaded = true;
   }
 
@@ -65,12 +74,25 @@ export default class DaContent extends LitElement {
 
   handleVersionReset() {
     this._versionUrl = null;
+    this._compare = null;
   }
 
   handleVersionPreview({ detail }) {
+    this._compare = null;
     this._versionUrl = detail.url;
   }
 
+  handleVersionCompare({ detail }) {
+    this._versionUrl = null;
+    this._compare = detail;
+  }
+
+  handleComment({ detail }) {
+    if (detail.draft) this._commentDraft = detail.draft;
+    if (detail.id) this._activeComment = detail.id;
+    this._showPane = 'comments';
+  }
+
   render() {
     const { owner, repo, previewUrl } = this.details;
     const { pathname } = new URL(previewUrl);
@@ -85,10 +107,12 @@ export default class DaContent extends LitElement {
         <da-editor
           path="${this.details.sourceUrl}"
           version="${this._versionUrl}"
+          .compare=${this._compare}
           .permissions=${this.permissions}
           .proseEl=${this.proseEl}
           .wsProvider=${this.wsProvider}
           @proseloaded=${this.handleEditorLoaded}
+          @comment=${this.handleComment}
           @versionreset=${this.handleVersionReset}>
         </da-editor>
         ${this._editorLoaded ? html`
@@ -100,6 +124,10 @@ export default class DaContent extends LitElement {
             </div>
             <div class="da-editor-tabs-quiet">
               <button class="da-editor-tab quiet show-versions" title="Versions" @click=${() => this.togglePane({ detail: 'versions' })}>Versions</button>
+              <button class="da-editor-tab quiet show-comments" title="Comments" @click=${() => this.togglePane({ detail: 'comments' })}>Comments</button>
+              <button class="da-editor-tab quiet show-metadata" title="Metadata" @click=${() => this.togglePane({ detail: 'metadata' })}>Metadata</button>
+              <button class="da-editor-tab quiet show-outline" title="Outline" @click=${() => this.togglePane({ detail: 'outline' })}>Outline</button>
+              ${this._debug === 'roundtrip' ? html`<button class="da-editor-tab quiet show-roundtrip" title="Round trip" @click=${() => this.togglePane({ detail: 'roundtrip' })}>Round trip</button>` : nothing}
               ${this._externalUrl ? html`<button class="da-editor-tab quiet open-ue" title="Open in-context editing" @click=${this.openUe}>Open in-context editing</button>` : nothing}
             </div>
           </div>
@@ -117,7 +145,32 @@ export default class DaContent extends LitElement {
           .open=${this._showPane === 'versions'}
           class="${this._showPane === 'versions' ? 'is-visible' : ''}"
           @preview=${this.handleVersionPreview}
+          @compare=${this.handleVersionCompare}
           @close=${this.togglePane}></da-versions>
+        <da-comments
+          .open=${this._showPane === 'comments'}
+          .permissions=${this.permissions}
+          .draft=${this._commentDraft}
+          .activeId=${this._activeComment}
+          class="${this._showPane === 'comments' ? 'is-visible' : ''}"
+          @close=${this.togglePane}></da-comments>
+        <da-metadata
+          .open=${this._showPane === 'metadata'}
+          .details=${this.details}
+          .permissions=${this.permissions}
+          class="${this._showPane === 'metadata' ? 'is-visible' : ''}"
+          @close=${this.togglePane}></da-metadata>
+        <da-outline
+          .open=${this._showPane === 'outline'}
+          .permissions=${this.permissions}
+          class="${this._showPane === 'outline' ? 'is-visible' : ''}"
+          @close=${this.togglePane}></da-outline>
+        ${this._debug === 'roundtrip' ? html`
+          <da-roundtrip
+            path=${this.details.sourceUrl}
+            .open=${this._showPane === 'roundtrip'}
+            class="${this._showPane === 'roundtrip' ? 'is-visible' : ''}"
+            @close=${this.togglePane}></da-roundtrip>` : nothing}
         ` : nothing}
     `;
   }
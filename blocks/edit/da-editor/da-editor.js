@@ -3,6 +3,7 @@ import { LitElement, html, nothing } from 'da-lit';
 import getSheet from '../../shared/sheet.js';
 import { initIms, daFetch } from '../../shared/utils.js';
 import { setDaMetadata, htmlToProse } from '../utils/helpers.js';
+import { getVersionSections, restoreVersionSections } from './helpers.js';
 
 const sheet = await getSheet('/blocks/edit/da-editor/da-editor.css');
 
@@ -10,11 +11,14 @@ export default class DaEditor extends LitElement {
   static properties = {
     path: { type: String },
     version: { type: String },
+    compare: { attribute: false },
     proseEl: { attribute: false },
     wsProvider: { attribute: false },
     permissions: { state: true },
     _imsLoaded: { state: false },
     _versionDom: { state: true },
+    _versionSections: { state: true },
+    _versionSelected: { state: true },
     _daMetadata: { state: true },
   };
 
@@ -35,6 +39,8 @@ export default class DaEditor extends LitElement {
 
     const metadataMap = ydoc.getMap('daMetadata');
     this._daMetadata = Object.fromEntries(metadataMap.entries());
+    this._versionSections = getVersionSections(dom.cloneNode(true));
+    this._versionSelected = new Set();
     this._versionDom = dom;
   }
 
@@ -61,6 +67,21 @@ export default class DaEditor extends LitElement {
     this.handleCancel();
   }
 
+  handleRestoreSelected() {
+    restoreVersionSections(window.view, this._versionSections, this._versionSelected);
+    this.handleCancel();
+  }
+
+  toggleVersionPart(id) {
+    const selected = new Set(this._versionSelected);
+    if (selected.has(id)) {
+      selected.delete(id);
+    } else {
+      selected.add(id);
+    }
+    this._versionSelected = selected;
+  }
+
   get _proseEl() {
     return this.shadowRoot.querySelector('.da-prose-mirror');
   }
@@ -70,20 +91,65 @@ export default class DaEditor extends LitElement {
     return this.permissions.some((permission) => permission === 'write');
   }
 
+  renderVersionSelect(id, label) {
+    return html`
+      <label class="da-version-select" contenteditable="false">
+        <input
+          type="checkbox"
+          .checked=${this._versionSelected.has(id)}
+          ?disabled=${!this._canWrite}
+          @change=${() => this.toggleVersionPart(id)} />
+        ${label}
+      </label>`;
+  }
+
+  renderVersionSection(section) {
+    const sectionId = `section-${section.index}`;
+    const sectionSelected = this._versionSelected.has(sectionId);
+    return html`
+      ${section.index > 0 ? html`<hr>` : nothing}
+      <div class="da-version-section ${sectionSelected ? 'is-selected' : ''}">
+        ${this.renderVersionSelect(sectionId, `Section ${section.index + 1}`)}
+        ${section.blocks.map((block) => {
+          const table = section.tables.find((t) => t.el === block);
+          if (!table || sectionSelected) return block;
+          return html`
+            <div class="da-version-block ${this._versionSelected.has(table.id) ? 'is-selected' : ''}">
+              ${this.renderVersionSelect(table.id, table.name || 'Block')}
+              ${block}
+            </div>`;
+        })}
+      </div>`;
+  }
+
   renderVersion() {
     return html`
       <div class="da-prose-mirror da-version-preview">
         <div class="da-version-action-area">
           <button @click=${this.handleCancel}>Cancel</button>
-          <button class="accent" @click=${this.handleRestore} ?disabled=${!this._canWrite}>Restore</button>
+          <button
+            @click=${this.handleRestoreSelected}
+            ?disabled=${!this._canWrite || !this._versionSelected.size}>Restore selected</button>
+          <button class="accent" @click=${this.handleRestore} ?disabled=${!this._canWrite}>Restore all</button>
         </div>
-        <div class="ProseMirror">${this._versionDom}</div>
+        <div class="ProseMirror">${this._versionSections.map((section) => this.renderVersionSection(section))}</div>
       </div>`;
   }
 
+  renderCompare() {
+    return html`
+      <da-compare
+        .from=${this.compare.from}
+        .to=${this.compare.to}
+        .canWrite=${this._canWrite}
+        @close=${this.handleCancel}>
+      </da-compare>`;
+  }
+
   render() {
     return html`
       ${this._versionDom ? this.renderVersion() : nothing}
+      ${this.compare ? this.renderCompare() : nothing}
     `;
   }
 
@@ -92,6 +158,11 @@ export default class DaEditor extends LitElement {
       this.fetchVersion();
     }
 
+    if (props.has('compare') && this.compare) {
+      this._versionDom = null;
+      import('../da-compare/da-compare.js');
+    }
+
     // Do not setup prosemirror until we know the permissions
     if (props.has('proseEl') && this.path && this.permissions) {
       if (this._proseEl) this._proseEl.remove();
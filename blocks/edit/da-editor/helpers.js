@@ -0,0 +1,122 @@
+import { DOMParser as proseDOMParser, Fragment } from 'da-y-wrapper';
+
+function getName(text) {
+  return text.split('(')[0].trim().toLowerCase();
+}
+
+function countOccurrence(counts, name) {
+  const occurrence = counts.get(name) || 0;
+  counts.set(name, occurrence + 1);
+  return occurrence;
+}
+
+/**
+ * Split a version dom into sections (separated by hr) and their block tables.
+ * @param {Element} dom - The version dom
+ * @returns {Array} The sections with their blocks and block tables
+ */
+export function getVersionSections(dom) {
+  const sections = [{ index: 0, blocks: [], tables: [] }];
+  let counts = new Map();
+  [...dom.children].forEach((el) => {
+    if (el.tagName === 'HR') {
+      sections.push({ index: sections.length, blocks: [], tables: [] });
+      counts = new Map();
+      return;
+    }
+    const section = sections[sections.length - 1];
+    section.blocks.push(el);
+    if (el.tagName === 'TABLE') {
+      const name = getName(el.querySelector('td')?.textContent || '');
+      const occurrence = countOccurrence(counts, name);
+      section.tables.push({
+        id: `block-${section.index}-${name}-${occurrence}`,
+        section: section.index,
+        name,
+        occurrence,
+        el,
+      });
+    }
+  });
+  return sections;
+}
+
+function getDocSections(doc) {
+  const sections = [{ from: 0, to: 0, tables: [] }];
+  let counts = new Map();
+  doc.forEach((node, offset) => {
+    const section = sections[sections.length - 1];
+    if (node.type.name === 'horizontal_rule') {
+      sections.push({ from: offset + node.nodeSize, to: offset + node.nodeSize, tables: [] });
+      counts = new Map();
+      return;
+    }
+    section.to = offset + node.nodeSize;
+    if (node.type.name === 'table') {
+      const name = getName(node.firstChild?.firstChild?.textContent || '');
+      const occurrence = countOccurrence(counts, name);
+      section.tables.push({ name, occurrence, from: offset, to: offset + node.nodeSize });
+    }
+  });
+  return sections;
+}
+
+function parseBlocks(schema, blocks) {
+  const dom = document.createElement('div');
+  dom.append(...blocks.map((block) => block.cloneNode(true)));
+  return proseDOMParser.fromSchema(schema).parse(dom).content;
+}
+
+/**
+ * Restore the selected sections and block tables of a version into the
+ * live document, leaving everything else untouched. All parts are
+ * restored in a single transaction so they can be undone in one step.
+ * @param {EditorView} view - The live editor view
+ * @param {Array} sections - The version sections (from getVersionSections)
+ * @param {Set} selected - The ids of the selected sections and block tables
+ */
+export function restoreVersionSections(view, sections, selected) {
+  const { schema, doc } = view.state;
+  const liveSections = getDocSections(doc);
+  const ops = [];
+
+  sections.forEach((section) => {
+    const live = liveSections[section.index];
+    if (selected.has(`section-${section.index}`)) {
+      const content = parseBlocks(schema, section.blocks);
+      if (live) {
+        ops.push({ from: live.from, to: live.to, content });
+      } else {
+        // The live doc has fewer sections, so add it to the end
+        const hr = schema.nodes.horizontal_rule.create();
+        const withHr = Fragment.from(hr).append(content);
+        ops.push({ from: doc.content.size, to: doc.content.size, content: withHr });
+      }
+      return;
+    }
+
+    section.tables.filter((table) => selected.has(table.id)).forEach((table) => {
+      const content = parseBlocks(schema, [table.el]);
+      const match = live?.tables.find(
+        (liveTable) => liveTable.name === table.name && liveTable.occurrence === table.occurrence,
+      );
+      if (match) {
+        ops.push({ from: match.from, to: match.to, content });
+      } else {
+        const pos = live ? live.to : doc.content.size;
+        ops.push({ from: pos, to: pos, content });
+      }
+    });
+  });
+
+  if (!ops.length) return false;
+
+  // Work backwards so positions stay valid and inserts keep their order
+  const { tr } = view.state;
+  ops
+    .map((op, index) => ({ ...op, index }))
+    .sort((a, b) => b.from - a.from || b.index - a.index)
+    .forEach(({ from, to, content }) => { tr.replaceWith(from, to, content); });
+  view.dispatch(tr.scrollIntoView());
+  return true;
+}
@@ -0,0 +1,153 @@
+import { LitElement, html, nothing } from 'da-lit';
+import getSheet from '../../shared/sheet.js';
+import {
+  getMetadataSchema,
+  getMetadataValues,
+  setMetadataValue,
+  validateMetadata,
+  splitMulti,
+  joinMulti,
+} from './helpers.js';
+
+const sheet = await getSheet('/blocks/edit/da-metadata/da-metadata.css');
+
+export default class DaMetadata extends LitElement {
+  static properties = {
+    open: { attribute: false },
+    details: { attribute: false },
+    permissions: { attribute: false },
+    _fields: { state: true },
+    _values: { state: true },
+    _errors: { state: true },
+  };
+
+  constructor() {
+    super();
+    this._fields = [];
+    this._values = {};
+    this._errors = [];
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.shadowRoot.adoptedStyleSheets = [sheet];
+  }
+
+  get _canWrite() {
+    return this.permissions?.some((permission) => permission === 'write');
+  }
+
+  async loadFields() {
+    this._fields = await getMetadataSchema(this.details);
+    this.refresh();
+  }
+
+  refresh() {
+    if (!window.view) return;
+    this._values = getMetadataValues(window.view.state.doc);
+    this._errors = validateMetadata(this._fields, this._values);
+  }
+
+  setValue(field, value) {
+    if (!window.view) return;
+    setMetadataValue(window.view, field.key, value.trim(), field.type);
+    this.refresh();
+  }
+
+  handleMulti(field, option, checked) {
+    const values = splitMulti(this._values[field.key]).filter((item) => item !== option);
+    if (checked) values.push(option);
+    // Keep the order of the options
+    const ordered = field.options.filter((item) => values.includes(item));
+    const unknown = values.filter((item) => !field.options.includes(item));
+    this.setValue(field, joinMulti([...ordered, ...unknown]));
+  }
+
+  handleClose() {
+    const opts = { bubbles: true, composed: true };
+    const event = new CustomEvent('close', opts);
+    this.dispatchEvent(event);
+  }
+
+  update(props) {
+    if (props.has('open') && this.open) this.loadFields();
+    super.update(props);
+  }
+
+  renderInput(field, value) {
+    const disabled = !this._canWrite;
+    const onChange = (e) => this.setValue(field, e.target.value);
+
+    if (field.type === 'enum') {
+      return html`
+        <select id="${field.key}" ?disabled=${disabled} @change=${onChange}>
+          <option value="" ?selected=${!value}></option>
+          ${field.options.map((option) => html`
+            <option value="${option}" ?selected=${option === value}>${option}</option>`)}
+        </select>`;
+    }
+
+    if (field.type === 'multi-select' && field.options.length) {
+      const selected = splitMulti(value);
+      return html`
+        <div class="da-metadata-options" id="${field.key}">
+          ${field.options.map((option) => html`
+            <label>
+              <input
+                type="checkbox"
+                ?disabled=${disabled}
+                .checked=${selected.includes(option)}
+                @change=${(e) => this.handleMulti(field, option, e.target.checked)} />
+              ${option}
+            </label>`)}
+        </div>`;
+    }
+
+    const types = { date: 'date', url: 'url', image: 'url' };
+    return html`
+      <input
+        id="${field.key}"
+        type="${types[field.type] || 'text'}"
+        .value=${value || ''}
+        ?disabled=${disabled}
+        @change=${onChange} />
+      ${field.type === 'image' && value ? html`<img class="da-metadata-image" src="${value}" alt="" />` : nothing}`;
+  }
+
+  renderField(field) {
+    const value = this._values[field.key];
+    const error = this._errors.find((err) => err.key === field.key);
+    return html`
+      <div class="da-metadata-field ${error ? 'has-error' : ''}">
+        <label for="${field.key}">${field.label}${field.required ? html`<span class="da-metadata-required">*</span>` : nothing}</label>
+        ${this.renderInput(field, value)}
+        ${error ? html`<p class="da-metadata-error">${error.message}</p>` : nothing}
+      </div>
+    `;
+  }
+
+  render() {
+    const known = this._fields.map((field) => field.key);
+    const others = Object.keys(this._values)
+      .filter((key) => !known.includes(key))
+      .map((key) => ({ key, label: key, type: 'text', options: [] }));
+
+    return html`
+      <div class="da-metadata-panel">
+        <p class="da-metadata-title">
+          <button class="da-metadata-close-btn" @click=${this.handleClose} aria-label="Close metadata pane">Metadata</button>
+        </p>
+        ${this._fields.length ? nothing : html`
+          <p class="da-metadata-empty">Add a metadata-schema sheet to the site config to describe the fields of this page.</p>`}
+        <form class="da-metadata-form" @submit=${(e) => e.preventDefault()}>
+          ${this._fields.map((field) => this.renderField(field))}
+          ${others.length ? html`
+            <p class="da-metadata-subtitle">Other metadata</p>
+            ${others.map((field) => this.renderField(field))}` : nothing}
+        </form>
+      </div>
+    `;
+  }
+}
+
+customElements.define('da-metadata', DaMetadata);
@@ -0,0 +1,223 @@
+import { DOMParser as ProseParser } from 'da-y-wrapper';
+import { fetchDaConfigs } from '../../shared/utils.js';
+
+export const FIELD_TYPES = ['text', 'date', 'enum', 'multi-select', 'url', 'image'];
+
+const SCHEMA_SHEET = 'metadata-schema';
+const MULTI_SEPARATOR = ', ';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function findMetadataTable(doc) {
+  let result = null;
+  doc.descendants((node, pos) => {
+    if (node.type.name === 'table') {
+      const firstCell = node.firstChild?.firstChild;
+      if (firstCell?.textContent.toLowerCase().trim() === 'metadata') {
+        result = { node, pos };
+        return false;
+      }
+    }
+    return true;
+  });
+  return result;
+}
+
+function getCellValue(cell) {
+  if (!cell) return null;
+  let src;
+  cell.descendants((node) => {
+    if (src) return false;
+    if (node.type.name === 'image') src = node.attrs.src;
+    return true;
+  });
+  return src || cell.textContent.trim() || null;
+}
+
+export function findMetadataRow(doc, key) {
+  const metadata = findMetadataTable(doc);
+  if (!metadata) return null;
+
+  const { node: table, pos: tablePos } = metadata;
+  let rowOffset = 1; // Start after the table opening
+
+  for (let i = 0; i < table.childCount; i += 1) {
+    const row = table.child(i);
+    const firstCell = row.firstChild;
+    if (firstCell?.textContent.trim() === key) {
+      const secondCell = row.childCount > 1 ? row.child(1) : null;
+      return {
+        row,
+        pos: tablePos + rowOffset,
+        value: secondCell?.textContent.trim() || null,
+      };
+    }
+    rowOffset += row.nodeSize;
+  }
+  return null;
+}
+
+/**
+ * Get every key and value of the metadata table.
+ * @param {Node} doc - The ProseMirror doc
+ * @returns {Object} The values by key
+ */
+export function getMetadataValues(doc) {
+  const metadata = findMetadataTable(doc);
+  if (!metadata) return {};
+  const values = {};
+  metadata.node.forEach((row, _offset, idx) => {
+    if (idx === 0 || row.childCount < 2) return;
+    const key = row.firstChild.textContent.trim();
+    if (key) values[key] = getCellValue(row.child(1));
+  });
+  return values;
+}
+
+export function splitMulti(value) {
+  return value ? value.split(/\s*,\s*/).filter(Boolean) : [];
+}
+
+export function joinMulti(values) {
+  return values.join(MULTI_SEPARATOR);
+}
+
+function createCell(content, type) {
+  const td = document.createElement('td');
+  const para = document.createElement('p');
+  if (type === 'image' && content) {
+    const img = document.createElement('img');
+    img.src = content;
+    para.append(img);
+  } else {
+    para.textContent = content;
+  }
+  td.append(para);
+  return td;
+}
+
+// Build the nodes with the DOM so values are never parsed as HTML
+function createTable(schema, rows) {
+  const table = document.createElement('table');
+  const header = document.createElement('tr');
+  const title = createCell('metadata');
+  title.colSpan = 2;
+  header.append(title);
+  table.append(header);
+  rows.forEach(({ key, value, type }) => {
+    const tr = document.createElement('tr');
+    tr.append(createCell(key), createCell(value, type));
+    table.append(tr);
+  });
+  const div = document.createElement('div');
+  div.append(table);
+  return ProseParser.fromSchema(schema).parse(div).firstChild;
+}
+
+/**
+ * Write a value to the metadata table. The row is added when missing,
+ * removed when the value is empty, and the table is created when needed.
+ * @param {EditorView} view - The editor view
+ * @param {String} key - The metadata key
+ * @param {String} value - The value to write
+ * @param {String} type - The field type
+ */
+export function setMetadataValue(view, key, value, type) {
+  const { state } = view;
+  const { schema, tr } = state;
+  const metadata = findMetadataTable(state.doc);
+  const existingRow = findMetadataRow(state.doc, key);
+
+  if (!value) {
+    if (!existingRow) return;
+    if (metadata.node.childCount === 2) {
+      // Only header row + this row, delete the entire table
+      tr.delete(metadata.pos, metadata.pos + metadata.node.nodeSize);
+    } else {
+      tr.delete(existingRow.pos, existingRow.pos + existingRow.row.nodeSize);
+    }
+    view.dispatch(tr);
+    return;
+  }
+
+  const table = createTable(schema, [{ key, value, type }]);
+  if (existingRow) {
+    tr.replaceWith(existingRow.pos, existingRow.pos + existingRow.row.nodeSize, table.child(1));
+  } else if (metadata) {
+    tr.insert(metadata.pos + metadata.node.nodeSize - 1, table.child(1));
+  } else {
+    tr.insert(state.doc.content.size, table);
+  }
+  view.dispatch(tr);
+}
+
+function parseRequired(value) {
+  return ['true', 'yes', 'x'].includes(`${value || ''}`.trim().toLowerCase());
+}
+
+/**
+ * Get the metadata fields of the site. Site fields win over org fields.
+ * Schema sheet columns: key, label, type, options (comma separated), required
+ * @returns {Promise<Array>} The fields
+ */
+export async function getMetadataSchema({ org, site }) {
+  const [orgConfig, siteConfig] = await Promise.all(fetchDaConfigs({ org, site }));
+  const rows = (siteConfig?.[SCHEMA_SHEET] || orgConfig?.[SCHEMA_SHEET])?.data || [];
+  return rows.filter((row) => row.key).map((row) => ({
+    key: row.key.trim(),
+    label: row.label || row.key,
+    type: FIELD_TYPES.includes(row.type) ? row.type : 'text',
+    options: splitMulti(row.options),
+    required: parseRequired(row.required),
+  }));
+}
+
+function isUrl(value) {
+  try {
+    return !!new URL(value, window.location.origin);
+  } catch {
+    return false;
+  }
+}
+
+function getFieldError(field, value) {
+  if (!value) return field.required ? 'Required' : null;
+  if (field.type === 'date' && (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+    return 'Use the format YYYY-MM-DD';
+  }
+  if ((field.type === 'url' || field.type === 'image') && !isUrl(value)) {
+    return 'Not a valid URL';
+  }
+  if (field.type === 'enum' && field.options.length && !field.options.includes(value)) {
+    return `Must be one of: ${joinMulti(field.options)}`;
+  }
+  if (field.type === 'multi-select' && field.options.length) {
+    const invalid = splitMulti(value).filter((item) => !field.options.includes(item));
+    if (invalid.length) return `Unknown values: ${joinMulti(invalid)}`;
+  }
+  return null;
+}
+
+/**
+ * Check the metadata values against the schema.
+ * @param {Array} fields - The fields from getMetadataSchema
+ * @param {Object} values - The values from getMetadataValues
+ * @returns {Array} The errors ({ key, label, message })
+ */
+export function validateMetadata(fields, values) {
+  return fields.reduce((acc, field) => {
+    const message = getFieldError(field, values[field.key]);
+    if (message) acc.push({ key: field.key, label: field.label, message });
+    return acc;
+  }, []);
+}
+
+/**
+ * Get the errors of the current document's metadata.
+ * @param {Object} details - The path details of the document
+ * @returns {Promise<Array>} The errors, empty when valid or without a schema
+ */
+export async function getMetadataErrors(details) {
+  if (!window.view) return [];
+  const fields = await getMetadataSchema(details);
+  return validateMetadata(fields, getMetadataValues(window.view.state.doc));
+}
@@ -0,0 +1,142 @@
+import { LitElement, html, nothing } from 'da-lit';
+import getSheet from '../../shared/sheet.js';
+import { selectSource } from '../prose/plugins/previewSync.js';
+import { getOutline, moveSection, moveNode } from './helpers.js';
+
+const sheet = await getSheet('/blocks/edit/da-outline/da-outline.css');
+
+export default class DaOutline extends LitElement {
+  static properties = {
+    open: { attribute: false },
+    permissions: { attribute: false },
+    _sections: { state: true },
+    _drag: { state: true },
+    _over: { state: true },
+  };
+
+  constructor() {
+    super();
+    this._sections = [];
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.shadowRoot.adoptedStyleSheets = [sheet];
+  }
+
+  get _canWrite() {
+    return this.permissions?.some((permission) => permission === 'write');
+  }
+
+  refresh() {
+    if (!this.open || !window.view) return;
+    this._sections = getOutline(window.view.state.doc);
+  }
+
+  update(props) {
+    if (props.has('open') && this.open) this.refresh();
+    super.update(props);
+  }
+
+  handleClose() {
+    const opts = { bubbles: true, composed: true };
+    const event = new CustomEvent('close', opts);
+    this.dispatchEvent(event);
+  }
+
+  scrollTo(pos) {
+    if (!window.view) return;
+    selectSource(window.view, pos);
+  }
+
+  handleDragStart(e, drag) {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', drag.type);
+    this._drag = drag;
+  }
+
+  handleDragOver(e, key) {
+    if (!this._drag) return;
+    e.preventDefault();
+    this._over = key;
+  }
+
+  handleDragEnd() {
+    this._drag = null;
+    this._over = null;
+  }
+
+  handleDrop(e, index, item) {
+    e.preventDefault();
+    const drag = this._drag;
+    this.handleDragEnd();
+    if (!drag || !window.view) return;
+
+    const { state } = window.view;
+    let tr;
+    if (drag.type === 'section') {
+      tr = moveSection(state, drag.index, index);
+    } else if (item) {
+      // Blocks take the place of the item they are dropped on
+      const target = item.pos > drag.pos ? item.pos + item.size : item.pos;
+      tr = moveNode(state, drag.pos, target);
+    } else {
+      tr = moveNode(state, drag.pos, this._sections[index].to);
+    }
+    if (!tr) return;
+    window.view.dispatch(tr.scrollIntoView());
+    this.refresh();
+  }
+
+  renderItem(item, index) {
+    const key = `${index}-${item.pos}`;
+    const draggable = this._canWrite && item.type === 'block';
+    return html`
+      <li
+        class="da-outline-item is-${item.type} ${item.level ? `is-h${item.level}` : ''} ${this._over === key ? 'is-over' : ''}"
+        draggable=${draggable ? 'true' : 'false'}
+        @dragstart=${(e) => this.handleDragStart(e, { type: 'block', pos: item.pos })}
+        @dragover=${(e) => this.handleDragOver(e, key)}
+        @dragend=${this.handleDragEnd}
+        @drop=${(e) => this.handleDrop(e, index, item)}>
+        <button @click=${() => this.scrollTo(item.pos)}>${item.title}</button>
+      </li>`;
+  }
+
+  renderSection(section, index) {
+    const key = `${index}`;
+    const { items, diffs, nodes } = section;
+    return html`
+      <li class="da-outline-section ${this._over === key ? 'is-over' : ''}">
+        <p
+          class="da-outline-section-title"
+          draggable=${this._canWrite ? 'true' : 'false'}
+          @dragstart=${(e) => this.handleDragStart(e, { type: 'section', index })}
+          @dragover=${(e) => this.handleDragOver(e, key)}
+          @dragend=${this.handleDragEnd}
+          @drop=${(e) => this.handleDrop(e, index)}>
+          <button ?disabled=${!nodes.length} @click=${() => this.scrollTo(section.from)}>Section ${index + 1}</button>
+          ${diffs ? html`<span class="da-outline-diffs" title="Pending localization changes">${diffs}</span>` : nothing}
+        </p>
+        ${items.length ? html`
+          <ul class="da-outline-items">
+            ${items.map((item) => this.renderItem(item, index))}
+          </ul>` : nothing}
+      </li>`;
+  }
+
+  render() {
+    return html`
+      <div class="da-outline-panel">
+        <p class="da-outline-title">
+          <button class="da-outline-close-btn" @click=${this.handleClose} aria-label="Close outline pane">Outline</button>
+        </p>
+        <ul class="da-outline-sections">
+          ${this._sections.map((section, index) => this.renderSection(section, index))}
+        </ul>
+      </div>
+    `;
+  }
+}
+
+customElements.define('da-outline', DaOutline);
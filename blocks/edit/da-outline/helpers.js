@@ -0,0 +1,114 @@
+const DIFF_TYPES = ['diff_added', 'diff_deleted'];
+
+// A --- paragraph becomes a section break like an hr does
+function isSeparator(node) {
+  if (node.type.name === 'horizontal_rule') return true;
+  return node.type.name === 'paragraph' && node.textContent.trim() === '---';
+}
+
+// A pair of upstream and local versions is one pending change
+function isChange(node, next) {
+  if (!DIFF_TYPES.includes(node.type.name)) return false;
+  return !(next && DIFF_TYPES.includes(next.type.name) && next.type !== node.type);
+}
+
+function countDiffs(node) {
+  let count = 0;
+  node.descendants((child, pos, parent, index) => {
+    if (!DIFF_TYPES.includes(child.type.name)) return true;
+    if (isChange(child, parent.maybeChild(index + 1))) count += 1;
+    return false;
+  });
+  return count;
+}
+
+function getItem(node, pos) {
+  const { name } = node.type;
+  if (name === 'table') {
+    // The first row names the block, the same text prose2aem uses for its classes
+    const title = node.firstChild?.textContent.trim() || 'Block';
+    return { type: 'block', title, pos, size: node.nodeSize };
+  }
+  if (name === 'heading') {
+    const title = node.textContent.trim();
+    if (!title) return null;
+    return { type: 'heading', level: node.attrs.level, title, pos, size: node.nodeSize };
+  }
+  return null;
+}
+
+function getSection(separator, from) {
+  return {
+    separator,
+    from,
+    to: from,
+    nodes: [],
+    items: [],
+    diffs: 0,
+  };
+}
+
+/**
+ * List the sections of a document with their blocks and headings.
+ * @param {Node} doc - The document
+ * @returns {Array} The sections with their content range, items and pending diff count
+ */
+export function getOutline(doc) {
+  const sections = [getSection(null, 0)];
+  doc.forEach((node, offset, index) => {
+    if (isSeparator(node)) {
+      sections.push(getSection(node, offset + node.nodeSize));
+      return;
+    }
+    const section = sections[sections.length - 1];
+    section.nodes.push(node);
+    section.to = offset + node.nodeSize;
+    section.diffs += isChange(node, doc.maybeChild(index + 1)) ? 1 : countDiffs(node);
+    const item = getItem(node, offset);
+    if (item) section.items.push(item);
+  });
+  return sections;
+}
+
+/**
+ * Move a section to a new index, separators stay where they are.
+ * @param {EditorState} state - The editor state
+ * @param {Number} from - The index of the section to move
+ * @param {Number} to - The index the section should have
+ * @returns {Transaction|null} The transaction, null if nothing moves
+ */
+export function moveSection(state, from, to) {
+  const sections = getOutline(state.doc);
+  if (from === to || !sections[from] || !sections[to]) return null;
+
+  const lo = Math.min(from, to);
+  const hi = Math.max(from, to);
+  const order = sections.slice(lo, hi + 1);
+  const [moved] = order.splice(from - lo, 1);
+  order.splice(to - lo, 0, moved);
+
+  const nodes = order.reduce((acc, section, idx) => {
+    if (idx) acc.push(sections[lo + idx].separator);
+    acc.push(...section.nodes);
+    return acc;
+  }, []);
+
+  return state.tr.replaceWith(sections[lo].from, sections[hi].to, nodes);
+}
+
+/**
+ * Move a top level node before or after another position.
+ * @param {EditorState} state - The editor state
+ * @param {Number} pos - The position of the node to move
+ * @param {Number} target - The position to move the node to
+ * @returns {Transaction|null} The transaction, null if nothing moves
+ */
+export function moveNode(state, pos, target) {
+  const node = state.doc.nodeAt(pos);
+  if (!node || (target >= pos && target <= pos + node.nodeSize)) return null;
+
+  const { tr } = state;
+  tr.delete(pos, pos + node.nodeSize);
+  tr.insert(tr.mapping.map(target), node);
+  return tr;
+}
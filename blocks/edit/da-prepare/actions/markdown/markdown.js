@@ -0,0 +1,70 @@
+import { LitElement, html } from 'da-lit';
+import getSheet from '../../../../shared/sheet.js';
+import { daFetch } from '../../../../shared/utils.js';
+import { html2md } from '../../../../shared/markdown.js';
+
+const sheet = await getSheet(import.meta.url.replace('js', 'css'));
+
+class DaMarkdown extends LitElement {
+  static properties = {
+    details: { attribute: false },
+    _markdown: { state: true },
+    _statusText: { state: true },
+  };
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.shadowRoot.adoptedStyleSheets = [sheet];
+    this.loadMarkdown();
+  }
+
+  async loadMarkdown() {
+    this._statusText = 'Converting';
+    const resp = await daFetch(this.details.sourceUrl);
+    if (!resp.ok) {
+      this._statusText = 'Couldn\'t load the document.';
+      return;
+    }
+    this._markdown = html2md(await resp.text());
+    this._statusText = undefined;
+  }
+
+  get _filename() {
+    return `${this.details.name || 'index'}.md`;
+  }
+
+  async handleCopy() {
+    await navigator.clipboard.writeText(this._markdown);
+    this._statusText = 'Copied';
+  }
+
+  handleDownload() {
+    const blob = new Blob([this._markdown], { type: 'text/markdown' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = this._filename;
+    a.click();
+    // Revoking right away can cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  render() {
+    return html`
+      <textarea class="markdown" readonly aria-label="Markdown" .value=${this._markdown || ''}></textarea>
+      <div class="footer">
+        <p class="status-text">${this._statusText}</p>
+        <div class="footer-actions">
+          <sl-button class="primary outline" @click=${this.handleCopy} ?disabled=${!this._markdown}>Copy</sl-button>
+          <sl-button @click=${this.handleDownload} ?disabled=${!this._markdown}>Download</sl-button>
+        </div>
+      </div>`;
+  }
+}
+
+customElements.define('da-markdown', DaMarkdown);
+
+export default function render(details) {
+  const cmp = document.createElement('da-markdown');
+  cmp.details = details;
+  return cmp;
+}
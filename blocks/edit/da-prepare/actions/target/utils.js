@@ -1,6 +1,7 @@
 import { DOMParser as ProseParser } from 'da-y-wrapper';
 import { DA_ORIGIN } from '../../../../shared/constants.js';
 import { daFetch, aemAdmin, etcFetch, getFirstSheet } from '../../../../shared/utils.js';
+import { findMetadataRow, findMetadataTable } from '../../../da-metadata/helpers.js';
 import { deleteOffer, getAccessToken, getOffer, saveOffer } from './api.js';
 
 const TARGET_CONFIG_PATH = '/.da/adobe-target.json';
@@ -11,44 +12,6 @@ function parseHtml(schema, html) {
   return ProseParser.fromSchema(schema).parse(div);
 }
 
-function findMetadataTable(doc) {
-  let result = null;
-  doc.descendants((node, pos) => {
-    if (node.type.name === 'table') {
-      const firstCell = node.firstChild?.firstChild;
-      if (firstCell?.textContent.toLowerCase().trim() === 'metadata') {
-        result = { node, pos };
-        return false;
-      }
-    }
-    return true;
-  });
-  return result;
-}
-
-function findMetadataRow(doc, key) {
-  const metadata = findMetadataTable(doc);
-  if (!metadata) return null;
-
-  const { node: table, pos: tablePos } = metadata;
-  let rowOffset = 1; // Start after the table opening
-
-  for (let i = 0; i < table.childCount; i += 1) {
-    const row = table.child(i);
-    const firstCell = row.firstChild;
-    if (firstCell?.textContent.trim() === key) {
-      const secondCell = row.childCount > 1 ? row.child(1) : null;
-      return {
-        row,
-        pos: tablePos + rowOffset,
-        value: secondCell?.textContent.trim() || null,
-      };
-    }
-    rowOffset += row.nodeSize;
-  }
-  return null;
-}
-
 function getOfferId() {
   const { view } = window;
   if (!view) return null;
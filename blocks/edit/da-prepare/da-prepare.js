@@ -21,6 +21,11 @@ const OOTB_ACTIONS = [
     render: async (details) => (await import('./actions/unpublish/unpublish.js')).default(details),
     icon: '/blocks/edit/img/S2_Icon_PublishNo_20_N.svg#S2_Icon_PublishNo',
   },
+  {
+    title: 'Export as Markdown',
+    render: async (details) => (await import('./actions/markdown/markdown.js')).default(details),
+    icon: '/blocks/edit/img/S2_Icon_FileText_20_N.svg#S2_Icon_FileText',
+  },
   {
     title: 'Send to Adobe Target',
     render: async (details) => (await import('./actions/target/target.js')).default(details),
@@ -0,0 +1,150 @@
+import { LitElement, html, nothing } from 'da-lit';
+
+import getSheet from '../../shared/sheet.js';
+
+const sheet = await getSheet('/blocks/edit/da-preview/da-preview-frame.css');
+
+/**
+ * A single live preview iframe.
+ * The body is pushed over a MessageChannel once dapreview.js answers ready:
+ * - { set: 'body', body } replaces the body
+ * - { set: 'scroll', selector } scrolls the element into view
+ * - { set: 'preferences', colorScheme, reducedMotion } emulates user preferences
+ * - { set: 'highlight', source } outlines the element with data-da-source={source}
+ * A click in the preview answers with { source } to select the node in the editor.
+ */
+export default class DaPreviewFrame extends LitElement {
+  static properties = {
+    src: { type: String },
+    size: { attribute: false },
+    scale: { attribute: false },
+    body: { attribute: false },
+    preferences: { attribute: false },
+    syncScroll: { attribute: false },
+    highlight: { attribute: false },
+    _updating: { state: true },
+    _message: { state: true },
+  };
+
+  constructor() {
+    super();
+    this.scale = 1;
+    this._updating = true;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.shadowRoot.adoptedStyleSheets = [sheet];
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearInterval(this.interval);
+    this.port1?.close();
+  }
+
+  updated(props) {
+    if (!this.initialized) return;
+    if (props.has('preferences')) this.sendPreferences();
+    if (props.has('body') && this.body) this.sendPreview();
+    if (props.has('highlight')) this.sendHighlight();
+  }
+
+  sendPreview() {
+    this._updating = true;
+    this.port1.postMessage({ set: 'body', body: this.body });
+    if (this.syncScroll) this.port1.postMessage({ set: 'scroll', selector: '#da-cursor-position' });
+  }
+
+  sendHighlight() {
+    this.port1.postMessage({ set: 'highlight', source: this.highlight ?? null });
+  }
+
+  sendPreferences() {
+    if (!this.preferences) return;
+    this.port1.postMessage({ set: 'preferences', ...this.preferences });
+  }
+
+  handleFirstLoad({ target }) {
+    const channel = new MessageChannel();
+    this.port1 = channel.port1;
+    this.port2 = channel.port2;
+
+    // attempt to send a message
+    target.contentWindow.postMessage({ ready: true }, '*', [this.port2]);
+
+    // Use port 1 to receive messages
+    this.port1.onmessage = (e) => {
+      if (e.data.ready) {
+        // If other side is ready, set initalized
+        this.initialized = true;
+
+        // Send the first preview
+        this.sendPreferences();
+        if (this.body) this.sendPreview();
+      }
+      // If the other side has been updated remove the updating screen
+      if (e.data.updated) {
+        setTimeout(() => { this._updating = false; }, 100);
+      }
+      // An element of the preview was clicked
+      if (e.data.source !== undefined) {
+        const opts = { detail: Number(e.data.source), bubbles: true, composed: true };
+        this.dispatchEvent(new CustomEvent('sourceclick', opts));
+      }
+    };
+  }
+
+  iframeLoaded({ target }) {
+    // Do nothing if there is no source
+    if (!target.src) return;
+
+    // Reset iframe initialization
+    this.initialized = false;
+    clearInterval(this.interval);
+
+    // Poll for dapreview.js to respond back
+    let count = 0;
+    this.interval = setInterval(() => {
+      count += 1;
+      if (this.initialized) {
+        // Reset any previous messages
+        this._message = null;
+        clearInterval(this.interval);
+        return;
+      }
+      // Give up after 6 attempts
+      if (count > 6) {
+        this._message = {
+          url: 'https://docs.da.live/authors/reference/live-preview',
+          text: 'Could not load live preview',
+        };
+        clearInterval(this.interval);
+        return;
+      }
+      this.handleFirstLoad({ target });
+    }, 500);
+  }
+
+  render() {
+    const { width, height } = this.size;
+    return html`
+      <div class="iframe-scaler" style="width: ${width * this.scale}px; height: ${height * this.scale}px;">
+        <div
+          class="iframe-wrapper ${this._updating ? 'is-updating' : ''}"
+          style="width: ${width}px; height: ${height}px; transform: scale(${this.scale});">
+          <div class="iframe-overlay">
+            ${this._message ? html`
+              <a href=${this._message.url}>${this._message.text}</a>` : nothing}</div>
+          <iframe
+            src="${this.src}"
+            @load=${this.iframeLoaded}
+            style="width: ${width}px; height: ${height}px;"
+            allow="clipboard-write *"></iframe>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('da-preview-frame', DaPreviewFrame);
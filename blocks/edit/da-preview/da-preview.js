@@ -1,36 +1,90 @@
 import { LitElement, html, nothing } from 'da-lit';
 
 import getSheet from '../../shared/sheet.js';
-import { getHtmlWithCursor } from '../../shared/prose2aem.js';
+import { DIFF_VARIANTS, getHtmlWithCursor } from '../../shared/prose2aem.js';
+import './da-preview-frame.js';
 
 const sheet = await getSheet('/blocks/edit/da-preview/da-preview.css');
 
 // https://gs.statcounter.com/screen-resolution-stats
 const SIZES = {
-  mobile: { width: '375px', height: '729px' },
-  tablet: { width: '1024px', height: '768px' },
-  laptop: { width: '1280px', height: '720px' },
-  desktop: { width: '1920px', height: '1080px' },
+  mobile: { width: 375, height: 729 },
+  tablet: { width: 1024, height: 768 },
+  laptop: { width: 1280, height: 720 },
+  desktop: { width: 1920, height: 1080 },
 };
 
+const GRID_DEFAULTS = ['mobile', 'tablet', 'laptop'];
+const GRID_FRAME_WIDTH = 480;
+
+const VARIANT_LABELS = { merged: 'Merged', local: 'Local', upstream: 'Upstream' };
+
+function hasDiffs(doc) {
+  let found = false;
+  doc.descendants((node) => {
+    if (found) return false;
+    found = node.type.name === 'diff_added' || node.type.name === 'diff_deleted';
+    return !found;
+  });
+  return found;
+}
+
+function getPresetsKey(path) {
+  return `da-preview-presets-${new URL(path).hostname}`;
+}
+
+/**
+ * Get the grid presets of a site.
+ * @param {String} path - The preview URL
+ * @returns {Object} The custom sizes and the selected preset names
+ */
+export function getPresets(path) {
+  const defaults = { custom: [], selected: GRID_DEFAULTS };
+  try {
+    const stored = JSON.parse(localStorage.getItem(getPresetsKey(path)));
+    return { ...defaults, ...stored };
+  } catch {
+    return defaults;
+  }
+}
+
+export function setPresets(path, presets) {
+  localStorage.setItem(getPresetsKey(path), JSON.stringify(presets));
+}
+
 export default class DaPreview extends LitElement {
   static properties = {
     path: { type: String },
     show: { attribute: false },
     lockdownImages: { attribute: false },
     _size: { state: true },
-    _updating: { state: true },
-    _message: { state: true },
+    _body: { state: true },
+    _grid: { state: true },
+    _presets: { state: true },
+    _preferences: { state: true },
+    _highlight: { state: true },
+    _variant: { state: true },
+    _hasDiffs: { state: true },
   };
 
+  constructor() {
+    super();
+    this._preferences = { colorScheme: 'light', reducedMotion: 'no-preference' };
+    this._variant = 'merged';
+  }
+
   connectedCallback() {
     super.connectedCallback();
     this.shadowRoot.adoptedStyleSheets = [sheet];
-    this._updating = true;
     this._size = SIZES.mobile;
     this.setBody();
   }
 
+  update(props) {
+    if (props.has('path') && this.path) this._presets = getPresets(this.path);
+    super.update(props);
+  }
+
   handleView({ key }) {
     // If no key, close the preview
     if (!key) {
@@ -40,6 +94,9 @@ export default class DaPreview extends LitElement {
       return;
     }
 
+    this._grid = key === 'grid';
+    if (this._grid) return;
+
     // Otherwise, set the size
     this._size = SIZES[key];
   }
@@ -47,74 +104,67 @@ export default class DaPreview extends LitElement {
   setBody() {
     if (!window.view) return;
 
-    // Always cache the body for future use
-    this.body = getHtmlWithCursor(window.view, this.lockdownImages);
-
-    // If initialized, send the preview to the iframe
-    if (this.initialized && this.body) this.sendPreview();
+    // Always cache the body, the frames send it when they are ready
+    this._body = getHtmlWithCursor(window.view, this.lockdownImages, this._variant);
+    this._hasDiffs = hasDiffs(window.view.state.doc);
   }
 
-  sendPreview() {
-    this._updating = true;
-    this.port1.postMessage({ set: 'body', body: this.body });
+  setVariant(variant) {
+    this._variant = variant;
+    this.setBody();
   }
 
-  handleFirstLoad({ target }) {
-    const channel = new MessageChannel();
-    this.port1 = channel.port1;
-    this.port2 = channel.port2;
+  highlight(pos) {
+    this._highlight = pos;
+  }
 
-    // attempt to send a message
-    target.contentWindow.postMessage({ ready: true }, '*', [this.port2]);
+  async handleSourceClick({ detail }) {
+    if (!window.view) return;
+    const { selectSource } = await import('../prose/plugins/previewSync.js');
+    selectSource(window.view, detail);
+  }
 
-    // Use port 1 to receive messages
-    this.port1.onmessage = (e) => {
-      if (e.data.ready) {
-        // If other side is ready, set initalized
-        this.initialized = true;
+  get _allPresets() {
+    const ootb = Object.keys(SIZES).map((name) => ({ name, ...SIZES[name] }));
+    const custom = this._presets.custom.map((size) => ({ ...size, custom: true }));
+    return [...ootb, ...custom];
+  }
 
-        // Send the first preview
-        this.sendPreview();
-      }
-      // If the other side has been updated remove the updating screen
-      if (e.data.updated) {
-        setTimeout(() => { this._updating = false; }, 100);
-      }
-    };
+  savePresets(presets) {
+    this._presets = presets;
+    setPresets(this.path, presets);
   }
 
-  iframeLoaded({ target }) {
-    // Do nothing if there is no source
-    if (!target.src) return;
+  togglePreset(name, checked) {
+    const selected = this._presets.selected.filter((item) => item !== name);
+    if (checked) selected.push(name);
+    // Keep the order of the presets
+    const order = this._allPresets.map((preset) => preset.name);
+    selected.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+    this.savePresets({ ...this._presets, selected });
+  }
 
-    // Reset iframe initialization
-    this.initialized = false;
+  handleAddPreset(e) {
+    e.preventDefault();
+    const data = new FormData(e.target);
+    const width = Number(data.get('width'));
+    const height = Number(data.get('height')) || Math.round(width * 0.75);
+    if (!width) return;
+    const name = `${width}x${height}`;
+    if (this._allPresets.some((preset) => preset.name === name)) return;
+    const custom = [...this._presets.custom, { name, width, height }];
+    this.savePresets({ custom, selected: [...this._presets.selected, name] });
+    e.target.reset();
+  }
 
-    // Poll for dapreview.js to respond back
-    let count = 0;
-    const interval = setInterval(() => {
-      count += 1;
-      if (this.initialized) {
-        // Reset any previous messages
-        this._message = null;
-        clearInterval(interval);
-        return;
-      }
-      // Give up after 6 attempts
-      if (count > 6) {
-        this._message = {
-          url: 'https://docs.da.live/authors/reference/live-preview',
-          text: 'Could not load live preview',
-        };
-        clearInterval(interval);
-        return;
-      }
-      this.handleFirstLoad({ target });
-    }, 500);
+  removePreset(name) {
+    const custom = this._presets.custom.filter((preset) => preset.name !== name);
+    const selected = this._presets.selected.filter((item) => item !== name);
+    this.savePresets({ custom, selected });
   }
 
-  get iframe() {
-    return this.shadowRoot.querySelector('iframe');
+  setPreference(key, value) {
+    this._preferences = { ...this._preferences, [key]: value };
   }
 
   get _source() {
@@ -130,6 +180,90 @@ export default class DaPreview extends LitElement {
     return `${src}?dapreview=${ref}&martech=off`;
   }
 
+  renderFrame(size, scale = 1) {
+    return html`
+      <da-preview-frame
+        src="${this._source}"
+        .size=${size}
+        .scale=${scale}
+        .body=${this._body}
+        .preferences=${this._preferences}
+        .syncScroll=${this._grid}
+        .highlight=${this._highlight}
+        @sourceclick=${this.handleSourceClick}></da-preview-frame>`;
+  }
+
+  renderVariants() {
+    if (!this._hasDiffs) return nothing;
+    return html`
+      <div class="da-preview-variants" role="group" aria-label="Localization preview">
+        ${DIFF_VARIANTS.map((variant) => html`
+          <button
+            class="da-preview-variant ${this._variant === variant ? 'is-active' : ''}"
+            aria-pressed=${this._variant === variant}
+            @click=${() => this.setVariant(variant)}>${VARIANT_LABELS[variant]}</button>`)}
+      </div>`;
+  }
+
+  renderGridBar() {
+    const { colorScheme, reducedMotion } = this._preferences;
+    return html`
+      <div class="da-preview-grid-bar">
+        <ul class="da-preview-presets">
+          ${this._allPresets.map((preset) => html`
+            <li class="da-preview-preset">
+              <label>
+                <input
+                  type="checkbox"
+                  .checked=${this._presets.selected.includes(preset.name)}
+                  @change=${(e) => this.togglePreset(preset.name, e.target.checked)} />
+                ${preset.name}
+              </label>
+              ${preset.custom ? html`
+                <button
+                  class="da-preview-preset-remove"
+                  aria-label="Remove ${preset.name}"
+                  @click=${() => this.removePreset(preset.name)}></button>` : nothing}
+            </li>`)}
+        </ul>
+        <form class="da-preview-preset-form" @submit=${this.handleAddPreset}>
+          <input type="number" name="width" min="200" max="3840" placeholder="Width" aria-label="Width" required />
+          <input type="number" name="height" min="200" max="2160" placeholder="Height" aria-label="Height" />
+          <button type="submit">Add size</button>
+        </form>
+        <div class="da-preview-preferences">
+          <label>
+            <input
+              type="checkbox"
+              .checked=${colorScheme === 'dark'}
+              @change=${(e) => this.setPreference('colorScheme', e.target.checked ? 'dark' : 'light')} />
+            Dark mode
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              .checked=${reducedMotion === 'reduce'}
+              @change=${(e) => this.setPreference('reducedMotion', e.target.checked ? 'reduce' : 'no-preference')} />
+            Reduced motion
+          </label>
+        </div>
+      </div>`;
+  }
+
+  renderGrid() {
+    const presets = this._allPresets
+      .filter((preset) => this._presets.selected.includes(preset.name));
+    return html`
+      ${this.renderGridBar()}
+      <div class="da-preview-grid">
+        ${presets.map((preset) => html`
+          <div class="da-preview-grid-item">
+            <p class="da-preview-grid-label">${preset.name} <span>${preset.width} × ${preset.height}</span></p>
+            ${this.renderFrame(preset, Math.min(1, GRID_FRAME_WIDTH / preset.width))}
+          </div>`)}
+      </div>`;
+  }
+
   render() {
     return html`
       <div class="da-preview-menubar">
@@ -138,22 +272,14 @@ export default class DaPreview extends LitElement {
             class="da-preview-menuitem set-${key}"
             @click=${() => this.handleView({ key })}>
           </span>`)}
+        <span class="da-preview-menuitem set-grid" @click=${() => this.handleView({ key: 'grid' })}></span>
         <span class="da-preview-menuitem" @click=${this.handleView}></span>
       </div>
-      <div class="iframe-container">
-        <div
-          class="iframe-wrapper ${this._updating ? 'is-updating' : ''}"
-          style="width: ${this._size.width}; height: ${this._size.height};">
-          <div class="iframe-overlay">
-            ${this._message ? html`
-              <a href=${this._message.url}>${this._message.text}</a>` : nothing}</div>
-          <iframe
-            src="${this._source}"
-            @load=${this.iframeLoaded}
-            style="width: ${this._size.width}; height: ${this._size.height};"
-            allow="clipboard-write *"></iframe>
-        </div>
-      </div>
+      ${this.renderVariants()}
+      ${this._grid ? this.renderGrid() : html`
+        <div class="iframe-container">
+          ${this.renderFrame(this._size)}
+        </div>`}
     `;
   }
 }
@@ -0,0 +1,94 @@
+import { LitElement, html, nothing } from 'da-lit';
+import getSheet from '../../shared/sheet.js';
+import { daFetch } from '../../shared/utils.js';
+import roundTrip from '../utils/roundtrip.js';
+
+const sheet = await getSheet('/blocks/edit/da-roundtrip/da-roundtrip.css');
+
+/**
+ * Debug pane that loads the saved document and saves it again without
+ * any edits, listing what the editor would change. Shown with ?debug=roundtrip
+ */
+export default class DaRoundtrip extends LitElement {
+  static properties = {
+    open: { attribute: false },
+    path: { type: String },
+    _result: { state: true },
+    _error: { state: true },
+    _view: { state: true },
+  };
+
+  constructor() {
+    super();
+    this._view = 'diffs';
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.shadowRoot.adoptedStyleSheets = [sheet];
+  }
+
+  async check() {
+    this._result = null;
+    this._error = null;
+    const resp = await daFetch(this.path);
+    if (!resp.ok) {
+      this._error = `Could not load the document (${resp.status}).`;
+      return;
+    }
+    this._result = roundTrip(await resp.text());
+  }
+
+  handleClose() {
+    const opts = { bubbles: true, composed: true };
+    const event = new CustomEvent('close', opts);
+    this.dispatchEvent(event);
+  }
+
+  update(props) {
+    if (props.has('open') && this.open) this.check();
+    super.update(props);
+  }
+
+  renderDiffs() {
+    const { diffs } = this._result;
+    if (!diffs.length) return html`<p class="da-roundtrip-ok">No differences.</p>`;
+    return html`
+      <ul class="da-roundtrip-diffs">
+        ${diffs.map((diff) => html`
+          <li class="da-roundtrip-diff">
+            <p class="da-roundtrip-path"><span class="da-roundtrip-type">${diff.type}</span> ${diff.path}</p>
+            ${diff.expected !== null ? html`<pre class="is-expected">${diff.expected}</pre>` : nothing}
+            ${diff.actual !== null ? html`<pre class="is-actual">${diff.actual}</pre>` : nothing}
+          </li>`)}
+      </ul>`;
+  }
+
+  renderResult() {
+    if (this._error) return html`<p class="da-roundtrip-error">${this._error}</p>`;
+    if (!this._result) return html`<p class="da-roundtrip-loading">Checking…</p>`;
+    const views = ['diffs', 'expected', 'actual'];
+    return html`
+      <div class="da-roundtrip-views">
+        ${views.map((view) => html`
+          <button
+            class="${this._view === view ? 'is-active' : ''}"
+            @click=${() => { this._view = view; }}>${view}</button>`)}
+        <button @click=${this.check}>Run again</button>
+      </div>
+      ${this._view === 'diffs' ? this.renderDiffs() : html`<pre class="da-roundtrip-source">${this._result[this._view]}</pre>`}`;
+  }
+
+  render() {
+    return html`
+      <div class="da-roundtrip-panel">
+        <p class="da-roundtrip-title">
+          <button class="da-roundtrip-close-btn" @click=${this.handleClose} aria-label="Close round trip pane">Round trip</button>
+        </p>
+        ${this.open ? this.renderResult() : nothing}
+      </div>
+    `;
+  }
+}
+
+customElements.define('da-roundtrip', DaRoundtrip);
@@ -36,8 +36,10 @@ export default class DaTitle extends LitElement {
     permissions: { attribute: false },
     collabStatus: { attribute: false },
     collabUsers: { attribute: false },
+    unsyncedChanges: { attribute: false },
     previewPrefix: { attribute: false },
     livePrefix: { attribute: false },
+    byoEditor: { attribute: false },
     _lazyMods: { state: true },
     _configs: { state: true },
     _actions: { state: true },
@@ -199,6 +201,60 @@ export default class DaTitle extends LitElement {
     }
   }
 
+  /**
+   * Tell the user the offline copy of the doc did not match the server.
+   * @param {Object} opts
+   * @param {Boolean} opts.stale - The open doc holds the offline copy and must be reloaded
+   * @param {Boolean} opts.unsynced - Edits made offline were dropped
+   */
+  async setOfflineDialog({ stale, unsynced }) {
+    await import('../../shared/da-dialog/da-dialog.js');
+
+    const title = 'Document changed on the server';
+    const content = html`
+      <p>This document was rebuilt on the server since it was stored on this device.</p>
+      ${unsynced ? html`<p>The edits made while offline could not be merged and were not saved.</p>` : nothing}
+      ${stale ? html`<p>Reload to continue with the latest version.</p>` : nothing}
+    `;
+    // A stale doc cannot sync anymore, so it is always reloaded
+    const close = stale ? () => window.location.reload() : () => { this._dialog = undefined; };
+    const action = { style: 'accent', label: stale ? 'Reload' : 'OK', click: close };
+
+    this._dialog = { title, content, action, close };
+  }
+
+  /**
+   * Show an error that is not the result of an action.
+   * @param {Object} status - The message and details of the error
+   */
+  setError(status) {
+    this._status = status;
+  }
+
+  async setMetadataDialog(errors, action) {
+    await import('../../shared/da-dialog/da-dialog.js');
+
+    return new Promise((resolve) => {
+      const title = 'Check metadata';
+      const content = html`
+        <p>Some metadata of this page is not valid:</p>
+        <ul>
+          ${errors.map((error) => html`<li><strong>${error.label}</strong>: ${error.message}</li>`)}
+        </ul>
+        <p>Fix it in the metadata panel or ${action} anyway.</p>
+      `;
+      const label = `${action.charAt(0).toUpperCase() + action.slice(1)} anyway`;
+      const dialogAction = {
+        style: 'accent',
+        label,
+        click: () => { this._dialog = undefined; resolve(true); },
+      };
+      const close = () => { this._dialog = undefined; resolve(false); };
+
+      this._dialog = { title, content, action: dialogAction, close };
+    });
+  }
+
   async handleAction(action) {
     this._status = null;
     this._sendButton.classList.add('is-sending');
@@ -211,12 +267,17 @@ export default class DaTitle extends LitElement {
 
     // Only save to DA if it is a sheet or config
     if (view === 'sheet') {
+      const { saveWithMerge } = await import('../../sheet/utils/merge.js');
       const sheetPath = fullpath.replace('.json', '');
-      const dasSave = await saveToDa(sheetPath, this.sheet);
+      const dasSave = await saveWithMerge(this.sheet, (sheets) => saveToDa(sheetPath, sheets));
       if (!dasSave.ok) return;
     }
     if (view === 'config') {
-      const daConfigResp = await saveDaConfig(fullpath, this.sheet);
+      const { saveWithMerge } = await import('../../sheet/utils/merge.js');
+      const daConfigResp = await saveWithMerge(
+        this.sheet,
+        (sheets) => saveDaConfig(fullpath, sheets),
+      );
       if (!daConfigResp.ok) {
         // eslint-disable-next-line no-console
         console.log('Saving configuration failed because:', daConfigResp.status, await daConfigResp.text());
@@ -225,6 +286,27 @@ export default class DaTitle extends LitElement {
     }
     // AEM Actions
     if (action === 'preview' || action === 'publish') {
+      // Let BYO editors save any pending changes first
+      if (await this.byoEditor?.beforeAction?.(action) === false) {
+        this._sendButton.classList.remove('is-sending');
+        return;
+      }
+
+      // BYO editors validate their own content
+      if (view === 'edit' && !this.byoEditor) {
+        const { getMetadataErrors } = await import('../da-metadata/helpers.js');
+        const errors = await getMetadataErrors(this.details).catch(() => null);
+        if (!errors) {
+          const error = { type: 'error', message: 'Could not check metadata', details: 'The metadata schema could not be loaded.' };
+          this.handleError({ error }, action, this._sendButton);
+          return;
+        }
+        if (errors.length && !(await this.setMetadataDialog(errors, action))) {
+          this._sendButton.classList.remove('is-sending');
+          return;
+        }
+      }
+
       let json = await saveToAem(aemPath, 'preview');
       if (json.error) {
         this.handleError(json, 'preview', this._sendButton);
@@ -372,7 +454,7 @@ export default class DaTitle extends LitElement {
     return html`
       <div class="collab-status">
         ${this.collabUsers ? this.renderCollabUsers() : nothing}
-        <div class="collab-icon collab-status-cloud collab-status-${this.collabStatus}" data-popup-content="${this.collabStatus}" @click=${this.popover}>
+        <div class="collab-icon collab-status-cloud collab-status-${this.collabStatus} ${this.unsyncedChanges ? 'has-unsynced' : ''}" data-popup-content="${this.collabStatus}${this.unsyncedChanges ? ' - unsynced changes' : ''}" @click=${this.popover}>
          <svg class="icon"><use href="#${CLOUD_ICONS[this.collabStatus]}"/></svg>
         </div>
       </div>`;
@@ -6,6 +6,9 @@ import { daFetch } from '../../shared/utils.js';
 
 const sheet = await getSheet('/blocks/edit/da-versions/da-versions.css');
 
+// The file types whose editor can render a compare
+const COMPARE_EXTS = ['html', 'json'];
+
 export default class DaVersions extends LitElement {
   static properties = {
     open: { attribute: false },
@@ -13,6 +16,7 @@ export default class DaVersions extends LitElement {
     _versions: { state: true },
     _newVersion: { state: true },
     _loading: { state: true },
+    _compare: { state: true },
   };
 
   connectedCallback() {
@@ -20,6 +24,11 @@ export default class DaVersions extends LitElement {
     this.shadowRoot.adoptedStyleSheets = [sheet];
   }
 
+  get canCompare() {
+    const ext = this.path?.split('.').pop();
+    return COMPARE_EXTS.includes(ext);
+  }
+
   async getVersions() {
     this._loading = true;
     this._versions = null;
@@ -49,12 +58,37 @@ export default class DaVersions extends LitElement {
     if (!entryEl.classList.contains('is-open')) {
       entryEl.classList.toggle('is-open');
     }
-    const detail = { url: `${DA_ORIGIN}${entry.url}` };
+    const label = entry.label || `${entry.date} ${entry.time}`;
+    const detail = { url: `${DA_ORIGIN}${entry.url}`, label };
     const opts = { detail, bubbles: true, composed: true };
     const event = new CustomEvent('preview', opts);
     this.dispatchEvent(event);
   }
 
+  handleCompareMode() {
+    this._compare = this._compare ? null : [];
+  }
+
+  handleCompareSelect(entry, index) {
+    const selected = this._compare.filter((item) => item.index !== index);
+    if (selected.length === this._compare.length) {
+      const label = entry.isVersion ? entry.label || `${entry.date} ${entry.time}` : 'Now';
+      const url = entry.isVersion ? `${DA_ORIGIN}${entry.url}` : null;
+      // Only keep the last two selections
+      selected.push({ index, url, label });
+      if (selected.length > 2) selected.shift();
+    }
+    this._compare = selected;
+    if (selected.length < 2) return;
+
+    // The list is newest first, so the higher index is the older version
+    const [from, to] = [...selected].sort((a, b) => b.index - a.index);
+    const detail = { from, to };
+    const opts = { detail, bubbles: true, composed: true };
+    const event = new CustomEvent('compare', opts);
+    this.dispatchEvent(event);
+  }
+
   handleExpand({ target }) {
     target.closest('.da-version-entry').classList.toggle('is-open');
   }
@@ -151,6 +185,26 @@ export default class DaVersions extends LitElement {
     `;
   }
 
+  renderCompareEntry(entry, index) {
+    const selected = this._compare.some((item) => item.index === index);
+    return html`
+      <li class="da-version-entry is-compare ${selected ? 'is-selected' : ''}" @click=${() => this.handleCompareSelect(entry, index)}>
+        <button class="da-version-btn" aria-pressed=${selected}>Select</button>
+        <p class="da-version-date">${entry.isVersion ? entry.date : 'Now'}</p>
+        ${entry.label ? html`<p class="da-version-label">${entry.label}</p>` : nothing}
+        ${entry.isVersion ? html`<p class="da-version-time">${entry.time}</p>` : nothing}
+      </li>
+    `;
+  }
+
+  renderCompareList() {
+    const versions = this._versions?.filter((entry) => entry.isVersion) || [];
+    return html`
+      ${this.renderCompareEntry({ isVersion: false }, -1)}
+      ${versions.map((entry, index) => this.renderCompareEntry(entry, index))}
+    `;
+  }
+
   renderVersionList() {
     return this._versions.map((entry) => html`${entry.isVersion ? this.renderVersion(entry) : this.renderAudits(entry)}`);
   }
@@ -169,11 +223,15 @@ export default class DaVersions extends LitElement {
       <div class="da-versions-panel">
         <p class="da-versions-title">
           <button class="da-versions-close-btn" @click=${this.handleClose} aria-label="Close history pane">History</button>
+          ${this.canCompare ? html`<button class="da-versions-compare-btn ${this._compare ? 'is-active' : ''}" @click=${this.handleCompareMode}>Compare</button>` : nothing}
         </p>
+        ${this._compare ? html`<p class="da-versions-compare-hint">Select two versions to compare</p>` : nothing}
         <ul class="da-version-list">
-          ${this._newVersion ? this.renderNewVersion() : this.renderNow()}
-          ${this._loading ? this.renderLoading() : nothing}
-          ${this._versions?.length > 0 ? this.renderVersionList() : nothing}
+          ${this._compare ? this.renderCompareList() : html`
+            ${this._newVersion ? this.renderNewVersion() : this.renderNow()}
+            ${this._loading ? this.renderLoading() : nothing}
+            ${this._versions?.length > 0 ? this.renderVersionList() : nothing}
+          `}
         </ul>
       </div>
     `;
@@ -64,11 +64,33 @@ async function setUI(el) {
     daContent.wsProvider = undefined;
   }
 
-  const resp = await docPromise;
+  // The request fails while offline, fall back to the locally stored copy
+  const resp = await docPromise.catch(() => undefined);
 
   let permissions;
   let doc;
-  if (resp.status === 404) {
+  if (!resp) {
+    prose ??= await prosePromise;
+    const roomName = prose.getRoomName(details.sourceUrl);
+    const { getOfflinePermissions } = await import('./prose/offline.js');
+    permissions = await getOfflinePermissions(roomName);
+    if (!permissions) {
+      wsPromise.then(({ wsProvider }) => {
+        wsProvider.disconnect({ data: 'Client navigation' });
+      });
+      daContent.hidden = true;
+      daTitle.setError({
+        message: 'You are offline',
+        details: 'This document has not been opened on this device before, so it cannot be edited offline.',
+      });
+      window.addEventListener('online', () => {
+        daTitle.setError(null);
+        setUI(el);
+      }, { once: true });
+      return;
+    }
+    doc = DOMPARSER.parseFromString(EMPTY_DOC, 'text/html');
+  } else if (resp.status === 404) {
     const createResp = await createDoc(details.sourceUrl);
     permissions = createResp.permissions;
     doc = DOMPARSER.parseFromString(EMPTY_DOC, 'text/html');
@@ -83,24 +105,43 @@ async function setUI(el) {
   daContent.lockdownImages = await lockdownPromise;
 
   const metadataEl = doc.querySelector('main > .metadata');
-  // Check if the metadata div has no additional classes (or doesn't exist)
-  const isDefaultMetadata = !(metadataEl?.classList.length > 1);
-  if (isDefaultMetadata) {
-    // Load Default ProseMirrorEditor
-
-    if (!prose) {
-      prose = await prosePromise;
-    }
-
-    await prose.default({
-      path: details.sourceUrl,
+  const classes = [...(metadataEl?.classList || [])].filter((name) => name !== 'metadata');
+
+  // Teams can register their own editor for a metadata class or path
+  const byo = await import('./utils/byo.js');
+  byo.destroyByoEditor();
+  const editor = resp && await byo.getByoEditor(details, classes);
+  if (editor) {
+    daContent.hidden = true;
+    const loaded = await byo.loadByoEditor({
+      editor,
+      parent: el,
+      daTitle,
+      details,
       permissions,
       doc,
-      daContent,
-      wsPromise,
     });
+    if (loaded) {
+      wsPromise.then(({ wsProvider }) => {
+        wsProvider.disconnect({ data: 'Client navigation' });
+      });
+      return;
+    }
+  }
+  daContent.hidden = false;
+
+  // Load Default ProseMirrorEditor
+  if (!prose) {
+    prose = await prosePromise;
   }
-  // FUTURE: else load BYO Editor
+
+  await prose.default({
+    path: details.sourceUrl,
+    permissions,
+    doc,
+    daContent,
+    wsPromise,
+  });
 }
 
 export default async function init(el) {
@@ -0,0 +1,92 @@
+import { DA_ORIGIN } from '../../shared/constants.js';
+import { daFetch } from '../../shared/utils.js';
+
+const SAVE_DELAY = 1000;
+
+let current;
+
+/**
+ * The collab server only saves the ProseMirror document and daMetadata, so
+ * annotations that live in other yMaps (comments, suggestion authors) are
+ * also written to a JSON file next to the document in .da/annotations.
+ * @param {String} path - The source URL of the document
+ * @returns {String} The source URL of its annotations
+ */
+export function getAnnotationsUrl(path) {
+  const { pathname } = new URL(path);
+  const [, , org, site, ...parts] = pathname.split('/');
+  const name = parts.join('/').replace(/\.html$/, '');
+  return `${DA_ORIGIN}/source/${org}/${site}/.da/annotations/${name}.json`;
+}
+
+async function fetchAnnotations(url) {
+  try {
+    const resp = await daFetch(url);
+    if (resp.status === 404) return {};
+    if (!resp.ok) return null;
+    return await resp.json();
+  } catch {
+    return null;
+  }
+}
+
+async function getLoaded(annotations) {
+  if (!annotations.data) annotations.data = await fetchAnnotations(annotations.url);
+  return annotations.data;
+}
+
+async function writeAnnotations(annotations) {
+  // Never write over a file that could not be read, its other keys would be lost
+  const data = await getLoaded(annotations);
+  if (!data) return false;
+  annotations.data = { ...data, ...annotations.changes };
+  annotations.changes = {};
+
+  const blob = new Blob([JSON.stringify(annotations.data)], { type: 'application/json' });
+  const body = new FormData();
+  body.append('data', blob);
+  try {
+    const resp = await daFetch(annotations.url, { method: 'PUT', body });
+    return resp.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Save one key of the annotations of the loaded document, shortly after the last change.
+ * @param {String} key - The key, e.g. comments
+ * @param {*} value - The JSON value of the key
+ */
+export function saveAnnotations(key, value) {
+  if (!current) return;
+  const annotations = current;
+  annotations.changes[key] = value;
+  clearTimeout(annotations.timeout);
+  annotations.timeout = setTimeout(() => writeAnnotations(annotations), SAVE_DELAY);
+}
+
+/**
+ * Write pending changes right away.
+ * @returns {Promise<Boolean>} Whether the annotations were saved
+ */
+export async function flushAnnotations() {
+  if (!current || !Object.keys(current.changes).length) return true;
+  clearTimeout(current.timeout);
+  return writeAnnotations(current);
+}
+
+/**
+ * Load the annotations of a document, and keep them for later saves.
+ * @param {String} path - The source URL of the document
+ * @returns {Promise<Object>} The stored annotations by key, empty if they cannot be read
+ */
+export async function loadAnnotations(path) {
+  const url = getAnnotationsUrl(path);
+  if (current?.url !== url) {
+    // Write what is left of the previous document
+    if (current) flushAnnotations();
+    current = { url, data: null, changes: {} };
+  }
+  return (await getLoaded(current)) || {};
+}
@@ -111,12 +111,10 @@ function createCompositeButton({
   return wrapper;
 }
 
-export function createTabbedActions(onKeepDeleted, onKeepAdded, onKeepBoth, onSwitchTab) {
+export function createTabbedActions(onKeepDeleted, onKeepAdded, onKeepBoth, onSwitchTab, labels = getDiffLabels()) {
   const actionsContainer = createElement('div', 'diff-tabbed-actions loc-floating-overlay');
   const actionButtons = createElement('div', 'diff-action-buttons loc-sticky-buttons');
 
-  const labels = getDiffLabels();
-
   const buttonConfigs = [
     {
       label: labels.local,
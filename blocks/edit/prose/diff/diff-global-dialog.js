@@ -136,12 +136,10 @@ function createGlobalAction(
   return button;
 }
 
-function createGlobalOverlay(activeViews, isLocNode) {
+function createGlobalOverlay(activeViews, isLocNode, labels) {
   const dialog = createElement('div', 'da-regional-edits-overlay');
   const actionsContainer = createElement('div', 'da-regional-edits-actions');
 
-  const labels = getDiffLabels();
-
   const localButton = createGlobalAction('local', `Keep All ${labels.local}`, KEEP_LOCAL, `Accept All ${labels.local}`, activeViews, isLocNode);
   const upstreamButton = createGlobalAction('upstream', `Keep All ${labels.upstream}`, KEEP_UPSTREAM, `Accept All ${labels.upstream}`, activeViews, isLocNode);
 
@@ -157,7 +155,15 @@ function findProseMirrorContainer(view) {
 }
 
 // eslint-disable-next-line import/prefer-default-export
-export function showGlobalDialog(view, activeViews, simpleFilterContent, isLocNode) {
+export function showGlobalDialog(
+  view,
+  activeViews,
+  simpleFilterContent,
+  isLocNode,
+  labels = getDiffLabels(),
+) {
+  // Rebuild the dialog when the labels change (e.g. loc diffs next to suggestions)
+  if (globalDialog && globalDialog.dataset.labels !== JSON.stringify(labels)) hideGlobalDialog();
   if (globalDialog?.parentNode) return; // Dialog already shown
 
   const pmContainer = findProseMirrorContainer(view);
@@ -171,7 +177,8 @@ export function showGlobalDialog(view, activeViews, simpleFilterContent, isLocNo
   if (!pmEl) return;
 
   if (!globalDialog) {
-    globalDialog = createGlobalOverlay(activeViews, isLocNode);
+    globalDialog = createGlobalOverlay(activeViews, isLocNode, labels);
+    globalDialog.dataset.labels = JSON.stringify(labels);
   }
 
   pmContainer.insertBefore(globalDialog, pmEl);
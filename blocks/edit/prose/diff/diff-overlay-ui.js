@@ -8,10 +8,8 @@ export function getCoverDiv(upstream, LOC_COLORS) {
   return coverDiv;
 }
 
-export function getLangOverlay(upstream) {
+export function getLangOverlay(upstream, labels = getDiffLabels()) {
   const overlay = createElement('div', 'loc-lang-overlay loc-floating-overlay', { 'loc-temp-dom': '' });
-
-  const labels = getDiffLabels();
   const type = upstream ? 'upstream' : 'local';
   const text = upstream ? labels.upstream : labels.local;
 
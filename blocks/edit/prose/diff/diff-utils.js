@@ -5,6 +5,7 @@ import {
 } from 'da-y-wrapper';
 import getSheet from '../../../shared/sheet.js';
 import { createElement, getDiffLabels } from '../../utils/helpers.js';
+import { getSuggestion, hasOnlySuggestions, SUGGESTION_LABELS } from '../plugins/suggestions.js';
 
 let overlayUIModule = null;
 async function loadOverlayUI() {
@@ -113,11 +114,13 @@ async function loadGlobalDialog() {
 async function showGlobalDialog(view) {
   try {
     const globalDialog = await loadGlobalDialog();
+    const labels = hasOnlySuggestions(view.state) ? SUGGESTION_LABELS : getDiffLabels();
     globalDialog.showGlobalDialog(
       view,
       activeViews,
       simpleFilterContent,
       isLocNode,
+      labels,
     );
   } catch (error) {
     // eslint-disable-next-line no-console
@@ -241,7 +244,7 @@ function createTabContent(deletedContent, addedContent) {
   return container;
 }
 
-async function createTabbedActions(onKeepDeleted, onKeepAdded, onKeepBoth, onSwitchTab) {
+async function createTabbedActions(onKeepDeleted, onKeepAdded, onKeepBoth, onSwitchTab, labels) {
   try {
     const actions = await loadActions();
     return actions.createTabbedActions(
@@ -249,6 +252,7 @@ async function createTabbedActions(onKeepDeleted, onKeepAdded, onKeepBoth, onSwi
       onKeepAdded,
       onKeepBoth,
       onSwitchTab,
+      labels,
     );
   } catch (error) {
     // eslint-disable-next-line no-console
@@ -259,10 +263,10 @@ async function createTabbedActions(onKeepDeleted, onKeepAdded, onKeepBoth, onSwi
   }
 }
 
-async function getLangOverlay(upstream) {
+async function getLangOverlay(upstream, labels) {
   try {
     const overlayUI = await loadOverlayUI();
-    return overlayUI.getLangOverlay(upstream);
+    return overlayUI.getLangOverlay(upstream, labels);
   } catch (error) {
     // eslint-disable-next-line no-console
     console.warn('Failed to load lang overlay:', error);
@@ -272,16 +276,30 @@ async function getLangOverlay(upstream) {
   }
 }
 
+function createAttribution({ author, created }) {
+  const date = new Date(created).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  const attribution = createElement('div', 'diff-suggestion-author');
+  attribution.textContent = `Suggested by ${author.name} · ${date}`;
+  if (author.color) attribution.style.setProperty('--suggestion-author-color', author.color);
+  return attribution;
+}
+
 export function addActiveView(view) {
   activeViews.add(view);
 }
 
 export function getDiffClass(elName, getSchema, dispatchTransaction, { isUpstream } = {}) {
   return class {
-    constructor(node, view, getPos) {
+    constructor(node, view, getPos, decorations) {
       this.node = node;
       this.view = view;
       this.getPos = getPos;
+      this.decorations = decorations;
       this.schema = getSchema();
 
       const pos = getPos();
@@ -344,6 +362,13 @@ export function getDiffClass(elName, getSchema, dispatchTransaction, { isUpstrea
         deletedPos = addedPos + nodeA.nodeSize;
       }
 
+      const suggestion = getSuggestion(this.decorations);
+      const labels = suggestion ? SUGGESTION_LABELS : undefined;
+      if (suggestion) {
+        this.dom.classList.add('is-suggestion');
+        this.dom.appendChild(createAttribution(suggestion));
+      }
+
       const serializer = DOMSerializer.fromSchema(this.schema);
       const deletedContent = serializer.serializeFragment(deletedNode.content);
       const addedContent = serializer.serializeFragment(addedNode.content);
@@ -406,6 +431,7 @@ export function getDiffClass(elName, getSchema, dispatchTransaction, { isUpstrea
         () => this.handleKeepAdded(),
         () => this.handleKeepBoth(),
         setActiveTab,
+        labels,
       ).then((loadedActions) => {
         actions = loadedActions;
         this.dom.replaceChild(loadedActions, actionsPlaceholder);
@@ -441,6 +467,12 @@ export function getDiffClass(elName, getSchema, dispatchTransaction, { isUpstrea
       this.dom.classList.add(styleClass);
       this.contentDOM = null; // Don't let ProseMirror manage content
 
+      const suggestion = getSuggestion(this.decorations);
+      if (suggestion) {
+        this.dom.classList.add('is-suggestion');
+        this.dom.appendChild(createAttribution(suggestion));
+      }
+
       const serializer = DOMSerializer.fromSchema(this.schema);
       const nodeDOM = serializer.serializeFragment(node.content);
 
@@ -458,16 +490,17 @@ export function getDiffClass(elName, getSchema, dispatchTransaction, { isUpstrea
       coverDiv.appendChild(this.langOverlay);
 
       // Load real overlays asynchronously
-      this.loadRealOverlays(upstream, coverDiv).catch(() => {
+      const labels = suggestion ? SUGGESTION_LABELS : undefined;
+      this.loadRealOverlays(upstream, coverDiv, labels).catch(() => {
         // Keep placeholder on error
       });
 
       this.observeShortContainers();
     }
 
-    async loadRealOverlays(upstream, coverDiv) {
+    async loadRealOverlays(upstream, coverDiv, labels) {
       try {
-        const { overlay, deleteBtn, keepBtn } = await getLangOverlay(upstream);
+        const { overlay, deleteBtn, keepBtn } = await getLangOverlay(upstream, labels);
 
         deleteBtn.addEventListener('click', () => {
           this.handleDeleteSingleNode();
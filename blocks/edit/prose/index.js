@@ -27,17 +27,19 @@ import { COLLAB_ORIGIN, DA_ORIGIN } from '../../shared/constants.js';
 import { daFetch, getAuthToken } from '../../shared/utils.js';
 import { getDiffClass, checkForLocNodes, addActiveView } from './diff/diff-utils.js';
 import { debounce, initDaMetadata } from '../utils/helpers.js';
+import initOfflinePersistence from './offline.js';
+import { initComments, restoreComments } from './plugins/comments.js';
+import { initSuggestions, restoreSuggestions } from './plugins/suggestions.js';
 
 async function checkDoc(path) {
   return daFetch(path, { method: 'HEAD' });
 }
 
-export async function createConnection(path) {
-  const ydoc = new Y.Doc();
-
-  const server = COLLAB_ORIGIN;
-  const roomName = `${DA_ORIGIN}${new URL(path).pathname}`;
+export function getRoomName(path) {
+  return `${DA_ORIGIN}${new URL(path).pathname}`;
+}
 
+async function getConnectionOpts() {
   const opts = {
     protocols: ['yjs'],
     connect: true,
@@ -47,6 +49,16 @@ export async function createConnection(path) {
   if (token) {
     opts.protocols.push(token);
   }
+  return opts;
+}
+
+export async function createConnection(path) {
+  const ydoc = new Y.Doc();
+
+  const server = COLLAB_ORIGIN;
+  const roomName = getRoomName(path);
+
+  const opts = await getConnectionOpts();
 
   const provider = new WebsocketProvider(server, roomName, ydoc, opts);
   // Increase the max backoff time to 30 seconds. If connection error occurs,
@@ -57,6 +69,35 @@ export async function createConnection(path) {
   return { wsProvider: provider, ydoc };
 }
 
+const SERVER_STATE_TIMEOUT = 10000;
+
+/**
+ * Get the state vector of the server doc without sending it anything,
+ * using a separate empty doc.
+ * @param {String} path - The source url of the document
+ * @returns {Promise<Uint8Array>} The state vector, undefined when it cannot connect
+ */
+export async function getServerState(path) {
+  const ydoc = new Y.Doc();
+  const opts = { ...(await getConnectionOpts()), disableBc: true };
+  const provider = new WebsocketProvider(COLLAB_ORIGIN, getRoomName(path), ydoc, opts);
+  // Do not show up as a collaborator
+  provider.awareness.setLocalState(null);
+
+  const synced = await new Promise((resolve) => {
+    const timeout = setTimeout(() => resolve(false), SERVER_STATE_TIMEOUT);
+    provider.on('sync', (isSynced) => {
+      if (!isSynced) return;
+      clearTimeout(timeout);
+      resolve(true);
+    });
+  });
+  const state = synced ? Y.encodeStateVector(ydoc) : undefined;
+  provider.destroy();
+  ydoc.destroy();
+  return state;
+}
+
 async function loadCustomPlugins() {
   const [
     keyHandlers,
@@ -73,6 +114,11 @@ async function loadCustomPlugins() {
     { default: toggleLibrary },
     { default: slashMenu },
     { default: linkMenu },
+    { default: comments, addComment },
+    { default: suggestions, toggleSuggesting },
+    { default: previewSync },
+    { default: findReplace, openFind },
+    { default: blockMove, moveBlock, moveEnclosingSection },
   ] = await Promise.all([
     import('./plugins/keyHandlers.js'),
     import('./plugins/menu/menu.js'),
@@ -88,6 +134,11 @@ async function loadCustomPlugins() {
     import('../da-library/da-library.js'),
     import('./plugins/slashMenu/slashMenu.js'),
     import('./plugins/linkMenu/linkMenu.js'),
+    import('./plugins/comments.js'),
+    import('./plugins/suggestions.js'),
+    import('./plugins/previewSync.js'),
+    import('./plugins/findReplace/findReplace.js'),
+    import('./plugins/blockMove.js'),
   ]);
 
   return {
@@ -106,6 +157,16 @@ async function loadCustomPlugins() {
     toggleLibrary,
     slashMenu,
     linkMenu,
+    comments,
+    addComment,
+    suggestions,
+    toggleSuggesting,
+    previewSync,
+    findReplace,
+    openFind,
+    blockMove,
+    moveBlock,
+    moveEnclosingSection,
   };
 }
 
@@ -128,6 +189,11 @@ function setPreviewBody() {
   daPreview.setBody();
 }
 
+function refreshOutline() {
+  const daOutline = document.querySelector('da-content').shadowRoot.querySelector('da-outline');
+  daOutline?.refresh();
+}
+
 function trackCursorAndChanges() {
   let lastCursorPos = null;
   let lastBlockPos = null;
@@ -139,6 +205,7 @@ function trackCursorAndChanges() {
 
     updateTimeout = setTimeout(() => {
       setPreviewBody();
+      refreshOutline();
       pendingDocChange = false;
       updateTimeout = null;
     }, 500);
@@ -231,18 +298,23 @@ function handleProseLoaded(editor, wsProvider) {
   });
 }
 
-function handleAwarenessUpdates(wsProvider, daTitle, win, path) {
+/**
+ * Show the other users connected to the same room in da-title.
+ * @param {Awareness} awareness - The awareness of the websocket provider
+ * @param {Element} daTitle - The da-title element
+ */
+function trackCollabUsers(awareness, daTitle) {
   const users = new Set();
 
-  wsProvider.awareness.on('update', (delta) => {
+  awareness.on('update', (delta) => {
     delta.added.forEach((u) => users.add(u));
     delta.updated.forEach((u) => users.add(u));
     delta.removed.forEach((u) => users.delete(u));
 
     // Don't show the current user
-    users.delete(wsProvider.awareness.clientID);
+    users.delete(awareness.clientID);
 
-    const awarenessStates = wsProvider.awareness.getStates();
+    const awarenessStates = awareness.getStates();
     const userMap = new Map();
     [...users].forEach((u, i) => {
       const userInfo = awarenessStates.get(u)?.user;
@@ -254,6 +326,10 @@ function handleAwarenessUpdates(wsProvider, daTitle, win, path) {
     });
     daTitle.collabUsers = [...userMap.values()].sort();
   });
+}
+
+function handleAwarenessUpdates(wsProvider, daTitle, win, path, offline) {
+  trackCollabUsers(wsProvider.awareness, daTitle);
 
   wsProvider.on('status', (st) => { daTitle.collabStatus = st.status; });
 
@@ -273,6 +349,11 @@ function handleAwarenessUpdates(wsProvider, daTitle, win, path) {
   win.addEventListener('focus', () => {
     // cancel any pending disconnect
     if (disconnectTimeout) clearTimeout(disconnectTimeout);
+    // An offline copy only connects once the server is known to match it
+    if (offline?.held) {
+      offline.reconnect();
+      return;
+    }
     wsProvider.connect();
   });
   win.addEventListener('blur', () => {
@@ -283,9 +364,9 @@ function handleAwarenessUpdates(wsProvider, daTitle, win, path) {
   });
 }
 
-export function createAwarenessStatusWidget(wsProvider, win, path) {
+export function createAwarenessStatusWidget(wsProvider, win, path, offline) {
   const daTitle = win.document.querySelector('da-title');
-  handleAwarenessUpdates(wsProvider, daTitle, win, path);
+  handleAwarenessUpdates(wsProvider, daTitle, win, path, offline);
   return daTitle;
 }
 
@@ -320,6 +401,28 @@ function generateColor(name, hRange = [0, 360], sRange = [60, 80], lRange = [40,
   return `#${f(0)}${f(8)}${f(4)}`;
 }
 
+/**
+ * Set the current user on the awareness so other users can see who is editing.
+ * @param {Awareness} awareness - The awareness of the websocket provider
+ */
+function setAwarenessUser(awareness) {
+  if (window.adobeIMS?.isSignedInUser()) {
+    window.adobeIMS.getProfile().then((profile) => {
+      awareness.setLocalStateField('user', {
+        color: generateColor(profile.email || profile.userId),
+        name: profile.displayName,
+        id: profile.userId,
+      });
+    });
+  } else {
+    awareness.setLocalStateField('user', {
+      color: generateColor(`${awareness.clientID}`),
+      name: 'Anonymous',
+      id: `anonymous-${awareness.clientID}}`,
+    });
+  }
+}
+
 function storeCursorPosition(view) {
   const { from, to } = view.state.selection;
   lastCursorPosition = { from, to };
@@ -338,13 +441,29 @@ function restoreCursorPosition(view) {
   }
 }
 
+function enableEditing(canWrite) {
+  if (!canWrite) return;
+  const pm = document.querySelector('da-content')?.shadowRoot
+    .querySelector('da-editor')?.shadowRoot.querySelector('.ProseMirror');
+  if (pm) pm.contentEditable = 'true';
+}
+
 function addSyncedListener(wsProvider, canWrite) {
-  onWsSync(wsProvider, () => {
-    if (canWrite) {
-      const pm = document.querySelector('da-content')?.shadowRoot
-        .querySelector('da-editor')?.shadowRoot.querySelector('.ProseMirror');
-      if (pm) pm.contentEditable = 'true';
-    }
+  onWsSync(wsProvider, () => enableEditing(canWrite));
+}
+
+function addOfflinePersistence(wsProvider, ydoc, path, permissions, canWrite) {
+  const daTitle = document.querySelector('da-title');
+  return initOfflinePersistence({
+    key: getRoomName(path),
+    ydoc,
+    wsProvider,
+    permissions,
+    getServerState: () => getServerState(path),
+    // The stored copy can be edited before the socket has synced
+    onReady: () => setTimeout(() => enableEditing(canWrite), 0),
+    onUnsynced: (unsynced) => { if (daTitle) daTitle.unsyncedChanges = unsynced; },
+    onDiverged: (opts) => daTitle?.setOfflineDialog(opts),
   });
 }
 
@@ -370,9 +489,14 @@ function applyDelayedPlugins(pluginsPromise, schema, canWrite, basePlugins) {
       plugins.slashMenu(),
       plugins.linkMenu(),
       plugins.tableSelectHandle(),
+      plugins.blockMove(),
       plugins.imageDrop(schema),
       plugins.linkConverter(schema),
       plugins.linkTextSync(),
+      plugins.comments(),
+      plugins.suggestions(),
+      plugins.previewSync(),
+      plugins.findReplace(),
       plugins.sectionPasteHandler(schema),
       plugins.base64Uploader(schema),
       columnResizing(),
@@ -388,6 +512,13 @@ function applyDelayedPlugins(pluginsPromise, schema, canWrite, basePlugins) {
         'Mod-y': plugins.handleRedo,
         'Mod-Shift-z': plugins.handleRedo,
         'Mod-Shift-l': plugins.toggleLibrary,
+        'Mod-Alt-m': plugins.addComment,
+        'Mod-Alt-s': plugins.toggleSuggesting,
+        'Mod-f': plugins.openFind,
+        'Mod-Alt-ArrowUp': plugins.moveBlock(-1),
+        'Mod-Alt-ArrowDown': plugins.moveBlock(1),
+        'Mod-Alt-Shift-ArrowUp': plugins.moveEnclosingSection(-1),
+        'Mod-Alt-Shift-ArrowDown': plugins.moveEnclosingSection(1),
         'Mod-k': (editorState, dispatch, view) => {
           const linkMarkType = editorState.schema.marks.link;
           const linkMenuItem = plugins.linkItem(linkMarkType);
@@ -437,26 +568,13 @@ export default async function initProse({ path, permissions, doc, daContent, wsP
   const { wsProvider, ydoc } = await connectionPromise;
 
   addSyncedListener(wsProvider, canWrite);
-  createAwarenessStatusWidget(wsProvider, window, path);
+  const offline = addOfflinePersistence(wsProvider, ydoc, path, permissions, canWrite);
+  createAwarenessStatusWidget(wsProvider, window, path, offline);
   registerErrorHandler(ydoc);
 
   const yXmlFragment = ydoc.getXmlFragment('prosemirror');
 
-  if (window.adobeIMS?.isSignedInUser()) {
-    window.adobeIMS.getProfile().then((profile) => {
-      wsProvider.awareness.setLocalStateField('user', {
-        color: generateColor(profile.email || profile.userId),
-        name: profile.displayName,
-        id: profile.userId,
-      });
-    });
-  } else {
-    wsProvider.awareness.setLocalStateField('user', {
-      color: generateColor(`${wsProvider.awareness.clientID}`),
-      name: 'Anonymous',
-      id: `anonymous-${wsProvider.awareness.clientID}}`,
-    });
-  }
+  setAwarenessUser(wsProvider.awareness);
 
   const syncPlugin = ySyncPlugin(yXmlFragment);
   const cursorPlugin = yCursorPlugin(wsProvider.awareness);
@@ -470,13 +588,13 @@ export default async function initProse({ path, permissions, doc, daContent, wsP
     state,
     dispatchTransaction,
     nodeViews: {
-      diff_added(node, view, getPos) {
+      diff_added(node, view, getPos, decorations) {
         const LocAddedView = getDiffClass('da-diff-added', getSchema, dispatchTransaction, { isUpstream: false });
-        return new LocAddedView(node, view, getPos);
+        return new LocAddedView(node, view, getPos, decorations);
       },
-      diff_deleted(node, view, getPos) {
+      diff_deleted(node, view, getPos, decorations) {
         const LocDeletedView = getDiffClass('da-diff-deleted', getSchema, dispatchTransaction, { isUpstream: true });
-        return new LocDeletedView(node, view, getPos);
+        return new LocDeletedView(node, view, getPos, decorations);
       },
     },
     handleDOMEvents: {
@@ -497,6 +615,15 @@ export default async function initProse({ path, permissions, doc, daContent, wsP
   // yMap for storing document metadata (not synced to ProseMirror doc.attrs)
   initDaMetadata(ydoc.getMap('daMetadata'));
 
+  // yMap for comment threads, anchored to the doc with relative positions
+  initComments(ydoc.getMap('daComments'), wsProvider.awareness);
+  const { view } = window;
+  onWsSync(wsProvider, () => restoreComments(view, path));
+
+  // yMap for attributing suggested edits to their authors
+  initSuggestions(ydoc.getMap('daSuggestions'), wsProvider.awareness);
+  onWsSync(wsProvider, () => restoreSuggestions(view, path));
+
   handleProseLoaded(editor, wsProvider);
 
   const pluginsPromise = loadCustomPlugins();
@@ -0,0 +1,230 @@
+import { Y } from 'da-y-wrapper';
+import { openDb, getStore } from '../../shared/idb.js';
+
+const DB_NAME = 'da-offline';
+const STORE_NAME = 'docs';
+const SAVE_DELAY = 500;
+
+// How often to check if the server can take the edits made offline
+const RECONNECT_INTERVAL = 30000;
+
+// Transaction origin used when applying the stored state
+export const OFFLINE_ORIGIN = 'da-offline';
+
+let store;
+
+function getDocStore() {
+  store ??= getStore(
+    openDb(DB_NAME, 1, (db) => { db.createObjectStore(STORE_NAME); }),
+    STORE_NAME,
+  );
+  return store;
+}
+
+async function getOfflineRecord(key) {
+  try {
+    return await getDocStore().get(key);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Whether a server state vector holds everything of an older one.
+ * A doc that da-collab rebuilt from HTML has new clients and never does.
+ * @param {Uint8Array} serverVector - The current state vector of the server
+ * @param {Uint8Array} baseVector - The state vector the stored copy was based on
+ * @returns {boolean}
+ */
+export function coversState(serverVector, baseVector) {
+  if (!serverVector || !baseVector) return false;
+  const server = Y.decodeStateVector(serverVector);
+  const base = Y.decodeStateVector(baseVector);
+  return [...base].every(([client, clock]) => (server.get(client) ?? 0) >= clock);
+}
+
+/**
+ * Get the permissions stored alongside an offline copy of a document.
+ * @param {string} key - The collab room name of the document
+ * @returns {Promise<string[]|undefined>}
+ */
+export async function getOfflinePermissions(key) {
+  const record = await getOfflineRecord(key);
+  return record?.permissions;
+}
+
+/**
+ * Persist the Y.Doc of a document in IndexedDB so it can be
+ * opened and edited while offline. Local changes made while the
+ * socket is down are flagged as unsynced until the socket syncs again.
+ *
+ * The stored copy is never merged blindly. It is only opened when the
+ * socket cannot connect, and its unsynced edits only go to the server
+ * when the server still holds the state they were based on. Otherwise
+ * the edits are dropped, as merging them would duplicate the document.
+ *
+ * @param {Object} opts
+ * @param {string} opts.key - The collab room name of the document
+ * @param {Y.Doc} opts.ydoc - The document
+ * @param {WebsocketProvider} opts.wsProvider - The collab provider
+ * @param {string[]} opts.permissions - Stored so the doc can be reopened offline
+ * @param {Function} opts.getServerState - Resolves the state vector of the server doc
+ * @param {Function} opts.onReady - Called once the doc has content to edit
+ * @param {Function} opts.onUnsynced - Called with the unsynced state when it changes
+ * @param {Function} opts.onDiverged - Called with { stale, unsynced } when the stored
+ * copy does not match the server anymore. A stale doc must be reloaded.
+ */
+export default function initOfflinePersistence({
+  key,
+  ydoc,
+  wsProvider,
+  permissions,
+  getServerState,
+  onReady,
+  onUnsynced,
+  onDiverged,
+}) {
+  let unsynced = false;
+  let ready = false;
+  let saveTimeout;
+  let reconnectInterval;
+  // The state vector of the server when the doc was last in sync
+  let serverVector;
+  // The stored record, until the socket or going offline decides its fate
+  let pending;
+  // Set while the doc holds an offline copy the server has not accepted yet
+  let held = false;
+  let diverged = false;
+
+  const isLive = () => wsProvider.wsconnected && wsProvider.synced;
+
+  const setReady = () => {
+    if (ready) return;
+    ready = true;
+    onReady?.();
+  };
+
+  const setUnsynced = (value) => {
+    if (unsynced === value) return;
+    unsynced = value;
+    onUnsynced?.(value);
+  };
+
+  const save = async () => {
+    if (ydoc.isDestroyed || diverged) return;
+    if (isLive()) serverVector = Y.encodeStateVector(ydoc);
+    const record = {
+      update: Y.encodeStateAsUpdate(ydoc),
+      permissions,
+      unsynced,
+      serverVector,
+      updated: Date.now(),
+    };
+    try {
+      await getDocStore().put(record, key);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('Could not store offline copy', e);
+    }
+  };
+
+  const scheduleSave = () => {
+    clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(save, SAVE_DELAY);
+  };
+
+  const drop = async (stale) => {
+    diverged = stale;
+    clearTimeout(saveTimeout);
+    try {
+      await getDocStore().delete(key);
+    } catch {
+      // Nothing stored to drop
+    }
+    onDiverged?.({ stale, unsynced: stale ? unsynced : true });
+  };
+
+  // The socket synced: only unsynced edits based on the server state are merged
+  const mergePending = () => {
+    const record = pending;
+    pending = undefined;
+    if (!record?.unsynced) return;
+    if (!coversState(Y.encodeStateVector(ydoc), record.serverVector)) {
+      drop(false);
+      return;
+    }
+    // y-websocket sends the parts the server does not have yet
+    Y.applyUpdate(ydoc, record.update, OFFLINE_ORIGIN);
+  };
+
+  async function reconnect() {
+    if (!held || ydoc.isDestroyed) return;
+    const current = await getServerState?.();
+    // Still offline
+    if (!current || !held) return;
+    clearInterval(reconnectInterval);
+    window.removeEventListener('online', reconnect);
+    held = false;
+    // Even without edits the open doc holds the items of the stored copy
+    if (!coversState(current, serverVector)) {
+      drop(true);
+      return;
+    }
+    wsProvider.connect();
+  }
+
+  // The socket cannot connect: open the stored copy and keep the socket
+  // closed until the server is known to hold the state it was based on.
+  const openPending = () => {
+    const record = pending;
+    pending = undefined;
+    if (!record?.update || isLive()) return;
+    held = true;
+    wsProvider.disconnect();
+    serverVector = record.serverVector;
+    Y.applyUpdate(ydoc, record.update, OFFLINE_ORIGIN);
+    setUnsynced(!!record.unsynced);
+    setReady();
+    window.addEventListener('online', reconnect);
+    reconnectInterval = setInterval(reconnect, RECONNECT_INTERVAL);
+  };
+
+  ydoc.on('update', (update, origin) => {
+    if (origin === OFFLINE_ORIGIN) return;
+    // Changes made by this client while the socket is down
+    if (origin !== wsProvider && !isLive()) setUnsynced(true);
+    scheduleSave();
+  });
+
+  wsProvider.on('sync', (isSynced) => {
+    if (!isSynced) return;
+    setReady();
+    if (pending) mergePending();
+    // Local state has been exchanged with the server
+    setUnsynced(false);
+    scheduleSave();
+  });
+
+  wsProvider.on('connection-close', () => {
+    if (pending && !isLive()) openPending();
+  });
+
+  const loaded = getOfflineRecord(key).then((record) => {
+    if (!record?.update) return;
+    pending = record;
+    if (isLive()) {
+      mergePending();
+      scheduleSave();
+      return;
+    }
+    // Only a socket that cannot connect opens the stored copy, a slow one waits
+    if (!navigator.onLine || wsProvider.wsUnsuccessfulReconnects > 0) openPending();
+  });
+
+  return {
+    loaded,
+    reconnect,
+    get held() { return held; },
+    get unsynced() { return unsynced; },
+  };
+}
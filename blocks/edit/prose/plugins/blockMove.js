@@ -0,0 +1,235 @@
+import {
+  Plugin,
+  PluginKey,
+  NodeSelection,
+  TextSelection,
+} from 'da-y-wrapper';
+import { getOutline, moveNode, moveSection } from '../../da-outline/helpers.js';
+
+const blockMoveKey = new PluginKey('blockMove');
+
+const HANDLE_OFFSET = 26;
+
+// Keep the selection on the content that moved
+function shiftSelection(tr, selection, delta) {
+  if (selection instanceof NodeSelection) {
+    return NodeSelection.create(tr.doc, selection.from + delta);
+  }
+  if (selection instanceof TextSelection) {
+    return TextSelection.create(tr.doc, selection.anchor + delta, selection.head + delta);
+  }
+  return TextSelection.near(tr.doc.resolve(selection.from + delta));
+}
+
+/**
+ * Move the top level node around the selection (block table, list, paragraph...)
+ * past its previous or next sibling.
+ * @param {Number} dir - -1 to move up, 1 to move down
+ * @returns {Function} The command
+ */
+export function moveBlock(dir) {
+  return (state, dispatch) => {
+    const { doc, selection } = state;
+    const { $from } = selection;
+    const index = $from.index(0);
+    if (index + dir < 0 || index + dir >= doc.childCount) return false;
+
+    const pos = $from.posAtIndex(index, 0);
+    const { nodeSize } = doc.child(index);
+    const target = $from.posAtIndex(dir > 0 ? index + 2 : index - 1, 0);
+    if (!dispatch) return true;
+
+    const tr = moveNode(state, pos, target);
+    const delta = dir > 0 ? target - nodeSize - pos : target - pos;
+    tr.setSelection(shiftSelection(tr, selection, delta));
+    dispatch(tr.scrollIntoView());
+    return true;
+  };
+}
+
+/**
+ * Move the section around the selection past its previous or next section.
+ * @param {Number} dir - -1 to move up, 1 to move down
+ * @returns {Function} The command
+ */
+export function moveEnclosingSection(dir) {
+  return (state, dispatch) => {
+    const { from } = state.selection;
+    const sections = getOutline(state.doc);
+    const index = sections.findIndex((section) => from >= section.from && from <= section.to);
+    const other = sections[index + dir];
+    if (index < 0 || !other) return false;
+    if (!dispatch) return true;
+
+    const current = sections[index];
+    const tr = moveSection(state, index, index + dir);
+    const delta = dir > 0 ? other.to - current.to : other.from - current.from;
+    tr.setSelection(shiftSelection(tr, state.selection, delta));
+    dispatch(tr.scrollIntoView());
+    return true;
+  };
+}
+
+// The child of the editor an element belongs to
+function getTopElement(view, el) {
+  let current = el;
+  while (current && current.parentNode !== view.dom) current = current.parentNode;
+  return current;
+}
+
+// Map the DOM of every top level node to its position
+function getTopPositions(view) {
+  const positions = new Map();
+  view.state.doc.forEach((node, pos) => {
+    const el = view.nodeDOM(pos);
+    if (el) positions.set(el, pos);
+  });
+  return positions;
+}
+
+function getDropTarget(view, y, positions) {
+  const children = [...view.dom.children].filter((el) => positions.has(el));
+  const el = children.find((child) => {
+    const rect = child.getBoundingClientRect();
+    return y < rect.top + rect.height / 2;
+  });
+  if (el) return { el, pos: positions.get(el), before: true };
+
+  const last = children[children.length - 1];
+  if (!last) return null;
+  const pos = positions.get(last);
+  return { el: last, pos: pos + view.state.doc.nodeAt(pos).nodeSize, before: false };
+}
+
+/**
+ * Adds a drag handle next to every top level node of the document
+ * and shows where it will be dropped.
+ */
+export default function blockMove() {
+  let handle = null;
+  let indicator = null;
+  let current = null;
+  let dragging = null;
+  let cache = null;
+
+  // Only walk the document again once it changed
+  function getPositions(view) {
+    if (cache?.doc !== view.state.doc) {
+      cache = { doc: view.state.doc, positions: getTopPositions(view) };
+    }
+    return cache.positions;
+  }
+
+  function hideHandle() {
+    handle?.classList.remove('is-visible');
+    current = null;
+  }
+
+  function hideIndicator() {
+    indicator?.classList.remove('is-visible');
+  }
+
+  function showHandle(view, el) {
+    const rect = el.getBoundingClientRect();
+    const editorRect = view.dom.getBoundingClientRect();
+    handle.style.left = `${rect.left - editorRect.left - HANDLE_OFFSET}px`;
+    handle.style.top = `${rect.top - editorRect.top}px`;
+    handle.classList.add('is-visible');
+  }
+
+  function showIndicator(view, target) {
+    const rect = target.el.getBoundingClientRect();
+    const editorRect = view.dom.getBoundingClientRect();
+    const top = target.before ? rect.top : rect.bottom;
+    indicator.style.left = `${rect.left - editorRect.left}px`;
+    indicator.style.width = `${rect.width}px`;
+    indicator.style.top = `${top - editorRect.top - 1}px`;
+    indicator.classList.add('is-visible');
+  }
+
+  function createHandle(view) {
+    const el = document.createElement('div');
+    el.className = 'block-drag-handle';
+    el.contentEditable = 'false';
+    el.draggable = true;
+    el.title = 'Drag to move';
+
+    el.addEventListener('dragstart', (e) => {
+      dragging = (current && getPositions(view).get(current.el)) ?? null;
+      if (dragging === null) return;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', '');
+      e.dataTransfer.setDragImage(current.el, 0, 0);
+    });
+
+    el.addEventListener('dragend', () => {
+      dragging = null;
+      hideIndicator();
+    });
+
+    el.addEventListener('mouseleave', (e) => {
+      if (current?.el.contains(e.relatedTarget)) return;
+      hideHandle();
+    });
+
+    return el;
+  }
+
+  return new Plugin({
+    key: blockMoveKey,
+    props: {
+      handleDOMEvents: {
+        mouseover(view, e) {
+          if (!view.editable || dragging !== null) return false;
+          const el = getTopElement(view, e.target);
+          if (!el || el === current?.el) return false;
+          if (!getPositions(view).has(el)) return false;
+          current = { el };
+          showHandle(view, el);
+          return false;
+        },
+        mouseleave(view, e) {
+          if (e.relatedTarget !== handle) hideHandle();
+          return false;
+        },
+        dragover(view, e) {
+          if (dragging === null) return false;
+          e.preventDefault();
+          const target = getDropTarget(view, e.clientY, getPositions(view));
+          if (target) showIndicator(view, target);
+          return true;
+        },
+        drop(view, e) {
+          if (dragging === null) return false;
+          e.preventDefault();
+          const target = getDropTarget(view, e.clientY, getPositions(view));
+          const tr = target && moveNode(view.state, dragging, target.pos);
+          if (tr) view.dispatch(tr.scrollIntoView());
+          dragging = null;
+          hideIndicator();
+          hideHandle();
+          return true;
+        },
+      },
+    },
+    view(editorView) {
+      handle = createHandle(editorView);
+      indicator = document.createElement('div');
+      indicator.className = 'block-drop-indicator';
+      editorView.dom.parentElement?.append(handle, indicator);
+
+      return {
+        update() {
+          if (current && !current.el.isConnected) hideHandle();
+        },
+        destroy() {
+          handle?.remove();
+          indicator?.remove();
+          handle = null;
+          indicator = null;
+          cache = null;
+        },
+      };
+    },
+  });
+}
@@ -0,0 +1,334 @@
+import {
+  Plugin,
+  PluginKey,
+  TextSelection,
+  Decoration,
+  DecorationSet,
+  ySyncPluginKey,
+  absolutePositionToRelativePosition,
+  relativePositionToAbsolutePosition,
+  Y,
+} from 'da-y-wrapper';
+import { loadAnnotations, saveAnnotations } from '../annotations.js';
+
+export const commentsKey = new PluginKey('comments');
+
+// Transaction origin of threads restored from the stored annotations
+const RESTORE_ORIGIN = 'da-comments-restore';
+
+let commentsMap;
+let commentsAwareness;
+// The map whose stored threads have been restored, only it is saved
+let restoredMap;
+
+/**
+ * Comment threads live in their own yMap, alongside daMetadata, so they are
+ * shared with collaborators but never become part of the ProseMirror document.
+ * Each thread is a nested yMap and its messages a yArray, so concurrent replies
+ * and resolves from collaborators merge instead of overwriting each other.
+ * The collab server does not serialize daComments to the saved HTML, so threads
+ * are also stored in the annotations of the document and restored into a new room.
+ * @param {Y.Map} map - The daComments map of the document
+ * @param {Awareness} awareness - Used to attribute comments to the current user
+ */
+export function initComments(map, awareness) {
+  commentsMap = map;
+  commentsAwareness = awareness;
+}
+
+export function getCommentsMap() {
+  return commentsMap;
+}
+
+export function getAuthor() {
+  const user = commentsAwareness?.getLocalState()?.user;
+  return { id: user?.id || 'anonymous', name: user?.name || 'Anonymous' };
+}
+
+function createMessage(text) {
+  return {
+    id: crypto.randomUUID(),
+    author: getAuthor(),
+    text,
+    created: Date.now(),
+  };
+}
+
+function toThread(yThread) {
+  return yThread instanceof Y.Map ? yThread.toJSON() : yThread;
+}
+
+export function getThreads() {
+  if (!commentsMap) return [];
+  return [...commentsMap.values()].map(toThread).sort((a, b) => a.created - b.created);
+}
+
+export function getThread(id) {
+  const yThread = commentsMap?.get(id);
+  return yThread && toThread(yThread);
+}
+
+function getYThread(id) {
+  const yThread = commentsMap?.get(id);
+  return yThread instanceof Y.Map ? yThread : null;
+}
+
+/**
+ * Get the current absolute range of a thread anchor.
+ * Returns null if the anchored content has been removed.
+ */
+export function getThreadRange(state, thread) {
+  const ystate = ySyncPluginKey.getState(state);
+  if (!ystate?.binding || !thread?.anchor) return null;
+  const { doc: ydoc, type, binding } = ystate;
+
+  const toAbsolute = (json) => relativePositionToAbsolutePosition(
+    ydoc,
+    type,
+    Y.createRelativePositionFromJSON(json),
+    binding.mapping,
+  );
+
+  const from = toAbsolute(thread.anchor.from);
+  const to = toAbsolute(thread.anchor.to);
+  if (from === null || to === null || from >= to) return null;
+  if (to > state.doc.content.size) return null;
+  return { from, to };
+}
+
+// Find the quoted text in a textblock, the occurrence closest to where it was
+function findQuote(doc, quote, near = 0) {
+  if (!quote) return null;
+  let best = null;
+  doc.descendants((node, pos) => {
+    if (!node.isTextblock) return true;
+    let text = '';
+    const positions = [];
+    node.forEach((child, offset) => {
+      if (!child.isText) return;
+      for (let i = 0; i < child.text.length; i += 1) positions.push(pos + 1 + offset + i);
+      text += child.text;
+    });
+    for (let idx = text.indexOf(quote); idx >= 0; idx = text.indexOf(quote, idx + 1)) {
+      const from = positions[idx];
+      const to = positions[idx + quote.length - 1] + 1;
+      if (!best || Math.abs(from - near) < Math.abs(best.from - near)) best = { from, to };
+    }
+    return false;
+  });
+  return best;
+}
+
+function toRelativeAnchor(state, from, to) {
+  const ystate = ySyncPluginKey.getState(state);
+  if (!ystate?.binding) return null;
+  const { type, binding } = ystate;
+
+  const toRelative = (pos) => Y.relativePositionToJSON(
+    absolutePositionToRelativePosition(pos, type, binding.mapping),
+  );
+  return { from: toRelative(from), to: toRelative(to) };
+}
+
+/**
+ * Create a draft anchor from the current selection.
+ * The anchor is stored as Yjs relative positions so it follows
+ * the text through local and remote edits.
+ */
+export function getSelectionAnchor(state) {
+  const { from, to, empty } = state.selection;
+  if (empty) return null;
+  const anchor = toRelativeAnchor(state, from, to);
+  if (!anchor) return null;
+
+  return {
+    anchor,
+    quote: state.doc.textBetween(from, to, ' ').slice(0, 280),
+  };
+}
+
+// Set a thread and its messages, must run in a transaction
+function setYThread(thread, messages) {
+  const yThread = new Y.Map();
+  const yMessages = new Y.Array();
+  commentsMap.set(thread.id, yThread);
+  Object.entries(thread).forEach(([key, value]) => yThread.set(key, value));
+  yThread.set('messages', yMessages);
+  yMessages.push(messages);
+}
+
+export function addThread({ anchor, quote }, text) {
+  if (!commentsMap || !anchor || !text) return null;
+  const message = createMessage(text);
+  commentsMap.doc.transact(() => {
+    setYThread({
+      id: message.id,
+      anchor,
+      quote,
+      resolved: false,
+      created: message.created,
+      author: message.author,
+    }, [message]);
+  });
+  return message.id;
+}
+
+export function addReply(id, text) {
+  if (!text) return;
+  getYThread(id)?.get('messages').push([createMessage(text)]);
+}
+
+export function setResolved(id, resolved) {
+  const yThread = getYThread(id);
+  if (!yThread) return;
+  yThread.doc.transact(() => {
+    yThread.set('resolved', resolved);
+    if (resolved) {
+      yThread.set('resolvedBy', getAuthor());
+      yThread.set('resolvedAt', Date.now());
+    } else {
+      yThread.delete('resolvedBy');
+      yThread.delete('resolvedAt');
+    }
+  });
+}
+
+export function deleteThread(id) {
+  commentsMap?.delete(id);
+}
+
+// The threads as stored, with their last position to re-anchor them in a new room
+function serializeThreads(state) {
+  return getThreads().map((thread) => ({
+    ...thread,
+    pos: getThreadRange(state, thread) || thread.pos || null,
+  }));
+}
+
+/**
+ * Restore the stored threads into a new collab room. Relative positions do not
+ * survive a new room, so threads are anchored again to their quote, the
+ * occurrence closest to their last position.
+ * @param {EditorView} view - The editor view, once the collab doc has synced
+ * @param {String} path - The source URL of the document
+ */
+export async function restoreComments(view, path) {
+  const map = commentsMap;
+  if (!map) return;
+  // A live room already has the threads
+  const isNewRoom = map.size === 0;
+  const { comments: stored = [] } = await loadAnnotations(path);
+  if (map !== commentsMap) return;
+  restoredMap = map;
+
+  const missing = isNewRoom ? stored.filter((thread) => !map.has(thread.id)) : [];
+  if (!missing.length) return;
+  const { state } = view;
+  map.doc.transact(() => {
+    missing.forEach(({ messages, ...thread }) => {
+      const range = findQuote(state.doc, thread.quote, thread.pos?.from);
+      const anchor = range && toRelativeAnchor(state, range.from, range.to);
+      setYThread({ ...thread, anchor }, messages || []);
+    });
+  }, RESTORE_ORIGIN);
+}
+
+export function setActiveThread(view, id) {
+  view.dispatch(view.state.tr.setMeta(commentsKey, { activeId: id }));
+}
+
+/**
+ * Select and scroll to the anchored text of a thread.
+ */
+export function selectThread(view, id) {
+  const range = getThreadRange(view.state, getThread(id));
+  const tr = view.state.tr.setMeta(commentsKey, { activeId: id });
+  if (range) {
+    tr.setSelection(TextSelection.create(tr.doc, range.from, range.to)).scrollIntoView();
+  }
+  view.dispatch(tr);
+  return !!range;
+}
+
+function buildDecorations(state, activeId) {
+  const decorations = getThreads().reduce((acc, thread) => {
+    if (thread.resolved) return acc;
+    const range = getThreadRange(state, thread);
+    if (!range) return acc;
+    const cls = thread.id === activeId ? 'da-comment-anchor is-active' : 'da-comment-anchor';
+    acc.push(Decoration.inline(range.from, range.to, {
+      class: cls,
+      'data-comment-id': thread.id,
+    }));
+    return acc;
+  }, []);
+  return DecorationSet.create(state.doc, decorations);
+}
+
+function dispatchCommentEvent(view, detail) {
+  const opts = { detail, bubbles: true, composed: true };
+  view.dom.dispatchEvent(new CustomEvent('comment', opts));
+}
+
+/**
+ * Start a new comment thread on the current selection.
+ */
+export function addComment(state, dispatch, view) {
+  const draft = getSelectionAnchor(state);
+  if (!draft) return false;
+  if (view) dispatchCommentEvent(view, { draft });
+  return true;
+}
+
+export default function comments() {
+  return new Plugin({
+    key: commentsKey,
+    state: {
+      init(config, state) {
+        return { activeId: null, decorations: buildDecorations(state, null) };
+      },
+      apply(tr, prev, oldState, newState) {
+        const meta = tr.getMeta(commentsKey);
+        const activeId = meta?.activeId !== undefined ? meta.activeId : prev.activeId;
+
+        // Remote changes have already updated the y binding mapping,
+        // local changes are mapped through the transaction instead.
+        if (meta || tr.getMeta(ySyncPluginKey)?.isChangeOrigin) {
+          return { activeId, decorations: buildDecorations(newState, activeId) };
+        }
+        if (tr.docChanged) {
+          return { activeId, decorations: prev.decorations.map(tr.mapping, tr.doc) };
+        }
+        return prev;
+      },
+    },
+    props: {
+      decorations(state) {
+        return commentsKey.getState(state).decorations;
+      },
+      handleClick(view, pos, event) {
+        const anchor = event.target.closest?.('.da-comment-anchor');
+        const id = anchor?.dataset.commentId || null;
+        if (id === commentsKey.getState(view.state).activeId) return false;
+        setActiveThread(view, id);
+        if (id) dispatchCommentEvent(view, { id });
+        return false;
+      },
+    },
+    view(editorView) {
+      const refresh = (events, transaction) => {
+        editorView.dispatch(editorView.state.tr.setMeta(commentsKey, { refresh: true }));
+        // Collaborators save their own changes
+        if (commentsMap !== restoredMap || !transaction?.local) return;
+        if (transaction.origin === RESTORE_ORIGIN) return;
+        saveAnnotations('comments', serializeThreads(editorView.state));
+      };
+      commentsMap?.observeDeep(refresh);
+      return {
+        destroy() {
+          commentsMap?.unobserveDeep(refresh);
+        },
+      };
+    },
+  });
+}
@@ -0,0 +1,138 @@
+import { LitElement, html, nothing } from 'da-lit';
+import getSheet from '../../../../shared/sheet.js';
+
+const sheet = await getSheet('/blocks/edit/prose/plugins/findReplace/find-panel.css');
+
+const OPTIONS = [
+  { key: 'caseSensitive', label: 'Aa', title: 'Match case' },
+  { key: 'wholeWord', label: 'ab', title: 'Match whole word' },
+  { key: 'regex', label: '.*', title: 'Use regular expression' },
+];
+
+export default class FindPanel extends LitElement {
+  static properties = {
+    search: { attribute: false },
+    canReplace: { attribute: false },
+    replaced: { attribute: false },
+    open: { type: Boolean, reflect: true },
+    _replacement: { state: true },
+  };
+
+  constructor() {
+    super();
+    this._replacement = '';
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.shadowRoot.adoptedStyleSheets = [sheet];
+  }
+
+  update(props) {
+    if (props.has('search')) {
+      this.open = !!this.search?.open;
+      // A replace all count is only relevant until the search changes
+      if (props.get('search')?.query !== this.search?.query) this.replaced = undefined;
+    }
+    super.update(props);
+  }
+
+  async focusInput() {
+    await this.updateComplete;
+    const input = this.shadowRoot.querySelector('.find-input');
+    input?.focus();
+    input?.select();
+  }
+
+  emit(name, detail) {
+    this.dispatchEvent(new CustomEvent(name, { detail }));
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.emit('close');
+      return;
+    }
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    if (e.target.classList.contains('replace-input')) {
+      this.emit('replace', { all: e.metaKey || e.ctrlKey, replacement: this._replacement });
+      return;
+    }
+    this.emit('navigate', e.shiftKey ? -1 : 1);
+  }
+
+  get _status() {
+    if (this.replaced !== undefined) return `Replaced ${this.replaced}`;
+    const { query, matches, index } = this.search;
+    if (!query) return '';
+    if (!matches.length) return 'No results';
+    return `${index + 1} of ${matches.length}`;
+  }
+
+  renderReplace() {
+    if (!this.canReplace) return nothing;
+    const disabled = !this.search.matches.length;
+    return html`
+      <div class="find-row">
+        <input
+          class="replace-input"
+          type="text"
+          placeholder="Replace"
+          aria-label="Replace"
+          .value=${this._replacement}
+          @input=${(e) => { this._replacement = e.target.value; }} />
+        <button
+          class="find-text-btn"
+          ?disabled=${disabled}
+          @click=${() => this.emit('replace', { all: false, replacement: this._replacement })}>Replace</button>
+        <button
+          class="find-text-btn"
+          ?disabled=${disabled}
+          @click=${() => this.emit('replace', { all: true, replacement: this._replacement })}>Replace all</button>
+      </div>`;
+  }
+
+  render() {
+    if (!this.search?.open) return nothing;
+    const disabled = !this.search.matches.length;
+    return html`
+      <div class="find-panel" role="search" @keydown=${this.handleKeyDown}>
+        <div class="find-row">
+          <input
+            class="find-input"
+            type="text"
+            placeholder="Find"
+            aria-label="Find"
+            .value=${this.search.query}
+            @input=${(e) => this.emit('search', { query: e.target.value })} />
+          <span class="find-status" aria-live="polite">${this._status}</span>
+          ${OPTIONS.map((option) => html`
+            <button
+              class="find-option"
+              title=${option.title}
+              aria-label=${option.title}
+              aria-pressed=${!!this.search[option.key]}
+              @click=${() => this.emit('search', { [option.key]: !this.search[option.key] })}>${option.label}</button>`)}
+          <button
+            class="find-icon-btn find-prev"
+            aria-label="Previous match"
+            ?disabled=${disabled}
+            @click=${() => this.emit('navigate', -1)}></button>
+          <button
+            class="find-icon-btn find-next"
+            aria-label="Next match"
+            ?disabled=${disabled}
+            @click=${() => this.emit('navigate', 1)}></button>
+          <button
+            class="find-icon-btn find-close"
+            aria-label="Close"
+            @click=${() => this.emit('close')}></button>
+        </div>
+        ${this.renderReplace()}
+      </div>`;
+  }
+}
+
+customElements.define('da-find-panel', FindPanel);
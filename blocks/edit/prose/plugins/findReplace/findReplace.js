@@ -0,0 +1,274 @@
+import {
+  Decoration,
+  DecorationSet,
+  Plugin,
+  PluginKey,
+  TextSelection,
+} from 'da-y-wrapper';
+import './find-panel.js';
+
+export const findKey = new PluginKey('findReplace');
+
+// Pending localization diffs render without editable content
+const SKIP_NODES = ['diff_added', 'diff_deleted'];
+// Images and breaks take one position, keep the text offsets aligned with them
+const LEAF_TEXT = '\uFFFC';
+
+const EMPTY_SEARCH = {
+  open: false,
+  query: '',
+  caseSensitive: false,
+  wholeWord: false,
+  regex: false,
+  matches: [],
+  index: -1,
+  decorations: DecorationSet.empty,
+};
+
+/**
+ * Build the expression for the search options.
+ * @param {Object} search - The query and its options
+ * @returns {RegExp|null} The expression, null for an empty or invalid query
+ */
+export function getSearchRegex({ query, caseSensitive, wholeWord, regex }) {
+  if (!query) return null;
+  let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  try {
+    return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the matches of a search in every text block, table cells included.
+ * @param {Node} doc - The document
+ * @param {Object} search - The query and its options
+ * @returns {Array} The matches with their range and groups
+ */
+export function findMatches(doc, search) {
+  const re = getSearchRegex(search);
+  if (!re) return [];
+
+  const matches = [];
+  doc.descendants((node, pos) => {
+    if (SKIP_NODES.includes(node.type.name)) return false;
+    if (!node.isTextblock) return true;
+
+    const text = node.textBetween(0, node.content.size, undefined, LEAF_TEXT);
+    re.lastIndex = 0;
+    for (let match = re.exec(text); match; match = re.exec(text)) {
+      if (match[0].length) {
+        const from = pos + 1 + match.index;
+        matches.push({ from, to: from + match[0].length, groups: [...match] });
+      } else {
+        re.lastIndex += 1;
+      }
+    }
+    return false;
+  });
+  return matches;
+}
+
+/**
+ * Expand $&, $1 and $$ of a regex replacement.
+ * @param {Object} match - The match to replace
+ * @param {String} replacement - The replacement text
+ * @param {Boolean} regex - Whether the search is a regular expression
+ * @returns {String} The text to insert
+ */
+export function getReplacement(match, replacement, regex) {
+  if (!regex) return replacement;
+  return replacement.replace(/\$(\$|&|\d{1,2})/g, (token, key) => {
+    if (key === '$') return '$';
+    if (key === '&') return match.groups[0];
+    return match.groups[Number(key)] ?? token;
+  });
+}
+
+function replaceMatch(tr, match, text) {
+  if (text) {
+    tr.insertText(text, match.from, match.to);
+  } else {
+    tr.delete(match.from, match.to);
+  }
+}
+
+function buildDecorations(doc, matches, index) {
+  const decorations = matches.map(({ from, to }, idx) => {
+    const cls = idx === index ? 'da-find-match is-current' : 'da-find-match';
+    return Decoration.inline(from, to, { class: cls });
+  });
+  return DecorationSet.create(doc, decorations);
+}
+
+function getIndex(matches, after) {
+  const index = matches.findIndex((match) => match.from >= after);
+  return index < 0 && matches.length ? 0 : index;
+}
+
+function applySearch(tr, prev, state) {
+  const meta = tr.getMeta(findKey);
+  if (!meta && !(prev.open && tr.docChanged)) return prev;
+
+  const { index: metaIndex, after, ...options } = meta || {};
+  const search = { ...prev, ...options };
+  if (!search.open) return { ...search, matches: [], index: -1, decorations: DecorationSet.empty };
+
+  const matches = findMatches(state.doc, search);
+  let { index } = prev;
+  if (metaIndex !== undefined) {
+    index = metaIndex;
+  } else if (meta) {
+    // A new search starts from the cursor
+    index = getIndex(matches, after ?? state.selection.from);
+  }
+  index = Math.min(index, matches.length - 1);
+
+  return { ...search, matches, index, decorations: buildDecorations(state.doc, matches, index) };
+}
+
+/**
+ * Open the find panel, searching for the selected text.
+ */
+export function openFind(state, dispatch) {
+  const { from, to, empty } = state.selection;
+  const meta = { open: true };
+  const text = empty ? '' : state.doc.textBetween(from, to);
+  if (text && !text.includes('\n')) meta.query = text;
+  if (dispatch) dispatch(state.tr.setMeta(findKey, meta));
+  return true;
+}
+
+export function closeFind(view) {
+  view.dispatch(view.state.tr.setMeta(findKey, { open: false }));
+  view.focus();
+}
+
+/**
+ * Select a match relative to the current one.
+ * @param {EditorView} view - The editor
+ * @param {Number} dir - 1 for the next match, -1 for the previous, 0 for the current
+ * @returns {Boolean} Whether there was a match to select
+ */
+export function goToMatch(view, dir) {
+  const { matches, index } = findKey.getState(view.state);
+  if (!matches.length) return false;
+
+  const next = (Math.max(index, 0) + dir + matches.length) % matches.length;
+  const { from, to } = matches[next];
+  const tr = view.state.tr
+    .setMeta(findKey, { index: next })
+    .setSelection(TextSelection.create(view.state.doc, from, to))
+    .scrollIntoView();
+  view.dispatch(tr);
+  return true;
+}
+
+export function updateSearch(view, options) {
+  view.dispatch(view.state.tr.setMeta(findKey, options));
+  goToMatch(view, 0);
+}
+
+/**
+ * Replace the current match and move on to the next one.
+ * @param {EditorView} view - The editor
+ * @param {String} replacement - The replacement text
+ * @returns {Boolean} Whether a match was replaced
+ */
+export function replaceCurrent(view, replacement) {
+  const { matches, index, regex } = findKey.getState(view.state);
+  const match = matches[index];
+  if (!match) return false;
+
+  const text = getReplacement(match, replacement, regex);
+  const { tr } = view.state;
+  replaceMatch(tr, match, text);
+  tr.setMeta(findKey, { after: match.from + text.length });
+  view.dispatch(tr);
+  goToMatch(view, 0);
+  return true;
+}
+
+/**
+ * Replace every match in a single transaction, so it is undone in one step.
+ * @param {EditorView} view - The editor
+ * @param {String} replacement - The replacement text
+ * @returns {Number} The number of replaced matches
+ */
+export function replaceAll(view, replacement) {
+  const { matches, regex } = findKey.getState(view.state);
+  if (!matches.length) return 0;
+
+  const { tr } = view.state;
+  // Replace from the end so earlier positions stay valid
+  [...matches].reverse().forEach((match) => {
+    replaceMatch(tr, match, getReplacement(match, replacement, regex));
+  });
+  tr.setMeta(findKey, {});
+  view.dispatch(tr);
+  return matches.length;
+}
+
+class FindView {
+  constructor(view) {
+    this.view = view;
+    this.panel = document.createElement('da-find-panel');
+
+    this.panel.addEventListener('search', (e) => updateSearch(this.view, e.detail));
+    this.panel.addEventListener('navigate', (e) => goToMatch(this.view, e.detail));
+    this.panel.addEventListener('replace', (e) => {
+      const { all, replacement } = e.detail;
+      if (all) {
+        this.panel.replaced = replaceAll(this.view, replacement);
+      } else {
+        replaceCurrent(this.view, replacement);
+      }
+    });
+    this.panel.addEventListener('close', () => closeFind(this.view));
+
+    view.dom.parentNode.appendChild(this.panel);
+    this.update(view);
+  }
+
+  update(view, prevState) {
+    this.view = view;
+    const search = findKey.getState(view.state);
+    const wasOpen = prevState && findKey.getState(prevState).open;
+    this.panel.search = search;
+    this.panel.canReplace = view.editable;
+    if (search.open && !wasOpen) this.panel.focusInput();
+  }
+
+  destroy() {
+    this.panel.remove();
+  }
+}
+
+export default function findReplace() {
+  return new Plugin({
+    key: findKey,
+    state: {
+      init() {
+        return EMPTY_SEARCH;
+      },
+      apply(tr, prev, oldState, newState) {
+        return applySearch(tr, prev, newState);
+      },
+    },
+    props: {
+      decorations(state) {
+        return findKey.getState(state).decorations;
+      },
+      handleKeyDown(view, event) {
+        if (event.key !== 'Escape' || !findKey.getState(view.state).open) return false;
+        closeFind(view);
+        return true;
+      },
+    },
+    view(editorView) {
+      return new FindView(editorView);
+    },
+  });
+}
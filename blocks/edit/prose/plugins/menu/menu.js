@@ -31,6 +31,8 @@ import { handleUndo, handleRedo } from '../keyHandlers.js';
 import insertTable from '../../table.js';
 import { linkItem, removeLinkItem } from './linkItem.js';
 import { markActive } from './menuUtils.js';
+import { addComment } from '../comments.js';
+import { isSuggesting, toggleSuggesting } from '../suggestions.js';
 
 function canInsert(state, nodeType) {
   const { $from } = state.selection;
@@ -363,6 +365,20 @@ function getMenu(view) {
     linkItem(marks.link),
     removeLinkItem(marks.link),
     imgAltTextItem(),
+    new MenuItem({
+      title: 'Add comment',
+      label: 'Comment',
+      enable: (state) => !state.selection.empty,
+      run: addComment,
+      class: 'add-comment',
+    }),
+    new MenuItem({
+      title: 'Suggest changes',
+      label: 'Suggest',
+      active: isSuggesting,
+      run: toggleSuggesting,
+      class: 'suggest-mode',
+    }),
   ];
 
   const listMenu = [
@@ -0,0 +1,80 @@
+import { NodeSelection, Plugin, PluginKey, TextSelection } from 'da-y-wrapper';
+import { SOURCE_TYPES } from '../../../shared/prose2aem.js';
+
+const previewSyncKey = new PluginKey('previewSync');
+
+function getPreview() {
+  return document.querySelector('da-content')?.shadowRoot.querySelector('da-preview');
+}
+
+/**
+ * Get the position of the node that is marked in the live preview for an element.
+ * @param {EditorView} view - The editor
+ * @param {Element} target - An element of the editor
+ * @returns {Number|null} The position before the node
+ */
+export function getSourcePos(view, target) {
+  let pos;
+  try {
+    pos = view.posAtDOM(target, 0);
+  } catch {
+    return null;
+  }
+  const { doc } = view.state;
+  if (pos < 0 || pos > doc.content.size) return null;
+  if (doc.nodeAt(pos)?.type.name === 'image') return pos;
+
+  const $pos = doc.resolve(pos);
+  for (let { depth } = $pos; depth > 0; depth -= 1) {
+    if (SOURCE_TYPES.includes($pos.node(depth).type.name)) return $pos.before(depth);
+  }
+  return null;
+}
+
+/**
+ * Move the selection to the node clicked in the live preview.
+ * @param {EditorView} view - The editor
+ * @param {Number} pos - The position before the node
+ * @returns {Boolean} Whether the selection was moved
+ */
+export function selectSource(view, pos) {
+  const { doc } = view.state;
+  const node = pos >= 0 && pos < doc.content.size ? doc.nodeAt(pos) : null;
+  if (!node) return false;
+
+  const selection = node.isAtom
+    ? NodeSelection.create(doc, pos)
+    : TextSelection.near(doc.resolve(pos + 1));
+  view.dispatch(view.state.tr.setSelection(selection).scrollIntoView());
+  view.focus();
+  return true;
+}
+
+/**
+ * Outline the part of the live preview the pointer is over.
+ * @returns {Plugin} the preview sync plugin
+ */
+export default function previewSync() {
+  let current = null;
+  const highlight = (pos) => {
+    if (pos === current) return;
+    current = pos;
+    getPreview()?.highlight(pos);
+  };
+
+  return new Plugin({
+    key: previewSyncKey,
+    props: {
+      handleDOMEvents: {
+        mouseover: (view, event) => {
+          highlight(getSourcePos(view, event.target));
+          return false;
+        },
+        mouseleave: () => {
+          highlight(null);
+          return false;
+        },
+      },
+    },
+  });
+}
@@ -0,0 +1,559 @@
+import {
+  Plugin,
+  PluginKey,
+  Fragment,
+  Decoration,
+  DecorationSet,
+  ySyncPluginKey,
+  absolutePositionToRelativePosition,
+  relativePositionToAbsolutePosition,
+  Y,
+} from 'da-y-wrapper';
+import { loadAnnotations, saveAnnotations } from '../annotations.js';
+
+export const suggestionsKey = new PluginKey('suggestions');
+
+export const SUGGESTION_LABELS = { local: 'Suggested', upstream: 'Original' };
+
+const PRUNE_DELAY = 1000;
+
+// A pending suggestion whose author left this long ago is finished by a collaborator
+const ORPHAN_DELAY = 30000;
+
+// Transaction origin of suggestions restored from the stored annotations
+const RESTORE_ORIGIN = 'da-suggestions-restore';
+
+let suggestionsMap;
+let suggestionsAwareness;
+// The map whose stored suggestions have been restored, only it is saved
+let restoredMap;
+
+/**
+ * Suggestions are stored in the document as regular diff_deleted / diff_added
+ * pairs so they are persisted and resolved like loc diffs. The author and time
+ * of each suggestion are kept in a yMap keyed by a suggestion id, anchored to
+ * the doc with relative positions. The collab server does not save that yMap,
+ * so finished suggestions are also stored in the annotations of the document.
+ *
+ * While it is typed, a suggestion is a pending region of plain edits. Its
+ * original content is written to the yMap as soon as it starts, so
+ * collaborators see it as a suggestion and can finish it if the author leaves.
+ *
+ * Like loc diffs, any writer can accept or reject any suggestion: reviewing
+ * them is the point of suggesting, and readers cannot edit at all.
+ *
+ * @param {Y.Map} map - The daSuggestions map of the document
+ * @param {Awareness} awareness - Used to attribute suggestions to the current user
+ */
+export function initSuggestions(map, awareness) {
+  suggestionsMap = map;
+  suggestionsAwareness = awareness;
+}
+
+/**
+ * Get the suggestion of a diff node view from its decorations.
+ * @param {Decoration[]} decorations - The outer decorations of the node
+ * @returns {Object|undefined} The suggestion ({ id, author, created })
+ */
+export function getSuggestion(decorations) {
+  return decorations?.find((deco) => deco.spec.suggestion)?.spec.suggestion;
+}
+
+export function isSuggesting(state) {
+  return !!suggestionsKey.getState(state)?.enabled;
+}
+
+export function toggleSuggesting(state, dispatch) {
+  if (!suggestionsKey.getState(state)) return false;
+  if (dispatch) {
+    dispatch(state.tr.setMeta(suggestionsKey, { enabled: !isSuggesting(state) }));
+  }
+  return true;
+}
+
+function toRelativeRange(state, from, to) {
+  const ystate = ySyncPluginKey.getState(state);
+  if (!ystate?.binding) return null;
+  const { type, binding } = ystate;
+  const toRelative = (pos) => Y.relativePositionToJSON(
+    absolutePositionToRelativePosition(pos, type, binding.mapping),
+  );
+  return { from: toRelative(from), to: toRelative(to) };
+}
+
+function toAbsoluteRange(state, anchor) {
+  const ystate = ySyncPluginKey.getState(state);
+  if (!ystate?.binding || !anchor) return null;
+  const { doc: ydoc, type, binding } = ystate;
+  const toAbsolute = (json) => relativePositionToAbsolutePosition(
+    ydoc,
+    type,
+    Y.createRelativePositionFromJSON(json),
+    binding.mapping,
+  );
+  const from = toAbsolute(anchor.from);
+  const to = toAbsolute(anchor.to);
+  if (from === null || to === null || from >= to || to > state.doc.content.size) return null;
+  return { from, to };
+}
+
+function isDiffNode(node) {
+  return node.type.name === 'diff_added' || node.type.name === 'diff_deleted';
+}
+
+function hasDiffNodes(doc, from, to) {
+  let found = false;
+  doc.nodesBetween(from, to, (node) => {
+    if (isDiffNode(node)) found = true;
+    return !found;
+  });
+  return found;
+}
+
+// Expand a position to the boundary of its top level block
+function blockStart(doc, pos) {
+  const $pos = doc.resolve(pos);
+  return $pos.depth > 0 ? $pos.before(1) : pos;
+}
+
+function blockEnd(doc, pos) {
+  const $pos = doc.resolve(pos);
+  return $pos.depth > 0 ? $pos.after(1) : pos;
+}
+
+/**
+ * Find the top level block range that changed between two docs.
+ * Returns the range in both the old and the new doc.
+ */
+export function getChangedRange(oldDoc, newDoc) {
+  const start = oldDoc.content.findDiffStart(newDoc.content);
+  if (start === null) return null;
+  let { a: endA, b: endB } = oldDoc.content.findDiffEnd(newDoc.content);
+  const overlap = start - Math.min(endA, endB);
+  if (overlap > 0) {
+    endA += overlap;
+    endB += overlap;
+  }
+
+  const from = Math.min(blockStart(oldDoc, start), blockStart(newDoc, start));
+  const oldTo = blockEnd(oldDoc, endA);
+  const delta = newDoc.content.size - oldDoc.content.size;
+  return { from, oldTo, newTo: Math.max(blockEnd(newDoc, endB), oldTo + delta) };
+}
+
+function getAuthor() {
+  const user = suggestionsAwareness?.getLocalState()?.user;
+  return { id: user?.id || 'anonymous', name: user?.name || 'Anonymous', color: user?.color };
+}
+
+/**
+ * Replace the pending region with a diff_deleted (original)
+ * and diff_added (suggested) pair.
+ */
+function commitPending(tr, pending) {
+  const { diff_added: added, diff_deleted: deleted } = tr.doc.type.schema.nodes;
+  if (pending.to > tr.doc.content.size) return tr;
+  const current = tr.doc.slice(pending.from, pending.to).content;
+  if (current.eq(pending.original)) return tr;
+
+  const deletedNode = pending.original.size ? deleted.create(null, pending.original) : null;
+  const addedNode = current.size ? added.create(null, current) : null;
+
+  const nodes = Fragment.fromArray([deletedNode, addedNode].filter((node) => node));
+  tr.replaceWith(pending.from, pending.to, nodes);
+
+  const { id, author, created } = pending;
+  const committed = { id, author, created, from: pending.from, to: pending.from + nodes.size };
+  return tr.setMeta(suggestionsKey, { ...tr.getMeta(suggestionsKey), committed });
+}
+
+function setPending(tr, pending) {
+  // Keep the committed flag so the commit itself is not recorded as a suggestion
+  return tr.setMeta(suggestionsKey, { ...tr.getMeta(suggestionsKey), pending });
+}
+
+function createPending(from, to, original) {
+  return {
+    id: crypto.randomUUID(),
+    author: getAuthor(),
+    created: Date.now(),
+    from,
+    to,
+    original,
+  };
+}
+
+function isRemote(tr) {
+  return !!tr.getMeta(ySyncPluginKey)?.isChangeOrigin;
+}
+
+// Move the pending region along with changes made outside of it
+function mapPending(pending, range, oldDoc, newDoc) {
+  const delta = newDoc.content.size - oldDoc.content.size;
+  if (range.oldTo <= pending.from) {
+    return { ...pending, from: pending.from + delta, to: pending.to + delta };
+  }
+  if (range.from >= pending.to) return pending;
+  return null;
+}
+
+function forEachDiffNode(doc, callback) {
+  doc.descendants((node, pos) => {
+    if (isDiffNode(node)) {
+      callback(node, pos);
+      return false;
+    }
+    return node.type.name === 'bullet_list' || node.type.name === 'ordered_list';
+  });
+}
+
+function getEntries() {
+  return suggestionsMap ? [...suggestionsMap.values()] : [];
+}
+
+function buildDecorations(state) {
+  const decorations = getEntries().reduce((acc, entry) => {
+    const range = toAbsoluteRange(state, entry.anchor);
+    if (!range) return acc;
+    const { id, author, created } = entry;
+    const suggestion = { id, author, created };
+    if (entry.pending) {
+      acc.push(Decoration.inline(range.from, range.to, {
+        class: 'da-suggestion-pending',
+        title: `Suggested by ${author.name}`,
+      }));
+      return acc;
+    }
+    state.doc.nodesBetween(range.from, range.to, (node, pos) => {
+      if (!isDiffNode(node)) return true;
+      if (pos >= range.from) {
+        acc.push(Decoration.node(pos, pos + node.nodeSize, {}, { suggestion }));
+      }
+      return false;
+    });
+    return acc;
+  }, []);
+  return DecorationSet.create(state.doc, decorations);
+}
+
+/**
+ * Check if every diff node in the doc is a suggestion (and not a loc diff).
+ */
+export function hasOnlySuggestions(state) {
+  const decorations = suggestionsKey.getState(state)?.decorations;
+  if (!decorations) return false;
+  let found = false;
+  let all = true;
+  forEachDiffNode(state.doc, (node, pos) => {
+    found = true;
+    if (!getSuggestion(decorations.find(pos, pos + node.nodeSize))) all = false;
+  });
+  return found && all;
+}
+
+function writeEntry(state, entry, from, to) {
+  const anchor = toRelativeRange(state, from, to);
+  if (!suggestionsMap || !anchor) return;
+  suggestionsMap.set(entry.id, { ...entry, anchor });
+}
+
+function writePending(state, pending) {
+  const {
+    id,
+    author,
+    created,
+    from,
+    to,
+    original,
+  } = pending;
+  writeEntry(state, {
+    id,
+    author,
+    created,
+    pending: true,
+    original: original.toJSON(),
+    clientID: suggestionsAwareness?.clientID,
+    updated: Date.now(),
+  }, from, to);
+}
+
+function writeCommitted(state, committed) {
+  const { id, author, created, from, to } = committed;
+  writeEntry(state, { id, author, created }, from, to);
+}
+
+// The diff nodes of a range, with what identifies them in a new room
+function getDiffNodes(doc, from = 0, to = doc.content.size) {
+  const nodes = [];
+  forEachDiffNode(doc, (node, pos) => {
+    if (pos < from || pos + node.nodeSize > to) return;
+    nodes.push({ from: pos, to: pos + node.nodeSize, diff: `${node.type.name}:${node.textContent}` });
+  });
+  return nodes;
+}
+
+// Find the adjacent diff nodes of a stored suggestion, the run closest to where it was
+function findDiffNodes(nodes, diffs, near = 0) {
+  if (!diffs?.length) return null;
+  return nodes.reduce((best, node, idx) => {
+    const run = nodes.slice(idx, idx + diffs.length);
+    const matches = run.length === diffs.length && run.every((item, i) => !item.used
+      && item.diff === diffs[i] && (i === 0 || item.from === run[i - 1].to));
+    if (!matches) return best;
+    if (best && Math.abs(best[0].from - near) <= Math.abs(node.from - near)) return best;
+    return run;
+  }, null);
+}
+
+// The finished suggestions as stored, with their diff nodes to anchor them in a new room
+function serializeSuggestions(state) {
+  return getEntries().reduce((acc, { anchor, ...entry }) => {
+    if (entry.pending) return acc;
+    const range = toAbsoluteRange(state, anchor);
+    if (!range) return acc;
+    const diffs = getDiffNodes(state.doc, range.from, range.to).map(({ diff }) => diff);
+    acc.push({ ...entry, pos: range, diffs });
+    return acc;
+  }, []);
+}
+
+/**
+ * Restore the stored suggestions into a new collab room. Relative positions do
+ * not survive a new room, so suggestions are anchored again to their diff nodes.
+ * @param {EditorView} view - The editor view, once the collab doc has synced
+ * @param {String} path - The source URL of the document
+ */
+export async function restoreSuggestions(view, path) {
+  const map = suggestionsMap;
+  if (!map) return;
+  // A live room already has the suggestions
+  const isNewRoom = map.size === 0;
+  const { suggestions: stored = [] } = await loadAnnotations(path);
+  if (map !== suggestionsMap) return;
+  restoredMap = map;
+  if (!isNewRoom || !stored.length) return;
+
+  const { state } = view;
+  const nodes = getDiffNodes(state.doc);
+  map.doc.transact(() => {
+    stored.forEach(({ pos, diffs, ...entry }) => {
+      const run = findDiffNodes(nodes, diffs, pos?.from);
+      if (!run || map.has(entry.id)) return;
+      run.forEach((node) => { node.used = true; });
+      writeEntry(state, entry, run[0].from, run[run.length - 1].to);
+    });
+  }, RESTORE_ORIGIN);
+}
+
+function pruneSuggestions(state) {
+  getEntries().forEach((entry) => {
+    if (entry.pending) return;
+    const range = toAbsoluteRange(state, entry.anchor);
+    if (!range || !hasDiffNodes(state.doc, range.from, range.to)) suggestionsMap.delete(entry.id);
+  });
+}
+
+function isOrphan(entry) {
+  if (!entry.pending || entry.clientID === suggestionsAwareness?.clientID) return false;
+  if (Date.now() - (entry.updated || 0) < ORPHAN_DELAY) return false;
+  return !suggestionsAwareness?.getStates().has(entry.clientID);
+}
+
+/**
+ * Finish the pending suggestions of authors that left mid-suggestion.
+ * Only the collaborator with the lowest client id does it, so it happens once.
+ */
+export function finishOrphans(view) {
+  const states = suggestionsAwareness?.getStates();
+  const { clientID } = suggestionsAwareness || {};
+  if (!states || Math.min(clientID, ...states.keys()) !== clientID) return;
+  getEntries().filter(isOrphan).forEach((entry) => {
+    const { state } = view;
+    const range = toAbsoluteRange(state, entry.anchor);
+    if (!range) {
+      suggestionsMap.delete(entry.id);
+      return;
+    }
+    const original = Fragment.fromJSON(state.schema, entry.original);
+    const pending = { ...entry, ...range, original };
+    const tr = commitPending(state.tr, pending).setMeta('addToHistory', false);
+    if (!tr.docChanged) {
+      suggestionsMap.delete(entry.id);
+      return;
+    }
+    view.dispatch(tr);
+  });
+}
+
+export default function suggestions() {
+  return new Plugin({
+    key: suggestionsKey,
+    state: {
+      init(config, state) {
+        return {
+          enabled: false,
+          pending: null,
+          committed: null,
+          decorations: buildDecorations(state),
+        };
+      },
+      apply(tr, prev, oldState, newState) {
+        const meta = tr.getMeta(suggestionsKey);
+        const next = { ...prev };
+        if (meta?.enabled !== undefined) next.enabled = meta.enabled;
+        if (meta?.pending !== undefined) next.pending = meta.pending;
+
+        // The last commit, kept mapped until the view writes it to the yMap
+        if (meta?.committed) {
+          next.committed = meta.committed;
+        } else if (prev.committed && tr.docChanged) {
+          const { from, to } = prev.committed;
+          next.committed = {
+            ...prev.committed,
+            from: tr.mapping.map(from, 1),
+            to: tr.mapping.map(to, -1),
+          };
+        }
+
+        // Remote changes have already updated the y binding mapping,
+        // local changes are mapped through the transaction instead.
+        if (meta?.refresh || isRemote(tr)) {
+          next.decorations = buildDecorations(newState);
+        } else if (tr.docChanged) {
+          next.decorations = prev.decorations.map(tr.mapping, tr.doc);
+        }
+        return next;
+      },
+    },
+    appendTransaction(trs, oldState, newState) {
+      if (trs.some((tr) => tr.getMeta(suggestionsKey)?.committed)) return null;
+      const { enabled, pending } = suggestionsKey.getState(newState);
+      const docChanged = trs.some((tr) => tr.docChanged);
+      const finish = trs.some((tr) => tr.getMeta(suggestionsKey)?.finish);
+
+      const { tr } = newState;
+
+      // Turning the mode off, moving the cursor away or leaving finishes the suggestion
+      if (!docChanged || finish) {
+        if (!pending) return null;
+        const { head } = newState.selection;
+        if (!finish && enabled && head >= pending.from && head <= pending.to) return null;
+        return setPending(commitPending(tr, pending), null);
+      }
+
+      if (!enabled && !pending) return null;
+
+      const range = getChangedRange(oldState.doc, newState.doc);
+      if (!range) return null;
+      const local = !trs.some(isRemote);
+
+      // Remote changes overlapping the suggestion leave it as a plain edit
+      if (!enabled || !local || hasDiffNodes(oldState.doc, range.from, range.oldTo)) {
+        if (!pending) return null;
+        return setPending(tr, mapPending(pending, range, oldState.doc, newState.doc));
+      }
+
+      // Grow an existing suggestion
+      if (pending && range.from <= pending.to && range.oldTo >= pending.from) {
+        const from = Math.min(range.from, pending.from);
+        const oldTo = Math.max(range.oldTo, pending.to);
+        const original = oldState.doc.slice(from, pending.from).content
+          .append(pending.original)
+          .append(oldState.doc.slice(pending.to, oldTo).content);
+        const delta = newState.doc.content.size - oldState.doc.content.size;
+        return setPending(tr, { ...pending, from, to: oldTo + delta, original });
+      }
+
+      const next = createPending(
+        range.from,
+        range.newTo,
+        oldState.doc.slice(range.from, range.oldTo).content,
+      );
+
+      // A change elsewhere finishes the current suggestion first
+      if (pending) {
+        const mapped = mapPending(pending, range, oldState.doc, newState.doc);
+        if (mapped) {
+          commitPending(tr, mapped);
+          next.from = tr.mapping.map(next.from, -1);
+          next.to = tr.mapping.map(next.to, 1);
+        }
+      }
+
+      return setPending(tr, next);
+    },
+    props: {
+      attributes(state) {
+        return isSuggesting(state) ? { class: 'is-suggesting' } : {};
+      },
+      decorations(state) {
+        return suggestionsKey.getState(state).decorations;
+      },
+    },
+    view(editorView) {
+      let pruneTimeout;
+      let refreshTimeout;
+      let destroyed = false;
+
+      // The yMap is written here, once the y binding knows the new doc
+      const refresh = () => {
+        clearTimeout(refreshTimeout);
+        refreshTimeout = setTimeout(() => {
+          if (destroyed) return;
+          editorView.dispatch(editorView.state.tr.setMeta(suggestionsKey, { refresh: true }));
+          finishOrphans(editorView);
+        }, 0);
+      };
+
+      // Finish the suggestion of this author before the page goes away
+      const finish = () => {
+        if (!suggestionsKey.getState(editorView.state).pending) return;
+        editorView.dispatch(editorView.state.tr.setMeta(suggestionsKey, { finish: true }));
+      };
+
+      // Collaborators save their own changes
+      const save = (event, transaction) => {
+        if (suggestionsMap !== restoredMap || !transaction.local) return;
+        if (transaction.origin === RESTORE_ORIGIN) return;
+        saveAnnotations('suggestions', serializeSuggestions(editorView.state));
+      };
+
+      suggestionsMap?.observe(refresh);
+      suggestionsMap?.observe(save);
+      suggestionsAwareness?.on('change', refresh);
+      window.addEventListener('pagehide', finish);
+
+      return {
+        update(view, prevState) {
+          const state = suggestionsKey.getState(view.state);
+          const prev = suggestionsKey.getState(prevState);
+
+          if (state.committed && state.committed !== prev.committed
+            && state.committed.id !== prev.committed?.id) {
+            writeCommitted(view.state, state.committed);
+          }
+          if (state.pending && state.pending !== prev.pending) {
+            writePending(view.state, state.pending);
+          }
+          // A pending suggestion that was dropped without a commit
+          const dropped = prev.pending && prev.pending.id !== state.pending?.id
+            && prev.pending.id !== state.committed?.id;
+          if (dropped) suggestionsMap?.delete(prev.pending.id);
+
+          if (view.state.doc === prevState.doc) return;
+          clearTimeout(pruneTimeout);
+          pruneTimeout = setTimeout(() => pruneSuggestions(view.state), PRUNE_DELAY);
+        },
+        destroy() {
+          destroyed = true;
+          clearTimeout(pruneTimeout);
+          clearTimeout(refreshTimeout);
+          suggestionsMap?.unobserve(refresh);
+          suggestionsMap?.unobserve(save);
+          suggestionsAwareness?.off('change', refresh);
+          window.removeEventListener('pagehide', finish);
+        },
+      };
+    },
+  });
+}
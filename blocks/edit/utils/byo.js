@@ -0,0 +1,124 @@
+import { daFetch, fetchDaConfigs } from '../../shared/utils.js';
+
+/**
+ * Bring your own editor (BYO)
+ *
+ * An `editors` sheet in the org or site config maps documents to a custom
+ * editor module. Site rows win over org rows. Each row has:
+ *   class - a class of the document's metadata block (e.g. metadata product)
+ *   path  - a path glob (e.g. /adobe/site/products/**), * stays in one folder.
+ *           Documents are matched without their .html extension.
+ *   url   - the url of the editor module
+ *
+ * The module's default export is called with:
+ *   el          - the element to render the editor into
+ *   details     - the path details of the document
+ *   permissions - the permissions of the document
+ *   doc         - the document, parsed from its HTML
+ *   save(html)  - saves HTML to the document and returns the response
+ *   daTitle     - the title bar. Set previewPrefix / livePrefix on it
+ *                 to open previews on a different origin
+ *
+ * It may return an object with any of:
+ *   beforeAction(action) - called before preview or publish to flush pending
+ *                          changes. Return false to cancel the action.
+ *   destroy()            - called when navigating away from the document
+ */
+
+let current;
+
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '{globstar}')
+    .replace(/\*/g, '[^/]*')
+    .replace(/{globstar}/g, '.*');
+  return new RegExp(`^${source}$`);
+}
+
+export function matchesEditor(editor, { classes, fullpath }) {
+  if (!editor.url || !(editor.class || editor.path)) return false;
+  if (editor.class && !classes.includes(editor.class)) return false;
+  if (editor.path && !globToRegExp(editor.path).test(fullpath.replace(/\.html$/, ''))) return false;
+  return true;
+}
+
+/**
+ * Find the editor registered for a document.
+ * @param {Object} details - The path details of the document
+ * @param {Array} classes - The classes of the metadata block, besides metadata
+ * @returns {Promise<Object|undefined>} The editor row of the editors sheet,
+ * undefined when there is none or the configs cannot be read
+ */
+export async function getByoEditor(details, classes) {
+  const { org, site, fullpath } = details;
+  let configs;
+  try {
+    configs = await Promise.all(fetchDaConfigs({ org, site }));
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('Could not read the editors config', e);
+    return undefined;
+  }
+  const editors = configs.reverse().flatMap((config) => config?.editors?.data || []);
+  return editors.find((editor) => matchesEditor(editor, { classes, fullpath }));
+}
+
+async function saveHtml(url, html) {
+  const body = new FormData();
+  body.append('data', new Blob([html], { type: 'text/html' }));
+  return daFetch(url, { method: 'PUT', body });
+}
+
+export function destroyByoEditor() {
+  if (!current) return;
+  current.api?.destroy?.();
+  current.el.remove();
+  current.daTitle.byoEditor = undefined;
+  current.daTitle.previewPrefix = undefined;
+  current.daTitle.livePrefix = undefined;
+  current = undefined;
+}
+
+/**
+ * Load a custom editor module in place of the default editor.
+ * @param {Object} opts
+ * @param {Object} opts.editor - The editor row of the editors sheet
+ * @param {Element} opts.parent - The element to add the editor to
+ * @param {Element} opts.daTitle - The da-title element
+ * @returns {Promise<Boolean>} If the editor loaded
+ */
+export async function loadByoEditor({
+  editor,
+  parent,
+  daTitle,
+  details,
+  permissions,
+  doc,
+}) {
+  destroyByoEditor();
+
+  const el = document.createElement('div');
+  el.className = 'da-byo-editor';
+  parent.append(el);
+  current = { el, daTitle };
+
+  try {
+    const { default: init } = await import(editor.url);
+    current.api = await init({
+      el,
+      details,
+      permissions,
+      doc,
+      daTitle,
+      save: (html) => saveHtml(details.sourceUrl, html),
+    });
+    daTitle.byoEditor = current.api || {};
+    return true;
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(`Could not load editor ${editor.url}`, e);
+    destroyByoEditor();
+    return false;
+  }
+}
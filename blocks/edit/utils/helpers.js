@@ -2,7 +2,7 @@ import { DOMSerializer, Y } from 'da-y-wrapper';
 import { aem2doc, getSchema, yDocToProsemirror } from 'da-parser';
 import { AEM_ORIGIN, DA_ORIGIN } from '../../shared/constants.js';
 import prose2aem from '../../shared/prose2aem.js';
-import { daFetch, getSidekickConfig } from '../../shared/utils.js';
+import { daFetch, getSidekickConfig, parseAemError } from '../../shared/utils.js';
 
 export function isURL(text) {
   try {
@@ -15,31 +15,6 @@ export function isURL(text) {
 
 const AEM_PERMISSION_TPL = '{"users":{"total":1,"limit":1,"offset":0,"data":[]},"data":{"total":1,"limit":1,"offset":0,"data":[{}]},":names":["users","data"],":version":3,":type":"multi-sheet"}';
 
-/* eslint-disable max-len */
-/**
- * [admin] Unable to preview '.../page.md': source contains large image: error fetching resource at http.../hello: Image 1 exceeds allowed limit of 10.00MB
- * [admin] Unable to preview '.../doc.pdf': PDF is larger than 10MB: 24.0MB
- * [admin] Unable to preview '.../video.mp4': MP4 is longer than 2 minutes: 2m 44s
- * [admin] Unable to preview '.../video.mp4': MP4 has a higher bitrate than 300 KB/s: 494 kilobytes
- * [admin] not authenticated
- * [admin] not authorized
- */
-/* eslint-enable max-len */
-function parseAemError(xError) {
-  if (xError.includes('PDF')) {
-    const [seg1, seg2] = xError.split(': ').slice(-2);
-    return `${seg1}: ${seg2}`;
-  }
-  if (xError.includes('MP4')) {
-    const [seg1] = xError.split(': ').slice(-2);
-    return seg1;
-  }
-  if (xError.includes('Image')) {
-    return xError.split(': ').pop().replace('.00', '');
-  }
-  return xError.replace('[admin] ', '');
-}
-
 export async function getAemHrefs({ path }) {
   // Mine the path for different parts
   const [org, site, ...parts] = path.slice(1).split('/');
@@ -180,6 +155,33 @@ export function convertSheets(sheets) {
   return json;
 }
 
+// The ETag and last-modified of each source, as last read or written
+const sourceVersions = new Map();
+
+/**
+ * Remember the version of a source so later saves only succeed
+ * if nobody else changed it in the meantime.
+ * @param {String} url - The url of the source
+ * @param {Response} resp - The response of reading or saving the source
+ */
+export function trackSourceVersion(url, resp) {
+  const etag = resp.headers?.get('etag');
+  const lastModified = resp.headers?.get('last-modified');
+  if (!etag && !lastModified) return;
+  sourceVersions.set(url, { etag, lastModified });
+}
+
+export function isSaveConflict(resp) {
+  return resp?.status === 412;
+}
+
+function getConditionalHeaders(url) {
+  const version = sourceVersions.get(url);
+  if (version?.etag) return { 'If-Match': version.etag };
+  if (version?.lastModified) return { 'If-Unmodified-Since': version.lastModified };
+  return {};
+}
+
 async function saveJson(fullPath, sheets, jsonToSave, dataType = 'blob') {
   const json = jsonToSave || convertSheets(sheets);
 
@@ -194,8 +196,10 @@ async function saveJson(fullPath, sheets, jsonToSave, dataType = 'blob') {
     formData.append('config', JSON.stringify(json));
   }
 
-  const opts = { method: 'PUT', body: formData };
-  return daFetch(fullPath, opts);
+  const opts = { method: 'PUT', body: formData, headers: getConditionalHeaders(fullPath) };
+  const resp = await daFetch(fullPath, opts);
+  if (resp.ok) trackSourceVersion(fullPath, resp);
+  return resp;
 }
 
 export function saveToDa(pathname, sheet) {
@@ -0,0 +1,45 @@
+import {
+  EditorState,
+  EditorView,
+  columnResizing,
+  tableEditing,
+  fixTables,
+  Y,
+} from 'da-y-wrapper';
+import { getSchema, aem2doc, yDocToProsemirror } from 'da-parser';
+import prose2aem from '../../shared/prose2aem.js';
+import { compareHtml, normalizeHtml } from '../../shared/canonical.js';
+
+// Render a document in an editor view, with the plugins that shape its DOM
+function getEditorDom(html) {
+  const ydoc = new Y.Doc();
+  aem2doc(html, ydoc);
+  const schema = getSchema();
+  const doc = yDocToProsemirror(schema, ydoc);
+
+  let state = EditorState.create({ schema, doc, plugins: [columnResizing(), tableEditing()] });
+  const fix = fixTables(state);
+  if (fix) state = state.apply(fix);
+
+  const view = new EditorView(document.createElement('div'), { state, editable: () => false });
+  const dom = view.dom.cloneNode(true);
+  view.destroy();
+  return dom;
+}
+
+/**
+ * Load a document the way the editor does and save it again.
+ * HTML → Y.Doc (aem2doc) → ProseMirror editor view → prose2aem
+ * @param {String} html - The HTML of a DA document
+ * @returns {Object} The saved HTML, both canonical forms and their differences
+ */
+export default function roundTrip(html) {
+  const output = prose2aem(getEditorDom(html), false);
+
+  return {
+    html: output,
+    expected: normalizeHtml(html),
+    actual: normalizeHtml(output),
+    diffs: compareHtml(html, output),
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Canonical HTML
+ *
+ * Two documents that render the same should produce the same canonical HTML,
+ * so only real structural drift shows up when comparing them.
+ * - Only the contents of main are kept
+ * - Whitespace is collapsed and whitespace-only text is dropped
+ * - Empty paragraphs are dropped
+ * - Attributes are sorted and editor-only attributes are dropped
+ * Pictures, inline styles and list item paragraphs are kept as they are,
+ * as changes to them are the drift to find.
+ */
+
+const IGNORED_ATTRS = ['loading', 'contenteditable', 'draggable', 'translate'];
+const BLOCK_TAGS = ['DIV', 'P', 'UL', 'OL', 'LI', 'TABLE', 'PICTURE', 'HR', 'BLOCKQUOTE', 'PRE',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+
+const isBlock = (node) => BLOCK_TAGS.includes(node?.nodeName);
+const DOMPARSER = new DOMParser();
+
+function getRoot(html) {
+  const doc = DOMPARSER.parseFromString(html, 'text/html');
+  return doc.querySelector('main') || doc.body;
+}
+
+function canonicalizeText(node) {
+  const text = node.textContent.replace(/\s+/g, ' ');
+  if (!text.trim()) {
+    node.remove();
+    return;
+  }
+  node.textContent = text;
+}
+
+function canonicalizeElement(el) {
+  const attrs = [...el.attributes]
+    .filter((attr) => !IGNORED_ATTRS.includes(attr.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((attr) => [attr.name, attr.value.trim()]);
+  [...el.attributes].forEach((attr) => el.removeAttribute(attr.name));
+  attrs.forEach(([name, value]) => el.setAttribute(name, value));
+  return el;
+}
+
+function canonicalizeNode(node) {
+  if (node.nodeType === Node.COMMENT_NODE) {
+    node.remove();
+    return;
+  }
+  if (node.nodeType === Node.TEXT_NODE) {
+    canonicalizeText(node);
+    return;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+  const el = canonicalizeElement(node);
+  [...el.childNodes].forEach(canonicalizeNode);
+
+  // Trim text at the edges of elements and next to blocks
+  [...el.childNodes].forEach((child) => {
+    if (child.nodeType !== Node.TEXT_NODE) return;
+    let text = child.textContent;
+    if (!child.previousSibling || isBlock(child.previousSibling)) text = text.trimStart();
+    if (!child.nextSibling || isBlock(child.nextSibling)) text = text.trimEnd();
+    child.textContent = text;
+  });
+
+  if (el.nodeName === 'P' && !el.childNodes.length) el.remove();
+}
+
+/**
+ * Get the canonical tree of an HTML document.
+ * @param {String} html - The HTML of a document or a fragment
+ * @returns {Element} The canonical main (or body) element
+ */
+export function getCanonicalTree(html) {
+  const root = getRoot(html);
+  [...root.childNodes].forEach(canonicalizeNode);
+  return root;
+}
+
+function serialize(node, depth = 0) {
+  const indent = '  '.repeat(depth);
+  if (node.nodeType === Node.TEXT_NODE) return `${indent}${node.textContent}`;
+  const tag = node.nodeName.toLowerCase();
+  const attrs = [...node.attributes].map((attr) => ` ${attr.name}="${attr.value}"`).join('');
+  if (!node.childNodes.length) return `${indent}<${tag}${attrs}></${tag}>`;
+  const children = [...node.childNodes].map((child) => serialize(child, depth + 1));
+  return [`${indent}<${tag}${attrs}>`, ...children, `${indent}</${tag}>`].join('\n');
+}
+
+/**
+ * Normalize HTML to its canonical form, one node per line.
+ * @param {String} html - The HTML of a document or a fragment
+ * @returns {String} The canonical HTML
+ */
+export function normalizeHtml(html) {
+  const root = getCanonicalTree(html);
+  return [...root.childNodes].map((node) => serialize(node)).join('\n');
+}
+
+function getNodeName(node, idx) {
+  if (node.nodeType === Node.TEXT_NODE) return `#text[${idx}]`;
+  const className = node.getAttribute('class');
+  const name = node.nodeName.toLowerCase();
+  return `${name}${className ? `.${className.split(' ').join('.')}` : ''}[${idx}]`;
+}
+
+function describe(node) {
+  if (!node) return null;
+  if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+  return serialize(node).split('\n')[0];
+}
+
+function compareNodes(expected, actual, path, diffs) {
+  if (expected.nodeType !== actual.nodeType || expected.nodeName !== actual.nodeName) {
+    diffs.push({ path, type: 'node', expected: describe(expected), actual: describe(actual) });
+    return;
+  }
+
+  if (expected.nodeType === Node.TEXT_NODE) {
+    if (expected.textContent !== actual.textContent) {
+      diffs.push({ path, type: 'text', expected: expected.textContent, actual: actual.textContent });
+    }
+    return;
+  }
+
+  const names = new Set([...expected.getAttributeNames(), ...actual.getAttributeNames()]);
+  names.forEach((name) => {
+    const expectedValue = expected.getAttribute(name);
+    const actualValue = actual.getAttribute(name);
+    if (expectedValue !== actualValue) {
+      diffs.push({
+        path: `${path}@${name}`,
+        type: 'attribute',
+        expected: expectedValue,
+        actual: actualValue,
+      });
+    }
+  });
+
+  // eslint-disable-next-line no-use-before-define
+  compareChildren(expected, actual, path, diffs);
+}
+
+function compareChildren(expected, actual, path, diffs) {
+  const length = Math.max(expected.childNodes.length, actual.childNodes.length);
+  for (let idx = 0; idx < length; idx += 1) {
+    const expectedChild = expected.childNodes[idx];
+    const actualChild = actual.childNodes[idx];
+    const childPath = `${path} > ${getNodeName(expectedChild || actualChild, idx)}`;
+    if (!actualChild) {
+      diffs.push({ path: childPath, type: 'missing', expected: describe(expectedChild), actual: null });
+    } else if (!expectedChild) {
+      diffs.push({ path: childPath, type: 'extra', expected: null, actual: describe(actualChild) });
+    } else {
+      compareNodes(expectedChild, actualChild, childPath, diffs);
+    }
+  }
+}
+
+/**
+ * Compare two documents by their canonical trees.
+ * @param {String} expected - The expected HTML
+ * @param {String} actual - The actual HTML
+ * @returns {Array} The differences ({ path, type, expected, actual })
+ */
+export function compareHtml(expected, actual) {
+  const diffs = [];
+  compareChildren(getCanonicalTree(expected), getCanonicalTree(actual), 'main', diffs);
+  return diffs;
+}
@@ -3,7 +3,9 @@ export const AEM_ORIGIN = 'https://admin.hlx.page';
 export const SUPPORTED_FILES = {
   html: 'text/html',
   jpeg: 'image/jpeg',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
   json: 'application/json',
+  md: 'text/markdown',
   jpg: 'image/jpeg',
   png: 'image/png',
   gif: 'image/gif',
@@ -0,0 +1,308 @@
+/**
+ * Word documents
+ *
+ * Converts a .docx file to the HTML structure DA stores.
+ * - A table is a block, its first row holds the block name
+ * - A section break (or a `---` paragraph) starts a new section
+ * - Images are stored next to the document in its `.{name}/` folder
+ */
+import { CON_ORIGIN, DA_ORIGIN, SUPPORTED_FILES } from './constants.js';
+import { daFetch } from './utils.js';
+import { toBlockCSSClassNames } from './prose2aem.js';
+import { unzip } from './zip.js';
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const MARKS = [['sup', 'sup'], ['sub', 'sub'], ['u', 'u'], ['strike', 's'], ['i', 'em'], ['b', 'strong']];
+const ALIGNS = { sup: 'superscript', sub: 'subscript' };
+
+const esc = (text) => text
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;');
+
+// XML
+
+const getChildren = (el, name) => [...(el?.children || [])]
+  .filter((child) => child.localName === name);
+const getChild = (el, name) => getChildren(el, name)[0];
+const getVal = (el, name = 'val') => el?.getAttributeNS(W, name) || null;
+
+function isOn(props, name) {
+  const el = getChild(props, name);
+  if (!el) return false;
+  return !['false', '0', 'none'].includes(getVal(el));
+}
+
+async function readXml(entries, name) {
+  const read = entries.get(name);
+  if (!read) return null;
+  const text = new TextDecoder().decode(await read());
+  return new DOMParser().parseFromString(text, 'application/xml');
+}
+
+function getRelations(xml) {
+  const rels = new Map();
+  [...(xml?.getElementsByTagName('Relationship') || [])].forEach((rel) => {
+    rels.set(rel.getAttribute('Id'), rel.getAttribute('Target'));
+  });
+  return rels;
+}
+
+function getHeadings(xml) {
+  const headings = new Map();
+  [...(xml?.getElementsByTagNameNS(W, 'style') || [])].forEach((style) => {
+    const name = (getVal(getChild(style, 'name')) || '').toLowerCase();
+    const level = name === 'title' ? '1' : name.match(/^heading ([1-6])$/)?.[1];
+    if (level) headings.set(getVal(style, 'styleId'), Number(level));
+  });
+  return headings;
+}
+
+function getNumbering(xml) {
+  const formats = new Map();
+  [...(xml?.getElementsByTagNameNS(W, 'abstractNum') || [])].forEach((abstract) => {
+    const levels = getChildren(abstract, 'lvl').map((lvl) => getVal(getChild(lvl, 'numFmt')));
+    formats.set(getVal(abstract, 'abstractNumId'), levels);
+  });
+  const numbering = new Map();
+  [...(xml?.getElementsByTagNameNS(W, 'num') || [])].forEach((num) => {
+    const abstractId = getVal(getChild(num, 'abstractNumId'));
+    numbering.set(getVal(num, 'numId'), formats.get(abstractId) || []);
+  });
+  return numbering;
+}
+
+// Inline content
+
+function imageToHtml(el, ctx) {
+  const blip = el.getElementsByTagNameNS('*', 'blip')[0] || el.getElementsByTagNameNS('*', 'imagedata')[0];
+  const target = ctx.rels.get(blip?.getAttributeNS(R, 'embed') || blip?.getAttributeNS(R, 'id'));
+  if (!target) return '';
+  const name = target.split('/').pop();
+  if (!ctx.images.some((image) => image.name === name)) {
+    ctx.images.push({ name, entry: `word/${target.replace(/^\//, '').replace(/^word\//, '')}` });
+  }
+  const alt = el.getElementsByTagNameNS('*', 'docPr')[0]?.getAttribute('descr') || '';
+  return `<img src="${esc(`${ctx.mediaUrl}/${name}`)}" alt="${esc(alt)}">`;
+}
+
+function runToHtml(run, ctx) {
+  const content = [...run.children].map((child) => {
+    switch (child.localName) {
+      case 't':
+        return esc(child.textContent);
+      case 'tab':
+        return ' ';
+      case 'noBreakHyphen':
+        return '-';
+      case 'br':
+        return getVal(child, 'type') ? '' : '<br>';
+      case 'drawing':
+      case 'pict':
+        return imageToHtml(child, ctx);
+      default:
+        return '';
+    }
+  }).join('');
+  if (!content) return '';
+
+  const props = getChild(run, 'rPr');
+  const align = getVal(getChild(props, 'vertAlign'));
+  return MARKS.reduce((html, [name, tag]) => {
+    const on = ALIGNS[name]
+      ? align === ALIGNS[name]
+      : isOn(props, name) || (name === 'strike' && isOn(props, 'dstrike'));
+    return on ? `<${tag}>${html}</${tag}>` : html;
+  }, content);
+}
+
+function inlineToHtml(el, ctx) {
+  const html = [...el.children].map((child) => {
+    switch (child.localName) {
+      case 'r':
+        return runToHtml(child, ctx);
+      case 'hyperlink': {
+        const href = ctx.rels.get(child.getAttributeNS(R, 'id'));
+        const text = inlineToHtml(child, ctx);
+        return href ? `<a href="${esc(href)}">${text}</a>` : text;
+      }
+      case 'ins':
+      case 'smartTag':
+      case 'fldSimple':
+      case 'sdt':
+      case 'sdtContent':
+        return inlineToHtml(child, ctx);
+      default:
+        return '';
+    }
+  }).join('');
+  // Word splits text in runs, join the ones with the same formatting
+  return html.replace(/<\/(strong|em|s|u|sup|sub)><\1>/g, '');
+}
+
+// Block content
+
+function listToHtml(items, start, level) {
+  const tag = items[start].ordered ? 'ol' : 'ul';
+  let html = `<${tag}>`;
+  let idx = start;
+  while (idx < items.length && items[idx].level >= level) {
+    const item = items[idx];
+    let li = item.html;
+    idx += 1;
+    if (idx < items.length && items[idx].level > item.level) {
+      const [sub, next] = listToHtml(items, idx, items[idx].level);
+      li += sub;
+      idx = next;
+    }
+    html += `<li>${li}</li>`;
+  }
+  return [`${html}</${tag}>`, idx];
+}
+
+function getBlockClasses(rows) {
+  const header = rows[0] || [];
+  const names = header.map((cell) => cell.textContent.trim());
+  // A header with several names is a plain table, keep it as a row
+  if (!names[0] || names.slice(1).some((name) => name)) return [['table'], rows];
+  return [toBlockCSSClassNames(names[0]), rows.slice(1)];
+}
+
+/**
+ * Convert the body of a document (or a table cell) to sections of HTML.
+ * @returns {Array<String>} The HTML of each section
+ */
+function bodyToSections(el, ctx) {
+  const sections = [''];
+  let items = [];
+
+  const add = (html) => { sections[sections.length - 1] += html; };
+  const flushList = () => {
+    if (items.length) add(listToHtml(items, 0, items[0].level)[0]);
+    items = [];
+  };
+  const breakSection = () => {
+    flushList();
+    sections.push('');
+  };
+
+  const walk = (children) => children.forEach((child) => {
+    if (child.localName === 'sdt') {
+      walk([...(getChild(child, 'sdtContent')?.children || [])]);
+      return;
+    }
+
+    if (child.localName === 'tbl') {
+      flushList();
+      const rows = getChildren(child, 'tr').map((tr) => getChildren(tr, 'tc'));
+      const [classes, bodyRows] = getBlockClasses(rows);
+      const divs = bodyRows.map((cells) => {
+        const cols = cells.map((cell) => `<div>${bodyToSections(cell, ctx).join('')}</div>`);
+        return `<div>${cols.join('')}</div>`;
+      });
+      add(`<div class="${classes.join(' ')}">${divs.join('')}</div>`);
+      return;
+    }
+
+    if (child.localName !== 'p') return;
+
+    const props = getChild(child, 'pPr');
+    const html = inlineToHtml(child, ctx);
+    const text = child.textContent.trim();
+    const level = ctx.headings.get(getVal(getChild(props, 'pStyle')));
+    const numPr = getChild(props, 'numPr');
+
+    if (text === '---') {
+      breakSection();
+    } else if (html && level) {
+      flushList();
+      add(`<h${level}>${html}</h${level}>`);
+    } else if (html && numPr) {
+      const ilvl = Number(getVal(getChild(numPr, 'ilvl')) || 0);
+      const numId = getVal(getChild(numPr, 'numId'));
+      const format = (ctx.numbering.get(numId) || [])[ilvl];
+      // Another numbering is another list
+      if (!ilvl && items[0]?.numId !== numId) flushList();
+      items.push({ level: ilvl, ordered: !!format && format !== 'bullet', numId, html });
+    } else if (html) {
+      flushList();
+      add(`<p>${html}</p>`);
+    }
+
+    // The last paragraph of a section holds its properties
+    if (getChild(props, 'sectPr')) breakSection();
+  });
+
+  walk([...el.children]);
+  flushList();
+  return sections;
+}
+
+/**
+ * Convert a Word document to a DA document.
+ * @param {ArrayBuffer} buffer - The .docx file
+ * @param {String} mediaUrl - Where the images of the document will be stored
+ * @returns {Promise<Object>} The HTML and the images ({ name, data }) to store
+ */
+export async function docx2html(buffer, mediaUrl) {
+  const entries = unzip(buffer);
+  const [doc, rels, styles, numbering] = await Promise.all([
+    readXml(entries, 'word/document.xml'),
+    readXml(entries, 'word/_rels/document.xml.rels'),
+    readXml(entries, 'word/styles.xml'),
+    readXml(entries, 'word/numbering.xml'),
+  ]);
+  if (!doc) throw new Error('Not a Word document');
+
+  const ctx = {
+    mediaUrl,
+    rels: getRelations(rels),
+    headings: getHeadings(styles),
+    numbering: getNumbering(numbering),
+    images: [],
+  };
+
+  const body = doc.getElementsByTagNameNS(W, 'body')[0];
+  const sections = bodyToSections(body, ctx).filter((section) => section);
+  const main = sections.map((section) => `<div>${section}</div>`).join('');
+  const html = `<body><header></header><main>${main}</main><footer></footer></body>`;
+
+  const images = await Promise.all(ctx.images
+    .filter((image) => entries.has(image.entry))
+    .map(async (image) => ({ name: image.name, data: await entries.get(image.entry)() })));
+
+  return { html, images };
+}
+
+/**
+ * Convert a Word document and store its images.
+ * @param {File} file - The .docx file
+ * @param {String} path - The path of the document to create
+ * @returns {Promise<Object>} The HTML file, and an error naming the images
+ * that could not be stored ({ file, error })
+ */
+export async function importDocx(file, path) {
+  const parts = path.split('/');
+  const name = parts.pop().replace(/\.[^.]+$/, '');
+  const mediaPath = `${parts.join('/')}/.${name}`;
+
+  const { html, images } = await docx2html(await file.arrayBuffer(), `${CON_ORIGIN}${mediaPath}`);
+
+  const stored = await Promise.all(images.map(async (image) => {
+    const ext = image.name.split('.').pop().toLowerCase();
+    const body = new FormData();
+    body.append('data', new Blob([image.data], { type: SUPPORTED_FILES[ext] }), image.name);
+    try {
+      const resp = await daFetch(`${DA_ORIGIN}/source${mediaPath}/${image.name}`, { body, method: 'POST' });
+      return resp.ok;
+    } catch {
+      return false;
+    }
+  }));
+  const failed = images.filter((_, idx) => !stored[idx]).map((image) => image.name);
+  const error = failed.length ? `Couldn't upload images: ${failed.join(', ')}` : undefined;
+
+  return { file: new File([html], `${name}.html`, { type: 'text/html' }), error };
+}
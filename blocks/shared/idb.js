@@ -0,0 +1,48 @@
+const DB_CACHE = {};
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Opens (and caches) an IndexedDB database.
+ * @param {string} name - The database name
+ * @param {number} version - The schema version
+ * @param {Function} upgrade - Called with the db when the version changes
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDb(name, version, upgrade) {
+  if (DB_CACHE[name]) return DB_CACHE[name];
+  const req = indexedDB.open(name, version);
+  req.onupgradeneeded = () => upgrade(req.result);
+  DB_CACHE[name] = promisify(req).catch((e) => {
+    delete DB_CACHE[name];
+    throw e;
+  });
+  return DB_CACHE[name];
+}
+
+/**
+ * Returns a small promise based wrapper around a single object store.
+ * @param {Promise<IDBDatabase>} dbPromise - The result of openDb
+ * @param {string} storeName - The object store name
+ */
+export function getStore(dbPromise, storeName) {
+  const run = async (mode, fn) => {
+    const db = await dbPromise;
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisify(fn(store));
+  };
+
+  return {
+    get: (key) => run('readonly', (store) => store.get(key)),
+    getAll: (query) => run('readonly', (store) => store.getAll(query)),
+    getAllKeys: (query) => run('readonly', (store) => store.getAllKeys(query)),
+    put: (value, key) => run('readwrite', (store) => store.put(value, key)),
+    delete: (key) => run('readwrite', (store) => store.delete(key)),
+    clear: () => run('readwrite', (store) => store.clear()),
+  };
+}
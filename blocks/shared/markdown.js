@@ -0,0 +1,432 @@
+/**
+ * Markdown
+ *
+ * Converts Markdown to the HTML structure DA stores and back again.
+ * - A `---` line starts a new section
+ * - A table is a block, its header holds the block name: `| Hero (dark) |`
+ * - Front matter is the metadata block of the document
+ */
+import { toBlockCSSClassNames } from './prose2aem.js';
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const BREAK = /<br\s*\/?>/i;
+const ESCAPABLE = /\\([\\`*_{}[\]()#+\-.!|~>])/g;
+
+const esc = (text) => text
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;');
+
+// Markdown → HTML
+
+function inline(text) {
+  const stash = [];
+  const keep = (str) => {
+    stash.push(str);
+    return `\uE000${stash.length - 1}\uE000`;
+  };
+
+  const convert = (str) => {
+    let out = str
+      .replace(/`([^`]+)`/g, (_, code) => keep(`<code>${esc(code)}</code>`))
+      .replace(ESCAPABLE, (_, char) => keep(esc(char)))
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (_, alt, src, title) => {
+        const titleAttr = title ? ` title="${esc(title)}"` : '';
+        return keep(`<img src="${esc(src)}" alt="${esc(alt)}"${titleAttr}>`);
+      })
+      .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (_, label, href, title) => {
+        const titleAttr = title ? ` title="${esc(title)}"` : '';
+        return keep(`<a href="${esc(href)}"${titleAttr}>${convert(label)}</a>`);
+      })
+      .replace(/<(https?:\/\/[^>\s]+)>/g, (_, href) => keep(`<a href="${esc(href)}">${esc(href)}</a>`));
+
+    out = esc(out)
+      .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => `<strong>${a || b}</strong>`)
+      .replace(/\*(.+?)\*|\b_(.+?)_\b/g, (_, a, b) => `<em>${a || b}</em>`)
+      .replace(/~~(.+?)~~/g, '<del>$1</del>')
+      .replace(/( {2,}|\\)\n/g, '<br>')
+      .replace(/\n/g, ' ');
+    return out;
+  };
+
+  let html = convert(text.trim());
+  while (html.includes('\uE000')) {
+    html = html.replace(/\uE000(\d+)\uE000/g, (_, idx) => stash[idx]);
+  }
+  return html;
+}
+
+function splitRow(line) {
+  return line.trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replaceAll('\\|', '|'));
+}
+
+function cellToHtml(cell) {
+  const parts = cell.split(BREAK).map((part) => part.trim()).filter((part) => part);
+  let html = '';
+  let items = [];
+  const flush = () => {
+    if (items.length) html += `<ul>${items.map((item) => `<li>${inline(item)}</li>`).join('')}</ul>`;
+    items = [];
+  };
+  parts.forEach((part) => {
+    const item = part.match(/^[-*+]\s+(.*)$/);
+    if (item) {
+      items.push(item[1]);
+      return;
+    }
+    flush();
+    html += `<p>${inline(part)}</p>`;
+  });
+  flush();
+  return html;
+}
+
+function tableToHtml(header, rows) {
+  const [name, ...rest] = header;
+  // A header with several names is a plain table, keep it as a row
+  const isPlain = !name || rest.some((cell) => cell);
+  const classes = isPlain ? ['table'] : toBlockCSSClassNames(name);
+  const bodyRows = isPlain ? [header, ...rows] : rows;
+
+  const divs = bodyRows.map((row) => {
+    const cells = [...row];
+    // Drop the padding of rows with fewer columns
+    while (cells.length > 1 && !cells.at(-1)) cells.pop();
+    return `<div>${cells.map((cell) => `<div>${cellToHtml(cell)}</div>`).join('')}</div>`;
+  });
+  return `<div class="${classes.join(' ')}">${divs.join('')}</div>`;
+}
+
+function listToHtml(items, start, indent) {
+  const tag = items[start].ordered ? 'ol' : 'ul';
+  let html = `<${tag}>`;
+  let idx = start;
+  while (idx < items.length && items[idx].indent >= indent) {
+    const item = items[idx];
+    let li = inline(item.text);
+    idx += 1;
+    if (idx < items.length && items[idx].indent > item.indent) {
+      const [sub, next] = listToHtml(items, idx, items[idx].indent);
+      li += sub;
+      idx = next;
+    }
+    html += `<li>${li}</li>`;
+  }
+  return [`${html}</${tag}>`, idx];
+}
+
+function parseList(lines, start) {
+  const items = [];
+  let idx = start;
+  while (idx < lines.length) {
+    const line = lines[idx];
+    const match = line.match(LIST_ITEM);
+    if (match) {
+      const indent = match[1].replaceAll('\t', '    ').length;
+      items.push({ indent, ordered: /\d/.test(match[2]), text: match[3] });
+    } else if (line.trim() && /^\s+/.test(line)) {
+      items.at(-1).text += `\n${line.trim()}`;
+    } else if (!line.trim() && LIST_ITEM.test(lines[idx + 1] || '')) {
+      // Loose lists keep going after a blank line
+    } else {
+      break;
+    }
+    idx += 1;
+  }
+  const [html] = listToHtml(items, 0, items[0].indent);
+  return [html, idx];
+}
+
+const isTable = (lines, idx) => lines[idx].trim().startsWith('|')
+  && TABLE_DIVIDER.test(lines[idx + 1] || '') && lines[idx + 1].includes('|');
+
+const startsBlock = (lines, idx) => {
+  const line = lines[idx];
+  return FENCE.test(line) || HEADING.test(line) || LIST_ITEM.test(line)
+    || QUOTE.test(line) || isTable(lines, idx);
+};
+
+function blocksToHtml(lines) {
+  const html = [];
+  let idx = 0;
+  while (idx < lines.length) {
+    const line = lines[idx];
+    if (!line.trim()) {
+      idx += 1;
+    } else if (FENCE.test(line)) {
+      const [, fence] = line.match(FENCE);
+      const code = [];
+      idx += 1;
+      while (idx < lines.length && !lines[idx].trim().startsWith(fence)) {
+        code.push(lines[idx]);
+        idx += 1;
+      }
+      idx += 1;
+      html.push(`<pre><code>${esc(code.join('\n'))}</code></pre>`);
+    } else if (HEADING.test(line)) {
+      const [, level, text] = line.match(HEADING);
+      html.push(`<h${level.length}>${inline(text)}</h${level.length}>`);
+      idx += 1;
+    } else if (isTable(lines, idx)) {
+      const header = splitRow(line);
+      const rows = [];
+      idx += 2;
+      while (idx < lines.length && lines[idx].trim().startsWith('|')) {
+        rows.push(splitRow(lines[idx]));
+        idx += 1;
+      }
+      html.push(tableToHtml(header, rows));
+    } else if (QUOTE.test(line)) {
+      const quote = [];
+      while (idx < lines.length && QUOTE.test(lines[idx])) {
+        quote.push(lines[idx].match(QUOTE)[1]);
+        idx += 1;
+      }
+      html.push(`<blockquote>${blocksToHtml(quote)}</blockquote>`);
+    } else if (LIST_ITEM.test(line)) {
+      const [list, next] = parseList(lines, idx);
+      html.push(list);
+      idx = next;
+    } else {
+      const para = [];
+      while (idx < lines.length && lines[idx].trim() && !(para.length && startsBlock(lines, idx))) {
+        para.push(lines[idx]);
+        idx += 1;
+      }
+      html.push(`<p>${inline(para.join('\n'))}</p>`);
+    }
+  }
+  return html.join('');
+}
+
+function parseFrontMatter(lines) {
+  if (lines[0]?.trim() !== '---') return [null, lines];
+  const end = lines.findIndex((line, idx) => idx > 0 && line.trim() === '---');
+  if (end < 0) return [null, lines];
+
+  const entries = [];
+  const yaml = lines.slice(1, end);
+  const isYaml = yaml.every((line) => !line.trim() || /^[^\s:][^:]*:/.test(line) || /^\s+-\s/.test(line));
+  if (!isYaml) return [null, lines];
+
+  const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+  yaml.forEach((line) => {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && entries.length) {
+      const last = entries.at(-1);
+      last[1] = last[1] ? `${last[1]}, ${unquote(item[1])}` : unquote(item[1]);
+      return;
+    }
+    const idx = line.indexOf(':');
+    if (idx > 0) entries.push([line.slice(0, idx).trim(), unquote(line.slice(idx + 1))]);
+  });
+  return [entries, lines.slice(end + 1)];
+}
+
+function splitSections(lines) {
+  const sections = [[]];
+  let inFence = false;
+  lines.forEach((line) => {
+    if (FENCE.test(line)) inFence = !inFence;
+    if (!inFence && RULE.test(line)) {
+      sections.push([]);
+      return;
+    }
+    sections.at(-1).push(line);
+  });
+  return sections;
+}
+
+/**
+ * Convert Markdown to a DA document.
+ * @param {String} md - The Markdown
+ * @returns {String} The HTML of the document
+ */
+export function md2html(md) {
+  const [meta, lines] = parseFrontMatter(md.replaceAll('\r\n', '\n').split('\n'));
+  const sections = splitSections(lines).map((section) => blocksToHtml(section));
+
+  if (meta?.length) {
+    const rows = meta.map(([key, value]) => `<div><div><p>${esc(key)}</p></div><div><p>${esc(value)}</p></div></div>`);
+    sections[sections.length - 1] += `<div class="metadata">${rows.join('')}</div>`;
+  }
+
+  const main = sections.map((section) => `<div>${section}</div>`).join('');
+  return `<body><header></header><main>${main}</main><footer></footer></body>`;
+}
+
+// HTML → Markdown
+
+const escMd = (text) => text.replace(/([\\`*_[\]])/g, '\\$1');
+
+function inlineToMd(node, inTable = false) {
+  return [...node.childNodes].map((child) => {
+    if (child.nodeType === Node.TEXT_NODE) return escMd(child.textContent.replace(/\s+/g, ' '));
+    if (child.nodeType !== Node.ELEMENT_NODE) return '';
+    const inner = () => inlineToMd(child, inTable);
+    switch (child.nodeName) {
+      case 'STRONG':
+      case 'B':
+        return `**${inner()}**`;
+      case 'EM':
+      case 'I':
+        return `*${inner()}*`;
+      case 'S':
+      case 'DEL':
+        return `~~${inner()}~~`;
+      case 'CODE':
+        return `\`${child.textContent}\``;
+      case 'BR':
+        return inTable ? '<br>' : '  \n';
+      case 'A': {
+        const title = child.title ? ` "${child.title}"` : '';
+        return `[${inner()}](${child.getAttribute('href')}${title})`;
+      }
+      case 'PICTURE':
+      case 'IMG': {
+        const img = child.nodeName === 'IMG' ? child : child.querySelector('img');
+        if (!img) return '';
+        const title = img.title ? ` "${img.title}"` : '';
+        return `![${escMd(img.getAttribute('alt') || '')}](${img.getAttribute('src')}${title})`;
+      }
+      case 'SUP':
+      case 'SUB':
+      case 'U':
+        return `<${child.localName}>${inner()}</${child.localName}>`;
+      default:
+        return inner();
+    }
+  }).join('').trim();
+}
+
+// Keep text that looks like Markdown syntax from turning into it
+const escStart = (text) => text.replace(/^(#{1,6}\s|[-+*]\s|>|(\d+)[.)]\s)/, (match, _, num) => (num ? `${num}\\${match.slice(num.length)}` : `\\${match}`));
+
+function listToMd(list, indent = '') {
+  return [...list.children].map((li, idx) => {
+    const marker = list.nodeName === 'OL' ? `${idx + 1}.` : '-';
+    const nested = [...li.children].filter((child) => child.nodeName === 'UL' || child.nodeName === 'OL');
+    const clone = li.cloneNode(true);
+    clone.querySelectorAll(':scope > ul, :scope > ol').forEach((child) => child.remove());
+    const paras = [...clone.querySelectorAll(':scope > p')];
+    const text = paras.length ? paras.map((p) => inlineToMd(p)).join(' ') : inlineToMd(clone);
+    const subIndent = `${indent}${' '.repeat(marker.length + 1)}`;
+    const subs = nested.map((sub) => `\n${listToMd(sub, subIndent)}`).join('');
+    return `${indent}${marker} ${escStart(text)}${subs}`;
+  }).join('\n');
+}
+
+function cellToMd(cell) {
+  const parts = [...cell.children].length ? [...cell.children].flatMap((child) => {
+    if (child.nodeName === 'UL' || child.nodeName === 'OL') {
+      return [...child.children].map((li) => `- ${inlineToMd(li, true)}`);
+    }
+    return inlineToMd(child, true);
+  }) : [inlineToMd(cell, true)];
+  return parts.filter((part) => part).join('<br>').replaceAll('|', '\\|').replace(/\n/g, ' ');
+}
+
+function rowsToTable(header, rows) {
+  const cols = Math.max(header.length, ...rows.map((row) => row.length));
+  const pad = (row) => [...row, ...Array(cols - row.length).fill('')];
+  const line = (row) => `| ${pad(row).join(' | ')} |`.replace(/ {2}\|/g, ' |');
+  return [line(header), line(Array(cols).fill('---')), ...rows.map(line)].join('\n');
+}
+
+function blockToMd(block) {
+  const [name, ...variants] = [...block.classList];
+  const rows = [...block.children].map((row) => [...row.children].map(cellToMd));
+  if (name === 'table' && !variants.length && rows.length) {
+    const [header, ...rest] = rows;
+    return rowsToTable(header, rest);
+  }
+  const title = variants.length ? `${name} (${variants.join(', ')})` : name;
+  return rowsToTable([title], rows);
+}
+
+function nodeToMd(el) {
+  switch (el.nodeName) {
+    case 'H1':
+    case 'H2':
+    case 'H3':
+    case 'H4':
+    case 'H5':
+    case 'H6':
+      return `${'#'.repeat(Number(el.nodeName[1]))} ${inlineToMd(el)}`;
+    case 'UL':
+    case 'OL':
+      return listToMd(el);
+    case 'PRE':
+      return `\`\`\`\n${el.textContent.replace(/\n$/, '')}\n\`\`\``;
+    case 'BLOCKQUOTE':
+      // eslint-disable-next-line no-use-before-define
+      return sectionToMd(el).split('\n').map((line) => `> ${line}`.trimEnd()).join('\n');
+    case 'TABLE': {
+      const rows = [...el.querySelectorAll('tr')].map((tr) => [...tr.children].map(cellToMd));
+      const [header, ...rest] = rows;
+      return header ? rowsToTable(header, rest) : '';
+    }
+    case 'HR':
+      return '';
+    case 'DIV':
+      // eslint-disable-next-line no-use-before-define
+      return el.classList.length ? blockToMd(el) : sectionToMd(el);
+    default:
+      return escStart(inlineToMd(el));
+  }
+}
+
+function sectionToMd(section) {
+  return [...section.children].map(nodeToMd).filter((md) => md).join('\n\n');
+}
+
+function frontMatter(meta) {
+  const lines = [...meta.children].map((row) => {
+    const [key, value] = [...row.children].map((cell) => cell.textContent.trim());
+    if (!key) return null;
+    const needsQuotes = /^[\s'"]|[:#]\s|\s$/.test(value || '');
+    return `${key}: ${needsQuotes ? JSON.stringify(value) : value || ''}`;
+  }).filter((line) => line);
+  return lines.length ? `---\n${lines.join('\n')}\n---\n\n` : '';
+}
+
+/**
+ * Convert a DA document to Markdown.
+ * @param {String} html - The HTML of the document
+ * @returns {String} The Markdown
+ */
+export function html2md(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const main = doc.querySelector('main') || doc.body;
+
+  const meta = main.querySelector(':scope > div > .metadata');
+  const front = meta ? frontMatter(meta) : '';
+  meta?.remove();
+
+  const sections = main.querySelector(':scope > div')
+    ? [...main.querySelectorAll(':scope > div')]
+    : [main];
+  const body = sections.map(sectionToMd).filter((md) => md).join('\n\n---\n\n');
+  return `${front}${body}\n`;
+}
+
+/**
+ * Convert a Markdown file to an HTML file with the same name.
+ * @param {File} file - The Markdown file
+ * @returns {Promise<File>} The HTML file
+ */
+export async function md2htmlFile(file) {
+  const html = md2html(await file.text());
+  const name = file.name.replace(/\.(md|markdown)$/i, '.html');
+  return new File([html], name, { type: 'text/html' });
+}
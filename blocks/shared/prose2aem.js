@@ -1,9 +1,22 @@
+// Live preview elements point back to the position of their node in the editor
+export const SOURCE_ATTR = 'data-da-source';
+export const SOURCE_TYPES = ['paragraph', 'heading', 'table', 'image', 'horizontal_rule',
+  'bullet_list', 'ordered_list', 'blockquote', 'code_block'];
+
+// The ways a document with pending localization diffs can be previewed
+export const DIFF_VARIANTS = ['merged', 'local', 'upstream'];
+
+function copySource(from, to) {
+  const source = from?.getAttribute?.(SOURCE_ATTR);
+  if (source) to.setAttribute(SOURCE_ATTR, source);
+}
+
 function setCursor(cursor, el) {
   el.id = cursor.id;
   cursor.remove();
 }
 
-function toBlockCSSClassNames(text) {
+export function toBlockCSSClassNames(text) {
   if (!text) return [];
   const names = [];
   const idx = text.lastIndexOf('(');
@@ -23,7 +36,7 @@ function toBlockCSSClassNames(text) {
 }
 
 function convertBlocks(editor, isFragment = false) {
-  const tables = editor.querySelectorAll('.tableWrapper > table, da-diff-added > table');
+  const tables = editor.querySelectorAll('.tableWrapper > table, da-diff-added > table, da-diff-deleted > table');
 
   tables.forEach((table) => {
     const tbody = table.querySelector(':scope > tbody');
@@ -46,6 +59,7 @@ function convertBlocks(editor, isFragment = false) {
     const div = document.createElement('div');
     div.className = toBlockCSSClassNames(nameRow.textContent).join(' ');
     div.append(...divs);
+    copySource(table.parentElement, div);
 
     // cursor detection
     const daCursor = nameRow.querySelector('#da-cursor-position');
@@ -138,23 +152,86 @@ function convertParagraphs(editor) {
     // Convert dash p tags to rules
     if (p.textContent.trim() === '---') {
       const hr = document.createElement('hr');
+      copySource(p, hr);
       p.parentElement.replaceChild(hr, p);
     }
   });
 }
 
-function convertListItems(editor) {
-  const topLevelLists = editor.querySelectorAll('ul > li, ol > li');
-
-  topLevelLists.forEach((li) => {
-    if (li.firstChild.classList.contains('loc-deleted-view')) {
-      li.remove(); // remove deleted nodes in preview
-    } else if (li.firstChild.classList.contains('loc-added-view')) {
-      li.querySelector('.loc-color-overlay').remove();
-      li.innerHTML = li.firstChild.innerHTML;
+const removeEls = (els) => els.forEach((el) => el.remove());
+
+function unwrapDiff(el) {
+  const controls = el.querySelectorAll('.loc-color-overlay, .diff-suggestion-author');
+  removeEls(controls);
+  // The diff views render tables without the wrapper blocks are found by
+  el.querySelectorAll(':scope > table').forEach((table) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'tableWrapper';
+    table.before(wrapper);
+    wrapper.append(table);
+  });
+  el.replaceWith(...el.childNodes);
+}
+
+// Keep one tab of a diff pair
+function keepPane(pair, tab) {
+  const pane = pair.querySelector(`.diff-tab-pane[data-tab="${tab}"]`);
+  if (!pane) {
+    pair.remove();
+    return;
+  }
+  pair.replaceWith(pane);
+  unwrapDiff(pane);
+}
+
+function keepSingle(single, keep) {
+  const { parentElement } = single;
+  if (keep) {
+    unwrapDiff(single);
+  } else {
+    single.remove();
+  }
+  // Drop list items that only held the removed side
+  if (parentElement.nodeName === 'LI' && !parentElement.childNodes.length) parentElement.remove();
+}
+
+/**
+ * Render the pending localization diffs of a document as one of its variants.
+ * Upstream keeps the deleted (langstore) side, local keeps the added side and
+ * merged keeps the tab each pair currently shows. Suggestions are not accepted
+ * yet, so every variant keeps their original (deleted) side.
+ * @param {HTMLElement} editor the editor dom
+ * @param {String} variant one of DIFF_VARIANTS
+ */
+function convertDiffs(editor, variant) {
+  const upstream = variant === 'upstream';
+
+  const pairs = editor.querySelectorAll('.loc-tabbed-container');
+  pairs.forEach((pair) => {
+    if (pair.classList.contains('is-suggestion')) {
+      keepPane(pair, 'deleted');
+      return;
+    }
+    let tab = upstream ? 'deleted' : 'added';
+    if (variant === 'merged') {
+      const active = pair.querySelector('.diff-tab-pane.active')?.dataset.tab;
+      if (active === 'deleted') tab = 'deleted';
     }
+    keepPane(pair, tab);
+  });
+
+  const singles = editor.querySelectorAll('.loc-single-container');
+  singles.forEach((single) => {
+    const isDeleted = single.classList.contains('loc-deleted-view');
+    const isSuggestion = single.classList.contains('is-suggestion');
+    keepSingle(single, isSuggestion ? isDeleted : isDeleted === upstream);
   });
 
+  const others = editor.querySelectorAll(upstream ? 'da-diff-added' : 'da-diff-deleted');
+  removeEls(others);
+}
+
+function convertListItems(editor) {
   const lis = editor.querySelectorAll('li');
   lis.forEach((li) => {
     // Collapse single child p tags
@@ -171,7 +248,9 @@ function makeSections(editor) {
   const sections = [...children].reduce((acc, child) => {
     if (child.nodeName === 'HR') {
       child.remove();
-      acc.push(document.createElement('div'));
+      const div = document.createElement('div');
+      copySource(child, div);
+      acc.push(div);
     } else {
       acc[acc.length - 1].append(child);
       // Find cursor inside section-metadata and bubble it to parent section
@@ -199,24 +278,28 @@ function parseIcons(editor) {
   );
 }
 
-const removeEls = (els) => els.forEach((el) => el.remove());
-
 /**
  * A utility to take ProseMirror formatted DOM and convert to AEM semantic markup
  * @param {HTMLElement} editor the editor dom
  * @param {Boolean} livePreview whether or not the target destination is Live Preview
  * @param {Boolean} isFragment whether or not the DOM is a fragment
  * @param {Boolean} lockdownImages whether or not to make images and content.da.live URLs relative
+ * @param {String} variant which side of pending localization diffs to render
  * @returns AEM-friendly HTML as a text string
  */
-export default function prose2aem(editor, livePreview, isFragment = false, lockdownImages = false) {
+export default function prose2aem(
+  editor,
+  livePreview,
+  isFragment = false,
+  lockdownImages = false,
+  variant = 'merged',
+) {
   if (!isFragment) editor.removeAttribute('class');
 
   editor.removeAttribute('contenteditable');
   editor.removeAttribute('translate');
 
-  const daDiffDeletedEls = editor.querySelectorAll('da-diff-deleted');
-  removeEls(daDiffDeletedEls);
+  convertDiffs(editor, variant);
 
   const emptyImgs = editor.querySelectorAll('img.ProseMirror-separator');
   removeEls(emptyImgs);
@@ -235,6 +318,10 @@ export default function prose2aem(editor, livePreview, isFragment = false, lockd
     el.parentElement.replaceChild(document.createTextNode(el.innerText), el);
   });
 
+  // Comments live outside the document, only their highlights need to go
+  const commentAnchors = editor.querySelectorAll('.da-comment-anchor');
+  commentAnchors.forEach((el) => { el.replaceWith(...el.childNodes); });
+
   convertListItems(editor);
 
   convertParagraphs(editor);
@@ -272,12 +359,35 @@ export default function prose2aem(editor, livePreview, isFragment = false, lockd
   return html;
 }
 
-export function getHtmlWithCursor(view, lockdownImages = false) {
+/**
+ * Mark the nodes of a clone of the editor with their position in the document.
+ * @param {EditorView} view - The editor
+ * @param {HTMLElement} clone - A clone of the editor DOM
+ */
+export function markSources(view, clone) {
+  const clones = new Map();
+  const walk = (node, copy) => {
+    clones.set(node, copy);
+    node.childNodes.forEach((child, idx) => walk(child, copy.childNodes[idx]));
+  };
+  walk(view.dom, clone);
+
+  view.state.doc.descendants((node, pos) => {
+    if (!SOURCE_TYPES.includes(node.type.name)) return;
+    let dom = view.nodeDOM(pos);
+    // Images can be wrapped by their node view
+    if (node.type.name === 'image' && dom?.nodeName !== 'IMG') dom = dom?.querySelector?.('img');
+    clones.get(dom)?.setAttribute?.(SOURCE_ATTR, pos);
+  });
+}
+
+export function getHtmlWithCursor(view, lockdownImages = false, variant = 'merged') {
   const { selection } = view.state;
   const cursorPos = selection.from;
 
   // Clone the editor first so we don't modify the real DOM
   const editorClone = view.dom.cloneNode(true);
+  markSources(view, editorClone);
 
   // Get the DOM position corresponding to the ProseMirror position
   const { node: domNode, offset } = view.domAtPos(cursorPos);
@@ -327,5 +437,5 @@ export function getHtmlWithCursor(view, lockdownImages = false) {
 
   // Convert to an HTML string using prose2aem
   // Always use livePreview mode, but only lockdown images if lockdownImages is enabled
-  return prose2aem(editorClone, true, false, lockdownImages);
+  return prose2aem(editorClone, true, false, lockdownImages, variant);
 }
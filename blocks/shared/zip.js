@@ -0,0 +1,125 @@
+/**
+ * Zip archives
+ *
+ * Reads stored and deflated entries, and writes stored (uncompressed) ones.
+ */
+
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read the entries of a zip archive.
+ * @param {ArrayBuffer} buffer - The archive
+ * @returns {Map<String, Function>} The entries by name, each a function resolving its bytes
+ */
+export function unzip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // The end of central directory record is at the end, before an optional comment
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end -= 1;
+  if (end < 0) throw new Error('Not a zip file');
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let idx = 0; idx < count; idx += 1) {
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const header = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    const localLength = view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const start = header + 30 + localLength;
+    const data = bytes.subarray(start, start + size);
+    entries.set(name, () => (method === 8 ? inflate(data) : Promise.resolve(data)));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    // eslint-disable-next-line no-bitwise
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  bytes.forEach((byte) => {
+    // eslint-disable-next-line no-bitwise
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  // eslint-disable-next-line no-bitwise
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write files to a zip archive, without compression.
+ * @param {Array} files - The files ({ name, text })
+ * @returns {Blob} The archive
+ */
+export function zip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const time = now.getHours() * 2048 + now.getMinutes() * 32 + Math.floor(now.getSeconds() / 2);
+  const date = (now.getFullYear() - 1980) * 512 + (now.getMonth() + 1) * 32 + now.getDate();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, text }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+
+    // Version 2.0, UTF-8 names, stored
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const size = central.reduce((acc, part) => acc + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
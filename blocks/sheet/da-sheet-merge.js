@@ -0,0 +1,93 @@
+import { LitElement, html, nothing } from 'da-lit';
+import { getNx } from '../../scripts/utils.js';
+import { chooseRow, getCellChoice, getRowChoice } from './utils/merge.js';
+
+const { default: getStyle } = await import(`${getNx()}/utils/styles.js`);
+
+const style = await getStyle('/blocks/sheet/da-sheet-merge.css');
+
+const STATUS_LABELS = {
+  added: 'Only yours',
+  removed: 'Only theirs',
+  changed: 'Changed by both',
+};
+
+class DaSheetMerge extends LitElement {
+  static properties = {
+    tabs: { attribute: false },
+    _active: { state: true },
+  };
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.shadowRoot.adoptedStyleSheets = [style];
+    this._active = (this.tabs.find((tab) => tab.status !== 'same') || this.tabs[0])?.sheetName;
+  }
+
+  handleRow(row, choice) {
+    chooseRow(row, choice);
+    this.requestUpdate();
+  }
+
+  handleCell(cell, choice) {
+    cell.choice = choice;
+    this.requestUpdate();
+  }
+
+  renderChoice(choice, selected, onClick, content) {
+    return html`
+      <button
+        class="da-merge-choice is-${choice} ${selected === choice ? 'is-selected' : ''}"
+        @click=${onClick}>${content}</button>`;
+  }
+
+  renderCell(row, cell) {
+    if (row.status === 'added') return html`<td>${cell.current}</td>`;
+    if (row.status !== 'changed' || !cell.changed) return html`<td>${cell.value}</td>`;
+    const selected = getCellChoice(row, cell);
+    return html`
+      <td class="is-changed">
+        ${this.renderChoice('remote', selected, () => this.handleCell(cell, 'remote'), cell.value)}
+        ${this.renderChoice('local', selected, () => this.handleCell(cell, 'local'), cell.current)}
+      </td>`;
+  }
+
+  renderRow(row) {
+    const selected = getRowChoice(row);
+    return html`
+      <tr class="is-${row.status} ${selected === 'remote' ? 'use-remote' : 'use-local'}">
+        <td class="da-row-action">
+          ${row.status !== 'same' ? html`
+            <span class="da-row-status">${STATUS_LABELS[row.status]}</span>
+            ${this.renderChoice('remote', selected, () => this.handleRow(row, 'remote'), 'Theirs')}
+            ${this.renderChoice('local', selected, () => this.handleRow(row, 'local'), 'Mine')}` : nothing}
+        </td>
+        ${row.cells.map((cell) => this.renderCell(row, cell))}
+      </tr>
+    `;
+  }
+
+  render() {
+    const tab = this.tabs.find(({ sheetName }) => sheetName === this._active);
+    return html`
+      <p class="da-merge-intro">
+        Pick which rows and cells to keep. Changed cells show their value
+        on the server first, then yours.
+      </p>
+      <div class="da-sheet-data-tabs">
+        ${this.tabs.map(({ sheetName, status }) => html`
+          <button
+            class="sheet-tab ${sheetName === this._active ? 'is-active' : ''} has-${status}"
+            @click=${() => { this._active = sheetName; }}>
+            ${sheetName}
+          </button>`)}
+      </div>
+      ${tab ? html`
+        <div class="table-wrapper">
+          <table>${tab.rows.map((row) => this.renderRow(row))}</table>
+        </div>` : nothing}
+    `;
+  }
+}
+
+customElements.define('da-sheet-merge', DaSheetMerge);
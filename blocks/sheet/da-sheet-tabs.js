@@ -73,15 +73,11 @@ class DaSheetTabs extends LitElement {
     return this.permissions.some((permission) => permission === 'write');
   }
 
-  handleAdd() {
-    const sheets = [{
-      ...SHEET_TEMPLATE,
-      sheetName: `data-${this.jexcel.length + 1}`,
-    }];
+  addSheet(sheet) {
     // Add the new tab
-    window.jspreadsheet.tabs(this.tabContainer, sheets);
+    window.jspreadsheet.tabs(this.tabContainer, [sheet]);
     const newSheet = this.jexcel.slice(-1)[0];
-    newSheet.name = sheets[0].sheetName;
+    newSheet.name = sheet.sheetName;
     newSheet.options.onbeforepaste = (_el, pasteVal) => pasteVal?.trim();
 
     newSheet.options.onafterchanges = () => {
@@ -92,6 +88,21 @@ class DaSheetTabs extends LitElement {
     this._names = this.getNames();
     // Only set active as jspreadsheet will set the visibility of the sheet
     this._active = this.jexcel.length - 1;
+  }
+
+  removeSheet(idx) {
+    this._names.splice(idx, 1);
+    this.jexcel.splice(idx, 1);
+    this.hiddenTabs[idx].remove();
+    this.sheetContents[idx].remove();
+    this._edit = null;
+    this.showSheet(0);
+
+    handleSave(this.jexcel, this.tabContainer.details.view);
+  }
+
+  handleAdd() {
+    this.addSheet({ ...SHEET_TEMPLATE, sheetName: `data-${this.jexcel.length + 1}` });
     // Set the tab to be in edit mode
     this._edit = this.jexcel.length - 1;
   }
@@ -113,15 +124,7 @@ class DaSheetTabs extends LitElement {
       return;
     }
     if (e.submitter.value === 'remove') {
-      this._names.splice(idx, 1);
-      this.jexcel.splice(idx, 1);
-      this.hiddenTabs[idx].remove();
-      this.sheetContents[idx].remove();
-      this._edit = null;
-      this.showSheet(0);
-
-      handleSave(this.jexcel, this.tabContainer.details.view);
-
+      this.removeSheet(idx);
       return;
     }
     if (e.submitter.value === 'confirm') {
@@ -1,17 +1,45 @@
-import { LitElement, html } from 'da-lit';
+import { LitElement, html, nothing } from 'da-lit';
 import { getNx } from '../../scripts/utils.js';
+import { diffSheets, getCurrentTabs, restoreRow } from './utils/diff.js';
+import { handleSave } from './utils/utils.js';
 
 const { default: getStyle } = await import(`${getNx()}/utils/styles.js`);
 
 const style = await getStyle('/blocks/sheet/da-version-review.css');
 
+const STATUS_LABELS = {
+  added: 'Only in current',
+  removed: 'Only in version',
+  changed: 'Changed',
+};
+
 class DaVersionReview extends LitElement {
-  static properties = { data: { type: Object } };
+  static properties = {
+    data: { type: Object },
+    label: { type: String },
+    compareData: { attribute: false },
+    compareLabel: { type: String },
+    sheetEl: { attribute: false },
+    _tabs: { state: true },
+    _active: { state: true },
+    _changesOnly: { state: true },
+  };
 
   connectedCallback() {
     super.connectedCallback();
     this.shadowRoot.adoptedStyleSheets = [style];
-    this.data[0].active = true;
+    this.compare();
+    this._active = this._tabs[0]?.sheetName;
+  }
+
+  compare() {
+    const current = this.sheetEl?.jexcel ? getCurrentTabs(this.sheetEl.jexcel) : [];
+    this._tabs = diffSheets(this.data, this.compareData || current);
+  }
+
+  // Two versions can only be compared, restoring is done against the current sheet
+  get _canRestore() {
+    return !this.compareData;
   }
 
   handleRestore() {
@@ -20,6 +48,21 @@ class DaVersionReview extends LitElement {
     this.dispatchEvent(event);
   }
 
+  handleRestoreTab() {
+    const detail = { action: 'restoretab', sheetName: this._active };
+    const opts = { detail, bubbles: true, composed: true };
+    const event = new CustomEvent('restoretab', opts);
+    this.dispatchEvent(event);
+  }
+
+  handleRestoreRow(tab, row) {
+    const sheet = this.sheetEl.jexcel.find((jSheet) => jSheet.name === tab.sheetName);
+    if (!sheet) return;
+    restoreRow(sheet, tab.rows, row);
+    handleSave(this.sheetEl.jexcel, this.sheetEl.details?.view);
+    this.compare();
+  }
+
   handleCancel() {
     const opts = { detail: { action: 'close' }, bubbles: true, composed: true };
     const event = new CustomEvent('close', opts);
@@ -27,22 +70,48 @@ class DaVersionReview extends LitElement {
   }
 
   handleTab(clickedTab) {
-    this.data.forEach((tab) => {
-      tab.active = false;
-    });
-    clickedTab.active = true;
-    this.requestUpdate();
+    this._active = clickedTab.sheetName;
+  }
+
+  handleChangesOnly({ target }) {
+    this._changesOnly = target.checked;
+  }
+
+  renderCell(cell, row) {
+    if (row.status === 'added') return html`<td>${cell.current}</td>`;
+    if (row.status !== 'changed' || !cell.changed) return html`<td>${cell.value}</td>`;
+    return html`
+      <td class="is-changed">
+        ${cell.value ? html`<span class="da-cell-version">${cell.value}</span>` : nothing}
+        ${cell.current ? html`<span class="da-cell-current">${cell.current}</span>` : nothing}
+      </td>`;
+  }
+
+  renderRow(tab, row) {
+    if (this._changesOnly && row.status === 'same') return nothing;
+    const canRestore = this._canRestore && row.status !== 'same'
+      && tab.status !== 'added' && tab.status !== 'removed';
+    return html`
+      <tr class="is-${row.status}">
+        <td class="da-row-action">
+          ${canRestore ? html`
+            <button
+              title="Restore row: ${STATUS_LABELS[row.status]}"
+              @click=${() => this.handleRestoreRow(tab, row)}>Restore</button>` : nothing}
+        </td>
+        ${row.cells.map((cell) => this.renderCell(cell, row))}
+      </tr>
+    `;
   }
 
   renderTable(tab) {
+    const isActive = tab.sheetName === this._active;
     return html`
-      <div class="table-wrapper ${tab.active ? 'is-active' : ''}">
+      <div class="table-wrapper ${isActive ? 'is-active' : ''}">
+        ${tab.status === 'added' || tab.status === 'removed' ? html`
+          <p class="da-tab-status">${STATUS_LABELS[tab.status]}</p>` : nothing}
         <table class="da-table da-table-${tab.sheetName}">
-          ${tab.data.map((row) => html`
-            <tr>
-              ${row.map((col) => html`<td>${col}</td>`)}
-            </tr>
-          `)}
+          ${tab.rows.map((row) => this.renderRow(tab, row))}
         </table>
       </div>
     `;
@@ -52,18 +121,27 @@ class DaVersionReview extends LitElement {
     return html`
       <div class="da-version-preview">
         <div class="da-version-action-area">
-          <button @click=${this.handleCancel}>Cancel</button>
-          <button class="accent" @click=${this.handleRestore}>Restore</button>
+          ${this.label ? html`<p class="da-version-label">Comparing <strong>${this.label}</strong> with ${this.compareLabel || 'current'}</p>` : nothing}
+          <label class="da-version-changes-only">
+            <input type="checkbox" .checked=${!!this._changesOnly} @change=${this.handleChangesOnly} />
+            Only show changes
+          </label>
+          <button @click=${this.handleCancel}>${this._canRestore ? 'Cancel' : 'Close'}</button>
+          ${this._canRestore ? html`
+            <button @click=${this.handleRestoreTab}>Restore tab</button>
+            <button class="accent" @click=${this.handleRestore}>Restore all</button>` : nothing}
         </div>
         <div class="da-version-content">
           <div class="da-sheet-data-tabs">
-            ${this.data.map((tab) => html`
-              <button class="sheet-tab ${tab.active ? 'is-active' : ''}" @click=${() => this.handleTab(tab)}>
+            ${this._tabs.map((tab) => html`
+              <button
+                class="sheet-tab ${tab.sheetName === this._active ? 'is-active' : ''} has-${tab.status}"
+                @click=${() => this.handleTab(tab)}>
                 ${tab.sheetName}
               </button>`)}
           </div>
           <div class="da-sheet-data-tables">
-              ${this.data.map((tab) => this.renderTable(tab))}
+              ${this._tabs.map((tab) => this.renderTable(tab))}
           </div>
         </div>
       </div>
@@ -39,17 +39,60 @@ class DaSheetPanes extends LitElement {
     }
   }
 
-  async handlePreviewVersion(e) {
+  async createVersionReview() {
     if (!this._verReviewCmpLoaded) {
       await import('./da-version-review.js');
       this._verReviewCmpLoaded = true;
     }
+    document.querySelector('da-version-review')?.remove();
     const verReview = document.createElement('da-version-review');
-    verReview.data = await getData(e.detail.url);
     verReview.addEventListener('close', () => { verReview.remove(); });
+    return verReview;
+  }
+
+  async handleCompareVersions({ detail }) {
+    const { from, to } = detail;
+    // Comparing a version with the current sheet allows restoring from it
+    if (!to.url) {
+      this.handlePreviewVersion({ detail: from });
+      return;
+    }
+    const verReview = await this.createVersionReview();
+    [verReview.data, verReview.compareData] = await Promise.all([
+      getData(from.url),
+      getData(to.url),
+    ]);
+    verReview.label = from.label;
+    verReview.compareLabel = to.label;
+    document.querySelector('.da-sheet-wrapper').append(verReview);
+  }
+
+  async handlePreviewVersion(e) {
+    const verReview = await this.createVersionReview();
+    const daSheet = document.querySelector('.da-sheet');
+    verReview.data = await getData(e.detail.url);
+    verReview.label = e.detail.label;
+    verReview.sheetEl = daSheet;
+    verReview.addEventListener('restoretab', async ({ detail }) => {
+      const { restoreTab } = await import('./utils/diff.js');
+      const { handleSave } = await import('./utils/utils.js');
+      const daSheetTabs = document.querySelector('da-sheet-tabs');
+
+      // Only the restored tab changes, the rest of the workbook is kept as is
+      const versionTab = verReview.data.find((tab) => tab.sheetName === detail.sheetName);
+      const idx = daSheet.jexcel.findIndex((sheet) => sheet.name === detail.sheetName);
+      if (versionTab && idx > -1) {
+        restoreTab(daSheet.jexcel[idx], versionTab);
+      } else if (versionTab) {
+        daSheetTabs.addSheet(versionTab);
+        handleSave(daSheet.jexcel, daSheet.details.view);
+      } else if (idx > -1) {
+        daSheetTabs.removeSheet(idx);
+      }
+      verReview.remove();
+    });
     verReview.addEventListener('restore', async () => {
       const daTitle = document.querySelector('da-title');
-      const daSheet = document.querySelector('.da-sheet');
 
       const initSheet = (await import('./utils/index.js')).default;
       daTitle.sheet = await initSheet(daSheet, verReview.data);
@@ -103,7 +146,7 @@ class DaSheetPanes extends LitElement {
       </div>
       <div class="da-sheet-panes">
         ${this._showPreview ? html`<da-sheet-preview @close=${this.handlePreviewToggle}></da-sheet-preview>` : nothing}
-        ${this._showVersions ? html`<da-versions .open=${this._showVersions} path="${this.pathDetails?.fullpath ?? ''}" @preview=${this.handlePreviewVersion} @close=${this.handleHistoryToggle}></da-versions>` : nothing}
+        ${this._showVersions ? html`<da-versions .open=${this._showVersions} path="${this.pathDetails?.fullpath ?? ''}" @preview=${this.handlePreviewVersion} @compare=${this.handleCompareVersions} @close=${this.handleHistoryToggle}></da-versions>` : nothing}
       </div>
     `;
   }
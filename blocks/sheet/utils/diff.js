@@ -0,0 +1,175 @@
+const isEmpty = (value) => value === undefined || value === null || `${value}` === '';
+
+// Drop the empty cells and rows jspreadsheet pads a sheet with
+function trimRows(rows = []) {
+  const trimmed = rows.map((row) => {
+    const cells = row.map((value) => (isEmpty(value) ? '' : `${value}`));
+    while (cells.length && cells[cells.length - 1] === '') cells.pop();
+    return cells;
+  });
+  while (trimmed.length && !trimmed[trimmed.length - 1].length) trimmed.pop();
+  return trimmed;
+}
+
+function getCommonRows(oldKeys, newKeys) {
+  const table = Array.from(
+    { length: oldKeys.length + 1 },
+    () => new Array(newKeys.length + 1).fill(0),
+  );
+  for (let i = oldKeys.length - 1; i >= 0; i -= 1) {
+    for (let j = newKeys.length - 1; j >= 0; j -= 1) {
+      table[i][j] = oldKeys[i] === newKeys[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const common = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldKeys.length && j < newKeys.length) {
+    if (oldKeys[i] === newKeys[j]) {
+      common.push([i, j]);
+      i += 1;
+      j += 1;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return common;
+}
+
+function diffCells(versionRow = [], currentRow = []) {
+  const length = Math.max(versionRow.length, currentRow.length);
+  return Array.from({ length }, (_, idx) => {
+    const value = versionRow[idx] ?? '';
+    const current = currentRow[idx] ?? '';
+    return { value, current, changed: value !== current };
+  });
+}
+
+/**
+ * Compare the rows of a tab in a version with the current rows.
+ * Rows that only changed in place are paired so their cells can be compared.
+ * @param {Array} versionData - The rows of the version
+ * @param {Array} currentData - The current rows
+ * @returns {Array} The rows with a status of same, changed, removed (only
+ * in the version) or added (only in the current data)
+ */
+export function diffRows(versionData, currentData) {
+  const versionRows = trimRows(versionData);
+  const currentRows = trimRows(currentData);
+  const common = getCommonRows(
+    versionRows.map((row) => JSON.stringify(row)),
+    currentRows.map((row) => JSON.stringify(row)),
+  );
+  common.push([versionRows.length, currentRows.length]);
+
+  const rows = [];
+  let versionIdx = 0;
+  let currentIdx = 0;
+  common.forEach(([versionMatch, currentMatch]) => {
+    while (versionIdx < versionMatch || currentIdx < currentMatch) {
+      const hasVersion = versionIdx < versionMatch;
+      const hasCurrent = currentIdx < currentMatch;
+      let status = 'changed';
+      if (!hasCurrent) status = 'removed';
+      if (!hasVersion) status = 'added';
+      rows.push({
+        status,
+        versionIndex: hasVersion ? versionIdx : null,
+        currentIndex: hasCurrent ? currentIdx : null,
+        cells: diffCells(versionRows[versionIdx], currentRows[currentIdx]),
+      });
+      if (hasVersion) versionIdx += 1;
+      if (hasCurrent) currentIdx += 1;
+    }
+    if (versionMatch < versionRows.length) {
+      rows.push({
+        status: 'same',
+        versionIndex: versionMatch,
+        currentIndex: currentMatch,
+        cells: diffCells(versionRows[versionMatch], currentRows[currentMatch]),
+      });
+    }
+    versionIdx = versionMatch + 1;
+    currentIdx = currentMatch + 1;
+  });
+  return rows;
+}
+
+/**
+ * Compare each tab of a version with the current tabs, matched by sheet name.
+ * @param {Array} versionTabs - The tabs of the version ({ sheetName, data })
+ * @param {Array} currentTabs - The current tabs ({ sheetName, data })
+ * @returns {Array} The tabs with their status and row differences
+ */
+export function diffSheets(versionTabs, currentTabs) {
+  const names = [...new Set([
+    ...versionTabs.map((tab) => tab.sheetName),
+    ...currentTabs.map((tab) => tab.sheetName),
+  ])];
+
+  return names.map((sheetName) => {
+    const version = versionTabs.find((tab) => tab.sheetName === sheetName);
+    const current = currentTabs.find((tab) => tab.sheetName === sheetName);
+    const rows = diffRows(version?.data, current?.data);
+    let status = rows.some((row) => row.status !== 'same') ? 'changed' : 'same';
+    if (!current) status = 'removed';
+    if (!version) status = 'added';
+    return { sheetName, status, version, rows };
+  });
+}
+
+export function getCurrentTabs(jexcel) {
+  return jexcel.map((sheet) => ({ sheetName: sheet.name, data: sheet.getData() }));
+}
+
+/**
+ * Restore a single row of a version into the current sheet.
+ * Rows that were added since the version are removed.
+ * @param {Object} sheet - The jspreadsheet worksheet
+ * @param {Array} rows - The compared rows of the tab
+ * @param {Object} row - The row to restore
+ */
+export function restoreRow(sheet, rows, row) {
+  if (row.status === 'changed') {
+    sheet.setRowData(row.currentIndex, row.cells.map((cell) => cell.value));
+    return;
+  }
+  if (row.status === 'added') {
+    sheet.deleteRow(row.currentIndex, 1);
+    return;
+  }
+  if (row.status === 'removed') {
+    // Insert after the closest previous row that exists in the current data
+    const idx = rows.indexOf(row);
+    const previous = rows.slice(0, idx).reverse().find((r) => r.currentIndex !== null);
+    const values = row.cells.map((cell) => cell.value);
+    if (previous) {
+      sheet.insertRow(values, previous.currentIndex, false);
+    } else {
+      sheet.insertRow(values, 0, true);
+    }
+  }
+}
+
+/**
+ * Replace the rows and column widths of a current tab with a version of it.
+ * The other tabs are left untouched.
+ * @param {Object} sheet - The jspreadsheet worksheet
+ * @param {Object} tab - The tab of the version ({ data, columns })
+ */
+export function restoreTab(sheet, tab) {
+  const width = Math.max(0, ...tab.data.map((row) => row.length));
+  const missing = width - sheet.getConfig().columns.length;
+  if (missing > 0) sheet.insertColumn(missing);
+  sheet.setData(tab.data.map((row) => [...row]));
+  tab.columns?.forEach((col, x) => {
+    if (col?.width) sheet.setWidth(x, col.width);
+  });
+  // setData does not report changes, so share and save the tab like an edit
+  sheet.options.onafterchanges?.();
+}
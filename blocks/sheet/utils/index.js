@@ -1,4 +1,5 @@
 import { daFetch } from '../../shared/utils.js';
+import { trackSourceVersion } from '../../edit/utils/helpers.js';
 import { getNx, nxJS } from '../../../scripts/utils.js';
 import { handleSave } from './utils.js';
 import '../da-sheet-tabs.js';
@@ -80,6 +81,18 @@ function getSheet(json, sheetName) {
   };
 }
 
+// Tabs of a sheet merge only hold their rows and column widths
+export function getSheetFromTab({ sheetName, data, colWidths }) {
+  const templ = { ...SHEET_TEMPLATE };
+  if (!canWrite) delete templ.minDimensions;
+  return {
+    ...templ,
+    sheetName,
+    data,
+    columns: getColWidths(colWidths?.length ? colWidths : null, data[0] || []),
+  };
+}
+
 export function getPermissions() {
   return permissions;
 }
@@ -95,6 +108,7 @@ export async function getData(url) {
   canWrite = resp.permissions?.some((permission) => permission === 'write');
 
   if (!resp.ok) return getDefaultSheet();
+  if (!url.includes('/versionsource')) trackSourceVersion(url, resp);
 
   const sheets = [];
 
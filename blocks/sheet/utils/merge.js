@@ -0,0 +1,138 @@
+import { isSaveConflict } from '../../edit/utils/helpers.js';
+import { diffSheets, getCurrentTabs } from './diff.js';
+
+// Rows only one side has are kept by default so nobody's additions are lost
+const DEFAULT_ROW_CHOICE = { added: 'local', removed: 'remote', changed: 'local' };
+
+// The pending merge, so repeated saves do not open several dialogs
+let merging;
+
+/**
+ * Compare the server copy of a sheet with the local one.
+ * @param {Array} remoteTabs - The tabs on the server ({ sheetName, data })
+ * @param {Array} localTabs - The local tabs ({ sheetName, data })
+ * @returns {Array} The tabs with the rows to pick from
+ */
+export function getMergeTabs(remoteTabs, localTabs) {
+  return diffSheets(remoteTabs, localTabs);
+}
+
+export function getRowChoice(row) {
+  return row.choice || DEFAULT_ROW_CHOICE[row.status];
+}
+
+export function getCellChoice(row, cell) {
+  return cell.choice || getRowChoice(row);
+}
+
+/**
+ * Choose which side a row is taken from. Any cell choices are reset.
+ * @param {Object} row - The compared row
+ * @param {String} choice - local or remote
+ */
+export function chooseRow(row, choice) {
+  row.choice = choice;
+  row.cells.forEach((cell) => { delete cell.choice; });
+}
+
+/**
+ * Build the tabs to save from the choices made on each row and cell.
+ * @param {Array} tabs - The tabs from getMergeTabs
+ * @returns {Array} The merged tabs ({ sheetName, data })
+ */
+export function getMergedTabs(tabs) {
+  return tabs.map((tab) => {
+    const data = tab.rows.reduce((acc, row) => {
+      const choice = getRowChoice(row);
+      if (row.status === 'same') {
+        acc.push(row.cells.map((cell) => cell.value));
+      } else if (row.status === 'changed') {
+        acc.push(row.cells.map((cell) => {
+          const isRemote = getCellChoice(row, cell) === 'remote';
+          return isRemote ? cell.value : cell.current;
+        }));
+      } else if (row.status === 'removed' && choice === 'remote') {
+        acc.push(row.cells.map((cell) => cell.value));
+      } else if (row.status === 'added' && choice === 'local') {
+        acc.push(row.cells.map((cell) => cell.current));
+      }
+      return acc;
+    }, []);
+    return { sheetName: tab.sheetName, data };
+  });
+}
+
+function showMergeDialog(tabs) {
+  return new Promise((resolve) => {
+    const dialog = document.createElement('da-dialog');
+    dialog.title = 'This sheet was changed by someone else';
+    dialog.size = 'large';
+
+    const merge = document.createElement('da-sheet-merge');
+    merge.tabs = tabs;
+    dialog.append(merge);
+
+    let merged = null;
+    dialog.action = {
+      label: 'Save merged',
+      style: 'accent',
+      click: () => {
+        merged = getMergedTabs(tabs);
+        dialog.close();
+      },
+    };
+    dialog.addEventListener('close', () => {
+      dialog.remove();
+      resolve(merged);
+    });
+    document.body.append(dialog);
+  });
+}
+
+async function mergeRemote(jexcel) {
+  const daSheet = document.querySelector('.da-sheet');
+  const {
+    default: initSheet,
+    getData,
+    getSheetFromTab,
+  } = await import('./index.js');
+
+  // Reading the server copy also tracks its version for the next save
+  const remote = await getData(daSheet.details.sourceUrl);
+  const tabs = getMergeTabs(remote, getCurrentTabs(jexcel));
+  if (tabs.every((tab) => tab.status === 'same')) return jexcel;
+
+  await Promise.all([
+    import('../../shared/da-dialog/da-dialog.js'),
+    import('../da-sheet-merge.js'),
+  ]);
+  const merged = await showMergeDialog(tabs);
+  if (!merged) return null;
+
+  const widths = Object.fromEntries(jexcel.map((sheet) => [
+    sheet.name,
+    sheet.getConfig().columns?.map((col) => col?.width),
+  ]));
+  const sheets = merged.map((tab) => getSheetFromTab({ ...tab, colWidths: widths[tab.sheetName] }));
+  const newJexcel = await initSheet(daSheet, sheets);
+  const daTitle = document.querySelector('da-title');
+  if (daTitle) daTitle.sheet = newJexcel;
+  return newJexcel;
+}
+
+/**
+ * Save a sheet, letting the user merge their changes with the server copy
+ * when it changed since it was loaded.
+ * @param {Array} jexcel - The jspreadsheet worksheets
+ * @param {Function} save - Saves the given worksheets and returns the response
+ * @returns {Promise<Response>} The response of the last save
+ */
+export async function saveWithMerge(jexcel, save) {
+  const resp = await save(jexcel);
+  if (!isSaveConflict(resp)) return resp;
+
+  merging ??= mergeRemote(jexcel).finally(() => { merging = undefined; });
+  const merged = await merging;
+  if (!merged) return resp;
+  return save(merged);
+}
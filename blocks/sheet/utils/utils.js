@@ -1,4 +1,5 @@
 import { convertSheets, debounce, saveToDa } from '../../edit/utils/helpers.js';
+import { saveWithMerge } from './merge.js';
 
 const DEBOUNCE_TIME = 1000;
 
@@ -7,7 +8,7 @@ export const saveSheets = async (sheets) => {
 
   const { hash } = window.location;
   const pathname = hash.replace('#', '');
-  const dasSave = await saveToDa(pathname, sheets);
+  const dasSave = await saveWithMerge(sheets, (toSave) => saveToDa(pathname, toSave));
   if (!dasSave.ok) {
     // eslint-disable-next-line no-console
     console.error('Error saving sheet', dasSave);
@@ -1,15 +1,15 @@
-var um=Object.defineProperty;var pm=(n,e)=>{for(var t in e)um(n,t,{get:e[t],enumerable:!0})};function he(n){this.content=n}he.prototype={constructor:he,find:function(n){for(var e=0;e<this.content.length;e+=2)if(this.content[e]===n)return e;return-1},get:function(n){var e=this.find(n);return e==-1?void 0:this.content[e+1]},update:function(n,e,t){var r=t&&t!=n?this.remove(t):this,i=r.find(n),s=r.content.slice();return i==-1?s.push(t||n,e):(s[i+1]=e,t&&(s[i]=t)),new he(s)},remove:function(n){var e=this.find(n);if(e==-1)return this;var t=this.content.slice();return t.splice(e,2),new he(t)},addToStart:function(n,e){return new he([n,e].concat(this.remove(n).content))},addToEnd:function(n,e){var t=this.remove(n).content.slice();return t.push(n,e),new he(t)},addBefore:function(n,e,t){var r=this.remove(e),i=r.content.slice(),s=r.find(n);return i.splice(s==-1?i.length:s,0,e,t),new he(i)},forEach:function(n){for(var e=0;e<this.content.length;e+=2)n(this.content[e],this.content[e+1])},prepend:function(n){return n=he.from(n),n.size?new he(n.content.concat(this.subtract(n).content)):this},append:function(n){return n=he.from(n),n.size?new he(this.subtract(n).content.concat(n.content)):this},subtract:function(n){var e=this;n=he.from(n);for(var t=0;t<n.content.length;t+=2)e=e.remove(n.content[t]);return e},toObject:function(){var n={};return this.forEach(function(e,t){n[e]=t}),n},get size(){return this.content.length>>1}};he.from=function(n){if(n instanceof he)return n;var e=[];if(n)for(var t in n)e.push(t,n[t]);return new he(e)};var Zo=he;function Xa(n,e,t){for(let r=0;;r++){if(r==n.childCount||r==e.childCount)return n.childCount==e.childCount?null:t;let i=n.child(r),s=e.child(r);if(i==s){t+=i.nodeSize;continue}if(!i.sameMarkup(s))return t;if(i.isText&&i.text!=s.text){for(let o=0;i.text[o]==s.text[o];o++)t++;return t}if(i.content.size||s.content.size){let o=Xa(i.content,s.content,t+1);if(o!=null)return o}t+=i.nodeSize}}function Qa(n,e,t,r){for(let i=n.childCount,s=e.childCount;;){if(i==0||s==0)return i==s?null:{a:t,b:r};let o=n.child(--i),l=e.child(--s),c=o.nodeSize;if(o==l){t-=c,r-=c;continue}if(!o.sameMarkup(l))return{a:t,b:r};if(o.isText&&o.text!=l.text){let a=0,h=Math.min(o.text.length,l.text.length);for(;a<h&&o.text[o.text.length-a-1]==l.text[l.text.length-a-1];)a++,t--,r--;return{a:t,b:r}}if(o.content.size||l.content.size){let a=Qa(o.content,l.content,t-1,r-1);if(a)return a}t-=c,r-=c}}var w=class n{constructor(e,t){if(this.content=e,this.size=t||0,t==null)for(let r=0;r<e.length;r++)this.size+=e[r].nodeSize}nodesBetween(e,t,r,i=0,s){for(let o=0,l=0;l<t;o++){let c=this.content[o],a=l+c.nodeSize;if(a>e&&r(c,i+l,s||null,o)!==!1&&c.content.size){let h=l+1;c.nodesBetween(Math.max(0,e-h),Math.min(c.content.size,t-h),r,i+h)}l=a}}descendants(e){this.nodesBetween(0,this.size,e)}textBetween(e,t,r,i){let s="",o=!0;return this.nodesBetween(e,t,(l,c)=>{let a=l.isText?l.text.slice(Math.max(e,c)-c,t-c):l.isLeaf?i?typeof i=="function"?i(l):i:l.type.spec.leafText?l.type.spec.leafText(l):"":"";l.isBlock&&(l.isLeaf&&a||l.isTextblock)&&r&&(o?o=!1:s+=r),s+=a},0),s}append(e){if(!e.size)return this;if(!this.size)return e;let t=this.lastChild,r=e.firstChild,i=this.content.slice(),s=0;for(t.isText&&t.sameMarkup(r)&&(i[i.length-1]=t.withText(t.text+r.text),s=1);s<e.content.length;s++)i.push(e.content[s]);return new n(i,this.size+e.size)}cut(e,t=this.size){if(e==0&&t==this.size)return this;let r=[],i=0;if(t>e)for(let s=0,o=0;o<t;s++){let l=this.content[s],c=o+l.nodeSize;c>e&&((o<e||c>t)&&(l.isText?l=l.cut(Math.max(0,e-o),Math.min(l.text.length,t-o)):l=l.cut(Math.max(0,e-o-1),Math.min(l.content.size,t-o-1))),r.push(l),i+=l.nodeSize),o=c}return new n(r,i)}cutByIndex(e,t){return e==t?n.empty:e==0&&t==this.content.length?this:new n(this.content.slice(e,t))}replaceChild(e,t){let r=this.content[e];if(r==t)return this;let i=this.content.slice(),s=this.size+t.nodeSize-r.nodeSize;return i[e]=t,new n(i,s)}addToStart(e){return new n([e].concat(this.content),this.size+e.nodeSize)}addToEnd(e){return new n(this.content.concat(e),this.size+e.nodeSize)}eq(e){if(this.content.length!=e.content.length)return!1;for(let t=0;t<this.content.length;t++)if(!this.content[t].eq(e.content[t]))return!1;return!0}get firstChild(){return this.content.length?this.content[0]:null}get lastChild(){return this.content.length?this.content[this.content.length-1]:null}get childCount(){return this.content.length}child(e){let t=this.content[e];if(!t)throw new RangeError("Index "+e+" out of range for "+this);return t}maybeChild(e){return this.content[e]||null}forEach(e){for(let t=0,r=0;t<this.content.length;t++){let i=this.content[t];e(i,r,t),r+=i.nodeSize}}findDiffStart(e,t=0){return Xa(this,e,t)}findDiffEnd(e,t=this.size,r=e.size){return Qa(this,e,t,r)}findIndex(e,t=-1){if(e==0)return cs(0,e);if(e==this.size)return cs(this.content.length,e);if(e>this.size||e<0)throw new RangeError(`Position ${e} outside of fragment (${this})`);for(let r=0,i=0;;r++){let s=this.child(r),o=i+s.nodeSize;if(o>=e)return o==e||t>0?cs(r+1,o):cs(r,i);i=o}}toString(){return"<"+this.toStringInner()+">"}toStringInner(){return this.content.join(", ")}toJSON(){return this.content.length?this.content.map(e=>e.toJSON()):null}static fromJSON(e,t){if(!t)return n.empty;if(!Array.isArray(t))throw new RangeError("Invalid input for Fragment.fromJSON");return new n(t.map(e.nodeFromJSON))}static fromArray(e){if(!e.length)return n.empty;let t,r=0;for(let i=0;i<e.length;i++){let s=e[i];r+=s.nodeSize,i&&s.isText&&e[i-1].sameMarkup(s)?(t||(t=e.slice(0,i)),t[t.length-1]=s.withText(t[t.length-1].text+s.text)):t&&t.push(s)}return new n(t||e,r)}static from(e){if(!e)return n.empty;if(e instanceof n)return e;if(Array.isArray(e))return this.fromArray(e);if(e.attrs)return new n([e],e.nodeSize);throw new RangeError("Can not convert "+e+" to a Fragment"+(e.nodesBetween?" (looks like multiple versions of prosemirror-model were loaded)":""))}};w.empty=new w([],0);var el={index:0,offset:0};function cs(n,e){return el.index=n,el.offset=e,el}function hs(n,e){if(n===e)return!0;if(!(n&&typeof n=="object")||!(e&&typeof e=="object"))return!1;let t=Array.isArray(n);if(Array.isArray(e)!=t)return!1;if(t){if(n.length!=e.length)return!1;for(let r=0;r<n.length;r++)if(!hs(n[r],e[r]))return!1}else{for(let r in n)if(!(r in e)||!hs(n[r],e[r]))return!1;for(let r in e)if(!(r in n))return!1}return!0}var D=class n{constructor(e,t){this.type=e,this.attrs=t}addToSet(e){let t,r=!1;for(let i=0;i<e.length;i++){let s=e[i];if(this.eq(s))return e;if(this.type.excludes(s.type))t||(t=e.slice(0,i));else{if(s.type.excludes(this.type))return e;!r&&s.type.rank>this.type.rank&&(t||(t=e.slice(0,i)),t.push(this),r=!0),t&&t.push(s)}}return t||(t=e.slice()),r||t.push(this),t}removeFromSet(e){for(let t=0;t<e.length;t++)if(this.eq(e[t]))return e.slice(0,t).concat(e.slice(t+1));return e}isInSet(e){for(let t=0;t<e.length;t++)if(this.eq(e[t]))return!0;return!1}eq(e){return this==e||this.type==e.type&&hs(this.attrs,e.attrs)}toJSON(){let e={type:this.type.name};for(let t in this.attrs){e.attrs=this.attrs;break}return e}static fromJSON(e,t){if(!t)throw new RangeError("Invalid input for Mark.fromJSON");let r=e.marks[t.type];if(!r)throw new RangeError(`There is no mark type ${t.type} in this schema`);let i=r.create(t.attrs);return r.checkAttrs(i.attrs),i}static sameSet(e,t){if(e==t)return!0;if(e.length!=t.length)return!1;for(let r=0;r<e.length;r++)if(!e[r].eq(t[r]))return!1;return!0}static setFrom(e){if(!e||Array.isArray(e)&&e.length==0)return n.none;if(e instanceof n)return[e];let t=e.slice();return t.sort((r,i)=>r.type.rank-i.type.rank),t}};D.none=[];var sn=class extends Error{},b=class n{constructor(e,t,r){this.content=e,this.openStart=t,this.openEnd=r}get size(){return this.content.size-this.openStart-this.openEnd}insertAt(e,t){let r=eh(this.content,e+this.openStart,t);return r&&new n(r,this.openStart,this.openEnd)}removeBetween(e,t){return new n(Za(this.content,e+this.openStart,t+this.openStart),this.openStart,this.openEnd)}eq(e){return this.content.eq(e.content)&&this.openStart==e.openStart&&this.openEnd==e.openEnd}toString(){return this.content+"("+this.openStart+","+this.openEnd+")"}toJSON(){if(!this.content.size)return null;let e={content:this.content.toJSON()};return this.openStart>0&&(e.openStart=this.openStart),this.openEnd>0&&(e.openEnd=this.openEnd),e}static fromJSON(e,t){if(!t)return n.empty;let r=t.openStart||0,i=t.openEnd||0;if(typeof r!="number"||typeof i!="number")throw new RangeError("Invalid input for Slice.fromJSON");return new n(w.fromJSON(e,t.content),r,i)}static maxOpen(e,t=!0){let r=0,i=0;for(let s=e.firstChild;s&&!s.isLeaf&&(t||!s.type.spec.isolating);s=s.firstChild)r++;for(let s=e.lastChild;s&&!s.isLeaf&&(t||!s.type.spec.isolating);s=s.lastChild)i++;return new n(e,r,i)}};b.empty=new b(w.empty,0,0);function Za(n,e,t){let{index:r,offset:i}=n.findIndex(e),s=n.maybeChild(r),{index:o,offset:l}=n.findIndex(t);if(i==e||s.isText){if(l!=t&&!n.child(o).isText)throw new RangeError("Removing non-flat range");return n.cut(0,e).append(n.cut(t))}if(r!=o)throw new RangeError("Removing non-flat range");return n.replaceChild(r,s.copy(Za(s.content,e-i-1,t-i-1)))}function eh(n,e,t,r){let{index:i,offset:s}=n.findIndex(e),o=n.maybeChild(i);if(s==e||o.isText)return r&&!r.canReplace(i,i,t)?null:n.cut(0,e).append(t).append(n.cut(e));let l=eh(o.content,e-s-1,t);return l&&n.replaceChild(i,o.copy(l))}function mm(n,e,t){if(t.openStart>n.depth)throw new sn("Inserted content deeper than insertion position");if(n.depth-t.openStart!=e.depth-t.openEnd)throw new sn("Inconsistent open depths");return th(n,e,t,0)}function th(n,e,t,r){let i=n.index(r),s=n.node(r);if(i==e.index(r)&&r<n.depth-t.openStart){let o=th(n,e,t,r+1);return s.copy(s.content.replaceChild(i,o))}else if(t.content.size)if(!t.openStart&&!t.openEnd&&n.depth==r&&e.depth==r){let o=n.parent,l=o.content;return rn(o,l.cut(0,n.parentOffset).append(t.content).append(l.cut(e.parentOffset)))}else{let{start:o,end:l}=gm(t,n);return rn(s,rh(n,o,l,e,r))}else return rn(s,fs(n,e,r))}function nh(n,e){if(!e.type.compatibleContent(n.type))throw new sn("Cannot join "+e.type.name+" onto "+n.type.name)}function nl(n,e,t){let r=n.node(t);return nh(r,e.node(t)),r}function nn(n,e){let t=e.length-1;t>=0&&n.isText&&n.sameMarkup(e[t])?e[t]=n.withText(e[t].text+n.text):e.push(n)}function Fr(n,e,t,r){let i=(e||n).node(t),s=0,o=e?e.index(t):i.childCount;n&&(s=n.index(t),n.depth>t?s++:n.textOffset&&(nn(n.nodeAfter,r),s++));for(let l=s;l<o;l++)nn(i.child(l),r);e&&e.depth==t&&e.textOffset&&nn(e.nodeBefore,r)}function rn(n,e){return n.type.checkContent(e),n.copy(e)}function rh(n,e,t,r,i){let s=n.depth>i&&nl(n,e,i+1),o=r.depth>i&&nl(t,r,i+1),l=[];return Fr(null,n,i,l),s&&o&&e.index(i)==t.index(i)?(nh(s,o),nn(rn(s,rh(n,e,t,r,i+1)),l)):(s&&nn(rn(s,fs(n,e,i+1)),l),Fr(e,t,i,l),o&&nn(rn(o,fs(t,r,i+1)),l)),Fr(r,null,i,l),new w(l)}function fs(n,e,t){let r=[];if(Fr(null,n,t,r),n.depth>t){let i=nl(n,e,t+1);nn(rn(i,fs(n,e,t+1)),r)}return Fr(e,null,t,r),new w(r)}function gm(n,e){let t=e.depth-n.openStart,i=e.node(t).copy(n.content);for(let s=t-1;s>=0;s--)i=e.node(s).copy(w.from(i));return{start:i.resolveNoCache(n.openStart+t),end:i.resolveNoCache(i.content.size-n.openEnd-t)}}var ds=class n{constructor(e,t,r){this.pos=e,this.path=t,this.parentOffset=r,this.depth=t.length/3-1}resolveDepth(e){return e==null?this.depth:e<0?this.depth+e:e}get parent(){return this.node(this.depth)}get doc(){return this.node(0)}node(e){return this.path[this.resolveDepth(e)*3]}index(e){return this.path[this.resolveDepth(e)*3+1]}indexAfter(e){return e=this.resolveDepth(e),this.index(e)+(e==this.depth&&!this.textOffset?0:1)}start(e){return e=this.resolveDepth(e),e==0?0:this.path[e*3-1]+1}end(e){return e=this.resolveDepth(e),this.start(e)+this.node(e).content.size}before(e){if(e=this.resolveDepth(e),!e)throw new RangeError("There is no position before the top-level node");return e==this.depth+1?this.pos:this.path[e*3-1]}after(e){if(e=this.resolveDepth(e),!e)throw new RangeError("There is no position after the top-level node");return e==this.depth+1?this.pos:this.path[e*3-1]+this.path[e*3].nodeSize}get textOffset(){return this.pos-this.path[this.path.length-1]}get nodeAfter(){let e=this.parent,t=this.index(this.depth);if(t==e.childCount)return null;let r=this.pos-this.path[this.path.length-1],i=e.child(t);return r?e.child(t).cut(r):i}get nodeBefore(){let e=this.index(this.depth),t=this.pos-this.path[this.path.length-1];return t?this.parent.child(e).cut(0,t):e==0?null:this.parent.child(e-1)}posAtIndex(e,t){t=this.resolveDepth(t);let r=this.path[t*3],i=t==0?0:this.path[t*3-1]+1;for(let s=0;s<e;s++)i+=r.child(s).nodeSize;return i}marks(){let e=this.parent,t=this.index();if(e.content.size==0)return D.none;if(this.textOffset)return e.child(t).marks;let r=e.maybeChild(t-1),i=e.maybeChild(t);if(!r){let l=r;r=i,i=l}let s=r.marks;for(var o=0;o<s.length;o++)s[o].type.spec.inclusive===!1&&(!i||!s[o].isInSet(i.marks))&&(s=s[o--].removeFromSet(s));return s}marksAcross(e){let t=this.parent.maybeChild(this.index());if(!t||!t.isInline)return null;let r=t.marks,i=e.parent.maybeChild(e.index());for(var s=0;s<r.length;s++)r[s].type.spec.inclusive===!1&&(!i||!r[s].isInSet(i.marks))&&(r=r[s--].removeFromSet(r));return r}sharedDepth(e){for(let t=this.depth;t>0;t--)if(this.start(t)<=e&&this.end(t)>=e)return t;return 0}blockRange(e=this,t){if(e.pos<this.pos)return e.blockRange(this);for(let r=this.depth-(this.parent.inlineContent||this.pos==e.pos?1:0);r>=0;r--)if(e.pos<=this.end(r)&&(!t||t(this.node(r))))return new on(this,e,r);return null}sameParent(e){return this.pos-this.parentOffset==e.pos-e.parentOffset}max(e){return e.pos>this.pos?e:this}min(e){return e.pos<this.pos?e:this}toString(){let e="";for(let t=1;t<=this.depth;t++)e+=(e?"/":"")+this.node(t).type.name+"_"+this.index(t-1);return e+":"+this.parentOffset}static resolve(e,t){if(!(t>=0&&t<=e.content.size))throw new RangeError("Position "+t+" out of range");let r=[],i=0,s=t;for(let o=e;;){let{index:l,offset:c}=o.content.findIndex(s),a=s-c;if(r.push(o,l,i+c),!a||(o=o.child(l),o.isText))break;s=a-1,i+=c+1}return new n(t,r,s)}static resolveCached(e,t){let r=$a.get(e);if(r)for(let s=0;s<r.elts.length;s++){let o=r.elts[s];if(o.pos==t)return o}else $a.set(e,r=new rl);let i=r.elts[r.i]=n.resolve(e,t);return r.i=(r.i+1)%ym,i}},rl=class{constructor(){this.elts=[],this.i=0}},ym=12,$a=new WeakMap,on=class{constructor(e,t,r){this.$from=e,this.$to=t,this.depth=r}get start(){return this.$from.before(this.depth+1)}get end(){return this.$to.after(this.depth+1)}get parent(){return this.$from.node(this.depth)}get startIndex(){return this.$from.index(this.depth)}get endIndex(){return this.$to.indexAfter(this.depth)}},wm=Object.create(null),Be=class n{constructor(e,t,r,i=D.none){this.type=e,this.attrs=t,this.marks=i,this.content=r||w.empty}get nodeSize(){return this.isLeaf?1:2+this.content.size}get childCount(){return this.content.childCount}child(e){return this.content.child(e)}maybeChild(e){return this.content.maybeChild(e)}forEach(e){this.content.forEach(e)}nodesBetween(e,t,r,i=0){this.content.nodesBetween(e,t,r,i,this)}descendants(e){this.nodesBetween(0,this.content.size,e)}get textContent(){return this.isLeaf&&this.type.spec.leafText?this.type.spec.leafText(this):this.textBetween(0,this.content.size,"")}textBetween(e,t,r,i){return this.content.textBetween(e,t,r,i)}get firstChild(){return this.content.firstChild}get lastChild(){return this.content.lastChild}eq(e){return this==e||this.sameMarkup(e)&&this.content.eq(e.content)}sameMarkup(e){return this.hasMarkup(e.type,e.attrs,e.marks)}hasMarkup(e,t,r){return this.type==e&&hs(this.attrs,t||e.defaultAttrs||wm)&&D.sameSet(this.marks,r||D.none)}copy(e=null){return e==this.content?this:new n(this.type,this.attrs,e,this.marks)}mark(e){return e==this.marks?this:new n(this.type,this.attrs,this.content,e)}cut(e,t=this.content.size){return e==0&&t==this.content.size?this:this.copy(this.content.cut(e,t))}slice(e,t=this.content.size,r=!1){if(e==t)return b.empty;let i=this.resolve(e),s=this.resolve(t),o=r?0:i.sharedDepth(t),l=i.start(o),a=i.node(o).content.cut(i.pos-l,s.pos-l);return new b(a,i.depth-o,s.depth-o)}replace(e,t,r){return mm(this.resolve(e),this.resolve(t),r)}nodeAt(e){for(let t=this;;){let{index:r,offset:i}=t.content.findIndex(e);if(t=t.maybeChild(r),!t)return null;if(i==e||t.isText)return t;e-=i+1}}childAfter(e){let{index:t,offset:r}=this.content.findIndex(e);return{node:this.content.maybeChild(t),index:t,offset:r}}childBefore(e){if(e==0)return{node:null,index:0,offset:0};let{index:t,offset:r}=this.content.findIndex(e);if(r<e)return{node:this.content.child(t),index:t,offset:r};let i=this.content.child(t-1);return{node:i,index:t-1,offset:r-i.nodeSize}}resolve(e){return ds.resolveCached(this,e)}resolveNoCache(e){return ds.resolve(this,e)}rangeHasMark(e,t,r){let i=!1;return t>e&&this.nodesBetween(e,t,s=>(r.isInSet(s.marks)&&(i=!0),!i)),i}get isBlock(){return this.type.isBlock}get isTextblock(){return this.type.isTextblock}get inlineContent(){return this.type.inlineContent}get isInline(){return this.type.isInline}get isText(){return this.type.isText}get isLeaf(){return this.type.isLeaf}get isAtom(){return this.type.isAtom}toString(){if(this.type.spec.toDebugString)return this.type.spec.toDebugString(this);let e=this.type.name;return this.content.size&&(e+="("+this.content.toStringInner()+")"),ih(this.marks,e)}contentMatchAt(e){let t=this.type.contentMatch.matchFragment(this.content,0,e);if(!t)throw new Error("Called contentMatchAt on a node with invalid content");return t}canReplace(e,t,r=w.empty,i=0,s=r.childCount){let o=this.contentMatchAt(e).matchFragment(r,i,s),l=o&&o.matchFragment(this.content,t);if(!l||!l.validEnd)return!1;for(let c=i;c<s;c++)if(!this.type.allowsMarks(r.child(c).marks))return!1;return!0}canReplaceWith(e,t,r,i){if(i&&!this.type.allowsMarks(i))return!1;let s=this.contentMatchAt(e).matchType(r),o=s&&s.matchFragment(this.content,t);return o?o.validEnd:!1}canAppend(e){return e.content.size?this.canReplace(this.childCount,this.childCount,e.content):this.type.compatibleContent(e.type)}check(){this.type.checkContent(this.content),this.type.checkAttrs(this.attrs);let e=D.none;for(let t=0;t<this.marks.length;t++){let r=this.marks[t];r.type.checkAttrs(r.attrs),e=r.addToSet(e)}if(!D.sameSet(e,this.marks))throw new RangeError(`Invalid collection of marks for node ${this.type.name}: ${this.marks.map(t=>t.type.name)}`);this.content.forEach(t=>t.check())}toJSON(){let e={type:this.type.name};for(let t in this.attrs){e.attrs=this.attrs;break}return this.content.size&&(e.content=this.content.toJSON()),this.marks.length&&(e.marks=this.marks.map(t=>t.toJSON())),e}static fromJSON(e,t){if(!t)throw new RangeError("Invalid input for Node.fromJSON");let r;if(t.marks){if(!Array.isArray(t.marks))throw new RangeError("Invalid mark data for Node.fromJSON");r=t.marks.map(e.markFromJSON)}if(t.type=="text"){if(typeof t.text!="string")throw new RangeError("Invalid text node in JSON");return e.text(t.text,r)}let i=w.fromJSON(e,t.content),s=e.nodeType(t.type).create(t.attrs,i,r);return s.type.checkAttrs(s.attrs),s}};Be.prototype.text=void 0;var il=class n extends Be{constructor(e,t,r,i){if(super(e,t,null,i),!r)throw new RangeError("Empty text nodes are not allowed");this.text=r}toString(){return this.type.spec.toDebugString?this.type.spec.toDebugString(this):ih(this.marks,JSON.stringify(this.text))}get textContent(){return this.text}textBetween(e,t){return this.text.slice(e,t)}get nodeSize(){return this.text.length}mark(e){return e==this.marks?this:new n(this.type,this.attrs,this.text,e)}withText(e){return e==this.text?this:new n(this.type,this.attrs,e,this.marks)}cut(e=0,t=this.text.length){return e==0&&t==this.text.length?this:this.withText(this.text.slice(e,t))}eq(e){return this.sameMarkup(e)&&this.text==e.text}toJSON(){let e=super.toJSON();return e.text=this.text,e}};function ih(n,e){for(let t=n.length-1;t>=0;t--)e=n[t].type.name+"("+e+")";return e}var ln=class n{constructor(e){this.validEnd=e,this.next=[],this.wrapCache=[]}static parse(e,t){let r=new sl(e,t);if(r.next==null)return n.empty;let i=sh(r);r.next&&r.err("Unexpected trailing text");let s=Am(Mm(i));return Em(s,r),s}matchType(e){for(let t=0;t<this.next.length;t++)if(this.next[t].type==e)return this.next[t].next;return null}matchFragment(e,t=0,r=e.childCount){let i=this;for(let s=t;i&&s<r;s++)i=i.matchType(e.child(s).type);return i}get inlineContent(){return this.next.length!=0&&this.next[0].type.isInline}get defaultType(){for(let e=0;e<this.next.length;e++){let{type:t}=this.next[e];if(!(t.isText||t.hasRequiredAttrs()))return t}return null}compatible(e){for(let t=0;t<this.next.length;t++)for(let r=0;r<e.next.length;r++)if(this.next[t].type==e.next[r].type)return!0;return!1}fillBefore(e,t=!1,r=0){let i=[this];function s(o,l){let c=o.matchFragment(e,r);if(c&&(!t||c.validEnd))return w.from(l.map(a=>a.createAndFill()));for(let a=0;a<o.next.length;a++){let{type:h,next:f}=o.next[a];if(!(h.isText||h.hasRequiredAttrs())&&i.indexOf(f)==-1){i.push(f);let d=s(f,l.concat(h));if(d)return d}}return null}return s(this,[])}findWrapping(e){for(let r=0;r<this.wrapCache.length;r+=2)if(this.wrapCache[r]==e)return this.wrapCache[r+1];let t=this.computeWrapping(e);return this.wrapCache.push(e,t),t}computeWrapping(e){let t=Object.create(null),r=[{match:this,type:null,via:null}];for(;r.length;){let i=r.shift(),s=i.match;if(s.matchType(e)){let o=[];for(let l=i;l.type;l=l.via)o.push(l.type);return o.reverse()}for(let o=0;o<s.next.length;o++){let{type:l,next:c}=s.next[o];!l.isLeaf&&!l.hasRequiredAttrs()&&!(l.name in t)&&(!i.type||c.validEnd)&&(r.push({match:l.contentMatch,type:l,via:i}),t[l.name]=!0)}}return null}get edgeCount(){return this.next.length}edge(e){if(e>=this.next.length)throw new RangeError(`There's no ${e}th edge in this content match`);return this.next[e]}toString(){let e=[];function t(r){e.push(r);for(let i=0;i<r.next.length;i++)e.indexOf(r.next[i].next)==-1&&t(r.next[i].next)}return t(this),e.map((r,i)=>{let s=i+(r.validEnd?"*":" ")+" ";for(let o=0;o<r.next.length;o++)s+=(o?", ":"")+r.next[o].type.name+"->"+e.indexOf(r.next[o].next);return s}).join(`
-`)}};ln.empty=new ln(!0);var sl=class{constructor(e,t){this.string=e,this.nodeTypes=t,this.inline=null,this.pos=0,this.tokens=e.split(/\s*(?=\b|\W|$)/),this.tokens[this.tokens.length-1]==""&&this.tokens.pop(),this.tokens[0]==""&&this.tokens.shift()}get next(){return this.tokens[this.pos]}eat(e){return this.next==e&&(this.pos++||!0)}err(e){throw new SyntaxError(e+" (in content expression '"+this.string+"')")}};function sh(n){let e=[];do e.push(bm(n));while(n.eat("|"));return e.length==1?e[0]:{type:"choice",exprs:e}}function bm(n){let e=[];do e.push(xm(n));while(n.next&&n.next!=")"&&n.next!="|");return e.length==1?e[0]:{type:"seq",exprs:e}}function xm(n){let e=Cm(n);for(;;)if(n.eat("+"))e={type:"plus",expr:e};else if(n.eat("*"))e={type:"star",expr:e};else if(n.eat("?"))e={type:"opt",expr:e};else if(n.eat("{"))e=Sm(n,e);else break;return e}function qa(n){/\D/.test(n.next)&&n.err("Expected number, got '"+n.next+"'");let e=Number(n.next);return n.pos++,e}function Sm(n,e){let t=qa(n),r=t;return n.eat(",")&&(n.next!="}"?r=qa(n):r=-1),n.eat("}")||n.err("Unclosed braced range"),{type:"range",min:t,max:r,expr:e}}function km(n,e){let t=n.nodeTypes,r=t[e];if(r)return[r];let i=[];for(let s in t){let o=t[s];o.isInGroup(e)&&i.push(o)}return i.length==0&&n.err("No node type or group '"+e+"' found"),i}function Cm(n){if(n.eat("(")){let e=sh(n);return n.eat(")")||n.err("Missing closing paren"),e}else if(/\W/.test(n.next))n.err("Unexpected token '"+n.next+"'");else{let e=km(n,n.next).map(t=>(n.inline==null?n.inline=t.isInline:n.inline!=t.isInline&&n.err("Mixing inline and block content"),{type:"name",value:t}));return n.pos++,e.length==1?e[0]:{type:"choice",exprs:e}}}function Mm(n){let e=[[]];return i(s(n,0),t()),e;function t(){return e.push([])-1}function r(o,l,c){let a={term:c,to:l};return e[o].push(a),a}function i(o,l){o.forEach(c=>c.to=l)}function s(o,l){if(o.type=="choice")return o.exprs.reduce((c,a)=>c.concat(s(a,l)),[]);if(o.type=="seq")for(let c=0;;c++){let a=s(o.exprs[c],l);if(c==o.exprs.length-1)return a;i(a,l=t())}else if(o.type=="star"){let c=t();return r(l,c),i(s(o.expr,c),c),[r(c)]}else if(o.type=="plus"){let c=t();return i(s(o.expr,l),c),i(s(o.expr,c),c),[r(c)]}else{if(o.type=="opt")return[r(l)].concat(s(o.expr,l));if(o.type=="range"){let c=l;for(let a=0;a<o.min;a++){let h=t();i(s(o.expr,c),h),c=h}if(o.max==-1)i(s(o.expr,c),c);else for(let a=o.min;a<o.max;a++){let h=t();r(c,h),i(s(o.expr,c),h),c=h}return[r(c)]}else{if(o.type=="name")return[r(l,void 0,o.value)];throw new Error("Unknown expr type")}}}}function oh(n,e){return e-n}function Ha(n,e){let t=[];return r(e),t.sort(oh);function r(i){let s=n[i];if(s.length==1&&!s[0].term)return r(s[0].to);t.push(i);for(let o=0;o<s.length;o++){let{term:l,to:c}=s[o];!l&&t.indexOf(c)==-1&&r(c)}}}function Am(n){let e=Object.create(null);return t(Ha(n,0));function t(r){let i=[];r.forEach(o=>{n[o].forEach(({term:l,to:c})=>{if(!l)return;let a;for(let h=0;h<i.length;h++)i[h][0]==l&&(a=i[h][1]);Ha(n,c).forEach(h=>{a||i.push([l,a=[]]),a.indexOf(h)==-1&&a.push(h)})})});let s=e[r.join(",")]=new ln(r.indexOf(n.length-1)>-1);for(let o=0;o<i.length;o++){let l=i[o][1].sort(oh);s.next.push({type:i[o][0],next:e[l.join(",")]||t(l)})}return s}}function Em(n,e){for(let t=0,r=[n];t<r.length;t++){let i=r[t],s=!i.validEnd,o=[];for(let l=0;l<i.next.length;l++){let{type:c,next:a}=i.next[l];o.push(c.name),s&&!(c.isText||c.hasRequiredAttrs())&&(s=!1),r.indexOf(a)==-1&&r.push(a)}s&&e.err("Only non-generatable nodes ("+o.join(", ")+") in a required position (see https://prosemirror.net/docs/guide/#generatable)")}}function lh(n){let e=Object.create(null);for(let t in n){let r=n[t];if(!r.hasDefault)return null;e[t]=r.default}return e}function ch(n,e){let t=Object.create(null);for(let r in n){let i=e&&e[r];if(i===void 0){let s=n[r];if(s.hasDefault)i=s.default;else throw new RangeError("No value supplied for attribute "+r)}t[r]=i}return t}function ah(n,e,t,r){for(let i in e)if(!(i in n))throw new RangeError(`Unsupported attribute ${i} for ${t} of type ${i}`);for(let i in n){let s=n[i];s.validate&&s.validate(e[i])}}function hh(n,e){let t=Object.create(null);if(e)for(let r in e)t[r]=new ol(n,r,e[r]);return t}var us=class n{constructor(e,t,r){this.name=e,this.schema=t,this.spec=r,this.markSet=null,this.groups=r.group?r.group.split(" "):[],this.attrs=hh(e,r.attrs),this.defaultAttrs=lh(this.attrs),this.contentMatch=null,this.inlineContent=null,this.isBlock=!(r.inline||e=="text"),this.isText=e=="text"}get isInline(){return!this.isBlock}get isTextblock(){return this.isBlock&&this.inlineContent}get isLeaf(){return this.contentMatch==ln.empty}get isAtom(){return this.isLeaf||!!this.spec.atom}isInGroup(e){return this.groups.indexOf(e)>-1}get whitespace(){return this.spec.whitespace||(this.spec.code?"pre":"normal")}hasRequiredAttrs(){for(let e in this.attrs)if(this.attrs[e].isRequired)return!0;return!1}compatibleContent(e){return this==e||this.contentMatch.compatible(e.contentMatch)}computeAttrs(e){return!e&&this.defaultAttrs?this.defaultAttrs:ch(this.attrs,e)}create(e=null,t,r){if(this.isText)throw new Error("NodeType.create can't construct text nodes");return new Be(this,this.computeAttrs(e),w.from(t),D.setFrom(r))}createChecked(e=null,t,r){return t=w.from(t),this.checkContent(t),new Be(this,this.computeAttrs(e),t,D.setFrom(r))}createAndFill(e=null,t,r){if(e=this.computeAttrs(e),t=w.from(t),t.size){let o=this.contentMatch.fillBefore(t);if(!o)return null;t=o.append(t)}let i=this.contentMatch.matchFragment(t),s=i&&i.fillBefore(w.empty,!0);return s?new Be(this,e,t.append(s),D.setFrom(r)):null}validContent(e){let t=this.contentMatch.matchFragment(e);if(!t||!t.validEnd)return!1;for(let r=0;r<e.childCount;r++)if(!this.allowsMarks(e.child(r).marks))return!1;return!0}checkContent(e){if(!this.validContent(e))throw new RangeError(`Invalid content for node ${this.name}: ${e.toString().slice(0,50)}`)}checkAttrs(e){ah(this.attrs,e,"node",this.name)}allowsMarkType(e){return this.markSet==null||this.markSet.indexOf(e)>-1}allowsMarks(e){if(this.markSet==null)return!0;for(let t=0;t<e.length;t++)if(!this.allowsMarkType(e[t].type))return!1;return!0}allowedMarks(e){if(this.markSet==null)return e;let t;for(let r=0;r<e.length;r++)this.allowsMarkType(e[r].type)?t&&t.push(e[r]):t||(t=e.slice(0,r));return t?t.length?t:D.none:e}static compile(e,t){let r=Object.create(null);e.forEach((s,o)=>r[s]=new n(s,t,o));let i=t.spec.topNode||"doc";if(!r[i])throw new RangeError("Schema is missing its top node type ('"+i+"')");if(!r.text)throw new RangeError("Every schema needs a 'text' type");for(let s in r.text.attrs)throw new RangeError("The text node type should not have attributes");return r}};function Tm(n,e,t){let r=t.split("|");return i=>{let s=i===null?"null":typeof i;if(r.indexOf(s)<0)throw new RangeError(`Expected value of type ${r} for attribute ${e} on type ${n}, got ${s}`)}}var ol=class{constructor(e,t,r){this.hasDefault=Object.prototype.hasOwnProperty.call(r,"default"),this.default=r.default,this.validate=typeof r.validate=="string"?Tm(e,t,r.validate):r.validate}get isRequired(){return!this.hasDefault}},qr=class n{constructor(e,t,r,i){this.name=e,this.rank=t,this.schema=r,this.spec=i,this.attrs=hh(e,i.attrs),this.excluded=null;let s=lh(this.attrs);this.instance=s?new D(this,s):null}create(e=null){return!e&&this.instance?this.instance:new D(this,ch(this.attrs,e))}static compile(e,t){let r=Object.create(null),i=0;return e.forEach((s,o)=>r[s]=new n(s,i++,t,o)),r}removeFromSet(e){for(var t=0;t<e.length;t++)e[t].type==this&&(e=e.slice(0,t).concat(e.slice(t+1)),t--);return e}isInSet(e){for(let t=0;t<e.length;t++)if(e[t].type==this)return e[t]}checkAttrs(e){ah(this.attrs,e,"mark",this.name)}excludes(e){return this.excluded.indexOf(e)>-1}},Hr=class{constructor(e){this.linebreakReplacement=null,this.cached=Object.create(null);let t=this.spec={};for(let i in e)t[i]=e[i];t.nodes=Zo.from(e.nodes),t.marks=Zo.from(e.marks||{}),this.nodes=us.compile(this.spec.nodes,this),this.marks=qr.compile(this.spec.marks,this);let r=Object.create(null);for(let i in this.nodes){if(i in this.marks)throw new RangeError(i+" can not be both a node and a mark");let s=this.nodes[i],o=s.spec.content||"",l=s.spec.marks;if(s.contentMatch=r[o]||(r[o]=ln.parse(o,this.nodes)),s.inlineContent=s.contentMatch.inlineContent,s.spec.linebreakReplacement){if(this.linebreakReplacement)throw new RangeError("Multiple linebreak nodes defined");if(!s.isInline||!s.isLeaf)throw new RangeError("Linebreak replacement nodes must be inline leaf nodes");this.linebreakReplacement=s}s.markSet=l=="_"?null:l?Ja(this,l.split(" ")):l==""||!s.inlineContent?[]:null}for(let i in this.marks){let s=this.marks[i],o=s.spec.excludes;s.excluded=o==null?[s]:o==""?[]:Ja(this,o.split(" "))}this.nodeFromJSON=this.nodeFromJSON.bind(this),this.markFromJSON=this.markFromJSON.bind(this),this.topNodeType=this.nodes[this.spec.topNode||"doc"],this.cached.wrappings=Object.create(null)}node(e,t=null,r,i){if(typeof e=="string")e=this.nodeType(e);else if(e instanceof us){if(e.schema!=this)throw new RangeError("Node type from different schema used ("+e.name+")")}else throw new RangeError("Invalid node type: "+e);return e.createChecked(t,r,i)}text(e,t){let r=this.nodes.text;return new il(r,r.defaultAttrs,e,D.setFrom(t))}mark(e,t){return typeof e=="string"&&(e=this.marks[e]),e.create(t)}nodeFromJSON(e){return Be.fromJSON(this,e)}markFromJSON(e){return D.fromJSON(this,e)}nodeType(e){let t=this.nodes[e];if(!t)throw new RangeError("Unknown node type: "+e);return t}};function Ja(n,e){let t=[];for(let r=0;r<e.length;r++){let i=e[r],s=n.marks[i],o=s;if(s)t.push(s);else for(let l in n.marks){let c=n.marks[l];(i=="_"||c.spec.group&&c.spec.group.split(" ").indexOf(i)>-1)&&t.push(o=c)}if(!o)throw new SyntaxError("Unknown mark type: '"+e[r]+"'")}return t}function Dm(n){return n.tag!=null}function Om(n){return n.style!=null}var Wn=class n{constructor(e,t){this.schema=e,this.rules=t,this.tags=[],this.styles=[];let r=this.matchedStyles=[];t.forEach(i=>{if(Dm(i))this.tags.push(i);else if(Om(i)){let s=/[^=]*/.exec(i.style)[0];r.indexOf(s)<0&&r.push(s),this.styles.push(i)}}),this.normalizeLists=!this.tags.some(i=>{if(!/^(ul|ol)\b/.test(i.tag)||!i.node)return!1;let s=e.nodes[i.node];return s.contentMatch.matchType(s)})}parse(e,t={}){let r=new gs(this,t,!1);return r.addAll(e,D.none,t.from,t.to),r.finish()}parseSlice(e,t={}){let r=new gs(this,t,!0);return r.addAll(e,D.none,t.from,t.to),b.maxOpen(r.finish())}matchTag(e,t,r){for(let i=r?this.tags.indexOf(r)+1:0;i<this.tags.length;i++){let s=this.tags[i];if(Rm(e,s.tag)&&(s.namespace===void 0||e.namespaceURI==s.namespace)&&(!s.context||t.matchesContext(s.context))){if(s.getAttrs){let o=s.getAttrs(e);if(o===!1)continue;s.attrs=o||void 0}return s}}}matchStyle(e,t,r,i){for(let s=i?this.styles.indexOf(i)+1:0;s<this.styles.length;s++){let o=this.styles[s],l=o.style;if(!(l.indexOf(e)!=0||o.context&&!r.matchesContext(o.context)||l.length>e.length&&(l.charCodeAt(e.length)!=61||l.slice(e.length+1)!=t))){if(o.getAttrs){let c=o.getAttrs(t);if(c===!1)continue;o.attrs=c||void 0}return o}}}static schemaRules(e){let t=[];function r(i){let s=i.priority==null?50:i.priority,o=0;for(;o<t.length;o++){let l=t[o];if((l.priority==null?50:l.priority)<s)break}t.splice(o,0,i)}for(let i in e.marks){let s=e.marks[i].spec.parseDOM;s&&s.forEach(o=>{r(o=Wa(o)),o.mark||o.ignore||o.clearMark||(o.mark=i)})}for(let i in e.nodes){let s=e.nodes[i].spec.parseDOM;s&&s.forEach(o=>{r(o=Wa(o)),o.node||o.ignore||o.mark||(o.node=i)})}return t}static fromSchema(e){return e.cached.domParser||(e.cached.domParser=new n(e,n.schemaRules(e)))}},fh={address:!0,article:!0,aside:!0,blockquote:!0,canvas:!0,dd:!0,div:!0,dl:!0,fieldset:!0,figcaption:!0,figure:!0,footer:!0,form:!0,h1:!0,h2:!0,h3:!0,h4:!0,h5:!0,h6:!0,header:!0,hgroup:!0,hr:!0,li:!0,noscript:!0,ol:!0,output:!0,p:!0,pre:!0,section:!0,table:!0,tfoot:!0,ul:!0},Nm={head:!0,noscript:!0,object:!0,script:!0,style:!0,title:!0},dh={ol:!0,ul:!0},ps=1,ms=2,$r=4;function ja(n,e,t){return e!=null?(e?ps:0)|(e==="full"?ms:0):n&&n.whitespace=="pre"?ps|ms:t&~$r}var jn=class{constructor(e,t,r,i,s,o){this.type=e,this.attrs=t,this.marks=r,this.solid=i,this.options=o,this.content=[],this.activeMarks=D.none,this.match=s||(o&$r?null:e.contentMatch)}findWrapping(e){if(!this.match){if(!this.type)return[];let t=this.type.contentMatch.fillBefore(w.from(e));if(t)this.match=this.type.contentMatch.matchFragment(t);else{let r=this.type.contentMatch,i;return(i=r.findWrapping(e.type))?(this.match=r,i):null}}return this.match.findWrapping(e.type)}finish(e){if(!(this.options&ps)){let r=this.content[this.content.length-1],i;if(r&&r.isText&&(i=/[ \t\r\n\u000c]+$/.exec(r.text))){let s=r;r.text.length==i[0].length?this.content.pop():this.content[this.content.length-1]=s.withText(s.text.slice(0,s.text.length-i[0].length))}}let t=w.from(this.content);return!e&&this.match&&(t=t.append(this.match.fillBefore(w.empty,!0))),this.type?this.type.create(this.attrs,t,this.marks):t}inlineContext(e){return this.type?this.type.inlineContent:this.content.length?this.content[0].isInline:e.parentNode&&!fh.hasOwnProperty(e.parentNode.nodeName.toLowerCase())}},gs=class{constructor(e,t,r){this.parser=e,this.options=t,this.isOpen=r,this.open=0;let i=t.topNode,s,o=ja(null,t.preserveWhitespace,0)|(r?$r:0);i?s=new jn(i.type,i.attrs,D.none,!0,t.topMatch||i.type.contentMatch,o):r?s=new jn(null,null,D.none,!0,null,o):s=new jn(e.schema.topNodeType,null,D.none,!0,null,o),this.nodes=[s],this.find=t.findPositions,this.needsBlock=!1}get top(){return this.nodes[this.open]}addDOM(e,t){e.nodeType==3?this.addTextNode(e,t):e.nodeType==1&&this.addElement(e,t)}addTextNode(e,t){let r=e.nodeValue,i=this.top;if(i.options&ms||i.inlineContext(e)||/[^ \t\r\n\u000c]/.test(r)){if(i.options&ps)i.options&ms?r=r.replace(/\r\n?/g,`
+var um=Object.defineProperty;var pm=(n,e)=>{for(var t in e)um(n,t,{get:e[t],enumerable:!0})};function he(n){this.content=n}he.prototype={constructor:he,find:function(n){for(var e=0;e<this.content.length;e+=2)if(this.content[e]===n)return e;return-1},get:function(n){var e=this.find(n);return e==-1?void 0:this.content[e+1]},update:function(n,e,t){var r=t&&t!=n?this.remove(t):this,i=r.find(n),s=r.content.slice();return i==-1?s.push(t||n,e):(s[i+1]=e,t&&(s[i]=t)),new he(s)},remove:function(n){var e=this.find(n);if(e==-1)return this;var t=this.content.slice();return t.splice(e,2),new he(t)},addToStart:function(n,e){return new he([n,e].concat(this.remove(n).content))},addToEnd:function(n,e){var t=this.remove(n).content.slice();return t.push(n,e),new he(t)},addBefore:function(n,e,t){var r=this.remove(e),i=r.content.slice(),s=r.find(n);return i.splice(s==-1?i.length:s,0,e,t),new he(i)},forEach:function(n){for(var e=0;e<this.content.length;e+=2)n(this.content[e],this.content[e+1])},prepend:function(n){return n=he.from(n),n.size?new he(n.content.concat(this.subtract(n).content)):this},append:function(n){return n=he.from(n),n.size?new he(this.subtract(n).content.concat(n.content)):this},subtract:function(n){var e=this;n=he.from(n);for(var t=0;t<n.content.length;t+=2)e=e.remove(n.content[t]);return e},toObject:function(){var n={};return this.forEach(function(e,t){n[e]=t}),n},get size(){return this.content.length>>1}};he.from=function(n){if(n instanceof he)return n;var e=[];if(n)for(var t in n)e.push(t,n[t]);return new he(e)};var Zo=he;function Xa(n,e,t){for(let r=0;;r++){if(r==n.childCount||r==e.childCount)return n.childCount==e.childCount?null:t;let i=n.child(r),s=e.child(r);if(i==s){t+=i.nodeSize;continue}if(!i.sameMarkup(s))return t;if(i.isText&&i.text!=s.text){for(let o=0;i.text[o]==s.text[o];o++)t++;return t}if(i.content.size||s.content.size){let o=Xa(i.content,s.content,t+1);if(o!=null)return o}t+=i.nodeSize}}function Qa(n,e,t,r){for(let i=n.childCount,s=e.childCount;;){if(i==0||s==0)return i==s?null:{a:t,b:r};let o=n.child(--i),l=e.child(--s),c=o.nodeSize;if(o==l){t-=c,r-=c;continue}if(!o.sameMarkup(l))return{a:t,b:r};if(o.isText&&o.text!=l.text){let a=0,h=Math.min(o.text.length,l.text.length);for(;a<h&&o.text[o.text.length-a-1]==l.text[l.text.length-a-1];)a++,t--,r--;return{a:t,b:r}}if(o.content.size||l.content.size){let a=Qa(o.content,l.content,t-1,r-1);if(a)return a}t-=c,r-=c}}var w=class n{constructor(e,t){if(this.content=e,this.size=t||0,t==null)for(let r=0;r<e.length;r++)this.size+=e[r].nodeSize}nodesBetween(e,t,r,i=0,s){for(let o=0,l=0;l<t;o++){let c=this.content[o],a=l+c.nodeSize;if(a>e&&r(c,i+l,s||null,o)!==!1&&c.content.size){let h=l+1;c.nodesBetween(Math.max(0,e-h),Math.min(c.content.size,t-h),r,i+h)}l=a}}descendants(e){this.nodesBetween(0,this.size,e)}textBetween(e,t,r,i){let s="",o=!0;return this.nodesBetween(e,t,(l,c)=>{let a=l.isText?l.text.slice(Math.max(e,c)-c,t-c):l.isLeaf?i?typeof i=="function"?i(l):i:l.type.spec.leafText?l.type.spec.leafText(l):"":"";l.isBlock&&(l.isLeaf&&a||l.isTextblock)&&r&&(o?o=!1:s+=r),s+=a},0),s}append(e){if(!e.size)return this;if(!this.size)return e;let t=this.lastChild,r=e.firstChild,i=this.content.slice(),s=0;for(t.isText&&t.sameMarkup(r)&&(i[i.length-1]=t.withText(t.text+r.text),s=1);s<e.content.length;s++)i.push(e.content[s]);return new n(i,this.size+e.size)}cut(e,t=this.size){if(e==0&&t==this.size)return this;let r=[],i=0;if(t>e)for(let s=0,o=0;o<t;s++){let l=this.content[s],c=o+l.nodeSize;c>e&&((o<e||c>t)&&(l.isText?l=l.cut(Math.max(0,e-o),Math.min(l.text.length,t-o)):l=l.cut(Math.max(0,e-o-1),Math.min(l.content.size,t-o-1))),r.push(l),i+=l.nodeSize),o=c}return new n(r,i)}cutByIndex(e,t){return e==t?n.empty:e==0&&t==this.content.length?this:new n(this.content.slice(e,t))}replaceChild(e,t){let r=this.content[e];if(r==t)return this;let i=this.content.slice(),s=this.size+t.nodeSize-r.nodeSize;return i[e]=t,new n(i,s)}addToStart(e){return new n([e].concat(this.content),this.size+e.nodeSize)}addToEnd(e){return new n(this.content.concat(e),this.size+e.nodeSize)}eq(e){if(this.content.length!=e.content.length)return!1;for(let t=0;t<this.content.length;t++)if(!this.content[t].eq(e.content[t]))return!1;return!0}get firstChild(){return this.content.length?this.content[0]:null}get lastChild(){return this.content.length?this.content[this.content.length-1]:null}get childCount(){return this.content.length}child(e){let t=this.content[e];if(!t)throw new RangeError("Index "+e+" out of range for "+this);return t}maybeChild(e){return this.content[e]||null}forEach(e){for(let t=0,r=0;t<this.content.length;t++){let i=this.content[t];e(i,r,t),r+=i.nodeSize}}findDiffStart(e,t=0){return Xa(this,e,t)}findDiffEnd(e,t=this.size,r=e.size){return Qa(this,e,t,r)}findIndex(e,t=-1){if(e==0)return cs(0,e);if(e==this.size)return cs(this.content.length,e);if(e>this.size||e<0)throw new RangeError(`Position ${e} outside of fragment (${this})`);for(let r=0,i=0;;r++){let s=this.child(r),o=i+s.nodeSize;if(o>=e)return o==e||t>0?cs(r+1,o):cs(r,i);i=o}}toString(){return"<"+this.toStringInner()+">"}toStringInner(){return this.content.join(", ")}toJSON(){return this.content.length?this.content.map(e=>e.toJSON()):null}static fromJSON(e,t){if(!t)return n.empty;if(!Array.isArray(t))throw new RangeError("Invalid input for Fragment.fromJSON");return new n(t.map(e.nodeFromJSON))}static fromArray(e){if(!e.length)return n.empty;let t,r=0;for(let i=0;i<e.length;i++){let s=e[i];r+=s.nodeSize,i&&s.isText&&e[i-1].sameMarkup(s)?(t||(t=e.slice(0,i)),t[t.length-1]=s.withText(t[t.length-1].text+s.text)):t&&t.push(s)}return new n(t||e,r)}static from(e){if(!e)return n.empty;if(e instanceof n)return e;if(Array.isArray(e))return this.fromArray(e);if(e.attrs)return new n([e],e.nodeSize);throw new RangeError("Can not convert "+e+" to a Fragment"+(e.nodesBetween?" (looks like multiple versions of prosemirror-model were loaded)":""))}};w.empty=new w([],0);var el={index:0,offset:0};function cs(n,e){return el.index=n,el.offset=e,el}function hs(n,e){if(n===e)return!0;if(!(n&&typeof n=="object")||!(e&&typeof e=="object"))return!1;let t=Array.isArray(n);if(Array.isArray(e)!=t)return!1;if(t){if(n.length!=e.length)return!1;for(let r=0;r<n.length;r++)if(!hs(n[r],e[r]))return!1}else{for(let r in n)if(!(r in e)||!hs(n[r],e[r]))return!1;for(let r in e)if(!(r in n))return!1}return!0}var D=class n{constructor(e,t){this.type=e,this.attrs=t}addToSet(e){let t,r=!1;for(let i=0;i<e.length;i++){let s=e[i];if(this.eq(s))return e;if(this.type.excludes(s.type))t||(t=e.slice(0,i));else{if(s.type.excludes(this.type))return e;!r&&s.type.rank>this.type.rank&&(t||(t=e.slice(0,i)),t.push(this),r=!0),t&&t.push(s)}}return t||(t=e.slice()),r||t.push(this),t}removeFromSet(e){for(let t=0;t<e.length;t++)if(this.eq(e[t]))return e.slice(0,t).concat(e.slice(t+1));return e}isInSet(e){for(let t=0;t<e.length;t++)if(this.eq(e[t]))return!0;return!1}eq(e){return this==e||this.type==e.type&&hs(this.attrs,e.attrs)}toJSON(){let e={type:this.type.name};for(let t in this.attrs){e.attrs=this.attrs;break}return e}static fromJSON(e,t){if(!t)throw new RangeError("Invalid input for Mark.fromJSON");let r=e.marks[t.type];if(!r)throw new RangeError(`There is no mark type ${t.type} in this schema`);let i=r.create(t.attrs);return r.checkAttrs(i.attrs),i}static sameSet(e,t){if(e==t)return!0;if(e.length!=t.length)return!1;for(let r=0;r<e.length;r++)if(!e[r].eq(t[r]))return!1;return!0}static setFrom(e){if(!e||Array.isArray(e)&&e.length==0)return n.none;if(e instanceof n)return[e];let t=e.slice();return t.sort((r,i)=>r.type.rank-i.type.rank),t}};D.none=[];var on=class extends Error{},b=class n{constructor(e,t,r){this.content=e,this.openStart=t,this.openEnd=r}get size(){return this.content.size-this.openStart-this.openEnd}insertAt(e,t){let r=eh(this.content,e+this.openStart,t);return r&&new n(r,this.openStart,this.openEnd)}removeBetween(e,t){return new n(Za(this.content,e+this.openStart,t+this.openStart),this.openStart,this.openEnd)}eq(e){return this.content.eq(e.content)&&this.openStart==e.openStart&&this.openEnd==e.openEnd}toString(){return this.content+"("+this.openStart+","+this.openEnd+")"}toJSON(){if(!this.content.size)return null;let e={content:this.content.toJSON()};return this.openStart>0&&(e.openStart=this.openStart),this.openEnd>0&&(e.openEnd=this.openEnd),e}static fromJSON(e,t){if(!t)return n.empty;let r=t.openStart||0,i=t.openEnd||0;if(typeof r!="number"||typeof i!="number")throw new RangeError("Invalid input for Slice.fromJSON");return new n(w.fromJSON(e,t.content),r,i)}static maxOpen(e,t=!0){let r=0,i=0;for(let s=e.firstChild;s&&!s.isLeaf&&(t||!s.type.spec.isolating);s=s.firstChild)r++;for(let s=e.lastChild;s&&!s.isLeaf&&(t||!s.type.spec.isolating);s=s.lastChild)i++;return new n(e,r,i)}};b.empty=new b(w.empty,0,0);function Za(n,e,t){let{index:r,offset:i}=n.findIndex(e),s=n.maybeChild(r),{index:o,offset:l}=n.findIndex(t);if(i==e||s.isText){if(l!=t&&!n.child(o).isText)throw new RangeError("Removing non-flat range");return n.cut(0,e).append(n.cut(t))}if(r!=o)throw new RangeError("Removing non-flat range");return n.replaceChild(r,s.copy(Za(s.content,e-i-1,t-i-1)))}function eh(n,e,t,r){let{index:i,offset:s}=n.findIndex(e),o=n.maybeChild(i);if(s==e||o.isText)return r&&!r.canReplace(i,i,t)?null:n.cut(0,e).append(t).append(n.cut(e));let l=eh(o.content,e-s-1,t);return l&&n.replaceChild(i,o.copy(l))}function mm(n,e,t){if(t.openStart>n.depth)throw new on("Inserted content deeper than insertion position");if(n.depth-t.openStart!=e.depth-t.openEnd)throw new on("Inconsistent open depths");return th(n,e,t,0)}function th(n,e,t,r){let i=n.index(r),s=n.node(r);if(i==e.index(r)&&r<n.depth-t.openStart){let o=th(n,e,t,r+1);return s.copy(s.content.replaceChild(i,o))}else if(t.content.size)if(!t.openStart&&!t.openEnd&&n.depth==r&&e.depth==r){let o=n.parent,l=o.content;return sn(o,l.cut(0,n.parentOffset).append(t.content).append(l.cut(e.parentOffset)))}else{let{start:o,end:l}=gm(t,n);return sn(s,rh(n,o,l,e,r))}else return sn(s,fs(n,e,r))}function nh(n,e){if(!e.type.compatibleContent(n.type))throw new on("Cannot join "+e.type.name+" onto "+n.type.name)}function nl(n,e,t){let r=n.node(t);return nh(r,e.node(t)),r}function rn(n,e){let t=e.length-1;t>=0&&n.isText&&n.sameMarkup(e[t])?e[t]=n.withText(e[t].text+n.text):e.push(n)}function Fr(n,e,t,r){let i=(e||n).node(t),s=0,o=e?e.index(t):i.childCount;n&&(s=n.index(t),n.depth>t?s++:n.textOffset&&(rn(n.nodeAfter,r),s++));for(let l=s;l<o;l++)rn(i.child(l),r);e&&e.depth==t&&e.textOffset&&rn(e.nodeBefore,r)}function sn(n,e){return n.type.checkContent(e),n.copy(e)}function rh(n,e,t,r,i){let s=n.depth>i&&nl(n,e,i+1),o=r.depth>i&&nl(t,r,i+1),l=[];return Fr(null,n,i,l),s&&o&&e.index(i)==t.index(i)?(nh(s,o),rn(sn(s,rh(n,e,t,r,i+1)),l)):(s&&rn(sn(s,fs(n,e,i+1)),l),Fr(e,t,i,l),o&&rn(sn(o,fs(t,r,i+1)),l)),Fr(r,null,i,l),new w(l)}function fs(n,e,t){let r=[];if(Fr(null,n,t,r),n.depth>t){let i=nl(n,e,t+1);rn(sn(i,fs(n,e,t+1)),r)}return Fr(e,null,t,r),new w(r)}function gm(n,e){let t=e.depth-n.openStart,i=e.node(t).copy(n.content);for(let s=t-1;s>=0;s--)i=e.node(s).copy(w.from(i));return{start:i.resolveNoCache(n.openStart+t),end:i.resolveNoCache(i.content.size-n.openEnd-t)}}var ds=class n{constructor(e,t,r){this.pos=e,this.path=t,this.parentOffset=r,this.depth=t.length/3-1}resolveDepth(e){return e==null?this.depth:e<0?this.depth+e:e}get parent(){return this.node(this.depth)}get doc(){return this.node(0)}node(e){return this.path[this.resolveDepth(e)*3]}index(e){return this.path[this.resolveDepth(e)*3+1]}indexAfter(e){return e=this.resolveDepth(e),this.index(e)+(e==this.depth&&!this.textOffset?0:1)}start(e){return e=this.resolveDepth(e),e==0?0:this.path[e*3-1]+1}end(e){return e=this.resolveDepth(e),this.start(e)+this.node(e).content.size}before(e){if(e=this.resolveDepth(e),!e)throw new RangeError("There is no position before the top-level node");return e==this.depth+1?this.pos:this.path[e*3-1]}after(e){if(e=this.resolveDepth(e),!e)throw new RangeError("There is no position after the top-level node");return e==this.depth+1?this.pos:this.path[e*3-1]+this.path[e*3].nodeSize}get textOffset(){return this.pos-this.path[this.path.length-1]}get nodeAfter(){let e=this.parent,t=this.index(this.depth);if(t==e.childCount)return null;let r=this.pos-this.path[this.path.length-1],i=e.child(t);return r?e.child(t).cut(r):i}get nodeBefore(){let e=this.index(this.depth),t=this.pos-this.path[this.path.length-1];return t?this.parent.child(e).cut(0,t):e==0?null:this.parent.child(e-1)}posAtIndex(e,t){t=this.resolveDepth(t);let r=this.path[t*3],i=t==0?0:this.path[t*3-1]+1;for(let s=0;s<e;s++)i+=r.child(s).nodeSize;return i}marks(){let e=this.parent,t=this.index();if(e.content.size==0)return D.none;if(this.textOffset)return e.child(t).marks;let r=e.maybeChild(t-1),i=e.maybeChild(t);if(!r){let l=r;r=i,i=l}let s=r.marks;for(var o=0;o<s.length;o++)s[o].type.spec.inclusive===!1&&(!i||!s[o].isInSet(i.marks))&&(s=s[o--].removeFromSet(s));return s}marksAcross(e){let t=this.parent.maybeChild(this.index());if(!t||!t.isInline)return null;let r=t.marks,i=e.parent.maybeChild(e.index());for(var s=0;s<r.length;s++)r[s].type.spec.inclusive===!1&&(!i||!r[s].isInSet(i.marks))&&(r=r[s--].removeFromSet(r));return r}sharedDepth(e){for(let t=this.depth;t>0;t--)if(this.start(t)<=e&&this.end(t)>=e)return t;return 0}blockRange(e=this,t){if(e.pos<this.pos)return e.blockRange(this);for(let r=this.depth-(this.parent.inlineContent||this.pos==e.pos?1:0);r>=0;r--)if(e.pos<=this.end(r)&&(!t||t(this.node(r))))return new ln(this,e,r);return null}sameParent(e){return this.pos-this.parentOffset==e.pos-e.parentOffset}max(e){return e.pos>this.pos?e:this}min(e){return e.pos<this.pos?e:this}toString(){let e="";for(let t=1;t<=this.depth;t++)e+=(e?"/":"")+this.node(t).type.name+"_"+this.index(t-1);return e+":"+this.parentOffset}static resolve(e,t){if(!(t>=0&&t<=e.content.size))throw new RangeError("Position "+t+" out of range");let r=[],i=0,s=t;for(let o=e;;){let{index:l,offset:c}=o.content.findIndex(s),a=s-c;if(r.push(o,l,i+c),!a||(o=o.child(l),o.isText))break;s=a-1,i+=c+1}return new n(t,r,s)}static resolveCached(e,t){let r=$a.get(e);if(r)for(let s=0;s<r.elts.length;s++){let o=r.elts[s];if(o.pos==t)return o}else $a.set(e,r=new rl);let i=r.elts[r.i]=n.resolve(e,t);return r.i=(r.i+1)%ym,i}},rl=class{constructor(){this.elts=[],this.i=0}},ym=12,$a=new WeakMap,ln=class{constructor(e,t,r){this.$from=e,this.$to=t,this.depth=r}get start(){return this.$from.before(this.depth+1)}get end(){return this.$to.after(this.depth+1)}get parent(){return this.$from.node(this.depth)}get startIndex(){return this.$from.index(this.depth)}get endIndex(){return this.$to.indexAfter(this.depth)}},wm=Object.create(null),Be=class n{constructor(e,t,r,i=D.none){this.type=e,this.attrs=t,this.marks=i,this.content=r||w.empty}get nodeSize(){return this.isLeaf?1:2+this.content.size}get childCount(){return this.content.childCount}child(e){return this.content.child(e)}maybeChild(e){return this.content.maybeChild(e)}forEach(e){this.content.forEach(e)}nodesBetween(e,t,r,i=0){this.content.nodesBetween(e,t,r,i,this)}descendants(e){this.nodesBetween(0,this.content.size,e)}get textContent(){return this.isLeaf&&this.type.spec.leafText?this.type.spec.leafText(this):this.textBetween(0,this.content.size,"")}textBetween(e,t,r,i){return this.content.textBetween(e,t,r,i)}get firstChild(){return this.content.firstChild}get lastChild(){return this.content.lastChild}eq(e){return this==e||this.sameMarkup(e)&&this.content.eq(e.content)}sameMarkup(e){return this.hasMarkup(e.type,e.attrs,e.marks)}hasMarkup(e,t,r){return this.type==e&&hs(this.attrs,t||e.defaultAttrs||wm)&&D.sameSet(this.marks,r||D.none)}copy(e=null){return e==this.content?this:new n(this.type,this.attrs,e,this.marks)}mark(e){return e==this.marks?this:new n(this.type,this.attrs,this.content,e)}cut(e,t=this.content.size){return e==0&&t==this.content.size?this:this.copy(this.content.cut(e,t))}slice(e,t=this.content.size,r=!1){if(e==t)return b.empty;let i=this.resolve(e),s=this.resolve(t),o=r?0:i.sharedDepth(t),l=i.start(o),a=i.node(o).content.cut(i.pos-l,s.pos-l);return new b(a,i.depth-o,s.depth-o)}replace(e,t,r){return mm(this.resolve(e),this.resolve(t),r)}nodeAt(e){for(let t=this;;){let{index:r,offset:i}=t.content.findIndex(e);if(t=t.maybeChild(r),!t)return null;if(i==e||t.isText)return t;e-=i+1}}childAfter(e){let{index:t,offset:r}=this.content.findIndex(e);return{node:this.content.maybeChild(t),index:t,offset:r}}childBefore(e){if(e==0)return{node:null,index:0,offset:0};let{index:t,offset:r}=this.content.findIndex(e);if(r<e)return{node:this.content.child(t),index:t,offset:r};let i=this.content.child(t-1);return{node:i,index:t-1,offset:r-i.nodeSize}}resolve(e){return ds.resolveCached(this,e)}resolveNoCache(e){return ds.resolve(this,e)}rangeHasMark(e,t,r){let i=!1;return t>e&&this.nodesBetween(e,t,s=>(r.isInSet(s.marks)&&(i=!0),!i)),i}get isBlock(){return this.type.isBlock}get isTextblock(){return this.type.isTextblock}get inlineContent(){return this.type.inlineContent}get isInline(){return this.type.isInline}get isText(){return this.type.isText}get isLeaf(){return this.type.isLeaf}get isAtom(){return this.type.isAtom}toString(){if(this.type.spec.toDebugString)return this.type.spec.toDebugString(this);let e=this.type.name;return this.content.size&&(e+="("+this.content.toStringInner()+")"),ih(this.marks,e)}contentMatchAt(e){let t=this.type.contentMatch.matchFragment(this.content,0,e);if(!t)throw new Error("Called contentMatchAt on a node with invalid content");return t}canReplace(e,t,r=w.empty,i=0,s=r.childCount){let o=this.contentMatchAt(e).matchFragment(r,i,s),l=o&&o.matchFragment(this.content,t);if(!l||!l.validEnd)return!1;for(let c=i;c<s;c++)if(!this.type.allowsMarks(r.child(c).marks))return!1;return!0}canReplaceWith(e,t,r,i){if(i&&!this.type.allowsMarks(i))return!1;let s=this.contentMatchAt(e).matchType(r),o=s&&s.matchFragment(this.content,t);return o?o.validEnd:!1}canAppend(e){return e.content.size?this.canReplace(this.childCount,this.childCount,e.content):this.type.compatibleContent(e.type)}check(){this.type.checkContent(this.content),this.type.checkAttrs(this.attrs);let e=D.none;for(let t=0;t<this.marks.length;t++){let r=this.marks[t];r.type.checkAttrs(r.attrs),e=r.addToSet(e)}if(!D.sameSet(e,this.marks))throw new RangeError(`Invalid collection of marks for node ${this.type.name}: ${this.marks.map(t=>t.type.name)}`);this.content.forEach(t=>t.check())}toJSON(){let e={type:this.type.name};for(let t in this.attrs){e.attrs=this.attrs;break}return this.content.size&&(e.content=this.content.toJSON()),this.marks.length&&(e.marks=this.marks.map(t=>t.toJSON())),e}static fromJSON(e,t){if(!t)throw new RangeError("Invalid input for Node.fromJSON");let r;if(t.marks){if(!Array.isArray(t.marks))throw new RangeError("Invalid mark data for Node.fromJSON");r=t.marks.map(e.markFromJSON)}if(t.type=="text"){if(typeof t.text!="string")throw new RangeError("Invalid text node in JSON");return e.text(t.text,r)}let i=w.fromJSON(e,t.content),s=e.nodeType(t.type).create(t.attrs,i,r);return s.type.checkAttrs(s.attrs),s}};Be.prototype.text=void 0;var il=class n extends Be{constructor(e,t,r,i){if(super(e,t,null,i),!r)throw new RangeError("Empty text nodes are not allowed");this.text=r}toString(){return this.type.spec.toDebugString?this.type.spec.toDebugString(this):ih(this.marks,JSON.stringify(this.text))}get textContent(){return this.text}textBetween(e,t){return this.text.slice(e,t)}get nodeSize(){return this.text.length}mark(e){return e==this.marks?this:new n(this.type,this.attrs,this.text,e)}withText(e){return e==this.text?this:new n(this.type,this.attrs,e,this.marks)}cut(e=0,t=this.text.length){return e==0&&t==this.text.length?this:this.withText(this.text.slice(e,t))}eq(e){return this.sameMarkup(e)&&this.text==e.text}toJSON(){let e=super.toJSON();return e.text=this.text,e}};function ih(n,e){for(let t=n.length-1;t>=0;t--)e=n[t].type.name+"("+e+")";return e}var cn=class n{constructor(e){this.validEnd=e,this.next=[],this.wrapCache=[]}static parse(e,t){let r=new sl(e,t);if(r.next==null)return n.empty;let i=sh(r);r.next&&r.err("Unexpected trailing text");let s=Am(Mm(i));return Tm(s,r),s}matchType(e){for(let t=0;t<this.next.length;t++)if(this.next[t].type==e)return this.next[t].next;return null}matchFragment(e,t=0,r=e.childCount){let i=this;for(let s=t;i&&s<r;s++)i=i.matchType(e.child(s).type);return i}get inlineContent(){return this.next.length!=0&&this.next[0].type.isInline}get defaultType(){for(let e=0;e<this.next.length;e++){let{type:t}=this.next[e];if(!(t.isText||t.hasRequiredAttrs()))return t}return null}compatible(e){for(let t=0;t<this.next.length;t++)for(let r=0;r<e.next.length;r++)if(this.next[t].type==e.next[r].type)return!0;return!1}fillBefore(e,t=!1,r=0){let i=[this];function s(o,l){let c=o.matchFragment(e,r);if(c&&(!t||c.validEnd))return w.from(l.map(a=>a.createAndFill()));for(let a=0;a<o.next.length;a++){let{type:h,next:f}=o.next[a];if(!(h.isText||h.hasRequiredAttrs())&&i.indexOf(f)==-1){i.push(f);let d=s(f,l.concat(h));if(d)return d}}return null}return s(this,[])}findWrapping(e){for(let r=0;r<this.wrapCache.length;r+=2)if(this.wrapCache[r]==e)return this.wrapCache[r+1];let t=this.computeWrapping(e);return this.wrapCache.push(e,t),t}computeWrapping(e){let t=Object.create(null),r=[{match:this,type:null,via:null}];for(;r.length;){let i=r.shift(),s=i.match;if(s.matchType(e)){let o=[];for(let l=i;l.type;l=l.via)o.push(l.type);return o.reverse()}for(let o=0;o<s.next.length;o++){let{type:l,next:c}=s.next[o];!l.isLeaf&&!l.hasRequiredAttrs()&&!(l.name in t)&&(!i.type||c.validEnd)&&(r.push({match:l.contentMatch,type:l,via:i}),t[l.name]=!0)}}return null}get edgeCount(){return this.next.length}edge(e){if(e>=this.next.length)throw new RangeError(`There's no ${e}th edge in this content match`);return this.next[e]}toString(){let e=[];function t(r){e.push(r);for(let i=0;i<r.next.length;i++)e.indexOf(r.next[i].next)==-1&&t(r.next[i].next)}return t(this),e.map((r,i)=>{let s=i+(r.validEnd?"*":" ")+" ";for(let o=0;o<r.next.length;o++)s+=(o?", ":"")+r.next[o].type.name+"->"+e.indexOf(r.next[o].next);return s}).join(`
+`)}};cn.empty=new cn(!0);var sl=class{constructor(e,t){this.string=e,this.nodeTypes=t,this.inline=null,this.pos=0,this.tokens=e.split(/\s*(?=\b|\W|$)/),this.tokens[this.tokens.length-1]==""&&this.tokens.pop(),this.tokens[0]==""&&this.tokens.shift()}get next(){return this.tokens[this.pos]}eat(e){return this.next==e&&(this.pos++||!0)}err(e){throw new SyntaxError(e+" (in content expression '"+this.string+"')")}};function sh(n){let e=[];do e.push(bm(n));while(n.eat("|"));return e.length==1?e[0]:{type:"choice",exprs:e}}function bm(n){let e=[];do e.push(xm(n));while(n.next&&n.next!=")"&&n.next!="|");return e.length==1?e[0]:{type:"seq",exprs:e}}function xm(n){let e=Cm(n);for(;;)if(n.eat("+"))e={type:"plus",expr:e};else if(n.eat("*"))e={type:"star",expr:e};else if(n.eat("?"))e={type:"opt",expr:e};else if(n.eat("{"))e=Sm(n,e);else break;return e}function qa(n){/\D/.test(n.next)&&n.err("Expected number, got '"+n.next+"'");let e=Number(n.next);return n.pos++,e}function Sm(n,e){let t=qa(n),r=t;return n.eat(",")&&(n.next!="}"?r=qa(n):r=-1),n.eat("}")||n.err("Unclosed braced range"),{type:"range",min:t,max:r,expr:e}}function km(n,e){let t=n.nodeTypes,r=t[e];if(r)return[r];let i=[];for(let s in t){let o=t[s];o.isInGroup(e)&&i.push(o)}return i.length==0&&n.err("No node type or group '"+e+"' found"),i}function Cm(n){if(n.eat("(")){let e=sh(n);return n.eat(")")||n.err("Missing closing paren"),e}else if(/\W/.test(n.next))n.err("Unexpected token '"+n.next+"'");else{let e=km(n,n.next).map(t=>(n.inline==null?n.inline=t.isInline:n.inline!=t.isInline&&n.err("Mixing inline and block content"),{type:"name",value:t}));return n.pos++,e.length==1?e[0]:{type:"choice",exprs:e}}}function Mm(n){let e=[[]];return i(s(n,0),t()),e;function t(){return e.push([])-1}function r(o,l,c){let a={term:c,to:l};return e[o].push(a),a}function i(o,l){o.forEach(c=>c.to=l)}function s(o,l){if(o.type=="choice")return o.exprs.reduce((c,a)=>c.concat(s(a,l)),[]);if(o.type=="seq")for(let c=0;;c++){let a=s(o.exprs[c],l);if(c==o.exprs.length-1)return a;i(a,l=t())}else if(o.type=="star"){let c=t();return r(l,c),i(s(o.expr,c),c),[r(c)]}else if(o.type=="plus"){let c=t();return i(s(o.expr,l),c),i(s(o.expr,c),c),[r(c)]}else{if(o.type=="opt")return[r(l)].concat(s(o.expr,l));if(o.type=="range"){let c=l;for(let a=0;a<o.min;a++){let h=t();i(s(o.expr,c),h),c=h}if(o.max==-1)i(s(o.expr,c),c);else for(let a=o.min;a<o.max;a++){let h=t();r(c,h),i(s(o.expr,c),h),c=h}return[r(c)]}else{if(o.type=="name")return[r(l,void 0,o.value)];throw new Error("Unknown expr type")}}}}function oh(n,e){return e-n}function Ha(n,e){let t=[];return r(e),t.sort(oh);function r(i){let s=n[i];if(s.length==1&&!s[0].term)return r(s[0].to);t.push(i);for(let o=0;o<s.length;o++){let{term:l,to:c}=s[o];!l&&t.indexOf(c)==-1&&r(c)}}}function Am(n){let e=Object.create(null);return t(Ha(n,0));function t(r){let i=[];r.forEach(o=>{n[o].forEach(({term:l,to:c})=>{if(!l)return;let a;for(let h=0;h<i.length;h++)i[h][0]==l&&(a=i[h][1]);Ha(n,c).forEach(h=>{a||i.push([l,a=[]]),a.indexOf(h)==-1&&a.push(h)})})});let s=e[r.join(",")]=new cn(r.indexOf(n.length-1)>-1);for(let o=0;o<i.length;o++){let l=i[o][1].sort(oh);s.next.push({type:i[o][0],next:e[l.join(",")]||t(l)})}return s}}function Tm(n,e){for(let t=0,r=[n];t<r.length;t++){let i=r[t],s=!i.validEnd,o=[];for(let l=0;l<i.next.length;l++){let{type:c,next:a}=i.next[l];o.push(c.name),s&&!(c.isText||c.hasRequiredAttrs())&&(s=!1),r.indexOf(a)==-1&&r.push(a)}s&&e.err("Only non-generatable nodes ("+o.join(", ")+") in a required position (see https://prosemirror.net/docs/guide/#generatable)")}}function lh(n){let e=Object.create(null);for(let t in n){let r=n[t];if(!r.hasDefault)return null;e[t]=r.default}return e}function ch(n,e){let t=Object.create(null);for(let r in n){let i=e&&e[r];if(i===void 0){let s=n[r];if(s.hasDefault)i=s.default;else throw new RangeError("No value supplied for attribute "+r)}t[r]=i}return t}function ah(n,e,t,r){for(let i in e)if(!(i in n))throw new RangeError(`Unsupported attribute ${i} for ${t} of type ${i}`);for(let i in n){let s=n[i];s.validate&&s.validate(e[i])}}function hh(n,e){let t=Object.create(null);if(e)for(let r in e)t[r]=new ol(n,r,e[r]);return t}var us=class n{constructor(e,t,r){this.name=e,this.schema=t,this.spec=r,this.markSet=null,this.groups=r.group?r.group.split(" "):[],this.attrs=hh(e,r.attrs),this.defaultAttrs=lh(this.attrs),this.contentMatch=null,this.inlineContent=null,this.isBlock=!(r.inline||e=="text"),this.isText=e=="text"}get isInline(){return!this.isBlock}get isTextblock(){return this.isBlock&&this.inlineContent}get isLeaf(){return this.contentMatch==cn.empty}get isAtom(){return this.isLeaf||!!this.spec.atom}isInGroup(e){return this.groups.indexOf(e)>-1}get whitespace(){return this.spec.whitespace||(this.spec.code?"pre":"normal")}hasRequiredAttrs(){for(let e in this.attrs)if(this.attrs[e].isRequired)return!0;return!1}compatibleContent(e){return this==e||this.contentMatch.compatible(e.contentMatch)}computeAttrs(e){return!e&&this.defaultAttrs?this.defaultAttrs:ch(this.attrs,e)}create(e=null,t,r){if(this.isText)throw new Error("NodeType.create can't construct text nodes");return new Be(this,this.computeAttrs(e),w.from(t),D.setFrom(r))}createChecked(e=null,t,r){return t=w.from(t),this.checkContent(t),new Be(this,this.computeAttrs(e),t,D.setFrom(r))}createAndFill(e=null,t,r){if(e=this.computeAttrs(e),t=w.from(t),t.size){let o=this.contentMatch.fillBefore(t);if(!o)return null;t=o.append(t)}let i=this.contentMatch.matchFragment(t),s=i&&i.fillBefore(w.empty,!0);return s?new Be(this,e,t.append(s),D.setFrom(r)):null}validContent(e){let t=this.contentMatch.matchFragment(e);if(!t||!t.validEnd)return!1;for(let r=0;r<e.childCount;r++)if(!this.allowsMarks(e.child(r).marks))return!1;return!0}checkContent(e){if(!this.validContent(e))throw new RangeError(`Invalid content for node ${this.name}: ${e.toString().slice(0,50)}`)}checkAttrs(e){ah(this.attrs,e,"node",this.name)}allowsMarkType(e){return this.markSet==null||this.markSet.indexOf(e)>-1}allowsMarks(e){if(this.markSet==null)return!0;for(let t=0;t<e.length;t++)if(!this.allowsMarkType(e[t].type))return!1;return!0}allowedMarks(e){if(this.markSet==null)return e;let t;for(let r=0;r<e.length;r++)this.allowsMarkType(e[r].type)?t&&t.push(e[r]):t||(t=e.slice(0,r));return t?t.length?t:D.none:e}static compile(e,t){let r=Object.create(null);e.forEach((s,o)=>r[s]=new n(s,t,o));let i=t.spec.topNode||"doc";if(!r[i])throw new RangeError("Schema is missing its top node type ('"+i+"')");if(!r.text)throw new RangeError("Every schema needs a 'text' type");for(let s in r.text.attrs)throw new RangeError("The text node type should not have attributes");return r}};function Em(n,e,t){let r=t.split("|");return i=>{let s=i===null?"null":typeof i;if(r.indexOf(s)<0)throw new RangeError(`Expected value of type ${r} for attribute ${e} on type ${n}, got ${s}`)}}var ol=class{constructor(e,t,r){this.hasDefault=Object.prototype.hasOwnProperty.call(r,"default"),this.default=r.default,this.validate=typeof r.validate=="string"?Em(e,t,r.validate):r.validate}get isRequired(){return!this.hasDefault}},qr=class n{constructor(e,t,r,i){this.name=e,this.rank=t,this.schema=r,this.spec=i,this.attrs=hh(e,i.attrs),this.excluded=null;let s=lh(this.attrs);this.instance=s?new D(this,s):null}create(e=null){return!e&&this.instance?this.instance:new D(this,ch(this.attrs,e))}static compile(e,t){let r=Object.create(null),i=0;return e.forEach((s,o)=>r[s]=new n(s,i++,t,o)),r}removeFromSet(e){for(var t=0;t<e.length;t++)e[t].type==this&&(e=e.slice(0,t).concat(e.slice(t+1)),t--);return e}isInSet(e){for(let t=0;t<e.length;t++)if(e[t].type==this)return e[t]}checkAttrs(e){ah(this.attrs,e,"mark",this.name)}excludes(e){return this.excluded.indexOf(e)>-1}},Hr=class{constructor(e){this.linebreakReplacement=null,this.cached=Object.create(null);let t=this.spec={};for(let i in e)t[i]=e[i];t.nodes=Zo.from(e.nodes),t.marks=Zo.from(e.marks||{}),this.nodes=us.compile(this.spec.nodes,this),this.marks=qr.compile(this.spec.marks,this);let r=Object.create(null);for(let i in this.nodes){if(i in this.marks)throw new RangeError(i+" can not be both a node and a mark");let s=this.nodes[i],o=s.spec.content||"",l=s.spec.marks;if(s.contentMatch=r[o]||(r[o]=cn.parse(o,this.nodes)),s.inlineContent=s.contentMatch.inlineContent,s.spec.linebreakReplacement){if(this.linebreakReplacement)throw new RangeError("Multiple linebreak nodes defined");if(!s.isInline||!s.isLeaf)throw new RangeError("Linebreak replacement nodes must be inline leaf nodes");this.linebreakReplacement=s}s.markSet=l=="_"?null:l?Ja(this,l.split(" ")):l==""||!s.inlineContent?[]:null}for(let i in this.marks){let s=this.marks[i],o=s.spec.excludes;s.excluded=o==null?[s]:o==""?[]:Ja(this,o.split(" "))}this.nodeFromJSON=this.nodeFromJSON.bind(this),this.markFromJSON=this.markFromJSON.bind(this),this.topNodeType=this.nodes[this.spec.topNode||"doc"],this.cached.wrappings=Object.create(null)}node(e,t=null,r,i){if(typeof e=="string")e=this.nodeType(e);else if(e instanceof us){if(e.schema!=this)throw new RangeError("Node type from different schema used ("+e.name+")")}else throw new RangeError("Invalid node type: "+e);return e.createChecked(t,r,i)}text(e,t){let r=this.nodes.text;return new il(r,r.defaultAttrs,e,D.setFrom(t))}mark(e,t){return typeof e=="string"&&(e=this.marks[e]),e.create(t)}nodeFromJSON(e){return Be.fromJSON(this,e)}markFromJSON(e){return D.fromJSON(this,e)}nodeType(e){let t=this.nodes[e];if(!t)throw new RangeError("Unknown node type: "+e);return t}};function Ja(n,e){let t=[];for(let r=0;r<e.length;r++){let i=e[r],s=n.marks[i],o=s;if(s)t.push(s);else for(let l in n.marks){let c=n.marks[l];(i=="_"||c.spec.group&&c.spec.group.split(" ").indexOf(i)>-1)&&t.push(o=c)}if(!o)throw new SyntaxError("Unknown mark type: '"+e[r]+"'")}return t}function Dm(n){return n.tag!=null}function Om(n){return n.style!=null}var Wn=class n{constructor(e,t){this.schema=e,this.rules=t,this.tags=[],this.styles=[];let r=this.matchedStyles=[];t.forEach(i=>{if(Dm(i))this.tags.push(i);else if(Om(i)){let s=/[^=]*/.exec(i.style)[0];r.indexOf(s)<0&&r.push(s),this.styles.push(i)}}),this.normalizeLists=!this.tags.some(i=>{if(!/^(ul|ol)\b/.test(i.tag)||!i.node)return!1;let s=e.nodes[i.node];return s.contentMatch.matchType(s)})}parse(e,t={}){let r=new gs(this,t,!1);return r.addAll(e,D.none,t.from,t.to),r.finish()}parseSlice(e,t={}){let r=new gs(this,t,!0);return r.addAll(e,D.none,t.from,t.to),b.maxOpen(r.finish())}matchTag(e,t,r){for(let i=r?this.tags.indexOf(r)+1:0;i<this.tags.length;i++){let s=this.tags[i];if(Rm(e,s.tag)&&(s.namespace===void 0||e.namespaceURI==s.namespace)&&(!s.context||t.matchesContext(s.context))){if(s.getAttrs){let o=s.getAttrs(e);if(o===!1)continue;s.attrs=o||void 0}return s}}}matchStyle(e,t,r,i){for(let s=i?this.styles.indexOf(i)+1:0;s<this.styles.length;s++){let o=this.styles[s],l=o.style;if(!(l.indexOf(e)!=0||o.context&&!r.matchesContext(o.context)||l.length>e.length&&(l.charCodeAt(e.length)!=61||l.slice(e.length+1)!=t))){if(o.getAttrs){let c=o.getAttrs(t);if(c===!1)continue;o.attrs=c||void 0}return o}}}static schemaRules(e){let t=[];function r(i){let s=i.priority==null?50:i.priority,o=0;for(;o<t.length;o++){let l=t[o];if((l.priority==null?50:l.priority)<s)break}t.splice(o,0,i)}for(let i in e.marks){let s=e.marks[i].spec.parseDOM;s&&s.forEach(o=>{r(o=Wa(o)),o.mark||o.ignore||o.clearMark||(o.mark=i)})}for(let i in e.nodes){let s=e.nodes[i].spec.parseDOM;s&&s.forEach(o=>{r(o=Wa(o)),o.node||o.ignore||o.mark||(o.node=i)})}return t}static fromSchema(e){return e.cached.domParser||(e.cached.domParser=new n(e,n.schemaRules(e)))}},fh={address:!0,article:!0,aside:!0,blockquote:!0,canvas:!0,dd:!0,div:!0,dl:!0,fieldset:!0,figcaption:!0,figure:!0,footer:!0,form:!0,h1:!0,h2:!0,h3:!0,h4:!0,h5:!0,h6:!0,header:!0,hgroup:!0,hr:!0,li:!0,noscript:!0,ol:!0,output:!0,p:!0,pre:!0,section:!0,table:!0,tfoot:!0,ul:!0},Nm={head:!0,noscript:!0,object:!0,script:!0,style:!0,title:!0},dh={ol:!0,ul:!0},ps=1,ms=2,$r=4;function ja(n,e,t){return e!=null?(e?ps:0)|(e==="full"?ms:0):n&&n.whitespace=="pre"?ps|ms:t&~$r}var jn=class{constructor(e,t,r,i,s,o){this.type=e,this.attrs=t,this.marks=r,this.solid=i,this.options=o,this.content=[],this.activeMarks=D.none,this.match=s||(o&$r?null:e.contentMatch)}findWrapping(e){if(!this.match){if(!this.type)return[];let t=this.type.contentMatch.fillBefore(w.from(e));if(t)this.match=this.type.contentMatch.matchFragment(t);else{let r=this.type.contentMatch,i;return(i=r.findWrapping(e.type))?(this.match=r,i):null}}return this.match.findWrapping(e.type)}finish(e){if(!(this.options&ps)){let r=this.content[this.content.length-1],i;if(r&&r.isText&&(i=/[ \t\r\n\u000c]+$/.exec(r.text))){let s=r;r.text.length==i[0].length?this.content.pop():this.content[this.content.length-1]=s.withText(s.text.slice(0,s.text.length-i[0].length))}}let t=w.from(this.content);return!e&&this.match&&(t=t.append(this.match.fillBefore(w.empty,!0))),this.type?this.type.create(this.attrs,t,this.marks):t}inlineContext(e){return this.type?this.type.inlineContent:this.content.length?this.content[0].isInline:e.parentNode&&!fh.hasOwnProperty(e.parentNode.nodeName.toLowerCase())}},gs=class{constructor(e,t,r){this.parser=e,this.options=t,this.isOpen=r,this.open=0;let i=t.topNode,s,o=ja(null,t.preserveWhitespace,0)|(r?$r:0);i?s=new jn(i.type,i.attrs,D.none,!0,t.topMatch||i.type.contentMatch,o):r?s=new jn(null,null,D.none,!0,null,o):s=new jn(e.schema.topNodeType,null,D.none,!0,null,o),this.nodes=[s],this.find=t.findPositions,this.needsBlock=!1}get top(){return this.nodes[this.open]}addDOM(e,t){e.nodeType==3?this.addTextNode(e,t):e.nodeType==1&&this.addElement(e,t)}addTextNode(e,t){let r=e.nodeValue,i=this.top;if(i.options&ms||i.inlineContext(e)||/[^ \t\r\n\u000c]/.test(r)){if(i.options&ps)i.options&ms?r=r.replace(/\r\n?/g,`
 `):r=r.replace(/\r?\n|\r/g," ");else if(r=r.replace(/[ \t\r\n\u000c]+/g," "),/^[ \t\r\n\u000c]/.test(r)&&this.open==this.nodes.length-1){let s=i.content[i.content.length-1],o=e.previousSibling;(!s||o&&o.nodeName=="BR"||s.isText&&/[ \t\r\n\u000c]$/.test(s.text))&&(r=r.slice(1))}r&&this.insertNode(this.parser.schema.text(r),t),this.findInText(e)}else this.findInside(e)}addElement(e,t,r){let i=e.nodeName.toLowerCase(),s;dh.hasOwnProperty(i)&&this.parser.normalizeLists&&Im(e);let o=this.options.ruleFromNode&&this.options.ruleFromNode(e)||(s=this.parser.matchTag(e,this,r));if(o?o.ignore:Nm.hasOwnProperty(i))this.findInside(e),this.ignoreFallback(e,t);else if(!o||o.skip||o.closeParent){o&&o.closeParent?this.open=Math.max(0,this.open-1):o&&o.skip.nodeType&&(e=o.skip);let l,c=this.top,a=this.needsBlock;if(fh.hasOwnProperty(i))c.content.length&&c.content[0].isInline&&this.open&&(this.open--,c=this.top),l=!0,c.type||(this.needsBlock=!0);else if(!e.firstChild){this.leafFallback(e,t);return}let h=o&&o.skip?t:this.readStyles(e,t);h&&this.addAll(e,h),l&&this.sync(c),this.needsBlock=a}else{let l=this.readStyles(e,t);l&&this.addElementByRule(e,o,l,o.consuming===!1?s:void 0)}}leafFallback(e,t){e.nodeName=="BR"&&this.top.type&&this.top.type.inlineContent&&this.addTextNode(e.ownerDocument.createTextNode(`
-`),t)}ignoreFallback(e,t){e.nodeName=="BR"&&(!this.top.type||!this.top.type.inlineContent)&&this.findPlace(this.parser.schema.text("-"),t)}readStyles(e,t){let r=e.style;if(r&&r.length)for(let i=0;i<this.parser.matchedStyles.length;i++){let s=this.parser.matchedStyles[i],o=r.getPropertyValue(s);if(o)for(let l=void 0;;){let c=this.parser.matchStyle(s,o,this,l);if(!c)break;if(c.ignore)return null;if(c.clearMark?t=t.filter(a=>!c.clearMark(a)):t=t.concat(this.parser.schema.marks[c.mark].create(c.attrs)),c.consuming===!1)l=c;else break}}return t}addElementByRule(e,t,r,i){let s,o;if(t.node)if(o=this.parser.schema.nodes[t.node],o.isLeaf)this.insertNode(o.create(t.attrs),r)||this.leafFallback(e,r);else{let c=this.enter(o,t.attrs||null,r,t.preserveWhitespace);c&&(s=!0,r=c)}else{let c=this.parser.schema.marks[t.mark];r=r.concat(c.create(t.attrs))}let l=this.top;if(o&&o.isLeaf)this.findInside(e);else if(i)this.addElement(e,r,i);else if(t.getContent)this.findInside(e),t.getContent(e,this.parser.schema).forEach(c=>this.insertNode(c,r));else{let c=e;typeof t.contentElement=="string"?c=e.querySelector(t.contentElement):typeof t.contentElement=="function"?c=t.contentElement(e):t.contentElement&&(c=t.contentElement),this.findAround(e,c,!0),this.addAll(c,r),this.findAround(e,c,!1)}s&&this.sync(l)&&this.open--}addAll(e,t,r,i){let s=r||0;for(let o=r?e.childNodes[r]:e.firstChild,l=i==null?null:e.childNodes[i];o!=l;o=o.nextSibling,++s)this.findAtPoint(e,s),this.addDOM(o,t);this.findAtPoint(e,s)}findPlace(e,t){let r,i;for(let s=this.open;s>=0;s--){let o=this.nodes[s],l=o.findWrapping(e);if(l&&(!r||r.length>l.length)&&(r=l,i=o,!l.length)||o.solid)break}if(!r)return null;this.sync(i);for(let s=0;s<r.length;s++)t=this.enterInner(r[s],null,t,!1);return t}insertNode(e,t){if(e.isInline&&this.needsBlock&&!this.top.type){let i=this.textblockFromContext();i&&(t=this.enterInner(i,null,t))}let r=this.findPlace(e,t);if(r){this.closeExtra();let i=this.top;i.match&&(i.match=i.match.matchType(e.type));let s=D.none;for(let o of r.concat(e.marks))(i.type?i.type.allowsMarkType(o.type):Ka(o.type,e.type))&&(s=o.addToSet(s));return i.content.push(e.mark(s)),!0}return!1}enter(e,t,r,i){let s=this.findPlace(e.create(t),r);return s&&(s=this.enterInner(e,t,r,!0,i)),s}enterInner(e,t,r,i=!1,s){this.closeExtra();let o=this.top;o.match=o.match&&o.match.matchType(e);let l=ja(e,s,o.options);o.options&$r&&o.content.length==0&&(l|=$r);let c=D.none;return r=r.filter(a=>(o.type?o.type.allowsMarkType(a.type):Ka(a.type,e))?(c=a.addToSet(c),!1):!0),this.nodes.push(new jn(e,t,c,i,null,l)),this.open++,r}closeExtra(e=!1){let t=this.nodes.length-1;if(t>this.open){for(;t>this.open;t--)this.nodes[t-1].content.push(this.nodes[t].finish(e));this.nodes.length=this.open+1}}finish(){return this.open=0,this.closeExtra(this.isOpen),this.nodes[0].finish(this.isOpen||this.options.topOpen)}sync(e){for(let t=this.open;t>=0;t--)if(this.nodes[t]==e)return this.open=t,!0;return!1}get currentPos(){this.closeExtra();let e=0;for(let t=this.open;t>=0;t--){let r=this.nodes[t].content;for(let i=r.length-1;i>=0;i--)e+=r[i].nodeSize;t&&e++}return e}findAtPoint(e,t){if(this.find)for(let r=0;r<this.find.length;r++)this.find[r].node==e&&this.find[r].offset==t&&(this.find[r].pos=this.currentPos)}findInside(e){if(this.find)for(let t=0;t<this.find.length;t++)this.find[t].pos==null&&e.nodeType==1&&e.contains(this.find[t].node)&&(this.find[t].pos=this.currentPos)}findAround(e,t,r){if(e!=t&&this.find)for(let i=0;i<this.find.length;i++)this.find[i].pos==null&&e.nodeType==1&&e.contains(this.find[i].node)&&t.compareDocumentPosition(this.find[i].node)&(r?2:4)&&(this.find[i].pos=this.currentPos)}findInText(e){if(this.find)for(let t=0;t<this.find.length;t++)this.find[t].node==e&&(this.find[t].pos=this.currentPos-(e.nodeValue.length-this.find[t].offset))}matchesContext(e){if(e.indexOf("|")>-1)return e.split(/\s*\|\s*/).some(this.matchesContext,this);let t=e.split("/"),r=this.options.context,i=!this.isOpen&&(!r||r.parent.type==this.nodes[0].type),s=-(r?r.depth+1:0)+(i?0:1),o=(l,c)=>{for(;l>=0;l--){let a=t[l];if(a==""){if(l==t.length-1||l==0)continue;for(;c>=s;c--)if(o(l-1,c))return!0;return!1}else{let h=c>0||c==0&&i?this.nodes[c].type:r&&c>=s?r.node(c-s).type:null;if(!h||h.name!=a&&!h.isInGroup(a))return!1;c--}}return!0};return o(t.length-1,this.open)}textblockFromContext(){let e=this.options.context;if(e)for(let t=e.depth;t>=0;t--){let r=e.node(t).contentMatchAt(e.indexAfter(t)).defaultType;if(r&&r.isTextblock&&r.defaultAttrs)return r}for(let t in this.parser.schema.nodes){let r=this.parser.schema.nodes[t];if(r.isTextblock&&r.defaultAttrs)return r}}};function Im(n){for(let e=n.firstChild,t=null;e;e=e.nextSibling){let r=e.nodeType==1?e.nodeName.toLowerCase():null;r&&dh.hasOwnProperty(r)&&t?(t.appendChild(e),e=t):r=="li"?t=e:r&&(t=null)}}function Rm(n,e){return(n.matches||n.msMatchesSelector||n.webkitMatchesSelector||n.mozMatchesSelector).call(n,e)}function Wa(n){let e={};for(let t in n)e[t]=n[t];return e}function Ka(n,e){let t=e.schema.nodes;for(let r in t){let i=t[r];if(!i.allowsMarkType(n))continue;let s=[],o=l=>{s.push(l);for(let c=0;c<l.edgeCount;c++){let{type:a,next:h}=l.edge(c);if(a==e||s.indexOf(h)<0&&o(h))return!0}};if(o(i.contentMatch))return!0}}var Vt=class n{constructor(e,t){this.nodes=e,this.marks=t}serializeFragment(e,t={},r){r||(r=tl(t).createDocumentFragment());let i=r,s=[];return e.forEach(o=>{if(s.length||o.marks.length){let l=0,c=0;for(;l<s.length&&c<o.marks.length;){let a=o.marks[c];if(!this.marks[a.type.name]){c++;continue}if(!a.eq(s[l][0])||a.type.spec.spanning===!1)break;l++,c++}for(;l<s.length;)i=s.pop()[1];for(;c<o.marks.length;){let a=o.marks[c++],h=this.serializeMark(a,o.isInline,t);h&&(s.push([a,i]),i.appendChild(h.dom),i=h.contentDOM||h.dom)}}i.appendChild(this.serializeNodeInner(o,t))}),r}serializeNodeInner(e,t){let{dom:r,contentDOM:i}=as(tl(t),this.nodes[e.type.name](e),null,e.attrs);if(i){if(e.isLeaf)throw new RangeError("Content hole not allowed in a leaf node spec");this.serializeFragment(e.content,t,i)}return r}serializeNode(e,t={}){let r=this.serializeNodeInner(e,t);for(let i=e.marks.length-1;i>=0;i--){let s=this.serializeMark(e.marks[i],e.isInline,t);s&&((s.contentDOM||s.dom).appendChild(r),r=s.dom)}return r}serializeMark(e,t,r={}){let i=this.marks[e.type.name];return i&&as(tl(r),i(e,t),null,e.attrs)}static renderSpec(e,t,r=null,i){return as(e,t,r,i)}static fromSchema(e){return e.cached.domSerializer||(e.cached.domSerializer=new n(this.nodesFromSchema(e),this.marksFromSchema(e)))}static nodesFromSchema(e){let t=Ya(e.nodes);return t.text||(t.text=r=>r.text),t}static marksFromSchema(e){return Ya(e.marks)}};function Ya(n){let e={};for(let t in n){let r=n[t].spec.toDOM;r&&(e[t]=r)}return e}function tl(n){return n.document||window.document}var Ga=new WeakMap;function vm(n){let e=Ga.get(n);return e===void 0&&Ga.set(n,e=_m(n)),e}function _m(n){let e=null;function t(r){if(r&&typeof r=="object")if(Array.isArray(r))if(typeof r[0]=="string")e||(e=[]),e.push(r);else for(let i=0;i<r.length;i++)t(r[i]);else for(let i in r)t(r[i])}return t(n),e}function as(n,e,t,r){if(typeof e=="string")return{dom:n.createTextNode(e)};if(e.nodeType!=null)return{dom:e};if(e.dom&&e.dom.nodeType!=null)return e;let i=e[0],s;if(typeof i!="string")throw new RangeError("Invalid array passed to renderSpec");if(r&&(s=vm(r))&&s.indexOf(e)>-1)throw new RangeError("Using an array from an attribute object as a DOM spec. This may be an attempted cross site scripting attack.");let o=i.indexOf(" ");o>0&&(t=i.slice(0,o),i=i.slice(o+1));let l,c=t?n.createElementNS(t,i):n.createElement(i),a=e[1],h=1;if(a&&typeof a=="object"&&a.nodeType==null&&!Array.isArray(a)){h=2;for(let f in a)if(a[f]!=null){let d=f.indexOf(" ");d>0?c.setAttributeNS(f.slice(0,d),f.slice(d+1),a[f]):c.setAttribute(f,a[f])}}for(let f=h;f<e.length;f++){let d=e[f];if(d===0){if(f<e.length-1||f>h)throw new RangeError("Content hole must be the only child of its parent node");return{dom:c,contentDOM:c}}else{let{dom:u,contentDOM:p}=as(n,d,t,r);if(c.appendChild(u),p){if(l)throw new RangeError("Multiple content holes");l=p}}}return{dom:c,contentDOM:l}}var mh=65535,gh=Math.pow(2,16);function Vm(n,e){return n+e*gh}function uh(n){return n&mh}function Bm(n){return(n-(n&mh))/gh}var yh=1,wh=2,ys=4,bh=8,Wr=class{constructor(e,t,r){this.pos=e,this.delInfo=t,this.recover=r}get deleted(){return(this.delInfo&bh)>0}get deletedBefore(){return(this.delInfo&(yh|ys))>0}get deletedAfter(){return(this.delInfo&(wh|ys))>0}get deletedAcross(){return(this.delInfo&ys)>0}},yt=class n{constructor(e,t=!1){if(this.ranges=e,this.inverted=t,!e.length&&n.empty)return n.empty}recover(e){let t=0,r=uh(e);if(!this.inverted)for(let i=0;i<r;i++)t+=this.ranges[i*3+2]-this.ranges[i*3+1];return this.ranges[r*3]+t+Bm(e)}mapResult(e,t=1){return this._map(e,t,!1)}map(e,t=1){return this._map(e,t,!0)}_map(e,t,r){let i=0,s=this.inverted?2:1,o=this.inverted?1:2;for(let l=0;l<this.ranges.length;l+=3){let c=this.ranges[l]-(this.inverted?i:0);if(c>e)break;let a=this.ranges[l+s],h=this.ranges[l+o],f=c+a;if(e<=f){let d=a?e==c?-1:e==f?1:t:t,u=c+i+(d<0?0:h);if(r)return u;let p=e==(t<0?c:f)?null:Vm(l/3,e-c),m=e==c?wh:e==f?yh:ys;return(t<0?e!=c:e!=f)&&(m|=bh),new Wr(u,m,p)}i+=h-a}return r?e+i:new Wr(e+i,0,null)}touches(e,t){let r=0,i=uh(t),s=this.inverted?2:1,o=this.inverted?1:2;for(let l=0;l<this.ranges.length;l+=3){let c=this.ranges[l]-(this.inverted?r:0);if(c>e)break;let a=this.ranges[l+s],h=c+a;if(e<=h&&l==i*3)return!0;r+=this.ranges[l+o]-a}return!1}forEach(e){let t=this.inverted?2:1,r=this.inverted?1:2;for(let i=0,s=0;i<this.ranges.length;i+=3){let o=this.ranges[i],l=o-(this.inverted?s:0),c=o+(this.inverted?0:s),a=this.ranges[i+t],h=this.ranges[i+r];e(l,l+a,c,c+h),s+=h-a}}invert(){return new n(this.ranges,!this.inverted)}toString(){return(this.inverted?"-":"")+JSON.stringify(this.ranges)}static offset(e){return e==0?n.empty:new n(e<0?[0,-e,0]:[0,0,e])}};yt.empty=new yt([]);var Kr=class n{constructor(e,t,r=0,i=e?e.length:0){this.mirror=t,this.from=r,this.to=i,this._maps=e||[],this.ownData=!(e||t)}get maps(){return this._maps}slice(e=0,t=this.maps.length){return new n(this._maps,this.mirror,e,t)}appendMap(e,t){this.ownData||(this._maps=this._maps.slice(),this.mirror=this.mirror&&this.mirror.slice(),this.ownData=!0),this.to=this._maps.push(e),t!=null&&this.setMirror(this._maps.length-1,t)}appendMapping(e){for(let t=0,r=this._maps.length;t<e._maps.length;t++){let i=e.getMirror(t);this.appendMap(e._maps[t],i!=null&&i<t?r+i:void 0)}}getMirror(e){if(this.mirror){for(let t=0;t<this.mirror.length;t++)if(this.mirror[t]==e)return this.mirror[t+(t%2?-1:1)]}}setMirror(e,t){this.mirror||(this.mirror=[]),this.mirror.push(e,t)}appendMappingInverted(e){for(let t=e.maps.length-1,r=this._maps.length+e._maps.length;t>=0;t--){let i=e.getMirror(t);this.appendMap(e._maps[t].invert(),i!=null&&i>t?r-i-1:void 0)}}invert(){let e=new n;return e.appendMappingInverted(this),e}map(e,t=1){if(this.mirror)return this._map(e,t,!0);for(let r=this.from;r<this.to;r++)e=this._maps[r].map(e,t);return e}mapResult(e,t=1){return this._map(e,t,!1)}_map(e,t,r){let i=0;for(let s=this.from;s<this.to;s++){let o=this._maps[s],l=o.mapResult(e,t);if(l.recover!=null){let c=this.getMirror(s);if(c!=null&&c>s&&c<this.to){s=c,e=this._maps[c].recover(l.recover);continue}}i|=l.delInfo,e=l.pos}return r?e:new Wr(e,i,null)}},ll=Object.create(null),Z=class{getMap(){return yt.empty}merge(e){return null}static fromJSON(e,t){if(!t||!t.stepType)throw new RangeError("Invalid input for Step.fromJSON");let r=ll[t.stepType];if(!r)throw new RangeError(`No step type ${t.stepType} defined`);return r.fromJSON(e,t)}static jsonID(e,t){if(e in ll)throw new RangeError("Duplicate use of step JSON ID "+e);return ll[e]=t,t.prototype.jsonID=e,t}},re=class n{constructor(e,t){this.doc=e,this.failed=t}static ok(e){return new n(e,null)}static fail(e){return new n(null,e)}static fromReplace(e,t,r,i){try{return n.ok(e.replace(t,r,i))}catch(s){if(s instanceof sn)return n.fail(s.message);throw s}}};function dl(n,e,t){let r=[];for(let i=0;i<n.childCount;i++){let s=n.child(i);s.content.size&&(s=s.copy(dl(s.content,e,s))),s.isInline&&(s=e(s,t,i)),r.push(s)}return w.fromArray(r)}var Yr=class n extends Z{constructor(e,t,r){super(),this.from=e,this.to=t,this.mark=r}apply(e){let t=e.slice(this.from,this.to),r=e.resolve(this.from),i=r.node(r.sharedDepth(this.to)),s=new b(dl(t.content,(o,l)=>!o.isAtom||!l.type.allowsMarkType(this.mark.type)?o:o.mark(this.mark.addToSet(o.marks)),i),t.openStart,t.openEnd);return re.fromReplace(e,this.from,this.to,s)}invert(){return new cn(this.from,this.to,this.mark)}map(e){let t=e.mapResult(this.from,1),r=e.mapResult(this.to,-1);return t.deleted&&r.deleted||t.pos>=r.pos?null:new n(t.pos,r.pos,this.mark)}merge(e){return e instanceof n&&e.mark.eq(this.mark)&&this.from<=e.to&&this.to>=e.from?new n(Math.min(this.from,e.from),Math.max(this.to,e.to),this.mark):null}toJSON(){return{stepType:"addMark",mark:this.mark.toJSON(),from:this.from,to:this.to}}static fromJSON(e,t){if(typeof t.from!="number"||typeof t.to!="number")throw new RangeError("Invalid input for AddMarkStep.fromJSON");return new n(t.from,t.to,e.markFromJSON(t.mark))}};Z.jsonID("addMark",Yr);var cn=class n extends Z{constructor(e,t,r){super(),this.from=e,this.to=t,this.mark=r}apply(e){let t=e.slice(this.from,this.to),r=new b(dl(t.content,i=>i.mark(this.mark.removeFromSet(i.marks)),e),t.openStart,t.openEnd);return re.fromReplace(e,this.from,this.to,r)}invert(){return new Yr(this.from,this.to,this.mark)}map(e){let t=e.mapResult(this.from,1),r=e.mapResult(this.to,-1);return t.deleted&&r.deleted||t.pos>=r.pos?null:new n(t.pos,r.pos,this.mark)}merge(e){return e instanceof n&&e.mark.eq(this.mark)&&this.from<=e.to&&this.to>=e.from?new n(Math.min(this.from,e.from),Math.max(this.to,e.to),this.mark):null}toJSON(){return{stepType:"removeMark",mark:this.mark.toJSON(),from:this.from,to:this.to}}static fromJSON(e,t){if(typeof t.from!="number"||typeof t.to!="number")throw new RangeError("Invalid input for RemoveMarkStep.fromJSON");return new n(t.from,t.to,e.markFromJSON(t.mark))}};Z.jsonID("removeMark",cn);var Gr=class n extends Z{constructor(e,t){super(),this.pos=e,this.mark=t}apply(e){let t=e.nodeAt(this.pos);if(!t)return re.fail("No node at mark step's position");let r=t.type.create(t.attrs,null,this.mark.addToSet(t.marks));return re.fromReplace(e,this.pos,this.pos+1,new b(w.from(r),0,t.isLeaf?0:1))}invert(e){let t=e.nodeAt(this.pos);if(t){let r=this.mark.addToSet(t.marks);if(r.length==t.marks.length){for(let i=0;i<t.marks.length;i++)if(!t.marks[i].isInSet(r))return new n(this.pos,t.marks[i]);return new n(this.pos,this.mark)}}return new Kn(this.pos,this.mark)}map(e){let t=e.mapResult(this.pos,1);return t.deletedAfter?null:new n(t.pos,this.mark)}toJSON(){return{stepType:"addNodeMark",pos:this.pos,mark:this.mark.toJSON()}}static fromJSON(e,t){if(typeof t.pos!="number")throw new RangeError("Invalid input for AddNodeMarkStep.fromJSON");return new n(t.pos,e.markFromJSON(t.mark))}};Z.jsonID("addNodeMark",Gr);var Kn=class n extends Z{constructor(e,t){super(),this.pos=e,this.mark=t}apply(e){let t=e.nodeAt(this.pos);if(!t)return re.fail("No node at mark step's position");let r=t.type.create(t.attrs,null,this.mark.removeFromSet(t.marks));return re.fromReplace(e,this.pos,this.pos+1,new b(w.from(r),0,t.isLeaf?0:1))}invert(e){let t=e.nodeAt(this.pos);return!t||!this.mark.isInSet(t.marks)?this:new Gr(this.pos,this.mark)}map(e){let t=e.mapResult(this.pos,1);return t.deletedAfter?null:new n(t.pos,this.mark)}toJSON(){return{stepType:"removeNodeMark",pos:this.pos,mark:this.mark.toJSON()}}static fromJSON(e,t){if(typeof t.pos!="number")throw new RangeError("Invalid input for RemoveNodeMarkStep.fromJSON");return new n(t.pos,e.markFromJSON(t.mark))}};Z.jsonID("removeNodeMark",Kn);var Ne=class n extends Z{constructor(e,t,r,i=!1){super(),this.from=e,this.to=t,this.slice=r,this.structure=i}apply(e){return this.structure&&hl(e,this.from,this.to)?re.fail("Structure replace would overwrite content"):re.fromReplace(e,this.from,this.to,this.slice)}getMap(){return new yt([this.from,this.to-this.from,this.slice.size])}invert(e){return new n(this.from,this.from+this.slice.size,e.slice(this.from,this.to))}map(e){let t=e.mapResult(this.from,1),r=e.mapResult(this.to,-1);return t.deletedAcross&&r.deletedAcross?null:new n(t.pos,Math.max(t.pos,r.pos),this.slice,this.structure)}merge(e){if(!(e instanceof n)||e.structure||this.structure)return null;if(this.from+this.slice.size==e.from&&!this.slice.openEnd&&!e.slice.openStart){let t=this.slice.size+e.slice.size==0?b.empty:new b(this.slice.content.append(e.slice.content),this.slice.openStart,e.slice.openEnd);return new n(this.from,this.to+(e.to-e.from),t,this.structure)}else if(e.to==this.from&&!this.slice.openStart&&!e.slice.openEnd){let t=this.slice.size+e.slice.size==0?b.empty:new b(e.slice.content.append(this.slice.content),e.slice.openStart,this.slice.openEnd);return new n(e.from,this.to,t,this.structure)}else return null}toJSON(){let e={stepType:"replace",from:this.from,to:this.to};return this.slice.size&&(e.slice=this.slice.toJSON()),this.structure&&(e.structure=!0),e}static fromJSON(e,t){if(typeof t.from!="number"||typeof t.to!="number")throw new RangeError("Invalid input for ReplaceStep.fromJSON");return new n(t.from,t.to,b.fromJSON(e,t.slice),!!t.structure)}};Z.jsonID("replace",Ne);var ee=class n extends Z{constructor(e,t,r,i,s,o,l=!1){super(),this.from=e,this.to=t,this.gapFrom=r,this.gapTo=i,this.slice=s,this.insert=o,this.structure=l}apply(e){if(this.structure&&(hl(e,this.from,this.gapFrom)||hl(e,this.gapTo,this.to)))return re.fail("Structure gap-replace would overwrite content");let t=e.slice(this.gapFrom,this.gapTo);if(t.openStart||t.openEnd)return re.fail("Gap is not a flat range");let r=this.slice.insertAt(this.insert,t.content);return r?re.fromReplace(e,this.from,this.to,r):re.fail("Content does not fit in gap")}getMap(){return new yt([this.from,this.gapFrom-this.from,this.insert,this.gapTo,this.to-this.gapTo,this.slice.size-this.insert])}invert(e){let t=this.gapTo-this.gapFrom;return new n(this.from,this.from+this.slice.size+t,this.from+this.insert,this.from+this.insert+t,e.slice(this.from,this.to).removeBetween(this.gapFrom-this.from,this.gapTo-this.from),this.gapFrom-this.from,this.structure)}map(e){let t=e.mapResult(this.from,1),r=e.mapResult(this.to,-1),i=this.from==this.gapFrom?t.pos:e.map(this.gapFrom,-1),s=this.to==this.gapTo?r.pos:e.map(this.gapTo,1);return t.deletedAcross&&r.deletedAcross||i<t.pos||s>r.pos?null:new n(t.pos,r.pos,i,s,this.slice,this.insert,this.structure)}toJSON(){let e={stepType:"replaceAround",from:this.from,to:this.to,gapFrom:this.gapFrom,gapTo:this.gapTo,insert:this.insert};return this.slice.size&&(e.slice=this.slice.toJSON()),this.structure&&(e.structure=!0),e}static fromJSON(e,t){if(typeof t.from!="number"||typeof t.to!="number"||typeof t.gapFrom!="number"||typeof t.gapTo!="number"||typeof t.insert!="number")throw new RangeError("Invalid input for ReplaceAroundStep.fromJSON");return new n(t.from,t.to,t.gapFrom,t.gapTo,b.fromJSON(e,t.slice),t.insert,!!t.structure)}};Z.jsonID("replaceAround",ee);function hl(n,e,t){let r=n.resolve(e),i=t-e,s=r.depth;for(;i>0&&s>0&&r.indexAfter(s)==r.node(s).childCount;)s--,i--;if(i>0){let o=r.node(s).maybeChild(r.indexAfter(s));for(;i>0;){if(!o||o.isLeaf)return!0;o=o.firstChild,i--}}return!1}function Pm(n,e,t,r){let i=[],s=[],o,l;n.doc.nodesBetween(e,t,(c,a,h)=>{if(!c.isInline)return;let f=c.marks;if(!r.isInSet(f)&&h.type.allowsMarkType(r.type)){let d=Math.max(a,e),u=Math.min(a+c.nodeSize,t),p=r.addToSet(f);for(let m=0;m<f.length;m++)f[m].isInSet(p)||(o&&o.to==d&&o.mark.eq(f[m])?o.to=u:i.push(o=new cn(d,u,f[m])));l&&l.to==d?l.to=u:s.push(l=new Yr(d,u,r))}}),i.forEach(c=>n.step(c)),s.forEach(c=>n.step(c))}function Lm(n,e,t,r){let i=[],s=0;n.doc.nodesBetween(e,t,(o,l)=>{if(!o.isInline)return;s++;let c=null;if(r instanceof qr){let a=o.marks,h;for(;h=r.isInSet(a);)(c||(c=[])).push(h),a=h.removeFromSet(a)}else r?r.isInSet(o.marks)&&(c=[r]):c=o.marks;if(c&&c.length){let a=Math.min(l+o.nodeSize,t);for(let h=0;h<c.length;h++){let f=c[h],d;for(let u=0;u<i.length;u++){let p=i[u];p.step==s-1&&f.eq(i[u].style)&&(d=p)}d?(d.to=a,d.step=s):i.push({style:f,from:Math.max(l,e),to:a,step:s})}}}),i.forEach(o=>n.step(new cn(o.from,o.to,o.style)))}function ul(n,e,t,r=t.contentMatch,i=!0){let s=n.doc.nodeAt(e),o=[],l=e+1;for(let c=0;c<s.childCount;c++){let a=s.child(c),h=l+a.nodeSize,f=r.matchType(a.type);if(!f)o.push(new Ne(l,h,b.empty));else{r=f;for(let d=0;d<a.marks.length;d++)t.allowsMarkType(a.marks[d].type)||n.step(new cn(l,h,a.marks[d]));if(i&&a.isText&&t.whitespace!="pre"){let d,u=/\r?\n|\r/g,p;for(;d=u.exec(a.text);)p||(p=new b(w.from(t.schema.text(" ",t.allowedMarks(a.marks))),0,0)),o.push(new Ne(l+d.index,l+d.index+d[0].length,p))}}l=h}if(!r.validEnd){let c=r.fillBefore(w.empty,!0);n.replace(l,l,new b(c,0,0))}for(let c=o.length-1;c>=0;c--)n.step(o[c])}function zm(n,e,t){return(e==0||n.canReplace(e,n.childCount))&&(t==n.childCount||n.canReplace(0,t))}function an(n){let t=n.parent.content.cutByIndex(n.startIndex,n.endIndex);for(let r=n.depth,i=0,s=0;;--r){let o=n.$from.node(r),l=n.$from.index(r)+i,c=n.$to.indexAfter(r)-s;if(r<n.depth&&o.canReplace(l,c,t))return r;if(r==0||o.type.spec.isolating||!zm(o,l,c))break;l&&(i=1),c<o.childCount&&(s=1)}return null}function Fm(n,e,t){let{$from:r,$to:i,depth:s}=e,o=r.before(s+1),l=i.after(s+1),c=o,a=l,h=w.empty,f=0;for(let p=s,m=!1;p>t;p--)m||r.index(p)>0?(m=!0,h=w.from(r.node(p).copy(h)),f++):c--;let d=w.empty,u=0;for(let p=s,m=!1;p>t;p--)m||i.after(p+1)<i.end(p)?(m=!0,d=w.from(i.node(p).copy(d)),u++):a++;n.step(new ee(c,a,o,l,new b(h.append(d),f,u),h.size-f,!0))}function Xn(n,e,t=null,r=n){let i=$m(n,e),s=i&&qm(r,e);return s?i.map(ph).concat({type:e,attrs:t}).concat(s.map(ph)):null}function ph(n){return{type:n,attrs:null}}function $m(n,e){let{parent:t,startIndex:r,endIndex:i}=n,s=t.contentMatchAt(r).findWrapping(e);if(!s)return null;let o=s.length?s[0]:e;return t.canReplaceWith(r,i,o)?s:null}function qm(n,e){let{parent:t,startIndex:r,endIndex:i}=n,s=t.child(r),o=e.contentMatch.findWrapping(s.type);if(!o)return null;let c=(o.length?o[o.length-1]:e).contentMatch;for(let a=r;c&&a<i;a++)c=c.matchType(t.child(a).type);return!c||!c.validEnd?null:o}function Hm(n,e,t){let r=w.empty;for(let o=t.length-1;o>=0;o--){if(r.size){let l=t[o].type.contentMatch.matchFragment(r);if(!l||!l.validEnd)throw new RangeError("Wrapper type given to Transform.wrap does not form valid content of its parent wrapper")}r=w.from(t[o].type.create(t[o].attrs,r))}let i=e.start,s=e.end;n.step(new ee(i,s,i,s,new b(r,0,0),t.length,!0))}function Jm(n,e,t,r,i){if(!r.isTextblock)throw new RangeError("Type given to setBlockType should be a textblock");let s=n.steps.length;n.doc.nodesBetween(e,t,(o,l)=>{let c=typeof i=="function"?i(o):i;if(o.isTextblock&&!o.hasMarkup(r,c)&&jm(n.doc,n.mapping.slice(s).map(l),r)){let a=null;if(r.schema.linebreakReplacement){let u=r.whitespace=="pre",p=!!r.contentMatch.matchType(r.schema.linebreakReplacement);u&&!p?a=!1:!u&&p&&(a=!0)}a===!1&&Sh(n,o,l,s),ul(n,n.mapping.slice(s).map(l,1),r,void 0,a===null);let h=n.mapping.slice(s),f=h.map(l,1),d=h.map(l+o.nodeSize,1);return n.step(new ee(f,d,f+1,d-1,new b(w.from(r.create(c,null,o.marks)),0,0),1,!0)),a===!0&&xh(n,o,l,s),!1}})}function xh(n,e,t,r){e.forEach((i,s)=>{if(i.isText){let o,l=/\r?\n|\r/g;for(;o=l.exec(i.text);){let c=n.mapping.slice(r).map(t+1+s+o.index);n.replaceWith(c,c+1,e.type.schema.linebreakReplacement.create())}}})}function Sh(n,e,t,r){e.forEach((i,s)=>{if(i.type==i.type.schema.linebreakReplacement){let o=n.mapping.slice(r).map(t+1+s);n.replaceWith(o,o+1,e.type.schema.text(`
-`))}})}function jm(n,e,t){let r=n.resolve(e),i=r.index();return r.parent.canReplaceWith(i,i+1,t)}function Wm(n,e,t,r,i){let s=n.doc.nodeAt(e);if(!s)throw new RangeError("No node at given position");t||(t=s.type);let o=t.create(r,null,i||s.marks);if(s.isLeaf)return n.replaceWith(e,e+s.nodeSize,o);if(!t.validContent(s.content))throw new RangeError("Invalid content for node type "+t.name);n.step(new ee(e,e+s.nodeSize,e+1,e+s.nodeSize-1,new b(w.from(o),0,0),1,!0))}function Bt(n,e,t=1,r){let i=n.resolve(e),s=i.depth-t,o=r&&r[r.length-1]||i.parent;if(s<0||i.parent.type.spec.isolating||!i.parent.canReplace(i.index(),i.parent.childCount)||!o.type.validContent(i.parent.content.cutByIndex(i.index(),i.parent.childCount)))return!1;for(let a=i.depth-1,h=t-2;a>s;a--,h--){let f=i.node(a),d=i.index(a);if(f.type.spec.isolating)return!1;let u=f.content.cutByIndex(d,f.childCount),p=r&&r[h+1];p&&(u=u.replaceChild(0,p.type.create(p.attrs)));let m=r&&r[h]||f;if(!f.canReplace(d+1,f.childCount)||!m.type.validContent(u))return!1}let l=i.indexAfter(s),c=r&&r[0];return i.node(s).canReplaceWith(l,l,c?c.type:i.node(s+1).type)}function Km(n,e,t=1,r){let i=n.doc.resolve(e),s=w.empty,o=w.empty;for(let l=i.depth,c=i.depth-t,a=t-1;l>c;l--,a--){s=w.from(i.node(l).copy(s));let h=r&&r[a];o=w.from(h?h.type.create(h.attrs,o):i.node(l).copy(o))}n.step(new Ne(e,e,new b(s.append(o),t,t),!0))}function wt(n,e){let t=n.resolve(e),r=t.index();return kh(t.nodeBefore,t.nodeAfter)&&t.parent.canReplace(r,r+1)}function Ym(n,e){e.content.size||n.type.compatibleContent(e.type);let t=n.contentMatchAt(n.childCount),{linebreakReplacement:r}=n.type.schema;for(let i=0;i<e.childCount;i++){let s=e.child(i),o=s.type==r?n.type.schema.nodes.text:s.type;if(t=t.matchType(o),!t||!n.type.allowsMarks(s.marks))return!1}return t.validEnd}function kh(n,e){return!!(n&&e&&!n.isLeaf&&Ym(n,e))}function pl(n,e,t=-1){let r=n.resolve(e);for(let i=r.depth;;i--){let s,o,l=r.index(i);if(i==r.depth?(s=r.nodeBefore,o=r.nodeAfter):t>0?(s=r.node(i+1),l++,o=r.node(i).maybeChild(l)):(s=r.node(i).maybeChild(l-1),o=r.node(i+1)),s&&!s.isTextblock&&kh(s,o)&&r.node(i).canReplace(l,l+1))return e;if(i==0)break;e=t<0?r.before(i):r.after(i)}}function Gm(n,e,t){let r=null,{linebreakReplacement:i}=n.doc.type.schema,s=n.doc.resolve(e-t),o=s.node().type;if(i&&o.inlineContent){let h=o.whitespace=="pre",f=!!o.contentMatch.matchType(i);h&&!f?r=!1:!h&&f&&(r=!0)}let l=n.steps.length;if(r===!1){let h=n.doc.resolve(e+t);Sh(n,h.node(),h.before(),l)}o.inlineContent&&ul(n,e+t-1,o,s.node().contentMatchAt(s.index()),r==null);let c=n.mapping.slice(l),a=c.map(e-t);if(n.step(new Ne(a,c.map(e+t,-1),b.empty,!0)),r===!0){let h=n.doc.resolve(a);xh(n,h.node(),h.before(),n.steps.length)}return n}function Xm(n,e,t){let r=n.resolve(e);if(r.parent.canReplaceWith(r.index(),r.index(),t))return e;if(r.parentOffset==0)for(let i=r.depth-1;i>=0;i--){let s=r.index(i);if(r.node(i).canReplaceWith(s,s,t))return r.before(i+1);if(s>0)return null}if(r.parentOffset==r.parent.content.size)for(let i=r.depth-1;i>=0;i--){let s=r.indexAfter(i);if(r.node(i).canReplaceWith(s,s,t))return r.after(i+1);if(s<r.node(i).childCount)return null}return null}function Ch(n,e,t){let r=n.resolve(e);if(!t.content.size)return e;let i=t.content;for(let s=0;s<t.openStart;s++)i=i.firstChild.content;for(let s=1;s<=(t.openStart==0&&t.size?2:1);s++)for(let o=r.depth;o>=0;o--){let l=o==r.depth?0:r.pos<=(r.start(o+1)+r.end(o+1))/2?-1:1,c=r.index(o)+(l>0?1:0),a=r.node(o),h=!1;if(s==1)h=a.canReplace(c,c,i);else{let f=a.contentMatchAt(c).findWrapping(i.firstChild.type);h=f&&a.canReplaceWith(c,c,f[0])}if(h)return l==0?r.pos:l<0?r.before(o+1):r.after(o+1)}return null}function xs(n,e,t=e,r=b.empty){if(e==t&&!r.size)return null;let i=n.resolve(e),s=n.resolve(t);return Mh(i,s,r)?new Ne(e,t,r):new fl(i,s,r).fit()}function Mh(n,e,t){return!t.openStart&&!t.openEnd&&n.start()==e.start()&&n.parent.canReplace(n.index(),e.index(),t.content)}var fl=class{constructor(e,t,r){this.$from=e,this.$to=t,this.unplaced=r,this.frontier=[],this.placed=w.empty;for(let i=0;i<=e.depth;i++){let s=e.node(i);this.frontier.push({type:s.type,match:s.contentMatchAt(e.indexAfter(i))})}for(let i=e.depth;i>0;i--)this.placed=w.from(e.node(i).copy(this.placed))}get depth(){return this.frontier.length-1}fit(){for(;this.unplaced.size;){let a=this.findFittable();a?this.placeNodes(a):this.openMore()||this.dropNode()}let e=this.mustMoveInline(),t=this.placed.size-this.depth-this.$from.depth,r=this.$from,i=this.close(e<0?this.$to:r.doc.resolve(e));if(!i)return null;let s=this.placed,o=r.depth,l=i.depth;for(;o&&l&&s.childCount==1;)s=s.firstChild.content,o--,l--;let c=new b(s,o,l);return e>-1?new ee(r.pos,e,this.$to.pos,this.$to.end(),c,t):c.size||r.pos!=this.$to.pos?new Ne(r.pos,i.pos,c):null}findFittable(){let e=this.unplaced.openStart;for(let t=this.unplaced.content,r=0,i=this.unplaced.openEnd;r<e;r++){let s=t.firstChild;if(t.childCount>1&&(i=0),s.type.spec.isolating&&i<=r){e=r;break}t=s.content}for(let t=1;t<=2;t++)for(let r=t==1?e:this.unplaced.openStart;r>=0;r--){let i,s=null;r?(s=cl(this.unplaced.content,r-1).firstChild,i=s.content):i=this.unplaced.content;let o=i.firstChild;for(let l=this.depth;l>=0;l--){let{type:c,match:a}=this.frontier[l],h,f=null;if(t==1&&(o?a.matchType(o.type)||(f=a.fillBefore(w.from(o),!1)):s&&c.compatibleContent(s.type)))return{sliceDepth:r,frontierDepth:l,parent:s,inject:f};if(t==2&&o&&(h=a.findWrapping(o.type)))return{sliceDepth:r,frontierDepth:l,parent:s,wrap:h};if(s&&a.matchType(s.type))break}}}openMore(){let{content:e,openStart:t,openEnd:r}=this.unplaced,i=cl(e,t);return!i.childCount||i.firstChild.isLeaf?!1:(this.unplaced=new b(e,t+1,Math.max(r,i.size+t>=e.size-r?t+1:0)),!0)}dropNode(){let{content:e,openStart:t,openEnd:r}=this.unplaced,i=cl(e,t);if(i.childCount<=1&&t>0){let s=e.size-t<=t+i.size;this.unplaced=new b(Jr(e,t-1,1),t-1,s?t-1:r)}else this.unplaced=new b(Jr(e,t,1),t,r)}placeNodes({sliceDepth:e,frontierDepth:t,parent:r,inject:i,wrap:s}){for(;this.depth>t;)this.closeFrontierNode();if(s)for(let m=0;m<s.length;m++)this.openFrontierNode(s[m]);let o=this.unplaced,l=r?r.content:o.content,c=o.openStart-e,a=0,h=[],{match:f,type:d}=this.frontier[t];if(i){for(let m=0;m<i.childCount;m++)h.push(i.child(m));f=f.matchFragment(i)}let u=l.size+e-(o.content.size-o.openEnd);for(;a<l.childCount;){let m=l.child(a),g=f.matchType(m.type);if(!g)break;a++,(a>1||c==0||m.content.size)&&(f=g,h.push(Ah(m.mark(d.allowedMarks(m.marks)),a==1?c:0,a==l.childCount?u:-1)))}let p=a==l.childCount;p||(u=-1),this.placed=jr(this.placed,t,w.from(h)),this.frontier[t].match=f,p&&u<0&&r&&r.type==this.frontier[this.depth].type&&this.frontier.length>1&&this.closeFrontierNode();for(let m=0,g=l;m<u;m++){let y=g.lastChild;this.frontier.push({type:y.type,match:y.contentMatchAt(y.childCount)}),g=y.content}this.unplaced=p?e==0?b.empty:new b(Jr(o.content,e-1,1),e-1,u<0?o.openEnd:e-1):new b(Jr(o.content,e,a),o.openStart,o.openEnd)}mustMoveInline(){if(!this.$to.parent.isTextblock)return-1;let e=this.frontier[this.depth],t;if(!e.type.isTextblock||!al(this.$to,this.$to.depth,e.type,e.match,!1)||this.$to.depth==this.depth&&(t=this.findCloseLevel(this.$to))&&t.depth==this.depth)return-1;let{depth:r}=this.$to,i=this.$to.after(r);for(;r>1&&i==this.$to.end(--r);)++i;return i}findCloseLevel(e){e:for(let t=Math.min(this.depth,e.depth);t>=0;t--){let{match:r,type:i}=this.frontier[t],s=t<e.depth&&e.end(t+1)==e.pos+(e.depth-(t+1)),o=al(e,t,i,r,s);if(o){for(let l=t-1;l>=0;l--){let{match:c,type:a}=this.frontier[l],h=al(e,l,a,c,!0);if(!h||h.childCount)continue e}return{depth:t,fit:o,move:s?e.doc.resolve(e.after(t+1)):e}}}}close(e){let t=this.findCloseLevel(e);if(!t)return null;for(;this.depth>t.depth;)this.closeFrontierNode();t.fit.childCount&&(this.placed=jr(this.placed,t.depth,t.fit)),e=t.move;for(let r=t.depth+1;r<=e.depth;r++){let i=e.node(r),s=i.type.contentMatch.fillBefore(i.content,!0,e.index(r));this.openFrontierNode(i.type,i.attrs,s)}return e}openFrontierNode(e,t=null,r){let i=this.frontier[this.depth];i.match=i.match.matchType(e),this.placed=jr(this.placed,this.depth,w.from(e.create(t,r))),this.frontier.push({type:e,match:e.contentMatch})}closeFrontierNode(){let t=this.frontier.pop().match.fillBefore(w.empty,!0);t.childCount&&(this.placed=jr(this.placed,this.frontier.length,t))}};function Jr(n,e,t){return e==0?n.cutByIndex(t,n.childCount):n.replaceChild(0,n.firstChild.copy(Jr(n.firstChild.content,e-1,t)))}function jr(n,e,t){return e==0?n.append(t):n.replaceChild(n.childCount-1,n.lastChild.copy(jr(n.lastChild.content,e-1,t)))}function cl(n,e){for(let t=0;t<e;t++)n=n.firstChild.content;return n}function Ah(n,e,t){if(e<=0)return n;let r=n.content;return e>1&&(r=r.replaceChild(0,Ah(r.firstChild,e-1,r.childCount==1?t-1:0))),e>0&&(r=n.type.contentMatch.fillBefore(r).append(r),t<=0&&(r=r.append(n.type.contentMatch.matchFragment(r).fillBefore(w.empty,!0)))),n.copy(r)}function al(n,e,t,r,i){let s=n.node(e),o=i?n.indexAfter(e):n.index(e);if(o==s.childCount&&!t.compatibleContent(s.type))return null;let l=r.fillBefore(s.content,!0,o);return l&&!Qm(t,s.content,o)?l:null}function Qm(n,e,t){for(let r=t;r<e.childCount;r++)if(!n.allowsMarks(e.child(r).marks))return!0;return!1}function Zm(n){return n.spec.defining||n.spec.definingForContent}function eg(n,e,t,r){if(!r.size)return n.deleteRange(e,t);let i=n.doc.resolve(e),s=n.doc.resolve(t);if(Mh(i,s,r))return n.step(new Ne(e,t,r));let o=Th(i,s);o[o.length-1]==0&&o.pop();let l=-(i.depth+1);o.unshift(l);for(let d=i.depth,u=i.pos-1;d>0;d--,u--){let p=i.node(d).type.spec;if(p.defining||p.definingAsContext||p.isolating)break;o.indexOf(d)>-1?l=d:i.before(d)==u&&o.splice(1,0,-d)}let c=o.indexOf(l),a=[],h=r.openStart;for(let d=r.content,u=0;;u++){let p=d.firstChild;if(a.push(p),u==r.openStart)break;d=p.content}for(let d=h-1;d>=0;d--){let u=a[d],p=Zm(u.type);if(p&&!u.sameMarkup(i.node(Math.abs(l)-1)))h=d;else if(p||!u.type.isTextblock)break}for(let d=r.openStart;d>=0;d--){let u=(d+h+1)%(r.openStart+1),p=a[u];if(p)for(let m=0;m<o.length;m++){let g=o[(m+c)%o.length],y=!0;g<0&&(y=!1,g=-g);let E=i.node(g-1),N=i.index(g-1);if(E.canReplaceWith(N,N,p.type,p.marks))return n.replace(i.before(g),y?s.after(g):t,new b(Eh(r.content,0,r.openStart,u),u,r.openEnd))}}let f=n.steps.length;for(let d=o.length-1;d>=0&&(n.replace(e,t,r),!(n.steps.length>f));d--){let u=o[d];u<0||(e=i.before(u),t=s.after(u))}}function Eh(n,e,t,r,i){if(e<t){let s=n.firstChild;n=n.replaceChild(0,s.copy(Eh(s.content,e+1,t,r,s)))}if(e>r){let s=i.contentMatchAt(0),o=s.fillBefore(n).append(n);n=o.append(s.matchFragment(o).fillBefore(w.empty,!0))}return n}function tg(n,e,t,r){if(!r.isInline&&e==t&&n.doc.resolve(e).parent.content.size){let i=Xm(n.doc,e,r.type);i!=null&&(e=t=i)}n.replaceRange(e,t,new b(w.from(r),0,0))}function ng(n,e,t){let r=n.doc.resolve(e),i=n.doc.resolve(t),s=Th(r,i);for(let o=0;o<s.length;o++){let l=s[o],c=o==s.length-1;if(c&&l==0||r.node(l).type.contentMatch.validEnd)return n.delete(r.start(l),i.end(l));if(l>0&&(c||r.node(l-1).canReplace(r.index(l-1),i.indexAfter(l-1))))return n.delete(r.before(l),i.after(l))}for(let o=1;o<=r.depth&&o<=i.depth;o++)if(e-r.start(o)==r.depth-o&&t>r.end(o)&&i.end(o)-t!=i.depth-o&&r.start(o-1)==i.start(o-1)&&r.node(o-1).canReplace(r.index(o-1),i.index(o-1)))return n.delete(r.before(o),t);n.delete(e,t)}function Th(n,e){let t=[],r=Math.min(n.depth,e.depth);for(let i=r;i>=0;i--){let s=n.start(i);if(s<n.pos-(n.depth-i)||e.end(i)>e.pos+(e.depth-i)||n.node(i).type.spec.isolating||e.node(i).type.spec.isolating)break;(s==e.start(i)||i==n.depth&&i==e.depth&&n.parent.inlineContent&&e.parent.inlineContent&&i&&e.start(i-1)==s-1)&&t.push(i)}return t}var ws=class n extends Z{constructor(e,t,r){super(),this.pos=e,this.attr=t,this.value=r}apply(e){let t=e.nodeAt(this.pos);if(!t)return re.fail("No node at attribute step's position");let r=Object.create(null);for(let s in t.attrs)r[s]=t.attrs[s];r[this.attr]=this.value;let i=t.type.create(r,null,t.marks);return re.fromReplace(e,this.pos,this.pos+1,new b(w.from(i),0,t.isLeaf?0:1))}getMap(){return yt.empty}invert(e){return new n(this.pos,this.attr,e.nodeAt(this.pos).attrs[this.attr])}map(e){let t=e.mapResult(this.pos,1);return t.deletedAfter?null:new n(t.pos,this.attr,this.value)}toJSON(){return{stepType:"attr",pos:this.pos,attr:this.attr,value:this.value}}static fromJSON(e,t){if(typeof t.pos!="number"||typeof t.attr!="string")throw new RangeError("Invalid input for AttrStep.fromJSON");return new n(t.pos,t.attr,t.value)}};Z.jsonID("attr",ws);var bs=class n extends Z{constructor(e,t){super(),this.attr=e,this.value=t}apply(e){let t=Object.create(null);for(let i in e.attrs)t[i]=e.attrs[i];t[this.attr]=this.value;let r=e.type.create(t,e.content,e.marks);return re.ok(r)}getMap(){return yt.empty}invert(e){return new n(this.attr,e.attrs[this.attr])}map(e){return this}toJSON(){return{stepType:"docAttr",attr:this.attr,value:this.value}}static fromJSON(e,t){if(typeof t.attr!="string")throw new RangeError("Invalid input for DocAttrStep.fromJSON");return new n(t.attr,t.value)}};Z.jsonID("docAttr",bs);var Yn=class extends Error{};Yn=function n(e){let t=Error.call(this,e);return t.__proto__=n.prototype,t};Yn.prototype=Object.create(Error.prototype);Yn.prototype.constructor=Yn;Yn.prototype.name="TransformError";var Gn=class{constructor(e){this.doc=e,this.steps=[],this.docs=[],this.mapping=new Kr}get before(){return this.docs.length?this.docs[0]:this.doc}step(e){let t=this.maybeStep(e);if(t.failed)throw new Yn(t.failed);return this}maybeStep(e){let t=e.apply(this.doc);return t.failed||this.addStep(e,t.doc),t}get docChanged(){return this.steps.length>0}addStep(e,t){this.docs.push(this.doc),this.steps.push(e),this.mapping.appendMap(e.getMap()),this.doc=t}replace(e,t=e,r=b.empty){let i=xs(this.doc,e,t,r);return i&&this.step(i),this}replaceWith(e,t,r){return this.replace(e,t,new b(w.from(r),0,0))}delete(e,t){return this.replace(e,t,b.empty)}insert(e,t){return this.replaceWith(e,e,t)}replaceRange(e,t,r){return eg(this,e,t,r),this}replaceRangeWith(e,t,r){return tg(this,e,t,r),this}deleteRange(e,t){return ng(this,e,t),this}lift(e,t){return Fm(this,e,t),this}join(e,t=1){return Gm(this,e,t),this}wrap(e,t){return Hm(this,e,t),this}setBlockType(e,t=e,r,i=null){return Jm(this,e,t,r,i),this}setNodeMarkup(e,t,r=null,i){return Wm(this,e,t,r,i),this}setNodeAttribute(e,t,r){return this.step(new ws(e,t,r)),this}setDocAttribute(e,t){return this.step(new bs(e,t)),this}addNodeMark(e,t){return this.step(new Gr(e,t)),this}removeNodeMark(e,t){let r=this.doc.nodeAt(e);if(!r)throw new RangeError("No node at position "+e);if(t instanceof D)t.isInSet(r.marks)&&this.step(new Kn(e,t));else{let i=r.marks,s,o=[];for(;s=t.isInSet(i);)o.push(new Kn(e,s)),i=s.removeFromSet(i);for(let l=o.length-1;l>=0;l--)this.step(o[l])}return this}split(e,t=1,r){return Km(this,e,t,r),this}addMark(e,t,r){return Pm(this,e,t,r),this}removeMark(e,t,r){return Lm(this,e,t,r),this}clearIncompatible(e,t,r){return ul(this,e,t,r),this}};var ml=Object.create(null),S=class{constructor(e,t,r){this.$anchor=e,this.$head=t,this.ranges=r||[new Pt(e.min(t),e.max(t))]}get anchor(){return this.$anchor.pos}get head(){return this.$head.pos}get from(){return this.$from.pos}get to(){return this.$to.pos}get $from(){return this.ranges[0].$from}get $to(){return this.ranges[0].$to}get empty(){let e=this.ranges;for(let t=0;t<e.length;t++)if(e[t].$from.pos!=e[t].$to.pos)return!1;return!0}content(){return this.$from.doc.slice(this.from,this.to,!0)}replace(e,t=b.empty){let r=t.content.lastChild,i=null;for(let l=0;l<t.openEnd;l++)i=r,r=r.lastChild;let s=e.steps.length,o=this.ranges;for(let l=0;l<o.length;l++){let{$from:c,$to:a}=o[l],h=e.mapping.slice(s);e.replaceRange(h.map(c.pos),h.map(a.pos),l?b.empty:t),l==0&&Nh(e,s,(r?r.isInline:i&&i.isTextblock)?-1:1)}}replaceWith(e,t){let r=e.steps.length,i=this.ranges;for(let s=0;s<i.length;s++){let{$from:o,$to:l}=i[s],c=e.mapping.slice(r),a=c.map(o.pos),h=c.map(l.pos);s?e.deleteRange(a,h):(e.replaceRangeWith(a,h,t),Nh(e,r,t.isInline?-1:1))}}static findFrom(e,t,r=!1){let i=e.parent.inlineContent?new A(e):Qn(e.node(0),e.parent,e.pos,e.index(),t,r);if(i)return i;for(let s=e.depth-1;s>=0;s--){let o=t<0?Qn(e.node(0),e.node(s),e.before(s+1),e.index(s),t,r):Qn(e.node(0),e.node(s),e.after(s+1),e.index(s)+1,t,r);if(o)return o}return null}static near(e,t=1){return this.findFrom(e,t)||this.findFrom(e,-t)||new Ie(e.node(0))}static atStart(e){return Qn(e,e,0,0,1)||new Ie(e)}static atEnd(e){return Qn(e,e,e.content.size,e.childCount,-1)||new Ie(e)}static fromJSON(e,t){if(!t||!t.type)throw new RangeError("Invalid input for Selection.fromJSON");let r=ml[t.type];if(!r)throw new RangeError(`No selection type ${t.type} defined`);return r.fromJSON(e,t)}static jsonID(e,t){if(e in ml)throw new RangeError("Duplicate use of selection JSON ID "+e);return ml[e]=t,t.prototype.jsonID=e,t}getBookmark(){return A.between(this.$anchor,this.$head).getBookmark()}};S.prototype.visible=!0;var Pt=class{constructor(e,t){this.$from=e,this.$to=t}},Dh=!1;function Oh(n){!Dh&&!n.parent.inlineContent&&(Dh=!0,console.warn("TextSelection endpoint not pointing into a node with inline content ("+n.parent.type.name+")"))}var A=class n extends S{constructor(e,t=e){Oh(e),Oh(t),super(e,t)}get $cursor(){return this.$anchor.pos==this.$head.pos?this.$head:null}map(e,t){let r=e.resolve(t.map(this.head));if(!r.parent.inlineContent)return S.near(r);let i=e.resolve(t.map(this.anchor));return new n(i.parent.inlineContent?i:r,r)}replace(e,t=b.empty){if(super.replace(e,t),t==b.empty){let r=this.$from.marksAcross(this.$to);r&&e.ensureMarks(r)}}eq(e){return e instanceof n&&e.anchor==this.anchor&&e.head==this.head}getBookmark(){return new ks(this.anchor,this.head)}toJSON(){return{type:"text",anchor:this.anchor,head:this.head}}static fromJSON(e,t){if(typeof t.anchor!="number"||typeof t.head!="number")throw new RangeError("Invalid input for TextSelection.fromJSON");return new n(e.resolve(t.anchor),e.resolve(t.head))}static create(e,t,r=t){let i=e.resolve(t);return new this(i,r==t?i:e.resolve(r))}static between(e,t,r){let i=e.pos-t.pos;if((!r||i)&&(r=i>=0?1:-1),!t.parent.inlineContent){let s=S.findFrom(t,r,!0)||S.findFrom(t,-r,!0);if(s)t=s.$head;else return S.near(t,r)}return e.parent.inlineContent||(i==0?e=t:(e=(S.findFrom(e,-r,!0)||S.findFrom(e,r,!0)).$anchor,e.pos<t.pos!=i<0&&(e=t))),new n(e,t)}};S.jsonID("text",A);var ks=class n{constructor(e,t){this.anchor=e,this.head=t}map(e){return new n(e.map(this.anchor),e.map(this.head))}resolve(e){return A.between(e.resolve(this.anchor),e.resolve(this.head))}},k=class n extends S{constructor(e){let t=e.nodeAfter,r=e.node(0).resolve(e.pos+t.nodeSize);super(e,r),this.node=t}map(e,t){let{deleted:r,pos:i}=t.mapResult(this.anchor),s=e.resolve(i);return r?S.near(s):new n(s)}content(){return new b(w.from(this.node),0,0)}eq(e){return e instanceof n&&e.anchor==this.anchor}toJSON(){return{type:"node",anchor:this.anchor}}getBookmark(){return new yl(this.anchor)}static fromJSON(e,t){if(typeof t.anchor!="number")throw new RangeError("Invalid input for NodeSelection.fromJSON");return new n(e.resolve(t.anchor))}static create(e,t){return new n(e.resolve(t))}static isSelectable(e){return!e.isText&&e.type.spec.selectable!==!1}};k.prototype.visible=!1;S.jsonID("node",k);var yl=class n{constructor(e){this.anchor=e}map(e){let{deleted:t,pos:r}=e.mapResult(this.anchor);return t?new ks(r,r):new n(r)}resolve(e){let t=e.resolve(this.anchor),r=t.nodeAfter;return r&&k.isSelectable(r)?new k(t):S.near(t)}},Ie=class n extends S{constructor(e){super(e.resolve(0),e.resolve(e.content.size))}replace(e,t=b.empty){if(t==b.empty){e.delete(0,e.doc.content.size);let r=S.atStart(e.doc);r.eq(e.selection)||e.setSelection(r)}else super.replace(e,t)}toJSON(){return{type:"all"}}static fromJSON(e){return new n(e)}map(e){return new n(e)}eq(e){return e instanceof n}getBookmark(){return rg}};S.jsonID("all",Ie);var rg={map(){return this},resolve(n){return new Ie(n)}};function Qn(n,e,t,r,i,s=!1){if(e.inlineContent)return A.create(n,t);for(let o=r-(i>0?0:1);i>0?o<e.childCount:o>=0;o+=i){let l=e.child(o);if(l.isAtom){if(!s&&k.isSelectable(l))return k.create(n,t-(i<0?l.nodeSize:0))}else{let c=Qn(n,l,t+i,i<0?l.childCount:0,i,s);if(c)return c}t+=l.nodeSize*i}return null}function Nh(n,e,t){let r=n.steps.length-1;if(r<e)return;let i=n.steps[r];if(!(i instanceof Ne||i instanceof ee))return;let s=n.mapping.maps[r],o;s.forEach((l,c,a,h)=>{o==null&&(o=h)}),n.setSelection(S.near(n.doc.resolve(o),t))}var Ih=1,Ss=2,Rh=4,wl=class extends Gn{constructor(e){super(e.doc),this.curSelectionFor=0,this.updated=0,this.meta=Object.create(null),this.time=Date.now(),this.curSelection=e.selection,this.storedMarks=e.storedMarks}get selection(){return this.curSelectionFor<this.steps.length&&(this.curSelection=this.curSelection.map(this.doc,this.mapping.slice(this.curSelectionFor)),this.curSelectionFor=this.steps.length),this.curSelection}setSelection(e){if(e.$from.doc!=this.doc)throw new RangeError("Selection passed to setSelection must point at the current document");return this.curSelection=e,this.curSelectionFor=this.steps.length,this.updated=(this.updated|Ih)&~Ss,this.storedMarks=null,this}get selectionSet(){return(this.updated&Ih)>0}setStoredMarks(e){return this.storedMarks=e,this.updated|=Ss,this}ensureMarks(e){return D.sameSet(this.storedMarks||this.selection.$from.marks(),e)||this.setStoredMarks(e),this}addStoredMark(e){return this.ensureMarks(e.addToSet(this.storedMarks||this.selection.$head.marks()))}removeStoredMark(e){return this.ensureMarks(e.removeFromSet(this.storedMarks||this.selection.$head.marks()))}get storedMarksSet(){return(this.updated&Ss)>0}addStep(e,t){super.addStep(e,t),this.updated=this.updated&~Ss,this.storedMarks=null}setTime(e){return this.time=e,this}replaceSelection(e){return this.selection.replace(this,e),this}replaceSelectionWith(e,t=!0){let r=this.selection;return t&&(e=e.mark(this.storedMarks||(r.empty?r.$from.marks():r.$from.marksAcross(r.$to)||D.none))),r.replaceWith(this,e),this}deleteSelection(){return this.selection.replace(this),this}insertText(e,t,r){let i=this.doc.type.schema;if(t==null)return e?this.replaceSelectionWith(i.text(e),!0):this.deleteSelection();{if(r==null&&(r=t),r=r??t,!e)return this.deleteRange(t,r);let s=this.storedMarks;if(!s){let o=this.doc.resolve(t);s=r==t?o.marks():o.marksAcross(this.doc.resolve(r))}return this.replaceRangeWith(t,r,i.text(e,s)),this.selection.empty||this.setSelection(S.near(this.selection.$to)),this}}setMeta(e,t){return this.meta[typeof e=="string"?e:e.key]=t,this}getMeta(e){return this.meta[typeof e=="string"?e:e.key]}get isGeneric(){for(let e in this.meta)return!1;return!0}scrollIntoView(){return this.updated|=Rh,this}get scrolledIntoView(){return(this.updated&Rh)>0}};function vh(n,e){return!e||!n?n:n.bind(e)}var hn=class{constructor(e,t,r){this.name=e,this.init=vh(t.init,r),this.apply=vh(t.apply,r)}},ig=[new hn("doc",{init(n){return n.doc||n.schema.topNodeType.createAndFill()},apply(n){return n.doc}}),new hn("selection",{init(n,e){return n.selection||S.atStart(e.doc)},apply(n){return n.selection}}),new hn("storedMarks",{init(n){return n.storedMarks||null},apply(n,e,t,r){return r.selection.$cursor?n.storedMarks:null}}),new hn("scrollToSelection",{init(){return 0},apply(n,e){return n.scrolledIntoView?e+1:e}})],Xr=class{constructor(e,t){this.schema=e,this.plugins=[],this.pluginsByKey=Object.create(null),this.fields=ig.slice(),t&&t.forEach(r=>{if(this.pluginsByKey[r.key])throw new RangeError("Adding different instances of a keyed plugin ("+r.key+")");this.plugins.push(r),this.pluginsByKey[r.key]=r,r.spec.state&&this.fields.push(new hn(r.key,r.spec.state,r))})}},bl=class n{constructor(e){this.config=e}get schema(){return this.config.schema}get plugins(){return this.config.plugins}apply(e){return this.applyTransaction(e).state}filterTransaction(e,t=-1){for(let r=0;r<this.config.plugins.length;r++)if(r!=t){let i=this.config.plugins[r];if(i.spec.filterTransaction&&!i.spec.filterTransaction.call(i,e,this))return!1}return!0}applyTransaction(e){if(!this.filterTransaction(e))return{state:this,transactions:[]};let t=[e],r=this.applyInner(e),i=null;for(;;){let s=!1;for(let o=0;o<this.config.plugins.length;o++){let l=this.config.plugins[o];if(l.spec.appendTransaction){let c=i?i[o].n:0,a=i?i[o].state:this,h=c<t.length&&l.spec.appendTransaction.call(l,c?t.slice(c):t,a,r);if(h&&r.filterTransaction(h,o)){if(h.setMeta("appendedTransaction",e),!i){i=[];for(let f=0;f<this.config.plugins.length;f++)i.push(f<o?{state:r,n:t.length}:{state:this,n:0})}t.push(h),r=r.applyInner(h),s=!0}i&&(i[o]={state:r,n:t.length})}}if(!s)return{state:r,transactions:t}}}applyInner(e){if(!e.before.eq(this.doc))throw new RangeError("Applying a mismatched transaction");let t=new n(this.config),r=this.config.fields;for(let i=0;i<r.length;i++){let s=r[i];t[s.name]=s.apply(e,this[s.name],this,t)}return t}get tr(){return new wl(this)}static create(e){let t=new Xr(e.doc?e.doc.type.schema:e.schema,e.plugins),r=new n(t);for(let i=0;i<t.fields.length;i++)r[t.fields[i].name]=t.fields[i].init(e,r);return r}reconfigure(e){let t=new Xr(this.schema,e.plugins),r=t.fields,i=new n(t);for(let s=0;s<r.length;s++){let o=r[s].name;i[o]=this.hasOwnProperty(o)?this[o]:r[s].init(e,i)}return i}toJSON(e){let t={doc:this.doc.toJSON(),selection:this.selection.toJSON()};if(this.storedMarks&&(t.storedMarks=this.storedMarks.map(r=>r.toJSON())),e&&typeof e=="object")for(let r in e){if(r=="doc"||r=="selection")throw new RangeError("The JSON fields `doc` and `selection` are reserved");let i=e[r],s=i.spec.state;s&&s.toJSON&&(t[r]=s.toJSON.call(i,this[i.key]))}return t}static fromJSON(e,t,r){if(!t)throw new RangeError("Invalid input for EditorState.fromJSON");if(!e.schema)throw new RangeError("Required config field 'schema' missing");let i=new Xr(e.schema,e.plugins),s=new n(i);return i.fields.forEach(o=>{if(o.name=="doc")s.doc=Be.fromJSON(e.schema,t.doc);else if(o.name=="selection")s.selection=S.fromJSON(s.doc,t.selection);else if(o.name=="storedMarks")t.storedMarks&&(s.storedMarks=t.storedMarks.map(e.schema.markFromJSON));else{if(r)for(let l in r){let c=r[l],a=c.spec.state;if(c.key==o.name&&a&&a.fromJSON&&Object.prototype.hasOwnProperty.call(t,l)){s[o.name]=a.fromJSON.call(c,e,t[l],s);return}}s[o.name]=o.init(e,s)}}),s}};function _h(n,e,t){for(let r in n){let i=n[r];i instanceof Function?i=i.bind(e):r=="handleDOMEvents"&&(i=_h(i,e,{})),t[r]=i}return t}var J=class{constructor(e){this.spec=e,this.props={},e.props&&_h(e.props,this,this.props),this.key=e.key?e.key.key:Uh("plugin")}getState(e){return e[this.key]}},gl=Object.create(null);function Uh(n){return n in gl?n+"$"+ ++gl[n]:(gl[n]=0,n+"$")}var fe=class{constructor(e="key"){this.key=Uh(e)}get(e){return e.config.pluginsByKey[this.key]}getState(e){return e[this.key]}};var ie=function(n){for(var e=0;;e++)if(n=n.previousSibling,!n)return e},ti=function(n){let e=n.assignedSlot||n.parentNode;return e&&e.nodeType==11?e.host:e},Ml=null,xt=function(n,e,t){let r=Ml||(Ml=document.createRange());return r.setEnd(n,t??n.nodeValue.length),r.setStart(n,e||0),r},sg=function(){Ml=null},yn=function(n,e,t,r){return t&&(Vh(n,e,t,r,-1)||Vh(n,e,t,r,1))},og=/^(img|br|input|textarea|hr)$/i;function Vh(n,e,t,r,i){for(;;){if(n==t&&e==r)return!0;if(e==(i<0?0:Le(n))){let s=n.parentNode;if(!s||s.nodeType!=1||si(n)||og.test(n.nodeName)||n.contentEditable=="false")return!1;e=ie(n)+(i<0?0:1),n=s}else if(n.nodeType==1){if(n=n.childNodes[e+(i<0?-1:0)],n.contentEditable=="false")return!1;e=i<0?Le(n):0}else return!1}}function Le(n){return n.nodeType==3?n.nodeValue.length:n.childNodes.length}function lg(n,e){for(;;){if(n.nodeType==3&&e)return n;if(n.nodeType==1&&e>0){if(n.contentEditable=="false")return null;n=n.childNodes[e-1],e=Le(n)}else if(n.parentNode&&!si(n))e=ie(n),n=n.parentNode;else return null}}function cg(n,e){for(;;){if(n.nodeType==3&&e<n.nodeValue.length)return n;if(n.nodeType==1&&e<n.childNodes.length){if(n.contentEditable=="false")return null;n=n.childNodes[e],e=0}else if(n.parentNode&&!si(n))e=ie(n)+1,n=n.parentNode;else return null}}function ag(n,e,t){for(let r=e==0,i=e==Le(n);r||i;){if(n==t)return!0;let s=ie(n);if(n=n.parentNode,!n)return!1;r=r&&s==0,i=i&&s==Le(n)}}function si(n){let e;for(let t=n;t&&!(e=t.pmViewDesc);t=t.parentNode);return e&&e.node&&e.node.isBlock&&(e.dom==n||e.contentDOM==n)}var vs=function(n){return n.focusNode&&yn(n.focusNode,n.focusOffset,n.anchorNode,n.anchorOffset)};function fn(n,e){let t=document.createEvent("Event");return t.initEvent("keydown",!0,!0),t.keyCode=n,t.key=t.code=e,t}function hg(n){let e=n.activeElement;for(;e&&e.shadowRoot;)e=e.shadowRoot.activeElement;return e}function fg(n,e,t){if(n.caretPositionFromPoint)try{let r=n.caretPositionFromPoint(e,t);if(r)return{node:r.offsetNode,offset:Math.min(Le(r.offsetNode),r.offset)}}catch{}if(n.caretRangeFromPoint){let r=n.caretRangeFromPoint(e,t);if(r)return{node:r.startContainer,offset:Math.min(Le(r.startContainer),r.startOffset)}}}var Ze=typeof navigator<"u"?navigator:null,Bh=typeof document<"u"?document:null,Ht=Ze&&Ze.userAgent||"",Al=/Edge\/(\d+)/.exec(Ht),gf=/MSIE \d/.exec(Ht),El=/Trident\/(?:[7-9]|\d{2,})\..*rv:(\d+)/.exec(Ht),Ee=!!(gf||El||Al),$t=gf?document.documentMode:El?+El[1]:Al?+Al[1]:0,Ke=!Ee&&/gecko\/(\d+)/i.test(Ht);Ke&&+(/Firefox\/(\d+)/.exec(Ht)||[0,0])[1];var Tl=!Ee&&/Chrome\/(\d+)/.exec(Ht),ue=!!Tl,yf=Tl?+Tl[1]:0,be=!Ee&&!!Ze&&/Apple Computer/.test(Ze.vendor),rr=be&&(/Mobile\/\w+/.test(Ht)||!!Ze&&Ze.maxTouchPoints>2),Pe=rr||(Ze?/Mac/.test(Ze.platform):!1),dg=Ze?/Win/.test(Ze.platform):!1,We=/Android \d/.test(Ht),oi=!!Bh&&"webkitFontSmoothing"in Bh.documentElement.style,ug=oi?+(/\bAppleWebKit\/(\d+)/.exec(navigator.userAgent)||[0,0])[1]:0;function pg(n){let e=n.defaultView&&n.defaultView.visualViewport;return e?{left:0,right:e.width,top:0,bottom:e.height}:{left:0,right:n.documentElement.clientWidth,top:0,bottom:n.documentElement.clientHeight}}function bt(n,e){return typeof n=="number"?n:n[e]}function mg(n){let e=n.getBoundingClientRect(),t=e.width/n.offsetWidth||1,r=e.height/n.offsetHeight||1;return{left:e.left,right:e.left+n.clientWidth*t,top:e.top,bottom:e.top+n.clientHeight*r}}function Ph(n,e,t){let r=n.someProp("scrollThreshold")||0,i=n.someProp("scrollMargin")||5,s=n.dom.ownerDocument;for(let o=t||n.dom;o;o=ti(o)){if(o.nodeType!=1)continue;let l=o,c=l==s.body,a=c?pg(s):mg(l),h=0,f=0;if(e.top<a.top+bt(r,"top")?f=-(a.top-e.top+bt(i,"top")):e.bottom>a.bottom-bt(r,"bottom")&&(f=e.bottom-e.top>a.bottom-a.top?e.top+bt(i,"top")-a.top:e.bottom-a.bottom+bt(i,"bottom")),e.left<a.left+bt(r,"left")?h=-(a.left-e.left+bt(i,"left")):e.right>a.right-bt(r,"right")&&(h=e.right-a.right+bt(i,"right")),h||f)if(c)s.defaultView.scrollBy(h,f);else{let d=l.scrollLeft,u=l.scrollTop;f&&(l.scrollTop+=f),h&&(l.scrollLeft+=h);let p=l.scrollLeft-d,m=l.scrollTop-u;e={left:e.left-p,top:e.top-m,right:e.right-p,bottom:e.bottom-m}}if(c||/^(fixed|sticky)$/.test(getComputedStyle(o).position))break}}function gg(n){let e=n.dom.getBoundingClientRect(),t=Math.max(0,e.top),r,i;for(let s=(e.left+e.right)/2,o=t+1;o<Math.min(innerHeight,e.bottom);o+=5){let l=n.root.elementFromPoint(s,o);if(!l||l==n.dom||!n.dom.contains(l))continue;let c=l.getBoundingClientRect();if(c.top>=t-20){r=l,i=c.top;break}}return{refDOM:r,refTop:i,stack:wf(n.dom)}}function wf(n){let e=[],t=n.ownerDocument;for(let r=n;r&&(e.push({dom:r,top:r.scrollTop,left:r.scrollLeft}),n!=t);r=ti(r));return e}function yg({refDOM:n,refTop:e,stack:t}){let r=n?n.getBoundingClientRect().top:0;bf(t,r==0?0:r-e)}function bf(n,e){for(let t=0;t<n.length;t++){let{dom:r,top:i,left:s}=n[t];r.scrollTop!=i+e&&(r.scrollTop=i+e),r.scrollLeft!=s&&(r.scrollLeft=s)}}var Zn=null;function wg(n){if(n.setActive)return n.setActive();if(Zn)return n.focus(Zn);let e=wf(n);n.focus(Zn==null?{get preventScroll(){return Zn={preventScroll:!0},!0}}:void 0),Zn||(Zn=!1,bf(e,0))}function xf(n,e){let t,r=2e8,i,s=0,o=e.top,l=e.top,c,a;for(let h=n.firstChild,f=0;h;h=h.nextSibling,f++){let d;if(h.nodeType==1)d=h.getClientRects();else if(h.nodeType==3)d=xt(h).getClientRects();else continue;for(let u=0;u<d.length;u++){let p=d[u];if(p.top<=o&&p.bottom>=l){o=Math.max(p.bottom,o),l=Math.min(p.top,l);let m=p.left>e.left?p.left-e.left:p.right<e.left?e.left-p.right:0;if(m<r){t=h,r=m,i=m&&t.nodeType==3?{left:p.right<e.left?p.right:p.left,top:e.top}:e,h.nodeType==1&&m&&(s=f+(e.left>=(p.left+p.right)/2?1:0));continue}}else p.top>e.top&&!c&&p.left<=e.left&&p.right>=e.left&&(c=h,a={left:Math.max(p.left,Math.min(p.right,e.left)),top:p.top});!t&&(e.left>=p.right&&e.top>=p.top||e.left>=p.left&&e.top>=p.bottom)&&(s=f+1)}}return!t&&c&&(t=c,i=a,r=0),t&&t.nodeType==3?bg(t,i):!t||r&&t.nodeType==1?{node:n,offset:s}:xf(t,i)}function bg(n,e){let t=n.nodeValue.length,r=document.createRange();for(let i=0;i<t;i++){r.setEnd(n,i+1),r.setStart(n,i);let s=Lt(r,1);if(s.top!=s.bottom&&ql(e,s))return{node:n,offset:i+(e.left>=(s.left+s.right)/2?1:0)}}return{node:n,offset:0}}function ql(n,e){return n.left>=e.left-1&&n.left<=e.right+1&&n.top>=e.top-1&&n.top<=e.bottom+1}function xg(n,e){let t=n.parentNode;return t&&/^li$/i.test(t.nodeName)&&e.left<n.getBoundingClientRect().left?t:n}function Sg(n,e,t){let{node:r,offset:i}=xf(e,t),s=-1;if(r.nodeType==1&&!r.firstChild){let o=r.getBoundingClientRect();s=o.left!=o.right&&t.left>(o.left+o.right)/2?1:-1}return n.docView.posFromDOM(r,i,s)}function kg(n,e,t,r){let i=-1;for(let s=e,o=!1;s!=n.dom;){let l=n.docView.nearestDesc(s,!0);if(!l)return null;if(l.dom.nodeType==1&&(l.node.isBlock&&l.parent||!l.contentDOM)){let c=l.dom.getBoundingClientRect();if(l.node.isBlock&&l.parent&&(!o&&c.left>r.left||c.top>r.top?i=l.posBefore:(!o&&c.right<r.left||c.bottom<r.top)&&(i=l.posAfter),o=!0),!l.contentDOM&&i<0&&!l.node.isText)return(l.node.isBlock?r.top<(c.top+c.bottom)/2:r.left<(c.left+c.right)/2)?l.posBefore:l.posAfter}s=l.dom.parentNode}return i>-1?i:n.docView.posFromDOM(e,t,-1)}function Sf(n,e,t){let r=n.childNodes.length;if(r&&t.top<t.bottom)for(let i=Math.max(0,Math.min(r-1,Math.floor(r*(e.top-t.top)/(t.bottom-t.top))-2)),s=i;;){let o=n.childNodes[s];if(o.nodeType==1){let l=o.getClientRects();for(let c=0;c<l.length;c++){let a=l[c];if(ql(e,a))return Sf(o,e,a)}}if((s=(s+1)%r)==i)break}return n}function Cg(n,e){let t=n.dom.ownerDocument,r,i=0,s=fg(t,e.left,e.top);s&&({node:r,offset:i}=s);let o=(n.root.elementFromPoint?n.root:t).elementFromPoint(e.left,e.top),l;if(!o||!n.dom.contains(o.nodeType!=1?o.parentNode:o)){let a=n.dom.getBoundingClientRect();if(!ql(e,a)||(o=Sf(n.dom,e,a),!o))return null}if(be)for(let a=o;r&&a;a=ti(a))a.draggable&&(r=void 0);if(o=xg(o,e),r){if(Ke&&r.nodeType==1&&(i=Math.min(i,r.childNodes.length),i<r.childNodes.length)){let h=r.childNodes[i],f;h.nodeName=="IMG"&&(f=h.getBoundingClientRect()).right<=e.left&&f.bottom>e.top&&i++}let a;oi&&i&&r.nodeType==1&&(a=r.childNodes[i-1]).nodeType==1&&a.contentEditable=="false"&&a.getBoundingClientRect().top>=e.top&&i--,r==n.dom&&i==r.childNodes.length-1&&r.lastChild.nodeType==1&&e.top>r.lastChild.getBoundingClientRect().bottom?l=n.state.doc.content.size:(i==0||r.nodeType!=1||r.childNodes[i-1].nodeName!="BR")&&(l=kg(n,r,i,e))}l==null&&(l=Sg(n,o,e));let c=n.docView.nearestDesc(o,!0);return{pos:l,inside:c?c.posAtStart-c.border:-1}}function Lh(n){return n.top<n.bottom||n.left<n.right}function Lt(n,e){let t=n.getClientRects();if(t.length){let r=t[e<0?0:t.length-1];if(Lh(r))return r}return Array.prototype.find.call(t,Lh)||n.getBoundingClientRect()}var Mg=/[\u0590-\u05f4\u0600-\u06ff\u0700-\u08ac]/;function kf(n,e,t){let{node:r,offset:i,atom:s}=n.docView.domFromPos(e,t<0?-1:1),o=oi||Ke;if(r.nodeType==3)if(o&&(Mg.test(r.nodeValue)||(t<0?!i:i==r.nodeValue.length))){let c=Lt(xt(r,i,i),t);if(Ke&&i&&/\s/.test(r.nodeValue[i-1])&&i<r.nodeValue.length){let a=Lt(xt(r,i-1,i-1),-1);if(a.top==c.top){let h=Lt(xt(r,i,i+1),-1);if(h.top!=c.top)return Qr(h,h.left<a.left)}}return c}else{let c=i,a=i,h=t<0?1:-1;return t<0&&!i?(a++,h=-1):t>=0&&i==r.nodeValue.length?(c--,h=1):t<0?c--:a++,Qr(Lt(xt(r,c,a),h),h<0)}if(!n.state.doc.resolve(e-(s||0)).parent.inlineContent){if(s==null&&i&&(t<0||i==Le(r))){let c=r.childNodes[i-1];if(c.nodeType==1)return xl(c.getBoundingClientRect(),!1)}if(s==null&&i<Le(r)){let c=r.childNodes[i];if(c.nodeType==1)return xl(c.getBoundingClientRect(),!0)}return xl(r.getBoundingClientRect(),t>=0)}if(s==null&&i&&(t<0||i==Le(r))){let c=r.childNodes[i-1],a=c.nodeType==3?xt(c,Le(c)-(o?0:1)):c.nodeType==1&&(c.nodeName!="BR"||!c.nextSibling)?c:null;if(a)return Qr(Lt(a,1),!1)}if(s==null&&i<Le(r)){let c=r.childNodes[i];for(;c.pmViewDesc&&c.pmViewDesc.ignoreForCoords;)c=c.nextSibling;let a=c?c.nodeType==3?xt(c,0,o?0:1):c.nodeType==1?c:null:null;if(a)return Qr(Lt(a,-1),!0)}return Qr(Lt(r.nodeType==3?xt(r):r,-t),t>=0)}function Qr(n,e){if(n.width==0)return n;let t=e?n.left:n.right;return{top:n.top,bottom:n.bottom,left:t,right:t}}function xl(n,e){if(n.height==0)return n;let t=e?n.top:n.bottom;return{top:t,bottom:t,left:n.left,right:n.right}}function Cf(n,e,t){let r=n.state,i=n.root.activeElement;r!=e&&n.updateState(e),i!=n.dom&&n.focus();try{return t()}finally{r!=e&&n.updateState(r),i!=n.dom&&i&&i.focus()}}function Ag(n,e,t){let r=e.selection,i=t=="up"?r.$from:r.$to;return Cf(n,e,()=>{let{node:s}=n.docView.domFromPos(i.pos,t=="up"?-1:1);for(;;){let l=n.docView.nearestDesc(s,!0);if(!l)break;if(l.node.isBlock){s=l.contentDOM||l.dom;break}s=l.dom.parentNode}let o=kf(n,i.pos,1);for(let l=s.firstChild;l;l=l.nextSibling){let c;if(l.nodeType==1)c=l.getClientRects();else if(l.nodeType==3)c=xt(l,0,l.nodeValue.length).getClientRects();else continue;for(let a=0;a<c.length;a++){let h=c[a];if(h.bottom>h.top+1&&(t=="up"?o.top-h.top>(h.bottom-o.top)*2:h.bottom-o.bottom>(o.bottom-h.top)*2))return!1}}return!0})}var Eg=/[\u0590-\u08ac]/;function Tg(n,e,t){let{$head:r}=e.selection;if(!r.parent.isTextblock)return!1;let i=r.parentOffset,s=!i,o=i==r.parent.content.size,l=n.domSelection();return l?!Eg.test(r.parent.textContent)||!l.modify?t=="left"||t=="backward"?s:o:Cf(n,e,()=>{let{focusNode:c,focusOffset:a,anchorNode:h,anchorOffset:f}=n.domSelectionRange(),d=l.caretBidiLevel;l.modify("move",t,"character");let u=r.depth?n.docView.domAfterPos(r.before()):n.dom,{focusNode:p,focusOffset:m}=n.domSelectionRange(),g=p&&!u.contains(p.nodeType==1?p:p.parentNode)||c==p&&a==m;try{l.collapse(h,f),c&&(c!=h||a!=f)&&l.extend&&l.extend(c,a)}catch{}return d!=null&&(l.caretBidiLevel=d),g}):r.pos==r.start()||r.pos==r.end()}var zh=null,Fh=null,$h=!1;function Dg(n,e,t){return zh==e&&Fh==t?$h:(zh=e,Fh=t,$h=t=="up"||t=="down"?Ag(n,e,t):Tg(n,e,t))}var ze=0,qh=1,dn=2,et=3,wn=class{constructor(e,t,r,i){this.parent=e,this.children=t,this.dom=r,this.contentDOM=i,this.dirty=ze,r.pmViewDesc=this}matchesWidget(e){return!1}matchesMark(e){return!1}matchesNode(e,t,r){return!1}matchesHack(e){return!1}parseRule(){return null}stopEvent(e){return!1}get size(){let e=0;for(let t=0;t<this.children.length;t++)e+=this.children[t].size;return e}get border(){return 0}destroy(){this.parent=void 0,this.dom.pmViewDesc==this&&(this.dom.pmViewDesc=void 0);for(let e=0;e<this.children.length;e++)this.children[e].destroy()}posBeforeChild(e){for(let t=0,r=this.posAtStart;;t++){let i=this.children[t];if(i==e)return r;r+=i.size}}get posBefore(){return this.parent.posBeforeChild(this)}get posAtStart(){return this.parent?this.parent.posBeforeChild(this)+this.border:0}get posAfter(){return this.posBefore+this.size}get posAtEnd(){return this.posAtStart+this.size-2*this.border}localPosFromDOM(e,t,r){if(this.contentDOM&&this.contentDOM.contains(e.nodeType==1?e:e.parentNode))if(r<0){let s,o;if(e==this.contentDOM)s=e.childNodes[t-1];else{for(;e.parentNode!=this.contentDOM;)e=e.parentNode;s=e.previousSibling}for(;s&&!((o=s.pmViewDesc)&&o.parent==this);)s=s.previousSibling;return s?this.posBeforeChild(o)+o.size:this.posAtStart}else{let s,o;if(e==this.contentDOM)s=e.childNodes[t];else{for(;e.parentNode!=this.contentDOM;)e=e.parentNode;s=e.nextSibling}for(;s&&!((o=s.pmViewDesc)&&o.parent==this);)s=s.nextSibling;return s?this.posBeforeChild(o):this.posAtEnd}let i;if(e==this.dom&&this.contentDOM)i=t>ie(this.contentDOM);else if(this.contentDOM&&this.contentDOM!=this.dom&&this.dom.contains(this.contentDOM))i=e.compareDocumentPosition(this.contentDOM)&2;else if(this.dom.firstChild){if(t==0)for(let s=e;;s=s.parentNode){if(s==this.dom){i=!1;break}if(s.previousSibling)break}if(i==null&&t==e.childNodes.length)for(let s=e;;s=s.parentNode){if(s==this.dom){i=!0;break}if(s.nextSibling)break}}return i??r>0?this.posAtEnd:this.posAtStart}nearestDesc(e,t=!1){for(let r=!0,i=e;i;i=i.parentNode){let s=this.getDesc(i),o;if(s&&(!t||s.node))if(r&&(o=s.nodeDOM)&&!(o.nodeType==1?o.contains(e.nodeType==1?e:e.parentNode):o==e))r=!1;else return s}}getDesc(e){let t=e.pmViewDesc;for(let r=t;r;r=r.parent)if(r==this)return t}posFromDOM(e,t,r){for(let i=e;i;i=i.parentNode){let s=this.getDesc(i);if(s)return s.localPosFromDOM(e,t,r)}return-1}descAt(e){for(let t=0,r=0;t<this.children.length;t++){let i=this.children[t],s=r+i.size;if(r==e&&s!=r){for(;!i.border&&i.children.length;)i=i.children[0];return i}if(e<s)return i.descAt(e-r-i.border);r=s}}domFromPos(e,t){if(!this.contentDOM)return{node:this.dom,offset:0,atom:e+1};let r=0,i=0;for(let s=0;r<this.children.length;r++){let o=this.children[r],l=s+o.size;if(l>e||o instanceof As){i=e-s;break}s=l}if(i)return this.children[r].domFromPos(i-this.children[r].border,t);for(let s;r&&!(s=this.children[r-1]).size&&s instanceof Cs&&s.side>=0;r--);if(t<=0){let s,o=!0;for(;s=r?this.children[r-1]:null,!(!s||s.dom.parentNode==this.contentDOM);r--,o=!1);return s&&t&&o&&!s.border&&!s.domAtom?s.domFromPos(s.size,t):{node:this.contentDOM,offset:s?ie(s.dom)+1:0}}else{let s,o=!0;for(;s=r<this.children.length?this.children[r]:null,!(!s||s.dom.parentNode==this.contentDOM);r++,o=!1);return s&&o&&!s.border&&!s.domAtom?s.domFromPos(0,t):{node:this.contentDOM,offset:s?ie(s.dom):this.contentDOM.childNodes.length}}}parseRange(e,t,r=0){if(this.children.length==0)return{node:this.contentDOM,from:e,to:t,fromOffset:0,toOffset:this.contentDOM.childNodes.length};let i=-1,s=-1;for(let o=r,l=0;;l++){let c=this.children[l],a=o+c.size;if(i==-1&&e<=a){let h=o+c.border;if(e>=h&&t<=a-c.border&&c.node&&c.contentDOM&&this.contentDOM.contains(c.contentDOM))return c.parseRange(e,t,h);e=o;for(let f=l;f>0;f--){let d=this.children[f-1];if(d.size&&d.dom.parentNode==this.contentDOM&&!d.emptyChildAt(1)){i=ie(d.dom)+1;break}e-=d.size}i==-1&&(i=0)}if(i>-1&&(a>t||l==this.children.length-1)){t=a;for(let h=l+1;h<this.children.length;h++){let f=this.children[h];if(f.size&&f.dom.parentNode==this.contentDOM&&!f.emptyChildAt(-1)){s=ie(f.dom);break}t+=f.size}s==-1&&(s=this.contentDOM.childNodes.length);break}o=a}return{node:this.contentDOM,from:e,to:t,fromOffset:i,toOffset:s}}emptyChildAt(e){if(this.border||!this.contentDOM||!this.children.length)return!1;let t=this.children[e<0?0:this.children.length-1];return t.size==0||t.emptyChildAt(e)}domAfterPos(e){let{node:t,offset:r}=this.domFromPos(e,0);if(t.nodeType!=1||r==t.childNodes.length)throw new RangeError("No node after pos "+e);return t.childNodes[r]}setSelection(e,t,r,i=!1){let s=Math.min(e,t),o=Math.max(e,t);for(let d=0,u=0;d<this.children.length;d++){let p=this.children[d],m=u+p.size;if(s>u&&o<m)return p.setSelection(e-u-p.border,t-u-p.border,r,i);u=m}let l=this.domFromPos(e,e?-1:1),c=t==e?l:this.domFromPos(t,t?-1:1),a=r.getSelection(),h=!1;if((Ke||be)&&e==t){let{node:d,offset:u}=l;if(d.nodeType==3){if(h=!!(u&&d.nodeValue[u-1]==`
-`),h&&u==d.nodeValue.length)for(let p=d,m;p;p=p.parentNode){if(m=p.nextSibling){m.nodeName=="BR"&&(l=c={node:m.parentNode,offset:ie(m)+1});break}let g=p.pmViewDesc;if(g&&g.node&&g.node.isBlock)break}}else{let p=d.childNodes[u-1];h=p&&(p.nodeName=="BR"||p.contentEditable=="false")}}if(Ke&&a.focusNode&&a.focusNode!=c.node&&a.focusNode.nodeType==1){let d=a.focusNode.childNodes[a.focusOffset];d&&d.contentEditable=="false"&&(i=!0)}if(!(i||h&&be)&&yn(l.node,l.offset,a.anchorNode,a.anchorOffset)&&yn(c.node,c.offset,a.focusNode,a.focusOffset))return;let f=!1;if((a.extend||e==t)&&!h){a.collapse(l.node,l.offset);try{e!=t&&a.extend(c.node,c.offset),f=!0}catch{}}if(!f){if(e>t){let u=l;l=c,c=u}let d=document.createRange();d.setEnd(c.node,c.offset),d.setStart(l.node,l.offset),a.removeAllRanges(),a.addRange(d)}}ignoreMutation(e){return!this.contentDOM&&e.type!="selection"}get contentLost(){return this.contentDOM&&this.contentDOM!=this.dom&&!this.dom.contains(this.contentDOM)}markDirty(e,t){for(let r=0,i=0;i<this.children.length;i++){let s=this.children[i],o=r+s.size;if(r==o?e<=o&&t>=r:e<o&&t>r){let l=r+s.border,c=o-s.border;if(e>=l&&t<=c){this.dirty=e==r||t==o?dn:qh,e==l&&t==c&&(s.contentLost||s.dom.parentNode!=this.contentDOM)?s.dirty=et:s.markDirty(e-l,t-l);return}else s.dirty=s.dom==s.contentDOM&&s.dom.parentNode==this.contentDOM&&!s.children.length?dn:et}r=o}this.dirty=dn}markParentsDirty(){let e=1;for(let t=this.parent;t;t=t.parent,e++){let r=e==1?dn:qh;t.dirty<r&&(t.dirty=r)}}get domAtom(){return!1}get ignoreForCoords(){return!1}isText(e){return!1}},Cs=class extends wn{constructor(e,t,r,i){let s,o=t.type.toDOM;if(typeof o=="function"&&(o=o(r,()=>{if(!s)return i;if(s.parent)return s.parent.posBeforeChild(s)})),!t.type.spec.raw){if(o.nodeType!=1){let l=document.createElement("span");l.appendChild(o),o=l}o.contentEditable="false",o.classList.add("ProseMirror-widget")}super(e,[],o,null),this.widget=t,this.widget=t,s=this}matchesWidget(e){return this.dirty==ze&&e.type.eq(this.widget.type)}parseRule(){return{ignore:!0}}stopEvent(e){let t=this.widget.spec.stopEvent;return t?t(e):!1}ignoreMutation(e){return e.type!="selection"||this.widget.spec.ignoreSelection}destroy(){this.widget.type.destroy(this.dom),super.destroy()}get domAtom(){return!0}get side(){return this.widget.type.side}},Dl=class extends wn{constructor(e,t,r,i){super(e,[],t,null),this.textDOM=r,this.text=i}get size(){return this.text.length}localPosFromDOM(e,t){return e!=this.textDOM?this.posAtStart+(t?this.size:0):this.posAtStart+t}domFromPos(e){return{node:this.textDOM,offset:e}}ignoreMutation(e){return e.type==="characterData"&&e.target.nodeValue==e.oldValue}},ir=class n extends wn{constructor(e,t,r,i){super(e,[],r,i),this.mark=t}static create(e,t,r,i){let s=i.nodeViews[t.type.name],o=s&&s(t,i,r);return(!o||!o.dom)&&(o=Vt.renderSpec(document,t.type.spec.toDOM(t,r),null,t.attrs)),new n(e,t,o.dom,o.contentDOM||o.dom)}parseRule(){return this.dirty&et||this.mark.type.spec.reparseInView?null:{mark:this.mark.type.name,attrs:this.mark.attrs,contentElement:this.contentDOM}}matchesMark(e){return this.dirty!=et&&this.mark.eq(e)}markDirty(e,t){if(super.markDirty(e,t),this.dirty!=ze){let r=this.parent;for(;!r.node;)r=r.parent;r.dirty<this.dirty&&(r.dirty=this.dirty),this.dirty=ze}}slice(e,t,r){let i=n.create(this.parent,this.mark,!0,r),s=this.children,o=this.size;t<o&&(s=Rl(s,t,o,r)),e>0&&(s=Rl(s,0,e,r));for(let l=0;l<s.length;l++)s[l].parent=i;return i.children=s,i}},qt=class n extends wn{constructor(e,t,r,i,s,o,l,c,a){super(e,[],s,o),this.node=t,this.outerDeco=r,this.innerDeco=i,this.nodeDOM=l}static create(e,t,r,i,s,o){let l=s.nodeViews[t.type.name],c,a=l&&l(t,s,()=>{if(!c)return o;if(c.parent)return c.parent.posBeforeChild(c)},r,i),h=a&&a.dom,f=a&&a.contentDOM;if(t.isText){if(!h)h=document.createTextNode(t.text);else if(h.nodeType!=3)throw new RangeError("Text must be rendered as a DOM text node")}else h||({dom:h,contentDOM:f}=Vt.renderSpec(document,t.type.spec.toDOM(t),null,t.attrs));!f&&!t.isText&&h.nodeName!="BR"&&(h.hasAttribute("contenteditable")||(h.contentEditable="false"),t.type.spec.draggable&&(h.draggable=!0));let d=h;return h=Ef(h,r,t),a?c=new Ol(e,t,r,i,h,f||null,d,a,s,o+1):t.isText?new Ms(e,t,r,i,h,d,s):new n(e,t,r,i,h,f||null,d,s,o+1)}parseRule(){if(this.node.type.spec.reparseInView)return null;let e={node:this.node.type.name,attrs:this.node.attrs};if(this.node.type.whitespace=="pre"&&(e.preserveWhitespace="full"),!this.contentDOM)e.getContent=()=>this.node.content;else if(!this.contentLost)e.contentElement=this.contentDOM;else{for(let t=this.children.length-1;t>=0;t--){let r=this.children[t];if(this.dom.contains(r.dom.parentNode)){e.contentElement=r.dom.parentNode;break}}e.contentElement||(e.getContent=()=>w.empty)}return e}matchesNode(e,t,r){return this.dirty==ze&&e.eq(this.node)&&Es(t,this.outerDeco)&&r.eq(this.innerDeco)}get size(){return this.node.nodeSize}get border(){return this.node.isLeaf?0:1}updateChildren(e,t){let r=this.node.inlineContent,i=t,s=e.composing?this.localCompositionInfo(e,t):null,o=s&&s.pos>-1?s:null,l=s&&s.pos<0,c=new Il(this,o&&o.node,e);Rg(this.node,this.innerDeco,(a,h,f)=>{a.spec.marks?c.syncToMarks(a.spec.marks,r,e):a.type.side>=0&&!f&&c.syncToMarks(h==this.node.childCount?D.none:this.node.child(h).marks,r,e),c.placeWidget(a,e,i)},(a,h,f,d)=>{c.syncToMarks(a.marks,r,e);let u;c.findNodeMatch(a,h,f,d)||l&&e.state.selection.from>i&&e.state.selection.to<i+a.nodeSize&&(u=c.findIndexWithChild(s.node))>-1&&c.updateNodeAt(a,h,f,u,e)||c.updateNextNode(a,h,f,e,d,i)||c.addNode(a,h,f,e,i),i+=a.nodeSize}),c.syncToMarks([],r,e),this.node.isTextblock&&c.addTextblockHacks(),c.destroyRest(),(c.changed||this.dirty==dn)&&(o&&this.protectLocalComposition(e,o),Mf(this.contentDOM,this.children,e),rr&&vg(this.dom))}localCompositionInfo(e,t){let{from:r,to:i}=e.state.selection;if(!(e.state.selection instanceof A)||r<t||i>t+this.node.content.size)return null;let s=e.input.compositionNode;if(!s||!this.dom.contains(s.parentNode))return null;if(this.node.inlineContent){let o=s.nodeValue,l=_g(this.node.content,o,r-t,i-t);return l<0?null:{node:s,pos:l,text:o}}else return{node:s,pos:-1,text:""}}protectLocalComposition(e,{node:t,pos:r,text:i}){if(this.getDesc(t))return;let s=t;for(;s.parentNode!=this.contentDOM;s=s.parentNode){for(;s.previousSibling;)s.parentNode.removeChild(s.previousSibling);for(;s.nextSibling;)s.parentNode.removeChild(s.nextSibling);s.pmViewDesc&&(s.pmViewDesc=void 0)}let o=new Dl(this,s,t,i);e.input.compositionNodes.push(o),this.children=Rl(this.children,r,r+i.length,e,o)}update(e,t,r,i){return this.dirty==et||!e.sameMarkup(this.node)?!1:(this.updateInner(e,t,r,i),!0)}updateInner(e,t,r,i){this.updateOuterDeco(t),this.node=e,this.innerDeco=r,this.contentDOM&&this.updateChildren(i,this.posAtStart),this.dirty=ze}updateOuterDeco(e){if(Es(e,this.outerDeco))return;let t=this.nodeDOM.nodeType!=1,r=this.dom;this.dom=Af(this.dom,this.nodeDOM,Nl(this.outerDeco,this.node,t),Nl(e,this.node,t)),this.dom!=r&&(r.pmViewDesc=void 0,this.dom.pmViewDesc=this),this.outerDeco=e}selectNode(){this.nodeDOM.nodeType==1&&this.nodeDOM.classList.add("ProseMirror-selectednode"),(this.contentDOM||!this.node.type.spec.draggable)&&(this.dom.draggable=!0)}deselectNode(){this.nodeDOM.nodeType==1&&(this.nodeDOM.classList.remove("ProseMirror-selectednode"),(this.contentDOM||!this.node.type.spec.draggable)&&this.dom.removeAttribute("draggable"))}get domAtom(){return this.node.isAtom}};function Hh(n,e,t,r,i){Ef(r,e,n);let s=new qt(void 0,n,e,t,r,r,r,i,0);return s.contentDOM&&s.updateChildren(i,0),s}var Ms=class n extends qt{constructor(e,t,r,i,s,o,l){super(e,t,r,i,s,null,o,l,0)}parseRule(){let e=this.nodeDOM.parentNode;for(;e&&e!=this.dom&&!e.pmIsDeco;)e=e.parentNode;return{skip:e||!0}}update(e,t,r,i){return this.dirty==et||this.dirty!=ze&&!this.inParent()||!e.sameMarkup(this.node)?!1:(this.updateOuterDeco(t),(this.dirty!=ze||e.text!=this.node.text)&&e.text!=this.nodeDOM.nodeValue&&(this.nodeDOM.nodeValue=e.text,i.trackWrites==this.nodeDOM&&(i.trackWrites=null)),this.node=e,this.dirty=ze,!0)}inParent(){let e=this.parent.contentDOM;for(let t=this.nodeDOM;t;t=t.parentNode)if(t==e)return!0;return!1}domFromPos(e){return{node:this.nodeDOM,offset:e}}localPosFromDOM(e,t,r){return e==this.nodeDOM?this.posAtStart+Math.min(t,this.node.text.length):super.localPosFromDOM(e,t,r)}ignoreMutation(e){return e.type!="characterData"&&e.type!="selection"}slice(e,t,r){let i=this.node.cut(e,t),s=document.createTextNode(i.text);return new n(this.parent,i,this.outerDeco,this.innerDeco,s,s,r)}markDirty(e,t){super.markDirty(e,t),this.dom!=this.nodeDOM&&(e==0||t==this.nodeDOM.nodeValue.length)&&(this.dirty=et)}get domAtom(){return!1}isText(e){return this.node.text==e}},As=class extends wn{parseRule(){return{ignore:!0}}matchesHack(e){return this.dirty==ze&&this.dom.nodeName==e}get domAtom(){return!0}get ignoreForCoords(){return this.dom.nodeName=="IMG"}},Ol=class extends qt{constructor(e,t,r,i,s,o,l,c,a,h){super(e,t,r,i,s,o,l,a,h),this.spec=c}update(e,t,r,i){if(this.dirty==et)return!1;if(this.spec.update){let s=this.spec.update(e,t,r);return s&&this.updateInner(e,t,r,i),s}else return!this.contentDOM&&!e.isLeaf?!1:super.update(e,t,r,i)}selectNode(){this.spec.selectNode?this.spec.selectNode():super.selectNode()}deselectNode(){this.spec.deselectNode?this.spec.deselectNode():super.deselectNode()}setSelection(e,t,r,i){this.spec.setSelection?this.spec.setSelection(e,t,r):super.setSelection(e,t,r,i)}destroy(){this.spec.destroy&&this.spec.destroy(),super.destroy()}stopEvent(e){return this.spec.stopEvent?this.spec.stopEvent(e):!1}ignoreMutation(e){return this.spec.ignoreMutation?this.spec.ignoreMutation(e):super.ignoreMutation(e)}};function Mf(n,e,t){let r=n.firstChild,i=!1;for(let s=0;s<e.length;s++){let o=e[s],l=o.dom;if(l.parentNode==n){for(;l!=r;)r=Jh(r),i=!0;r=r.nextSibling}else i=!0,n.insertBefore(l,r);if(o instanceof ir){let c=r?r.previousSibling:n.lastChild;Mf(o.contentDOM,o.children,t),r=c?c.nextSibling:n.firstChild}}for(;r;)r=Jh(r),i=!0;i&&t.trackWrites==n&&(t.trackWrites=null)}var Zr=function(n){n&&(this.nodeName=n)};Zr.prototype=Object.create(null);var un=[new Zr];function Nl(n,e,t){if(n.length==0)return un;let r=t?un[0]:new Zr,i=[r];for(let s=0;s<n.length;s++){let o=n[s].type.attrs;if(o){o.nodeName&&i.push(r=new Zr(o.nodeName));for(let l in o){let c=o[l];c!=null&&(t&&i.length==1&&i.push(r=new Zr(e.isInline?"span":"div")),l=="class"?r.class=(r.class?r.class+" ":"")+c:l=="style"?r.style=(r.style?r.style+";":"")+c:l!="nodeName"&&(r[l]=c))}}}return i}function Af(n,e,t,r){if(t==un&&r==un)return e;let i=e;for(let s=0;s<r.length;s++){let o=r[s],l=t[s];if(s){let c;l&&l.nodeName==o.nodeName&&i!=n&&(c=i.parentNode)&&c.nodeName.toLowerCase()==o.nodeName||(c=document.createElement(o.nodeName),c.pmIsDeco=!0,c.appendChild(i),l=un[0]),i=c}Og(i,l||un[0],o)}return i}function Og(n,e,t){for(let r in e)r!="class"&&r!="style"&&r!="nodeName"&&!(r in t)&&n.removeAttribute(r);for(let r in t)r!="class"&&r!="style"&&r!="nodeName"&&t[r]!=e[r]&&n.setAttribute(r,t[r]);if(e.class!=t.class){let r=e.class?e.class.split(" ").filter(Boolean):[],i=t.class?t.class.split(" ").filter(Boolean):[];for(let s=0;s<r.length;s++)i.indexOf(r[s])==-1&&n.classList.remove(r[s]);for(let s=0;s<i.length;s++)r.indexOf(i[s])==-1&&n.classList.add(i[s]);n.classList.length==0&&n.removeAttribute("class")}if(e.style!=t.style){if(e.style){let r=/\s*([\w\-\xa1-\uffff]+)\s*:(?:"(?:\\.|[^"])*"|'(?:\\.|[^'])*'|\(.*?\)|[^;])*/g,i;for(;i=r.exec(e.style);)n.style.removeProperty(i[1])}t.style&&(n.style.cssText+=t.style)}}function Ef(n,e,t){return Af(n,n,un,Nl(e,t,n.nodeType!=1))}function Es(n,e){if(n.length!=e.length)return!1;for(let t=0;t<n.length;t++)if(!n[t].type.eq(e[t].type))return!1;return!0}function Jh(n){let e=n.nextSibling;return n.parentNode.removeChild(n),e}var Il=class{constructor(e,t,r){this.lock=t,this.view=r,this.index=0,this.stack=[],this.changed=!1,this.top=e,this.preMatch=Ng(e.node.content,e)}destroyBetween(e,t){if(e!=t){for(let r=e;r<t;r++)this.top.children[r].destroy();this.top.children.splice(e,t-e),this.changed=!0}}destroyRest(){this.destroyBetween(this.index,this.top.children.length)}syncToMarks(e,t,r){let i=0,s=this.stack.length>>1,o=Math.min(s,e.length);for(;i<o&&(i==s-1?this.top:this.stack[i+1<<1]).matchesMark(e[i])&&e[i].type.spec.spanning!==!1;)i++;for(;i<s;)this.destroyRest(),this.top.dirty=ze,this.index=this.stack.pop(),this.top=this.stack.pop(),s--;for(;s<e.length;){this.stack.push(this.top,this.index+1);let l=-1;for(let c=this.index;c<Math.min(this.index+3,this.top.children.length);c++){let a=this.top.children[c];if(a.matchesMark(e[s])&&!this.isLocked(a.dom)){l=c;break}}if(l>-1)l>this.index&&(this.changed=!0,this.destroyBetween(this.index,l)),this.top=this.top.children[this.index];else{let c=ir.create(this.top,e[s],t,r);this.top.children.splice(this.index,0,c),this.top=c,this.changed=!0}this.index=0,s++}}findNodeMatch(e,t,r,i){let s=-1,o;if(i>=this.preMatch.index&&(o=this.preMatch.matches[i-this.preMatch.index]).parent==this.top&&o.matchesNode(e,t,r))s=this.top.children.indexOf(o,this.index);else for(let l=this.index,c=Math.min(this.top.children.length,l+5);l<c;l++){let a=this.top.children[l];if(a.matchesNode(e,t,r)&&!this.preMatch.matched.has(a)){s=l;break}}return s<0?!1:(this.destroyBetween(this.index,s),this.index++,!0)}updateNodeAt(e,t,r,i,s){let o=this.top.children[i];return o.dirty==et&&o.dom==o.contentDOM&&(o.dirty=dn),o.update(e,t,r,s)?(this.destroyBetween(this.index,i),this.index++,!0):!1}findIndexWithChild(e){for(;;){let t=e.parentNode;if(!t)return-1;if(t==this.top.contentDOM){let r=e.pmViewDesc;if(r){for(let i=this.index;i<this.top.children.length;i++)if(this.top.children[i]==r)return i}return-1}e=t}}updateNextNode(e,t,r,i,s,o){for(let l=this.index;l<this.top.children.length;l++){let c=this.top.children[l];if(c instanceof qt){let a=this.preMatch.matched.get(c);if(a!=null&&a!=s)return!1;let h=c.dom,f,d=this.isLocked(h)&&!(e.isText&&c.node&&c.node.isText&&c.nodeDOM.nodeValue==e.text&&c.dirty!=et&&Es(t,c.outerDeco));if(!d&&c.update(e,t,r,i))return this.destroyBetween(this.index,l),c.dom!=h&&(this.changed=!0),this.index++,!0;if(!d&&(f=this.recreateWrapper(c,e,t,r,i,o)))return this.destroyBetween(this.index,l),this.top.children[this.index]=f,f.contentDOM&&(f.dirty=dn,f.updateChildren(i,o+1),f.dirty=ze),this.changed=!0,this.index++,!0;break}}return!1}recreateWrapper(e,t,r,i,s,o){if(e.dirty||t.isAtom||!e.children.length||!e.node.content.eq(t.content)||!Es(r,e.outerDeco)||!i.eq(e.innerDeco))return null;let l=qt.create(this.top,t,r,i,s,o);if(l.contentDOM){l.children=e.children,e.children=[];for(let c of l.children)c.parent=l}return e.destroy(),l}addNode(e,t,r,i,s){let o=qt.create(this.top,e,t,r,i,s);o.contentDOM&&o.updateChildren(i,s+1),this.top.children.splice(this.index++,0,o),this.changed=!0}placeWidget(e,t,r){let i=this.index<this.top.children.length?this.top.children[this.index]:null;if(i&&i.matchesWidget(e)&&(e==i.widget||!i.widget.type.toDOM.parentNode))this.index++;else{let s=new Cs(this.top,e,t,r);this.top.children.splice(this.index++,0,s),this.changed=!0}}addTextblockHacks(){let e=this.top.children[this.index-1],t=this.top;for(;e instanceof ir;)t=e,e=t.children[t.children.length-1];(!e||!(e instanceof Ms)||/\n$/.test(e.node.text)||this.view.requiresGeckoHackNode&&/\s$/.test(e.node.text))&&((be||ue)&&e&&e.dom.contentEditable=="false"&&this.addHackNode("IMG",t),this.addHackNode("BR",this.top))}addHackNode(e,t){if(t==this.top&&this.index<t.children.length&&t.children[this.index].matchesHack(e))this.index++;else{let r=document.createElement(e);e=="IMG"&&(r.className="ProseMirror-separator",r.alt=""),e=="BR"&&(r.className="ProseMirror-trailingBreak");let i=new As(this.top,[],r,null);t!=this.top?t.children.push(i):t.children.splice(this.index++,0,i),this.changed=!0}}isLocked(e){return this.lock&&(e==this.lock||e.nodeType==1&&e.contains(this.lock.parentNode))}};function Ng(n,e){let t=e,r=t.children.length,i=n.childCount,s=new Map,o=[];e:for(;i>0;){let l;for(;;)if(r){let a=t.children[r-1];if(a instanceof ir)t=a,r=a.children.length;else{l=a,r--;break}}else{if(t==e)break e;r=t.parent.children.indexOf(t),t=t.parent}let c=l.node;if(c){if(c!=n.child(i-1))break;--i,s.set(l,i),o.push(l)}}return{index:i,matched:s,matches:o.reverse()}}function Ig(n,e){return n.type.side-e.type.side}function Rg(n,e,t,r){let i=e.locals(n),s=0;if(i.length==0){for(let a=0;a<n.childCount;a++){let h=n.child(a);r(h,i,e.forChild(s,h),a),s+=h.nodeSize}return}let o=0,l=[],c=null;for(let a=0;;){let h,f;for(;o<i.length&&i[o].to==s;){let g=i[o++];g.widget&&(h?(f||(f=[h])).push(g):h=g)}if(h)if(f){f.sort(Ig);for(let g=0;g<f.length;g++)t(f[g],a,!!c)}else t(h,a,!!c);let d,u;if(c)u=-1,d=c,c=null;else if(a<n.childCount)u=a,d=n.child(a++);else break;for(let g=0;g<l.length;g++)l[g].to<=s&&l.splice(g--,1);for(;o<i.length&&i[o].from<=s&&i[o].to>s;)l.push(i[o++]);let p=s+d.nodeSize;if(d.isText){let g=p;o<i.length&&i[o].from<g&&(g=i[o].from);for(let y=0;y<l.length;y++)l[y].to<g&&(g=l[y].to);g<p&&(c=d.cut(g-s),d=d.cut(0,g-s),p=g,u=-1)}else for(;o<i.length&&i[o].to<p;)o++;let m=d.isInline&&!d.isLeaf?l.filter(g=>!g.inline):l.slice();r(d,m,e.forChild(s,d),u),s=p}}function vg(n){if(n.nodeName=="UL"||n.nodeName=="OL"){let e=n.style.cssText;n.style.cssText=e+"; list-style: square !important",window.getComputedStyle(n).listStyle,n.style.cssText=e}}function _g(n,e,t,r){for(let i=0,s=0;i<n.childCount&&s<=r;){let o=n.child(i++),l=s;if(s+=o.nodeSize,!o.isText)continue;let c=o.text;for(;i<n.childCount;){let a=n.child(i++);if(s+=a.nodeSize,!a.isText)break;c+=a.text}if(s>=t){if(s>=r&&c.slice(r-e.length-l,r-l)==e)return r-e.length;let a=l<r?c.lastIndexOf(e,r-l-1):-1;if(a>=0&&a+e.length+l>=t)return l+a;if(t==r&&c.length>=r+e.length-l&&c.slice(r-l,r-l+e.length)==e)return r}}return-1}function Rl(n,e,t,r,i){let s=[];for(let o=0,l=0;o<n.length;o++){let c=n[o],a=l,h=l+=c.size;a>=t||h<=e?s.push(c):(a<e&&s.push(c.slice(0,e-a,r)),i&&(s.push(i),i=void 0),h>t&&s.push(c.slice(t-a,c.size,r)))}return s}function Hl(n,e=null){let t=n.domSelectionRange(),r=n.state.doc;if(!t.focusNode)return null;let i=n.docView.nearestDesc(t.focusNode),s=i&&i.size==0,o=n.docView.posFromDOM(t.focusNode,t.focusOffset,1);if(o<0)return null;let l=r.resolve(o),c,a;if(vs(t)){for(c=o;i&&!i.node;)i=i.parent;let f=i.node;if(i&&f.isAtom&&k.isSelectable(f)&&i.parent&&!(f.isInline&&ag(t.focusNode,t.focusOffset,i.dom))){let d=i.posBefore;a=new k(o==d?l:r.resolve(d))}}else{if(t instanceof n.dom.ownerDocument.defaultView.Selection&&t.rangeCount>1){let f=o,d=o;for(let u=0;u<t.rangeCount;u++){let p=t.getRangeAt(u);f=Math.min(f,n.docView.posFromDOM(p.startContainer,p.startOffset,1)),d=Math.max(d,n.docView.posFromDOM(p.endContainer,p.endOffset,-1))}if(f<0)return null;[c,o]=d==n.state.selection.anchor?[d,f]:[f,d],l=r.resolve(o)}else c=n.docView.posFromDOM(t.anchorNode,t.anchorOffset,1);if(c<0)return null}let h=r.resolve(c);if(!a){let f=e=="pointer"||n.state.selection.head<l.pos&&!s?1:-1;a=Jl(n,h,l,f)}return a}function Tf(n){return n.editable?n.hasFocus():Of(n)&&document.activeElement&&document.activeElement.contains(n.dom)}function St(n,e=!1){let t=n.state.selection;if(Df(n,t),!!Tf(n)){if(!e&&n.input.mouseDown&&n.input.mouseDown.allowDefault&&ue){let r=n.domSelectionRange(),i=n.domObserver.currentSelection;if(r.anchorNode&&i.anchorNode&&yn(r.anchorNode,r.anchorOffset,i.anchorNode,i.anchorOffset)){n.input.mouseDown.delayedSelectionSync=!0,n.domObserver.setCurSelection();return}}if(n.domObserver.disconnectSelection(),n.cursorWrapper)Vg(n);else{let{anchor:r,head:i}=t,s,o;jh&&!(t instanceof A)&&(t.$from.parent.inlineContent||(s=Wh(n,t.from)),!t.empty&&!t.$from.parent.inlineContent&&(o=Wh(n,t.to))),n.docView.setSelection(r,i,n.root,e),jh&&(s&&Kh(s),o&&Kh(o)),t.visible?n.dom.classList.remove("ProseMirror-hideselection"):(n.dom.classList.add("ProseMirror-hideselection"),"onselectionchange"in document&&Ug(n))}n.domObserver.setCurSelection(),n.domObserver.connectSelection()}}var jh=be||ue&&yf<63;function Wh(n,e){let{node:t,offset:r}=n.docView.domFromPos(e,0),i=r<t.childNodes.length?t.childNodes[r]:null,s=r?t.childNodes[r-1]:null;if(be&&i&&i.contentEditable=="false")return Sl(i);if((!i||i.contentEditable=="false")&&(!s||s.contentEditable=="false")){if(i)return Sl(i);if(s)return Sl(s)}}function Sl(n){return n.contentEditable="true",be&&n.draggable&&(n.draggable=!1,n.wasDraggable=!0),n}function Kh(n){n.contentEditable="false",n.wasDraggable&&(n.draggable=!0,n.wasDraggable=null)}function Ug(n){let e=n.dom.ownerDocument;e.removeEventListener("selectionchange",n.input.hideSelectionGuard);let t=n.domSelectionRange(),r=t.anchorNode,i=t.anchorOffset;e.addEventListener("selectionchange",n.input.hideSelectionGuard=()=>{(t.anchorNode!=r||t.anchorOffset!=i)&&(e.removeEventListener("selectionchange",n.input.hideSelectionGuard),setTimeout(()=>{(!Tf(n)||n.state.selection.visible)&&n.dom.classList.remove("ProseMirror-hideselection")},20))})}function Vg(n){let e=n.domSelection(),t=document.createRange();if(!e)return;let r=n.cursorWrapper.dom,i=r.nodeName=="IMG";i?t.setStart(r.parentNode,ie(r)+1):t.setStart(r,0),t.collapse(!0),e.removeAllRanges(),e.addRange(t),!i&&!n.state.selection.visible&&Ee&&$t<=11&&(r.disabled=!0,r.disabled=!1)}function Df(n,e){if(e instanceof k){let t=n.docView.descAt(e.from);t!=n.lastSelectedViewDesc&&(Yh(n),t&&t.selectNode(),n.lastSelectedViewDesc=t)}else Yh(n)}function Yh(n){n.lastSelectedViewDesc&&(n.lastSelectedViewDesc.parent&&n.lastSelectedViewDesc.deselectNode(),n.lastSelectedViewDesc=void 0)}function Jl(n,e,t,r){return n.someProp("createSelectionBetween",i=>i(n,e,t))||A.between(e,t,r)}function Gh(n){return n.editable&&!n.hasFocus()?!1:Of(n)}function Of(n){let e=n.domSelectionRange();if(!e.anchorNode)return!1;try{return n.dom.contains(e.anchorNode.nodeType==3?e.anchorNode.parentNode:e.anchorNode)&&(n.editable||n.dom.contains(e.focusNode.nodeType==3?e.focusNode.parentNode:e.focusNode))}catch{return!1}}function Bg(n){let e=n.docView.domFromPos(n.state.selection.anchor,0),t=n.domSelectionRange();return yn(e.node,e.offset,t.anchorNode,t.anchorOffset)}function vl(n,e){let{$anchor:t,$head:r}=n.selection,i=e>0?t.max(r):t.min(r),s=i.parent.inlineContent?i.depth?n.doc.resolve(e>0?i.after():i.before()):null:i;return s&&S.findFrom(s,e)}function zt(n,e){return n.dispatch(n.state.tr.setSelection(e).scrollIntoView()),!0}function Xh(n,e,t){let r=n.state.selection;if(r instanceof A)if(t.indexOf("s")>-1){let{$head:i}=r,s=i.textOffset?null:e<0?i.nodeBefore:i.nodeAfter;if(!s||s.isText||!s.isLeaf)return!1;let o=n.state.doc.resolve(i.pos+s.nodeSize*(e<0?-1:1));return zt(n,new A(r.$anchor,o))}else if(r.empty){if(n.endOfTextblock(e>0?"forward":"backward")){let i=vl(n.state,e);return i&&i instanceof k?zt(n,i):!1}else if(!(Pe&&t.indexOf("m")>-1)){let i=r.$head,s=i.textOffset?null:e<0?i.nodeBefore:i.nodeAfter,o;if(!s||s.isText)return!1;let l=e<0?i.pos-s.nodeSize:i.pos;return s.isAtom||(o=n.docView.descAt(l))&&!o.contentDOM?k.isSelectable(s)?zt(n,new k(e<0?n.state.doc.resolve(i.pos-s.nodeSize):i)):oi?zt(n,new A(n.state.doc.resolve(e<0?l:l+s.nodeSize))):!1:!1}}else return!1;else{if(r instanceof k&&r.node.isInline)return zt(n,new A(e>0?r.$to:r.$from));{let i=vl(n.state,e);return i?zt(n,i):!1}}}function Ts(n){return n.nodeType==3?n.nodeValue.length:n.childNodes.length}function ei(n,e){let t=n.pmViewDesc;return t&&t.size==0&&(e<0||n.nextSibling||n.nodeName!="BR")}function er(n,e){return e<0?Pg(n):Lg(n)}function Pg(n){let e=n.domSelectionRange(),t=e.focusNode,r=e.focusOffset;if(!t)return;let i,s,o=!1;for(Ke&&t.nodeType==1&&r<Ts(t)&&ei(t.childNodes[r],-1)&&(o=!0);;)if(r>0){if(t.nodeType!=1)break;{let l=t.childNodes[r-1];if(ei(l,-1))i=t,s=--r;else if(l.nodeType==3)t=l,r=t.nodeValue.length;else break}}else{if(Nf(t))break;{let l=t.previousSibling;for(;l&&ei(l,-1);)i=t.parentNode,s=ie(l),l=l.previousSibling;if(l)t=l,r=Ts(t);else{if(t=t.parentNode,t==n.dom)break;r=0}}}o?_l(n,t,r):i&&_l(n,i,s)}function Lg(n){let e=n.domSelectionRange(),t=e.focusNode,r=e.focusOffset;if(!t)return;let i=Ts(t),s,o;for(;;)if(r<i){if(t.nodeType!=1)break;let l=t.childNodes[r];if(ei(l,1))s=t,o=++r;else break}else{if(Nf(t))break;{let l=t.nextSibling;for(;l&&ei(l,1);)s=l.parentNode,o=ie(l)+1,l=l.nextSibling;if(l)t=l,r=0,i=Ts(t);else{if(t=t.parentNode,t==n.dom)break;r=i=0}}}s&&_l(n,s,o)}function Nf(n){let e=n.pmViewDesc;return e&&e.node&&e.node.isBlock}function zg(n,e){for(;n&&e==n.childNodes.length&&!si(n);)e=ie(n)+1,n=n.parentNode;for(;n&&e<n.childNodes.length;){let t=n.childNodes[e];if(t.nodeType==3)return t;if(t.nodeType==1&&t.contentEditable=="false")break;n=t,e=0}}function Fg(n,e){for(;n&&!e&&!si(n);)e=ie(n),n=n.parentNode;for(;n&&e;){let t=n.childNodes[e-1];if(t.nodeType==3)return t;if(t.nodeType==1&&t.contentEditable=="false")break;n=t,e=n.childNodes.length}}function _l(n,e,t){if(e.nodeType!=3){let s,o;(o=zg(e,t))?(e=o,t=0):(s=Fg(e,t))&&(e=s,t=s.nodeValue.length)}let r=n.domSelection();if(!r)return;if(vs(r)){let s=document.createRange();s.setEnd(e,t),s.setStart(e,t),r.removeAllRanges(),r.addRange(s)}else r.extend&&r.extend(e,t);n.domObserver.setCurSelection();let{state:i}=n;setTimeout(()=>{n.state==i&&St(n)},50)}function Qh(n,e){let t=n.state.doc.resolve(e);if(!(ue||dg)&&t.parent.inlineContent){let i=n.coordsAtPos(e);if(e>t.start()){let s=n.coordsAtPos(e-1),o=(s.top+s.bottom)/2;if(o>i.top&&o<i.bottom&&Math.abs(s.left-i.left)>1)return s.left<i.left?"ltr":"rtl"}if(e<t.end()){let s=n.coordsAtPos(e+1),o=(s.top+s.bottom)/2;if(o>i.top&&o<i.bottom&&Math.abs(s.left-i.left)>1)return s.left>i.left?"ltr":"rtl"}}return getComputedStyle(n.dom).direction=="rtl"?"rtl":"ltr"}function Zh(n,e,t){let r=n.state.selection;if(r instanceof A&&!r.empty||t.indexOf("s")>-1||Pe&&t.indexOf("m")>-1)return!1;let{$from:i,$to:s}=r;if(!i.parent.inlineContent||n.endOfTextblock(e<0?"up":"down")){let o=vl(n.state,e);if(o&&o instanceof k)return zt(n,o)}if(!i.parent.inlineContent){let o=e<0?i:s,l=r instanceof Ie?S.near(o,e):S.findFrom(o,e);return l?zt(n,l):!1}return!1}function ef(n,e){if(!(n.state.selection instanceof A))return!0;let{$head:t,$anchor:r,empty:i}=n.state.selection;if(!t.sameParent(r))return!0;if(!i)return!1;if(n.endOfTextblock(e>0?"forward":"backward"))return!0;let s=!t.textOffset&&(e<0?t.nodeBefore:t.nodeAfter);if(s&&!s.isText){let o=n.state.tr;return e<0?o.delete(t.pos-s.nodeSize,t.pos):o.delete(t.pos,t.pos+s.nodeSize),n.dispatch(o),!0}return!1}function tf(n,e,t){n.domObserver.stop(),e.contentEditable=t,n.domObserver.start()}function $g(n){if(!be||n.state.selection.$head.parentOffset>0)return!1;let{focusNode:e,focusOffset:t}=n.domSelectionRange();if(e&&e.nodeType==1&&t==0&&e.firstChild&&e.firstChild.contentEditable=="false"){let r=e.firstChild;tf(n,r,"true"),setTimeout(()=>tf(n,r,"false"),20)}return!1}function qg(n){let e="";return n.ctrlKey&&(e+="c"),n.metaKey&&(e+="m"),n.altKey&&(e+="a"),n.shiftKey&&(e+="s"),e}function Hg(n,e){let t=e.keyCode,r=qg(e);if(t==8||Pe&&t==72&&r=="c")return ef(n,-1)||er(n,-1);if(t==46&&!e.shiftKey||Pe&&t==68&&r=="c")return ef(n,1)||er(n,1);if(t==13||t==27)return!0;if(t==37||Pe&&t==66&&r=="c"){let i=t==37?Qh(n,n.state.selection.from)=="ltr"?-1:1:-1;return Xh(n,i,r)||er(n,i)}else if(t==39||Pe&&t==70&&r=="c"){let i=t==39?Qh(n,n.state.selection.from)=="ltr"?1:-1:1;return Xh(n,i,r)||er(n,i)}else{if(t==38||Pe&&t==80&&r=="c")return Zh(n,-1,r)||er(n,-1);if(t==40||Pe&&t==78&&r=="c")return $g(n)||Zh(n,1,r)||er(n,1);if(r==(Pe?"m":"c")&&(t==66||t==73||t==89||t==90))return!0}return!1}function If(n,e){n.someProp("transformCopied",u=>{e=u(e,n)});let t=[],{content:r,openStart:i,openEnd:s}=e;for(;i>1&&s>1&&r.childCount==1&&r.firstChild.childCount==1;){i--,s--;let u=r.firstChild;t.push(u.type.name,u.attrs!=u.type.defaultAttrs?u.attrs:null),r=u.content}let o=n.someProp("clipboardSerializer")||Vt.fromSchema(n.state.schema),l=Bf(),c=l.createElement("div");c.appendChild(o.serializeFragment(r,{document:l}));let a=c.firstChild,h,f=0;for(;a&&a.nodeType==1&&(h=Vf[a.nodeName.toLowerCase()]);){for(let u=h.length-1;u>=0;u--){let p=l.createElement(h[u]);for(;c.firstChild;)p.appendChild(c.firstChild);c.appendChild(p),f++}a=c.firstChild}a&&a.nodeType==1&&a.setAttribute("data-pm-slice",`${i} ${s}${f?` -${f}`:""} ${JSON.stringify(t)}`);let d=n.someProp("clipboardTextSerializer",u=>u(e,n))||e.content.textBetween(0,e.content.size,`
+`),t)}ignoreFallback(e,t){e.nodeName=="BR"&&(!this.top.type||!this.top.type.inlineContent)&&this.findPlace(this.parser.schema.text("-"),t)}readStyles(e,t){let r=e.style;if(r&&r.length)for(let i=0;i<this.parser.matchedStyles.length;i++){let s=this.parser.matchedStyles[i],o=r.getPropertyValue(s);if(o)for(let l=void 0;;){let c=this.parser.matchStyle(s,o,this,l);if(!c)break;if(c.ignore)return null;if(c.clearMark?t=t.filter(a=>!c.clearMark(a)):t=t.concat(this.parser.schema.marks[c.mark].create(c.attrs)),c.consuming===!1)l=c;else break}}return t}addElementByRule(e,t,r,i){let s,o;if(t.node)if(o=this.parser.schema.nodes[t.node],o.isLeaf)this.insertNode(o.create(t.attrs),r)||this.leafFallback(e,r);else{let c=this.enter(o,t.attrs||null,r,t.preserveWhitespace);c&&(s=!0,r=c)}else{let c=this.parser.schema.marks[t.mark];r=r.concat(c.create(t.attrs))}let l=this.top;if(o&&o.isLeaf)this.findInside(e);else if(i)this.addElement(e,r,i);else if(t.getContent)this.findInside(e),t.getContent(e,this.parser.schema).forEach(c=>this.insertNode(c,r));else{let c=e;typeof t.contentElement=="string"?c=e.querySelector(t.contentElement):typeof t.contentElement=="function"?c=t.contentElement(e):t.contentElement&&(c=t.contentElement),this.findAround(e,c,!0),this.addAll(c,r),this.findAround(e,c,!1)}s&&this.sync(l)&&this.open--}addAll(e,t,r,i){let s=r||0;for(let o=r?e.childNodes[r]:e.firstChild,l=i==null?null:e.childNodes[i];o!=l;o=o.nextSibling,++s)this.findAtPoint(e,s),this.addDOM(o,t);this.findAtPoint(e,s)}findPlace(e,t){let r,i;for(let s=this.open;s>=0;s--){let o=this.nodes[s],l=o.findWrapping(e);if(l&&(!r||r.length>l.length)&&(r=l,i=o,!l.length)||o.solid)break}if(!r)return null;this.sync(i);for(let s=0;s<r.length;s++)t=this.enterInner(r[s],null,t,!1);return t}insertNode(e,t){if(e.isInline&&this.needsBlock&&!this.top.type){let i=this.textblockFromContext();i&&(t=this.enterInner(i,null,t))}let r=this.findPlace(e,t);if(r){this.closeExtra();let i=this.top;i.match&&(i.match=i.match.matchType(e.type));let s=D.none;for(let o of r.concat(e.marks))(i.type?i.type.allowsMarkType(o.type):Ka(o.type,e.type))&&(s=o.addToSet(s));return i.content.push(e.mark(s)),!0}return!1}enter(e,t,r,i){let s=this.findPlace(e.create(t),r);return s&&(s=this.enterInner(e,t,r,!0,i)),s}enterInner(e,t,r,i=!1,s){this.closeExtra();let o=this.top;o.match=o.match&&o.match.matchType(e);let l=ja(e,s,o.options);o.options&$r&&o.content.length==0&&(l|=$r);let c=D.none;return r=r.filter(a=>(o.type?o.type.allowsMarkType(a.type):Ka(a.type,e))?(c=a.addToSet(c),!1):!0),this.nodes.push(new jn(e,t,c,i,null,l)),this.open++,r}closeExtra(e=!1){let t=this.nodes.length-1;if(t>this.open){for(;t>this.open;t--)this.nodes[t-1].content.push(this.nodes[t].finish(e));this.nodes.length=this.open+1}}finish(){return this.open=0,this.closeExtra(this.isOpen),this.nodes[0].finish(this.isOpen||this.options.topOpen)}sync(e){for(let t=this.open;t>=0;t--)if(this.nodes[t]==e)return this.open=t,!0;return!1}get currentPos(){this.closeExtra();let e=0;for(let t=this.open;t>=0;t--){let r=this.nodes[t].content;for(let i=r.length-1;i>=0;i--)e+=r[i].nodeSize;t&&e++}return e}findAtPoint(e,t){if(this.find)for(let r=0;r<this.find.length;r++)this.find[r].node==e&&this.find[r].offset==t&&(this.find[r].pos=this.currentPos)}findInside(e){if(this.find)for(let t=0;t<this.find.length;t++)this.find[t].pos==null&&e.nodeType==1&&e.contains(this.find[t].node)&&(this.find[t].pos=this.currentPos)}findAround(e,t,r){if(e!=t&&this.find)for(let i=0;i<this.find.length;i++)this.find[i].pos==null&&e.nodeType==1&&e.contains(this.find[i].node)&&t.compareDocumentPosition(this.find[i].node)&(r?2:4)&&(this.find[i].pos=this.currentPos)}findInText(e){if(this.find)for(let t=0;t<this.find.length;t++)this.find[t].node==e&&(this.find[t].pos=this.currentPos-(e.nodeValue.length-this.find[t].offset))}matchesContext(e){if(e.indexOf("|")>-1)return e.split(/\s*\|\s*/).some(this.matchesContext,this);let t=e.split("/"),r=this.options.context,i=!this.isOpen&&(!r||r.parent.type==this.nodes[0].type),s=-(r?r.depth+1:0)+(i?0:1),o=(l,c)=>{for(;l>=0;l--){let a=t[l];if(a==""){if(l==t.length-1||l==0)continue;for(;c>=s;c--)if(o(l-1,c))return!0;return!1}else{let h=c>0||c==0&&i?this.nodes[c].type:r&&c>=s?r.node(c-s).type:null;if(!h||h.name!=a&&!h.isInGroup(a))return!1;c--}}return!0};return o(t.length-1,this.open)}textblockFromContext(){let e=this.options.context;if(e)for(let t=e.depth;t>=0;t--){let r=e.node(t).contentMatchAt(e.indexAfter(t)).defaultType;if(r&&r.isTextblock&&r.defaultAttrs)return r}for(let t in this.parser.schema.nodes){let r=this.parser.schema.nodes[t];if(r.isTextblock&&r.defaultAttrs)return r}}};function Im(n){for(let e=n.firstChild,t=null;e;e=e.nextSibling){let r=e.nodeType==1?e.nodeName.toLowerCase():null;r&&dh.hasOwnProperty(r)&&t?(t.appendChild(e),e=t):r=="li"?t=e:r&&(t=null)}}function Rm(n,e){return(n.matches||n.msMatchesSelector||n.webkitMatchesSelector||n.mozMatchesSelector).call(n,e)}function Wa(n){let e={};for(let t in n)e[t]=n[t];return e}function Ka(n,e){let t=e.schema.nodes;for(let r in t){let i=t[r];if(!i.allowsMarkType(n))continue;let s=[],o=l=>{s.push(l);for(let c=0;c<l.edgeCount;c++){let{type:a,next:h}=l.edge(c);if(a==e||s.indexOf(h)<0&&o(h))return!0}};if(o(i.contentMatch))return!0}}var Bt=class n{constructor(e,t){this.nodes=e,this.marks=t}serializeFragment(e,t={},r){r||(r=tl(t).createDocumentFragment());let i=r,s=[];return e.forEach(o=>{if(s.length||o.marks.length){let l=0,c=0;for(;l<s.length&&c<o.marks.length;){let a=o.marks[c];if(!this.marks[a.type.name]){c++;continue}if(!a.eq(s[l][0])||a.type.spec.spanning===!1)break;l++,c++}for(;l<s.length;)i=s.pop()[1];for(;c<o.marks.length;){let a=o.marks[c++],h=this.serializeMark(a,o.isInline,t);h&&(s.push([a,i]),i.appendChild(h.dom),i=h.contentDOM||h.dom)}}i.appendChild(this.serializeNodeInner(o,t))}),r}serializeNodeInner(e,t){let{dom:r,contentDOM:i}=as(tl(t),this.nodes[e.type.name](e),null,e.attrs);if(i){if(e.isLeaf)throw new RangeError("Content hole not allowed in a leaf node spec");this.serializeFragment(e.content,t,i)}return r}serializeNode(e,t={}){let r=this.serializeNodeInner(e,t);for(let i=e.marks.length-1;i>=0;i--){let s=this.serializeMark(e.marks[i],e.isInline,t);s&&((s.contentDOM||s.dom).appendChild(r),r=s.dom)}return r}serializeMark(e,t,r={}){let i=this.marks[e.type.name];return i&&as(tl(r),i(e,t),null,e.attrs)}static renderSpec(e,t,r=null,i){return as(e,t,r,i)}static fromSchema(e){return e.cached.domSerializer||(e.cached.domSerializer=new n(this.nodesFromSchema(e),this.marksFromSchema(e)))}static nodesFromSchema(e){let t=Ya(e.nodes);return t.text||(t.text=r=>r.text),t}static marksFromSchema(e){return Ya(e.marks)}};function Ya(n){let e={};for(let t in n){let r=n[t].spec.toDOM;r&&(e[t]=r)}return e}function tl(n){return n.document||window.document}var Ga=new WeakMap;function vm(n){let e=Ga.get(n);return e===void 0&&Ga.set(n,e=_m(n)),e}function _m(n){let e=null;function t(r){if(r&&typeof r=="object")if(Array.isArray(r))if(typeof r[0]=="string")e||(e=[]),e.push(r);else for(let i=0;i<r.length;i++)t(r[i]);else for(let i in r)t(r[i])}return t(n),e}function as(n,e,t,r){if(typeof e=="string")return{dom:n.createTextNode(e)};if(e.nodeType!=null)return{dom:e};if(e.dom&&e.dom.nodeType!=null)return e;let i=e[0],s;if(typeof i!="string")throw new RangeError("Invalid array passed to renderSpec");if(r&&(s=vm(r))&&s.indexOf(e)>-1)throw new RangeError("Using an array from an attribute object as a DOM spec. This may be an attempted cross site scripting attack.");let o=i.indexOf(" ");o>0&&(t=i.slice(0,o),i=i.slice(o+1));let l,c=t?n.createElementNS(t,i):n.createElement(i),a=e[1],h=1;if(a&&typeof a=="object"&&a.nodeType==null&&!Array.isArray(a)){h=2;for(let f in a)if(a[f]!=null){let d=f.indexOf(" ");d>0?c.setAttributeNS(f.slice(0,d),f.slice(d+1),a[f]):c.setAttribute(f,a[f])}}for(let f=h;f<e.length;f++){let d=e[f];if(d===0){if(f<e.length-1||f>h)throw new RangeError("Content hole must be the only child of its parent node");return{dom:c,contentDOM:c}}else{let{dom:u,contentDOM:p}=as(n,d,t,r);if(c.appendChild(u),p){if(l)throw new RangeError("Multiple content holes");l=p}}}return{dom:c,contentDOM:l}}var mh=65535,gh=Math.pow(2,16);function Vm(n,e){return n+e*gh}function uh(n){return n&mh}function Bm(n){return(n-(n&mh))/gh}var yh=1,wh=2,ys=4,bh=8,Wr=class{constructor(e,t,r){this.pos=e,this.delInfo=t,this.recover=r}get deleted(){return(this.delInfo&bh)>0}get deletedBefore(){return(this.delInfo&(yh|ys))>0}get deletedAfter(){return(this.delInfo&(wh|ys))>0}get deletedAcross(){return(this.delInfo&ys)>0}},yt=class n{constructor(e,t=!1){if(this.ranges=e,this.inverted=t,!e.length&&n.empty)return n.empty}recover(e){let t=0,r=uh(e);if(!this.inverted)for(let i=0;i<r;i++)t+=this.ranges[i*3+2]-this.ranges[i*3+1];return this.ranges[r*3]+t+Bm(e)}mapResult(e,t=1){return this._map(e,t,!1)}map(e,t=1){return this._map(e,t,!0)}_map(e,t,r){let i=0,s=this.inverted?2:1,o=this.inverted?1:2;for(let l=0;l<this.ranges.length;l+=3){let c=this.ranges[l]-(this.inverted?i:0);if(c>e)break;let a=this.ranges[l+s],h=this.ranges[l+o],f=c+a;if(e<=f){let d=a?e==c?-1:e==f?1:t:t,u=c+i+(d<0?0:h);if(r)return u;let p=e==(t<0?c:f)?null:Vm(l/3,e-c),m=e==c?wh:e==f?yh:ys;return(t<0?e!=c:e!=f)&&(m|=bh),new Wr(u,m,p)}i+=h-a}return r?e+i:new Wr(e+i,0,null)}touches(e,t){let r=0,i=uh(t),s=this.inverted?2:1,o=this.inverted?1:2;for(let l=0;l<this.ranges.length;l+=3){let c=this.ranges[l]-(this.inverted?r:0);if(c>e)break;let a=this.ranges[l+s],h=c+a;if(e<=h&&l==i*3)return!0;r+=this.ranges[l+o]-a}return!1}forEach(e){let t=this.inverted?2:1,r=this.inverted?1:2;for(let i=0,s=0;i<this.ranges.length;i+=3){let o=this.ranges[i],l=o-(this.inverted?s:0),c=o+(this.inverted?0:s),a=this.ranges[i+t],h=this.ranges[i+r];e(l,l+a,c,c+h),s+=h-a}}invert(){return new n(this.ranges,!this.inverted)}toString(){return(this.inverted?"-":"")+JSON.stringify(this.ranges)}static offset(e){return e==0?n.empty:new n(e<0?[0,-e,0]:[0,0,e])}};yt.empty=new yt([]);var Kr=class n{constructor(e,t,r=0,i=e?e.length:0){this.mirror=t,this.from=r,this.to=i,this._maps=e||[],this.ownData=!(e||t)}get maps(){return this._maps}slice(e=0,t=this.maps.length){return new n(this._maps,this.mirror,e,t)}appendMap(e,t){this.ownData||(this._maps=this._maps.slice(),this.mirror=this.mirror&&this.mirror.slice(),this.ownData=!0),this.to=this._maps.push(e),t!=null&&this.setMirror(this._maps.length-1,t)}appendMapping(e){for(let t=0,r=this._maps.length;t<e._maps.length;t++){let i=e.getMirror(t);this.appendMap(e._maps[t],i!=null&&i<t?r+i:void 0)}}getMirror(e){if(this.mirror){for(let t=0;t<this.mirror.length;t++)if(this.mirror[t]==e)return this.mirror[t+(t%2?-1:1)]}}setMirror(e,t){this.mirror||(this.mirror=[]),this.mirror.push(e,t)}appendMappingInverted(e){for(let t=e.maps.length-1,r=this._maps.length+e._maps.length;t>=0;t--){let i=e.getMirror(t);this.appendMap(e._maps[t].invert(),i!=null&&i>t?r-i-1:void 0)}}invert(){let e=new n;return e.appendMappingInverted(this),e}map(e,t=1){if(this.mirror)return this._map(e,t,!0);for(let r=this.from;r<this.to;r++)e=this._maps[r].map(e,t);return e}mapResult(e,t=1){return this._map(e,t,!1)}_map(e,t,r){let i=0;for(let s=this.from;s<this.to;s++){let o=this._maps[s],l=o.mapResult(e,t);if(l.recover!=null){let c=this.getMirror(s);if(c!=null&&c>s&&c<this.to){s=c,e=this._maps[c].recover(l.recover);continue}}i|=l.delInfo,e=l.pos}return r?e:new Wr(e,i,null)}},ll=Object.create(null),Z=class{getMap(){return yt.empty}merge(e){return null}static fromJSON(e,t){if(!t||!t.stepType)throw new RangeError("Invalid input for Step.fromJSON");let r=ll[t.stepType];if(!r)throw new RangeError(`No step type ${t.stepType} defined`);return r.fromJSON(e,t)}static jsonID(e,t){if(e in ll)throw new RangeError("Duplicate use of step JSON ID "+e);return ll[e]=t,t.prototype.jsonID=e,t}},ie=class n{constructor(e,t){this.doc=e,this.failed=t}static ok(e){return new n(e,null)}static fail(e){return new n(null,e)}static fromReplace(e,t,r,i){try{return n.ok(e.replace(t,r,i))}catch(s){if(s instanceof on)return n.fail(s.message);throw s}}};function dl(n,e,t){let r=[];for(let i=0;i<n.childCount;i++){let s=n.child(i);s.content.size&&(s=s.copy(dl(s.content,e,s))),s.isInline&&(s=e(s,t,i)),r.push(s)}return w.fromArray(r)}var Yr=class n extends Z{constructor(e,t,r){super(),this.from=e,this.to=t,this.mark=r}apply(e){let t=e.slice(this.from,this.to),r=e.resolve(this.from),i=r.node(r.sharedDepth(this.to)),s=new b(dl(t.content,(o,l)=>!o.isAtom||!l.type.allowsMarkType(this.mark.type)?o:o.mark(this.mark.addToSet(o.marks)),i),t.openStart,t.openEnd);return ie.fromReplace(e,this.from,this.to,s)}invert(){return new an(this.from,this.to,this.mark)}map(e){let t=e.mapResult(this.from,1),r=e.mapResult(this.to,-1);return t.deleted&&r.deleted||t.pos>=r.pos?null:new n(t.pos,r.pos,this.mark)}merge(e){return e instanceof n&&e.mark.eq(this.mark)&&this.from<=e.to&&this.to>=e.from?new n(Math.min(this.from,e.from),Math.max(this.to,e.to),this.mark):null}toJSON(){return{stepType:"addMark",mark:this.mark.toJSON(),from:this.from,to:this.to}}static fromJSON(e,t){if(typeof t.from!="number"||typeof t.to!="number")throw new RangeError("Invalid input for AddMarkStep.fromJSON");return new n(t.from,t.to,e.markFromJSON(t.mark))}};Z.jsonID("addMark",Yr);var an=class n extends Z{constructor(e,t,r){super(),this.from=e,this.to=t,this.mark=r}apply(e){let t=e.slice(this.from,this.to),r=new b(dl(t.content,i=>i.mark(this.mark.removeFromSet(i.marks)),e),t.openStart,t.openEnd);return ie.fromReplace(e,this.from,this.to,r)}invert(){return new Yr(this.from,this.to,this.mark)}map(e){let t=e.mapResult(this.from,1),r=e.mapResult(this.to,-1);return t.deleted&&r.deleted||t.pos>=r.pos?null:new n(t.pos,r.pos,this.mark)}merge(e){return e instanceof n&&e.mark.eq(this.mark)&&this.from<=e.to&&this.to>=e.from?new n(Math.min(this.from,e.from),Math.max(this.to,e.to),this.mark):null}toJSON(){return{stepType:"removeMark",mark:this.mark.toJSON(),from:this.from,to:this.to}}static fromJSON(e,t){if(typeof t.from!="number"||typeof t.to!="number")throw new RangeError("Invalid input for RemoveMarkStep.fromJSON");return new n(t.from,t.to,e.markFromJSON(t.mark))}};Z.jsonID("removeMark",an);var Gr=class n extends Z{constructor(e,t){super(),this.pos=e,this.mark=t}apply(e){let t=e.nodeAt(this.pos);if(!t)return ie.fail("No node at mark step's position");let r=t.type.create(t.attrs,null,this.mark.addToSet(t.marks));return ie.fromReplace(e,this.pos,this.pos+1,new b(w.from(r),0,t.isLeaf?0:1))}invert(e){let t=e.nodeAt(this.pos);if(t){let r=this.mark.addToSet(t.marks);if(r.length==t.marks.length){for(let i=0;i<t.marks.length;i++)if(!t.marks[i].isInSet(r))return new n(this.pos,t.marks[i]);return new n(this.pos,this.mark)}}return new Kn(this.pos,this.mark)}map(e){let t=e.mapResult(this.pos,1);return t.deletedAfter?null:new n(t.pos,this.mark)}toJSON(){return{stepType:"addNodeMark",pos:this.pos,mark:this.mark.toJSON()}}static fromJSON(e,t){if(typeof t.pos!="number")throw new RangeError("Invalid input for AddNodeMarkStep.fromJSON");return new n(t.pos,e.markFromJSON(t.mark))}};Z.jsonID("addNodeMark",Gr);var Kn=class n extends Z{constructor(e,t){super(),this.pos=e,this.mark=t}apply(e){let t=e.nodeAt(this.pos);if(!t)return ie.fail("No node at mark step's position");let r=t.type.create(t.attrs,null,this.mark.removeFromSet(t.marks));return ie.fromReplace(e,this.pos,this.pos+1,new b(w.from(r),0,t.isLeaf?0:1))}invert(e){let t=e.nodeAt(this.pos);return!t||!this.mark.isInSet(t.marks)?this:new Gr(this.pos,this.mark)}map(e){let t=e.mapResult(this.pos,1);return t.deletedAfter?null:new n(t.pos,this.mark)}toJSON(){return{stepType:"removeNodeMark",pos:this.pos,mark:this.mark.toJSON()}}static fromJSON(e,t){if(typeof t.pos!="number")throw new RangeError("Invalid input for RemoveNodeMarkStep.fromJSON");return new n(t.pos,e.markFromJSON(t.mark))}};Z.jsonID("removeNodeMark",Kn);var Ne=class n extends Z{constructor(e,t,r,i=!1){super(),this.from=e,this.to=t,this.slice=r,this.structure=i}apply(e){return this.structure&&hl(e,this.from,this.to)?ie.fail("Structure replace would overwrite content"):ie.fromReplace(e,this.from,this.to,this.slice)}getMap(){return new yt([this.from,this.to-this.from,this.slice.size])}invert(e){return new n(this.from,this.from+this.slice.size,e.slice(this.from,this.to))}map(e){let t=e.mapResult(this.from,1),r=e.mapResult(this.to,-1);return t.deletedAcross&&r.deletedAcross?null:new n(t.pos,Math.max(t.pos,r.pos),this.slice,this.structure)}merge(e){if(!(e instanceof n)||e.structure||this.structure)return null;if(this.from+this.slice.size==e.from&&!this.slice.openEnd&&!e.slice.openStart){let t=this.slice.size+e.slice.size==0?b.empty:new b(this.slice.content.append(e.slice.content),this.slice.openStart,e.slice.openEnd);return new n(this.from,this.to+(e.to-e.from),t,this.structure)}else if(e.to==this.from&&!this.slice.openStart&&!e.slice.openEnd){let t=this.slice.size+e.slice.size==0?b.empty:new b(e.slice.content.append(this.slice.content),e.slice.openStart,this.slice.openEnd);return new n(e.from,this.to,t,this.structure)}else return null}toJSON(){let e={stepType:"replace",from:this.from,to:this.to};return this.slice.size&&(e.slice=this.slice.toJSON()),this.structure&&(e.structure=!0),e}static fromJSON(e,t){if(typeof t.from!="number"||typeof t.to!="number")throw new RangeError("Invalid input for ReplaceStep.fromJSON");return new n(t.from,t.to,b.fromJSON(e,t.slice),!!t.structure)}};Z.jsonID("replace",Ne);var ee=class n extends Z{constructor(e,t,r,i,s,o,l=!1){super(),this.from=e,this.to=t,this.gapFrom=r,this.gapTo=i,this.slice=s,this.insert=o,this.structure=l}apply(e){if(this.structure&&(hl(e,this.from,this.gapFrom)||hl(e,this.gapTo,this.to)))return ie.fail("Structure gap-replace would overwrite content");let t=e.slice(this.gapFrom,this.gapTo);if(t.openStart||t.openEnd)return ie.fail("Gap is not a flat range");let r=this.slice.insertAt(this.insert,t.content);return r?ie.fromReplace(e,this.from,this.to,r):ie.fail("Content does not fit in gap")}getMap(){return new yt([this.from,this.gapFrom-this.from,this.insert,this.gapTo,this.to-this.gapTo,this.slice.size-this.insert])}invert(e){let t=this.gapTo-this.gapFrom;return new n(this.from,this.from+this.slice.size+t,this.from+this.insert,this.from+this.insert+t,e.slice(this.from,this.to).removeBetween(this.gapFrom-this.from,this.gapTo-this.from),this.gapFrom-this.from,this.structure)}map(e){let t=e.mapResult(this.from,1),r=e.mapResult(this.to,-1),i=this.from==this.gapFrom?t.pos:e.map(this.gapFrom,-1),s=this.to==this.gapTo?r.pos:e.map(this.gapTo,1);return t.deletedAcross&&r.deletedAcross||i<t.pos||s>r.pos?null:new n(t.pos,r.pos,i,s,this.slice,this.insert,this.structure)}toJSON(){let e={stepType:"replaceAround",from:this.from,to:this.to,gapFrom:this.gapFrom,gapTo:this.gapTo,insert:this.insert};return this.slice.size&&(e.slice=this.slice.toJSON()),this.structure&&(e.structure=!0),e}static fromJSON(e,t){if(typeof t.from!="number"||typeof t.to!="number"||typeof t.gapFrom!="number"||typeof t.gapTo!="number"||typeof t.insert!="number")throw new RangeError("Invalid input for ReplaceAroundStep.fromJSON");return new n(t.from,t.to,t.gapFrom,t.gapTo,b.fromJSON(e,t.slice),t.insert,!!t.structure)}};Z.jsonID("replaceAround",ee);function hl(n,e,t){let r=n.resolve(e),i=t-e,s=r.depth;for(;i>0&&s>0&&r.indexAfter(s)==r.node(s).childCount;)s--,i--;if(i>0){let o=r.node(s).maybeChild(r.indexAfter(s));for(;i>0;){if(!o||o.isLeaf)return!0;o=o.firstChild,i--}}return!1}function Pm(n,e,t,r){let i=[],s=[],o,l;n.doc.nodesBetween(e,t,(c,a,h)=>{if(!c.isInline)return;let f=c.marks;if(!r.isInSet(f)&&h.type.allowsMarkType(r.type)){let d=Math.max(a,e),u=Math.min(a+c.nodeSize,t),p=r.addToSet(f);for(let m=0;m<f.length;m++)f[m].isInSet(p)||(o&&o.to==d&&o.mark.eq(f[m])?o.to=u:i.push(o=new an(d,u,f[m])));l&&l.to==d?l.to=u:s.push(l=new Yr(d,u,r))}}),i.forEach(c=>n.step(c)),s.forEach(c=>n.step(c))}function Lm(n,e,t,r){let i=[],s=0;n.doc.nodesBetween(e,t,(o,l)=>{if(!o.isInline)return;s++;let c=null;if(r instanceof qr){let a=o.marks,h;for(;h=r.isInSet(a);)(c||(c=[])).push(h),a=h.removeFromSet(a)}else r?r.isInSet(o.marks)&&(c=[r]):c=o.marks;if(c&&c.length){let a=Math.min(l+o.nodeSize,t);for(let h=0;h<c.length;h++){let f=c[h],d;for(let u=0;u<i.length;u++){let p=i[u];p.step==s-1&&f.eq(i[u].style)&&(d=p)}d?(d.to=a,d.step=s):i.push({style:f,from:Math.max(l,e),to:a,step:s})}}}),i.forEach(o=>n.step(new an(o.from,o.to,o.style)))}function ul(n,e,t,r=t.contentMatch,i=!0){let s=n.doc.nodeAt(e),o=[],l=e+1;for(let c=0;c<s.childCount;c++){let a=s.child(c),h=l+a.nodeSize,f=r.matchType(a.type);if(!f)o.push(new Ne(l,h,b.empty));else{r=f;for(let d=0;d<a.marks.length;d++)t.allowsMarkType(a.marks[d].type)||n.step(new an(l,h,a.marks[d]));if(i&&a.isText&&t.whitespace!="pre"){let d,u=/\r?\n|\r/g,p;for(;d=u.exec(a.text);)p||(p=new b(w.from(t.schema.text(" ",t.allowedMarks(a.marks))),0,0)),o.push(new Ne(l+d.index,l+d.index+d[0].length,p))}}l=h}if(!r.validEnd){let c=r.fillBefore(w.empty,!0);n.replace(l,l,new b(c,0,0))}for(let c=o.length-1;c>=0;c--)n.step(o[c])}function zm(n,e,t){return(e==0||n.canReplace(e,n.childCount))&&(t==n.childCount||n.canReplace(0,t))}function hn(n){let t=n.parent.content.cutByIndex(n.startIndex,n.endIndex);for(let r=n.depth,i=0,s=0;;--r){let o=n.$from.node(r),l=n.$from.index(r)+i,c=n.$to.indexAfter(r)-s;if(r<n.depth&&o.canReplace(l,c,t))return r;if(r==0||o.type.spec.isolating||!zm(o,l,c))break;l&&(i=1),c<o.childCount&&(s=1)}return null}function Fm(n,e,t){let{$from:r,$to:i,depth:s}=e,o=r.before(s+1),l=i.after(s+1),c=o,a=l,h=w.empty,f=0;for(let p=s,m=!1;p>t;p--)m||r.index(p)>0?(m=!0,h=w.from(r.node(p).copy(h)),f++):c--;let d=w.empty,u=0;for(let p=s,m=!1;p>t;p--)m||i.after(p+1)<i.end(p)?(m=!0,d=w.from(i.node(p).copy(d)),u++):a++;n.step(new ee(c,a,o,l,new b(h.append(d),f,u),h.size-f,!0))}function Xn(n,e,t=null,r=n){let i=$m(n,e),s=i&&qm(r,e);return s?i.map(ph).concat({type:e,attrs:t}).concat(s.map(ph)):null}function ph(n){return{type:n,attrs:null}}function $m(n,e){let{parent:t,startIndex:r,endIndex:i}=n,s=t.contentMatchAt(r).findWrapping(e);if(!s)return null;let o=s.length?s[0]:e;return t.canReplaceWith(r,i,o)?s:null}function qm(n,e){let{parent:t,startIndex:r,endIndex:i}=n,s=t.child(r),o=e.contentMatch.findWrapping(s.type);if(!o)return null;let c=(o.length?o[o.length-1]:e).contentMatch;for(let a=r;c&&a<i;a++)c=c.matchType(t.child(a).type);return!c||!c.validEnd?null:o}function Hm(n,e,t){let r=w.empty;for(let o=t.length-1;o>=0;o--){if(r.size){let l=t[o].type.contentMatch.matchFragment(r);if(!l||!l.validEnd)throw new RangeError("Wrapper type given to Transform.wrap does not form valid content of its parent wrapper")}r=w.from(t[o].type.create(t[o].attrs,r))}let i=e.start,s=e.end;n.step(new ee(i,s,i,s,new b(r,0,0),t.length,!0))}function Jm(n,e,t,r,i){if(!r.isTextblock)throw new RangeError("Type given to setBlockType should be a textblock");let s=n.steps.length;n.doc.nodesBetween(e,t,(o,l)=>{let c=typeof i=="function"?i(o):i;if(o.isTextblock&&!o.hasMarkup(r,c)&&jm(n.doc,n.mapping.slice(s).map(l),r)){let a=null;if(r.schema.linebreakReplacement){let u=r.whitespace=="pre",p=!!r.contentMatch.matchType(r.schema.linebreakReplacement);u&&!p?a=!1:!u&&p&&(a=!0)}a===!1&&Sh(n,o,l,s),ul(n,n.mapping.slice(s).map(l,1),r,void 0,a===null);let h=n.mapping.slice(s),f=h.map(l,1),d=h.map(l+o.nodeSize,1);return n.step(new ee(f,d,f+1,d-1,new b(w.from(r.create(c,null,o.marks)),0,0),1,!0)),a===!0&&xh(n,o,l,s),!1}})}function xh(n,e,t,r){e.forEach((i,s)=>{if(i.isText){let o,l=/\r?\n|\r/g;for(;o=l.exec(i.text);){let c=n.mapping.slice(r).map(t+1+s+o.index);n.replaceWith(c,c+1,e.type.schema.linebreakReplacement.create())}}})}function Sh(n,e,t,r){e.forEach((i,s)=>{if(i.type==i.type.schema.linebreakReplacement){let o=n.mapping.slice(r).map(t+1+s);n.replaceWith(o,o+1,e.type.schema.text(`
+`))}})}function jm(n,e,t){let r=n.resolve(e),i=r.index();return r.parent.canReplaceWith(i,i+1,t)}function Wm(n,e,t,r,i){let s=n.doc.nodeAt(e);if(!s)throw new RangeError("No node at given position");t||(t=s.type);let o=t.create(r,null,i||s.marks);if(s.isLeaf)return n.replaceWith(e,e+s.nodeSize,o);if(!t.validContent(s.content))throw new RangeError("Invalid content for node type "+t.name);n.step(new ee(e,e+s.nodeSize,e+1,e+s.nodeSize-1,new b(w.from(o),0,0),1,!0))}function Pt(n,e,t=1,r){let i=n.resolve(e),s=i.depth-t,o=r&&r[r.length-1]||i.parent;if(s<0||i.parent.type.spec.isolating||!i.parent.canReplace(i.index(),i.parent.childCount)||!o.type.validContent(i.parent.content.cutByIndex(i.index(),i.parent.childCount)))return!1;for(let a=i.depth-1,h=t-2;a>s;a--,h--){let f=i.node(a),d=i.index(a);if(f.type.spec.isolating)return!1;let u=f.content.cutByIndex(d,f.childCount),p=r&&r[h+1];p&&(u=u.replaceChild(0,p.type.create(p.attrs)));let m=r&&r[h]||f;if(!f.canReplace(d+1,f.childCount)||!m.type.validContent(u))return!1}let l=i.indexAfter(s),c=r&&r[0];return i.node(s).canReplaceWith(l,l,c?c.type:i.node(s+1).type)}function Km(n,e,t=1,r){let i=n.doc.resolve(e),s=w.empty,o=w.empty;for(let l=i.depth,c=i.depth-t,a=t-1;l>c;l--,a--){s=w.from(i.node(l).copy(s));let h=r&&r[a];o=w.from(h?h.type.create(h.attrs,o):i.node(l).copy(o))}n.step(new Ne(e,e,new b(s.append(o),t,t),!0))}function wt(n,e){let t=n.resolve(e),r=t.index();return kh(t.nodeBefore,t.nodeAfter)&&t.parent.canReplace(r,r+1)}function Ym(n,e){e.content.size||n.type.compatibleContent(e.type);let t=n.contentMatchAt(n.childCount),{linebreakReplacement:r}=n.type.schema;for(let i=0;i<e.childCount;i++){let s=e.child(i),o=s.type==r?n.type.schema.nodes.text:s.type;if(t=t.matchType(o),!t||!n.type.allowsMarks(s.marks))return!1}return t.validEnd}function kh(n,e){return!!(n&&e&&!n.isLeaf&&Ym(n,e))}function pl(n,e,t=-1){let r=n.resolve(e);for(let i=r.depth;;i--){let s,o,l=r.index(i);if(i==r.depth?(s=r.nodeBefore,o=r.nodeAfter):t>0?(s=r.node(i+1),l++,o=r.node(i).maybeChild(l)):(s=r.node(i).maybeChild(l-1),o=r.node(i+1)),s&&!s.isTextblock&&kh(s,o)&&r.node(i).canReplace(l,l+1))return e;if(i==0)break;e=t<0?r.before(i):r.after(i)}}function Gm(n,e,t){let r=null,{linebreakReplacement:i}=n.doc.type.schema,s=n.doc.resolve(e-t),o=s.node().type;if(i&&o.inlineContent){let h=o.whitespace=="pre",f=!!o.contentMatch.matchType(i);h&&!f?r=!1:!h&&f&&(r=!0)}let l=n.steps.length;if(r===!1){let h=n.doc.resolve(e+t);Sh(n,h.node(),h.before(),l)}o.inlineContent&&ul(n,e+t-1,o,s.node().contentMatchAt(s.index()),r==null);let c=n.mapping.slice(l),a=c.map(e-t);if(n.step(new Ne(a,c.map(e+t,-1),b.empty,!0)),r===!0){let h=n.doc.resolve(a);xh(n,h.node(),h.before(),n.steps.length)}return n}function Xm(n,e,t){let r=n.resolve(e);if(r.parent.canReplaceWith(r.index(),r.index(),t))return e;if(r.parentOffset==0)for(let i=r.depth-1;i>=0;i--){let s=r.index(i);if(r.node(i).canReplaceWith(s,s,t))return r.before(i+1);if(s>0)return null}if(r.parentOffset==r.parent.content.size)for(let i=r.depth-1;i>=0;i--){let s=r.indexAfter(i);if(r.node(i).canReplaceWith(s,s,t))return r.after(i+1);if(s<r.node(i).childCount)return null}return null}function Ch(n,e,t){let r=n.resolve(e);if(!t.content.size)return e;let i=t.content;for(let s=0;s<t.openStart;s++)i=i.firstChild.content;for(let s=1;s<=(t.openStart==0&&t.size?2:1);s++)for(let o=r.depth;o>=0;o--){let l=o==r.depth?0:r.pos<=(r.start(o+1)+r.end(o+1))/2?-1:1,c=r.index(o)+(l>0?1:0),a=r.node(o),h=!1;if(s==1)h=a.canReplace(c,c,i);else{let f=a.contentMatchAt(c).findWrapping(i.firstChild.type);h=f&&a.canReplaceWith(c,c,f[0])}if(h)return l==0?r.pos:l<0?r.before(o+1):r.after(o+1)}return null}function xs(n,e,t=e,r=b.empty){if(e==t&&!r.size)return null;let i=n.resolve(e),s=n.resolve(t);return Mh(i,s,r)?new Ne(e,t,r):new fl(i,s,r).fit()}function Mh(n,e,t){return!t.openStart&&!t.openEnd&&n.start()==e.start()&&n.parent.canReplace(n.index(),e.index(),t.content)}var fl=class{constructor(e,t,r){this.$from=e,this.$to=t,this.unplaced=r,this.frontier=[],this.placed=w.empty;for(let i=0;i<=e.depth;i++){let s=e.node(i);this.frontier.push({type:s.type,match:s.contentMatchAt(e.indexAfter(i))})}for(let i=e.depth;i>0;i--)this.placed=w.from(e.node(i).copy(this.placed))}get depth(){return this.frontier.length-1}fit(){for(;this.unplaced.size;){let a=this.findFittable();a?this.placeNodes(a):this.openMore()||this.dropNode()}let e=this.mustMoveInline(),t=this.placed.size-this.depth-this.$from.depth,r=this.$from,i=this.close(e<0?this.$to:r.doc.resolve(e));if(!i)return null;let s=this.placed,o=r.depth,l=i.depth;for(;o&&l&&s.childCount==1;)s=s.firstChild.content,o--,l--;let c=new b(s,o,l);return e>-1?new ee(r.pos,e,this.$to.pos,this.$to.end(),c,t):c.size||r.pos!=this.$to.pos?new Ne(r.pos,i.pos,c):null}findFittable(){let e=this.unplaced.openStart;for(let t=this.unplaced.content,r=0,i=this.unplaced.openEnd;r<e;r++){let s=t.firstChild;if(t.childCount>1&&(i=0),s.type.spec.isolating&&i<=r){e=r;break}t=s.content}for(let t=1;t<=2;t++)for(let r=t==1?e:this.unplaced.openStart;r>=0;r--){let i,s=null;r?(s=cl(this.unplaced.content,r-1).firstChild,i=s.content):i=this.unplaced.content;let o=i.firstChild;for(let l=this.depth;l>=0;l--){let{type:c,match:a}=this.frontier[l],h,f=null;if(t==1&&(o?a.matchType(o.type)||(f=a.fillBefore(w.from(o),!1)):s&&c.compatibleContent(s.type)))return{sliceDepth:r,frontierDepth:l,parent:s,inject:f};if(t==2&&o&&(h=a.findWrapping(o.type)))return{sliceDepth:r,frontierDepth:l,parent:s,wrap:h};if(s&&a.matchType(s.type))break}}}openMore(){let{content:e,openStart:t,openEnd:r}=this.unplaced,i=cl(e,t);return!i.childCount||i.firstChild.isLeaf?!1:(this.unplaced=new b(e,t+1,Math.max(r,i.size+t>=e.size-r?t+1:0)),!0)}dropNode(){let{content:e,openStart:t,openEnd:r}=this.unplaced,i=cl(e,t);if(i.childCount<=1&&t>0){let s=e.size-t<=t+i.size;this.unplaced=new b(Jr(e,t-1,1),t-1,s?t-1:r)}else this.unplaced=new b(Jr(e,t,1),t,r)}placeNodes({sliceDepth:e,frontierDepth:t,parent:r,inject:i,wrap:s}){for(;this.depth>t;)this.closeFrontierNode();if(s)for(let m=0;m<s.length;m++)this.openFrontierNode(s[m]);let o=this.unplaced,l=r?r.content:o.content,c=o.openStart-e,a=0,h=[],{match:f,type:d}=this.frontier[t];if(i){for(let m=0;m<i.childCount;m++)h.push(i.child(m));f=f.matchFragment(i)}let u=l.size+e-(o.content.size-o.openEnd);for(;a<l.childCount;){let m=l.child(a),g=f.matchType(m.type);if(!g)break;a++,(a>1||c==0||m.content.size)&&(f=g,h.push(Ah(m.mark(d.allowedMarks(m.marks)),a==1?c:0,a==l.childCount?u:-1)))}let p=a==l.childCount;p||(u=-1),this.placed=jr(this.placed,t,w.from(h)),this.frontier[t].match=f,p&&u<0&&r&&r.type==this.frontier[this.depth].type&&this.frontier.length>1&&this.closeFrontierNode();for(let m=0,g=l;m<u;m++){let y=g.lastChild;this.frontier.push({type:y.type,match:y.contentMatchAt(y.childCount)}),g=y.content}this.unplaced=p?e==0?b.empty:new b(Jr(o.content,e-1,1),e-1,u<0?o.openEnd:e-1):new b(Jr(o.content,e,a),o.openStart,o.openEnd)}mustMoveInline(){if(!this.$to.parent.isTextblock)return-1;let e=this.frontier[this.depth],t;if(!e.type.isTextblock||!al(this.$to,this.$to.depth,e.type,e.match,!1)||this.$to.depth==this.depth&&(t=this.findCloseLevel(this.$to))&&t.depth==this.depth)return-1;let{depth:r}=this.$to,i=this.$to.after(r);for(;r>1&&i==this.$to.end(--r);)++i;return i}findCloseLevel(e){e:for(let t=Math.min(this.depth,e.depth);t>=0;t--){let{match:r,type:i}=this.frontier[t],s=t<e.depth&&e.end(t+1)==e.pos+(e.depth-(t+1)),o=al(e,t,i,r,s);if(o){for(let l=t-1;l>=0;l--){let{match:c,type:a}=this.frontier[l],h=al(e,l,a,c,!0);if(!h||h.childCount)continue e}return{depth:t,fit:o,move:s?e.doc.resolve(e.after(t+1)):e}}}}close(e){let t=this.findCloseLevel(e);if(!t)return null;for(;this.depth>t.depth;)this.closeFrontierNode();t.fit.childCount&&(this.placed=jr(this.placed,t.depth,t.fit)),e=t.move;for(let r=t.depth+1;r<=e.depth;r++){let i=e.node(r),s=i.type.contentMatch.fillBefore(i.content,!0,e.index(r));this.openFrontierNode(i.type,i.attrs,s)}return e}openFrontierNode(e,t=null,r){let i=this.frontier[this.depth];i.match=i.match.matchType(e),this.placed=jr(this.placed,this.depth,w.from(e.create(t,r))),this.frontier.push({type:e,match:e.contentMatch})}closeFrontierNode(){let t=this.frontier.pop().match.fillBefore(w.empty,!0);t.childCount&&(this.placed=jr(this.placed,this.frontier.length,t))}};function Jr(n,e,t){return e==0?n.cutByIndex(t,n.childCount):n.replaceChild(0,n.firstChild.copy(Jr(n.firstChild.content,e-1,t)))}function jr(n,e,t){return e==0?n.append(t):n.replaceChild(n.childCount-1,n.lastChild.copy(jr(n.lastChild.content,e-1,t)))}function cl(n,e){for(let t=0;t<e;t++)n=n.firstChild.content;return n}function Ah(n,e,t){if(e<=0)return n;let r=n.content;return e>1&&(r=r.replaceChild(0,Ah(r.firstChild,e-1,r.childCount==1?t-1:0))),e>0&&(r=n.type.contentMatch.fillBefore(r).append(r),t<=0&&(r=r.append(n.type.contentMatch.matchFragment(r).fillBefore(w.empty,!0)))),n.copy(r)}function al(n,e,t,r,i){let s=n.node(e),o=i?n.indexAfter(e):n.index(e);if(o==s.childCount&&!t.compatibleContent(s.type))return null;let l=r.fillBefore(s.content,!0,o);return l&&!Qm(t,s.content,o)?l:null}function Qm(n,e,t){for(let r=t;r<e.childCount;r++)if(!n.allowsMarks(e.child(r).marks))return!0;return!1}function Zm(n){return n.spec.defining||n.spec.definingForContent}function eg(n,e,t,r){if(!r.size)return n.deleteRange(e,t);let i=n.doc.resolve(e),s=n.doc.resolve(t);if(Mh(i,s,r))return n.step(new Ne(e,t,r));let o=Eh(i,s);o[o.length-1]==0&&o.pop();let l=-(i.depth+1);o.unshift(l);for(let d=i.depth,u=i.pos-1;d>0;d--,u--){let p=i.node(d).type.spec;if(p.defining||p.definingAsContext||p.isolating)break;o.indexOf(d)>-1?l=d:i.before(d)==u&&o.splice(1,0,-d)}let c=o.indexOf(l),a=[],h=r.openStart;for(let d=r.content,u=0;;u++){let p=d.firstChild;if(a.push(p),u==r.openStart)break;d=p.content}for(let d=h-1;d>=0;d--){let u=a[d],p=Zm(u.type);if(p&&!u.sameMarkup(i.node(Math.abs(l)-1)))h=d;else if(p||!u.type.isTextblock)break}for(let d=r.openStart;d>=0;d--){let u=(d+h+1)%(r.openStart+1),p=a[u];if(p)for(let m=0;m<o.length;m++){let g=o[(m+c)%o.length],y=!0;g<0&&(y=!1,g=-g);let T=i.node(g-1),N=i.index(g-1);if(T.canReplaceWith(N,N,p.type,p.marks))return n.replace(i.before(g),y?s.after(g):t,new b(Th(r.content,0,r.openStart,u),u,r.openEnd))}}let f=n.steps.length;for(let d=o.length-1;d>=0&&(n.replace(e,t,r),!(n.steps.length>f));d--){let u=o[d];u<0||(e=i.before(u),t=s.after(u))}}function Th(n,e,t,r,i){if(e<t){let s=n.firstChild;n=n.replaceChild(0,s.copy(Th(s.content,e+1,t,r,s)))}if(e>r){let s=i.contentMatchAt(0),o=s.fillBefore(n).append(n);n=o.append(s.matchFragment(o).fillBefore(w.empty,!0))}return n}function tg(n,e,t,r){if(!r.isInline&&e==t&&n.doc.resolve(e).parent.content.size){let i=Xm(n.doc,e,r.type);i!=null&&(e=t=i)}n.replaceRange(e,t,new b(w.from(r),0,0))}function ng(n,e,t){let r=n.doc.resolve(e),i=n.doc.resolve(t),s=Eh(r,i);for(let o=0;o<s.length;o++){let l=s[o],c=o==s.length-1;if(c&&l==0||r.node(l).type.contentMatch.validEnd)return n.delete(r.start(l),i.end(l));if(l>0&&(c||r.node(l-1).canReplace(r.index(l-1),i.indexAfter(l-1))))return n.delete(r.before(l),i.after(l))}for(let o=1;o<=r.depth&&o<=i.depth;o++)if(e-r.start(o)==r.depth-o&&t>r.end(o)&&i.end(o)-t!=i.depth-o&&r.start(o-1)==i.start(o-1)&&r.node(o-1).canReplace(r.index(o-1),i.index(o-1)))return n.delete(r.before(o),t);n.delete(e,t)}function Eh(n,e){let t=[],r=Math.min(n.depth,e.depth);for(let i=r;i>=0;i--){let s=n.start(i);if(s<n.pos-(n.depth-i)||e.end(i)>e.pos+(e.depth-i)||n.node(i).type.spec.isolating||e.node(i).type.spec.isolating)break;(s==e.start(i)||i==n.depth&&i==e.depth&&n.parent.inlineContent&&e.parent.inlineContent&&i&&e.start(i-1)==s-1)&&t.push(i)}return t}var ws=class n extends Z{constructor(e,t,r){super(),this.pos=e,this.attr=t,this.value=r}apply(e){let t=e.nodeAt(this.pos);if(!t)return ie.fail("No node at attribute step's position");let r=Object.create(null);for(let s in t.attrs)r[s]=t.attrs[s];r[this.attr]=this.value;let i=t.type.create(r,null,t.marks);return ie.fromReplace(e,this.pos,this.pos+1,new b(w.from(i),0,t.isLeaf?0:1))}getMap(){return yt.empty}invert(e){return new n(this.pos,this.attr,e.nodeAt(this.pos).attrs[this.attr])}map(e){let t=e.mapResult(this.pos,1);return t.deletedAfter?null:new n(t.pos,this.attr,this.value)}toJSON(){return{stepType:"attr",pos:this.pos,attr:this.attr,value:this.value}}static fromJSON(e,t){if(typeof t.pos!="number"||typeof t.attr!="string")throw new RangeError("Invalid input for AttrStep.fromJSON");return new n(t.pos,t.attr,t.value)}};Z.jsonID("attr",ws);var bs=class n extends Z{constructor(e,t){super(),this.attr=e,this.value=t}apply(e){let t=Object.create(null);for(let i in e.attrs)t[i]=e.attrs[i];t[this.attr]=this.value;let r=e.type.create(t,e.content,e.marks);return ie.ok(r)}getMap(){return yt.empty}invert(e){return new n(this.attr,e.attrs[this.attr])}map(e){return this}toJSON(){return{stepType:"docAttr",attr:this.attr,value:this.value}}static fromJSON(e,t){if(typeof t.attr!="string")throw new RangeError("Invalid input for DocAttrStep.fromJSON");return new n(t.attr,t.value)}};Z.jsonID("docAttr",bs);var Yn=class extends Error{};Yn=function n(e){let t=Error.call(this,e);return t.__proto__=n.prototype,t};Yn.prototype=Object.create(Error.prototype);Yn.prototype.constructor=Yn;Yn.prototype.name="TransformError";var Gn=class{constructor(e){this.doc=e,this.steps=[],this.docs=[],this.mapping=new Kr}get before(){return this.docs.length?this.docs[0]:this.doc}step(e){let t=this.maybeStep(e);if(t.failed)throw new Yn(t.failed);return this}maybeStep(e){let t=e.apply(this.doc);return t.failed||this.addStep(e,t.doc),t}get docChanged(){return this.steps.length>0}addStep(e,t){this.docs.push(this.doc),this.steps.push(e),this.mapping.appendMap(e.getMap()),this.doc=t}replace(e,t=e,r=b.empty){let i=xs(this.doc,e,t,r);return i&&this.step(i),this}replaceWith(e,t,r){return this.replace(e,t,new b(w.from(r),0,0))}delete(e,t){return this.replace(e,t,b.empty)}insert(e,t){return this.replaceWith(e,e,t)}replaceRange(e,t,r){return eg(this,e,t,r),this}replaceRangeWith(e,t,r){return tg(this,e,t,r),this}deleteRange(e,t){return ng(this,e,t),this}lift(e,t){return Fm(this,e,t),this}join(e,t=1){return Gm(this,e,t),this}wrap(e,t){return Hm(this,e,t),this}setBlockType(e,t=e,r,i=null){return Jm(this,e,t,r,i),this}setNodeMarkup(e,t,r=null,i){return Wm(this,e,t,r,i),this}setNodeAttribute(e,t,r){return this.step(new ws(e,t,r)),this}setDocAttribute(e,t){return this.step(new bs(e,t)),this}addNodeMark(e,t){return this.step(new Gr(e,t)),this}removeNodeMark(e,t){let r=this.doc.nodeAt(e);if(!r)throw new RangeError("No node at position "+e);if(t instanceof D)t.isInSet(r.marks)&&this.step(new Kn(e,t));else{let i=r.marks,s,o=[];for(;s=t.isInSet(i);)o.push(new Kn(e,s)),i=s.removeFromSet(i);for(let l=o.length-1;l>=0;l--)this.step(o[l])}return this}split(e,t=1,r){return Km(this,e,t,r),this}addMark(e,t,r){return Pm(this,e,t,r),this}removeMark(e,t,r){return Lm(this,e,t,r),this}clearIncompatible(e,t,r){return ul(this,e,t,r),this}};var ml=Object.create(null),S=class{constructor(e,t,r){this.$anchor=e,this.$head=t,this.ranges=r||[new Lt(e.min(t),e.max(t))]}get anchor(){return this.$anchor.pos}get head(){return this.$head.pos}get from(){return this.$from.pos}get to(){return this.$to.pos}get $from(){return this.ranges[0].$from}get $to(){return this.ranges[0].$to}get empty(){let e=this.ranges;for(let t=0;t<e.length;t++)if(e[t].$from.pos!=e[t].$to.pos)return!1;return!0}content(){return this.$from.doc.slice(this.from,this.to,!0)}replace(e,t=b.empty){let r=t.content.lastChild,i=null;for(let l=0;l<t.openEnd;l++)i=r,r=r.lastChild;let s=e.steps.length,o=this.ranges;for(let l=0;l<o.length;l++){let{$from:c,$to:a}=o[l],h=e.mapping.slice(s);e.replaceRange(h.map(c.pos),h.map(a.pos),l?b.empty:t),l==0&&Nh(e,s,(r?r.isInline:i&&i.isTextblock)?-1:1)}}replaceWith(e,t){let r=e.steps.length,i=this.ranges;for(let s=0;s<i.length;s++){let{$from:o,$to:l}=i[s],c=e.mapping.slice(r),a=c.map(o.pos),h=c.map(l.pos);s?e.deleteRange(a,h):(e.replaceRangeWith(a,h,t),Nh(e,r,t.isInline?-1:1))}}static findFrom(e,t,r=!1){let i=e.parent.inlineContent?new A(e):Qn(e.node(0),e.parent,e.pos,e.index(),t,r);if(i)return i;for(let s=e.depth-1;s>=0;s--){let o=t<0?Qn(e.node(0),e.node(s),e.before(s+1),e.index(s),t,r):Qn(e.node(0),e.node(s),e.after(s+1),e.index(s)+1,t,r);if(o)return o}return null}static near(e,t=1){return this.findFrom(e,t)||this.findFrom(e,-t)||new Ie(e.node(0))}static atStart(e){return Qn(e,e,0,0,1)||new Ie(e)}static atEnd(e){return Qn(e,e,e.content.size,e.childCount,-1)||new Ie(e)}static fromJSON(e,t){if(!t||!t.type)throw new RangeError("Invalid input for Selection.fromJSON");let r=ml[t.type];if(!r)throw new RangeError(`No selection type ${t.type} defined`);return r.fromJSON(e,t)}static jsonID(e,t){if(e in ml)throw new RangeError("Duplicate use of selection JSON ID "+e);return ml[e]=t,t.prototype.jsonID=e,t}getBookmark(){return A.between(this.$anchor,this.$head).getBookmark()}};S.prototype.visible=!0;var Lt=class{constructor(e,t){this.$from=e,this.$to=t}},Dh=!1;function Oh(n){!Dh&&!n.parent.inlineContent&&(Dh=!0,console.warn("TextSelection endpoint not pointing into a node with inline content ("+n.parent.type.name+")"))}var A=class n extends S{constructor(e,t=e){Oh(e),Oh(t),super(e,t)}get $cursor(){return this.$anchor.pos==this.$head.pos?this.$head:null}map(e,t){let r=e.resolve(t.map(this.head));if(!r.parent.inlineContent)return S.near(r);let i=e.resolve(t.map(this.anchor));return new n(i.parent.inlineContent?i:r,r)}replace(e,t=b.empty){if(super.replace(e,t),t==b.empty){let r=this.$from.marksAcross(this.$to);r&&e.ensureMarks(r)}}eq(e){return e instanceof n&&e.anchor==this.anchor&&e.head==this.head}getBookmark(){return new ks(this.anchor,this.head)}toJSON(){return{type:"text",anchor:this.anchor,head:this.head}}static fromJSON(e,t){if(typeof t.anchor!="number"||typeof t.head!="number")throw new RangeError("Invalid input for TextSelection.fromJSON");return new n(e.resolve(t.anchor),e.resolve(t.head))}static create(e,t,r=t){let i=e.resolve(t);return new this(i,r==t?i:e.resolve(r))}static between(e,t,r){let i=e.pos-t.pos;if((!r||i)&&(r=i>=0?1:-1),!t.parent.inlineContent){let s=S.findFrom(t,r,!0)||S.findFrom(t,-r,!0);if(s)t=s.$head;else return S.near(t,r)}return e.parent.inlineContent||(i==0?e=t:(e=(S.findFrom(e,-r,!0)||S.findFrom(e,r,!0)).$anchor,e.pos<t.pos!=i<0&&(e=t))),new n(e,t)}};S.jsonID("text",A);var ks=class n{constructor(e,t){this.anchor=e,this.head=t}map(e){return new n(e.map(this.anchor),e.map(this.head))}resolve(e){return A.between(e.resolve(this.anchor),e.resolve(this.head))}},k=class n extends S{constructor(e){let t=e.nodeAfter,r=e.node(0).resolve(e.pos+t.nodeSize);super(e,r),this.node=t}map(e,t){let{deleted:r,pos:i}=t.mapResult(this.anchor),s=e.resolve(i);return r?S.near(s):new n(s)}content(){return new b(w.from(this.node),0,0)}eq(e){return e instanceof n&&e.anchor==this.anchor}toJSON(){return{type:"node",anchor:this.anchor}}getBookmark(){return new yl(this.anchor)}static fromJSON(e,t){if(typeof t.anchor!="number")throw new RangeError("Invalid input for NodeSelection.fromJSON");return new n(e.resolve(t.anchor))}static create(e,t){return new n(e.resolve(t))}static isSelectable(e){return!e.isText&&e.type.spec.selectable!==!1}};k.prototype.visible=!1;S.jsonID("node",k);var yl=class n{constructor(e){this.anchor=e}map(e){let{deleted:t,pos:r}=e.mapResult(this.anchor);return t?new ks(r,r):new n(r)}resolve(e){let t=e.resolve(this.anchor),r=t.nodeAfter;return r&&k.isSelectable(r)?new k(t):S.near(t)}},Ie=class n extends S{constructor(e){super(e.resolve(0),e.resolve(e.content.size))}replace(e,t=b.empty){if(t==b.empty){e.delete(0,e.doc.content.size);let r=S.atStart(e.doc);r.eq(e.selection)||e.setSelection(r)}else super.replace(e,t)}toJSON(){return{type:"all"}}static fromJSON(e){return new n(e)}map(e){return new n(e)}eq(e){return e instanceof n}getBookmark(){return rg}};S.jsonID("all",Ie);var rg={map(){return this},resolve(n){return new Ie(n)}};function Qn(n,e,t,r,i,s=!1){if(e.inlineContent)return A.create(n,t);for(let o=r-(i>0?0:1);i>0?o<e.childCount:o>=0;o+=i){let l=e.child(o);if(l.isAtom){if(!s&&k.isSelectable(l))return k.create(n,t-(i<0?l.nodeSize:0))}else{let c=Qn(n,l,t+i,i<0?l.childCount:0,i,s);if(c)return c}t+=l.nodeSize*i}return null}function Nh(n,e,t){let r=n.steps.length-1;if(r<e)return;let i=n.steps[r];if(!(i instanceof Ne||i instanceof ee))return;let s=n.mapping.maps[r],o;s.forEach((l,c,a,h)=>{o==null&&(o=h)}),n.setSelection(S.near(n.doc.resolve(o),t))}var Ih=1,Ss=2,Rh=4,wl=class extends Gn{constructor(e){super(e.doc),this.curSelectionFor=0,this.updated=0,this.meta=Object.create(null),this.time=Date.now(),this.curSelection=e.selection,this.storedMarks=e.storedMarks}get selection(){return this.curSelectionFor<this.steps.length&&(this.curSelection=this.curSelection.map(this.doc,this.mapping.slice(this.curSelectionFor)),this.curSelectionFor=this.steps.length),this.curSelection}setSelection(e){if(e.$from.doc!=this.doc)throw new RangeError("Selection passed to setSelection must point at the current document");return this.curSelection=e,this.curSelectionFor=this.steps.length,this.updated=(this.updated|Ih)&~Ss,this.storedMarks=null,this}get selectionSet(){return(this.updated&Ih)>0}setStoredMarks(e){return this.storedMarks=e,this.updated|=Ss,this}ensureMarks(e){return D.sameSet(this.storedMarks||this.selection.$from.marks(),e)||this.setStoredMarks(e),this}addStoredMark(e){return this.ensureMarks(e.addToSet(this.storedMarks||this.selection.$head.marks()))}removeStoredMark(e){return this.ensureMarks(e.removeFromSet(this.storedMarks||this.selection.$head.marks()))}get storedMarksSet(){return(this.updated&Ss)>0}addStep(e,t){super.addStep(e,t),this.updated=this.updated&~Ss,this.storedMarks=null}setTime(e){return this.time=e,this}replaceSelection(e){return this.selection.replace(this,e),this}replaceSelectionWith(e,t=!0){let r=this.selection;return t&&(e=e.mark(this.storedMarks||(r.empty?r.$from.marks():r.$from.marksAcross(r.$to)||D.none))),r.replaceWith(this,e),this}deleteSelection(){return this.selection.replace(this),this}insertText(e,t,r){let i=this.doc.type.schema;if(t==null)return e?this.replaceSelectionWith(i.text(e),!0):this.deleteSelection();{if(r==null&&(r=t),r=r??t,!e)return this.deleteRange(t,r);let s=this.storedMarks;if(!s){let o=this.doc.resolve(t);s=r==t?o.marks():o.marksAcross(this.doc.resolve(r))}return this.replaceRangeWith(t,r,i.text(e,s)),this.selection.empty||this.setSelection(S.near(this.selection.$to)),this}}setMeta(e,t){return this.meta[typeof e=="string"?e:e.key]=t,this}getMeta(e){return this.meta[typeof e=="string"?e:e.key]}get isGeneric(){for(let e in this.meta)return!1;return!0}scrollIntoView(){return this.updated|=Rh,this}get scrolledIntoView(){return(this.updated&Rh)>0}};function vh(n,e){return!e||!n?n:n.bind(e)}var fn=class{constructor(e,t,r){this.name=e,this.init=vh(t.init,r),this.apply=vh(t.apply,r)}},ig=[new fn("doc",{init(n){return n.doc||n.schema.topNodeType.createAndFill()},apply(n){return n.doc}}),new fn("selection",{init(n,e){return n.selection||S.atStart(e.doc)},apply(n){return n.selection}}),new fn("storedMarks",{init(n){return n.storedMarks||null},apply(n,e,t,r){return r.selection.$cursor?n.storedMarks:null}}),new fn("scrollToSelection",{init(){return 0},apply(n,e){return n.scrolledIntoView?e+1:e}})],Xr=class{constructor(e,t){this.schema=e,this.plugins=[],this.pluginsByKey=Object.create(null),this.fields=ig.slice(),t&&t.forEach(r=>{if(this.pluginsByKey[r.key])throw new RangeError("Adding different instances of a keyed plugin ("+r.key+")");this.plugins.push(r),this.pluginsByKey[r.key]=r,r.spec.state&&this.fields.push(new fn(r.key,r.spec.state,r))})}},bl=class n{constructor(e){this.config=e}get schema(){return this.config.schema}get plugins(){return this.config.plugins}apply(e){return this.applyTransaction(e).state}filterTransaction(e,t=-1){for(let r=0;r<this.config.plugins.length;r++)if(r!=t){let i=this.config.plugins[r];if(i.spec.filterTransaction&&!i.spec.filterTransaction.call(i,e,this))return!1}return!0}applyTransaction(e){if(!this.filterTransaction(e))return{state:this,transactions:[]};let t=[e],r=this.applyInner(e),i=null;for(;;){let s=!1;for(let o=0;o<this.config.plugins.length;o++){let l=this.config.plugins[o];if(l.spec.appendTransaction){let c=i?i[o].n:0,a=i?i[o].state:this,h=c<t.length&&l.spec.appendTransaction.call(l,c?t.slice(c):t,a,r);if(h&&r.filterTransaction(h,o)){if(h.setMeta("appendedTransaction",e),!i){i=[];for(let f=0;f<this.config.plugins.length;f++)i.push(f<o?{state:r,n:t.length}:{state:this,n:0})}t.push(h),r=r.applyInner(h),s=!0}i&&(i[o]={state:r,n:t.length})}}if(!s)return{state:r,transactions:t}}}applyInner(e){if(!e.before.eq(this.doc))throw new RangeError("Applying a mismatched transaction");let t=new n(this.config),r=this.config.fields;for(let i=0;i<r.length;i++){let s=r[i];t[s.name]=s.apply(e,this[s.name],this,t)}return t}get tr(){return new wl(this)}static create(e){let t=new Xr(e.doc?e.doc.type.schema:e.schema,e.plugins),r=new n(t);for(let i=0;i<t.fields.length;i++)r[t.fields[i].name]=t.fields[i].init(e,r);return r}reconfigure(e){let t=new Xr(this.schema,e.plugins),r=t.fields,i=new n(t);for(let s=0;s<r.length;s++){let o=r[s].name;i[o]=this.hasOwnProperty(o)?this[o]:r[s].init(e,i)}return i}toJSON(e){let t={doc:this.doc.toJSON(),selection:this.selection.toJSON()};if(this.storedMarks&&(t.storedMarks=this.storedMarks.map(r=>r.toJSON())),e&&typeof e=="object")for(let r in e){if(r=="doc"||r=="selection")throw new RangeError("The JSON fields `doc` and `selection` are reserved");let i=e[r],s=i.spec.state;s&&s.toJSON&&(t[r]=s.toJSON.call(i,this[i.key]))}return t}static fromJSON(e,t,r){if(!t)throw new RangeError("Invalid input for EditorState.fromJSON");if(!e.schema)throw new RangeError("Required config field 'schema' missing");let i=new Xr(e.schema,e.plugins),s=new n(i);return i.fields.forEach(o=>{if(o.name=="doc")s.doc=Be.fromJSON(e.schema,t.doc);else if(o.name=="selection")s.selection=S.fromJSON(s.doc,t.selection);else if(o.name=="storedMarks")t.storedMarks&&(s.storedMarks=t.storedMarks.map(e.schema.markFromJSON));else{if(r)for(let l in r){let c=r[l],a=c.spec.state;if(c.key==o.name&&a&&a.fromJSON&&Object.prototype.hasOwnProperty.call(t,l)){s[o.name]=a.fromJSON.call(c,e,t[l],s);return}}s[o.name]=o.init(e,s)}}),s}};function _h(n,e,t){for(let r in n){let i=n[r];i instanceof Function?i=i.bind(e):r=="handleDOMEvents"&&(i=_h(i,e,{})),t[r]=i}return t}var J=class{constructor(e){this.spec=e,this.props={},e.props&&_h(e.props,this,this.props),this.key=e.key?e.key.key:Uh("plugin")}getState(e){return e[this.key]}},gl=Object.create(null);function Uh(n){return n in gl?n+"$"+ ++gl[n]:(gl[n]=0,n+"$")}var fe=class{constructor(e="key"){this.key=Uh(e)}get(e){return e.config.pluginsByKey[this.key]}getState(e){return e[this.key]}};var se=function(n){for(var e=0;;e++)if(n=n.previousSibling,!n)return e},ti=function(n){let e=n.assignedSlot||n.parentNode;return e&&e.nodeType==11?e.host:e},Ml=null,xt=function(n,e,t){let r=Ml||(Ml=document.createRange());return r.setEnd(n,t??n.nodeValue.length),r.setStart(n,e||0),r},sg=function(){Ml=null},wn=function(n,e,t,r){return t&&(Vh(n,e,t,r,-1)||Vh(n,e,t,r,1))},og=/^(img|br|input|textarea|hr)$/i;function Vh(n,e,t,r,i){for(;;){if(n==t&&e==r)return!0;if(e==(i<0?0:Le(n))){let s=n.parentNode;if(!s||s.nodeType!=1||si(n)||og.test(n.nodeName)||n.contentEditable=="false")return!1;e=se(n)+(i<0?0:1),n=s}else if(n.nodeType==1){if(n=n.childNodes[e+(i<0?-1:0)],n.contentEditable=="false")return!1;e=i<0?Le(n):0}else return!1}}function Le(n){return n.nodeType==3?n.nodeValue.length:n.childNodes.length}function lg(n,e){for(;;){if(n.nodeType==3&&e)return n;if(n.nodeType==1&&e>0){if(n.contentEditable=="false")return null;n=n.childNodes[e-1],e=Le(n)}else if(n.parentNode&&!si(n))e=se(n),n=n.parentNode;else return null}}function cg(n,e){for(;;){if(n.nodeType==3&&e<n.nodeValue.length)return n;if(n.nodeType==1&&e<n.childNodes.length){if(n.contentEditable=="false")return null;n=n.childNodes[e],e=0}else if(n.parentNode&&!si(n))e=se(n)+1,n=n.parentNode;else return null}}function ag(n,e,t){for(let r=e==0,i=e==Le(n);r||i;){if(n==t)return!0;let s=se(n);if(n=n.parentNode,!n)return!1;r=r&&s==0,i=i&&s==Le(n)}}function si(n){let e;for(let t=n;t&&!(e=t.pmViewDesc);t=t.parentNode);return e&&e.node&&e.node.isBlock&&(e.dom==n||e.contentDOM==n)}var vs=function(n){return n.focusNode&&wn(n.focusNode,n.focusOffset,n.anchorNode,n.anchorOffset)};function dn(n,e){let t=document.createEvent("Event");return t.initEvent("keydown",!0,!0),t.keyCode=n,t.key=t.code=e,t}function hg(n){let e=n.activeElement;for(;e&&e.shadowRoot;)e=e.shadowRoot.activeElement;return e}function fg(n,e,t){if(n.caretPositionFromPoint)try{let r=n.caretPositionFromPoint(e,t);if(r)return{node:r.offsetNode,offset:Math.min(Le(r.offsetNode),r.offset)}}catch{}if(n.caretRangeFromPoint){let r=n.caretRangeFromPoint(e,t);if(r)return{node:r.startContainer,offset:Math.min(Le(r.startContainer),r.startOffset)}}}var Ze=typeof navigator<"u"?navigator:null,Bh=typeof document<"u"?document:null,Jt=Ze&&Ze.userAgent||"",Al=/Edge\/(\d+)/.exec(Jt),gf=/MSIE \d/.exec(Jt),Tl=/Trident\/(?:[7-9]|\d{2,})\..*rv:(\d+)/.exec(Jt),Te=!!(gf||Tl||Al),qt=gf?document.documentMode:Tl?+Tl[1]:Al?+Al[1]:0,Ke=!Te&&/gecko\/(\d+)/i.test(Jt);Ke&&+(/Firefox\/(\d+)/.exec(Jt)||[0,0])[1];var El=!Te&&/Chrome\/(\d+)/.exec(Jt),ue=!!El,yf=El?+El[1]:0,be=!Te&&!!Ze&&/Apple Computer/.test(Ze.vendor),rr=be&&(/Mobile\/\w+/.test(Jt)||!!Ze&&Ze.maxTouchPoints>2),Pe=rr||(Ze?/Mac/.test(Ze.platform):!1),dg=Ze?/Win/.test(Ze.platform):!1,We=/Android \d/.test(Jt),oi=!!Bh&&"webkitFontSmoothing"in Bh.documentElement.style,ug=oi?+(/\bAppleWebKit\/(\d+)/.exec(navigator.userAgent)||[0,0])[1]:0;function pg(n){let e=n.defaultView&&n.defaultView.visualViewport;return e?{left:0,right:e.width,top:0,bottom:e.height}:{left:0,right:n.documentElement.clientWidth,top:0,bottom:n.documentElement.clientHeight}}function bt(n,e){return typeof n=="number"?n:n[e]}function mg(n){let e=n.getBoundingClientRect(),t=e.width/n.offsetWidth||1,r=e.height/n.offsetHeight||1;return{left:e.left,right:e.left+n.clientWidth*t,top:e.top,bottom:e.top+n.clientHeight*r}}function Ph(n,e,t){let r=n.someProp("scrollThreshold")||0,i=n.someProp("scrollMargin")||5,s=n.dom.ownerDocument;for(let o=t||n.dom;o;o=ti(o)){if(o.nodeType!=1)continue;let l=o,c=l==s.body,a=c?pg(s):mg(l),h=0,f=0;if(e.top<a.top+bt(r,"top")?f=-(a.top-e.top+bt(i,"top")):e.bottom>a.bottom-bt(r,"bottom")&&(f=e.bottom-e.top>a.bottom-a.top?e.top+bt(i,"top")-a.top:e.bottom-a.bottom+bt(i,"bottom")),e.left<a.left+bt(r,"left")?h=-(a.left-e.left+bt(i,"left")):e.right>a.right-bt(r,"right")&&(h=e.right-a.right+bt(i,"right")),h||f)if(c)s.defaultView.scrollBy(h,f);else{let d=l.scrollLeft,u=l.scrollTop;f&&(l.scrollTop+=f),h&&(l.scrollLeft+=h);let p=l.scrollLeft-d,m=l.scrollTop-u;e={left:e.left-p,top:e.top-m,right:e.right-p,bottom:e.bottom-m}}if(c||/^(fixed|sticky)$/.test(getComputedStyle(o).position))break}}function gg(n){let e=n.dom.getBoundingClientRect(),t=Math.max(0,e.top),r,i;for(let s=(e.left+e.right)/2,o=t+1;o<Math.min(innerHeight,e.bottom);o+=5){let l=n.root.elementFromPoint(s,o);if(!l||l==n.dom||!n.dom.contains(l))continue;let c=l.getBoundingClientRect();if(c.top>=t-20){r=l,i=c.top;break}}return{refDOM:r,refTop:i,stack:wf(n.dom)}}function wf(n){let e=[],t=n.ownerDocument;for(let r=n;r&&(e.push({dom:r,top:r.scrollTop,left:r.scrollLeft}),n!=t);r=ti(r));return e}function yg({refDOM:n,refTop:e,stack:t}){let r=n?n.getBoundingClientRect().top:0;bf(t,r==0?0:r-e)}function bf(n,e){for(let t=0;t<n.length;t++){let{dom:r,top:i,left:s}=n[t];r.scrollTop!=i+e&&(r.scrollTop=i+e),r.scrollLeft!=s&&(r.scrollLeft=s)}}var Zn=null;function wg(n){if(n.setActive)return n.setActive();if(Zn)return n.focus(Zn);let e=wf(n);n.focus(Zn==null?{get preventScroll(){return Zn={preventScroll:!0},!0}}:void 0),Zn||(Zn=!1,bf(e,0))}function xf(n,e){let t,r=2e8,i,s=0,o=e.top,l=e.top,c,a;for(let h=n.firstChild,f=0;h;h=h.nextSibling,f++){let d;if(h.nodeType==1)d=h.getClientRects();else if(h.nodeType==3)d=xt(h).getClientRects();else continue;for(let u=0;u<d.length;u++){let p=d[u];if(p.top<=o&&p.bottom>=l){o=Math.max(p.bottom,o),l=Math.min(p.top,l);let m=p.left>e.left?p.left-e.left:p.right<e.left?e.left-p.right:0;if(m<r){t=h,r=m,i=m&&t.nodeType==3?{left:p.right<e.left?p.right:p.left,top:e.top}:e,h.nodeType==1&&m&&(s=f+(e.left>=(p.left+p.right)/2?1:0));continue}}else p.top>e.top&&!c&&p.left<=e.left&&p.right>=e.left&&(c=h,a={left:Math.max(p.left,Math.min(p.right,e.left)),top:p.top});!t&&(e.left>=p.right&&e.top>=p.top||e.left>=p.left&&e.top>=p.bottom)&&(s=f+1)}}return!t&&c&&(t=c,i=a,r=0),t&&t.nodeType==3?bg(t,i):!t||r&&t.nodeType==1?{node:n,offset:s}:xf(t,i)}function bg(n,e){let t=n.nodeValue.length,r=document.createRange();for(let i=0;i<t;i++){r.setEnd(n,i+1),r.setStart(n,i);let s=zt(r,1);if(s.top!=s.bottom&&ql(e,s))return{node:n,offset:i+(e.left>=(s.left+s.right)/2?1:0)}}return{node:n,offset:0}}function ql(n,e){return n.left>=e.left-1&&n.left<=e.right+1&&n.top>=e.top-1&&n.top<=e.bottom+1}function xg(n,e){let t=n.parentNode;return t&&/^li$/i.test(t.nodeName)&&e.left<n.getBoundingClientRect().left?t:n}function Sg(n,e,t){let{node:r,offset:i}=xf(e,t),s=-1;if(r.nodeType==1&&!r.firstChild){let o=r.getBoundingClientRect();s=o.left!=o.right&&t.left>(o.left+o.right)/2?1:-1}return n.docView.posFromDOM(r,i,s)}function kg(n,e,t,r){let i=-1;for(let s=e,o=!1;s!=n.dom;){let l=n.docView.nearestDesc(s,!0);if(!l)return null;if(l.dom.nodeType==1&&(l.node.isBlock&&l.parent||!l.contentDOM)){let c=l.dom.getBoundingClientRect();if(l.node.isBlock&&l.parent&&(!o&&c.left>r.left||c.top>r.top?i=l.posBefore:(!o&&c.right<r.left||c.bottom<r.top)&&(i=l.posAfter),o=!0),!l.contentDOM&&i<0&&!l.node.isText)return(l.node.isBlock?r.top<(c.top+c.bottom)/2:r.left<(c.left+c.right)/2)?l.posBefore:l.posAfter}s=l.dom.parentNode}return i>-1?i:n.docView.posFromDOM(e,t,-1)}function Sf(n,e,t){let r=n.childNodes.length;if(r&&t.top<t.bottom)for(let i=Math.max(0,Math.min(r-1,Math.floor(r*(e.top-t.top)/(t.bottom-t.top))-2)),s=i;;){let o=n.childNodes[s];if(o.nodeType==1){let l=o.getClientRects();for(let c=0;c<l.length;c++){let a=l[c];if(ql(e,a))return Sf(o,e,a)}}if((s=(s+1)%r)==i)break}return n}function Cg(n,e){let t=n.dom.ownerDocument,r,i=0,s=fg(t,e.left,e.top);s&&({node:r,offset:i}=s);let o=(n.root.elementFromPoint?n.root:t).elementFromPoint(e.left,e.top),l;if(!o||!n.dom.contains(o.nodeType!=1?o.parentNode:o)){let a=n.dom.getBoundingClientRect();if(!ql(e,a)||(o=Sf(n.dom,e,a),!o))return null}if(be)for(let a=o;r&&a;a=ti(a))a.draggable&&(r=void 0);if(o=xg(o,e),r){if(Ke&&r.nodeType==1&&(i=Math.min(i,r.childNodes.length),i<r.childNodes.length)){let h=r.childNodes[i],f;h.nodeName=="IMG"&&(f=h.getBoundingClientRect()).right<=e.left&&f.bottom>e.top&&i++}let a;oi&&i&&r.nodeType==1&&(a=r.childNodes[i-1]).nodeType==1&&a.contentEditable=="false"&&a.getBoundingClientRect().top>=e.top&&i--,r==n.dom&&i==r.childNodes.length-1&&r.lastChild.nodeType==1&&e.top>r.lastChild.getBoundingClientRect().bottom?l=n.state.doc.content.size:(i==0||r.nodeType!=1||r.childNodes[i-1].nodeName!="BR")&&(l=kg(n,r,i,e))}l==null&&(l=Sg(n,o,e));let c=n.docView.nearestDesc(o,!0);return{pos:l,inside:c?c.posAtStart-c.border:-1}}function Lh(n){return n.top<n.bottom||n.left<n.right}function zt(n,e){let t=n.getClientRects();if(t.length){let r=t[e<0?0:t.length-1];if(Lh(r))return r}return Array.prototype.find.call(t,Lh)||n.getBoundingClientRect()}var Mg=/[\u0590-\u05f4\u0600-\u06ff\u0700-\u08ac]/;function kf(n,e,t){let{node:r,offset:i,atom:s}=n.docView.domFromPos(e,t<0?-1:1),o=oi||Ke;if(r.nodeType==3)if(o&&(Mg.test(r.nodeValue)||(t<0?!i:i==r.nodeValue.length))){let c=zt(xt(r,i,i),t);if(Ke&&i&&/\s/.test(r.nodeValue[i-1])&&i<r.nodeValue.length){let a=zt(xt(r,i-1,i-1),-1);if(a.top==c.top){let h=zt(xt(r,i,i+1),-1);if(h.top!=c.top)return Qr(h,h.left<a.left)}}return c}else{let c=i,a=i,h=t<0?1:-1;return t<0&&!i?(a++,h=-1):t>=0&&i==r.nodeValue.length?(c--,h=1):t<0?c--:a++,Qr(zt(xt(r,c,a),h),h<0)}if(!n.state.doc.resolve(e-(s||0)).parent.inlineContent){if(s==null&&i&&(t<0||i==Le(r))){let c=r.childNodes[i-1];if(c.nodeType==1)return xl(c.getBoundingClientRect(),!1)}if(s==null&&i<Le(r)){let c=r.childNodes[i];if(c.nodeType==1)return xl(c.getBoundingClientRect(),!0)}return xl(r.getBoundingClientRect(),t>=0)}if(s==null&&i&&(t<0||i==Le(r))){let c=r.childNodes[i-1],a=c.nodeType==3?xt(c,Le(c)-(o?0:1)):c.nodeType==1&&(c.nodeName!="BR"||!c.nextSibling)?c:null;if(a)return Qr(zt(a,1),!1)}if(s==null&&i<Le(r)){let c=r.childNodes[i];for(;c.pmViewDesc&&c.pmViewDesc.ignoreForCoords;)c=c.nextSibling;let a=c?c.nodeType==3?xt(c,0,o?0:1):c.nodeType==1?c:null:null;if(a)return Qr(zt(a,-1),!0)}return Qr(zt(r.nodeType==3?xt(r):r,-t),t>=0)}function Qr(n,e){if(n.width==0)return n;let t=e?n.left:n.right;return{top:n.top,bottom:n.bottom,left:t,right:t}}function xl(n,e){if(n.height==0)return n;let t=e?n.top:n.bottom;return{top:t,bottom:t,left:n.left,right:n.right}}function Cf(n,e,t){let r=n.state,i=n.root.activeElement;r!=e&&n.updateState(e),i!=n.dom&&n.focus();try{return t()}finally{r!=e&&n.updateState(r),i!=n.dom&&i&&i.focus()}}function Ag(n,e,t){let r=e.selection,i=t=="up"?r.$from:r.$to;return Cf(n,e,()=>{let{node:s}=n.docView.domFromPos(i.pos,t=="up"?-1:1);for(;;){let l=n.docView.nearestDesc(s,!0);if(!l)break;if(l.node.isBlock){s=l.contentDOM||l.dom;break}s=l.dom.parentNode}let o=kf(n,i.pos,1);for(let l=s.firstChild;l;l=l.nextSibling){let c;if(l.nodeType==1)c=l.getClientRects();else if(l.nodeType==3)c=xt(l,0,l.nodeValue.length).getClientRects();else continue;for(let a=0;a<c.length;a++){let h=c[a];if(h.bottom>h.top+1&&(t=="up"?o.top-h.top>(h.bottom-o.top)*2:h.bottom-o.bottom>(o.bottom-h.top)*2))return!1}}return!0})}var Tg=/[\u0590-\u08ac]/;function Eg(n,e,t){let{$head:r}=e.selection;if(!r.parent.isTextblock)return!1;let i=r.parentOffset,s=!i,o=i==r.parent.content.size,l=n.domSelection();return l?!Tg.test(r.parent.textContent)||!l.modify?t=="left"||t=="backward"?s:o:Cf(n,e,()=>{let{focusNode:c,focusOffset:a,anchorNode:h,anchorOffset:f}=n.domSelectionRange(),d=l.caretBidiLevel;l.modify("move",t,"character");let u=r.depth?n.docView.domAfterPos(r.before()):n.dom,{focusNode:p,focusOffset:m}=n.domSelectionRange(),g=p&&!u.contains(p.nodeType==1?p:p.parentNode)||c==p&&a==m;try{l.collapse(h,f),c&&(c!=h||a!=f)&&l.extend&&l.extend(c,a)}catch{}return d!=null&&(l.caretBidiLevel=d),g}):r.pos==r.start()||r.pos==r.end()}var zh=null,Fh=null,$h=!1;function Dg(n,e,t){return zh==e&&Fh==t?$h:(zh=e,Fh=t,$h=t=="up"||t=="down"?Ag(n,e,t):Eg(n,e,t))}var ze=0,qh=1,un=2,et=3,bn=class{constructor(e,t,r,i){this.parent=e,this.children=t,this.dom=r,this.contentDOM=i,this.dirty=ze,r.pmViewDesc=this}matchesWidget(e){return!1}matchesMark(e){return!1}matchesNode(e,t,r){return!1}matchesHack(e){return!1}parseRule(){return null}stopEvent(e){return!1}get size(){let e=0;for(let t=0;t<this.children.length;t++)e+=this.children[t].size;return e}get border(){return 0}destroy(){this.parent=void 0,this.dom.pmViewDesc==this&&(this.dom.pmViewDesc=void 0);for(let e=0;e<this.children.length;e++)this.children[e].destroy()}posBeforeChild(e){for(let t=0,r=this.posAtStart;;t++){let i=this.children[t];if(i==e)return r;r+=i.size}}get posBefore(){return this.parent.posBeforeChild(this)}get posAtStart(){return this.parent?this.parent.posBeforeChild(this)+this.border:0}get posAfter(){return this.posBefore+this.size}get posAtEnd(){return this.posAtStart+this.size-2*this.border}localPosFromDOM(e,t,r){if(this.contentDOM&&this.contentDOM.contains(e.nodeType==1?e:e.parentNode))if(r<0){let s,o;if(e==this.contentDOM)s=e.childNodes[t-1];else{for(;e.parentNode!=this.contentDOM;)e=e.parentNode;s=e.previousSibling}for(;s&&!((o=s.pmViewDesc)&&o.parent==this);)s=s.previousSibling;return s?this.posBeforeChild(o)+o.size:this.posAtStart}else{let s,o;if(e==this.contentDOM)s=e.childNodes[t];else{for(;e.parentNode!=this.contentDOM;)e=e.parentNode;s=e.nextSibling}for(;s&&!((o=s.pmViewDesc)&&o.parent==this);)s=s.nextSibling;return s?this.posBeforeChild(o):this.posAtEnd}let i;if(e==this.dom&&this.contentDOM)i=t>se(this.contentDOM);else if(this.contentDOM&&this.contentDOM!=this.dom&&this.dom.contains(this.contentDOM))i=e.compareDocumentPosition(this.contentDOM)&2;else if(this.dom.firstChild){if(t==0)for(let s=e;;s=s.parentNode){if(s==this.dom){i=!1;break}if(s.previousSibling)break}if(i==null&&t==e.childNodes.length)for(let s=e;;s=s.parentNode){if(s==this.dom){i=!0;break}if(s.nextSibling)break}}return i??r>0?this.posAtEnd:this.posAtStart}nearestDesc(e,t=!1){for(let r=!0,i=e;i;i=i.parentNode){let s=this.getDesc(i),o;if(s&&(!t||s.node))if(r&&(o=s.nodeDOM)&&!(o.nodeType==1?o.contains(e.nodeType==1?e:e.parentNode):o==e))r=!1;else return s}}getDesc(e){let t=e.pmViewDesc;for(let r=t;r;r=r.parent)if(r==this)return t}posFromDOM(e,t,r){for(let i=e;i;i=i.parentNode){let s=this.getDesc(i);if(s)return s.localPosFromDOM(e,t,r)}return-1}descAt(e){for(let t=0,r=0;t<this.children.length;t++){let i=this.children[t],s=r+i.size;if(r==e&&s!=r){for(;!i.border&&i.children.length;)i=i.children[0];return i}if(e<s)return i.descAt(e-r-i.border);r=s}}domFromPos(e,t){if(!this.contentDOM)return{node:this.dom,offset:0,atom:e+1};let r=0,i=0;for(let s=0;r<this.children.length;r++){let o=this.children[r],l=s+o.size;if(l>e||o instanceof As){i=e-s;break}s=l}if(i)return this.children[r].domFromPos(i-this.children[r].border,t);for(let s;r&&!(s=this.children[r-1]).size&&s instanceof Cs&&s.side>=0;r--);if(t<=0){let s,o=!0;for(;s=r?this.children[r-1]:null,!(!s||s.dom.parentNode==this.contentDOM);r--,o=!1);return s&&t&&o&&!s.border&&!s.domAtom?s.domFromPos(s.size,t):{node:this.contentDOM,offset:s?se(s.dom)+1:0}}else{let s,o=!0;for(;s=r<this.children.length?this.children[r]:null,!(!s||s.dom.parentNode==this.contentDOM);r++,o=!1);return s&&o&&!s.border&&!s.domAtom?s.domFromPos(0,t):{node:this.contentDOM,offset:s?se(s.dom):this.contentDOM.childNodes.length}}}parseRange(e,t,r=0){if(this.children.length==0)return{node:this.contentDOM,from:e,to:t,fromOffset:0,toOffset:this.contentDOM.childNodes.length};let i=-1,s=-1;for(let o=r,l=0;;l++){let c=this.children[l],a=o+c.size;if(i==-1&&e<=a){let h=o+c.border;if(e>=h&&t<=a-c.border&&c.node&&c.contentDOM&&this.contentDOM.contains(c.contentDOM))return c.parseRange(e,t,h);e=o;for(let f=l;f>0;f--){let d=this.children[f-1];if(d.size&&d.dom.parentNode==this.contentDOM&&!d.emptyChildAt(1)){i=se(d.dom)+1;break}e-=d.size}i==-1&&(i=0)}if(i>-1&&(a>t||l==this.children.length-1)){t=a;for(let h=l+1;h<this.children.length;h++){let f=this.children[h];if(f.size&&f.dom.parentNode==this.contentDOM&&!f.emptyChildAt(-1)){s=se(f.dom);break}t+=f.size}s==-1&&(s=this.contentDOM.childNodes.length);break}o=a}return{node:this.contentDOM,from:e,to:t,fromOffset:i,toOffset:s}}emptyChildAt(e){if(this.border||!this.contentDOM||!this.children.length)return!1;let t=this.children[e<0?0:this.children.length-1];return t.size==0||t.emptyChildAt(e)}domAfterPos(e){let{node:t,offset:r}=this.domFromPos(e,0);if(t.nodeType!=1||r==t.childNodes.length)throw new RangeError("No node after pos "+e);return t.childNodes[r]}setSelection(e,t,r,i=!1){let s=Math.min(e,t),o=Math.max(e,t);for(let d=0,u=0;d<this.children.length;d++){let p=this.children[d],m=u+p.size;if(s>u&&o<m)return p.setSelection(e-u-p.border,t-u-p.border,r,i);u=m}let l=this.domFromPos(e,e?-1:1),c=t==e?l:this.domFromPos(t,t?-1:1),a=r.getSelection(),h=!1;if((Ke||be)&&e==t){let{node:d,offset:u}=l;if(d.nodeType==3){if(h=!!(u&&d.nodeValue[u-1]==`
+`),h&&u==d.nodeValue.length)for(let p=d,m;p;p=p.parentNode){if(m=p.nextSibling){m.nodeName=="BR"&&(l=c={node:m.parentNode,offset:se(m)+1});break}let g=p.pmViewDesc;if(g&&g.node&&g.node.isBlock)break}}else{let p=d.childNodes[u-1];h=p&&(p.nodeName=="BR"||p.contentEditable=="false")}}if(Ke&&a.focusNode&&a.focusNode!=c.node&&a.focusNode.nodeType==1){let d=a.focusNode.childNodes[a.focusOffset];d&&d.contentEditable=="false"&&(i=!0)}if(!(i||h&&be)&&wn(l.node,l.offset,a.anchorNode,a.anchorOffset)&&wn(c.node,c.offset,a.focusNode,a.focusOffset))return;let f=!1;if((a.extend||e==t)&&!h){a.collapse(l.node,l.offset);try{e!=t&&a.extend(c.node,c.offset),f=!0}catch{}}if(!f){if(e>t){let u=l;l=c,c=u}let d=document.createRange();d.setEnd(c.node,c.offset),d.setStart(l.node,l.offset),a.removeAllRanges(),a.addRange(d)}}ignoreMutation(e){return!this.contentDOM&&e.type!="selection"}get contentLost(){return this.contentDOM&&this.contentDOM!=this.dom&&!this.dom.contains(this.contentDOM)}markDirty(e,t){for(let r=0,i=0;i<this.children.length;i++){let s=this.children[i],o=r+s.size;if(r==o?e<=o&&t>=r:e<o&&t>r){let l=r+s.border,c=o-s.border;if(e>=l&&t<=c){this.dirty=e==r||t==o?un:qh,e==l&&t==c&&(s.contentLost||s.dom.parentNode!=this.contentDOM)?s.dirty=et:s.markDirty(e-l,t-l);return}else s.dirty=s.dom==s.contentDOM&&s.dom.parentNode==this.contentDOM&&!s.children.length?un:et}r=o}this.dirty=un}markParentsDirty(){let e=1;for(let t=this.parent;t;t=t.parent,e++){let r=e==1?un:qh;t.dirty<r&&(t.dirty=r)}}get domAtom(){return!1}get ignoreForCoords(){return!1}isText(e){return!1}},Cs=class extends bn{constructor(e,t,r,i){let s,o=t.type.toDOM;if(typeof o=="function"&&(o=o(r,()=>{if(!s)return i;if(s.parent)return s.parent.posBeforeChild(s)})),!t.type.spec.raw){if(o.nodeType!=1){let l=document.createElement("span");l.appendChild(o),o=l}o.contentEditable="false",o.classList.add("ProseMirror-widget")}super(e,[],o,null),this.widget=t,this.widget=t,s=this}matchesWidget(e){return this.dirty==ze&&e.type.eq(this.widget.type)}parseRule(){return{ignore:!0}}stopEvent(e){let t=this.widget.spec.stopEvent;return t?t(e):!1}ignoreMutation(e){return e.type!="selection"||this.widget.spec.ignoreSelection}destroy(){this.widget.type.destroy(this.dom),super.destroy()}get domAtom(){return!0}get side(){return this.widget.type.side}},Dl=class extends bn{constructor(e,t,r,i){super(e,[],t,null),this.textDOM=r,this.text=i}get size(){return this.text.length}localPosFromDOM(e,t){return e!=this.textDOM?this.posAtStart+(t?this.size:0):this.posAtStart+t}domFromPos(e){return{node:this.textDOM,offset:e}}ignoreMutation(e){return e.type==="characterData"&&e.target.nodeValue==e.oldValue}},ir=class n extends bn{constructor(e,t,r,i){super(e,[],r,i),this.mark=t}static create(e,t,r,i){let s=i.nodeViews[t.type.name],o=s&&s(t,i,r);return(!o||!o.dom)&&(o=Bt.renderSpec(document,t.type.spec.toDOM(t,r),null,t.attrs)),new n(e,t,o.dom,o.contentDOM||o.dom)}parseRule(){return this.dirty&et||this.mark.type.spec.reparseInView?null:{mark:this.mark.type.name,attrs:this.mark.attrs,contentElement:this.contentDOM}}matchesMark(e){return this.dirty!=et&&this.mark.eq(e)}markDirty(e,t){if(super.markDirty(e,t),this.dirty!=ze){let r=this.parent;for(;!r.node;)r=r.parent;r.dirty<this.dirty&&(r.dirty=this.dirty),this.dirty=ze}}slice(e,t,r){let i=n.create(this.parent,this.mark,!0,r),s=this.children,o=this.size;t<o&&(s=Rl(s,t,o,r)),e>0&&(s=Rl(s,0,e,r));for(let l=0;l<s.length;l++)s[l].parent=i;return i.children=s,i}},Ht=class n extends bn{constructor(e,t,r,i,s,o,l,c,a){super(e,[],s,o),this.node=t,this.outerDeco=r,this.innerDeco=i,this.nodeDOM=l}static create(e,t,r,i,s,o){let l=s.nodeViews[t.type.name],c,a=l&&l(t,s,()=>{if(!c)return o;if(c.parent)return c.parent.posBeforeChild(c)},r,i),h=a&&a.dom,f=a&&a.contentDOM;if(t.isText){if(!h)h=document.createTextNode(t.text);else if(h.nodeType!=3)throw new RangeError("Text must be rendered as a DOM text node")}else h||({dom:h,contentDOM:f}=Bt.renderSpec(document,t.type.spec.toDOM(t),null,t.attrs));!f&&!t.isText&&h.nodeName!="BR"&&(h.hasAttribute("contenteditable")||(h.contentEditable="false"),t.type.spec.draggable&&(h.draggable=!0));let d=h;return h=Tf(h,r,t),a?c=new Ol(e,t,r,i,h,f||null,d,a,s,o+1):t.isText?new Ms(e,t,r,i,h,d,s):new n(e,t,r,i,h,f||null,d,s,o+1)}parseRule(){if(this.node.type.spec.reparseInView)return null;let e={node:this.node.type.name,attrs:this.node.attrs};if(this.node.type.whitespace=="pre"&&(e.preserveWhitespace="full"),!this.contentDOM)e.getContent=()=>this.node.content;else if(!this.contentLost)e.contentElement=this.contentDOM;else{for(let t=this.children.length-1;t>=0;t--){let r=this.children[t];if(this.dom.contains(r.dom.parentNode)){e.contentElement=r.dom.parentNode;break}}e.contentElement||(e.getContent=()=>w.empty)}return e}matchesNode(e,t,r){return this.dirty==ze&&e.eq(this.node)&&Ts(t,this.outerDeco)&&r.eq(this.innerDeco)}get size(){return this.node.nodeSize}get border(){return this.node.isLeaf?0:1}updateChildren(e,t){let r=this.node.inlineContent,i=t,s=e.composing?this.localCompositionInfo(e,t):null,o=s&&s.pos>-1?s:null,l=s&&s.pos<0,c=new Il(this,o&&o.node,e);Rg(this.node,this.innerDeco,(a,h,f)=>{a.spec.marks?c.syncToMarks(a.spec.marks,r,e):a.type.side>=0&&!f&&c.syncToMarks(h==this.node.childCount?D.none:this.node.child(h).marks,r,e),c.placeWidget(a,e,i)},(a,h,f,d)=>{c.syncToMarks(a.marks,r,e);let u;c.findNodeMatch(a,h,f,d)||l&&e.state.selection.from>i&&e.state.selection.to<i+a.nodeSize&&(u=c.findIndexWithChild(s.node))>-1&&c.updateNodeAt(a,h,f,u,e)||c.updateNextNode(a,h,f,e,d,i)||c.addNode(a,h,f,e,i),i+=a.nodeSize}),c.syncToMarks([],r,e),this.node.isTextblock&&c.addTextblockHacks(),c.destroyRest(),(c.changed||this.dirty==un)&&(o&&this.protectLocalComposition(e,o),Mf(this.contentDOM,this.children,e),rr&&vg(this.dom))}localCompositionInfo(e,t){let{from:r,to:i}=e.state.selection;if(!(e.state.selection instanceof A)||r<t||i>t+this.node.content.size)return null;let s=e.input.compositionNode;if(!s||!this.dom.contains(s.parentNode))return null;if(this.node.inlineContent){let o=s.nodeValue,l=_g(this.node.content,o,r-t,i-t);return l<0?null:{node:s,pos:l,text:o}}else return{node:s,pos:-1,text:""}}protectLocalComposition(e,{node:t,pos:r,text:i}){if(this.getDesc(t))return;let s=t;for(;s.parentNode!=this.contentDOM;s=s.parentNode){for(;s.previousSibling;)s.parentNode.removeChild(s.previousSibling);for(;s.nextSibling;)s.parentNode.removeChild(s.nextSibling);s.pmViewDesc&&(s.pmViewDesc=void 0)}let o=new Dl(this,s,t,i);e.input.compositionNodes.push(o),this.children=Rl(this.children,r,r+i.length,e,o)}update(e,t,r,i){return this.dirty==et||!e.sameMarkup(this.node)?!1:(this.updateInner(e,t,r,i),!0)}updateInner(e,t,r,i){this.updateOuterDeco(t),this.node=e,this.innerDeco=r,this.contentDOM&&this.updateChildren(i,this.posAtStart),this.dirty=ze}updateOuterDeco(e){if(Ts(e,this.outerDeco))return;let t=this.nodeDOM.nodeType!=1,r=this.dom;this.dom=Af(this.dom,this.nodeDOM,Nl(this.outerDeco,this.node,t),Nl(e,this.node,t)),this.dom!=r&&(r.pmViewDesc=void 0,this.dom.pmViewDesc=this),this.outerDeco=e}selectNode(){this.nodeDOM.nodeType==1&&this.nodeDOM.classList.add("ProseMirror-selectednode"),(this.contentDOM||!this.node.type.spec.draggable)&&(this.dom.draggable=!0)}deselectNode(){this.nodeDOM.nodeType==1&&(this.nodeDOM.classList.remove("ProseMirror-selectednode"),(this.contentDOM||!this.node.type.spec.draggable)&&this.dom.removeAttribute("draggable"))}get domAtom(){return this.node.isAtom}};function Hh(n,e,t,r,i){Tf(r,e,n);let s=new Ht(void 0,n,e,t,r,r,r,i,0);return s.contentDOM&&s.updateChildren(i,0),s}var Ms=class n extends Ht{constructor(e,t,r,i,s,o,l){super(e,t,r,i,s,null,o,l,0)}parseRule(){let e=this.nodeDOM.parentNode;for(;e&&e!=this.dom&&!e.pmIsDeco;)e=e.parentNode;return{skip:e||!0}}update(e,t,r,i){return this.dirty==et||this.dirty!=ze&&!this.inParent()||!e.sameMarkup(this.node)?!1:(this.updateOuterDeco(t),(this.dirty!=ze||e.text!=this.node.text)&&e.text!=this.nodeDOM.nodeValue&&(this.nodeDOM.nodeValue=e.text,i.trackWrites==this.nodeDOM&&(i.trackWrites=null)),this.node=e,this.dirty=ze,!0)}inParent(){let e=this.parent.contentDOM;for(let t=this.nodeDOM;t;t=t.parentNode)if(t==e)return!0;return!1}domFromPos(e){return{node:this.nodeDOM,offset:e}}localPosFromDOM(e,t,r){return e==this.nodeDOM?this.posAtStart+Math.min(t,this.node.text.length):super.localPosFromDOM(e,t,r)}ignoreMutation(e){return e.type!="characterData"&&e.type!="selection"}slice(e,t,r){let i=this.node.cut(e,t),s=document.createTextNode(i.text);return new n(this.parent,i,this.outerDeco,this.innerDeco,s,s,r)}markDirty(e,t){super.markDirty(e,t),this.dom!=this.nodeDOM&&(e==0||t==this.nodeDOM.nodeValue.length)&&(this.dirty=et)}get domAtom(){return!1}isText(e){return this.node.text==e}},As=class extends bn{parseRule(){return{ignore:!0}}matchesHack(e){return this.dirty==ze&&this.dom.nodeName==e}get domAtom(){return!0}get ignoreForCoords(){return this.dom.nodeName=="IMG"}},Ol=class extends Ht{constructor(e,t,r,i,s,o,l,c,a,h){super(e,t,r,i,s,o,l,a,h),this.spec=c}update(e,t,r,i){if(this.dirty==et)return!1;if(this.spec.update){let s=this.spec.update(e,t,r);return s&&this.updateInner(e,t,r,i),s}else return!this.contentDOM&&!e.isLeaf?!1:super.update(e,t,r,i)}selectNode(){this.spec.selectNode?this.spec.selectNode():super.selectNode()}deselectNode(){this.spec.deselectNode?this.spec.deselectNode():super.deselectNode()}setSelection(e,t,r,i){this.spec.setSelection?this.spec.setSelection(e,t,r):super.setSelection(e,t,r,i)}destroy(){this.spec.destroy&&this.spec.destroy(),super.destroy()}stopEvent(e){return this.spec.stopEvent?this.spec.stopEvent(e):!1}ignoreMutation(e){return this.spec.ignoreMutation?this.spec.ignoreMutation(e):super.ignoreMutation(e)}};function Mf(n,e,t){let r=n.firstChild,i=!1;for(let s=0;s<e.length;s++){let o=e[s],l=o.dom;if(l.parentNode==n){for(;l!=r;)r=Jh(r),i=!0;r=r.nextSibling}else i=!0,n.insertBefore(l,r);if(o instanceof ir){let c=r?r.previousSibling:n.lastChild;Mf(o.contentDOM,o.children,t),r=c?c.nextSibling:n.firstChild}}for(;r;)r=Jh(r),i=!0;i&&t.trackWrites==n&&(t.trackWrites=null)}var Zr=function(n){n&&(this.nodeName=n)};Zr.prototype=Object.create(null);var pn=[new Zr];function Nl(n,e,t){if(n.length==0)return pn;let r=t?pn[0]:new Zr,i=[r];for(let s=0;s<n.length;s++){let o=n[s].type.attrs;if(o){o.nodeName&&i.push(r=new Zr(o.nodeName));for(let l in o){let c=o[l];c!=null&&(t&&i.length==1&&i.push(r=new Zr(e.isInline?"span":"div")),l=="class"?r.class=(r.class?r.class+" ":"")+c:l=="style"?r.style=(r.style?r.style+";":"")+c:l!="nodeName"&&(r[l]=c))}}}return i}function Af(n,e,t,r){if(t==pn&&r==pn)return e;let i=e;for(let s=0;s<r.length;s++){let o=r[s],l=t[s];if(s){let c;l&&l.nodeName==o.nodeName&&i!=n&&(c=i.parentNode)&&c.nodeName.toLowerCase()==o.nodeName||(c=document.createElement(o.nodeName),c.pmIsDeco=!0,c.appendChild(i),l=pn[0]),i=c}Og(i,l||pn[0],o)}return i}function Og(n,e,t){for(let r in e)r!="class"&&r!="style"&&r!="nodeName"&&!(r in t)&&n.removeAttribute(r);for(let r in t)r!="class"&&r!="style"&&r!="nodeName"&&t[r]!=e[r]&&n.setAttribute(r,t[r]);if(e.class!=t.class){let r=e.class?e.class.split(" ").filter(Boolean):[],i=t.class?t.class.split(" ").filter(Boolean):[];for(let s=0;s<r.length;s++)i.indexOf(r[s])==-1&&n.classList.remove(r[s]);for(let s=0;s<i.length;s++)r.indexOf(i[s])==-1&&n.classList.add(i[s]);n.classList.length==0&&n.removeAttribute("class")}if(e.style!=t.style){if(e.style){let r=/\s*([\w\-\xa1-\uffff]+)\s*:(?:"(?:\\.|[^"])*"|'(?:\\.|[^'])*'|\(.*?\)|[^;])*/g,i;for(;i=r.exec(e.style);)n.style.removeProperty(i[1])}t.style&&(n.style.cssText+=t.style)}}function Tf(n,e,t){return Af(n,n,pn,Nl(e,t,n.nodeType!=1))}function Ts(n,e){if(n.length!=e.length)return!1;for(let t=0;t<n.length;t++)if(!n[t].type.eq(e[t].type))return!1;return!0}function Jh(n){let e=n.nextSibling;return n.parentNode.removeChild(n),e}var Il=class{constructor(e,t,r){this.lock=t,this.view=r,this.index=0,this.stack=[],this.changed=!1,this.top=e,this.preMatch=Ng(e.node.content,e)}destroyBetween(e,t){if(e!=t){for(let r=e;r<t;r++)this.top.children[r].destroy();this.top.children.splice(e,t-e),this.changed=!0}}destroyRest(){this.destroyBetween(this.index,this.top.children.length)}syncToMarks(e,t,r){let i=0,s=this.stack.length>>1,o=Math.min(s,e.length);for(;i<o&&(i==s-1?this.top:this.stack[i+1<<1]).matchesMark(e[i])&&e[i].type.spec.spanning!==!1;)i++;for(;i<s;)this.destroyRest(),this.top.dirty=ze,this.index=this.stack.pop(),this.top=this.stack.pop(),s--;for(;s<e.length;){this.stack.push(this.top,this.index+1);let l=-1;for(let c=this.index;c<Math.min(this.index+3,this.top.children.length);c++){let a=this.top.children[c];if(a.matchesMark(e[s])&&!this.isLocked(a.dom)){l=c;break}}if(l>-1)l>this.index&&(this.changed=!0,this.destroyBetween(this.index,l)),this.top=this.top.children[this.index];else{let c=ir.create(this.top,e[s],t,r);this.top.children.splice(this.index,0,c),this.top=c,this.changed=!0}this.index=0,s++}}findNodeMatch(e,t,r,i){let s=-1,o;if(i>=this.preMatch.index&&(o=this.preMatch.matches[i-this.preMatch.index]).parent==this.top&&o.matchesNode(e,t,r))s=this.top.children.indexOf(o,this.index);else for(let l=this.index,c=Math.min(this.top.children.length,l+5);l<c;l++){let a=this.top.children[l];if(a.matchesNode(e,t,r)&&!this.preMatch.matched.has(a)){s=l;break}}return s<0?!1:(this.destroyBetween(this.index,s),this.index++,!0)}updateNodeAt(e,t,r,i,s){let o=this.top.children[i];return o.dirty==et&&o.dom==o.contentDOM&&(o.dirty=un),o.update(e,t,r,s)?(this.destroyBetween(this.index,i),this.index++,!0):!1}findIndexWithChild(e){for(;;){let t=e.parentNode;if(!t)return-1;if(t==this.top.contentDOM){let r=e.pmViewDesc;if(r){for(let i=this.index;i<this.top.children.length;i++)if(this.top.children[i]==r)return i}return-1}e=t}}updateNextNode(e,t,r,i,s,o){for(let l=this.index;l<this.top.children.length;l++){let c=this.top.children[l];if(c instanceof Ht){let a=this.preMatch.matched.get(c);if(a!=null&&a!=s)return!1;let h=c.dom,f,d=this.isLocked(h)&&!(e.isText&&c.node&&c.node.isText&&c.nodeDOM.nodeValue==e.text&&c.dirty!=et&&Ts(t,c.outerDeco));if(!d&&c.update(e,t,r,i))return this.destroyBetween(this.index,l),c.dom!=h&&(this.changed=!0),this.index++,!0;if(!d&&(f=this.recreateWrapper(c,e,t,r,i,o)))return this.destroyBetween(this.index,l),this.top.children[this.index]=f,f.contentDOM&&(f.dirty=un,f.updateChildren(i,o+1),f.dirty=ze),this.changed=!0,this.index++,!0;break}}return!1}recreateWrapper(e,t,r,i,s,o){if(e.dirty||t.isAtom||!e.children.length||!e.node.content.eq(t.content)||!Ts(r,e.outerDeco)||!i.eq(e.innerDeco))return null;let l=Ht.create(this.top,t,r,i,s,o);if(l.contentDOM){l.children=e.children,e.children=[];for(let c of l.children)c.parent=l}return e.destroy(),l}addNode(e,t,r,i,s){let o=Ht.create(this.top,e,t,r,i,s);o.contentDOM&&o.updateChildren(i,s+1),this.top.children.splice(this.index++,0,o),this.changed=!0}placeWidget(e,t,r){let i=this.index<this.top.children.length?this.top.children[this.index]:null;if(i&&i.matchesWidget(e)&&(e==i.widget||!i.widget.type.toDOM.parentNode))this.index++;else{let s=new Cs(this.top,e,t,r);this.top.children.splice(this.index++,0,s),this.changed=!0}}addTextblockHacks(){let e=this.top.children[this.index-1],t=this.top;for(;e instanceof ir;)t=e,e=t.children[t.children.length-1];(!e||!(e instanceof Ms)||/\n$/.test(e.node.text)||this.view.requiresGeckoHackNode&&/\s$/.test(e.node.text))&&((be||ue)&&e&&e.dom.contentEditable=="false"&&this.addHackNode("IMG",t),this.addHackNode("BR",this.top))}addHackNode(e,t){if(t==this.top&&this.index<t.children.length&&t.children[this.index].matchesHack(e))this.index++;else{let r=document.createElement(e);e=="IMG"&&(r.className="ProseMirror-separator",r.alt=""),e=="BR"&&(r.className="ProseMirror-trailingBreak");let i=new As(this.top,[],r,null);t!=this.top?t.children.push(i):t.children.splice(this.index++,0,i),this.changed=!0}}isLocked(e){return this.lock&&(e==this.lock||e.nodeType==1&&e.contains(this.lock.parentNode))}};function Ng(n,e){let t=e,r=t.children.length,i=n.childCount,s=new Map,o=[];e:for(;i>0;){let l;for(;;)if(r){let a=t.children[r-1];if(a instanceof ir)t=a,r=a.children.length;else{l=a,r--;break}}else{if(t==e)break e;r=t.parent.children.indexOf(t),t=t.parent}let c=l.node;if(c){if(c!=n.child(i-1))break;--i,s.set(l,i),o.push(l)}}return{index:i,matched:s,matches:o.reverse()}}function Ig(n,e){return n.type.side-e.type.side}function Rg(n,e,t,r){let i=e.locals(n),s=0;if(i.length==0){for(let a=0;a<n.childCount;a++){let h=n.child(a);r(h,i,e.forChild(s,h),a),s+=h.nodeSize}return}let o=0,l=[],c=null;for(let a=0;;){let h,f;for(;o<i.length&&i[o].to==s;){let g=i[o++];g.widget&&(h?(f||(f=[h])).push(g):h=g)}if(h)if(f){f.sort(Ig);for(let g=0;g<f.length;g++)t(f[g],a,!!c)}else t(h,a,!!c);let d,u;if(c)u=-1,d=c,c=null;else if(a<n.childCount)u=a,d=n.child(a++);else break;for(let g=0;g<l.length;g++)l[g].to<=s&&l.splice(g--,1);for(;o<i.length&&i[o].from<=s&&i[o].to>s;)l.push(i[o++]);let p=s+d.nodeSize;if(d.isText){let g=p;o<i.length&&i[o].from<g&&(g=i[o].from);for(let y=0;y<l.length;y++)l[y].to<g&&(g=l[y].to);g<p&&(c=d.cut(g-s),d=d.cut(0,g-s),p=g,u=-1)}else for(;o<i.length&&i[o].to<p;)o++;let m=d.isInline&&!d.isLeaf?l.filter(g=>!g.inline):l.slice();r(d,m,e.forChild(s,d),u),s=p}}function vg(n){if(n.nodeName=="UL"||n.nodeName=="OL"){let e=n.style.cssText;n.style.cssText=e+"; list-style: square !important",window.getComputedStyle(n).listStyle,n.style.cssText=e}}function _g(n,e,t,r){for(let i=0,s=0;i<n.childCount&&s<=r;){let o=n.child(i++),l=s;if(s+=o.nodeSize,!o.isText)continue;let c=o.text;for(;i<n.childCount;){let a=n.child(i++);if(s+=a.nodeSize,!a.isText)break;c+=a.text}if(s>=t){if(s>=r&&c.slice(r-e.length-l,r-l)==e)return r-e.length;let a=l<r?c.lastIndexOf(e,r-l-1):-1;if(a>=0&&a+e.length+l>=t)return l+a;if(t==r&&c.length>=r+e.length-l&&c.slice(r-l,r-l+e.length)==e)return r}}return-1}function Rl(n,e,t,r,i){let s=[];for(let o=0,l=0;o<n.length;o++){let c=n[o],a=l,h=l+=c.size;a>=t||h<=e?s.push(c):(a<e&&s.push(c.slice(0,e-a,r)),i&&(s.push(i),i=void 0),h>t&&s.push(c.slice(t-a,c.size,r)))}return s}function Hl(n,e=null){let t=n.domSelectionRange(),r=n.state.doc;if(!t.focusNode)return null;let i=n.docView.nearestDesc(t.focusNode),s=i&&i.size==0,o=n.docView.posFromDOM(t.focusNode,t.focusOffset,1);if(o<0)return null;let l=r.resolve(o),c,a;if(vs(t)){for(c=o;i&&!i.node;)i=i.parent;let f=i.node;if(i&&f.isAtom&&k.isSelectable(f)&&i.parent&&!(f.isInline&&ag(t.focusNode,t.focusOffset,i.dom))){let d=i.posBefore;a=new k(o==d?l:r.resolve(d))}}else{if(t instanceof n.dom.ownerDocument.defaultView.Selection&&t.rangeCount>1){let f=o,d=o;for(let u=0;u<t.rangeCount;u++){let p=t.getRangeAt(u);f=Math.min(f,n.docView.posFromDOM(p.startContainer,p.startOffset,1)),d=Math.max(d,n.docView.posFromDOM(p.endContainer,p.endOffset,-1))}if(f<0)return null;[c,o]=d==n.state.selection.anchor?[d,f]:[f,d],l=r.resolve(o)}else c=n.docView.posFromDOM(t.anchorNode,t.anchorOffset,1);if(c<0)return null}let h=r.resolve(c);if(!a){let f=e=="pointer"||n.state.selection.head<l.pos&&!s?1:-1;a=Jl(n,h,l,f)}return a}function Ef(n){return n.editable?n.hasFocus():Of(n)&&document.activeElement&&document.activeElement.contains(n.dom)}function St(n,e=!1){let t=n.state.selection;if(Df(n,t),!!Ef(n)){if(!e&&n.input.mouseDown&&n.input.mouseDown.allowDefault&&ue){let r=n.domSelectionRange(),i=n.domObserver.currentSelection;if(r.anchorNode&&i.anchorNode&&wn(r.anchorNode,r.anchorOffset,i.anchorNode,i.anchorOffset)){n.input.mouseDown.delayedSelectionSync=!0,n.domObserver.setCurSelection();return}}if(n.domObserver.disconnectSelection(),n.cursorWrapper)Vg(n);else{let{anchor:r,head:i}=t,s,o;jh&&!(t instanceof A)&&(t.$from.parent.inlineContent||(s=Wh(n,t.from)),!t.empty&&!t.$from.parent.inlineContent&&(o=Wh(n,t.to))),n.docView.setSelection(r,i,n.root,e),jh&&(s&&Kh(s),o&&Kh(o)),t.visible?n.dom.classList.remove("ProseMirror-hideselection"):(n.dom.classList.add("ProseMirror-hideselection"),"onselectionchange"in document&&Ug(n))}n.domObserver.setCurSelection(),n.domObserver.connectSelection()}}var jh=be||ue&&yf<63;function Wh(n,e){let{node:t,offset:r}=n.docView.domFromPos(e,0),i=r<t.childNodes.length?t.childNodes[r]:null,s=r?t.childNodes[r-1]:null;if(be&&i&&i.contentEditable=="false")return Sl(i);if((!i||i.contentEditable=="false")&&(!s||s.contentEditable=="false")){if(i)return Sl(i);if(s)return Sl(s)}}function Sl(n){return n.contentEditable="true",be&&n.draggable&&(n.draggable=!1,n.wasDraggable=!0),n}function Kh(n){n.contentEditable="false",n.wasDraggable&&(n.draggable=!0,n.wasDraggable=null)}function Ug(n){let e=n.dom.ownerDocument;e.removeEventListener("selectionchange",n.input.hideSelectionGuard);let t=n.domSelectionRange(),r=t.anchorNode,i=t.anchorOffset;e.addEventListener("selectionchange",n.input.hideSelectionGuard=()=>{(t.anchorNode!=r||t.anchorOffset!=i)&&(e.removeEventListener("selectionchange",n.input.hideSelectionGuard),setTimeout(()=>{(!Ef(n)||n.state.selection.visible)&&n.dom.classList.remove("ProseMirror-hideselection")},20))})}function Vg(n){let e=n.domSelection(),t=document.createRange();if(!e)return;let r=n.cursorWrapper.dom,i=r.nodeName=="IMG";i?t.setStart(r.parentNode,se(r)+1):t.setStart(r,0),t.collapse(!0),e.removeAllRanges(),e.addRange(t),!i&&!n.state.selection.visible&&Te&&qt<=11&&(r.disabled=!0,r.disabled=!1)}function Df(n,e){if(e instanceof k){let t=n.docView.descAt(e.from);t!=n.lastSelectedViewDesc&&(Yh(n),t&&t.selectNode(),n.lastSelectedViewDesc=t)}else Yh(n)}function Yh(n){n.lastSelectedViewDesc&&(n.lastSelectedViewDesc.parent&&n.lastSelectedViewDesc.deselectNode(),n.lastSelectedViewDesc=void 0)}function Jl(n,e,t,r){return n.someProp("createSelectionBetween",i=>i(n,e,t))||A.between(e,t,r)}function Gh(n){return n.editable&&!n.hasFocus()?!1:Of(n)}function Of(n){let e=n.domSelectionRange();if(!e.anchorNode)return!1;try{return n.dom.contains(e.anchorNode.nodeType==3?e.anchorNode.parentNode:e.anchorNode)&&(n.editable||n.dom.contains(e.focusNode.nodeType==3?e.focusNode.parentNode:e.focusNode))}catch{return!1}}function Bg(n){let e=n.docView.domFromPos(n.state.selection.anchor,0),t=n.domSelectionRange();return wn(e.node,e.offset,t.anchorNode,t.anchorOffset)}function vl(n,e){let{$anchor:t,$head:r}=n.selection,i=e>0?t.max(r):t.min(r),s=i.parent.inlineContent?i.depth?n.doc.resolve(e>0?i.after():i.before()):null:i;return s&&S.findFrom(s,e)}function Ft(n,e){return n.dispatch(n.state.tr.setSelection(e).scrollIntoView()),!0}function Xh(n,e,t){let r=n.state.selection;if(r instanceof A)if(t.indexOf("s")>-1){let{$head:i}=r,s=i.textOffset?null:e<0?i.nodeBefore:i.nodeAfter;if(!s||s.isText||!s.isLeaf)return!1;let o=n.state.doc.resolve(i.pos+s.nodeSize*(e<0?-1:1));return Ft(n,new A(r.$anchor,o))}else if(r.empty){if(n.endOfTextblock(e>0?"forward":"backward")){let i=vl(n.state,e);return i&&i instanceof k?Ft(n,i):!1}else if(!(Pe&&t.indexOf("m")>-1)){let i=r.$head,s=i.textOffset?null:e<0?i.nodeBefore:i.nodeAfter,o;if(!s||s.isText)return!1;let l=e<0?i.pos-s.nodeSize:i.pos;return s.isAtom||(o=n.docView.descAt(l))&&!o.contentDOM?k.isSelectable(s)?Ft(n,new k(e<0?n.state.doc.resolve(i.pos-s.nodeSize):i)):oi?Ft(n,new A(n.state.doc.resolve(e<0?l:l+s.nodeSize))):!1:!1}}else return!1;else{if(r instanceof k&&r.node.isInline)return Ft(n,new A(e>0?r.$to:r.$from));{let i=vl(n.state,e);return i?Ft(n,i):!1}}}function Es(n){return n.nodeType==3?n.nodeValue.length:n.childNodes.length}function ei(n,e){let t=n.pmViewDesc;return t&&t.size==0&&(e<0||n.nextSibling||n.nodeName!="BR")}function er(n,e){return e<0?Pg(n):Lg(n)}function Pg(n){let e=n.domSelectionRange(),t=e.focusNode,r=e.focusOffset;if(!t)return;let i,s,o=!1;for(Ke&&t.nodeType==1&&r<Es(t)&&ei(t.childNodes[r],-1)&&(o=!0);;)if(r>0){if(t.nodeType!=1)break;{let l=t.childNodes[r-1];if(ei(l,-1))i=t,s=--r;else if(l.nodeType==3)t=l,r=t.nodeValue.length;else break}}else{if(Nf(t))break;{let l=t.previousSibling;for(;l&&ei(l,-1);)i=t.parentNode,s=se(l),l=l.previousSibling;if(l)t=l,r=Es(t);else{if(t=t.parentNode,t==n.dom)break;r=0}}}o?_l(n,t,r):i&&_l(n,i,s)}function Lg(n){let e=n.domSelectionRange(),t=e.focusNode,r=e.focusOffset;if(!t)return;let i=Es(t),s,o;for(;;)if(r<i){if(t.nodeType!=1)break;let l=t.childNodes[r];if(ei(l,1))s=t,o=++r;else break}else{if(Nf(t))break;{let l=t.nextSibling;for(;l&&ei(l,1);)s=l.parentNode,o=se(l)+1,l=l.nextSibling;if(l)t=l,r=0,i=Es(t);else{if(t=t.parentNode,t==n.dom)break;r=i=0}}}s&&_l(n,s,o)}function Nf(n){let e=n.pmViewDesc;return e&&e.node&&e.node.isBlock}function zg(n,e){for(;n&&e==n.childNodes.length&&!si(n);)e=se(n)+1,n=n.parentNode;for(;n&&e<n.childNodes.length;){let t=n.childNodes[e];if(t.nodeType==3)return t;if(t.nodeType==1&&t.contentEditable=="false")break;n=t,e=0}}function Fg(n,e){for(;n&&!e&&!si(n);)e=se(n),n=n.parentNode;for(;n&&e;){let t=n.childNodes[e-1];if(t.nodeType==3)return t;if(t.nodeType==1&&t.contentEditable=="false")break;n=t,e=n.childNodes.length}}function _l(n,e,t){if(e.nodeType!=3){let s,o;(o=zg(e,t))?(e=o,t=0):(s=Fg(e,t))&&(e=s,t=s.nodeValue.length)}let r=n.domSelection();if(!r)return;if(vs(r)){let s=document.createRange();s.setEnd(e,t),s.setStart(e,t),r.removeAllRanges(),r.addRange(s)}else r.extend&&r.extend(e,t);n.domObserver.setCurSelection();let{state:i}=n;setTimeout(()=>{n.state==i&&St(n)},50)}function Qh(n,e){let t=n.state.doc.resolve(e);if(!(ue||dg)&&t.parent.inlineContent){let i=n.coordsAtPos(e);if(e>t.start()){let s=n.coordsAtPos(e-1),o=(s.top+s.bottom)/2;if(o>i.top&&o<i.bottom&&Math.abs(s.left-i.left)>1)return s.left<i.left?"ltr":"rtl"}if(e<t.end()){let s=n.coordsAtPos(e+1),o=(s.top+s.bottom)/2;if(o>i.top&&o<i.bottom&&Math.abs(s.left-i.left)>1)return s.left>i.left?"ltr":"rtl"}}return getComputedStyle(n.dom).direction=="rtl"?"rtl":"ltr"}function Zh(n,e,t){let r=n.state.selection;if(r instanceof A&&!r.empty||t.indexOf("s")>-1||Pe&&t.indexOf("m")>-1)return!1;let{$from:i,$to:s}=r;if(!i.parent.inlineContent||n.endOfTextblock(e<0?"up":"down")){let o=vl(n.state,e);if(o&&o instanceof k)return Ft(n,o)}if(!i.parent.inlineContent){let o=e<0?i:s,l=r instanceof Ie?S.near(o,e):S.findFrom(o,e);return l?Ft(n,l):!1}return!1}function ef(n,e){if(!(n.state.selection instanceof A))return!0;let{$head:t,$anchor:r,empty:i}=n.state.selection;if(!t.sameParent(r))return!0;if(!i)return!1;if(n.endOfTextblock(e>0?"forward":"backward"))return!0;let s=!t.textOffset&&(e<0?t.nodeBefore:t.nodeAfter);if(s&&!s.isText){let o=n.state.tr;return e<0?o.delete(t.pos-s.nodeSize,t.pos):o.delete(t.pos,t.pos+s.nodeSize),n.dispatch(o),!0}return!1}function tf(n,e,t){n.domObserver.stop(),e.contentEditable=t,n.domObserver.start()}function $g(n){if(!be||n.state.selection.$head.parentOffset>0)return!1;let{focusNode:e,focusOffset:t}=n.domSelectionRange();if(e&&e.nodeType==1&&t==0&&e.firstChild&&e.firstChild.contentEditable=="false"){let r=e.firstChild;tf(n,r,"true"),setTimeout(()=>tf(n,r,"false"),20)}return!1}function qg(n){let e="";return n.ctrlKey&&(e+="c"),n.metaKey&&(e+="m"),n.altKey&&(e+="a"),n.shiftKey&&(e+="s"),e}function Hg(n,e){let t=e.keyCode,r=qg(e);if(t==8||Pe&&t==72&&r=="c")return ef(n,-1)||er(n,-1);if(t==46&&!e.shiftKey||Pe&&t==68&&r=="c")return ef(n,1)||er(n,1);if(t==13||t==27)return!0;if(t==37||Pe&&t==66&&r=="c"){let i=t==37?Qh(n,n.state.selection.from)=="ltr"?-1:1:-1;return Xh(n,i,r)||er(n,i)}else if(t==39||Pe&&t==70&&r=="c"){let i=t==39?Qh(n,n.state.selection.from)=="ltr"?1:-1:1;return Xh(n,i,r)||er(n,i)}else{if(t==38||Pe&&t==80&&r=="c")return Zh(n,-1,r)||er(n,-1);if(t==40||Pe&&t==78&&r=="c")return $g(n)||Zh(n,1,r)||er(n,1);if(r==(Pe?"m":"c")&&(t==66||t==73||t==89||t==90))return!0}return!1}function If(n,e){n.someProp("transformCopied",u=>{e=u(e,n)});let t=[],{content:r,openStart:i,openEnd:s}=e;for(;i>1&&s>1&&r.childCount==1&&r.firstChild.childCount==1;){i--,s--;let u=r.firstChild;t.push(u.type.name,u.attrs!=u.type.defaultAttrs?u.attrs:null),r=u.content}let o=n.someProp("clipboardSerializer")||Bt.fromSchema(n.state.schema),l=Bf(),c=l.createElement("div");c.appendChild(o.serializeFragment(r,{document:l}));let a=c.firstChild,h,f=0;for(;a&&a.nodeType==1&&(h=Vf[a.nodeName.toLowerCase()]);){for(let u=h.length-1;u>=0;u--){let p=l.createElement(h[u]);for(;c.firstChild;)p.appendChild(c.firstChild);c.appendChild(p),f++}a=c.firstChild}a&&a.nodeType==1&&a.setAttribute("data-pm-slice",`${i} ${s}${f?` -${f}`:""} ${JSON.stringify(t)}`);let d=n.someProp("clipboardTextSerializer",u=>u(e,n))||e.content.textBetween(0,e.content.size,`
 
 `);return{dom:c,text:d,slice:e}}function Rf(n,e,t,r,i){let s=i.parent.type.spec.code,o,l;if(!t&&!e)return null;let c=e&&(r||s||!t);if(c){if(n.someProp("transformPastedText",d=>{e=d(e,s||r,n)}),s)return e?new b(w.from(n.state.schema.text(e.replace(/\r\n?/g,`
-`))),0,0):b.empty;let f=n.someProp("clipboardTextParser",d=>d(e,i,r,n));if(f)l=f;else{let d=i.marks(),{schema:u}=n.state,p=Vt.fromSchema(u);o=document.createElement("div"),e.split(/(?:\r\n?|\n)+/).forEach(m=>{let g=o.appendChild(document.createElement("p"));m&&g.appendChild(p.serializeNode(u.text(m,d)))})}}else n.someProp("transformPastedHTML",f=>{t=f(t,n)}),o=Kg(t),oi&&Yg(o);let a=o&&o.querySelector("[data-pm-slice]"),h=a&&/^(\d+) (\d+)(?: -(\d+))? (.*)/.exec(a.getAttribute("data-pm-slice")||"");if(h&&h[3])for(let f=+h[3];f>0;f--){let d=o.firstChild;for(;d&&d.nodeType!=1;)d=d.nextSibling;if(!d)break;o=d}if(l||(l=(n.someProp("clipboardParser")||n.someProp("domParser")||Wn.fromSchema(n.state.schema)).parseSlice(o,{preserveWhitespace:!!(c||h),context:i,ruleFromNode(d){return d.nodeName=="BR"&&!d.nextSibling&&d.parentNode&&!Jg.test(d.parentNode.nodeName)?{ignore:!0}:null}})),h)l=Gg(nf(l,+h[1],+h[2]),h[4]);else if(l=b.maxOpen(jg(l.content,i),!0),l.openStart||l.openEnd){let f=0,d=0;for(let u=l.content.firstChild;f<l.openStart&&!u.type.spec.isolating;f++,u=u.firstChild);for(let u=l.content.lastChild;d<l.openEnd&&!u.type.spec.isolating;d++,u=u.lastChild);l=nf(l,f,d)}return n.someProp("transformPasted",f=>{l=f(l,n)}),l}var Jg=/^(a|abbr|acronym|b|cite|code|del|em|i|ins|kbd|label|output|q|ruby|s|samp|span|strong|sub|sup|time|u|tt|var)$/i;function jg(n,e){if(n.childCount<2)return n;for(let t=e.depth;t>=0;t--){let i=e.node(t).contentMatchAt(e.index(t)),s,o=[];if(n.forEach(l=>{if(!o)return;let c=i.findWrapping(l.type),a;if(!c)return o=null;if(a=o.length&&s.length&&_f(c,s,l,o[o.length-1],0))o[o.length-1]=a;else{o.length&&(o[o.length-1]=Uf(o[o.length-1],s.length));let h=vf(l,c);o.push(h),i=i.matchType(h.type),s=c}}),o)return w.from(o)}return n}function vf(n,e,t=0){for(let r=e.length-1;r>=t;r--)n=e[r].create(null,w.from(n));return n}function _f(n,e,t,r,i){if(i<n.length&&i<e.length&&n[i]==e[i]){let s=_f(n,e,t,r.lastChild,i+1);if(s)return r.copy(r.content.replaceChild(r.childCount-1,s));if(r.contentMatchAt(r.childCount).matchType(i==n.length-1?t.type:n[i+1]))return r.copy(r.content.append(w.from(vf(t,n,i+1))))}}function Uf(n,e){if(e==0)return n;let t=n.content.replaceChild(n.childCount-1,Uf(n.lastChild,e-1)),r=n.contentMatchAt(n.childCount).fillBefore(w.empty,!0);return n.copy(t.append(r))}function Ul(n,e,t,r,i,s){let o=e<0?n.firstChild:n.lastChild,l=o.content;return n.childCount>1&&(s=0),i<r-1&&(l=Ul(l,e,t,r,i+1,s)),i>=t&&(l=e<0?o.contentMatchAt(0).fillBefore(l,s<=i).append(l):l.append(o.contentMatchAt(o.childCount).fillBefore(w.empty,!0))),n.replaceChild(e<0?0:n.childCount-1,o.copy(l))}function nf(n,e,t){return e<n.openStart&&(n=new b(Ul(n.content,-1,e,n.openStart,0,n.openEnd),e,n.openEnd)),t<n.openEnd&&(n=new b(Ul(n.content,1,t,n.openEnd,0,0),n.openStart,t)),n}var Vf={thead:["table"],tbody:["table"],tfoot:["table"],caption:["table"],colgroup:["table"],col:["table","colgroup"],tr:["table","tbody"],td:["table","tbody","tr"],th:["table","tbody","tr"]},rf=null;function Bf(){return rf||(rf=document.implementation.createHTMLDocument("title"))}function Wg(n){let e=window.trustedTypes;return e?e.createPolicy("detachedDocument",{createHTML:t=>t}).createHTML(n):n}function Kg(n){let e=/^(\s*<meta [^>]*>)*/.exec(n);e&&(n=n.slice(e[0].length));let t=Bf().createElement("div"),r=/<([a-z][^>\s]+)/i.exec(n),i;if((i=r&&Vf[r[1].toLowerCase()])&&(n=i.map(s=>"<"+s+">").join("")+n+i.map(s=>"</"+s+">").reverse().join("")),t.innerHTML=Wg(n),i)for(let s=0;s<i.length;s++)t=t.querySelector(i[s])||t;return t}function Yg(n){let e=n.querySelectorAll(ue?"span:not([class]):not([style])":"span.Apple-converted-space");for(let t=0;t<e.length;t++){let r=e[t];r.childNodes.length==1&&r.textContent=="\xA0"&&r.parentNode&&r.parentNode.replaceChild(n.ownerDocument.createTextNode(" "),r)}}function Gg(n,e){if(!n.size)return n;let t=n.content.firstChild.type.schema,r;try{r=JSON.parse(e)}catch{return n}let{content:i,openStart:s,openEnd:o}=n;for(let l=r.length-2;l>=0;l-=2){let c=t.nodes[r[l]];if(!c||c.hasRequiredAttrs())break;i=w.from(c.create(r[l+1],i)),s++,o++}return new b(i,s,o)}var xe={},Se={},Xg={touchstart:!0,touchmove:!0},Vl=class{constructor(){this.shiftKey=!1,this.mouseDown=null,this.lastKeyCode=null,this.lastKeyCodeTime=0,this.lastClick={time:0,x:0,y:0,type:""},this.lastSelectionOrigin=null,this.lastSelectionTime=0,this.lastIOSEnter=0,this.lastIOSEnterFallbackTimeout=-1,this.lastFocus=0,this.lastTouch=0,this.lastAndroidDelete=0,this.composing=!1,this.compositionNode=null,this.composingTimeout=-1,this.compositionNodes=[],this.compositionEndedAt=-2e8,this.compositionID=1,this.compositionPendingChanges=0,this.domChangeCount=0,this.eventHandlers=Object.create(null),this.hideSelectionGuard=null}};function Qg(n){for(let e in xe){let t=xe[e];n.dom.addEventListener(e,n.input.eventHandlers[e]=r=>{ey(n,r)&&!jl(n,r)&&(n.editable||!(r.type in Se))&&t(n,r)},Xg[e]?{passive:!0}:void 0)}be&&n.dom.addEventListener("input",()=>null),Bl(n)}function Ft(n,e){n.input.lastSelectionOrigin=e,n.input.lastSelectionTime=Date.now()}function Zg(n){n.domObserver.stop();for(let e in n.input.eventHandlers)n.dom.removeEventListener(e,n.input.eventHandlers[e]);clearTimeout(n.input.composingTimeout),clearTimeout(n.input.lastIOSEnterFallbackTimeout)}function Bl(n){n.someProp("handleDOMEvents",e=>{for(let t in e)n.input.eventHandlers[t]||n.dom.addEventListener(t,n.input.eventHandlers[t]=r=>jl(n,r))})}function jl(n,e){return n.someProp("handleDOMEvents",t=>{let r=t[e.type];return r?r(n,e)||e.defaultPrevented:!1})}function ey(n,e){if(!e.bubbles)return!0;if(e.defaultPrevented)return!1;for(let t=e.target;t!=n.dom;t=t.parentNode)if(!t||t.nodeType==11||t.pmViewDesc&&t.pmViewDesc.stopEvent(e))return!1;return!0}function ty(n,e){!jl(n,e)&&xe[e.type]&&(n.editable||!(e.type in Se))&&xe[e.type](n,e)}Se.keydown=(n,e)=>{let t=e;if(n.input.shiftKey=t.keyCode==16||t.shiftKey,!Lf(n,t)&&(n.input.lastKeyCode=t.keyCode,n.input.lastKeyCodeTime=Date.now(),!(We&&ue&&t.keyCode==13)))if(n.domObserver.selectionChanged(n.domSelectionRange())?n.domObserver.flush():t.keyCode!=229&&n.domObserver.forceFlush(),rr&&t.keyCode==13&&!t.ctrlKey&&!t.altKey&&!t.metaKey){let r=Date.now();n.input.lastIOSEnter=r,n.input.lastIOSEnterFallbackTimeout=setTimeout(()=>{n.input.lastIOSEnter==r&&(n.someProp("handleKeyDown",i=>i(n,fn(13,"Enter"))),n.input.lastIOSEnter=0)},200)}else n.someProp("handleKeyDown",r=>r(n,t))||Hg(n,t)?t.preventDefault():Ft(n,"key")};Se.keyup=(n,e)=>{e.keyCode==16&&(n.input.shiftKey=!1)};Se.keypress=(n,e)=>{let t=e;if(Lf(n,t)||!t.charCode||t.ctrlKey&&!t.altKey||Pe&&t.metaKey)return;if(n.someProp("handleKeyPress",i=>i(n,t))){t.preventDefault();return}let r=n.state.selection;if(!(r instanceof A)||!r.$from.sameParent(r.$to)){let i=String.fromCharCode(t.charCode);!/[\r\n]/.test(i)&&!n.someProp("handleTextInput",s=>s(n,r.$from.pos,r.$to.pos,i))&&n.dispatch(n.state.tr.insertText(i).scrollIntoView()),t.preventDefault()}};function _s(n){return{left:n.clientX,top:n.clientY}}function ny(n,e){let t=e.x-n.clientX,r=e.y-n.clientY;return t*t+r*r<100}function Wl(n,e,t,r,i){if(r==-1)return!1;let s=n.state.doc.resolve(r);for(let o=s.depth+1;o>0;o--)if(n.someProp(e,l=>o>s.depth?l(n,t,s.nodeAfter,s.before(o),i,!0):l(n,t,s.node(o),s.before(o),i,!1)))return!0;return!1}function nr(n,e,t){if(n.focused||n.focus(),n.state.selection.eq(e))return;let r=n.state.tr.setSelection(e);t=="pointer"&&r.setMeta("pointer",!0),n.dispatch(r)}function ry(n,e){if(e==-1)return!1;let t=n.state.doc.resolve(e),r=t.nodeAfter;return r&&r.isAtom&&k.isSelectable(r)?(nr(n,new k(t),"pointer"),!0):!1}function iy(n,e){if(e==-1)return!1;let t=n.state.selection,r,i;t instanceof k&&(r=t.node);let s=n.state.doc.resolve(e);for(let o=s.depth+1;o>0;o--){let l=o>s.depth?s.nodeAfter:s.node(o);if(k.isSelectable(l)){r&&t.$from.depth>0&&o>=t.$from.depth&&s.before(t.$from.depth+1)==t.$from.pos?i=s.before(t.$from.depth):i=s.before(o);break}}return i!=null?(nr(n,k.create(n.state.doc,i),"pointer"),!0):!1}function sy(n,e,t,r,i){return Wl(n,"handleClickOn",e,t,r)||n.someProp("handleClick",s=>s(n,e,r))||(i?iy(n,t):ry(n,t))}function oy(n,e,t,r){return Wl(n,"handleDoubleClickOn",e,t,r)||n.someProp("handleDoubleClick",i=>i(n,e,r))}function ly(n,e,t,r){return Wl(n,"handleTripleClickOn",e,t,r)||n.someProp("handleTripleClick",i=>i(n,e,r))||cy(n,t,r)}function cy(n,e,t){if(t.button!=0)return!1;let r=n.state.doc;if(e==-1)return r.inlineContent?(nr(n,A.create(r,0,r.content.size),"pointer"),!0):!1;let i=r.resolve(e);for(let s=i.depth+1;s>0;s--){let o=s>i.depth?i.nodeAfter:i.node(s),l=i.before(s);if(o.inlineContent)nr(n,A.create(r,l+1,l+1+o.content.size),"pointer");else if(k.isSelectable(o))nr(n,k.create(r,l),"pointer");else continue;return!0}}function Kl(n){return Ds(n)}var Pf=Pe?"metaKey":"ctrlKey";xe.mousedown=(n,e)=>{let t=e;n.input.shiftKey=t.shiftKey;let r=Kl(n),i=Date.now(),s="singleClick";i-n.input.lastClick.time<500&&ny(t,n.input.lastClick)&&!t[Pf]&&(n.input.lastClick.type=="singleClick"?s="doubleClick":n.input.lastClick.type=="doubleClick"&&(s="tripleClick")),n.input.lastClick={time:i,x:t.clientX,y:t.clientY,type:s};let o=n.posAtCoords(_s(t));o&&(s=="singleClick"?(n.input.mouseDown&&n.input.mouseDown.done(),n.input.mouseDown=new Pl(n,o,t,!!r)):(s=="doubleClick"?oy:ly)(n,o.pos,o.inside,t)?t.preventDefault():Ft(n,"pointer"))};var Pl=class{constructor(e,t,r,i){this.view=e,this.pos=t,this.event=r,this.flushed=i,this.delayedSelectionSync=!1,this.mightDrag=null,this.startDoc=e.state.doc,this.selectNode=!!r[Pf],this.allowDefault=r.shiftKey;let s,o;if(t.inside>-1)s=e.state.doc.nodeAt(t.inside),o=t.inside;else{let h=e.state.doc.resolve(t.pos);s=h.parent,o=h.depth?h.before():0}let l=i?null:r.target,c=l?e.docView.nearestDesc(l,!0):null;this.target=c&&c.dom.nodeType==1?c.dom:null;let{selection:a}=e.state;(r.button==0&&s.type.spec.draggable&&s.type.spec.selectable!==!1||a instanceof k&&a.from<=o&&a.to>o)&&(this.mightDrag={node:s,pos:o,addAttr:!!(this.target&&!this.target.draggable),setUneditable:!!(this.target&&Ke&&!this.target.hasAttribute("contentEditable"))}),this.target&&this.mightDrag&&(this.mightDrag.addAttr||this.mightDrag.setUneditable)&&(this.view.domObserver.stop(),this.mightDrag.addAttr&&(this.target.draggable=!0),this.mightDrag.setUneditable&&setTimeout(()=>{this.view.input.mouseDown==this&&this.target.setAttribute("contentEditable","false")},20),this.view.domObserver.start()),e.root.addEventListener("mouseup",this.up=this.up.bind(this)),e.root.addEventListener("mousemove",this.move=this.move.bind(this)),Ft(e,"pointer")}done(){this.view.root.removeEventListener("mouseup",this.up),this.view.root.removeEventListener("mousemove",this.move),this.mightDrag&&this.target&&(this.view.domObserver.stop(),this.mightDrag.addAttr&&this.target.removeAttribute("draggable"),this.mightDrag.setUneditable&&this.target.removeAttribute("contentEditable"),this.view.domObserver.start()),this.delayedSelectionSync&&setTimeout(()=>St(this.view)),this.view.input.mouseDown=null}up(e){if(this.done(),!this.view.dom.contains(e.target))return;let t=this.pos;this.view.state.doc!=this.startDoc&&(t=this.view.posAtCoords(_s(e))),this.updateAllowDefault(e),this.allowDefault||!t?Ft(this.view,"pointer"):sy(this.view,t.pos,t.inside,e,this.selectNode)?e.preventDefault():e.button==0&&(this.flushed||be&&this.mightDrag&&!this.mightDrag.node.isAtom||ue&&!this.view.state.selection.visible&&Math.min(Math.abs(t.pos-this.view.state.selection.from),Math.abs(t.pos-this.view.state.selection.to))<=2)?(nr(this.view,S.near(this.view.state.doc.resolve(t.pos)),"pointer"),e.preventDefault()):Ft(this.view,"pointer")}move(e){this.updateAllowDefault(e),Ft(this.view,"pointer"),e.buttons==0&&this.done()}updateAllowDefault(e){!this.allowDefault&&(Math.abs(this.event.x-e.clientX)>4||Math.abs(this.event.y-e.clientY)>4)&&(this.allowDefault=!0)}};xe.touchstart=n=>{n.input.lastTouch=Date.now(),Kl(n),Ft(n,"pointer")};xe.touchmove=n=>{n.input.lastTouch=Date.now(),Ft(n,"pointer")};xe.contextmenu=n=>Kl(n);function Lf(n,e){return n.composing?!0:be&&Math.abs(e.timeStamp-n.input.compositionEndedAt)<500?(n.input.compositionEndedAt=-2e8,!0):!1}var ay=We?5e3:-1;Se.compositionstart=Se.compositionupdate=n=>{if(!n.composing){n.domObserver.flush();let{state:e}=n,t=e.selection.$to;if(e.selection instanceof A&&(e.storedMarks||!t.textOffset&&t.parentOffset&&t.nodeBefore.marks.some(r=>r.type.spec.inclusive===!1)))n.markCursor=n.state.storedMarks||t.marks(),Ds(n,!0),n.markCursor=null;else if(Ds(n,!e.selection.empty),Ke&&e.selection.empty&&t.parentOffset&&!t.textOffset&&t.nodeBefore.marks.length){let r=n.domSelectionRange();for(let i=r.focusNode,s=r.focusOffset;i&&i.nodeType==1&&s!=0;){let o=s<0?i.lastChild:i.childNodes[s-1];if(!o)break;if(o.nodeType==3){let l=n.domSelection();l&&l.collapse(o,o.nodeValue.length);break}else i=o,s=-1}}n.input.composing=!0}zf(n,ay)};Se.compositionend=(n,e)=>{n.composing&&(n.input.composing=!1,n.input.compositionEndedAt=e.timeStamp,n.input.compositionPendingChanges=n.domObserver.pendingRecords().length?n.input.compositionID:0,n.input.compositionNode=null,n.input.compositionPendingChanges&&Promise.resolve().then(()=>n.domObserver.flush()),n.input.compositionID++,zf(n,20))};function zf(n,e){clearTimeout(n.input.composingTimeout),e>-1&&(n.input.composingTimeout=setTimeout(()=>Ds(n),e))}function Ff(n){for(n.composing&&(n.input.composing=!1,n.input.compositionEndedAt=fy());n.input.compositionNodes.length>0;)n.input.compositionNodes.pop().markParentsDirty()}function hy(n){let e=n.domSelectionRange();if(!e.focusNode)return null;let t=lg(e.focusNode,e.focusOffset),r=cg(e.focusNode,e.focusOffset);if(t&&r&&t!=r){let i=r.pmViewDesc,s=n.domObserver.lastChangedTextNode;if(t==s||r==s)return s;if(!i||!i.isText(r.nodeValue))return r;if(n.input.compositionNode==r){let o=t.pmViewDesc;if(!(!o||!o.isText(t.nodeValue)))return r}}return t||r}function fy(){let n=document.createEvent("Event");return n.initEvent("event",!0,!0),n.timeStamp}function Ds(n,e=!1){if(!(We&&n.domObserver.flushingSoon>=0)){if(n.domObserver.forceFlush(),Ff(n),e||n.docView&&n.docView.dirty){let t=Hl(n);return t&&!t.eq(n.state.selection)?n.dispatch(n.state.tr.setSelection(t)):(n.markCursor||e)&&!n.state.selection.empty?n.dispatch(n.state.tr.deleteSelection()):n.updateState(n.state),!0}return!1}}function dy(n,e){if(!n.dom.parentNode)return;let t=n.dom.parentNode.appendChild(document.createElement("div"));t.appendChild(e),t.style.cssText="position: fixed; left: -10000px; top: 10px";let r=getSelection(),i=document.createRange();i.selectNodeContents(e),n.dom.blur(),r.removeAllRanges(),r.addRange(i),setTimeout(()=>{t.parentNode&&t.parentNode.removeChild(t),n.focus()},50)}var ni=Ee&&$t<15||rr&&ug<604;xe.copy=Se.cut=(n,e)=>{let t=e,r=n.state.selection,i=t.type=="cut";if(r.empty)return;let s=ni?null:t.clipboardData,o=r.content(),{dom:l,text:c}=If(n,o);s?(t.preventDefault(),s.clearData(),s.setData("text/html",l.innerHTML),s.setData("text/plain",c)):dy(n,l),i&&n.dispatch(n.state.tr.deleteSelection().scrollIntoView().setMeta("uiEvent","cut"))};function uy(n){return n.openStart==0&&n.openEnd==0&&n.content.childCount==1?n.content.firstChild:null}function py(n,e){if(!n.dom.parentNode)return;let t=n.input.shiftKey||n.state.selection.$from.parent.type.spec.code,r=n.dom.parentNode.appendChild(document.createElement(t?"textarea":"div"));t||(r.contentEditable="true"),r.style.cssText="position: fixed; left: -10000px; top: 10px",r.focus();let i=n.input.shiftKey&&n.input.lastKeyCode!=45;setTimeout(()=>{n.focus(),r.parentNode&&r.parentNode.removeChild(r),t?ri(n,r.value,null,i,e):ri(n,r.textContent,r.innerHTML,i,e)},50)}function ri(n,e,t,r,i){let s=Rf(n,e,t,r,n.state.selection.$from);if(n.someProp("handlePaste",c=>c(n,i,s||b.empty)))return!0;if(!s)return!1;let o=uy(s),l=o?n.state.tr.replaceSelectionWith(o,r):n.state.tr.replaceSelection(s);return n.dispatch(l.scrollIntoView().setMeta("paste",!0).setMeta("uiEvent","paste")),!0}function $f(n){let e=n.getData("text/plain")||n.getData("Text");if(e)return e;let t=n.getData("text/uri-list");return t?t.replace(/\r?\n/g," "):""}Se.paste=(n,e)=>{let t=e;if(n.composing&&!We)return;let r=ni?null:t.clipboardData,i=n.input.shiftKey&&n.input.lastKeyCode!=45;r&&ri(n,$f(r),r.getData("text/html"),i,t)?t.preventDefault():py(n,t)};var Os=class{constructor(e,t,r){this.slice=e,this.move=t,this.node=r}},qf=Pe?"altKey":"ctrlKey";xe.dragstart=(n,e)=>{let t=e,r=n.input.mouseDown;if(r&&r.done(),!t.dataTransfer)return;let i=n.state.selection,s=i.empty?null:n.posAtCoords(_s(t)),o;if(!(s&&s.pos>=i.from&&s.pos<=(i instanceof k?i.to-1:i.to))){if(r&&r.mightDrag)o=k.create(n.state.doc,r.mightDrag.pos);else if(t.target&&t.target.nodeType==1){let f=n.docView.nearestDesc(t.target,!0);f&&f.node.type.spec.draggable&&f!=n.docView&&(o=k.create(n.state.doc,f.posBefore))}}let l=(o||n.state.selection).content(),{dom:c,text:a,slice:h}=If(n,l);(!t.dataTransfer.files.length||!ue||yf>120)&&t.dataTransfer.clearData(),t.dataTransfer.setData(ni?"Text":"text/html",c.innerHTML),t.dataTransfer.effectAllowed="copyMove",ni||t.dataTransfer.setData("text/plain",a),n.dragging=new Os(h,!t[qf],o)};xe.dragend=n=>{let e=n.dragging;window.setTimeout(()=>{n.dragging==e&&(n.dragging=null)},50)};Se.dragover=Se.dragenter=(n,e)=>e.preventDefault();Se.drop=(n,e)=>{let t=e,r=n.dragging;if(n.dragging=null,!t.dataTransfer)return;let i=n.posAtCoords(_s(t));if(!i)return;let s=n.state.doc.resolve(i.pos),o=r&&r.slice;o?n.someProp("transformPasted",p=>{o=p(o,n)}):o=Rf(n,$f(t.dataTransfer),ni?null:t.dataTransfer.getData("text/html"),!1,s);let l=!!(r&&!t[qf]);if(n.someProp("handleDrop",p=>p(n,t,o||b.empty,l))){t.preventDefault();return}if(!o)return;t.preventDefault();let c=o?Ch(n.state.doc,s.pos,o):s.pos;c==null&&(c=s.pos);let a=n.state.tr;if(l){let{node:p}=r;p?p.replace(a):a.deleteSelection()}let h=a.mapping.map(c),f=o.openStart==0&&o.openEnd==0&&o.content.childCount==1,d=a.doc;if(f?a.replaceRangeWith(h,h,o.content.firstChild):a.replaceRange(h,h,o),a.doc.eq(d))return;let u=a.doc.resolve(h);if(f&&k.isSelectable(o.content.firstChild)&&u.nodeAfter&&u.nodeAfter.sameMarkup(o.content.firstChild))a.setSelection(new k(u));else{let p=a.mapping.map(c);a.mapping.maps[a.mapping.maps.length-1].forEach((m,g,y,E)=>p=E),a.setSelection(Jl(n,u,a.doc.resolve(p)))}n.focus(),n.dispatch(a.setMeta("uiEvent","drop"))};xe.focus=n=>{n.input.lastFocus=Date.now(),n.focused||(n.domObserver.stop(),n.dom.classList.add("ProseMirror-focused"),n.domObserver.start(),n.focused=!0,setTimeout(()=>{n.docView&&n.hasFocus()&&!n.domObserver.currentSelection.eq(n.domSelectionRange())&&St(n)},20))};xe.blur=(n,e)=>{let t=e;n.focused&&(n.domObserver.stop(),n.dom.classList.remove("ProseMirror-focused"),n.domObserver.start(),t.relatedTarget&&n.dom.contains(t.relatedTarget)&&n.domObserver.currentSelection.clear(),n.focused=!1)};xe.beforeinput=(n,e)=>{if(ue&&We&&e.inputType=="deleteContentBackward"){n.domObserver.flushSoon();let{domChangeCount:r}=n.input;setTimeout(()=>{if(n.input.domChangeCount!=r||(n.dom.blur(),n.focus(),n.someProp("handleKeyDown",s=>s(n,fn(8,"Backspace")))))return;let{$cursor:i}=n.state.selection;i&&i.pos>0&&n.dispatch(n.state.tr.delete(i.pos-1,i.pos).scrollIntoView())},50)}};for(let n in Se)xe[n]=Se[n];function ii(n,e){if(n==e)return!0;for(let t in n)if(n[t]!==e[t])return!1;for(let t in e)if(!(t in n))return!1;return!0}var Ns=class n{constructor(e,t){this.toDOM=e,this.spec=t||mn,this.side=this.spec.side||0}map(e,t,r,i){let{pos:s,deleted:o}=e.mapResult(t.from+i,this.side<0?-1:1);return o?null:new se(s-r,s-r,this)}valid(){return!0}eq(e){return this==e||e instanceof n&&(this.spec.key&&this.spec.key==e.spec.key||this.toDOM==e.toDOM&&ii(this.spec,e.spec))}destroy(e){this.spec.destroy&&this.spec.destroy(e)}},pn=class n{constructor(e,t){this.attrs=e,this.spec=t||mn}map(e,t,r,i){let s=e.map(t.from+i,this.spec.inclusiveStart?-1:1)-r,o=e.map(t.to+i,this.spec.inclusiveEnd?1:-1)-r;return s>=o?null:new se(s,o,this)}valid(e,t){return t.from<t.to}eq(e){return this==e||e instanceof n&&ii(this.attrs,e.attrs)&&ii(this.spec,e.spec)}static is(e){return e.type instanceof n}destroy(){}},Ll=class n{constructor(e,t){this.attrs=e,this.spec=t||mn}map(e,t,r,i){let s=e.mapResult(t.from+i,1);if(s.deleted)return null;let o=e.mapResult(t.to+i,-1);return o.deleted||o.pos<=s.pos?null:new se(s.pos-r,o.pos-r,this)}valid(e,t){let{index:r,offset:i}=e.content.findIndex(t.from),s;return i==t.from&&!(s=e.child(r)).isText&&i+s.nodeSize==t.to}eq(e){return this==e||e instanceof n&&ii(this.attrs,e.attrs)&&ii(this.spec,e.spec)}destroy(){}},se=class n{constructor(e,t,r){this.from=e,this.to=t,this.type=r}copy(e,t){return new n(e,t,this.type)}eq(e,t=0){return this.type.eq(e.type)&&this.from+t==e.from&&this.to+t==e.to}map(e,t,r){return this.type.map(e,this,t,r)}static widget(e,t,r){return new n(e,e,new Ns(t,r))}static inline(e,t,r,i){return new n(e,t,new pn(r,i))}static node(e,t,r,i){return new n(e,t,new Ll(r,i))}get spec(){return this.type.spec}get inline(){return this.type instanceof pn}get widget(){return this.type instanceof Ns}},tr=[],mn={},L=class n{constructor(e,t){this.local=e.length?e:tr,this.children=t.length?t:tr}static create(e,t){return t.length?Rs(t,e,0,mn):de}find(e,t,r){let i=[];return this.findInner(e??0,t??1e9,i,0,r),i}findInner(e,t,r,i,s){for(let o=0;o<this.local.length;o++){let l=this.local[o];l.from<=t&&l.to>=e&&(!s||s(l.spec))&&r.push(l.copy(l.from+i,l.to+i))}for(let o=0;o<this.children.length;o+=3)if(this.children[o]<t&&this.children[o+1]>e){let l=this.children[o]+1;this.children[o+2].findInner(e-l,t-l,r,i+l,s)}}map(e,t,r){return this==de||e.maps.length==0?this:this.mapInner(e,t,0,0,r||mn)}mapInner(e,t,r,i,s){let o;for(let l=0;l<this.local.length;l++){let c=this.local[l].map(e,r,i);c&&c.type.valid(t,c)?(o||(o=[])).push(c):s.onRemove&&s.onRemove(this.local[l].spec)}return this.children.length?my(this.children,o||[],e,t,r,i,s):o?new n(o.sort(gn),tr):de}add(e,t){return t.length?this==de?n.create(e,t):this.addInner(e,t,0):this}addInner(e,t,r){let i,s=0;e.forEach((l,c)=>{let a=c+r,h;if(h=Jf(t,l,a)){for(i||(i=this.children.slice());s<i.length&&i[s]<c;)s+=3;i[s]==c?i[s+2]=i[s+2].addInner(l,h,a+1):i.splice(s,0,c,c+l.nodeSize,Rs(h,l,a+1,mn)),s+=3}});let o=Hf(s?jf(t):t,-r);for(let l=0;l<o.length;l++)o[l].type.valid(e,o[l])||o.splice(l--,1);return new n(o.length?this.local.concat(o).sort(gn):this.local,i||this.children)}remove(e){return e.length==0||this==de?this:this.removeInner(e,0)}removeInner(e,t){let r=this.children,i=this.local;for(let s=0;s<r.length;s+=3){let o,l=r[s]+t,c=r[s+1]+t;for(let h=0,f;h<e.length;h++)(f=e[h])&&f.from>l&&f.to<c&&(e[h]=null,(o||(o=[])).push(f));if(!o)continue;r==this.children&&(r=this.children.slice());let a=r[s+2].removeInner(o,l+1);a!=de?r[s+2]=a:(r.splice(s,3),s-=3)}if(i.length){for(let s=0,o;s<e.length;s++)if(o=e[s])for(let l=0;l<i.length;l++)i[l].eq(o,t)&&(i==this.local&&(i=this.local.slice()),i.splice(l--,1))}return r==this.children&&i==this.local?this:i.length||r.length?new n(i,r):de}forChild(e,t){if(this==de)return this;if(t.isLeaf)return n.empty;let r,i;for(let l=0;l<this.children.length;l+=3)if(this.children[l]>=e){this.children[l]==e&&(r=this.children[l+2]);break}let s=e+1,o=s+t.content.size;for(let l=0;l<this.local.length;l++){let c=this.local[l];if(c.from<o&&c.to>s&&c.type instanceof pn){let a=Math.max(s,c.from)-s,h=Math.min(o,c.to)-s;a<h&&(i||(i=[])).push(c.copy(a,h))}}if(i){let l=new n(i.sort(gn),tr);return r?new Is([l,r]):l}return r||de}eq(e){if(this==e)return!0;if(!(e instanceof n)||this.local.length!=e.local.length||this.children.length!=e.children.length)return!1;for(let t=0;t<this.local.length;t++)if(!this.local[t].eq(e.local[t]))return!1;for(let t=0;t<this.children.length;t+=3)if(this.children[t]!=e.children[t]||this.children[t+1]!=e.children[t+1]||!this.children[t+2].eq(e.children[t+2]))return!1;return!0}locals(e){return Yl(this.localsInner(e))}localsInner(e){if(this==de)return tr;if(e.inlineContent||!this.local.some(pn.is))return this.local;let t=[];for(let r=0;r<this.local.length;r++)this.local[r].type instanceof pn||t.push(this.local[r]);return t}forEachSet(e){e(this)}};L.empty=new L([],[]);L.removeOverlap=Yl;var de=L.empty,Is=class n{constructor(e){this.members=e}map(e,t){let r=this.members.map(i=>i.map(e,t,mn));return n.from(r)}forChild(e,t){if(t.isLeaf)return L.empty;let r=[];for(let i=0;i<this.members.length;i++){let s=this.members[i].forChild(e,t);s!=de&&(s instanceof n?r=r.concat(s.members):r.push(s))}return n.from(r)}eq(e){if(!(e instanceof n)||e.members.length!=this.members.length)return!1;for(let t=0;t<this.members.length;t++)if(!this.members[t].eq(e.members[t]))return!1;return!0}locals(e){let t,r=!0;for(let i=0;i<this.members.length;i++){let s=this.members[i].localsInner(e);if(s.length)if(!t)t=s;else{r&&(t=t.slice(),r=!1);for(let o=0;o<s.length;o++)t.push(s[o])}}return t?Yl(r?t:t.sort(gn)):tr}static from(e){switch(e.length){case 0:return de;case 1:return e[0];default:return new n(e.every(t=>t instanceof L)?e:e.reduce((t,r)=>t.concat(r instanceof L?r:r.members),[]))}}forEachSet(e){for(let t=0;t<this.members.length;t++)this.members[t].forEachSet(e)}};function my(n,e,t,r,i,s,o){let l=n.slice();for(let a=0,h=s;a<t.maps.length;a++){let f=0;t.maps[a].forEach((d,u,p,m)=>{let g=m-p-(u-d);for(let y=0;y<l.length;y+=3){let E=l[y+1];if(E<0||d>E+h-f)continue;let N=l[y]+h-f;u>=N?l[y+1]=d<=N?-2:-1:d>=h&&g&&(l[y]+=g,l[y+1]+=g)}f+=g}),h=t.maps[a].map(h,-1)}let c=!1;for(let a=0;a<l.length;a+=3)if(l[a+1]<0){if(l[a+1]==-2){c=!0,l[a+1]=-1;continue}let h=t.map(n[a]+s),f=h-i;if(f<0||f>=r.content.size){c=!0;continue}let d=t.map(n[a+1]+s,-1),u=d-i,{index:p,offset:m}=r.content.findIndex(f),g=r.maybeChild(p);if(g&&m==f&&m+g.nodeSize==u){let y=l[a+2].mapInner(t,g,h+1,n[a]+s+1,o);y!=de?(l[a]=f,l[a+1]=u,l[a+2]=y):(l[a+1]=-2,c=!0)}else c=!0}if(c){let a=gy(l,n,e,t,i,s,o),h=Rs(a,r,0,o);e=h.local;for(let f=0;f<l.length;f+=3)l[f+1]<0&&(l.splice(f,3),f-=3);for(let f=0,d=0;f<h.children.length;f+=3){let u=h.children[f];for(;d<l.length&&l[d]<u;)d+=3;l.splice(d,0,h.children[f],h.children[f+1],h.children[f+2])}}return new L(e.sort(gn),l)}function Hf(n,e){if(!e||!n.length)return n;let t=[];for(let r=0;r<n.length;r++){let i=n[r];t.push(new se(i.from+e,i.to+e,i.type))}return t}function gy(n,e,t,r,i,s,o){function l(c,a){for(let h=0;h<c.local.length;h++){let f=c.local[h].map(r,i,a);f?t.push(f):o.onRemove&&o.onRemove(c.local[h].spec)}for(let h=0;h<c.children.length;h+=3)l(c.children[h+2],c.children[h]+a+1)}for(let c=0;c<n.length;c+=3)n[c+1]==-1&&l(n[c+2],e[c]+s+1);return t}function Jf(n,e,t){if(e.isLeaf)return null;let r=t+e.nodeSize,i=null;for(let s=0,o;s<n.length;s++)(o=n[s])&&o.from>t&&o.to<r&&((i||(i=[])).push(o),n[s]=null);return i}function jf(n){let e=[];for(let t=0;t<n.length;t++)n[t]!=null&&e.push(n[t]);return e}function Rs(n,e,t,r){let i=[],s=!1;e.forEach((l,c)=>{let a=Jf(n,l,c+t);if(a){s=!0;let h=Rs(a,l,t+c+1,r);h!=de&&i.push(c,c+l.nodeSize,h)}});let o=Hf(s?jf(n):n,-t).sort(gn);for(let l=0;l<o.length;l++)o[l].type.valid(e,o[l])||(r.onRemove&&r.onRemove(o[l].spec),o.splice(l--,1));return o.length||i.length?new L(o,i):de}function gn(n,e){return n.from-e.from||n.to-e.to}function Yl(n){let e=n;for(let t=0;t<e.length-1;t++){let r=e[t];if(r.from!=r.to)for(let i=t+1;i<e.length;i++){let s=e[i];if(s.from==r.from){s.to!=r.to&&(e==n&&(e=n.slice()),e[i]=s.copy(s.from,r.to),sf(e,i+1,s.copy(r.to,s.to)));continue}else{s.from<r.to&&(e==n&&(e=n.slice()),e[t]=r.copy(r.from,s.from),sf(e,i,r.copy(s.from,r.to)));break}}}return e}function sf(n,e,t){for(;e<n.length&&gn(t,n[e])>0;)e++;n.splice(e,0,t)}function kl(n){let e=[];return n.someProp("decorations",t=>{let r=t(n.state);r&&r!=de&&e.push(r)}),n.cursorWrapper&&e.push(L.create(n.state.doc,[n.cursorWrapper.deco])),Is.from(e)}var yy={childList:!0,characterData:!0,characterDataOldValue:!0,attributes:!0,attributeOldValue:!0,subtree:!0},wy=Ee&&$t<=11,zl=class{constructor(){this.anchorNode=null,this.anchorOffset=0,this.focusNode=null,this.focusOffset=0}set(e){this.anchorNode=e.anchorNode,this.anchorOffset=e.anchorOffset,this.focusNode=e.focusNode,this.focusOffset=e.focusOffset}clear(){this.anchorNode=this.focusNode=null}eq(e){return e.anchorNode==this.anchorNode&&e.anchorOffset==this.anchorOffset&&e.focusNode==this.focusNode&&e.focusOffset==this.focusOffset}},Fl=class{constructor(e,t){this.view=e,this.handleDOMChange=t,this.queue=[],this.flushingSoon=-1,this.observer=null,this.currentSelection=new zl,this.onCharData=null,this.suppressingSelectionUpdates=!1,this.lastChangedTextNode=null,this.observer=window.MutationObserver&&new window.MutationObserver(r=>{for(let i=0;i<r.length;i++)this.queue.push(r[i]);Ee&&$t<=11&&r.some(i=>i.type=="childList"&&i.removedNodes.length||i.type=="characterData"&&i.oldValue.length>i.target.nodeValue.length)?this.flushSoon():this.flush()}),wy&&(this.onCharData=r=>{this.queue.push({target:r.target,type:"characterData",oldValue:r.prevValue}),this.flushSoon()}),this.onSelectionChange=this.onSelectionChange.bind(this)}flushSoon(){this.flushingSoon<0&&(this.flushingSoon=window.setTimeout(()=>{this.flushingSoon=-1,this.flush()},20))}forceFlush(){this.flushingSoon>-1&&(window.clearTimeout(this.flushingSoon),this.flushingSoon=-1,this.flush())}start(){this.observer&&(this.observer.takeRecords(),this.observer.observe(this.view.dom,yy)),this.onCharData&&this.view.dom.addEventListener("DOMCharacterDataModified",this.onCharData),this.connectSelection()}stop(){if(this.observer){let e=this.observer.takeRecords();if(e.length){for(let t=0;t<e.length;t++)this.queue.push(e[t]);window.setTimeout(()=>this.flush(),20)}this.observer.disconnect()}this.onCharData&&this.view.dom.removeEventListener("DOMCharacterDataModified",this.onCharData),this.disconnectSelection()}connectSelection(){this.view.dom.ownerDocument.addEventListener("selectionchange",this.onSelectionChange)}disconnectSelection(){this.view.dom.ownerDocument.removeEventListener("selectionchange",this.onSelectionChange)}suppressSelectionUpdates(){this.suppressingSelectionUpdates=!0,setTimeout(()=>this.suppressingSelectionUpdates=!1,50)}onSelectionChange(){if(Gh(this.view)){if(this.suppressingSelectionUpdates)return St(this.view);if(Ee&&$t<=11&&!this.view.state.selection.empty){let e=this.view.domSelectionRange();if(e.focusNode&&yn(e.focusNode,e.focusOffset,e.anchorNode,e.anchorOffset))return this.flushSoon()}this.flush()}}setCurSelection(){this.currentSelection.set(this.view.domSelectionRange())}ignoreSelectionChange(e){if(!e.focusNode)return!0;let t=new Set,r;for(let s=e.focusNode;s;s=ti(s))t.add(s);for(let s=e.anchorNode;s;s=ti(s))if(t.has(s)){r=s;break}let i=r&&this.view.docView.nearestDesc(r);if(i&&i.ignoreMutation({type:"selection",target:r.nodeType==3?r.parentNode:r}))return this.setCurSelection(),!0}pendingRecords(){if(this.observer)for(let e of this.observer.takeRecords())this.queue.push(e);return this.queue}selectionChanged(e){return!this.suppressingSelectionUpdates&&!this.currentSelection.eq(e)&&Gh(this.view)&&!this.ignoreSelectionChange(e)}flush(){let{view:e}=this;if(!e.docView||this.flushingSoon>-1)return;let t=this.pendingRecords();t.length&&(this.queue=[]);let r=e.domSelectionRange(),i=this.selectionChanged(r),s=-1,o=-1,l=!1,c=[];if(e.editable)for(let h=0;h<t.length;h++){let f=this.registerMutation(t[h],c);f&&(s=s<0?f.from:Math.min(f.from,s),o=o<0?f.to:Math.max(f.to,o),f.typeOver&&(l=!0))}if(Ke&&c.length){let h=c.filter(f=>f.nodeName=="BR");if(h.length==2){let[f,d]=h;f.parentNode&&f.parentNode.parentNode==d.parentNode?d.remove():f.remove()}else{let{focusNode:f}=this.currentSelection;for(let d of h){let u=d.parentNode;u&&u.nodeName=="LI"&&(!f||Sy(e,f)!=u)&&d.remove()}}}let a=null;s<0&&i&&e.input.lastFocus>Date.now()-200&&Math.max(e.input.lastTouch,e.input.lastClick.time)<Date.now()-300&&vs(r)&&(a=Hl(e))&&a.eq(S.near(e.state.doc.resolve(0),1))?(e.input.lastFocus=0,St(e),this.currentSelection.set(r),e.scrollToSelection()):(s>-1||i)&&(s>-1&&(e.docView.markDirty(s,o),by(e)),this.handleDOMChange(s,o,l,c),e.docView&&e.docView.dirty?e.updateState(e.state):this.currentSelection.eq(r)||St(e),this.currentSelection.set(r))}registerMutation(e,t){if(t.indexOf(e.target)>-1)return null;let r=this.view.docView.nearestDesc(e.target);if(e.type=="attributes"&&(r==this.view.docView||e.attributeName=="contenteditable"||e.attributeName=="style"&&!e.oldValue&&!e.target.getAttribute("style"))||!r||r.ignoreMutation(e))return null;if(e.type=="childList"){for(let h=0;h<e.addedNodes.length;h++){let f=e.addedNodes[h];t.push(f),f.nodeType==3&&(this.lastChangedTextNode=f)}if(r.contentDOM&&r.contentDOM!=r.dom&&!r.contentDOM.contains(e.target))return{from:r.posBefore,to:r.posAfter};let i=e.previousSibling,s=e.nextSibling;if(Ee&&$t<=11&&e.addedNodes.length)for(let h=0;h<e.addedNodes.length;h++){let{previousSibling:f,nextSibling:d}=e.addedNodes[h];(!f||Array.prototype.indexOf.call(e.addedNodes,f)<0)&&(i=f),(!d||Array.prototype.indexOf.call(e.addedNodes,d)<0)&&(s=d)}let o=i&&i.parentNode==e.target?ie(i)+1:0,l=r.localPosFromDOM(e.target,o,-1),c=s&&s.parentNode==e.target?ie(s):e.target.childNodes.length,a=r.localPosFromDOM(e.target,c,1);return{from:l,to:a}}else return e.type=="attributes"?{from:r.posAtStart-r.border,to:r.posAtEnd+r.border}:(this.lastChangedTextNode=e.target,{from:r.posAtStart,to:r.posAtEnd,typeOver:e.target.nodeValue==e.oldValue})}},of=new WeakMap,lf=!1;function by(n){if(!of.has(n)&&(of.set(n,null),["normal","nowrap","pre-line"].indexOf(getComputedStyle(n.dom).whiteSpace)!==-1)){if(n.requiresGeckoHackNode=Ke,lf)return;console.warn("ProseMirror expects the CSS white-space property to be set, preferably to 'pre-wrap'. It is recommended to load style/prosemirror.css from the prosemirror-view package."),lf=!0}}function cf(n,e){let t=e.startContainer,r=e.startOffset,i=e.endContainer,s=e.endOffset,o=n.domAtPos(n.state.selection.anchor);return yn(o.node,o.offset,i,s)&&([t,r,i,s]=[i,s,t,r]),{anchorNode:t,anchorOffset:r,focusNode:i,focusOffset:s}}function xy(n,e){if(e.getComposedRanges){let i=e.getComposedRanges(n.root)[0];if(i)return cf(n,i)}let t;function r(i){i.preventDefault(),i.stopImmediatePropagation(),t=i.getTargetRanges()[0]}return n.dom.addEventListener("beforeinput",r,!0),document.execCommand("indent"),n.dom.removeEventListener("beforeinput",r,!0),t?cf(n,t):null}function Sy(n,e){for(let t=e.parentNode;t&&t!=n.dom;t=t.parentNode){let r=n.docView.nearestDesc(t,!0);if(r&&r.node.isBlock)return t}return null}function ky(n,e,t){let{node:r,fromOffset:i,toOffset:s,from:o,to:l}=n.docView.parseRange(e,t),c=n.domSelectionRange(),a,h=c.anchorNode;if(h&&n.dom.contains(h.nodeType==1?h:h.parentNode)&&(a=[{node:h,offset:c.anchorOffset}],vs(c)||a.push({node:c.focusNode,offset:c.focusOffset})),ue&&n.input.lastKeyCode===8)for(let g=s;g>i;g--){let y=r.childNodes[g-1],E=y.pmViewDesc;if(y.nodeName=="BR"&&!E){s=g;break}if(!E||E.size)break}let f=n.state.doc,d=n.someProp("domParser")||Wn.fromSchema(n.state.schema),u=f.resolve(o),p=null,m=d.parse(r,{topNode:u.parent,topMatch:u.parent.contentMatchAt(u.index()),topOpen:!0,from:i,to:s,preserveWhitespace:u.parent.type.whitespace=="pre"?"full":!0,findPositions:a,ruleFromNode:Cy,context:u});if(a&&a[0].pos!=null){let g=a[0].pos,y=a[1]&&a[1].pos;y==null&&(y=g),p={anchor:g+o,head:y+o}}return{doc:m,sel:p,from:o,to:l}}function Cy(n){let e=n.pmViewDesc;if(e)return e.parseRule();if(n.nodeName=="BR"&&n.parentNode){if(be&&/^(ul|ol)$/i.test(n.parentNode.nodeName)){let t=document.createElement("div");return t.appendChild(document.createElement("li")),{skip:t}}else if(n.parentNode.lastChild==n||be&&/^(tr|table)$/i.test(n.parentNode.nodeName))return{ignore:!0}}else if(n.nodeName=="IMG"&&n.getAttribute("mark-placeholder"))return{ignore:!0};return null}var My=/^(a|abbr|acronym|b|bd[io]|big|br|button|cite|code|data(list)?|del|dfn|em|i|ins|kbd|label|map|mark|meter|output|q|ruby|s|samp|small|span|strong|su[bp]|time|u|tt|var)$/i;function Ay(n,e,t,r,i){let s=n.input.compositionPendingChanges||(n.composing?n.input.compositionID:0);if(n.input.compositionPendingChanges=0,e<0){let T=n.input.lastSelectionTime>Date.now()-50?n.input.lastSelectionOrigin:null,Ut=Hl(n,T);if(Ut&&!n.state.selection.eq(Ut)){if(ue&&We&&n.input.lastKeyCode===13&&Date.now()-100<n.input.lastKeyCodeTime&&n.someProp("handleKeyDown",dm=>dm(n,fn(13,"Enter"))))return;let ls=n.state.tr.setSelection(Ut);T=="pointer"?ls.setMeta("pointer",!0):T=="key"&&ls.scrollIntoView(),s&&ls.setMeta("composition",s),n.dispatch(ls)}return}let o=n.state.doc.resolve(e),l=o.sharedDepth(t);e=o.before(l+1),t=n.state.doc.resolve(t).after(l+1);let c=n.state.selection,a=ky(n,e,t),h=n.state.doc,f=h.slice(a.from,a.to),d,u;n.input.lastKeyCode===8&&Date.now()-100<n.input.lastKeyCodeTime?(d=n.state.selection.to,u="end"):(d=n.state.selection.from,u="start"),n.input.lastKeyCode=null;let p=Dy(f.content,a.doc.content,a.from,d,u);if(p&&n.input.domChangeCount++,(rr&&n.input.lastIOSEnter>Date.now()-225||We)&&i.some(T=>T.nodeType==1&&!My.test(T.nodeName))&&(!p||p.endA>=p.endB)&&n.someProp("handleKeyDown",T=>T(n,fn(13,"Enter")))){n.input.lastIOSEnter=0;return}if(!p)if(r&&c instanceof A&&!c.empty&&c.$head.sameParent(c.$anchor)&&!n.composing&&!(a.sel&&a.sel.anchor!=a.sel.head))p={start:c.from,endA:c.to,endB:c.to};else{if(a.sel){let T=af(n,n.state.doc,a.sel);if(T&&!T.eq(n.state.selection)){let Ut=n.state.tr.setSelection(T);s&&Ut.setMeta("composition",s),n.dispatch(Ut)}}return}n.state.selection.from<n.state.selection.to&&p.start==p.endB&&n.state.selection instanceof A&&(p.start>n.state.selection.from&&p.start<=n.state.selection.from+2&&n.state.selection.from>=a.from?p.start=n.state.selection.from:p.endA<n.state.selection.to&&p.endA>=n.state.selection.to-2&&n.state.selection.to<=a.to&&(p.endB+=n.state.selection.to-p.endA,p.endA=n.state.selection.to)),Ee&&$t<=11&&p.endB==p.start+1&&p.endA==p.start&&p.start>a.from&&a.doc.textBetween(p.start-a.from-1,p.start-a.from+1)==" \xA0"&&(p.start--,p.endA--,p.endB--);let m=a.doc.resolveNoCache(p.start-a.from),g=a.doc.resolveNoCache(p.endB-a.from),y=h.resolve(p.start),E=m.sameParent(g)&&m.parent.inlineContent&&y.end()>=p.endA,N;if((rr&&n.input.lastIOSEnter>Date.now()-225&&(!E||i.some(T=>T.nodeName=="DIV"||T.nodeName=="P"))||!E&&m.pos<a.doc.content.size&&!m.sameParent(g)&&(N=S.findFrom(a.doc.resolve(m.pos+1),1,!0))&&N.head==g.pos)&&n.someProp("handleKeyDown",T=>T(n,fn(13,"Enter")))){n.input.lastIOSEnter=0;return}if(n.state.selection.anchor>p.start&&Ty(h,p.start,p.endA,m,g)&&n.someProp("handleKeyDown",T=>T(n,fn(8,"Backspace")))){We&&ue&&n.domObserver.suppressSelectionUpdates();return}ue&&We&&p.endB==p.start&&(n.input.lastAndroidDelete=Date.now()),We&&!E&&m.start()!=g.start()&&g.parentOffset==0&&m.depth==g.depth&&a.sel&&a.sel.anchor==a.sel.head&&a.sel.head==p.endA&&(p.endB-=2,g=a.doc.resolveNoCache(p.endB-a.from),setTimeout(()=>{n.someProp("handleKeyDown",function(T){return T(n,fn(13,"Enter"))})},20));let Ae=p.start,we=p.endA,Q,gt,_t;if(E){if(m.pos==g.pos)Ee&&$t<=11&&m.parentOffset==0&&(n.domObserver.suppressSelectionUpdates(),setTimeout(()=>St(n),20)),Q=n.state.tr.delete(Ae,we),gt=h.resolve(p.start).marksAcross(h.resolve(p.endA));else if(p.endA==p.endB&&(_t=Ey(m.parent.content.cut(m.parentOffset,g.parentOffset),y.parent.content.cut(y.parentOffset,p.endA-y.start()))))Q=n.state.tr,_t.type=="add"?Q.addMark(Ae,we,_t.mark):Q.removeMark(Ae,we,_t.mark);else if(m.parent.child(m.index()).isText&&m.index()==g.index()-(g.textOffset?0:1)){let T=m.parent.textBetween(m.parentOffset,g.parentOffset);if(n.someProp("handleTextInput",Ut=>Ut(n,Ae,we,T)))return;Q=n.state.tr.insertText(T,Ae,we)}}if(Q||(Q=n.state.tr.replace(Ae,we,a.doc.slice(p.start-a.from,p.endB-a.from))),a.sel){let T=af(n,Q.doc,a.sel);T&&!(ue&&We&&n.composing&&T.empty&&(p.start!=p.endB||n.input.lastAndroidDelete<Date.now()-100)&&(T.head==Ae||T.head==Q.mapping.map(we)-1)||Ee&&T.empty&&T.head==Ae)&&Q.setSelection(T)}gt&&Q.ensureMarks(gt),s&&Q.setMeta("composition",s),n.dispatch(Q.scrollIntoView())}function af(n,e,t){return Math.max(t.anchor,t.head)>e.content.size?null:Jl(n,e.resolve(t.anchor),e.resolve(t.head))}function Ey(n,e){let t=n.firstChild.marks,r=e.firstChild.marks,i=t,s=r,o,l,c;for(let h=0;h<r.length;h++)i=r[h].removeFromSet(i);for(let h=0;h<t.length;h++)s=t[h].removeFromSet(s);if(i.length==1&&s.length==0)l=i[0],o="add",c=h=>h.mark(l.addToSet(h.marks));else if(i.length==0&&s.length==1)l=s[0],o="remove",c=h=>h.mark(l.removeFromSet(h.marks));else return null;let a=[];for(let h=0;h<e.childCount;h++)a.push(c(e.child(h)));if(w.from(a).eq(n))return{mark:l,type:o}}function Ty(n,e,t,r,i){if(t-e<=i.pos-r.pos||Cl(r,!0,!1)<i.pos)return!1;let s=n.resolve(e);if(!r.parent.isTextblock){let l=s.nodeAfter;return l!=null&&t==e+l.nodeSize}if(s.parentOffset<s.parent.content.size||!s.parent.isTextblock)return!1;let o=n.resolve(Cl(s,!0,!0));return!o.parent.isTextblock||o.pos>t||Cl(o,!0,!1)<t?!1:r.parent.content.cut(r.parentOffset).eq(o.parent.content)}function Cl(n,e,t){let r=n.depth,i=e?n.end():n.pos;for(;r>0&&(e||n.indexAfter(r)==n.node(r).childCount);)r--,i++,e=!1;if(t){let s=n.node(r).maybeChild(n.indexAfter(r));for(;s&&!s.isLeaf;)s=s.firstChild,i++}return i}function Dy(n,e,t,r,i){let s=n.findDiffStart(e,t);if(s==null)return null;let{a:o,b:l}=n.findDiffEnd(e,t+n.size,t+e.size);if(i=="end"){let c=Math.max(0,s-Math.min(o,l));r-=o+c-s}if(o<s&&n.size<e.size){let c=r<=s&&r>=o?s-r:0;s-=c,s&&s<e.size&&hf(e.textBetween(s-1,s+1))&&(s+=c?1:-1),l=s+(l-o),o=s}else if(l<s){let c=r<=s&&r>=l?s-r:0;s-=c,s&&s<n.size&&hf(n.textBetween(s-1,s+1))&&(s+=c?1:-1),o=s+(o-l),l=s}return{start:s,endA:o,endB:l}}function hf(n){if(n.length!=2)return!1;let e=n.charCodeAt(0),t=n.charCodeAt(1);return e>=56320&&e<=57343&&t>=55296&&t<=56319}var $l=class{constructor(e,t){this._root=null,this.focused=!1,this.trackWrites=null,this.mounted=!1,this.markCursor=null,this.cursorWrapper=null,this.lastSelectedViewDesc=void 0,this.input=new Vl,this.prevDirectPlugins=[],this.pluginViews=[],this.requiresGeckoHackNode=!1,this.dragging=null,this._props=t,this.state=t.state,this.directPlugins=t.plugins||[],this.directPlugins.forEach(mf),this.dispatch=this.dispatch.bind(this),this.dom=e&&e.mount||document.createElement("div"),e&&(e.appendChild?e.appendChild(this.dom):typeof e=="function"?e(this.dom):e.mount&&(this.mounted=!0)),this.editable=uf(this),df(this),this.nodeViews=pf(this),this.docView=Hh(this.state.doc,ff(this),kl(this),this.dom,this),this.domObserver=new Fl(this,(r,i,s,o)=>Ay(this,r,i,s,o)),this.domObserver.start(),Qg(this),this.updatePluginViews()}get composing(){return this.input.composing}get props(){if(this._props.state!=this.state){let e=this._props;this._props={};for(let t in e)this._props[t]=e[t];this._props.state=this.state}return this._props}update(e){e.handleDOMEvents!=this._props.handleDOMEvents&&Bl(this);let t=this._props;this._props=e,e.plugins&&(e.plugins.forEach(mf),this.directPlugins=e.plugins),this.updateStateInner(e.state,t)}setProps(e){let t={};for(let r in this._props)t[r]=this._props[r];t.state=this.state;for(let r in e)t[r]=e[r];this.update(t)}updateState(e){this.updateStateInner(e,this._props)}updateStateInner(e,t){var r;let i=this.state,s=!1,o=!1;e.storedMarks&&this.composing&&(Ff(this),o=!0),this.state=e;let l=i.plugins!=e.plugins||this._props.plugins!=t.plugins;if(l||this._props.plugins!=t.plugins||this._props.nodeViews!=t.nodeViews){let u=pf(this);Ny(u,this.nodeViews)&&(this.nodeViews=u,s=!0)}(l||t.handleDOMEvents!=this._props.handleDOMEvents)&&Bl(this),this.editable=uf(this),df(this);let c=kl(this),a=ff(this),h=i.plugins!=e.plugins&&!i.doc.eq(e.doc)?"reset":e.scrollToSelection>i.scrollToSelection?"to selection":"preserve",f=s||!this.docView.matchesNode(e.doc,a,c);(f||!e.selection.eq(i.selection))&&(o=!0);let d=h=="preserve"&&o&&this.dom.style.overflowAnchor==null&&gg(this);if(o){this.domObserver.stop();let u=f&&(Ee||ue)&&!this.composing&&!i.selection.empty&&!e.selection.empty&&Oy(i.selection,e.selection);if(f){let p=ue?this.trackWrites=this.domSelectionRange().focusNode:null;this.composing&&(this.input.compositionNode=hy(this)),(s||!this.docView.update(e.doc,a,c,this))&&(this.docView.updateOuterDeco(a),this.docView.destroy(),this.docView=Hh(e.doc,a,c,this.dom,this)),p&&!this.trackWrites&&(u=!0)}u||!(this.input.mouseDown&&this.domObserver.currentSelection.eq(this.domSelectionRange())&&Bg(this))?St(this,u):(Df(this,e.selection),this.domObserver.setCurSelection()),this.domObserver.start()}this.updatePluginViews(i),!((r=this.dragging)===null||r===void 0)&&r.node&&!i.doc.eq(e.doc)&&this.updateDraggedNode(this.dragging,i),h=="reset"?this.dom.scrollTop=0:h=="to selection"?this.scrollToSelection():d&&yg(d)}scrollToSelection(){let e=this.domSelectionRange().focusNode;if(!this.someProp("handleScrollToSelection",t=>t(this)))if(this.state.selection instanceof k){let t=this.docView.domAfterPos(this.state.selection.from);t.nodeType==1&&Ph(this,t.getBoundingClientRect(),e)}else Ph(this,this.coordsAtPos(this.state.selection.head,1),e)}destroyPluginViews(){let e;for(;e=this.pluginViews.pop();)e.destroy&&e.destroy()}updatePluginViews(e){if(!e||e.plugins!=this.state.plugins||this.directPlugins!=this.prevDirectPlugins){this.prevDirectPlugins=this.directPlugins,this.destroyPluginViews();for(let t=0;t<this.directPlugins.length;t++){let r=this.directPlugins[t];r.spec.view&&this.pluginViews.push(r.spec.view(this))}for(let t=0;t<this.state.plugins.length;t++){let r=this.state.plugins[t];r.spec.view&&this.pluginViews.push(r.spec.view(this))}}else for(let t=0;t<this.pluginViews.length;t++){let r=this.pluginViews[t];r.update&&r.update(this,e)}}updateDraggedNode(e,t){let r=e.node,i=-1;if(this.state.doc.nodeAt(r.from)==r.node)i=r.from;else{let s=r.from+(this.state.doc.content.size-t.doc.content.size);(s>0&&this.state.doc.nodeAt(s))==r.node&&(i=s)}this.dragging=new Os(e.slice,e.move,i<0?void 0:k.create(this.state.doc,i))}someProp(e,t){let r=this._props&&this._props[e],i;if(r!=null&&(i=t?t(r):r))return i;for(let o=0;o<this.directPlugins.length;o++){let l=this.directPlugins[o].props[e];if(l!=null&&(i=t?t(l):l))return i}let s=this.state.plugins;if(s)for(let o=0;o<s.length;o++){let l=s[o].props[e];if(l!=null&&(i=t?t(l):l))return i}}hasFocus(){if(Ee){let e=this.root.activeElement;if(e==this.dom)return!0;if(!e||!this.dom.contains(e))return!1;for(;e&&this.dom!=e&&this.dom.contains(e);){if(e.contentEditable=="false")return!1;e=e.parentElement}return!0}return this.root.activeElement==this.dom}focus(){this.domObserver.stop(),this.editable&&wg(this.dom),St(this),this.domObserver.start()}get root(){let e=this._root;if(e==null){for(let t=this.dom.parentNode;t;t=t.parentNode)if(t.nodeType==9||t.nodeType==11&&t.host)return t.getSelection||(Object.getPrototypeOf(t).getSelection=()=>t.ownerDocument.getSelection()),this._root=t}return e||document}updateRoot(){this._root=null}posAtCoords(e){return Cg(this,e)}coordsAtPos(e,t=1){return kf(this,e,t)}domAtPos(e,t=0){return this.docView.domFromPos(e,t)}nodeDOM(e){let t=this.docView.descAt(e);return t?t.nodeDOM:null}posAtDOM(e,t,r=-1){let i=this.docView.posFromDOM(e,t,r);if(i==null)throw new RangeError("DOM position not inside the editor");return i}endOfTextblock(e,t){return Dg(this,t||this.state,e)}pasteHTML(e,t){return ri(this,"",e,!1,t||new ClipboardEvent("paste"))}pasteText(e,t){return ri(this,e,null,!0,t||new ClipboardEvent("paste"))}destroy(){this.docView&&(Zg(this),this.destroyPluginViews(),this.mounted?(this.docView.update(this.state.doc,[],kl(this),this),this.dom.textContent=""):this.dom.parentNode&&this.dom.parentNode.removeChild(this.dom),this.docView.destroy(),this.docView=null,sg())}get isDestroyed(){return this.docView==null}dispatchEvent(e){return ty(this,e)}dispatch(e){let t=this._props.dispatchTransaction;t?t.call(this,e):this.updateState(this.state.apply(e))}domSelectionRange(){let e=this.domSelection();return e?be&&this.root.nodeType===11&&hg(this.dom.ownerDocument)==this.dom&&xy(this,e)||e:{focusNode:null,focusOffset:0,anchorNode:null,anchorOffset:0}}domSelection(){return this.root.getSelection()}};function ff(n){let e=Object.create(null);return e.class="ProseMirror",e.contenteditable=String(n.editable),n.someProp("attributes",t=>{if(typeof t=="function"&&(t=t(n.state)),t)for(let r in t)r=="class"?e.class+=" "+t[r]:r=="style"?e.style=(e.style?e.style+";":"")+t[r]:!e[r]&&r!="contenteditable"&&r!="nodeName"&&(e[r]=String(t[r]))}),e.translate||(e.translate="no"),[se.node(0,n.state.doc.content.size,e)]}function df(n){if(n.markCursor){let e=document.createElement("img");e.className="ProseMirror-separator",e.setAttribute("mark-placeholder","true"),e.setAttribute("alt",""),n.cursorWrapper={dom:e,deco:se.widget(n.state.selection.from,e,{raw:!0,marks:n.markCursor})}}else n.cursorWrapper=null}function uf(n){return!n.someProp("editable",e=>e(n.state)===!1)}function Oy(n,e){let t=Math.min(n.$anchor.sharedDepth(n.head),e.$anchor.sharedDepth(e.head));return n.$anchor.start(t)!=e.$anchor.start(t)}function pf(n){let e=Object.create(null);function t(r){for(let i in r)Object.prototype.hasOwnProperty.call(e,i)||(e[i]=r[i])}return n.someProp("nodeViews",t),n.someProp("markViews",t),e}function Ny(n,e){let t=0,r=0;for(let i in n){if(n[i]!=e[i])return!0;t++}for(let i in e)r++;return t!=r}function mf(n){if(n.spec.state||n.spec.filterTransaction||n.spec.appendTransaction)throw new RangeError("Plugins passed directly to the view must not have a state component")}var Iy=["p",0],Ry=["blockquote",0],vy=["hr"],_y=["pre",["code",0]],Uy=["br"],Vy={doc:{content:"block+"},paragraph:{content:"inline*",group:"block",parseDOM:[{tag:"p"}],toDOM(){return Iy}},blockquote:{content:"block+",group:"block",defining:!0,parseDOM:[{tag:"blockquote"}],toDOM(){return Ry}},horizontal_rule:{group:"block",parseDOM:[{tag:"hr"}],toDOM(){return vy}},heading:{attrs:{level:{default:1,validate:"number"}},content:"inline*",group:"block",defining:!0,parseDOM:[{tag:"h1",attrs:{level:1}},{tag:"h2",attrs:{level:2}},{tag:"h3",attrs:{level:3}},{tag:"h4",attrs:{level:4}},{tag:"h5",attrs:{level:5}},{tag:"h6",attrs:{level:6}}],toDOM(n){return["h"+n.attrs.level,0]}},code_block:{content:"text*",marks:"",group:"block",code:!0,defining:!0,parseDOM:[{tag:"pre",preserveWhitespace:"full"}],toDOM(){return _y}},text:{group:"inline"},image:{inline:!0,attrs:{src:{validate:"string"},alt:{default:null,validate:"string|null"},title:{default:null,validate:"string|null"}},group:"inline",draggable:!0,parseDOM:[{tag:"img[src]",getAttrs(n){return{src:n.getAttribute("src"),title:n.getAttribute("title"),alt:n.getAttribute("alt")}}}],toDOM(n){let{src:e,alt:t,title:r}=n.attrs;return["img",{src:e,alt:t,title:r}]}},hard_break:{inline:!0,group:"inline",selectable:!1,parseDOM:[{tag:"br"}],toDOM(){return Uy}}},By=["em",0],Py=["strong",0],Ly=["code",0],zy={link:{attrs:{href:{validate:"string"},title:{default:null,validate:"string|null"}},inclusive:!1,parseDOM:[{tag:"a[href]",getAttrs(n){return{href:n.getAttribute("href"),title:n.getAttribute("title")}}}],toDOM(n){let{href:e,title:t}=n.attrs;return["a",{href:e,title:t},0]}},em:{parseDOM:[{tag:"i"},{tag:"em"},{style:"font-style=italic"},{style:"font-style=normal",clearMark:n=>n.type.name=="em"}],toDOM(){return By}},strong:{parseDOM:[{tag:"strong"},{tag:"b",getAttrs:n=>n.style.fontWeight!="normal"&&null},{style:"font-weight=400",clearMark:n=>n.type.name=="strong"},{style:"font-weight",getAttrs:n=>/^(bold(er)?|[5-9]\d{2,})$/.test(n)&&null}],toDOM(){return Py}},code:{parseDOM:[{tag:"code"}],toDOM(){return Ly}}},Fy=new Hr({nodes:Vy,marks:zy});var Kf=(n,e)=>n.selection.empty?!1:(e&&e(n.tr.deleteSelection().scrollIntoView()),!0);function $y(n,e){let{$cursor:t}=n.selection;return!t||(e?!e.endOfTextblock("backward",n):t.parentOffset>0)?null:t}var qy=(n,e,t)=>{let r=$y(n,t);if(!r)return!1;let i=Yf(r);if(!i){let o=r.blockRange(),l=o&&an(o);return l==null?!1:(e&&e(n.tr.lift(o,l).scrollIntoView()),!0)}let s=i.nodeBefore;if(Qf(n,i,e,-1))return!0;if(r.parent.content.size==0&&(sr(s,"end")||k.isSelectable(s)))for(let o=r.depth;;o--){let l=xs(n.doc,r.before(o),r.after(o),b.empty);if(l&&l.slice.size<l.to-l.from){if(e){let c=n.tr.step(l);c.setSelection(sr(s,"end")?S.findFrom(c.doc.resolve(c.mapping.map(i.pos,-1)),-1):k.create(c.doc,i.pos-s.nodeSize)),e(c.scrollIntoView())}return!0}if(o==1||r.node(o-1).childCount>1)break}return s.isAtom&&i.depth==r.depth-1?(e&&e(n.tr.delete(i.pos-s.nodeSize,i.pos).scrollIntoView()),!0):!1};function sr(n,e,t=!1){for(let r=n;r;r=e=="start"?r.firstChild:r.lastChild){if(r.isTextblock)return!0;if(t&&r.childCount!=1)return!1}return!1}var Hy=(n,e,t)=>{let{$head:r,empty:i}=n.selection,s=r;if(!i)return!1;if(r.parent.isTextblock){if(t?!t.endOfTextblock("backward",n):r.parentOffset>0)return!1;s=Yf(r)}let o=s&&s.nodeBefore;return!o||!k.isSelectable(o)?!1:(e&&e(n.tr.setSelection(k.create(n.doc,s.pos-o.nodeSize)).scrollIntoView()),!0)};function Yf(n){if(!n.parent.type.spec.isolating)for(let e=n.depth-1;e>=0;e--){if(n.index(e)>0)return n.doc.resolve(n.before(e+1));if(n.node(e).type.spec.isolating)break}return null}function Jy(n,e){let{$cursor:t}=n.selection;return!t||(e?!e.endOfTextblock("forward",n):t.parentOffset<t.parent.content.size)?null:t}var jy=(n,e,t)=>{let r=Jy(n,t);if(!r)return!1;let i=Gf(r);if(!i)return!1;let s=i.nodeAfter;if(Qf(n,i,e,1))return!0;if(r.parent.content.size==0&&(sr(s,"start")||k.isSelectable(s))){let o=xs(n.doc,r.before(),r.after(),b.empty);if(o&&o.slice.size<o.to-o.from){if(e){let l=n.tr.step(o);l.setSelection(sr(s,"start")?S.findFrom(l.doc.resolve(l.mapping.map(i.pos)),1):k.create(l.doc,l.mapping.map(i.pos))),e(l.scrollIntoView())}return!0}}return s.isAtom&&i.depth==r.depth-1?(e&&e(n.tr.delete(i.pos,i.pos+s.nodeSize).scrollIntoView()),!0):!1},Wy=(n,e,t)=>{let{$head:r,empty:i}=n.selection,s=r;if(!i)return!1;if(r.parent.isTextblock){if(t?!t.endOfTextblock("forward",n):r.parentOffset<r.parent.content.size)return!1;s=Gf(r)}let o=s&&s.nodeAfter;return!o||!k.isSelectable(o)?!1:(e&&e(n.tr.setSelection(k.create(n.doc,s.pos)).scrollIntoView()),!0)};function Gf(n){if(!n.parent.type.spec.isolating)for(let e=n.depth-1;e>=0;e--){let t=n.node(e);if(n.index(e)+1<t.childCount)return n.doc.resolve(n.after(e+1));if(t.type.spec.isolating)break}return null}var li=(n,e)=>{let t=n.selection,r=t instanceof k,i;if(r){if(t.node.isTextblock||!wt(n.doc,t.from))return!1;i=t.from}else if(i=pl(n.doc,t.from,-1),i==null)return!1;if(e){let s=n.tr.join(i);r&&s.setSelection(k.create(s.doc,i-n.doc.resolve(i).nodeBefore.nodeSize)),e(s.scrollIntoView())}return!0},Xf=(n,e)=>{let t=n.selection,r;if(t instanceof k){if(t.node.isTextblock||!wt(n.doc,t.to))return!1;r=t.to}else if(r=pl(n.doc,t.to,1),r==null)return!1;return e&&e(n.tr.join(r).scrollIntoView()),!0},ci=(n,e)=>{let{$from:t,$to:r}=n.selection,i=t.blockRange(r),s=i&&an(i);return s==null?!1:(e&&e(n.tr.lift(i,s).scrollIntoView()),!0)},Ky=(n,e)=>{let{$head:t,$anchor:r}=n.selection;return!t.parent.type.spec.code||!t.sameParent(r)?!1:(e&&e(n.tr.insertText(`
-`).scrollIntoView()),!0)};function Xl(n){for(let e=0;e<n.edgeCount;e++){let{type:t}=n.edge(e);if(t.isTextblock&&!t.hasRequiredAttrs())return t}return null}var Ql=(n,e)=>{let{$head:t,$anchor:r}=n.selection;if(!t.parent.type.spec.code||!t.sameParent(r))return!1;let i=t.node(-1),s=t.indexAfter(-1),o=Xl(i.contentMatchAt(s));if(!o||!i.canReplaceWith(s,s,o))return!1;if(e){let l=t.after(),c=n.tr.replaceWith(l,l,o.createAndFill());c.setSelection(S.near(c.doc.resolve(l),1)),e(c.scrollIntoView())}return!0},Yy=(n,e)=>{let t=n.selection,{$from:r,$to:i}=t;if(t instanceof Ie||r.parent.inlineContent||i.parent.inlineContent)return!1;let s=Xl(i.parent.contentMatchAt(i.indexAfter()));if(!s||!s.isTextblock)return!1;if(e){let o=(!r.parentOffset&&i.index()<i.parent.childCount?r:i).pos,l=n.tr.insert(o,s.createAndFill());l.setSelection(A.create(l.doc,o+1)),e(l.scrollIntoView())}return!0},Gy=(n,e)=>{let{$cursor:t}=n.selection;if(!t||t.parent.content.size)return!1;if(t.depth>1&&t.after()!=t.end(-1)){let s=t.before();if(Bt(n.doc,s))return e&&e(n.tr.split(s).scrollIntoView()),!0}let r=t.blockRange(),i=r&&an(r);return i==null?!1:(e&&e(n.tr.lift(r,i).scrollIntoView()),!0)};function Xy(n){return(e,t)=>{let{$from:r,$to:i}=e.selection;if(e.selection instanceof k&&e.selection.node.isBlock)return!r.parentOffset||!Bt(e.doc,r.pos)?!1:(t&&t(e.tr.split(r.pos).scrollIntoView()),!0);if(!r.parent.isBlock)return!1;let s=i.parentOffset==i.parent.content.size,o=e.tr;(e.selection instanceof A||e.selection instanceof Ie)&&o.deleteSelection();let l=r.depth==0?null:Xl(r.node(-1).contentMatchAt(r.indexAfter(-1))),c=n&&n(i.parent,s,r),a=c?[c]:s&&l?[{type:l}]:void 0,h=Bt(o.doc,o.mapping.map(r.pos),1,a);if(!a&&!h&&Bt(o.doc,o.mapping.map(r.pos),1,l?[{type:l}]:void 0)&&(l&&(a=[{type:l}]),h=!0),!h)return!1;if(o.split(o.mapping.map(r.pos),1,a),!s&&!r.parentOffset&&r.parent.type!=l){let f=o.mapping.map(r.before()),d=o.doc.resolve(f);l&&r.node(-1).canReplaceWith(d.index(),d.index()+1,l)&&o.setNodeMarkup(o.mapping.map(r.before()),l)}return t&&t(o.scrollIntoView()),!0}}var Qy=Xy();var ai=(n,e)=>{let{$from:t,to:r}=n.selection,i,s=t.sharedDepth(r);return s==0?!1:(i=t.before(s),e&&e(n.tr.setSelection(k.create(n.doc,i))),!0)},Zy=(n,e)=>(e&&e(n.tr.setSelection(new Ie(n.doc))),!0);function e0(n,e,t){let r=e.nodeBefore,i=e.nodeAfter,s=e.index();return!r||!i||!r.type.compatibleContent(i.type)?!1:!r.content.size&&e.parent.canReplace(s-1,s)?(t&&t(n.tr.delete(e.pos-r.nodeSize,e.pos).scrollIntoView()),!0):!e.parent.canReplace(s,s+1)||!(i.isTextblock||wt(n.doc,e.pos))?!1:(t&&t(n.tr.join(e.pos).scrollIntoView()),!0)}function Qf(n,e,t,r){let i=e.nodeBefore,s=e.nodeAfter,o,l,c=i.type.spec.isolating||s.type.spec.isolating;if(!c&&e0(n,e,t))return!0;let a=!c&&e.parent.canReplace(e.index(),e.index()+1);if(a&&(o=(l=i.contentMatchAt(i.childCount)).findWrapping(s.type))&&l.matchType(o[0]||s.type).validEnd){if(t){let u=e.pos+s.nodeSize,p=w.empty;for(let y=o.length-1;y>=0;y--)p=w.from(o[y].create(null,p));p=w.from(i.copy(p));let m=n.tr.step(new ee(e.pos-1,u,e.pos,u,new b(p,1,0),o.length,!0)),g=m.doc.resolve(u+2*o.length);g.nodeAfter&&g.nodeAfter.type==i.type&&wt(m.doc,g.pos)&&m.join(g.pos),t(m.scrollIntoView())}return!0}let h=s.type.spec.isolating||r>0&&c?null:S.findFrom(e,1),f=h&&h.$from.blockRange(h.$to),d=f&&an(f);if(d!=null&&d>=e.depth)return t&&t(n.tr.lift(f,d).scrollIntoView()),!0;if(a&&sr(s,"start",!0)&&sr(i,"end")){let u=i,p=[];for(;p.push(u),!u.isTextblock;)u=u.lastChild;let m=s,g=1;for(;!m.isTextblock;m=m.firstChild)g++;if(u.canReplace(u.childCount,u.childCount,m.content)){if(t){let y=w.empty;for(let N=p.length-1;N>=0;N--)y=w.from(p[N].copy(y));let E=n.tr.step(new ee(e.pos-p.length,e.pos+s.nodeSize,e.pos+g,e.pos+s.nodeSize-g,new b(y,p.length,0),0,!0));t(E.scrollIntoView())}return!0}}return!1}function Zf(n){return function(e,t){let r=e.selection,i=n<0?r.$from:r.$to,s=i.depth;for(;i.node(s).isInline;){if(!s)return!1;s--}return i.node(s).isTextblock?(t&&t(e.tr.setSelection(A.create(e.doc,n<0?i.start(s):i.end(s)))),!0):!1}}var t0=Zf(-1),n0=Zf(1);function or(n,e=null){return function(t,r){let{$from:i,$to:s}=t.selection,o=i.blockRange(s),l=o&&Xn(o,n,e);return l?(r&&r(t.tr.wrap(o,l).scrollIntoView()),!0):!1}}function bn(n,e=null){return function(t,r){let i=!1;for(let s=0;s<t.selection.ranges.length&&!i;s++){let{$from:{pos:o},$to:{pos:l}}=t.selection.ranges[s];t.doc.nodesBetween(o,l,(c,a)=>{if(i)return!1;if(!(!c.isTextblock||c.hasMarkup(n,e)))if(c.type==n)i=!0;else{let h=t.doc.resolve(a),f=h.index();i=h.parent.canReplaceWith(f,f+1,n)}})}if(!i)return!1;if(r){let s=t.tr;for(let o=0;o<t.selection.ranges.length;o++){let{$from:{pos:l},$to:{pos:c}}=t.selection.ranges[o];s.setBlockType(l,c,n,e)}r(s.scrollIntoView())}return!0}}function r0(n,e,t,r){for(let i=0;i<e.length;i++){let{$from:s,$to:o}=e[i],l=s.depth==0?n.inlineContent&&n.type.allowsMarkType(t):!1;if(n.nodesBetween(s.pos,o.pos,(c,a)=>{if(l||!r&&c.isAtom&&c.isInline&&a>=s.pos&&a+c.nodeSize<=o.pos)return!1;l=c.inlineContent&&c.type.allowsMarkType(t)}),l)return!0}return!1}function i0(n){let e=[];for(let t=0;t<n.length;t++){let{$from:r,$to:i}=n[t];r.doc.nodesBetween(r.pos,i.pos,(s,o)=>{if(s.isAtom&&s.content.size&&s.isInline&&o>=r.pos&&o+s.nodeSize<=i.pos)return o+1>r.pos&&e.push(new Pt(r,r.doc.resolve(o+1))),r=r.doc.resolve(o+1+s.content.size),!1}),r.pos<i.pos&&e.push(new Pt(r,i))}return e}function xn(n,e=null,t){let r=(t&&t.removeWhenPresent)!==!1,i=(t&&t.enterInlineAtoms)!==!1;return function(s,o){let{empty:l,$cursor:c,ranges:a}=s.selection;if(l&&!c||!r0(s.doc,a,n,i))return!1;if(o)if(c)n.isInSet(s.storedMarks||c.marks())?o(s.tr.removeStoredMark(n)):o(s.tr.addStoredMark(n.create(e)));else{let h,f=s.tr;i||(a=i0(a)),r?h=!a.some(d=>s.doc.rangeHasMark(d.$from.pos,d.$to.pos,n)):h=!a.every(d=>{let u=!1;return f.doc.nodesBetween(d.$from.pos,d.$to.pos,(p,m,g)=>{if(u)return!1;u=!n.isInSet(p.marks)&&!!g&&g.type.allowsMarkType(n)&&!(p.isText&&/^\s*$/.test(p.textBetween(Math.max(0,d.$from.pos-m),Math.min(p.nodeSize,d.$to.pos-m))))}),!u});for(let d=0;d<a.length;d++){let{$from:u,$to:p}=a[d];if(!h)f.removeMark(u.pos,p.pos,n);else{let m=u.pos,g=p.pos,y=u.nodeAfter,E=p.nodeBefore,N=y&&y.isText?/^\s*/.exec(y.text)[0].length:0,Ae=E&&E.isText?/\s*$/.exec(E.text)[0].length:0;m+N<g&&(m+=N,g-=Ae),f.addMark(m,g,n.create(e))}}o(f.scrollIntoView())}return!0}}function hi(...n){return function(e,t,r){for(let i=0;i<n.length;i++)if(n[i](e,t,r))return!0;return!1}}var Gl=hi(Kf,qy,Hy),Wf=hi(Kf,jy,Wy),kt={Enter:hi(Ky,Yy,Gy,Qy),"Mod-Enter":Ql,Backspace:Gl,"Mod-Backspace":Gl,"Shift-Backspace":Gl,Delete:Wf,"Mod-Delete":Wf,"Mod-a":Zy},ed={"Ctrl-h":kt.Backspace,"Alt-Backspace":kt["Mod-Backspace"],"Ctrl-d":kt.Delete,"Ctrl-Alt-Backspace":kt["Mod-Delete"],"Alt-Delete":kt["Mod-Delete"],"Alt-d":kt["Mod-Delete"],"Ctrl-a":t0,"Ctrl-e":n0};for(let n in kt)ed[n]=kt[n];var s0=typeof navigator<"u"?/Mac|iP(hone|[oa]d)/.test(navigator.platform):typeof os<"u"&&os.platform?os.platform()=="darwin":!1,td=s0?ed:kt;var o0=["ol",0],l0=["ul",0],c0=["li",0],a0={attrs:{order:{default:1,validate:"number"}},parseDOM:[{tag:"ol",getAttrs(n){return{order:n.hasAttribute("start")?+n.getAttribute("start"):1}}}],toDOM(n){return n.attrs.order==1?o0:["ol",{start:n.attrs.order},0]}},h0={parseDOM:[{tag:"ul"}],toDOM(){return l0}},f0={parseDOM:[{tag:"li"}],toDOM(){return c0},defining:!0};function Zl(n,e){let t={};for(let r in n)t[r]=n[r];for(let r in e)t[r]=e[r];return t}function d0(n,e,t){return n.append({ordered_list:Zl(a0,{content:"list_item+",group:t}),bullet_list:Zl(h0,{content:"list_item+",group:t}),list_item:Zl(f0,{content:e})})}function Us(n,e=null){return function(t,r){let{$from:i,$to:s}=t.selection,o=i.blockRange(s),l=!1,c=o;if(!o)return!1;if(o.depth>=2&&i.node(o.depth-1).type.compatibleContent(n)&&o.startIndex==0){if(i.index(o.depth-1)==0)return!1;let h=t.doc.resolve(o.start-2);c=new on(h,h,o.depth),o.endIndex<o.parent.childCount&&(o=new on(i,t.doc.resolve(s.end(o.depth)),o.depth)),l=!0}let a=Xn(c,n,e,o);return a?(r&&r(u0(t.tr,o,a,l,n).scrollIntoView()),!0):!1}}function u0(n,e,t,r,i){let s=w.empty;for(let h=t.length-1;h>=0;h--)s=w.from(t[h].type.create(t[h].attrs,s));n.step(new ee(e.start-(r?2:0),e.end,e.start,e.end,new b(s,0,0),t.length,!0));let o=0;for(let h=0;h<t.length;h++)t[h].type==i&&(o=h+1);let l=t.length-o,c=e.start+t.length-(r?2:0),a=e.parent;for(let h=e.startIndex,f=e.endIndex,d=!0;h<f;h++,d=!1)!d&&Bt(n.doc,c,l)&&(n.split(c,l),c+=2*l),c+=a.child(h).nodeSize;return n}function ec(n,e){return function(t,r){let{$from:i,$to:s,node:o}=t.selection;if(o&&o.isBlock||i.depth<2||!i.sameParent(s))return!1;let l=i.node(-1);if(l.type!=n)return!1;if(i.parent.content.size==0&&i.node(-1).childCount==i.indexAfter(-1)){if(i.depth==3||i.node(-3).type!=n||i.index(-2)!=i.node(-2).childCount-1)return!1;if(r){let f=w.empty,d=i.index(-1)?1:i.index(-2)?2:3;for(let y=i.depth-d;y>=i.depth-3;y--)f=w.from(i.node(y).copy(f));let u=i.indexAfter(-1)<i.node(-2).childCount?1:i.indexAfter(-2)<i.node(-3).childCount?2:3;f=f.append(w.from(n.createAndFill()));let p=i.before(i.depth-(d-1)),m=t.tr.replace(p,i.after(-u),new b(f,4-d,0)),g=-1;m.doc.nodesBetween(p,m.doc.content.size,(y,E)=>{if(g>-1)return!1;y.isTextblock&&y.content.size==0&&(g=E+1)}),g>-1&&m.setSelection(S.near(m.doc.resolve(g))),r(m.scrollIntoView())}return!0}let c=s.pos==i.end()?l.contentMatchAt(0).defaultType:null,a=t.tr.delete(i.pos,s.pos),h=c?[e?{type:n,attrs:e}:null,{type:c}]:void 0;return Bt(a.doc,i.pos,2,h)?(r&&r(a.split(i.pos,2,h).scrollIntoView()),!0):!1}}function tc(n){return function(e,t){let{$from:r,$to:i}=e.selection,s=r.blockRange(i,o=>o.childCount>0&&o.firstChild.type==n);return s?t?r.node(s.depth-1).type==n?p0(e,t,n,s):m0(e,t,s):!0:!1}}function p0(n,e,t,r){let i=n.tr,s=r.end,o=r.$to.end(r.depth);s<o&&(i.step(new ee(s-1,o,s,o,new b(w.from(t.create(null,r.parent.copy())),1,0),1,!0)),r=new on(i.doc.resolve(r.$from.pos),i.doc.resolve(o),r.depth));let l=an(r);if(l==null)return!1;i.lift(r,l);let c=i.mapping.map(s,-1)-1;return wt(i.doc,c)&&i.join(c),e(i.scrollIntoView()),!0}function m0(n,e,t){let r=n.tr,i=t.parent;for(let u=t.end,p=t.endIndex-1,m=t.startIndex;p>m;p--)u-=i.child(p).nodeSize,r.delete(u-1,u+1);let s=r.doc.resolve(t.start),o=s.nodeAfter;if(r.mapping.map(t.end)!=t.start+s.nodeAfter.nodeSize)return!1;let l=t.startIndex==0,c=t.endIndex==i.childCount,a=s.node(-1),h=s.index(-1);if(!a.canReplace(h+(l?0:1),h+1,o.content.append(c?w.empty:w.from(i))))return!1;let f=s.pos,d=f+o.nodeSize;return r.step(new ee(f-(l?1:0),d+(c?1:0),f+1,d-1,new b((l?w.empty:w.from(i.copy(w.empty))).append(c?w.empty:w.from(i.copy(w.empty))),l?0:1,c?0:1),l?0:1)),e(r.scrollIntoView()),!0}function nc(n){return function(e,t){let{$from:r,$to:i}=e.selection,s=r.blockRange(i,a=>a.childCount>0&&a.firstChild.type==n);if(!s)return!1;let o=s.startIndex;if(o==0)return!1;let l=s.parent,c=l.child(o-1);if(c.type!=n)return!1;if(t){let a=c.lastChild&&c.lastChild.type==l.type,h=w.from(a?n.create():null),f=new b(w.from(n.create(null,w.from(l.type.create(null,h)))),a?3:1,0),d=s.start,u=s.end;t(e.tr.step(new ee(d-(a?3:1),u,d,u,f,1,!0)).scrollIntoView())}return!0}}var Ct={8:"Backspace",9:"Tab",10:"Enter",12:"NumLock",13:"Enter",16:"Shift",17:"Control",18:"Alt",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",44:"PrintScreen",45:"Insert",46:"Delete",59:";",61:"=",91:"Meta",92:"Meta",106:"*",107:"+",108:",",109:"-",110:".",111:"/",144:"NumLock",145:"ScrollLock",160:"Shift",161:"Shift",162:"Control",163:"Control",164:"Alt",165:"Alt",173:"-",186:";",187:"=",188:",",189:"-",190:".",191:"/",192:"`",219:"[",220:"\\",221:"]",222:"'"},Bs={48:")",49:"!",50:"@",51:"#",52:"$",53:"%",54:"^",55:"&",56:"*",57:"(",59:":",61:"+",173:"_",186:":",187:"+",188:"<",189:"_",190:">",191:"?",192:"~",219:"{",220:"|",221:"}",222:'"'},g0=typeof navigator<"u"&&/Mac/.test(navigator.platform),y0=typeof navigator<"u"&&/MSIE \d|Trident\/(?:[7-9]|\d{2,})\..*rv:(\d+)/.exec(navigator.userAgent);for(j=0;j<10;j++)Ct[48+j]=Ct[96+j]=String(j);var j;for(j=1;j<=24;j++)Ct[j+111]="F"+j;var j;for(j=65;j<=90;j++)Ct[j]=String.fromCharCode(j+32),Bs[j]=String.fromCharCode(j);var j;for(Vs in Ct)Bs.hasOwnProperty(Vs)||(Bs[Vs]=Ct[Vs]);var Vs;function nd(n){var e=g0&&n.metaKey&&n.shiftKey&&!n.ctrlKey&&!n.altKey||y0&&n.shiftKey&&n.key&&n.key.length==1||n.key=="Unidentified",t=!e&&n.key||(n.shiftKey?Bs:Ct)[n.keyCode]||n.key||"Unidentified";return t=="Esc"&&(t="Escape"),t=="Del"&&(t="Delete"),t=="Left"&&(t="ArrowLeft"),t=="Up"&&(t="ArrowUp"),t=="Right"&&(t="ArrowRight"),t=="Down"&&(t="ArrowDown"),t}var w0=typeof navigator<"u"?/Mac|iP(hone|[oa]d)/.test(navigator.platform):!1;function b0(n){let e=n.split(/-(?!$)/),t=e[e.length-1];t=="Space"&&(t=" ");let r,i,s,o;for(let l=0;l<e.length-1;l++){let c=e[l];if(/^(cmd|meta|m)$/i.test(c))o=!0;else if(/^a(lt)?$/i.test(c))r=!0;else if(/^(c|ctrl|control)$/i.test(c))i=!0;else if(/^s(hift)?$/i.test(c))s=!0;else if(/^mod$/i.test(c))w0?o=!0:i=!0;else throw new Error("Unrecognized modifier name: "+c)}return r&&(t="Alt-"+t),i&&(t="Ctrl-"+t),o&&(t="Meta-"+t),s&&(t="Shift-"+t),t}function x0(n){let e=Object.create(null);for(let t in n)e[b0(t)]=n[t];return e}function rc(n,e,t=!0){return e.altKey&&(n="Alt-"+n),e.ctrlKey&&(n="Ctrl-"+n),e.metaKey&&(n="Meta-"+n),t&&e.shiftKey&&(n="Shift-"+n),n}function S0(n){return new J({props:{handleKeyDown:fi(n)}})}function fi(n){let e=x0(n);return function(t,r){let i=nd(r),s,o=e[rc(i,r)];if(o&&o(t.state,t.dispatch,t))return!0;if(i.length==1&&i!=" "){if(r.shiftKey){let l=e[rc(i,r,!1)];if(l&&l(t.state,t.dispatch,t))return!0}if((r.shiftKey||r.altKey||r.metaKey||i.charCodeAt(0)>127)&&(s=Ct[r.keyCode])&&s!=i){let l=e[rc(s,r)];if(l&&l(t.state,t.dispatch,t))return!0}}return!1}}var Ps=200,oe=function(){};oe.prototype.append=function(e){return e.length?(e=oe.from(e),!this.length&&e||e.length<Ps&&this.leafAppend(e)||this.length<Ps&&e.leafPrepend(this)||this.appendInner(e)):this};oe.prototype.prepend=function(e){return e.length?oe.from(e).append(this):this};oe.prototype.appendInner=function(e){return new k0(this,e)};oe.prototype.slice=function(e,t){return e===void 0&&(e=0),t===void 0&&(t=this.length),e>=t?oe.empty:this.sliceInner(Math.max(0,e),Math.min(this.length,t))};oe.prototype.get=function(e){if(!(e<0||e>=this.length))return this.getInner(e)};oe.prototype.forEach=function(e,t,r){t===void 0&&(t=0),r===void 0&&(r=this.length),t<=r?this.forEachInner(e,t,r,0):this.forEachInvertedInner(e,t,r,0)};oe.prototype.map=function(e,t,r){t===void 0&&(t=0),r===void 0&&(r=this.length);var i=[];return this.forEach(function(s,o){return i.push(e(s,o))},t,r),i};oe.from=function(e){return e instanceof oe?e:e&&e.length?new rd(e):oe.empty};var rd=function(n){function e(r){n.call(this),this.values=r}n&&(e.__proto__=n),e.prototype=Object.create(n&&n.prototype),e.prototype.constructor=e;var t={length:{configurable:!0},depth:{configurable:!0}};return e.prototype.flatten=function(){return this.values},e.prototype.sliceInner=function(i,s){return i==0&&s==this.length?this:new e(this.values.slice(i,s))},e.prototype.getInner=function(i){return this.values[i]},e.prototype.forEachInner=function(i,s,o,l){for(var c=s;c<o;c++)if(i(this.values[c],l+c)===!1)return!1},e.prototype.forEachInvertedInner=function(i,s,o,l){for(var c=s-1;c>=o;c--)if(i(this.values[c],l+c)===!1)return!1},e.prototype.leafAppend=function(i){if(this.length+i.length<=Ps)return new e(this.values.concat(i.flatten()))},e.prototype.leafPrepend=function(i){if(this.length+i.length<=Ps)return new e(i.flatten().concat(this.values))},t.length.get=function(){return this.values.length},t.depth.get=function(){return 0},Object.defineProperties(e.prototype,t),e}(oe);oe.empty=new rd([]);var k0=function(n){function e(t,r){n.call(this),this.left=t,this.right=r,this.length=t.length+r.length,this.depth=Math.max(t.depth,r.depth)+1}return n&&(e.__proto__=n),e.prototype=Object.create(n&&n.prototype),e.prototype.constructor=e,e.prototype.flatten=function(){return this.left.flatten().concat(this.right.flatten())},e.prototype.getInner=function(r){return r<this.left.length?this.left.get(r):this.right.get(r-this.left.length)},e.prototype.forEachInner=function(r,i,s,o){var l=this.left.length;if(i<l&&this.left.forEachInner(r,i,Math.min(s,l),o)===!1||s>l&&this.right.forEachInner(r,Math.max(i-l,0),Math.min(this.length,s)-l,o+l)===!1)return!1},e.prototype.forEachInvertedInner=function(r,i,s,o){var l=this.left.length;if(i>l&&this.right.forEachInvertedInner(r,i-l,Math.max(s,l)-l,o+l)===!1||s<l&&this.left.forEachInvertedInner(r,Math.min(i,l),s,o)===!1)return!1},e.prototype.sliceInner=function(r,i){if(r==0&&i==this.length)return this;var s=this.left.length;return i<=s?this.left.slice(r,i):r>=s?this.right.slice(r-s,i-s):this.left.slice(r,s).append(this.right.slice(0,i-s))},e.prototype.leafAppend=function(r){var i=this.right.leafAppend(r);if(i)return new e(this.left,i)},e.prototype.leafPrepend=function(r){var i=this.left.leafPrepend(r);if(i)return new e(i,this.right)},e.prototype.appendInner=function(r){return this.left.depth>=Math.max(this.right.depth,r.depth)+1?new e(this.left,new e(this.right,r)):new e(this,r)},e}(oe),ic=oe;var C0=500,Ls=class n{constructor(e,t){this.items=e,this.eventCount=t}popEvent(e,t){if(this.eventCount==0)return null;let r=this.items.length;for(;;r--)if(this.items.get(r-1).selection){--r;break}let i,s;t&&(i=this.remapping(r,this.items.length),s=i.maps.length);let o=e.tr,l,c,a=[],h=[];return this.items.forEach((f,d)=>{if(!f.step){i||(i=this.remapping(r,d+1),s=i.maps.length),s--,h.push(f);return}if(i){h.push(new tt(f.map));let u=f.step.map(i.slice(s)),p;u&&o.maybeStep(u).doc&&(p=o.mapping.maps[o.mapping.maps.length-1],a.push(new tt(p,void 0,void 0,a.length+h.length))),s--,p&&i.appendMap(p,s)}else o.maybeStep(f.step);if(f.selection)return l=i?f.selection.map(i.slice(s)):f.selection,c=new n(this.items.slice(0,r).append(h.reverse().concat(a)),this.eventCount-1),!1},this.items.length,0),{remaining:c,transform:o,selection:l}}addTransform(e,t,r,i){let s=[],o=this.eventCount,l=this.items,c=!i&&l.length?l.get(l.length-1):null;for(let h=0;h<e.steps.length;h++){let f=e.steps[h].invert(e.docs[h]),d=new tt(e.mapping.maps[h],f,t),u;(u=c&&c.merge(d))&&(d=u,h?s.pop():l=l.slice(0,l.length-1)),s.push(d),t&&(o++,t=void 0),i||(c=d)}let a=o-r.depth;return a>A0&&(l=M0(l,a),o-=a),new n(l.append(s),o)}remapping(e,t){let r=new Kr;return this.items.forEach((i,s)=>{let o=i.mirrorOffset!=null&&s-i.mirrorOffset>=e?r.maps.length-i.mirrorOffset:void 0;r.appendMap(i.map,o)},e,t),r}addMaps(e){return this.eventCount==0?this:new n(this.items.append(e.map(t=>new tt(t))),this.eventCount)}rebased(e,t){if(!this.eventCount)return this;let r=[],i=Math.max(0,this.items.length-t),s=e.mapping,o=e.steps.length,l=this.eventCount;this.items.forEach(d=>{d.selection&&l--},i);let c=t;this.items.forEach(d=>{let u=s.getMirror(--c);if(u==null)return;o=Math.min(o,u);let p=s.maps[u];if(d.step){let m=e.steps[u].invert(e.docs[u]),g=d.selection&&d.selection.map(s.slice(c+1,u));g&&l++,r.push(new tt(p,m,g))}else r.push(new tt(p))},i);let a=[];for(let d=t;d<o;d++)a.push(new tt(s.maps[d]));let h=this.items.slice(0,i).append(a).append(r),f=new n(h,l);return f.emptyItemCount()>C0&&(f=f.compress(this.items.length-r.length)),f}emptyItemCount(){let e=0;return this.items.forEach(t=>{t.step||e++}),e}compress(e=this.items.length){let t=this.remapping(0,e),r=t.maps.length,i=[],s=0;return this.items.forEach((o,l)=>{if(l>=e)i.push(o),o.selection&&s++;else if(o.step){let c=o.step.map(t.slice(r)),a=c&&c.getMap();if(r--,a&&t.appendMap(a,r),c){let h=o.selection&&o.selection.map(t.slice(r));h&&s++;let f=new tt(a.invert(),c,h),d,u=i.length-1;(d=i.length&&i[u].merge(f))?i[u]=d:i.push(f)}}else o.map&&r--},this.items.length,0),new n(ic.from(i.reverse()),s)}};Ls.empty=new Ls(ic.empty,0);function M0(n,e){let t;return n.forEach((r,i)=>{if(r.selection&&e--==0)return t=i,!1}),n.slice(t)}var tt=class n{constructor(e,t,r,i){this.map=e,this.step=t,this.selection=r,this.mirrorOffset=i}merge(e){if(this.step&&e.step&&!e.selection){let t=e.step.merge(this.step);if(t)return new n(t.getMap().invert(),t,this.selection)}}},oc=class{constructor(e,t,r,i,s){this.done=e,this.undone=t,this.prevRanges=r,this.prevTime=i,this.prevComposition=s}},A0=20;function E0(n,e,t){let r=T0(e),i=lc.get(e).spec.config,s=(t?n.undone:n.done).popEvent(e,r);if(!s)return null;let o=s.selection.resolve(s.transform.doc),l=(t?n.done:n.undone).addTransform(s.transform,e.selection.getBookmark(),i,r),c=new oc(t?l:s.remaining,t?s.remaining:l,null,0,-1);return s.transform.setSelection(o).setMeta(lc,{redo:t,historyState:c})}var sc=!1,id=null;function T0(n){let e=n.plugins;if(id!=e){sc=!1,id=e;for(let t=0;t<e.length;t++)if(e[t].spec.historyPreserveItems){sc=!0;break}}return sc}var lc=new fe("history"),WS=new fe("closeHistory");function zs(n,e){return(t,r)=>{let i=lc.getState(t);if(!i||(n?i.undone:i.done).eventCount==0)return!1;if(r){let s=E0(i,t,n);s&&r(e?s.scrollIntoView():s)}return!0}}var di=zs(!1,!0),lr=zs(!0,!0),KS=zs(!1,!1),YS=zs(!0,!1);var pe=class n extends S{constructor(e){super(e,e)}map(e,t){let r=e.resolve(t.map(this.head));return n.valid(r)?new n(r):S.near(r)}content(){return b.empty}eq(e){return e instanceof n&&e.head==this.head}toJSON(){return{type:"gapcursor",pos:this.head}}static fromJSON(e,t){if(typeof t.pos!="number")throw new RangeError("Invalid input for GapCursor.fromJSON");return new n(e.resolve(t.pos))}getBookmark(){return new cc(this.anchor)}static valid(e){let t=e.parent;if(t.isTextblock||!D0(e)||!O0(e))return!1;let r=t.type.spec.allowGapCursor;if(r!=null)return r;let i=t.contentMatchAt(e.index()).defaultType;return i&&i.isTextblock}static findGapCursorFrom(e,t,r=!1){e:for(;;){if(!r&&n.valid(e))return e;let i=e.pos,s=null;for(let o=e.depth;;o--){let l=e.node(o);if(t>0?e.indexAfter(o)<l.childCount:e.index(o)>0){s=l.child(t>0?e.indexAfter(o):e.index(o)-1);break}else if(o==0)return null;i+=t;let c=e.doc.resolve(i);if(n.valid(c))return c}for(;;){let o=t>0?s.firstChild:s.lastChild;if(!o){if(s.isAtom&&!s.isText&&!k.isSelectable(s)){e=e.doc.resolve(i+s.nodeSize*t),r=!1;continue e}break}s=o,i+=t;let l=e.doc.resolve(i);if(n.valid(l))return l}return null}}};pe.prototype.visible=!1;pe.findFrom=pe.findGapCursorFrom;S.jsonID("gapcursor",pe);var cc=class n{constructor(e){this.pos=e}map(e){return new n(e.map(this.pos))}resolve(e){let t=e.resolve(this.pos);return pe.valid(t)?new pe(t):S.near(t)}};function D0(n){for(let e=n.depth;e>=0;e--){let t=n.index(e),r=n.node(e);if(t==0){if(r.type.spec.isolating)return!0;continue}for(let i=r.child(t-1);;i=i.lastChild){if(i.childCount==0&&!i.inlineContent||i.isAtom||i.type.spec.isolating)return!0;if(i.inlineContent)return!1}}return!0}function O0(n){for(let e=n.depth;e>=0;e--){let t=n.indexAfter(e),r=n.node(e);if(t==r.childCount){if(r.type.spec.isolating)return!0;continue}for(let i=r.child(t);;i=i.firstChild){if(i.childCount==0&&!i.inlineContent||i.isAtom||i.type.spec.isolating)return!0;if(i.inlineContent)return!1}}return!0}function N0(){return new J({props:{decorations:_0,createSelectionBetween(n,e,t){return e.pos==t.pos&&pe.valid(t)?new pe(t):null},handleClick:R0,handleKeyDown:I0,handleDOMEvents:{beforeinput:v0}}})}var I0=fi({ArrowLeft:Fs("horiz",-1),ArrowRight:Fs("horiz",1),ArrowUp:Fs("vert",-1),ArrowDown:Fs("vert",1)});function Fs(n,e){let t=n=="vert"?e>0?"down":"up":e>0?"right":"left";return function(r,i,s){let o=r.selection,l=e>0?o.$to:o.$from,c=o.empty;if(o instanceof A){if(!s.endOfTextblock(t)||l.depth==0)return!1;c=!1,l=r.doc.resolve(e>0?l.after():l.before())}let a=pe.findGapCursorFrom(l,e,c);return a?(i&&i(r.tr.setSelection(new pe(a))),!0):!1}}function R0(n,e,t){if(!n||!n.editable)return!1;let r=n.state.doc.resolve(e);if(!pe.valid(r))return!1;let i=n.posAtCoords({left:t.clientX,top:t.clientY});return i&&i.inside>-1&&k.isSelectable(n.state.doc.nodeAt(i.inside))?!1:(n.dispatch(n.state.tr.setSelection(new pe(r))),!0)}function v0(n,e){if(e.inputType!="insertCompositionText"||!(n.state.selection instanceof pe))return!1;let{$from:t}=n.state.selection,r=t.parent.contentMatchAt(t.index()).findWrapping(n.state.schema.nodes.text);if(!r)return!1;let i=w.empty;for(let o=r.length-1;o>=0;o--)i=w.from(r[o].createAndFill(null,i));let s=n.state.tr.replace(t.pos,t.pos,new b(i,0,0));return s.setSelection(A.near(s.doc.resolve(t.pos+1))),n.dispatch(s),!1}function _0(n){if(!(n.selection instanceof pe))return null;let e=document.createElement("div");return e.className="ProseMirror-gapcursor",L.create(n.doc,[se.widget(n.selection.head,e,{key:"gapcursor"})])}function Mt(){var n=arguments[0];typeof n=="string"&&(n=document.createElement(n));var e=1,t=arguments[1];if(t&&typeof t=="object"&&t.nodeType==null&&!Array.isArray(t)){for(var r in t)if(Object.prototype.hasOwnProperty.call(t,r)){var i=t[r];typeof i=="string"?n.setAttribute(r,i):i!=null&&(n[r]=i)}e++}for(;e<arguments.length;e++)sd(n,arguments[e]);return n}function sd(n,e){if(typeof e=="string")n.appendChild(document.createTextNode(e));else if(e!=null)if(e.nodeType!=null)n.appendChild(e);else if(Array.isArray(e))for(var t=0;t<e.length;t++)sd(n,e[t]);else throw new RangeError("Unsupported child node: "+e)}var nt=class{constructor(e,t,r={}){this.match=e,this.match=e,this.handler=typeof t=="string"?U0(t):t,this.undoable=r.undoable!==!1,this.inCode=r.inCode||!1}};function U0(n){return function(e,t,r,i){let s=n;if(t[1]){let o=t[0].lastIndexOf(t[1]);s+=t[0].slice(o+t[1].length),r+=o;let l=r-i;l>0&&(s=t[0].slice(o-l,o)+s,r=i)}return e.tr.insertText(s,r,i)}}var V0=500;function ld({rules:n}){let e=new J({state:{init(){return null},apply(t,r){let i=t.getMeta(this);return i||(t.selectionSet||t.docChanged?null:r)}},props:{handleTextInput(t,r,i,s){return od(t,r,i,s,n,e)},handleDOMEvents:{compositionend:t=>{setTimeout(()=>{let{$cursor:r}=t.state.selection;r&&od(t,r.pos,r.pos,"",n,e)})}}},isInputRules:!0});return e}function od(n,e,t,r,i,s){if(n.composing)return!1;let o=n.state,l=o.doc.resolve(e),c=l.parent.textBetween(Math.max(0,l.parentOffset-V0),l.parentOffset,null,"\uFFFC")+r;for(let a=0;a<i.length;a++){let h=i[a];if(l.parent.type.spec.code){if(!h.inCode)continue}else if(h.inCode==="only")continue;let f=h.match.exec(c),d=f&&h.handler(o,f,e-(f[0].length-r.length),t);if(d)return h.undoable&&d.setMeta(s,{transform:d,from:e,to:t,text:r}),n.dispatch(d),!0}return!1}var cd=(n,e)=>{let t=n.plugins;for(let r=0;r<t.length;r++){let i=t[r],s;if(i.spec.isInputRules&&(s=i.getState(n))){if(e){let o=n.tr,l=s.transform;for(let c=l.steps.length-1;c>=0;c--)o.step(l.steps[c].invert(l.docs[c]));if(s.text){let c=o.doc.resolve(s.from).marks();o.replaceWith(s.from,s.to,n.schema.text(s.text,c))}else o.delete(s.from,s.to);e(o)}return!0}}return!1},B0=new nt(/--$/,"\u2014"),P0=new nt(/\.\.\.$/,"\u2026"),sk=new nt(/(?:^|[\s\{\[\(\<'"\u2018\u201C])(")$/,"\u201C"),ok=new nt(/"$/,"\u201D"),lk=new nt(/(?:^|[\s\{\[\(\<'"\u2018\u201C])(')$/,"\u2018"),ck=new nt(/'$/,"\u2019");function ad(n,e,t=null,r){return new nt(n,(i,s,o,l)=>{let c=t instanceof Function?t(s):t,a=i.tr.delete(o,l),h=a.doc.resolve(o),f=h.blockRange(),d=f&&Xn(f,e,c);if(!d)return null;a.wrap(f,d);let u=a.doc.resolve(o-1).nodeBefore;return u&&u.type==e&&wt(a.doc,o-1)&&(!r||r(s,u))&&a.join(o-1),a})}var hd=typeof navigator<"u"?/Mac|iP(hone|[oa]d)/.test(navigator.platform):!1;function L0(n,e){let t={},r;function i(s,o){if(e){let l=e[s];if(l===!1)return;l&&(s=l)}t[s]=o}if(i("Mod-z",di),i("Shift-Mod-z",lr),i("Backspace",cd),hd||i("Mod-y",lr),i("Alt-ArrowUp",li),i("Alt-ArrowDown",Xf),i("Mod-BracketLeft",ci),i("Escape",ai),(r=n.marks.strong)&&(i("Mod-b",xn(r)),i("Mod-B",xn(r))),(r=n.marks.em)&&(i("Mod-i",xn(r)),i("Mod-I",xn(r))),(r=n.marks.code)&&i("Mod-`",xn(r)),(r=n.nodes.bullet_list)&&i("Shift-Ctrl-8",Us(r)),(r=n.nodes.ordered_list)&&i("Shift-Ctrl-9",Us(r)),(r=n.nodes.blockquote)&&i("Ctrl->",or(r)),r=n.nodes.hard_break){let s=r,o=hi(Ql,(l,c)=>(c&&c(l.tr.replaceSelectionWith(s.create()).scrollIntoView()),!0));i("Mod-Enter",o),i("Shift-Enter",o),hd&&i("Ctrl-Enter",o)}if((r=n.nodes.list_item)&&(i("Enter",ec(r)),i("Mod-[",tc(r)),i("Mod-]",nc(r))),(r=n.nodes.paragraph)&&i("Shift-Ctrl-0",bn(r)),(r=n.nodes.code_block)&&i("Shift-Ctrl-\\",bn(r)),r=n.nodes.heading)for(let s=1;s<=6;s++)i("Shift-Ctrl-"+s,bn(r,{level:s}));if(r=n.nodes.horizontal_rule){let s=r;i("Mod-_",(o,l)=>(l&&l(o.tr.replaceSelectionWith(s.create()).scrollIntoView()),!0))}return t}var hc,fc;if(typeof WeakMap<"u"){let n=new WeakMap;hc=e=>n.get(e),fc=(e,t)=>(n.set(e,t),t)}else{let n=[],t=0;hc=r=>{for(let i=0;i<n.length;i+=2)if(n[i]==r)return n[i+1]},fc=(r,i)=>(t==10&&(t=0),n[t++]=r,n[t++]=i)}var z=class{constructor(n,e,t,r){this.width=n,this.height=e,this.map=t,this.problems=r}findCell(n){for(let e=0;e<this.map.length;e++){let t=this.map[e];if(t!=n)continue;let r=e%this.width,i=e/this.width|0,s=r+1,o=i+1;for(let l=1;s<this.width&&this.map[e+l]==t;l++)s++;for(let l=1;o<this.height&&this.map[e+this.width*l]==t;l++)o++;return{left:r,top:i,right:s,bottom:o}}throw new RangeError(`No cell with offset ${n} found`)}colCount(n){for(let e=0;e<this.map.length;e++)if(this.map[e]==n)return e%this.width;throw new RangeError(`No cell with offset ${n} found`)}nextCell(n,e,t){let{left:r,right:i,top:s,bottom:o}=this.findCell(n);return e=="horiz"?(t<0?r==0:i==this.width)?null:this.map[s*this.width+(t<0?r-1:i)]:(t<0?s==0:o==this.height)?null:this.map[r+this.width*(t<0?s-1:o)]}rectBetween(n,e){let{left:t,right:r,top:i,bottom:s}=this.findCell(n),{left:o,right:l,top:c,bottom:a}=this.findCell(e);return{left:Math.min(t,o),top:Math.min(i,c),right:Math.max(r,l),bottom:Math.max(s,a)}}cellsInRect(n){let e=[],t={};for(let r=n.top;r<n.bottom;r++)for(let i=n.left;i<n.right;i++){let s=r*this.width+i,o=this.map[s];t[o]||(t[o]=!0,!(i==n.left&&i&&this.map[s-1]==o||r==n.top&&r&&this.map[s-this.width]==o)&&e.push(o))}return e}positionAt(n,e,t){for(let r=0,i=0;;r++){let s=i+t.child(r).nodeSize;if(r==n){let o=e+n*this.width,l=(n+1)*this.width;for(;o<l&&this.map[o]<i;)o++;return o==l?s-1:this.map[o]}i=s}}static get(n){return hc(n)||fc(n,z0(n))}};function z0(n){if(n.type.spec.tableRole!="table")throw new RangeError("Not a table node: "+n.type.name);let e=F0(n),t=n.childCount,r=[],i=0,s=null,o=[];for(let a=0,h=e*t;a<h;a++)r[a]=0;for(let a=0,h=0;a<t;a++){let f=n.child(a);h++;for(let p=0;;p++){for(;i<r.length&&r[i]!=0;)i++;if(p==f.childCount)break;let m=f.child(p),{colspan:g,rowspan:y,colwidth:E}=m.attrs;for(let N=0;N<y;N++){if(N+a>=t){(s||(s=[])).push({type:"overlong_rowspan",pos:h,n:y-N});break}let Ae=i+N*e;for(let we=0;we<g;we++){r[Ae+we]==0?r[Ae+we]=h:(s||(s=[])).push({type:"collision",row:a,pos:h,n:g-we});let Q=E&&E[we];if(Q){let gt=(Ae+we)%e*2,_t=o[gt];_t==null||_t!=Q&&o[gt+1]==1?(o[gt]=Q,o[gt+1]=1):_t==Q&&o[gt+1]++}}}i+=g,h+=m.nodeSize}let d=(a+1)*e,u=0;for(;i<d;)r[i++]==0&&u++;u&&(s||(s=[])).push({type:"missing",row:a,n:u}),h++}let l=new z(e,t,r,s),c=!1;for(let a=0;!c&&a<o.length;a+=2)o[a]!=null&&o[a+1]<t&&(c=!0);return c&&$0(l,o,n),l}function F0(n){let e=-1,t=!1;for(let r=0;r<n.childCount;r++){let i=n.child(r),s=0;if(t)for(let o=0;o<r;o++){let l=n.child(o);for(let c=0;c<l.childCount;c++){let a=l.child(c);o+a.attrs.rowspan>r&&(s+=a.attrs.colspan)}}for(let o=0;o<i.childCount;o++){let l=i.child(o);s+=l.attrs.colspan,l.attrs.rowspan>1&&(t=!0)}e==-1?e=s:e!=s&&(e=Math.max(e,s))}return e}function $0(n,e,t){n.problems||(n.problems=[]);let r={};for(let i=0;i<n.map.length;i++){let s=n.map[i];if(r[s])continue;r[s]=!0;let o=t.nodeAt(s);if(!o)throw new RangeError(`No cell with offset ${s} found`);let l=null,c=o.attrs;for(let a=0;a<c.colspan;a++){let h=(i+a)%n.width,f=e[h*2];f!=null&&(!c.colwidth||c.colwidth[a]!=f)&&((l||(l=q0(c)))[a]=f)}l&&n.problems.unshift({type:"colwidth mismatch",pos:s,colwidth:l})}}function q0(n){if(n.colwidth)return n.colwidth.slice();let e=[];for(let t=0;t<n.colspan;t++)e.push(0);return e}function fd(n,e){if(typeof n=="string")return{};let t=n.getAttribute("data-colwidth"),r=t&&/^\d+(,\d+)*$/.test(t)?t.split(",").map(o=>Number(o)):null,i=Number(n.getAttribute("colspan")||1),s={colspan:i,rowspan:Number(n.getAttribute("rowspan")||1),colwidth:r&&r.length==i?r:null};for(let o in e){let l=e[o].getFromDOM,c=l&&l(n);c!=null&&(s[o]=c)}return s}function dd(n,e){let t={};n.attrs.colspan!=1&&(t.colspan=n.attrs.colspan),n.attrs.rowspan!=1&&(t.rowspan=n.attrs.rowspan),n.attrs.colwidth&&(t["data-colwidth"]=n.attrs.colwidth.join(","));for(let r in e){let i=e[r].setDOMAttr;i&&i(n.attrs[r],t)}return t}function H0(n){let e=n.cellAttributes||{},t={colspan:{default:1},rowspan:{default:1},colwidth:{default:null}};for(let r in e)t[r]={default:e[r].default};return{table:{content:"table_row+",tableRole:"table",isolating:!0,group:n.tableGroup,parseDOM:[{tag:"table"}],toDOM(){return["table",["tbody",0]]}},table_row:{content:"(table_cell | table_header)*",tableRole:"row",parseDOM:[{tag:"tr"}],toDOM(){return["tr",0]}},table_cell:{content:n.cellContent,attrs:t,tableRole:"cell",isolating:!0,parseDOM:[{tag:"td",getAttrs:r=>fd(r,e)}],toDOM(r){return["td",dd(r,e),0]}},table_header:{content:n.cellContent,attrs:t,tableRole:"header_cell",isolating:!0,parseDOM:[{tag:"th",getAttrs:r=>fd(r,e)}],toDOM(r){return["th",dd(r,e),0]}}}}function me(n){let e=n.cached.tableNodeTypes;if(!e){e=n.cached.tableNodeTypes={};for(let t in n.nodes){let r=n.nodes[t],i=r.spec.tableRole;i&&(e[i]=r)}}return e}var Jt=new fe("selectingCells");function cr(n){for(let e=n.depth-1;e>0;e--)if(n.node(e).type.spec.tableRole=="row")return n.node(0).resolve(n.before(e+1));return null}function J0(n){for(let e=n.depth;e>0;e--){let t=n.node(e).type.spec.tableRole;if(t==="cell"||t==="header_cell")return n.node(e)}return null}function Ye(n){let e=n.selection.$head;for(let t=e.depth;t>0;t--)if(e.node(t).type.spec.tableRole=="row")return!0;return!1}function mc(n){let e=n.selection;if("$anchorCell"in e&&e.$anchorCell)return e.$anchorCell.pos>e.$headCell.pos?e.$anchorCell:e.$headCell;if("node"in e&&e.node&&e.node.type.spec.tableRole=="cell")return e.$anchor;let t=cr(e.$head)||j0(e.$head);if(t)return t;throw new RangeError(`No cell found around position ${e.head}`)}function j0(n){for(let e=n.nodeAfter,t=n.pos;e;e=e.firstChild,t++){let r=e.type.spec.tableRole;if(r=="cell"||r=="header_cell")return n.doc.resolve(t)}for(let e=n.nodeBefore,t=n.pos;e;e=e.lastChild,t--){let r=e.type.spec.tableRole;if(r=="cell"||r=="header_cell")return n.doc.resolve(t-e.nodeSize)}}function dc(n){return n.parent.type.spec.tableRole=="row"&&!!n.nodeAfter}function W0(n){return n.node(0).resolve(n.pos+n.nodeAfter.nodeSize)}function gc(n,e){return n.depth==e.depth&&n.pos>=e.start(-1)&&n.pos<=e.end(-1)}function Sd(n,e,t){let r=n.node(-1),i=z.get(r),s=n.start(-1),o=i.nextCell(n.pos-s,e,t);return o==null?null:n.node(0).resolve(s+o)}function Sn(n,e,t=1){let r={...n,colspan:n.colspan-t};return r.colwidth&&(r.colwidth=r.colwidth.slice(),r.colwidth.splice(e,t),r.colwidth.some(i=>i>0)||(r.colwidth=null)),r}function kd(n,e,t=1){let r={...n,colspan:n.colspan+t};if(r.colwidth){r.colwidth=r.colwidth.slice();for(let i=0;i<t;i++)r.colwidth.splice(e,0,0)}return r}function K0(n,e,t){let r=me(e.type.schema).header_cell;for(let i=0;i<n.height;i++)if(e.nodeAt(n.map[t+i*n.width]).type!=r)return!1;return!0}var V=class At extends S{constructor(e,t=e){let r=e.node(-1),i=z.get(r),s=e.start(-1),o=i.rectBetween(e.pos-s,t.pos-s),l=e.node(0),c=i.cellsInRect(o).filter(h=>h!=t.pos-s);c.unshift(t.pos-s);let a=c.map(h=>{let f=r.nodeAt(h);if(!f)throw RangeError(`No cell with offset ${h} found`);let d=s+h+1;return new Pt(l.resolve(d),l.resolve(d+f.content.size))});super(a[0].$from,a[0].$to,a),this.$anchorCell=e,this.$headCell=t}map(e,t){let r=e.resolve(t.map(this.$anchorCell.pos)),i=e.resolve(t.map(this.$headCell.pos));if(dc(r)&&dc(i)&&gc(r,i)){let s=this.$anchorCell.node(-1)!=r.node(-1);return s&&this.isRowSelection()?At.rowSelection(r,i):s&&this.isColSelection()?At.colSelection(r,i):new At(r,i)}return A.between(r,i)}content(){let e=this.$anchorCell.node(-1),t=z.get(e),r=this.$anchorCell.start(-1),i=t.rectBetween(this.$anchorCell.pos-r,this.$headCell.pos-r),s={},o=[];for(let c=i.top;c<i.bottom;c++){let a=[];for(let h=c*t.width+i.left,f=i.left;f<i.right;f++,h++){let d=t.map[h];if(s[d])continue;s[d]=!0;let u=t.findCell(d),p=e.nodeAt(d);if(!p)throw RangeError(`No cell with offset ${d} found`);let m=i.left-u.left,g=u.right-i.right;if(m>0||g>0){let y=p.attrs;if(m>0&&(y=Sn(y,0,m)),g>0&&(y=Sn(y,y.colspan-g,g)),u.left<i.left){if(p=p.type.createAndFill(y),!p)throw RangeError(`Could not create cell with attrs ${JSON.stringify(y)}`)}else p=p.type.create(y,p.content)}if(u.top<i.top||u.bottom>i.bottom){let y={...p.attrs,rowspan:Math.min(u.bottom,i.bottom)-Math.max(u.top,i.top)};u.top<i.top?p=p.type.createAndFill(y):p=p.type.create(y,p.content)}a.push(p)}o.push(e.child(c).copy(w.from(a)))}let l=this.isColSelection()&&this.isRowSelection()?e:o;return new b(w.from(l),1,1)}replace(e,t=b.empty){let r=e.steps.length,i=this.ranges;for(let o=0;o<i.length;o++){let{$from:l,$to:c}=i[o],a=e.mapping.slice(r);e.replace(a.map(l.pos),a.map(c.pos),o?b.empty:t)}let s=S.findFrom(e.doc.resolve(e.mapping.slice(r).map(this.to)),-1);s&&e.setSelection(s)}replaceWith(e,t){this.replace(e,new b(w.from(t),0,0))}forEachCell(e){let t=this.$anchorCell.node(-1),r=z.get(t),i=this.$anchorCell.start(-1),s=r.cellsInRect(r.rectBetween(this.$anchorCell.pos-i,this.$headCell.pos-i));for(let o=0;o<s.length;o++)e(t.nodeAt(s[o]),i+s[o])}isColSelection(){let e=this.$anchorCell.index(-1),t=this.$headCell.index(-1);if(Math.min(e,t)>0)return!1;let r=e+this.$anchorCell.nodeAfter.attrs.rowspan,i=t+this.$headCell.nodeAfter.attrs.rowspan;return Math.max(r,i)==this.$headCell.node(-1).childCount}static colSelection(e,t=e){let r=e.node(-1),i=z.get(r),s=e.start(-1),o=i.findCell(e.pos-s),l=i.findCell(t.pos-s),c=e.node(0);return o.top<=l.top?(o.top>0&&(e=c.resolve(s+i.map[o.left])),l.bottom<i.height&&(t=c.resolve(s+i.map[i.width*(i.height-1)+l.right-1]))):(l.top>0&&(t=c.resolve(s+i.map[l.left])),o.bottom<i.height&&(e=c.resolve(s+i.map[i.width*(i.height-1)+o.right-1]))),new At(e,t)}isRowSelection(){let e=this.$anchorCell.node(-1),t=z.get(e),r=this.$anchorCell.start(-1),i=t.colCount(this.$anchorCell.pos-r),s=t.colCount(this.$headCell.pos-r);if(Math.min(i,s)>0)return!1;let o=i+this.$anchorCell.nodeAfter.attrs.colspan,l=s+this.$headCell.nodeAfter.attrs.colspan;return Math.max(o,l)==t.width}eq(e){return e instanceof At&&e.$anchorCell.pos==this.$anchorCell.pos&&e.$headCell.pos==this.$headCell.pos}static rowSelection(e,t=e){let r=e.node(-1),i=z.get(r),s=e.start(-1),o=i.findCell(e.pos-s),l=i.findCell(t.pos-s),c=e.node(0);return o.left<=l.left?(o.left>0&&(e=c.resolve(s+i.map[o.top*i.width])),l.right<i.width&&(t=c.resolve(s+i.map[i.width*(l.top+1)-1]))):(l.left>0&&(t=c.resolve(s+i.map[l.top*i.width])),o.right<i.width&&(e=c.resolve(s+i.map[i.width*(o.top+1)-1]))),new At(e,t)}toJSON(){return{type:"cell",anchor:this.$anchorCell.pos,head:this.$headCell.pos}}static fromJSON(e,t){return new At(e.resolve(t.anchor),e.resolve(t.head))}static create(e,t,r=t){return new At(e.resolve(t),e.resolve(r))}getBookmark(){return new Y0(this.$anchorCell.pos,this.$headCell.pos)}};V.prototype.visible=!1;S.jsonID("cell",V);var Y0=class Cd{constructor(e,t){this.anchor=e,this.head=t}map(e){return new Cd(e.map(this.anchor),e.map(this.head))}resolve(e){let t=e.resolve(this.anchor),r=e.resolve(this.head);return t.parent.type.spec.tableRole=="row"&&r.parent.type.spec.tableRole=="row"&&t.index()<t.parent.childCount&&r.index()<r.parent.childCount&&gc(t,r)?new V(t,r):S.near(r,1)}};function G0(n){if(!(n.selection instanceof V))return null;let e=[];return n.selection.forEachCell((t,r)=>{e.push(se.node(r,r+t.nodeSize,{class:"selectedCell"}))}),L.create(n.doc,e)}function X0({$from:n,$to:e}){if(n.pos==e.pos||n.pos<e.pos-6)return!1;let t=n.pos,r=e.pos,i=n.depth;for(;i>=0&&!(n.after(i+1)<n.end(i));i--,t++);for(let s=e.depth;s>=0&&!(e.before(s+1)>e.start(s));s--,r--);return t==r&&/row|table/.test(n.node(i).type.spec.tableRole)}function Q0({$from:n,$to:e}){let t,r;for(let i=n.depth;i>0;i--){let s=n.node(i);if(s.type.spec.tableRole==="cell"||s.type.spec.tableRole==="header_cell"){t=s;break}}for(let i=e.depth;i>0;i--){let s=e.node(i);if(s.type.spec.tableRole==="cell"||s.type.spec.tableRole==="header_cell"){r=s;break}}return t!==r&&e.parentOffset===0}function Z0(n,e,t){let r=(e||n).selection,i=(e||n).doc,s,o;if(r instanceof k&&(o=r.node.type.spec.tableRole)){if(o=="cell"||o=="header_cell")s=V.create(i,r.from);else if(o=="row"){let l=i.resolve(r.from+1);s=V.rowSelection(l,l)}else if(!t){let l=z.get(r.node),c=r.from+1,a=c+l.map[l.width*l.height-1];s=V.create(i,c+1,a)}}else r instanceof A&&X0(r)?s=A.create(i,r.from):r instanceof A&&Q0(r)&&(s=A.create(i,r.$from.start(),r.$from.end()));return s&&(e||(e=n.tr)).setSelection(s),e}var ew=new fe("fix-tables");function Md(n,e,t,r){let i=n.childCount,s=e.childCount;e:for(let o=0,l=0;o<s;o++){let c=e.child(o);for(let a=l,h=Math.min(i,o+3);a<h;a++)if(n.child(a)==c){l=a+1,t+=c.nodeSize;continue e}r(c,t),l<i&&n.child(l).sameMarkup(c)?Md(n.child(l),c,t+1,r):c.nodesBetween(0,c.content.size,r,t+1),t+=c.nodeSize}}function Ad(n,e){let t,r=(i,s)=>{i.type.spec.tableRole=="table"&&(t=tw(n,i,s,t))};return e?e.doc!=n.doc&&Md(e.doc,n.doc,0,r):n.doc.descendants(r),t}function tw(n,e,t,r){let i=z.get(e);if(!i.problems)return r;r||(r=n.tr);let s=[];for(let c=0;c<i.height;c++)s.push(0);for(let c=0;c<i.problems.length;c++){let a=i.problems[c];if(a.type=="collision"){let h=e.nodeAt(a.pos);if(!h)continue;let f=h.attrs;for(let d=0;d<f.rowspan;d++)s[a.row+d]+=a.n;r.setNodeMarkup(r.mapping.map(t+1+a.pos),null,Sn(f,f.colspan-a.n,a.n))}else if(a.type=="missing")s[a.row]+=a.n;else if(a.type=="overlong_rowspan"){let h=e.nodeAt(a.pos);if(!h)continue;r.setNodeMarkup(r.mapping.map(t+1+a.pos),null,{...h.attrs,rowspan:h.attrs.rowspan-a.n})}else if(a.type=="colwidth mismatch"){let h=e.nodeAt(a.pos);if(!h)continue;r.setNodeMarkup(r.mapping.map(t+1+a.pos),null,{...h.attrs,colwidth:a.colwidth})}}let o,l;for(let c=0;c<s.length;c++)s[c]&&(o==null&&(o=c),l=c);for(let c=0,a=t+1;c<i.height;c++){let h=e.child(c),f=a+h.nodeSize,d=s[c];if(d>0){let u="cell";h.firstChild&&(u=h.firstChild.type.spec.tableRole);let p=[];for(let g=0;g<d;g++){let y=me(n.schema)[u].createAndFill();y&&p.push(y)}let m=(c==0||o==c-1)&&l==c?a+1:f-1;r.insert(r.mapping.map(m),p)}a=f}return r.setMeta(ew,{fixTables:!0})}function Ge(n){let e=n.selection,t=mc(n),r=t.node(-1),i=t.start(-1),s=z.get(r);return{...e instanceof V?s.rectBetween(e.$anchorCell.pos-i,e.$headCell.pos-i):s.findCell(t.pos-i),tableStart:i,map:s,table:r}}function Ed(n,{map:e,tableStart:t,table:r},i){let s=i>0?-1:0;K0(e,r,i+s)&&(s=i==0||i==e.width?null:0);for(let o=0;o<e.height;o++){let l=o*e.width+i;if(i>0&&i<e.width&&e.map[l-1]==e.map[l]){let c=e.map[l],a=r.nodeAt(c);n.setNodeMarkup(n.mapping.map(t+c),null,kd(a.attrs,i-e.colCount(c))),o+=a.attrs.rowspan-1}else{let c=s==null?me(r.type.schema).cell:r.nodeAt(e.map[l+s]).type,a=e.positionAt(o,i,r);n.insert(n.mapping.map(t+a),c.createAndFill())}}return n}function nw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n);e(Ed(n.tr,t,t.left))}return!0}function rw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n);e(Ed(n.tr,t,t.right))}return!0}function iw(n,{map:e,table:t,tableStart:r},i){let s=n.mapping.maps.length;for(let o=0;o<e.height;){let l=o*e.width+i,c=e.map[l],a=t.nodeAt(c),h=a.attrs;if(i>0&&e.map[l-1]==c||i<e.width-1&&e.map[l+1]==c)n.setNodeMarkup(n.mapping.slice(s).map(r+c),null,Sn(h,i-e.colCount(c)));else{let f=n.mapping.slice(s).map(r+c);n.delete(f,f+a.nodeSize)}o+=h.rowspan}}function sw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n),r=n.tr;if(t.left==0&&t.right==t.map.width)return!1;for(let i=t.right-1;iw(r,t,i),i!=t.left;i--){let s=t.tableStart?r.doc.nodeAt(t.tableStart-1):r.doc;if(!s)throw RangeError("No table found");t.table=s,t.map=z.get(s)}e(r)}return!0}function ow(n,e,t){var r;let i=me(e.type.schema).header_cell;for(let s=0;s<n.width;s++)if(((r=e.nodeAt(n.map[s+t*n.width]))==null?void 0:r.type)!=i)return!1;return!0}function Td(n,{map:e,tableStart:t,table:r},i){var s;let o=t;for(let a=0;a<i;a++)o+=r.child(a).nodeSize;let l=[],c=i>0?-1:0;ow(e,r,i+c)&&(c=i==0||i==e.height?null:0);for(let a=0,h=e.width*i;a<e.width;a++,h++)if(i>0&&i<e.height&&e.map[h]==e.map[h-e.width]){let f=e.map[h],d=r.nodeAt(f).attrs;n.setNodeMarkup(t+f,null,{...d,rowspan:d.rowspan+1}),a+=d.colspan-1}else{let f=c==null?me(r.type.schema).cell:(s=r.nodeAt(e.map[h+c*e.width]))==null?void 0:s.type,d=f?.createAndFill();d&&l.push(d)}return n.insert(o,me(r.type.schema).row.create(null,l)),n}function lw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n);e(Td(n.tr,t,t.top))}return!0}function cw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n);e(Td(n.tr,t,t.bottom))}return!0}function aw(n,{map:e,table:t,tableStart:r},i){let s=0;for(let a=0;a<i;a++)s+=t.child(a).nodeSize;let o=s+t.child(i).nodeSize,l=n.mapping.maps.length;n.delete(s+r,o+r);let c=new Set;for(let a=0,h=i*e.width;a<e.width;a++,h++){let f=e.map[h];if(!c.has(f)){if(c.add(f),i>0&&f==e.map[h-e.width]){let d=t.nodeAt(f).attrs;n.setNodeMarkup(n.mapping.slice(l).map(f+r),null,{...d,rowspan:d.rowspan-1}),a+=d.colspan-1}else if(i<e.height&&f==e.map[h+e.width]){let d=t.nodeAt(f),u=d.attrs,p=d.type.create({...u,rowspan:d.attrs.rowspan-1},d.content),m=e.positionAt(i+1,a,t);n.insert(n.mapping.slice(l).map(r+m),p),a+=u.colspan-1}}}}function hw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n),r=n.tr;if(t.top==0&&t.bottom==t.map.height)return!1;for(let i=t.bottom-1;aw(r,t,i),i!=t.top;i--){let s=t.tableStart?r.doc.nodeAt(t.tableStart-1):r.doc;if(!s)throw RangeError("No table found");t.table=s,t.map=z.get(t.table)}e(r)}return!0}function ud(n){let e=n.content;return e.childCount==1&&e.child(0).isTextblock&&e.child(0).childCount==0}function fw({width:n,height:e,map:t},r){let i=r.top*n+r.left,s=i,o=(r.bottom-1)*n+r.left,l=i+(r.right-r.left-1);for(let c=r.top;c<r.bottom;c++){if(r.left>0&&t[s]==t[s-1]||r.right<n&&t[l]==t[l+1])return!0;s+=n,l+=n}for(let c=r.left;c<r.right;c++){if(r.top>0&&t[i]==t[i-n]||r.bottom<e&&t[o]==t[o+n])return!0;i++,o++}return!1}function dw(n,e){let t=n.selection;if(!(t instanceof V)||t.$anchorCell.pos==t.$headCell.pos)return!1;let r=Ge(n),{map:i}=r;if(fw(i,r))return!1;if(e){let s=n.tr,o={},l=w.empty,c,a;for(let h=r.top;h<r.bottom;h++)for(let f=r.left;f<r.right;f++){let d=i.map[h*i.width+f],u=r.table.nodeAt(d);if(!(o[d]||!u))if(o[d]=!0,c==null)c=d,a=u;else{ud(u)||(l=l.append(u.content));let p=s.mapping.map(d+r.tableStart);s.delete(p,p+u.nodeSize)}}if(c==null||a==null)return!0;if(s.setNodeMarkup(c+r.tableStart,null,{...kd(a.attrs,a.attrs.colspan,r.right-r.left-a.attrs.colspan),rowspan:r.bottom-r.top}),l.size){let h=c+1+a.content.size,f=ud(a)?c+1:h;s.replaceWith(f+r.tableStart,h+r.tableStart,l)}s.setSelection(new V(s.doc.resolve(c+r.tableStart))),e(s)}return!0}function uw(n,e){let t=me(n.schema);return pw(({node:r})=>t[r.type.spec.tableRole])(n,e)}function pw(n){return(e,t)=>{var r;let i=e.selection,s,o;if(i instanceof V){if(i.$anchorCell.pos!=i.$headCell.pos)return!1;s=i.$anchorCell.nodeAfter,o=i.$anchorCell.pos}else{if(s=J0(i.$from),!s)return!1;o=(r=cr(i.$from))==null?void 0:r.pos}if(s==null||o==null||s.attrs.colspan==1&&s.attrs.rowspan==1)return!1;if(t){let l=s.attrs,c=[],a=l.colwidth;l.rowspan>1&&(l={...l,rowspan:1}),l.colspan>1&&(l={...l,colspan:1});let h=Ge(e),f=e.tr;for(let u=0;u<h.right-h.left;u++)c.push(a?{...l,colwidth:a&&a[u]?[a[u]]:null}:l);let d;for(let u=h.top;u<h.bottom;u++){let p=h.map.positionAt(u,h.left,h.table);u==h.top&&(p+=s.nodeSize);for(let m=h.left,g=0;m<h.right;m++,g++)m==h.left&&u==h.top||f.insert(d=f.mapping.map(p+h.tableStart,1),n({node:s,row:u,col:m}).createAndFill(c[g]))}f.setNodeMarkup(o,n({node:s,row:h.top,col:h.left}),c[0]),i instanceof V&&f.setSelection(new V(f.doc.resolve(i.$anchorCell.pos),d?f.doc.resolve(d):void 0)),t(f)}return!0}}function mw(n){return function(e,t){if(!Ye(e))return!1;if(t){let r=me(e.schema),i=Ge(e),s=e.tr,o=i.map.cellsInRect(n=="column"?{left:i.left,top:0,right:i.right,bottom:i.map.height}:n=="row"?{left:0,top:i.top,right:i.map.width,bottom:i.bottom}:i),l=o.map(c=>i.table.nodeAt(c));for(let c=0;c<o.length;c++)l[c].type==r.header_cell&&s.setNodeMarkup(i.tableStart+o[c],r.cell,l[c].attrs);if(s.steps.length==0)for(let c=0;c<o.length;c++)s.setNodeMarkup(i.tableStart+o[c],r.header_cell,l[c].attrs);t(s)}return!0}}function pd(n,e,t){let r=e.map.cellsInRect({left:0,top:0,right:n=="row"?e.map.width:1,bottom:n=="column"?e.map.height:1});for(let i=0;i<r.length;i++){let s=e.table.nodeAt(r[i]);if(s&&s.type!==t.header_cell)return!1}return!0}function yc(n,e){return e=e||{useDeprecatedLogic:!1},e.useDeprecatedLogic?mw(n):function(t,r){if(!Ye(t))return!1;if(r){let i=me(t.schema),s=Ge(t),o=t.tr,l=pd("row",s,i),c=pd("column",s,i),h=(n==="column"?l:n==="row"?c:!1)?1:0,f=n=="column"?{left:0,top:h,right:1,bottom:s.map.height}:n=="row"?{left:h,top:0,right:s.map.width,bottom:1}:s,d=n=="column"?c?i.cell:i.header_cell:n=="row"?l?i.cell:i.header_cell:i.cell;s.map.cellsInRect(f).forEach(u=>{let p=u+s.tableStart,m=o.doc.nodeAt(p);m&&o.setNodeMarkup(p,d,m.attrs)}),r(o)}return!0}}var Ok=yc("row",{useDeprecatedLogic:!0}),Nk=yc("column",{useDeprecatedLogic:!0}),Ik=yc("cell",{useDeprecatedLogic:!0});function gw(n,e){if(e<0){let t=n.nodeBefore;if(t)return n.pos-t.nodeSize;for(let r=n.index(-1)-1,i=n.before();r>=0;r--){let s=n.node(-1).child(r),o=s.lastChild;if(o)return i-1-o.nodeSize;i-=s.nodeSize}}else{if(n.index()<n.parent.childCount-1)return n.pos+n.nodeAfter.nodeSize;let t=n.node(-1);for(let r=n.indexAfter(-1),i=n.after();r<t.childCount;r++){let s=t.child(r);if(s.childCount)return i+1;i+=s.nodeSize}}return null}function yw(n){return function(e,t){if(!Ye(e))return!1;let r=gw(mc(e),n);if(r==null)return!1;if(t){let i=e.doc.resolve(r);t(e.tr.setSelection(A.between(i,W0(i))).scrollIntoView())}return!0}}function ww(n,e){let t=n.selection.$anchor;for(let r=t.depth;r>0;r--)if(t.node(r).type.spec.tableRole=="table")return e&&e(n.tr.delete(t.before(r),t.after(r)).scrollIntoView()),!0;return!1}function $s(n,e){let t=n.selection;if(!(t instanceof V))return!1;if(e){let r=n.tr,i=me(n.schema).cell.createAndFill().content;t.forEachCell((s,o)=>{s.content.eq(i)||r.replace(r.mapping.map(o+1),r.mapping.map(o+s.nodeSize-1),new b(i,0,0))}),r.docChanged&&e(r)}return!0}function bw(n){if(!n.size)return null;let{content:e,openStart:t,openEnd:r}=n;for(;e.childCount==1&&(t>0&&r>0||e.child(0).type.spec.tableRole=="table");)t--,r--,e=e.child(0).content;let i=e.child(0),s=i.type.spec.tableRole,o=i.type.schema,l=[];if(s=="row")for(let c=0;c<e.childCount;c++){let a=e.child(c).content,h=c?0:Math.max(0,t-1),f=c<e.childCount-1?0:Math.max(0,r-1);(h||f)&&(a=uc(me(o).row,new b(a,h,f)).content),l.push(a)}else if(s=="cell"||s=="header_cell")l.push(t||r?uc(me(o).row,new b(e,t,r)).content:e);else return null;return xw(o,l)}function xw(n,e){let t=[];for(let i=0;i<e.length;i++){let s=e[i];for(let o=s.childCount-1;o>=0;o--){let{rowspan:l,colspan:c}=s.child(o).attrs;for(let a=i;a<i+l;a++)t[a]=(t[a]||0)+c}}let r=0;for(let i=0;i<t.length;i++)r=Math.max(r,t[i]);for(let i=0;i<t.length;i++)if(i>=e.length&&e.push(w.empty),t[i]<r){let s=me(n).cell.createAndFill(),o=[];for(let l=t[i];l<r;l++)o.push(s);e[i]=e[i].append(w.from(o))}return{height:e.length,width:r,rows:e}}function uc(n,e){let t=n.createAndFill();return new Gn(t).replace(0,t.content.size,e).doc}function Sw({width:n,height:e,rows:t},r,i){if(n!=r){let s=[],o=[];for(let l=0;l<t.length;l++){let c=t[l],a=[];for(let h=s[l]||0,f=0;h<r;f++){let d=c.child(f%c.childCount);h+d.attrs.colspan>r&&(d=d.type.createChecked(Sn(d.attrs,d.attrs.colspan,h+d.attrs.colspan-r),d.content)),a.push(d),h+=d.attrs.colspan;for(let u=1;u<d.attrs.rowspan;u++)s[l+u]=(s[l+u]||0)+d.attrs.colspan}o.push(w.from(a))}t=o,n=r}if(e!=i){let s=[];for(let o=0,l=0;o<i;o++,l++){let c=[],a=t[l%e];for(let h=0;h<a.childCount;h++){let f=a.child(h);o+f.attrs.rowspan>i&&(f=f.type.create({...f.attrs,rowspan:Math.max(1,i-f.attrs.rowspan)},f.content)),c.push(f)}s.push(w.from(c))}t=s,e=i}return{width:n,height:e,rows:t}}function kw(n,e,t,r,i,s,o){let l=n.doc.type.schema,c=me(l),a,h;if(i>e.width)for(let f=0,d=0;f<e.height;f++){let u=t.child(f);d+=u.nodeSize;let p=[],m;u.lastChild==null||u.lastChild.type==c.cell?m=a||(a=c.cell.createAndFill()):m=h||(h=c.header_cell.createAndFill());for(let g=e.width;g<i;g++)p.push(m);n.insert(n.mapping.slice(o).map(d-1+r),p)}if(s>e.height){let f=[];for(let p=0,m=(e.height-1)*e.width;p<Math.max(e.width,i);p++){let g=p>=e.width?!1:t.nodeAt(e.map[m+p]).type==c.header_cell;f.push(g?h||(h=c.header_cell.createAndFill()):a||(a=c.cell.createAndFill()))}let d=c.row.create(null,w.from(f)),u=[];for(let p=e.height;p<s;p++)u.push(d);n.insert(n.mapping.slice(o).map(r+t.nodeSize-2),u)}return!!(a||h)}function md(n,e,t,r,i,s,o,l){if(o==0||o==e.height)return!1;let c=!1;for(let a=i;a<s;a++){let h=o*e.width+a,f=e.map[h];if(e.map[h-e.width]==f){c=!0;let d=t.nodeAt(f),{top:u,left:p}=e.findCell(f);n.setNodeMarkup(n.mapping.slice(l).map(f+r),null,{...d.attrs,rowspan:o-u}),n.insert(n.mapping.slice(l).map(e.positionAt(o,p,t)),d.type.createAndFill({...d.attrs,rowspan:u+d.attrs.rowspan-o})),a+=d.attrs.colspan-1}}return c}function gd(n,e,t,r,i,s,o,l){if(o==0||o==e.width)return!1;let c=!1;for(let a=i;a<s;a++){let h=a*e.width+o,f=e.map[h];if(e.map[h-1]==f){c=!0;let d=t.nodeAt(f),u=e.colCount(f),p=n.mapping.slice(l).map(f+r);n.setNodeMarkup(p,null,Sn(d.attrs,o-u,d.attrs.colspan-(o-u))),n.insert(p+d.nodeSize,d.type.createAndFill(Sn(d.attrs,0,o-u))),a+=d.attrs.rowspan-1}}return c}function yd(n,e,t,r,i){let s=t?n.doc.nodeAt(t-1):n.doc;if(!s)throw new Error("No table found");let o=z.get(s),{top:l,left:c}=r,a=c+i.width,h=l+i.height,f=n.tr,d=0;function u(){if(s=t?f.doc.nodeAt(t-1):f.doc,!s)throw new Error("No table found");o=z.get(s),d=f.mapping.maps.length}kw(f,o,s,t,a,h,d)&&u(),md(f,o,s,t,c,a,l,d)&&u(),md(f,o,s,t,c,a,h,d)&&u(),gd(f,o,s,t,l,h,c,d)&&u(),gd(f,o,s,t,l,h,a,d)&&u();for(let p=l;p<h;p++){let m=o.positionAt(p,c,s),g=o.positionAt(p,a,s);f.replace(f.mapping.slice(d).map(m+t),f.mapping.slice(d).map(g+t),new b(i.rows[p-l],0,0))}u(),f.setSelection(new V(f.doc.resolve(t+o.positionAt(l,c,s)),f.doc.resolve(t+o.positionAt(h-1,a-1,s)))),e(f)}var Cw=fi({ArrowLeft:qs("horiz",-1),ArrowRight:qs("horiz",1),ArrowUp:qs("vert",-1),ArrowDown:qs("vert",1),"Shift-ArrowLeft":Hs("horiz",-1),"Shift-ArrowRight":Hs("horiz",1),"Shift-ArrowUp":Hs("vert",-1),"Shift-ArrowDown":Hs("vert",1),Backspace:$s,"Mod-Backspace":$s,Delete:$s,"Mod-Delete":$s});function Js(n,e,t){return t.eq(n.selection)?!1:(e&&e(n.tr.setSelection(t).scrollIntoView()),!0)}function qs(n,e){return(t,r,i)=>{if(!i)return!1;let s=t.selection;if(s instanceof V)return Js(t,r,S.near(s.$headCell,e));if(n!="horiz"&&!s.empty)return!1;let o=Dd(i,n,e);if(o==null)return!1;if(n=="horiz")return Js(t,r,S.near(t.doc.resolve(s.head+e),e));{let l=t.doc.resolve(o),c=Sd(l,n,e),a;return c?a=S.near(c,1):e<0?a=S.near(t.doc.resolve(l.before(-1)),-1):a=S.near(t.doc.resolve(l.after(-1)),1),Js(t,r,a)}}}function Hs(n,e){return(t,r,i)=>{if(!i)return!1;let s=t.selection,o;if(s instanceof V)o=s;else{let c=Dd(i,n,e);if(c==null)return!1;o=new V(t.doc.resolve(c))}let l=Sd(o.$headCell,n,e);return l?Js(t,r,new V(o.$anchorCell,l)):!1}}function Mw(n,e){let t=n.state.doc,r=cr(t.resolve(e));return r?(n.dispatch(n.state.tr.setSelection(new V(r))),!0):!1}function Aw(n,e,t){if(!Ye(n.state))return!1;let r=bw(t),i=n.state.selection;if(i instanceof V){r||(r={width:1,height:1,rows:[w.from(uc(me(n.state.schema).cell,t))]});let s=i.$anchorCell.node(-1),o=i.$anchorCell.start(-1),l=z.get(s).rectBetween(i.$anchorCell.pos-o,i.$headCell.pos-o);return r=Sw(r,l.right-l.left,l.bottom-l.top),yd(n.state,n.dispatch,o,l,r),!0}else if(r){let s=mc(n.state),o=s.start(-1);return yd(n.state,n.dispatch,o,z.get(s.node(-1)).findCell(s.pos-o),r),!0}else return!1}function Ew(n,e){var t;if(e.ctrlKey||e.metaKey)return;let r=wd(n,e.target),i;if(e.shiftKey&&n.state.selection instanceof V)s(n.state.selection.$anchorCell,e),e.preventDefault();else if(e.shiftKey&&r&&(i=cr(n.state.selection.$anchor))!=null&&((t=ac(n,e))==null?void 0:t.pos)!=i.pos)s(i,e),e.preventDefault();else if(!r)return;function s(c,a){let h=ac(n,a),f=Jt.getState(n.state)==null;if(!h||!gc(c,h))if(f)h=c;else return;let d=new V(c,h);if(f||!n.state.selection.eq(d)){let u=n.state.tr.setSelection(d);f&&u.setMeta(Jt,c.pos),n.dispatch(u)}}function o(){n.root.removeEventListener("mouseup",o),n.root.removeEventListener("dragstart",o),n.root.removeEventListener("mousemove",l),Jt.getState(n.state)!=null&&n.dispatch(n.state.tr.setMeta(Jt,-1))}function l(c){let a=c,h=Jt.getState(n.state),f;if(h!=null)f=n.state.doc.resolve(h);else if(wd(n,a.target)!=r&&(f=ac(n,e),!f))return o();f&&s(f,a)}n.root.addEventListener("mouseup",o),n.root.addEventListener("dragstart",o),n.root.addEventListener("mousemove",l)}function Dd(n,e,t){if(!(n.state.selection instanceof A))return null;let{$head:r}=n.state.selection;for(let i=r.depth-1;i>=0;i--){let s=r.node(i);if((t<0?r.index(i):r.indexAfter(i))!=(t<0?0:s.childCount))return null;if(s.type.spec.tableRole=="cell"||s.type.spec.tableRole=="header_cell"){let l=r.before(i),c=e=="vert"?t>0?"down":"up":t>0?"right":"left";return n.endOfTextblock(c)?l:null}}return null}function wd(n,e){for(;e&&e!=n.dom;e=e.parentNode)if(e.nodeName=="TD"||e.nodeName=="TH")return e;return null}function ac(n,e){let t=n.posAtCoords({left:e.clientX,top:e.clientY});return t&&t?cr(n.state.doc.resolve(t.pos)):null}var Tw=class{constructor(n,e){this.node=n,this.cellMinWidth=e,this.dom=document.createElement("div"),this.dom.className="tableWrapper",this.table=this.dom.appendChild(document.createElement("table")),this.colgroup=this.table.appendChild(document.createElement("colgroup")),pc(n,this.colgroup,this.table,e),this.contentDOM=this.table.appendChild(document.createElement("tbody"))}update(n){return n.type!=this.node.type?!1:(this.node=n,pc(n,this.colgroup,this.table,this.cellMinWidth),!0)}ignoreMutation(n){return n.type=="attributes"&&(n.target==this.table||this.colgroup.contains(n.target))}};function pc(n,e,t,r,i,s){var o;let l=0,c=!0,a=e.firstChild,h=n.firstChild;if(h){for(let f=0,d=0;f<h.childCount;f++){let{colspan:u,colwidth:p}=h.child(f).attrs;for(let m=0;m<u;m++,d++){let g=i==d?s:p&&p[m],y=g?g+"px":"";l+=g||r,g||(c=!1),a?(a.style.width!=y&&(a.style.width=y),a=a.nextSibling):e.appendChild(document.createElement("col")).style.width=y}}for(;a;){let f=a.nextSibling;(o=a.parentNode)==null||o.removeChild(a),a=f}c?(t.style.width=l+"px",t.style.minWidth=""):(t.style.width="",t.style.minWidth=l+"px")}}var Fe=new fe("tableColumnResizing");function Dw({handleWidth:n=5,cellMinWidth:e=25,View:t=Tw,lastColumnResizable:r=!0}={}){let i=new J({key:Fe,state:{init(s,o){var l,c;let a=(c=(l=i.spec)==null?void 0:l.props)==null?void 0:c.nodeViews,h=me(o.schema).table.name;return t&&a&&(a[h]=(f,d)=>new t(f,e,d)),new Ow(-1,!1)},apply(s,o){return o.apply(s)}},props:{attributes:s=>{let o=Fe.getState(s);return o&&o.activeHandle>-1?{class:"resize-cursor"}:{}},handleDOMEvents:{mousemove:(s,o)=>{Nw(s,o,n,e,r)},mouseleave:s=>{Iw(s)},mousedown:(s,o)=>{Rw(s,o,e)}},decorations:s=>{let o=Fe.getState(s);if(o&&o.activeHandle>-1)return Pw(s,o.activeHandle)},nodeViews:{}}});return i}var Ow=class js{constructor(e,t){this.activeHandle=e,this.dragging=t}apply(e){let t=this,r=e.getMeta(Fe);if(r&&r.setHandle!=null)return new js(r.setHandle,!1);if(r&&r.setDragging!==void 0)return new js(t.activeHandle,r.setDragging);if(t.activeHandle>-1&&e.docChanged){let i=e.mapping.map(t.activeHandle,-1);return dc(e.doc.resolve(i))||(i=-1),new js(i,t.dragging)}return t}};function Nw(n,e,t,r,i){let s=Fe.getState(n.state);if(s&&!s.dragging){let o=_w(e.target),l=-1;if(o){let{left:c,right:a}=o.getBoundingClientRect();e.clientX-c<=t?l=bd(n,e,"left",t):a-e.clientX<=t&&(l=bd(n,e,"right",t))}if(l!=s.activeHandle){if(!i&&l!==-1){let c=n.state.doc.resolve(l),a=c.node(-1),h=z.get(a),f=c.start(-1);if(h.colCount(c.pos-f)+c.nodeAfter.attrs.colspan-1==h.width-1)return}Od(n,l)}}}function Iw(n){let e=Fe.getState(n.state);e&&e.activeHandle>-1&&!e.dragging&&Od(n,-1)}function Rw(n,e,t){var r;let i=(r=n.dom.ownerDocument.defaultView)!=null?r:window,s=Fe.getState(n.state);if(!s||s.activeHandle==-1||s.dragging)return!1;let o=n.state.doc.nodeAt(s.activeHandle),l=vw(n,s.activeHandle,o.attrs);n.dispatch(n.state.tr.setMeta(Fe,{setDragging:{startX:e.clientX,startWidth:l}}));function c(h){i.removeEventListener("mouseup",c),i.removeEventListener("mousemove",a);let f=Fe.getState(n.state);f?.dragging&&(Uw(n,f.activeHandle,xd(f.dragging,h,t)),n.dispatch(n.state.tr.setMeta(Fe,{setDragging:null})))}function a(h){if(!h.which)return c(h);let f=Fe.getState(n.state);if(f&&f.dragging){let d=xd(f.dragging,h,t);Vw(n,f.activeHandle,d,t)}}return i.addEventListener("mouseup",c),i.addEventListener("mousemove",a),e.preventDefault(),!0}function vw(n,e,{colspan:t,colwidth:r}){let i=r&&r[r.length-1];if(i)return i;let s=n.domAtPos(e),l=s.node.childNodes[s.offset].offsetWidth,c=t;if(r)for(let a=0;a<t;a++)r[a]&&(l-=r[a],c--);return l/c}function _w(n){for(;n&&n.nodeName!="TD"&&n.nodeName!="TH";)n=n.classList&&n.classList.contains("ProseMirror")?null:n.parentNode;return n}function bd(n,e,t,r){let i=t=="right"?-r:r,s=n.posAtCoords({left:e.clientX+i,top:e.clientY});if(!s)return-1;let{pos:o}=s,l=cr(n.state.doc.resolve(o));if(!l)return-1;if(t=="right")return l.pos;let c=z.get(l.node(-1)),a=l.start(-1),h=c.map.indexOf(l.pos-a);return h%c.width==0?-1:a+c.map[h-1]}function xd(n,e,t){let r=e.clientX-n.startX;return Math.max(t,n.startWidth+r)}function Od(n,e){n.dispatch(n.state.tr.setMeta(Fe,{setHandle:e}))}function Uw(n,e,t){let r=n.state.doc.resolve(e),i=r.node(-1),s=z.get(i),o=r.start(-1),l=s.colCount(r.pos-o)+r.nodeAfter.attrs.colspan-1,c=n.state.tr;for(let a=0;a<s.height;a++){let h=a*s.width+l;if(a&&s.map[h]==s.map[h-s.width])continue;let f=s.map[h],d=i.nodeAt(f).attrs,u=d.colspan==1?0:l-s.colCount(f);if(d.colwidth&&d.colwidth[u]==t)continue;let p=d.colwidth?d.colwidth.slice():Bw(d.colspan);p[u]=t,c.setNodeMarkup(o+f,null,{...d,colwidth:p})}c.docChanged&&n.dispatch(c)}function Vw(n,e,t,r){let i=n.state.doc.resolve(e),s=i.node(-1),o=i.start(-1),l=z.get(s).colCount(i.pos-o)+i.nodeAfter.attrs.colspan-1,c=n.domAtPos(i.start(-1)).node;for(;c&&c.nodeName!="TABLE";)c=c.parentNode;c&&pc(s,c.firstChild,c,r,l,t)}function Bw(n){return Array(n).fill(0)}function Pw(n,e){let t=[],r=n.doc.resolve(e),i=r.node(-1);if(!i)return L.empty;let s=z.get(i),o=r.start(-1),l=s.colCount(r.pos-o)+r.nodeAfter.attrs.colspan-1;for(let c=0;c<s.height;c++){let a=l+c*s.width;if((l==s.width-1||s.map[a]!=s.map[a+1])&&(c==0||s.map[a]!=s.map[a-s.width])){let h=s.map[a],f=o+h+i.nodeAt(h).nodeSize-1,d=document.createElement("div");d.className="column-resize-handle",t.push(se.widget(f,d))}}return L.create(n.doc,t)}function Lw({allowTableNodeSelection:n=!1}={}){return new J({key:Jt,state:{init(){return null},apply(e,t){let r=e.getMeta(Jt);if(r!=null)return r==-1?null:r;if(t==null||!e.docChanged)return t;let{deleted:i,pos:s}=e.mapping.mapResult(t);return i?null:s}},props:{decorations:G0,handleDOMEvents:{mousedown:Ew},createSelectionBetween(e){return Jt.getState(e.state)!=null?e.state.selection:null},handleTripleClick:Mw,handleKeyDown:Cw,handlePaste:Aw},appendTransaction(e,t,r){return Z0(r,Ad(r,t),n)}})}var Br={};pm(Br,{AbsolutePosition:()=>No,AbstractConnector:()=>ea,AbstractStruct:()=>vr,AbstractType:()=>H,Array:()=>Vn,ContentAny:()=>en,ContentBinary:()=>Pn,ContentDeleted:()=>_r,ContentDoc:()=>Ln,ContentEmbed:()=>It,ContentFormat:()=>P,ContentJSON:()=>Ji,ContentString:()=>Ve,ContentType:()=>Oe,Doc:()=>Je,GC:()=>ye,ID:()=>Ot,Item:()=>O,Map:()=>Bn,PermanentUserData:()=>na,RelativePosition:()=>ft,Skip:()=>ce,Snapshot:()=>Zt,Text:()=>ut,Transaction:()=>Ro,UndoManager:()=>_n,UpdateDecoderV1:()=>De,UpdateDecoderV2:()=>Ce,UpdateEncoderV1:()=>ht,UpdateEncoderV2:()=>Ue,XmlElement:()=>ne,XmlFragment:()=>pt,XmlHook:()=>Hi,XmlText:()=>Me,YArrayEvent:()=>Uo,YEvent:()=>Un,YMapEvent:()=>Vo,YTextEvent:()=>Bo,YXmlEvent:()=>Po,applyUpdate:()=>pa,applyUpdateV2:()=>zn,cleanupYTextFormatting:()=>Rp,compareIDs:()=>On,compareRelativePositions:()=>zo,convertUpdateFormatV1ToV2:()=>Fb,convertUpdateFormatV2ToV1:()=>mp,createAbsolutePositionFromRelativePosition:()=>ba,createDeleteSet:()=>Ur,createDeleteSetFromStructStore:()=>fa,createDocFromSnapshot:()=>Eb,createID:()=>M,createRelativePositionFromJSON:()=>$n,createRelativePositionFromTypeIndex:()=>ji,createSnapshot:()=>Wi,decodeRelativePosition:()=>xb,decodeSnapshot:()=>Mb,decodeSnapshotV2:()=>np,decodeStateVector:()=>ga,decodeUpdate:()=>_b,decodeUpdateV2:()=>ap,diffUpdate:()=>Pb,diffUpdateV2:()=>xa,emptySnapshot:()=>Ab,encodeRelativePosition:()=>wb,encodeSnapshot:()=>Cb,encodeSnapshotV2:()=>tp,encodeStateAsUpdate:()=>ma,encodeStateAsUpdateV2:()=>Qu,encodeStateVector:()=>wa,encodeStateVectorFromUpdate:()=>Ub,encodeStateVectorFromUpdateV2:()=>fp,equalDeleteSets:()=>Gu,equalSnapshots:()=>kb,findIndexSS:()=>je,findRootTypeKey:()=>Fn,getItem:()=>Nn,getItemCleanEnd:()=>sa,getItemCleanStart:()=>ge,getState:()=>B,getTypeChildren:()=>Jb,isDeleted:()=>Rt,isParentOf:()=>vn,iterateDeletedStructs:()=>ct,logType:()=>pb,logUpdate:()=>vb,logUpdateV2:()=>cp,mergeDeleteSets:()=>In,mergeUpdates:()=>hp,mergeUpdatesV2:()=>zi,obfuscateUpdate:()=>Lb,obfuscateUpdateV2:()=>zb,parseUpdateMeta:()=>Vb,parseUpdateMetaV2:()=>dp,readUpdate:()=>hb,readUpdateV2:()=>ua,relativePositionToJSON:()=>mb,snapshot:()=>Ki,snapshotContainsUpdate:()=>Db,transact:()=>R,tryGc:()=>Ib,typeListToArraySnapshot:()=>Ho,typeMapGetAllSnapshot:()=>Tp,typeMapGetSnapshot:()=>Kb});var _=()=>new Map,Ws=n=>{let e=_();return n.forEach((t,r)=>{e.set(r,t)}),e},W=(n,e,t)=>{let r=n.get(e);return r===void 0&&n.set(e,r=t()),r},Nd=(n,e)=>{let t=[];for(let[r,i]of n)t.push(e(i,r));return t},Id=(n,e)=>{for(let[t,r]of n)if(e(r,t))return!0;return!1};var Te=()=>new Set;var Ks=n=>n[n.length-1];var Rd=(n,e)=>{for(let t=0;t<e.length;t++)n.push(e[t])},Xe=Array.from,Ys=(n,e)=>{for(let t=0;t<n.length;t++)if(!e(n[t],t,n))return!1;return!0},pi=(n,e)=>{for(let t=0;t<n.length;t++)if(e(n[t],t,n))return!0;return!1};var vd=(n,e)=>{let t=new Array(n);for(let r=0;r<n;r++)t[r]=e(r,t);return t};var Et=Array.isArray;var ar=class{constructor(){this._observers=_()}on(e,t){return W(this._observers,e,Te).add(t),t}once(e,t){let r=(...i)=>{this.off(e,r),t(...i)};this.on(e,r)}off(e,t){let r=this._observers.get(e);r!==void 0&&(r.delete(t),r.size===0&&this._observers.delete(e))}emit(e,t){return Xe((this._observers.get(e)||_()).values()).forEach(r=>r(...t))}destroy(){this._observers=_()}},hr=class{constructor(){this._observers=_()}on(e,t){W(this._observers,e,Te).add(t)}once(e,t){let r=(...i)=>{this.off(e,r),t(...i)};this.on(e,r)}off(e,t){let r=this._observers.get(e);r!==void 0&&(r.delete(t),r.size===0&&this._observers.delete(e))}emit(e,t){return Xe((this._observers.get(e)||_()).values()).forEach(r=>r(...t))}destroy(){this._observers=_()}};var Y=Math.floor;var Cn=Math.abs;var Re=(n,e)=>n<e?n:e,$e=(n,e)=>n>e?n:e,zk=Number.isNaN,_d=Math.pow;var Gs=n=>n!==0?n<0:1/n<0;var fr=Number.MAX_SAFE_INTEGER,wc=Number.MIN_SAFE_INTEGER,Fk=1<<31;var Ud=Number.isInteger||(n=>typeof n=="number"&&isFinite(n)&&Y(n)===n),$k=Number.isNaN,qk=Number.parseInt;var gi=String.fromCharCode,zw=String.fromCodePoint,Hk=gi(65535),Fw=n=>n.toLowerCase(),$w=/^\s*/g,qw=n=>n.replace($w,""),Hw=/([A-Z])/g,xc=(n,e)=>qw(n.replace(Hw,t=>`${e}${Fw(t)}`));var Jw=n=>{let e=unescape(encodeURIComponent(n)),t=e.length,r=new Uint8Array(t);for(let i=0;i<t;i++)r[i]=e.codePointAt(i);return r},ur=typeof TextEncoder<"u"?new TextEncoder:null,jw=n=>ur.encode(n),Vd=ur?jw:Jw;var dr=typeof TextDecoder>"u"?null:new TextDecoder("utf-8",{fatal:!0,ignoreBOM:!0});dr&&dr.decode(new Uint8Array).length===1&&(dr=null);var Xs=(n,e)=>vd(e,()=>n).join("");var Mn=class{constructor(){this.cpos=0,this.cbuf=new Uint8Array(100),this.bufs=[]}},$=()=>new Mn;var Zs=n=>{let e=n.cpos;for(let t=0;t<n.bufs.length;t++)e+=n.bufs[t].length;return e};var I=n=>{let e=new Uint8Array(Zs(n)),t=0;for(let r=0;r<n.bufs.length;r++){let i=n.bufs[r];e.set(i,t),t+=i.length}return e.set(new Uint8Array(n.cbuf.buffer,0,n.cpos),t),e},Ww=(n,e)=>{let t=n.cbuf.length;t-n.cpos<e&&(n.bufs.push(new Uint8Array(n.cbuf.buffer,0,n.cpos)),n.cbuf=new Uint8Array($e(t,e)*2),n.cpos=0)},te=(n,e)=>{let t=n.cbuf.length;n.cpos===t&&(n.bufs.push(n.cbuf),n.cbuf=new Uint8Array(t*2),n.cpos=0),n.cbuf[n.cpos++]=e};var wr=te;var x=(n,e)=>{for(;e>127;)te(n,128|127&e),e=Y(e/128);te(n,127&e)},wi=(n,e)=>{let t=Gs(e);for(t&&(e=-e),te(n,(e>63?128:0)|(t?64:0)|63&e),e=Y(e/64);e>0;)te(n,(e>127?128:0)|127&e),e=Y(e/128)},Sc=new Uint8Array(3e4),Kw=Sc.length/3,Yw=(n,e)=>{if(e.length<Kw){let t=ur.encodeInto(e,Sc).written||0;x(n,t);for(let r=0;r<t;r++)te(n,Sc[r])}else U(n,Vd(e))},Gw=(n,e)=>{let t=unescape(encodeURIComponent(e)),r=t.length;x(n,r);for(let i=0;i<r;i++)te(n,t.codePointAt(i))},it=ur&&ur.encodeInto?Yw:Gw;var Fd=(n,e)=>br(n,I(e)),br=(n,e)=>{let t=n.cbuf.length,r=n.cpos,i=Re(t-r,e.length),s=e.length-i;n.cbuf.set(e.subarray(0,i),r),n.cpos+=i,s>0&&(n.bufs.push(n.cbuf),n.cbuf=new Uint8Array($e(t*2,s)),n.cbuf.set(e.subarray(i)),n.cpos=s)},U=(n,e)=>{x(n,e.byteLength),br(n,e)},kc=(n,e)=>{Ww(n,e);let t=new DataView(n.cbuf.buffer,n.cpos,e);return n.cpos+=e,t},Xw=(n,e)=>kc(n,4).setFloat32(0,e,!1),Qw=(n,e)=>kc(n,8).setFloat64(0,e,!1),Zw=(n,e)=>kc(n,8).setBigInt64(0,e,!1);var Pd=new DataView(new ArrayBuffer(4)),e1=n=>(Pd.setFloat32(0,n),Pd.getFloat32(0)===n),gr=(n,e)=>{switch(typeof e){case"string":te(n,119),it(n,e);break;case"number":Ud(e)&&Cn(e)<=2147483647?(te(n,125),wi(n,e)):e1(e)?(te(n,124),Xw(n,e)):(te(n,123),Qw(n,e));break;case"bigint":te(n,122),Zw(n,e);break;case"object":if(e===null)te(n,126);else if(Et(e)){te(n,117),x(n,e.length);for(let t=0;t<e.length;t++)gr(n,e[t])}else if(e instanceof Uint8Array)te(n,116),U(n,e);else{te(n,118);let t=Object.keys(e);x(n,t.length);for(let r=0;r<t.length;r++){let i=t[r];it(n,i),gr(n,e[i])}}break;case"boolean":te(n,e?120:121);break;default:te(n,127)}},yi=class extends Mn{constructor(e){super(),this.w=e,this.s=null,this.count=0}write(e){this.s===e?this.count++:(this.count>0&&x(this,this.count-1),this.count=1,this.w(this,e),this.s=e)}};var Ld=n=>{n.count>0&&(wi(n.encoder,n.count===1?n.s:-n.s),n.count>1&&x(n.encoder,n.count-2))},An=class{constructor(){this.encoder=new Mn,this.s=0,this.count=0}write(e){this.s===e?this.count++:(Ld(this),this.count=1,this.s=e)}toUint8Array(){return Ld(this),I(this.encoder)}};var zd=n=>{if(n.count>0){let e=n.diff*2+(n.count===1?0:1);wi(n.encoder,e),n.count>1&&x(n.encoder,n.count-2)}},yr=class{constructor(){this.encoder=new Mn,this.s=0,this.count=0,this.diff=0}write(e){this.diff===e-this.s?(this.s=e,this.count++):(zd(this),this.count=1,this.diff=e-this.s,this.s=e)}toUint8Array(){return zd(this),I(this.encoder)}},Qs=class{constructor(){this.sarr=[],this.s="",this.lensE=new An}write(e){this.s+=e,this.s.length>19&&(this.sarr.push(this.s),this.s=""),this.lensE.write(e.length)}toUint8Array(){let e=new Mn;return this.sarr.push(this.s),this.s="",it(e,this.sarr.join("")),br(e,this.lensE.toUint8Array()),I(e)}};var ve=n=>new Error(n),ke=()=>{throw ve("Method unimplemented")},F=()=>{throw ve("Unexpected case")};var $d=ve("Unexpected end of array"),qd=ve("Integer out of Range"),xr=class{constructor(e){this.arr=e,this.pos=0}},q=n=>new xr(n),Cc=n=>n.pos!==n.arr.length;var t1=(n,e)=>{let t=new Uint8Array(n.arr.buffer,n.pos+n.arr.byteOffset,e);return n.pos+=e,t},G=n=>t1(n,C(n));var En=n=>n.arr[n.pos++];var C=n=>{let e=0,t=1,r=n.arr.length;for(;n.pos<r;){let i=n.arr[n.pos++];if(e=e+(i&127)*t,t*=128,i<128)return e;if(e>fr)throw qd}throw $d},Si=n=>{let e=n.arr[n.pos++],t=e&63,r=64,i=(e&64)>0?-1:1;if(!(e&128))return i*t;let s=n.arr.length;for(;n.pos<s;){if(e=n.arr[n.pos++],t=t+(e&127)*r,r*=128,e<128)return i*t;if(t>fr)throw qd}throw $d};var n1=n=>{let e=C(n);if(e===0)return"";{let t=String.fromCodePoint(En(n));if(--e<100)for(;e--;)t+=String.fromCodePoint(En(n));else for(;e>0;){let r=e<1e4?e:1e4,i=n.arr.subarray(n.pos,n.pos+r);n.pos+=r,t+=String.fromCodePoint.apply(null,i),e-=r}return decodeURIComponent(escape(t))}},r1=n=>dr.decode(G(n)),He=dr?r1:n1;var Mc=(n,e)=>{let t=new DataView(n.arr.buffer,n.arr.byteOffset+n.pos,e);return n.pos+=e,t},i1=n=>Mc(n,4).getFloat32(0,!1),s1=n=>Mc(n,8).getFloat64(0,!1),o1=n=>Mc(n,8).getBigInt64(0,!1);var l1=[n=>{},n=>null,Si,i1,s1,o1,n=>!1,n=>!0,He,n=>{let e=C(n),t={};for(let r=0;r<e;r++){let i=He(n);t[i]=Sr(n)}return t},n=>{let e=C(n),t=[];for(let r=0;r<e;r++)t.push(Sr(n));return t},G],Sr=n=>l1[127-En(n)](n),xi=class extends xr{constructor(e,t){super(e),this.reader=t,this.s=null,this.count=0}read(){return this.count===0&&(this.s=this.reader(this),Cc(this)?this.count=C(this)+1:this.count=-1),this.count--,this.s}};var Tn=class extends xr{constructor(e){super(e),this.s=0,this.count=0}read(){if(this.count===0){this.s=Si(this);let e=Gs(this.s);this.count=1,e&&(this.s=-this.s,this.count=C(this)+2)}return this.count--,this.s}};var kr=class extends xr{constructor(e){super(e),this.s=0,this.count=0,this.diff=0}read(){if(this.count===0){let e=Si(this),t=e&1;this.diff=Y(e/2),this.count=1,t&&(this.count=C(this)+2)}return this.s+=this.diff,this.count--,this.s}},to=class{constructor(e){this.decoder=new Tn(e),this.str=He(this.decoder),this.spos=0}read(){let e=this.spos+this.decoder.read(),t=this.str.slice(this.spos,e);return this.spos=e,t}};var Wk=crypto.subtle,Hd=crypto.getRandomValues.bind(crypto);var c1=Math.random,Ac=()=>Hd(new Uint32Array(1))[0];var Jd=n=>n[Y(c1()*n.length)],a1="10000000-1000-4000-8000"+-1e11,jd=()=>a1.replace(/[018]/g,n=>(n^Ac()&15>>n/4).toString(16));var _e=Date.now;var Ec=n=>new Promise(n);var Gk=Promise.all.bind(Promise);var Tc=n=>n===void 0?null:n;var Dc=class{constructor(){this.map=new Map}setItem(e,t){this.map.set(e,t)}getItem(e){return this.map.get(e)}},Kd=new Dc,Oc=!0;try{typeof localStorage<"u"&&localStorage&&(Kd=localStorage,Oc=!1)}catch{}var ro=Kd,Yd=n=>Oc||addEventListener("storage",n),Gd=n=>Oc||removeEventListener("storage",n);var Dn=Symbol("Equality"),io=(n,e)=>n===e||!!n?.[Dn]?.(e)||!1;var Qd=n=>typeof n=="object",Zd=Object.assign,Ic=Object.keys;var eu=(n,e)=>{for(let t in n)e(n[t],t)},tu=(n,e)=>{let t=[];for(let r in n)t.push(e(n[r],r));return t};var Ci=n=>Ic(n).length;var nu=n=>{for(let e in n)return!1;return!0},Cr=(n,e)=>{for(let t in n)if(!e(n[t],t))return!1;return!0},Mi=(n,e)=>Object.prototype.hasOwnProperty.call(n,e),Rc=(n,e)=>n===e||Ci(n)===Ci(e)&&Cr(n,(t,r)=>(t!==void 0||Mi(e,r))&&io(e[r],t)),d1=Object.freeze,vc=n=>{for(let e in n){let t=n[e];(typeof t=="object"||typeof t=="function")&&vc(n[e])}return d1(n)};var Ei=(n,e,t=0)=>{try{for(;t<n.length;t++)n[t](...e)}finally{t<n.length&&Ei(n,e,t+1)}};var _c=n=>n;var Wt=(n,e)=>{if(n===e)return!0;if(n==null||e==null||n.constructor!==e.constructor&&(n.constructor||Object)!==(e.constructor||Object))return!1;if(n[Dn]!=null)return n[Dn](e);switch(n.constructor){case ArrayBuffer:n=new Uint8Array(n),e=new Uint8Array(e);case Uint8Array:{if(n.byteLength!==e.byteLength)return!1;for(let t=0;t<n.length;t++)if(n[t]!==e[t])return!1;break}case Set:{if(n.size!==e.size)return!1;for(let t of n)if(!e.has(t))return!1;break}case Map:{if(n.size!==e.size)return!1;for(let t of n.keys())if(!e.has(t)||!Wt(n.get(t),e.get(t)))return!1;break}case void 0:case Object:if(Ci(n)!==Ci(e))return!1;for(let t in n)if(!Mi(n,t)||!Wt(n[t],e[t]))return!1;break;case Array:if(n.length!==e.length)return!1;for(let t=0;t<n.length;t++)if(!Wt(n[t],e[t]))return!1;break;default:return!1}return!0},ru=(n,e)=>e.includes(n);var Tt=typeof process<"u"&&process.release&&/node|io\.js/.test(process.release.name)&&Object.prototype.toString.call(typeof process<"u"?process:0)==="[object process]",Mr=typeof window<"u"&&typeof document<"u"&&!Tt,Xk=typeof navigator<"u"?/Mac/.test(navigator.platform):!1,st,u1=[],p1=()=>{if(st===void 0)if(Tt){st=_();let n=process.argv,e=null;for(let t=0;t<n.length;t++){let r=n[t];r[0]==="-"?(e!==null&&st.set(e,""),e=r):e!==null?(st.set(e,r),e=null):u1.push(r)}e!==null&&st.set(e,"")}else typeof location=="object"?(st=_(),(location.search||"?").slice(1).split("&").forEach(n=>{if(n.length!==0){let[e,t]=n.split("=");st.set(`--${xc(e,"-")}`,t),st.set(`-${xc(e,"-")}`,t)}})):st=_();return st},Uc=n=>p1().has(n);var Ti=n=>Tt?Tc(process.env[n.toUpperCase().replaceAll("-","_")]):Tc(ro.getItem(n));var iu=n=>Uc("--"+n)||Ti(n)!==null,su=iu("production"),m1=Tt&&ru(process.env.FORCE_COLOR,["true","1","2"]),ou=m1||!Uc("--no-colors")&&!iu("no-color")&&(!Tt||process.stdout.isTTY)&&(!Tt||Uc("--color")||Ti("COLORTERM")!==null||(Ti("TERM")||"").includes("color"));var lu=n=>new Uint8Array(n),g1=(n,e,t)=>new Uint8Array(n,e,t),cu=n=>new Uint8Array(n),y1=n=>{let e="";for(let t=0;t<n.byteLength;t++)e+=gi(n[t]);return btoa(e)},w1=n=>Buffer.from(n.buffer,n.byteOffset,n.byteLength).toString("base64"),b1=n=>{let e=atob(n),t=lu(e.length);for(let r=0;r<e.length;r++)t[r]=e.charCodeAt(r);return t},x1=n=>{let e=Buffer.from(n,"base64");return g1(e.buffer,e.byteOffset,e.byteLength)},au=Mr?y1:w1,hu=Mr?b1:x1;var fu=n=>{let e=lu(n.byteLength);return e.set(n),e};var Vc=class{constructor(e,t){this.left=e,this.right=t}},ot=(n,e)=>new Vc(n,e);var Bc=n=>n.next()>=.5,oo=(n,e,t)=>Y(n.next()*(t+1-e)+e);var Pc=(n,e,t)=>Y(n.next()*(t+1-e)+e);var Lc=(n,e,t)=>Pc(n,e,t);var k1=n=>gi(Lc(n,97,122)),uu=(n,e=0,t=20)=>{let r=Lc(n,e,t),i="";for(let s=0;s<r;s++)i+=k1(n);return i};var lo=(n,e)=>e[Lc(n,0,e.length-1)];var M1=Symbol("0schema"),zc=class{constructor(){this._rerrs=[]}extend(e,t,r,i=null){this._rerrs.push({path:e,expected:t,has:r,message:i})}toString(){let e=[];for(let t=this._rerrs.length-1;t>0;t--){let r=this._rerrs[t];e.push(Xs(" ",(this._rerrs.length-t)*2)+`${r.path!=null?`[${r.path}] `:""}${r.has} doesn't match ${r.expected}. ${r.message}`)}return e.join(`
-`)}},Fc=(n,e)=>n===e?!0:n==null||e==null||n.constructor!==e.constructor?!1:n[Dn]?io(n,e):Et(n)?Ys(n,t=>pi(e,r=>Fc(t,r))):Qd(n)?Cr(n,(t,r)=>Fc(t,e[r])):!1,le=class{static _dilutes=!1;extends(e){let[t,r]=[this.shape,e.shape];return this.constructor._dilutes&&([r,t]=[t,r]),Fc(t,r)}equals(e){return this.constructor===e.constructor&&Wt(this.shape,e.shape)}[M1](){return!0}[Dn](e){return this.equals(e)}validate(e){return this.check(e)}check(e,t){ke()}get nullable(){return Nr(this,xo)}get optional(){return new co(this)}cast(e){return pu(e,this),e}expect(e){return pu(e,this),e}},Di=class extends le{constructor(e,t){super(),this.shape=e,this._c=t}check(e,t=void 0){let r=e?.constructor===this.shape&&(this._c==null||this._c(e));return!r&&t?.extend(null,this.shape.name,e?.constructor.name,e?.constructor!==this.shape?"Constructor match failed":"Check failed"),r}},K=(n,e=null)=>new Di(n,e),Zk=K(Di),Oi=class extends le{constructor(e){super(),this.shape=e}check(e,t){let r=this.shape(e);return!r&&t?.extend(null,"custom prop",e?.constructor.name,"failed to check custom prop"),r}},X=n=>new Oi(n),eC=K(Oi),Dr=class extends le{constructor(e){super(),this.shape=e}check(e,t){let r=this.shape.some(i=>i===e);return!r&&t?.extend(null,this.shape.join(" | "),e.toString()),r}},wo=(...n)=>new Dr(n),mu=K(Dr),A1=RegExp.escape||(n=>n.replace(/[().|&,$^[\]]/g,e=>"\\"+e)),gu=n=>{if(Or.check(n))return[A1(n)];if(mu.check(n))return n.shape.map(e=>e+"");if(Su.check(n))return["[+-]?\\d+.?\\d*"];if(ku.check(n))return[".*"];if(go.check(n))return n.shape.map(gu).flat(1);F()},$c=class extends le{constructor(e){super(),this.shape=e,this._r=new RegExp("^"+e.map(gu).map(t=>`(${t.join("|")})`).join("")+"$")}check(e,t){let r=this._r.exec(e)!=null;return!r&&t?.extend(null,this._r.toString(),e.toString(),"String doesn't match string template."),r}};var tC=K($c),E1=Symbol("optional"),co=class extends le{constructor(e){super(),this.shape=e}check(e,t){let r=e===void 0||this.shape.check(e);return!r&&t?.extend(null,"undefined (optional)","()"),r}get[E1](){return!0}},T1=K(co),ao=class extends le{check(e,t){return t?.extend(null,"never",typeof e),!1}},nC=new ao,rC=K(ao),ho=class n extends le{constructor(e,t=!1){super(),this.shape=e,this._isPartial=t}static _dilutes=!0;get partial(){return new n(this.shape,!0)}check(e,t){return e==null?(t?.extend(null,"object","null"),!1):Cr(this.shape,(r,i)=>{let s=this._isPartial&&!Mi(e,i)||r.check(e[i],t);return!s&&t?.extend(i.toString(),r.toString(),typeof e[i],"Object property does not match"),s})}},D1=n=>new ho(n),O1=K(ho),N1=X(n=>n!=null&&(n.constructor===Object||n.constructor==null)),fo=class extends le{constructor(e,t){super(),this.shape={keys:e,values:t}}check(e,t){return e!=null&&Cr(e,(r,i)=>{let s=this.shape.keys.check(i,t);return!s&&t?.extend(i+"","Record",typeof e,s?"Key doesn't match schema":"Value doesn't match value"),s&&this.shape.values.check(r,t)})}},yu=(n,e)=>new fo(n,e),I1=K(fo),uo=class extends le{constructor(e){super(),this.shape=e}check(e,t){return e!=null&&Cr(this.shape,(r,i)=>{let s=r.check(e[i],t);return!s&&t?.extend(i.toString(),"Tuple",typeof r),s})}},R1=(...n)=>new uo(n),iC=K(uo),po=class extends le{constructor(e){super(),this.shape=e.length===1?e[0]:new Ni(e)}check(e,t){let r=Et(e)&&Ys(e,i=>this.shape.check(i));return!r&&t?.extend(null,"Array",""),r}},wu=(...n)=>new po(n),v1=K(po),_1=X(n=>Et(n)),mo=class extends le{constructor(e,t){super(),this.shape=e,this._c=t}check(e,t){let r=e instanceof this.shape&&(this._c==null||this._c(e));return!r&&t?.extend(null,this.shape.name,e?.constructor.name),r}},U1=(n,e=null)=>new mo(n,e),sC=K(mo),V1=U1(le),qc=class extends le{constructor(e){super(),this.len=e.length-1,this.args=R1(...e.slice(-1)),this.res=e[this.len]}check(e,t){let r=e.constructor===Function&&e.length<=this.len;return!r&&t?.extend(null,"function",typeof e),r}};var B1=K(qc),P1=X(n=>typeof n=="function"),Hc=class extends le{constructor(e){super(),this.shape=e}check(e,t){let r=Ys(this.shape,i=>i.check(e,t));return!r&&t?.extend(null,"Intersectinon",typeof e),r}};var oC=K(Hc,n=>n.shape.length>0),Ni=class extends le{static _dilutes=!0;constructor(e){super(),this.shape=e}check(e,t){let r=pi(this.shape,i=>i.check(e,t));return t?.extend(null,"Union",typeof e),r}},Nr=(...n)=>n.findIndex(e=>go.check(e))>=0?Nr(...n.map(e=>Ii(e)).map(e=>go.check(e)?e.shape:[e]).flat(1)):n.length===1?n[0]:new Ni(n),go=K(Ni),bu=()=>!0,yo=X(bu),L1=K(Oi,n=>n.shape===bu),jc=X(n=>typeof n=="bigint"),z1=X(n=>n===jc),xu=X(n=>typeof n=="symbol"),lC=X(n=>n===xu),Tr=X(n=>typeof n=="number"),Su=X(n=>n===Tr),Or=X(n=>typeof n=="string"),ku=X(n=>n===Or),bo=X(n=>typeof n=="boolean"),F1=X(n=>n===bo),Cu=wo(void 0),cC=K(Dr,n=>n.shape.length===1&&n.shape[0]===void 0),aC=wo(void 0);var xo=wo(null),$1=K(Dr,n=>n.shape.length===1&&n.shape[0]===null),hC=K(Uint8Array),fC=K(Di,n=>n.shape===Uint8Array),q1=Nr(Tr,Or,xo,Cu,jc,bo,xu),dC=(()=>{let n=wu(yo),e=yu(Or,yo),t=Nr(Tr,Or,xo,bo,n,e);return n.shape=t,e.shape.values=t,t})(),Ii=n=>{if(V1.check(n))return n;if(N1.check(n)){let e={};for(let t in n)e[t]=Ii(n[t]);return D1(e)}else{if(_1.check(n))return Nr(...n.map(Ii));if(q1.check(n))return wo(n);if(P1.check(n))return K(n)}F()},pu=su?()=>{}:(n,e)=>{let t=new zc;if(!e.check(n,t))throw ve(`Expected value to be of type ${e.constructor.name}.
-${t.toString()}`)},Jc=class{constructor(e){this.patterns=[],this.$state=e}if(e,t){return this.patterns.push({if:Ii(e),h:t}),this}else(e){return this.if(yo,e)}done(){return(e,t)=>{for(let r=0;r<this.patterns.length;r++){let i=this.patterns[r];if(i.if.check(e))return i.h(e,t)}throw ve("Unhandled pattern")}}},H1=n=>new Jc(n),Mu=H1(yo).if(Su,(n,e)=>oo(e,wc,fr)).if(ku,(n,e)=>uu(e)).if(F1,(n,e)=>Bc(e)).if(z1,(n,e)=>BigInt(oo(e,wc,fr))).if(go,(n,e)=>Er(e,lo(e,n.shape))).if(O1,(n,e)=>{let t={};for(let r in n.shape){let i=n.shape[r];if(T1.check(i)){if(Bc(e))continue;i=i.shape}t[r]=Mu(i,e)}return t}).if(v1,(n,e)=>{let t=[],r=Pc(e,0,42);for(let i=0;i<r;i++)t.push(Er(e,n.shape));return t}).if(mu,(n,e)=>lo(e,n.shape)).if($1,(n,e)=>null).if(B1,(n,e)=>{let t=Er(e,n.res);return()=>t}).if(L1,(n,e)=>Er(e,lo(e,[Tr,Or,xo,Cu,jc,bo,wu(Tr),yu(Nr("a","b","c"),Tr)]))).if(I1,(n,e)=>{let t={},r=oo(e,0,3);for(let i=0;i<r;i++){let s=Er(e,n.shape.keys),o=Er(e,n.shape.values);t[s]=o}return t}).done(),Er=(n,e)=>Mu(Ii(e),n);var Dt=typeof document<"u"?document:{};var uC=X(n=>n.nodeType===Y1);var pC=typeof DOMParser<"u"?new DOMParser:null;var mC=X(n=>n.nodeType===j1);var gC=X(n=>n.nodeType===W1);var Au=n=>Nd(n,(e,t)=>`${t}:${e};`).join("");var j1=Dt.ELEMENT_NODE,W1=Dt.TEXT_NODE,yC=Dt.CDATA_SECTION_NODE,wC=Dt.COMMENT_NODE,K1=Dt.DOCUMENT_NODE,bC=Dt.DOCUMENT_TYPE_NODE,Y1=Dt.DOCUMENT_FRAGMENT_NODE,xC=X(n=>n.nodeType===K1);var So=n=>class{constructor(t){this._=t}destroy(){n(this._)}},G1=So(clearTimeout),Ri=(n,e)=>new G1(setTimeout(e,n)),kC=So(clearInterval);var CC=So(n=>typeof requestAnimationFrame<"u"&&cancelAnimationFrame(n));var MC=So(n=>typeof cancelIdleCallback<"u"&&cancelIdleCallback(n));var lt=Symbol;var vi=lt(),_i=lt(),Wc=lt(),Kc=lt(),Yc=lt(),Ui=lt(),Gc=lt(),Ir=lt(),Xc=lt(),Du=n=>{n.length===1&&n[0]?.constructor===Function&&(n=n[0]());let e=[],t=[],r=0;for(;r<n.length;r++){let i=n[r];if(i===void 0)break;if(i.constructor===String||i.constructor===Number)e.push(i);else if(i.constructor===Object)break}for(r>0&&t.push(e.join(""));r<n.length;r++){let i=n[r];i instanceof Symbol||t.push(i)}return t};var AC=_e();var Z1={[vi]:ot("font-weight","bold"),[_i]:ot("font-weight","normal"),[Wc]:ot("color","blue"),[Yc]:ot("color","green"),[Kc]:ot("color","grey"),[Ui]:ot("color","red"),[Gc]:ot("color","purple"),[Ir]:ot("color","orange"),[Xc]:ot("color","black")},eb=n=>{n.length===1&&n[0]?.constructor===Function&&(n=n[0]());let e=[],t=[],r=_(),i=[],s=0;for(;s<n.length;s++){let o=n[s],l=Z1[o];if(l!==void 0)r.set(l.left,l.right);else{if(o===void 0)break;if(o.constructor===String||o.constructor===Number){let c=Au(r);s>0||c.length>0?(e.push("%c"+o),t.push(c)):e.push(o)}else break}}for(s>0&&(i=t,i.unshift(e.join("")));s<n.length;s++){let o=n[s];o instanceof Symbol||i.push(o)}return i},Ou=ou?eb:Du,ko=(...n)=>{console.log(...Ou(n)),Nu.forEach(e=>e.print(n))},Qc=(...n)=>{console.warn(...Ou(n)),n.unshift(Ir),Nu.forEach(e=>e.print(n))};var Nu=Te();var Iu=n=>({[Symbol.iterator](){return this},next:n}),Ru=(n,e)=>Iu(()=>{let t;do t=n.next();while(!t.done&&!e(t.value));return t}),Co=(n,e)=>Iu(()=>{let{done:t,value:r}=n.next();return{done:t,value:t?void 0:e(r)}});var ea=class extends ar{constructor(e,t){super(),this.doc=e,this.awareness=t}},Bi=class{constructor(e,t){this.clock=e,this.len=t}},Xt=class{constructor(){this.clients=new Map}},ct=(n,e,t)=>e.clients.forEach((r,i)=>{let s=n.doc.store.clients.get(i);if(s!=null){let o=s[s.length-1],l=o.id.clock+o.length;for(let c=0,a=r[c];c<r.length&&a.clock<l;a=r[++c])ip(n,s,a.clock,a.len,t)}}),sb=(n,e)=>{let t=0,r=n.length-1;for(;t<=r;){let i=Y((t+r)/2),s=n[i],o=s.clock;if(o<=e){if(e<o+s.len)return i;t=i+1}else r=i-1}return null},Rt=(n,e)=>{let t=n.clients.get(e.client);return t!==void 0&&sb(t,e.clock)!==null},ha=n=>{n.clients.forEach(e=>{e.sort((i,s)=>i.clock-s.clock);let t,r;for(t=1,r=1;t<e.length;t++){let i=e[r-1],s=e[t];i.clock+i.len>=s.clock?i.len=$e(i.len,s.clock+s.len-i.clock):(r<t&&(e[r]=s),r++)}e.length=r})},In=n=>{let e=new Xt;for(let t=0;t<n.length;t++)n[t].clients.forEach((r,i)=>{if(!e.clients.has(i)){let s=r.slice();for(let o=t+1;o<n.length;o++)Rd(s,n[o].clients.get(i)||[]);e.clients.set(i,s)}});return ha(e),e},Pi=(n,e,t,r)=>{W(n.clients,e,()=>[]).push(new Bi(t,r))},Ur=()=>new Xt,fa=n=>{let e=Ur();return n.clients.forEach((t,r)=>{let i=[];for(let s=0;s<t.length;s++){let o=t[s];if(o.deleted){let l=o.id.clock,c=o.length;if(s+1<t.length)for(let a=t[s+1];s+1<t.length&&a.deleted;a=t[++s+1])c+=a.length;i.push(new Bi(l,c))}}i.length>0&&e.clients.set(r,i)}),e},at=(n,e)=>{x(n.restEncoder,e.clients.size),Xe(e.clients.entries()).sort((t,r)=>r[0]-t[0]).forEach(([t,r])=>{n.resetDsCurVal(),x(n.restEncoder,t);let i=r.length;x(n.restEncoder,i);for(let s=0;s<i;s++){let o=r[s];n.writeDsClock(o.clock),n.writeDsLen(o.len)}})},Nt=n=>{let e=new Xt,t=C(n.restDecoder);for(let r=0;r<t;r++){n.resetDsCurVal();let i=C(n.restDecoder),s=C(n.restDecoder);if(s>0){let o=W(e.clients,i,()=>[]);for(let l=0;l<s;l++)o.push(new Bi(n.readDsClock(),n.readDsLen()))}}return e},Uu=(n,e,t)=>{let r=new Xt,i=C(n.restDecoder);for(let s=0;s<i;s++){n.resetDsCurVal();let o=C(n.restDecoder),l=C(n.restDecoder),c=t.clients.get(o)||[],a=B(t,o);for(let h=0;h<l;h++){let f=n.readDsClock(),d=f+n.readDsLen();if(f<a){a<d&&Pi(r,o,a,d-a);let u=je(c,f),p=c[u];for(!p.deleted&&p.id.clock<f&&(c.splice(u+1,0,Lo(e,p,f-p.id.clock)),u++);u<c.length&&(p=c[u++],p.id.clock<d);)p.deleted||(d<p.id.clock+p.length&&c.splice(u,0,Lo(e,p,d-p.id.clock)),p.delete(e))}else Pi(r,o,f,d-f)}}if(r.clients.size>0){let s=new Ue;return x(s.restEncoder,0),at(s,r),s.toUint8Array()}return null},Gu=(n,e)=>{if(n.clients.size!==e.clients.size)return!1;for(let[t,r]of n.clients.entries()){let i=e.clients.get(t);if(i===void 0||r.length!==i.length)return!1;for(let s=0;s<r.length;s++){let o=r[s],l=i[s];if(o.clock!==l.clock||o.len!==l.len)return!1}}return!0},Xu=Ac,Je=class n extends ar{constructor({guid:e=jd(),collectionid:t=null,gc:r=!0,gcFilter:i=()=>!0,meta:s=null,autoLoad:o=!1,shouldLoad:l=!0}={}){super(),this.gc=r,this.gcFilter=i,this.clientID=Xu(),this.guid=e,this.collectionid=t,this.share=new Map,this.store=new Io,this._transaction=null,this._transactionCleanups=[],this.subdocs=new Set,this._item=null,this.shouldLoad=l,this.autoLoad=o,this.meta=s,this.isLoaded=!1,this.isSynced=!1,this.isDestroyed=!1,this.whenLoaded=Ec(a=>{this.on("load",()=>{this.isLoaded=!0,a(this)})});let c=()=>Ec(a=>{let h=f=>{(f===void 0||f===!0)&&(this.off("sync",h),a())};this.on("sync",h)});this.on("sync",a=>{a===!1&&this.isSynced&&(this.whenSynced=c()),this.isSynced=a===void 0||a===!0,this.isSynced&&!this.isLoaded&&this.emit("load",[this])}),this.whenSynced=c()}load(){let e=this._item;e!==null&&!this.shouldLoad&&R(e.parent.doc,t=>{t.subdocsLoaded.add(this)},null,!0),this.shouldLoad=!0}getSubdocs(){return this.subdocs}getSubdocGuids(){return new Set(Xe(this.subdocs).map(e=>e.guid))}transact(e,t=null){return R(this,e,t)}get(e,t=H){let r=W(this.share,e,()=>{let s=new t;return s._integrate(this,null),s}),i=r.constructor;if(t!==H&&i!==t)if(i===H){let s=new t;s._map=r._map,r._map.forEach(o=>{for(;o!==null;o=o.left)o.parent=s}),s._start=r._start;for(let o=s._start;o!==null;o=o.right)o.parent=s;return s._length=r._length,this.share.set(e,s),s._integrate(this,null),s}else throw new Error(`Type with the name ${e} has already been defined with a different constructor`);return r}getArray(e=""){return this.get(e,Vn)}getText(e=""){return this.get(e,ut)}getMap(e=""){return this.get(e,Bn)}getXmlElement(e=""){return this.get(e,ne)}getXmlFragment(e=""){return this.get(e,pt)}toJSON(){let e={};return this.share.forEach((t,r)=>{e[r]=t.toJSON()}),e}destroy(){this.isDestroyed=!0,Xe(this.subdocs).forEach(t=>t.destroy());let e=this._item;if(e!==null){this._item=null;let t=e.content;t.doc=new n({guid:this.guid,...t.opts,shouldLoad:!1}),t.doc._item=e,R(e.parent.doc,r=>{let i=t.doc;e.deleted||r.subdocsAdded.add(i),r.subdocsRemoved.add(this)},null,!0)}this.emit("destroyed",[!0]),this.emit("destroy",[this]),super.destroy()}},Rn=class{constructor(e){this.restDecoder=e}resetDsCurVal(){}readDsClock(){return C(this.restDecoder)}readDsLen(){return C(this.restDecoder)}},De=class extends Rn{readLeftID(){return M(C(this.restDecoder),C(this.restDecoder))}readRightID(){return M(C(this.restDecoder),C(this.restDecoder))}readClient(){return C(this.restDecoder)}readInfo(){return En(this.restDecoder)}readString(){return He(this.restDecoder)}readParentInfo(){return C(this.restDecoder)===1}readTypeRef(){return C(this.restDecoder)}readLen(){return C(this.restDecoder)}readAny(){return Sr(this.restDecoder)}readBuf(){return fu(G(this.restDecoder))}readJSON(){return JSON.parse(He(this.restDecoder))}readKey(){return He(this.restDecoder)}},Oo=class{constructor(e){this.dsCurrVal=0,this.restDecoder=e}resetDsCurVal(){this.dsCurrVal=0}readDsClock(){return this.dsCurrVal+=C(this.restDecoder),this.dsCurrVal}readDsLen(){let e=C(this.restDecoder)+1;return this.dsCurrVal+=e,e}},Ce=class extends Oo{constructor(e){super(e),this.keys=[],C(e),this.keyClockDecoder=new kr(G(e)),this.clientDecoder=new Tn(G(e)),this.leftClockDecoder=new kr(G(e)),this.rightClockDecoder=new kr(G(e)),this.infoDecoder=new xi(G(e),En),this.stringDecoder=new to(G(e)),this.parentInfoDecoder=new xi(G(e),En),this.typeRefDecoder=new Tn(G(e)),this.lenDecoder=new Tn(G(e))}readLeftID(){return new Ot(this.clientDecoder.read(),this.leftClockDecoder.read())}readRightID(){return new Ot(this.clientDecoder.read(),this.rightClockDecoder.read())}readClient(){return this.clientDecoder.read()}readInfo(){return this.infoDecoder.read()}readString(){return this.stringDecoder.read()}readParentInfo(){return this.parentInfoDecoder.read()===1}readTypeRef(){return this.typeRefDecoder.read()}readLen(){return this.lenDecoder.read()}readAny(){return Sr(this.restDecoder)}readBuf(){return G(this.restDecoder)}readJSON(){return Sr(this.restDecoder)}readKey(){let e=this.keyClockDecoder.read();if(e<this.keys.length)return this.keys[e];{let t=this.stringDecoder.read();return this.keys.push(t),t}}},Qt=class{constructor(){this.restEncoder=$()}toUint8Array(){return I(this.restEncoder)}resetDsCurVal(){}writeDsClock(e){x(this.restEncoder,e)}writeDsLen(e){x(this.restEncoder,e)}},ht=class extends Qt{writeLeftID(e){x(this.restEncoder,e.client),x(this.restEncoder,e.clock)}writeRightID(e){x(this.restEncoder,e.client),x(this.restEncoder,e.clock)}writeClient(e){x(this.restEncoder,e)}writeInfo(e){wr(this.restEncoder,e)}writeString(e){it(this.restEncoder,e)}writeParentInfo(e){x(this.restEncoder,e?1:0)}writeTypeRef(e){x(this.restEncoder,e)}writeLen(e){x(this.restEncoder,e)}writeAny(e){gr(this.restEncoder,e)}writeBuf(e){U(this.restEncoder,e)}writeJSON(e){it(this.restEncoder,JSON.stringify(e))}writeKey(e){it(this.restEncoder,e)}},Rr=class{constructor(){this.restEncoder=$(),this.dsCurrVal=0}toUint8Array(){return I(this.restEncoder)}resetDsCurVal(){this.dsCurrVal=0}writeDsClock(e){let t=e-this.dsCurrVal;this.dsCurrVal=e,x(this.restEncoder,t)}writeDsLen(e){e===0&&F(),x(this.restEncoder,e-1),this.dsCurrVal+=e}},Ue=class extends Rr{constructor(){super(),this.keyMap=new Map,this.keyClock=0,this.keyClockEncoder=new yr,this.clientEncoder=new An,this.leftClockEncoder=new yr,this.rightClockEncoder=new yr,this.infoEncoder=new yi(wr),this.stringEncoder=new Qs,this.parentInfoEncoder=new yi(wr),this.typeRefEncoder=new An,this.lenEncoder=new An}toUint8Array(){let e=$();return x(e,0),U(e,this.keyClockEncoder.toUint8Array()),U(e,this.clientEncoder.toUint8Array()),U(e,this.leftClockEncoder.toUint8Array()),U(e,this.rightClockEncoder.toUint8Array()),U(e,I(this.infoEncoder)),U(e,this.stringEncoder.toUint8Array()),U(e,I(this.parentInfoEncoder)),U(e,this.typeRefEncoder.toUint8Array()),U(e,this.lenEncoder.toUint8Array()),br(e,I(this.restEncoder)),I(e)}writeLeftID(e){this.clientEncoder.write(e.client),this.leftClockEncoder.write(e.clock)}writeRightID(e){this.clientEncoder.write(e.client),this.rightClockEncoder.write(e.clock)}writeClient(e){this.clientEncoder.write(e)}writeInfo(e){this.infoEncoder.write(e)}writeString(e){this.stringEncoder.write(e)}writeParentInfo(e){this.parentInfoEncoder.write(e?1:0)}writeTypeRef(e){this.typeRefEncoder.write(e)}writeLen(e){this.lenEncoder.write(e)}writeAny(e){gr(this.restEncoder,e)}writeBuf(e){U(this.restEncoder,e)}writeJSON(e){gr(this.restEncoder,e)}writeKey(e){let t=this.keyMap.get(e);t===void 0?(this.keyClockEncoder.write(this.keyClock++),this.stringEncoder.write(e)):this.keyClockEncoder.write(t)}},ob=(n,e,t,r)=>{r=$e(r,e[0].id.clock);let i=je(e,r);x(n.restEncoder,e.length-i),n.writeClient(t),x(n.restEncoder,r);let s=e[i];s.write(n,r-s.id.clock);for(let o=i+1;o<e.length;o++)e[o].write(n,0)},da=(n,e,t)=>{let r=new Map;t.forEach((i,s)=>{B(e,s)>i&&r.set(s,i)}),Yi(e).forEach((i,s)=>{t.has(s)||r.set(s,0)}),x(n.restEncoder,r.size),Xe(r.entries()).sort((i,s)=>s[0]-i[0]).forEach(([i,s])=>{ob(n,e.clients.get(i),i,s)})},lb=(n,e)=>{let t=_(),r=C(n.restDecoder);for(let i=0;i<r;i++){let s=C(n.restDecoder),o=new Array(s),l=n.readClient(),c=C(n.restDecoder);t.set(l,{i:0,refs:o});for(let a=0;a<s;a++){let h=n.readInfo();switch(31&h){case 0:{let f=n.readLen();o[a]=new ye(M(l,c),f),c+=f;break}case 10:{let f=C(n.restDecoder);o[a]=new ce(M(l,c),f),c+=f;break}default:{let f=(h&192)===0,d=new O(M(l,c),null,(h&128)===128?n.readLeftID():null,null,(h&64)===64?n.readRightID():null,f?n.readParentInfo()?e.get(n.readString()):n.readLeftID():null,f&&(h&32)===32?n.readString():null,Up(n,h));o[a]=d,c+=d.length}}}}return t},cb=(n,e,t)=>{let r=[],i=Xe(t.keys()).sort((u,p)=>u-p);if(i.length===0)return null;let s=()=>{if(i.length===0)return null;let u=t.get(i[i.length-1]);for(;u.refs.length===u.i;)if(i.pop(),i.length>0)u=t.get(i[i.length-1]);else return null;return u},o=s();if(o===null)return null;let l=new Io,c=new Map,a=(u,p)=>{let m=c.get(u);(m==null||m>p)&&c.set(u,p)},h=o.refs[o.i++],f=new Map,d=()=>{for(let u of r){let p=u.id.client,m=t.get(p);m?(m.i--,l.clients.set(p,m.refs.slice(m.i)),t.delete(p),m.i=0,m.refs=[]):l.clients.set(p,[u]),i=i.filter(g=>g!==p)}r.length=0};for(;;){if(h.constructor!==ce){let p=W(f,h.id.client,()=>B(e,h.id.client))-h.id.clock;if(p<0)r.push(h),a(h.id.client,h.id.clock-1),d();else{let m=h.getMissing(n,e);if(m!==null){r.push(h);let g=t.get(m)||{refs:[],i:0};if(g.refs.length===g.i)a(m,B(e,m)),d();else{h=g.refs[g.i++];continue}}else(p===0||p<h.length)&&(h.integrate(n,p),f.set(h.id.client,h.id.clock+h.length))}}if(r.length>0)h=r.pop();else if(o!==null&&o.i<o.refs.length)h=o.refs[o.i++];else{if(o=s(),o===null)break;h=o.refs[o.i++]}}if(l.clients.size>0){let u=new Ue;return da(u,l,new Map),x(u.restEncoder,0),{missing:c,update:u.toUint8Array()}}return null},ab=(n,e)=>da(n,e.doc.store,e.beforeState),ua=(n,e,t,r=new Ce(n))=>R(e,i=>{i.local=!1;let s=!1,o=i.doc,l=o.store,c=lb(r,o),a=cb(i,l,c),h=l.pendingStructs;if(h){for(let[d,u]of h.missing)if(u<B(l,d)){s=!0;break}if(a){for(let[d,u]of a.missing){let p=h.missing.get(d);(p==null||p>u)&&h.missing.set(d,u)}h.update=zi([h.update,a.update])}}else l.pendingStructs=a;let f=Uu(r,i,l);if(l.pendingDs){let d=new Ce(q(l.pendingDs));C(d.restDecoder);let u=Uu(d,i,l);f&&u?l.pendingDs=zi([f,u]):l.pendingDs=f||u}else l.pendingDs=f;if(s){let d=l.pendingStructs.update;l.pendingStructs=null,zn(i.doc,d)}},t,!1),hb=(n,e,t)=>ua(n,e,t,new De(n)),zn=(n,e,t,r=Ce)=>{let i=q(e);ua(i,n,t,new r(i))},pa=(n,e,t)=>zn(n,e,t,De),fb=(n,e,t=new Map)=>{da(n,e.store,t),at(n,fa(e.store))},Qu=(n,e=new Uint8Array([0]),t=new Ue)=>{let r=ga(e);fb(t,n,r);let i=[t.toUint8Array()];if(n.store.pendingDs&&i.push(n.store.pendingDs),n.store.pendingStructs&&i.push(xa(n.store.pendingStructs.update,e)),i.length>1){if(t.constructor===ht)return hp(i.map((s,o)=>o===0?s:mp(s)));if(t.constructor===Ue)return zi(i)}return i[0]},ma=(n,e)=>Qu(n,e,new ht),Zu=n=>{let e=new Map,t=C(n.restDecoder);for(let r=0;r<t;r++){let i=C(n.restDecoder),s=C(n.restDecoder);e.set(i,s)}return e},ga=n=>Zu(new Rn(q(n))),ya=(n,e)=>(x(n.restEncoder,e.size),Xe(e.entries()).sort((t,r)=>r[0]-t[0]).forEach(([t,r])=>{x(n.restEncoder,t),x(n.restEncoder,r)}),n),db=(n,e)=>ya(n,Yi(e.store)),ub=(n,e=new Rr)=>(n instanceof Map?ya(e,n):db(e,n),e.toUint8Array()),wa=n=>ub(n,new Qt),ta=class{constructor(){this.l=[]}},Vu=()=>new ta,Bu=(n,e)=>n.l.push(e),Pu=(n,e)=>{let t=n.l,r=t.length;n.l=t.filter(i=>e!==i),r===n.l.length&&console.error("[yjs] Tried to remove event handler that doesn't exist.")},ep=(n,e,t)=>Ei(n.l,[e,t]),Ot=class{constructor(e,t){this.client=e,this.clock=t}},On=(n,e)=>n===e||n!==null&&e!==null&&n.client===e.client&&n.clock===e.clock,M=(n,e)=>new Ot(n,e),Lu=(n,e)=>{x(n,e.client),x(n,e.clock)},zu=n=>M(C(n),C(n)),Fn=n=>{for(let[e,t]of n.doc.share.entries())if(t===n)return e;throw F()},vn=(n,e)=>{for(;e!==null;){if(e.parent===n)return!0;e=e.parent._item}return!1},pb=n=>{let e=[],t=n._start;for(;t;)e.push(t),t=t.right;console.log("Children: ",e),console.log("Children content: ",e.filter(r=>!r.deleted).map(r=>r.content))},na=class{constructor(e,t=e.getMap("users")){let r=new Map;this.yusers=t,this.doc=e,this.clients=new Map,this.dss=r;let i=(s,o)=>{let l=s.get("ds"),c=s.get("ids"),a=h=>this.clients.set(h,o);l.observe(h=>{h.changes.added.forEach(f=>{f.content.getContent().forEach(d=>{d instanceof Uint8Array&&this.dss.set(o,In([this.dss.get(o)||Ur(),Nt(new Rn(q(d)))]))})})}),this.dss.set(o,In(l.map(h=>Nt(new Rn(q(h)))))),c.observe(h=>h.changes.added.forEach(f=>f.content.getContent().forEach(a))),c.forEach(a)};t.observe(s=>{s.keysChanged.forEach(o=>i(t.get(o),o))}),t.forEach(i)}setUserMapping(e,t,r,{filter:i=()=>!0}={}){let s=this.yusers,o=s.get(r);o||(o=new Bn,o.set("ids",new Vn),o.set("ds",new Vn),s.set(r,o)),o.get("ids").push([t]),s.observe(l=>{setTimeout(()=>{let c=s.get(r);if(c!==o){o=c,this.clients.forEach((f,d)=>{r===f&&o.get("ids").push([d])});let a=new Qt,h=this.dss.get(r);h&&(at(a,h),o.get("ds").push([a.toUint8Array()]))}},0)}),e.on("afterTransaction",l=>{setTimeout(()=>{let c=o.get("ds"),a=l.deleteSet;if(l.local&&a.clients.size>0&&i(l,a)){let h=new Qt;at(h,a),c.push([h.toUint8Array()])}})})}getUserByClientId(e){return this.clients.get(e)||null}getUserByDeletedId(e){for(let[t,r]of this.dss.entries())if(Rt(r,e))return t;return null}},ft=class{constructor(e,t,r,i=0){this.type=e,this.tname=t,this.item=r,this.assoc=i}},mb=n=>{let e={};return n.type&&(e.type=n.type),n.tname&&(e.tname=n.tname),n.item&&(e.item=n.item),n.assoc!=null&&(e.assoc=n.assoc),e},$n=n=>new ft(n.type==null?null:M(n.type.client,n.type.clock),n.tname??null,n.item==null?null:M(n.item.client,n.item.clock),n.assoc==null?0:n.assoc),No=class{constructor(e,t,r=0){this.type=e,this.index=t,this.assoc=r}},gb=(n,e,t=0)=>new No(n,e,t),Mo=(n,e,t)=>{let r=null,i=null;return n._item===null?i=Fn(n):r=M(n._item.id.client,n._item.id.clock),new ft(r,i,e,t)},ji=(n,e,t=0)=>{let r=n._start;if(t<0){if(e===0)return Mo(n,null,t);e--}for(;r!==null;){if(!r.deleted&&r.countable){if(r.length>e)return Mo(n,M(r.id.client,r.id.clock+e),t);e-=r.length}if(r.right===null&&t<0)return Mo(n,r.lastId,t);r=r.right}return Mo(n,null,t)},yb=(n,e)=>{let{type:t,tname:r,item:i,assoc:s}=e;if(i!==null)x(n,0),Lu(n,i);else if(r!==null)wr(n,1),it(n,r);else if(t!==null)wr(n,2),Lu(n,t);else throw F();return wi(n,s),n},wb=n=>{let e=$();return yb(e,n),I(e)},bb=n=>{let e=null,t=null,r=null;switch(C(n)){case 0:r=zu(n);break;case 1:t=He(n);break;case 2:e=zu(n)}let i=Cc(n)?Si(n):0;return new ft(e,t,r,i)},xb=n=>bb(q(n)),Sb=(n,e)=>{let t=Nn(n,e),r=e.clock-t.id.clock;return{item:t,diff:r}},ba=(n,e,t=!0)=>{let r=e.store,i=n.item,s=n.type,o=n.tname,l=n.assoc,c=null,a=0;if(i!==null){if(B(r,i.client)<=i.clock)return null;let h=t?ca(r,i):Sb(r,i),f=h.item;if(!(f instanceof O))return null;if(c=f.parent,c._item===null||!c._item.deleted){a=f.deleted||!f.countable?0:h.diff+(l>=0?0:1);let d=f.left;for(;d!==null;)!d.deleted&&d.countable&&(a+=d.length),d=d.left}}else{if(o!==null)c=e.get(o);else if(s!==null){if(B(r,s.client)<=s.clock)return null;let{item:h}=t?ca(r,s):{item:Nn(r,s)};if(h instanceof O&&h.content instanceof Oe)c=h.content.type;else return null}else throw F();l>=0?a=c._length:a=0}return gb(c,a,n.assoc)},zo=(n,e)=>n===e||n!==null&&e!==null&&n.tname===e.tname&&On(n.item,e.item)&&On(n.type,e.type)&&n.assoc===e.assoc,Zt=class{constructor(e,t){this.ds=e,this.sv=t}},kb=(n,e)=>{let t=n.ds.clients,r=e.ds.clients,i=n.sv,s=e.sv;if(i.size!==s.size||t.size!==r.size)return!1;for(let[o,l]of i.entries())if(s.get(o)!==l)return!1;for(let[o,l]of t.entries()){let c=r.get(o)||[];if(l.length!==c.length)return!1;for(let a=0;a<l.length;a++){let h=l[a],f=c[a];if(h.clock!==f.clock||h.len!==f.len)return!1}}return!0},tp=(n,e=new Rr)=>(at(e,n.ds),ya(e,n.sv),e.toUint8Array()),Cb=n=>tp(n,new Qt),np=(n,e=new Oo(q(n)))=>new Zt(Nt(e),Zu(e)),Mb=n=>np(n,new Rn(q(n))),Wi=(n,e)=>new Zt(n,e),Ab=Wi(Ur(),new Map),Ki=n=>Wi(fa(n.store),Yi(n.store)),Kt=(n,e)=>e===void 0?!n.deleted:e.sv.has(n.id.client)&&(e.sv.get(n.id.client)||0)>n.id.clock&&!Rt(e.ds,n.id),ra=(n,e)=>{let t=W(n.meta,ra,Te),r=n.doc.store;t.has(e)||(e.sv.forEach((i,s)=>{i<B(r,s)&&ge(n,M(s,i))}),ct(n,e.ds,i=>{}),t.add(e))},Eb=(n,e,t=new Je)=>{if(n.gc)throw new Error("Garbage-collection must be disabled in `originDoc`!");let{sv:r,ds:i}=e,s=new Ue;return n.transact(o=>{let l=0;r.forEach(c=>{c>0&&l++}),x(s.restEncoder,l);for(let[c,a]of r){if(a===0)continue;a<B(n.store,c)&&ge(o,M(c,a));let h=n.store.clients.get(c)||[],f=je(h,a-1);x(s.restEncoder,f+1),s.writeClient(c),x(s.restEncoder,0);for(let d=0;d<=f;d++)h[d].write(s,0)}at(s,i)}),zn(t,s.toUint8Array(),"snapshot"),t},Tb=(n,e,t=Ce)=>{let r=new t(q(e)),i=new dt(r,!1);for(let o=i.curr;o!==null;o=i.next())if((n.sv.get(o.id.client)||0)<o.id.clock+o.length)return!1;let s=In([n.ds,Nt(r)]);return Gu(n.ds,s)},Db=(n,e)=>Tb(n,e,De),Io=class{constructor(){this.clients=new Map,this.pendingStructs=null,this.pendingDs=null}},Yi=n=>{let e=new Map;return n.clients.forEach((t,r)=>{let i=t[t.length-1];e.set(r,i.id.clock+i.length)}),e},B=(n,e)=>{let t=n.clients.get(e);if(t===void 0)return 0;let r=t[t.length-1];return r.id.clock+r.length},rp=(n,e)=>{let t=n.clients.get(e.id.client);if(t===void 0)t=[],n.clients.set(e.id.client,t);else{let r=t[t.length-1];if(r.id.clock+r.length!==e.id.clock)throw F()}t.push(e)},je=(n,e)=>{let t=0,r=n.length-1,i=n[r],s=i.id.clock;if(s===e)return r;let o=Y(e/(s+i.length-1)*r);for(;t<=r;){if(i=n[o],s=i.id.clock,s<=e){if(e<s+i.length)return o;t=o+1}else r=o-1;o=Y((t+r)/2)}throw F()},Ob=(n,e)=>{let t=n.clients.get(e.client);return t[je(t,e.clock)]},Nn=Ob,ia=(n,e,t)=>{let r=je(e,t),i=e[r];return i.id.clock<t&&i instanceof O?(e.splice(r+1,0,Lo(n,i,t-i.id.clock)),r+1):r},ge=(n,e)=>{let t=n.doc.store.clients.get(e.client);return t[ia(n,t,e.clock)]},sa=(n,e,t)=>{let r=e.clients.get(t.client),i=je(r,t.clock),s=r[i];return t.clock!==s.id.clock+s.length-1&&s.constructor!==ye&&r.splice(i+1,0,Lo(n,s,t.clock-s.id.clock+1)),s},Nb=(n,e,t)=>{let r=n.clients.get(e.id.client);r[je(r,e.id.clock)]=t},ip=(n,e,t,r,i)=>{if(r===0)return;let s=t+r,o=ia(n,e,t),l;do l=e[o++],s<l.id.clock+l.length&&ia(n,e,s),i(l);while(o<e.length&&e[o].id.clock<s)},Ro=class{constructor(e,t,r){this.doc=e,this.deleteSet=new Xt,this.beforeState=Yi(e.store),this.afterState=new Map,this.changed=new Map,this.changedParentTypes=new Map,this._mergeStructs=[],this.origin=t,this.meta=new Map,this.local=r,this.subdocsAdded=new Set,this.subdocsRemoved=new Set,this.subdocsLoaded=new Set,this._needFormattingCleanup=!1}},Fu=(n,e)=>e.deleteSet.clients.size===0&&!Id(e.afterState,(t,r)=>e.beforeState.get(r)!==t)?!1:(ha(e.deleteSet),ab(n,e),at(n,e.deleteSet),!0),$u=(n,e,t)=>{let r=e._item;(r===null||r.id.clock<(n.beforeState.get(r.id.client)||0)&&!r.deleted)&&W(n.changed,e,Te).add(t)},To=(n,e)=>{let t=n[e],r=n[e-1],i=e;for(;i>0;t=r,r=n[--i-1]){if(r.deleted===t.deleted&&r.constructor===t.constructor&&r.mergeWith(t)){t instanceof O&&t.parentSub!==null&&t.parent._map.get(t.parentSub)===t&&t.parent._map.set(t.parentSub,r);continue}break}let s=e-i;return s&&n.splice(e+1-s,s),s},sp=(n,e,t)=>{for(let[r,i]of n.clients.entries()){let s=e.clients.get(r);for(let o=i.length-1;o>=0;o--){let l=i[o],c=l.clock+l.len;for(let a=je(s,l.clock),h=s[a];a<s.length&&h.id.clock<c;h=s[++a]){let f=s[a];if(l.clock+l.len<=f.id.clock)break;f instanceof O&&f.deleted&&!f.keep&&t(f)&&f.gc(e,!1)}}}},op=(n,e)=>{n.clients.forEach((t,r)=>{let i=e.clients.get(r);for(let s=t.length-1;s>=0;s--){let o=t[s],l=Re(i.length-1,1+je(i,o.clock+o.len-1));for(let c=l,a=i[c];c>0&&a.id.clock>=o.clock;a=i[c])c-=1+To(i,c)}})},Ib=(n,e,t)=>{sp(n,e,t),op(n,e)},lp=(n,e)=>{if(e<n.length){let t=n[e],r=t.doc,i=r.store,s=t.deleteSet,o=t._mergeStructs;try{ha(s),t.afterState=Yi(t.doc.store),r.emit("beforeObserverCalls",[t,r]);let l=[];t.changed.forEach((c,a)=>l.push(()=>{(a._item===null||!a._item.deleted)&&a._callObserver(t,c)})),l.push(()=>{t.changedParentTypes.forEach((c,a)=>{a._dEH.l.length>0&&(a._item===null||!a._item.deleted)&&(c=c.filter(h=>h.target._item===null||!h.target._item.deleted),c.forEach(h=>{h.currentTarget=a,h._path=null}),c.sort((h,f)=>h.path.length-f.path.length),l.push(()=>{ep(a._dEH,c,t)}))}),l.push(()=>r.emit("afterTransaction",[t,r])),l.push(()=>{t._needFormattingCleanup&&Qb(t)})}),Ei(l,[])}finally{r.gc&&sp(s,i,r.gcFilter),op(s,i),t.afterState.forEach((h,f)=>{let d=t.beforeState.get(f)||0;if(d!==h){let u=i.clients.get(f),p=$e(je(u,d),1);for(let m=u.length-1;m>=p;)m-=1+To(u,m)}});for(let h=o.length-1;h>=0;h--){let{client:f,clock:d}=o[h].id,u=i.clients.get(f),p=je(u,d);p+1<u.length&&To(u,p+1)>1||p>0&&To(u,p)}if(!t.local&&t.afterState.get(r.clientID)!==t.beforeState.get(r.clientID)&&(ko(Ir,vi,"[yjs] ",_i,Ui,"Changed the client-id because another client seems to be using it."),r.clientID=Xu()),r.emit("afterTransactionCleanup",[t,r]),r._observers.has("update")){let h=new ht;Fu(h,t)&&r.emit("update",[h.toUint8Array(),t.origin,r,t])}if(r._observers.has("updateV2")){let h=new Ue;Fu(h,t)&&r.emit("updateV2",[h.toUint8Array(),t.origin,r,t])}let{subdocsAdded:l,subdocsLoaded:c,subdocsRemoved:a}=t;(l.size>0||a.size>0||c.size>0)&&(l.forEach(h=>{h.clientID=r.clientID,h.collectionid==null&&(h.collectionid=r.collectionid),r.subdocs.add(h)}),a.forEach(h=>r.subdocs.delete(h)),r.emit("subdocs",[{loaded:c,added:l,removed:a},r,t]),a.forEach(h=>h.destroy())),n.length<=e+1?(r._transactionCleanups=[],r.emit("afterAllTransactions",[r,n])):lp(n,e+1)}}},R=(n,e,t=null,r=!0)=>{let i=n._transactionCleanups,s=!1,o=null;n._transaction===null&&(s=!0,n._transaction=new Ro(n,t,r),i.push(n._transaction),i.length===1&&n.emit("beforeAllTransactions",[n]),n.emit("beforeTransaction",[n._transaction,n]));try{o=e(n._transaction)}finally{if(s){let l=n._transaction===i[0];n._transaction=null,l&&lp(i,0)}}return o},oa=class{constructor(e,t){this.insertions=t,this.deletions=e,this.meta=new Map}},qu=(n,e,t)=>{ct(n,t.deletions,r=>{r instanceof O&&e.scope.some(i=>i===n.doc||vn(i,r))&&Aa(r,!1)})},Hu=(n,e,t)=>{let r=null,i=n.doc,s=n.scope;R(i,l=>{for(;e.length>0&&n.currStackItem===null;){let c=i.store,a=e.pop(),h=new Set,f=[],d=!1;ct(l,a.insertions,u=>{if(u instanceof O){if(u.redone!==null){let{item:p,diff:m}=ca(c,u.id);m>0&&(p=ge(l,M(p.id.client,p.id.clock+m))),u=p}!u.deleted&&s.some(p=>p===l.doc||vn(p,u))&&f.push(u)}}),ct(l,a.deletions,u=>{u instanceof O&&s.some(p=>p===l.doc||vn(p,u))&&!Rt(a.insertions,u.id)&&h.add(u)}),h.forEach(u=>{d=_p(l,u,h,a.insertions,n.ignoreRemoteMapChanges,n)!==null||d});for(let u=f.length-1;u>=0;u--){let p=f[u];n.deleteFilter(p)&&(p.delete(l),d=!0)}n.currStackItem=d?a:null}l.changed.forEach((c,a)=>{c.has(null)&&a._searchMarker&&(a._searchMarker.length=0)}),r=l},n);let o=n.currStackItem;if(o!=null){let l=r.changedParentTypes;n.emit("stack-item-popped",[{stackItem:o,type:t,changedParentTypes:l,origin:n},n]),n.currStackItem=null}return o},_n=class extends ar{constructor(e,{captureTimeout:t=500,captureTransaction:r=c=>!0,deleteFilter:i=()=>!0,trackedOrigins:s=new Set([null]),ignoreRemoteMapChanges:o=!1,doc:l=Et(e)?e[0].doc:e instanceof Je?e:e.doc}={}){super(),this.scope=[],this.doc=l,this.addToScope(e),this.deleteFilter=i,s.add(this),this.trackedOrigins=s,this.captureTransaction=r,this.undoStack=[],this.redoStack=[],this.undoing=!1,this.redoing=!1,this.currStackItem=null,this.lastChange=0,this.ignoreRemoteMapChanges=o,this.captureTimeout=t,this.afterTransactionHandler=c=>{if(!this.captureTransaction(c)||!this.scope.some(g=>c.changedParentTypes.has(g)||g===this.doc)||!this.trackedOrigins.has(c.origin)&&(!c.origin||!this.trackedOrigins.has(c.origin.constructor)))return;let a=this.undoing,h=this.redoing,f=a?this.redoStack:this.undoStack;a?this.stopCapturing():h||this.clear(!1,!0);let d=new Xt;c.afterState.forEach((g,y)=>{let E=c.beforeState.get(y)||0,N=g-E;N>0&&Pi(d,y,E,N)});let u=_e(),p=!1;if(this.lastChange>0&&u-this.lastChange<this.captureTimeout&&f.length>0&&!a&&!h){let g=f[f.length-1];g.deletions=In([g.deletions,c.deleteSet]),g.insertions=In([g.insertions,d])}else f.push(new oa(c.deleteSet,d)),p=!0;!a&&!h&&(this.lastChange=u),ct(c,c.deleteSet,g=>{g instanceof O&&this.scope.some(y=>y===c.doc||vn(y,g))&&Aa(g,!0)});let m=[{stackItem:f[f.length-1],origin:c.origin,type:a?"redo":"undo",changedParentTypes:c.changedParentTypes},this];p?this.emit("stack-item-added",m):this.emit("stack-item-updated",m)},this.doc.on("afterTransaction",this.afterTransactionHandler),this.doc.on("destroy",()=>{this.destroy()})}addToScope(e){let t=new Set(this.scope);e=Et(e)?e:[e],e.forEach(r=>{t.has(r)||(t.add(r),(r instanceof H?r.doc!==this.doc:r!==this.doc)&&Qc("[yjs#509] Not same Y.Doc"),this.scope.push(r))})}addTrackedOrigin(e){this.trackedOrigins.add(e)}removeTrackedOrigin(e){this.trackedOrigins.delete(e)}clear(e=!0,t=!0){(e&&this.canUndo()||t&&this.canRedo())&&this.doc.transact(r=>{e&&(this.undoStack.forEach(i=>qu(r,this,i)),this.undoStack=[]),t&&(this.redoStack.forEach(i=>qu(r,this,i)),this.redoStack=[]),this.emit("stack-cleared",[{undoStackCleared:e,redoStackCleared:t}])})}stopCapturing(){this.lastChange=0}undo(){this.undoing=!0;let e;try{e=Hu(this,this.undoStack,"undo")}finally{this.undoing=!1}return e}redo(){this.redoing=!0;let e;try{e=Hu(this,this.redoStack,"redo")}finally{this.redoing=!1}return e}canUndo(){return this.undoStack.length>0}canRedo(){return this.redoStack.length>0}destroy(){this.trackedOrigins.delete(this),this.doc.off("afterTransaction",this.afterTransactionHandler),super.destroy()}};function*Rb(n){let e=C(n.restDecoder);for(let t=0;t<e;t++){let r=C(n.restDecoder),i=n.readClient(),s=C(n.restDecoder);for(let o=0;o<r;o++){let l=n.readInfo();if(l===10){let c=C(n.restDecoder);yield new ce(M(i,s),c),s+=c}else if(31&l){let c=(l&192)===0,a=new O(M(i,s),null,(l&128)===128?n.readLeftID():null,null,(l&64)===64?n.readRightID():null,c?n.readParentInfo()?n.readString():n.readLeftID():null,c&&(l&32)===32?n.readString():null,Up(n,l));yield a,s+=a.length}else{let c=n.readLen();yield new ye(M(i,s),c),s+=c}}}}var dt=class{constructor(e,t){this.gen=Rb(e),this.curr=null,this.done=!1,this.filterSkips=t,this.next()}next(){do this.curr=this.gen.next().value||null;while(this.filterSkips&&this.curr!==null&&this.curr.constructor===ce);return this.curr}},vb=n=>cp(n,De),cp=(n,e=Ce)=>{let t=[],r=new e(q(n)),i=new dt(r,!1);for(let o=i.curr;o!==null;o=i.next())t.push(o);ko("Structs: ",t);let s=Nt(r);ko("DeleteSet: ",s)},_b=n=>ap(n,De),ap=(n,e=Ce)=>{let t=[],r=new e(q(n)),i=new dt(r,!1);for(let s=i.curr;s!==null;s=i.next())t.push(s);return{structs:t,ds:Nt(r)}},Li=class{constructor(e){this.currClient=0,this.startClock=0,this.written=0,this.encoder=e,this.clientStructs=[]}},hp=n=>zi(n,De,ht),fp=(n,e=Rr,t=Ce)=>{let r=new e,i=new dt(new t(q(n)),!1),s=i.curr;if(s!==null){let o=0,l=s.id.client,c=s.id.clock!==0,a=c?0:s.id.clock+s.length;for(;s!==null;s=i.next())l!==s.id.client&&(a!==0&&(o++,x(r.restEncoder,l),x(r.restEncoder,a)),l=s.id.client,a=0,c=s.id.clock!==0),s.constructor===ce&&(c=!0),c||(a=s.id.clock+s.length);a!==0&&(o++,x(r.restEncoder,l),x(r.restEncoder,a));let h=$();return x(h,o),Fd(h,r.restEncoder),r.restEncoder=h,r.toUint8Array()}else return x(r.restEncoder,0),r.toUint8Array()},Ub=n=>fp(n,Qt,De),dp=(n,e=Ce)=>{let t=new Map,r=new Map,i=new dt(new e(q(n)),!1),s=i.curr;if(s!==null){let o=s.id.client,l=s.id.clock;for(t.set(o,l);s!==null;s=i.next())o!==s.id.client&&(r.set(o,l),t.set(s.id.client,s.id.clock),o=s.id.client),l=s.id.clock+s.length;r.set(o,l)}return{from:t,to:r}},Vb=n=>dp(n,De),Bb=(n,e)=>{if(n.constructor===ye){let{client:t,clock:r}=n.id;return new ye(M(t,r+e),n.length-e)}else if(n.constructor===ce){let{client:t,clock:r}=n.id;return new ce(M(t,r+e),n.length-e)}else{let t=n,{client:r,clock:i}=t.id;return new O(M(r,i+e),null,M(r,i+e-1),null,t.rightOrigin,t.parent,t.parentSub,t.content.splice(e))}},zi=(n,e=Ce,t=Ue)=>{if(n.length===1)return n[0];let r=n.map(h=>new e(q(h))),i=r.map(h=>new dt(h,!0)),s=null,o=new t,l=new Li(o);for(;i=i.filter(d=>d.curr!==null),i.sort((d,u)=>{if(d.curr.id.client===u.curr.id.client){let p=d.curr.id.clock-u.curr.id.clock;return p===0?d.curr.constructor===u.curr.constructor?0:d.curr.constructor===ce?1:-1:p}else return u.curr.id.client-d.curr.id.client}),i.length!==0;){let h=i[0],f=h.curr.id.client;if(s!==null){let d=h.curr,u=!1;for(;d!==null&&d.id.clock+d.length<=s.struct.id.clock+s.struct.length&&d.id.client>=s.struct.id.client;)d=h.next(),u=!0;if(d===null||d.id.client!==f||u&&d.id.clock>s.struct.id.clock+s.struct.length)continue;if(f!==s.struct.id.client)Yt(l,s.struct,s.offset),s={struct:d,offset:0},h.next();else if(s.struct.id.clock+s.struct.length<d.id.clock)if(s.struct.constructor===ce)s.struct.length=d.id.clock+d.length-s.struct.id.clock;else{Yt(l,s.struct,s.offset);let p=d.id.clock-s.struct.id.clock-s.struct.length;s={struct:new ce(M(f,s.struct.id.clock+s.struct.length),p),offset:0}}else{let p=s.struct.id.clock+s.struct.length-d.id.clock;p>0&&(s.struct.constructor===ce?s.struct.length-=p:d=Bb(d,p)),s.struct.mergeWith(d)||(Yt(l,s.struct,s.offset),s={struct:d,offset:0},h.next())}}else s={struct:h.curr,offset:0},h.next();for(let d=h.curr;d!==null&&d.id.client===f&&d.id.clock===s.struct.id.clock+s.struct.length&&d.constructor!==ce;d=h.next())Yt(l,s.struct,s.offset),s={struct:d,offset:0}}s!==null&&(Yt(l,s.struct,s.offset),s=null),Sa(l);let c=r.map(h=>Nt(h)),a=In(c);return at(o,a),o.toUint8Array()},xa=(n,e,t=Ce,r=Ue)=>{let i=ga(e),s=new r,o=new Li(s),l=new t(q(n)),c=new dt(l,!1);for(;c.curr;){let h=c.curr,f=h.id.client,d=i.get(f)||0;if(c.curr.constructor===ce){c.next();continue}if(h.id.clock+h.length>d)for(Yt(o,h,$e(d-h.id.clock,0)),c.next();c.curr&&c.curr.id.client===f;)Yt(o,c.curr,0),c.next();else for(;c.curr&&c.curr.id.client===f&&c.curr.id.clock+c.curr.length<=d;)c.next()}Sa(o);let a=Nt(l);return at(s,a),s.toUint8Array()},Pb=(n,e)=>xa(n,e,De,ht),up=n=>{n.written>0&&(n.clientStructs.push({written:n.written,restEncoder:I(n.encoder.restEncoder)}),n.encoder.restEncoder=$(),n.written=0)},Yt=(n,e,t)=>{n.written>0&&n.currClient!==e.id.client&&up(n),n.written===0&&(n.currClient=e.id.client,n.encoder.writeClient(e.id.client),x(n.encoder.restEncoder,e.id.clock+t)),e.write(n.encoder,t),n.written++},Sa=n=>{up(n);let e=n.encoder.restEncoder;x(e,n.clientStructs.length);for(let t=0;t<n.clientStructs.length;t++){let r=n.clientStructs[t];x(e,r.written),br(e,r.restEncoder)}},Fo=(n,e,t,r)=>{let i=new t(q(n)),s=new dt(i,!1),o=new r,l=new Li(o);for(let a=s.curr;a!==null;a=s.next())Yt(l,e(a),0);Sa(l);let c=Nt(i);return at(o,c),o.toUint8Array()},pp=({formatting:n=!0,subdocs:e=!0,yxml:t=!0}={})=>{let r=0,i=_(),s=_(),o=_(),l=_();return l.set(null,null),c=>{switch(c.constructor){case ye:case ce:return c;case O:{let a=c,h=a.content;switch(h.constructor){case _r:break;case Oe:{if(t){let f=h.type;f instanceof ne&&(f.nodeName=W(s,f.nodeName,()=>"node-"+r)),f instanceof Hi&&(f.hookName=W(s,f.hookName,()=>"hook-"+r))}break}case en:{let f=h;f.arr=f.arr.map(()=>r);break}case Pn:{let f=h;f.content=new Uint8Array([r]);break}case Ln:{let f=h;e&&(f.opts={},f.doc.guid=r+"");break}case It:{let f=h;f.embed={};break}case P:{let f=h;n&&(f.key=W(o,f.key,()=>r+""),f.value=W(l,f.value,()=>({i:r})));break}case Ji:{let f=h;f.arr=f.arr.map(()=>r);break}case Ve:{let f=h;f.str=Xs(r%10+"",f.str.length);break}default:F()}return a.parentSub&&(a.parentSub=W(i,a.parentSub,()=>r+"")),r++,c}default:F()}}},Lb=(n,e)=>Fo(n,pp(e),De,ht),zb=(n,e)=>Fo(n,pp(e),Ce,Ue),Fb=n=>Fo(n,_c,De,Ue),mp=n=>Fo(n,_c,Ce,ht),Ju="You must not compute changes after the event-handler fired.",Un=class{constructor(e,t){this.target=e,this.currentTarget=e,this.transaction=t,this._changes=null,this._keys=null,this._delta=null,this._path=null}get path(){return this._path||(this._path=$b(this.currentTarget,this.target))}deletes(e){return Rt(this.transaction.deleteSet,e.id)}get keys(){if(this._keys===null){if(this.transaction.doc._transactionCleanups.length===0)throw ve(Ju);let e=new Map,t=this.target;this.transaction.changed.get(t).forEach(i=>{if(i!==null){let s=t._map.get(i),o,l;if(this.adds(s)){let c=s.left;for(;c!==null&&this.adds(c);)c=c.left;if(this.deletes(s))if(c!==null&&this.deletes(c))o="delete",l=Ks(c.content.getContent());else return;else c!==null&&this.deletes(c)?(o="update",l=Ks(c.content.getContent())):(o="add",l=void 0)}else if(this.deletes(s))o="delete",l=Ks(s.content.getContent());else return;e.set(i,{action:o,oldValue:l})}}),this._keys=e}return this._keys}get delta(){return this.changes.delta}adds(e){return e.id.clock>=(this.transaction.beforeState.get(e.id.client)||0)}get changes(){let e=this._changes;if(e===null){if(this.transaction.doc._transactionCleanups.length===0)throw ve(Ju);let t=this.target,r=Te(),i=Te(),s=[];if(e={added:r,deleted:i,delta:s,keys:this.keys},this.transaction.changed.get(t).has(null)){let l=null,c=()=>{l&&s.push(l)};for(let a=t._start;a!==null;a=a.right)a.deleted?this.deletes(a)&&!this.adds(a)&&((l===null||l.delete===void 0)&&(c(),l={delete:0}),l.delete+=a.length,i.add(a)):this.adds(a)?((l===null||l.insert===void 0)&&(c(),l={insert:[]}),l.insert=l.insert.concat(a.content.getContent()),r.add(a)):((l===null||l.retain===void 0)&&(c(),l={retain:0}),l.retain+=a.length);l!==null&&l.retain===void 0&&c()}this._changes=e}return e}},$b=(n,e)=>{let t=[];for(;e._item!==null&&e!==n;){if(e._item.parentSub!==null)t.unshift(e._item.parentSub);else{let r=0,i=e._item.parent._start;for(;i!==e._item&&i!==null;)!i.deleted&&i.countable&&(r+=i.length),i=i.right;t.unshift(r)}e=e._item.parent}return t},ae=()=>{Qc("Invalid access: Add Yjs type to a document before reading data.")},gp=80,ka=0,la=class{constructor(e,t){e.marker=!0,this.p=e,this.index=t,this.timestamp=ka++}},qb=n=>{n.timestamp=ka++},yp=(n,e,t)=>{n.p.marker=!1,n.p=e,e.marker=!0,n.index=t,n.timestamp=ka++},Hb=(n,e,t)=>{if(n.length>=gp){let r=n.reduce((i,s)=>i.timestamp<s.timestamp?i:s);return yp(r,e,t),r}else{let r=new la(e,t);return n.push(r),r}},$o=(n,e)=>{if(n._start===null||e===0||n._searchMarker===null)return null;let t=n._searchMarker.length===0?null:n._searchMarker.reduce((s,o)=>Cn(e-s.index)<Cn(e-o.index)?s:o),r=n._start,i=0;for(t!==null&&(r=t.p,i=t.index,qb(t));r.right!==null&&i<e;){if(!r.deleted&&r.countable){if(e<i+r.length)break;i+=r.length}r=r.right}for(;r.left!==null&&i>e;)r=r.left,!r.deleted&&r.countable&&(i-=r.length);for(;r.left!==null&&r.left.id.client===r.id.client&&r.left.id.clock+r.left.length===r.id.clock;)r=r.left,!r.deleted&&r.countable&&(i-=r.length);return t!==null&&Cn(t.index-i)<r.parent.length/gp?(yp(t,r,i),t):Hb(n._searchMarker,r,i)},Fi=(n,e,t)=>{for(let r=n.length-1;r>=0;r--){let i=n[r];if(t>0){let s=i.p;for(s.marker=!1;s&&(s.deleted||!s.countable);)s=s.left,s&&!s.deleted&&s.countable&&(i.index-=s.length);if(s===null||s.marker===!0){n.splice(r,1);continue}i.p=s,s.marker=!0}(e<i.index||t>0&&e===i.index)&&(i.index=$e(e,i.index+t))}},Jb=n=>{n.doc??ae();let e=n._start,t=[];for(;e;)t.push(e),e=e.right;return t},qo=(n,e,t)=>{let r=n,i=e.changedParentTypes;for(;W(i,n,()=>[]).push(t),n._item!==null;)n=n._item.parent;ep(r._eH,t,e)},H=class{constructor(){this._item=null,this._map=new Map,this._start=null,this.doc=null,this._length=0,this._eH=Vu(),this._dEH=Vu(),this._searchMarker=null}get parent(){return this._item?this._item.parent:null}_integrate(e,t){this.doc=e,this._item=t}_copy(){throw ke()}clone(){throw ke()}_write(e){}get _first(){let e=this._start;for(;e!==null&&e.deleted;)e=e.right;return e}_callObserver(e,t){!e.local&&this._searchMarker&&(this._searchMarker.length=0)}observe(e){Bu(this._eH,e)}observeDeep(e){Bu(this._dEH,e)}unobserve(e){Pu(this._eH,e)}unobserveDeep(e){Pu(this._dEH,e)}toJSON(){}},wp=(n,e,t)=>{n.doc??ae(),e<0&&(e=n._length+e),t<0&&(t=n._length+t);let r=t-e,i=[],s=n._start;for(;s!==null&&r>0;){if(s.countable&&!s.deleted){let o=s.content.getContent();if(o.length<=e)e-=o.length;else{for(let l=e;l<o.length&&r>0;l++)i.push(o[l]),r--;e=0}}s=s.right}return i},bp=n=>{n.doc??ae();let e=[],t=n._start;for(;t!==null;){if(t.countable&&!t.deleted){let r=t.content.getContent();for(let i=0;i<r.length;i++)e.push(r[i])}t=t.right}return e},Ho=(n,e)=>{let t=[],r=n._start;for(;r!==null;){if(r.countable&&Kt(r,e)){let i=r.content.getContent();for(let s=0;s<i.length;s++)t.push(i[s])}r=r.right}return t},$i=(n,e)=>{let t=0,r=n._start;for(n.doc??ae();r!==null;){if(r.countable&&!r.deleted){let i=r.content.getContent();for(let s=0;s<i.length;s++)e(i[s],t++,n)}r=r.right}},xp=(n,e)=>{let t=[];return $i(n,(r,i)=>{t.push(e(r,i,n))}),t},jb=n=>{let e=n._start,t=null,r=0;return{[Symbol.iterator](){return this},next:()=>{if(t===null){for(;e!==null&&e.deleted;)e=e.right;if(e===null)return{done:!0,value:void 0};t=e.content.getContent(),r=0,e=e.right}let i=t[r++];return t.length<=r&&(t=null),{done:!1,value:i}}}},Sp=(n,e)=>{n.doc??ae();let t=$o(n,e),r=n._start;for(t!==null&&(r=t.p,e-=t.index);r!==null;r=r.right)if(!r.deleted&&r.countable){if(e<r.length)return r.content.getContent()[e];e-=r.length}},vo=(n,e,t,r)=>{let i=t,s=n.doc,o=s.clientID,l=s.store,c=t===null?e._start:t.right,a=[],h=()=>{a.length>0&&(i=new O(M(o,B(l,o)),i,i&&i.lastId,c,c&&c.id,e,null,new en(a)),i.integrate(n,0),a=[])};r.forEach(f=>{if(f===null)a.push(f);else switch(f.constructor){case Number:case Object:case Boolean:case Array:case String:a.push(f);break;default:switch(h(),f.constructor){case Uint8Array:case ArrayBuffer:i=new O(M(o,B(l,o)),i,i&&i.lastId,c,c&&c.id,e,null,new Pn(new Uint8Array(f))),i.integrate(n,0);break;case Je:i=new O(M(o,B(l,o)),i,i&&i.lastId,c,c&&c.id,e,null,new Ln(f)),i.integrate(n,0);break;default:if(f instanceof H)i=new O(M(o,B(l,o)),i,i&&i.lastId,c,c&&c.id,e,null,new Oe(f)),i.integrate(n,0);else throw new Error("Unexpected content type in insert operation")}}}),h()},kp=()=>ve("Length exceeded!"),Cp=(n,e,t,r)=>{if(t>e._length)throw kp();if(t===0)return e._searchMarker&&Fi(e._searchMarker,t,r.length),vo(n,e,null,r);let i=t,s=$o(e,t),o=e._start;for(s!==null&&(o=s.p,t-=s.index,t===0&&(o=o.prev,t+=o&&o.countable&&!o.deleted?o.length:0));o!==null;o=o.right)if(!o.deleted&&o.countable){if(t<=o.length){t<o.length&&ge(n,M(o.id.client,o.id.clock+t));break}t-=o.length}return e._searchMarker&&Fi(e._searchMarker,i,r.length),vo(n,e,o,r)},Wb=(n,e,t)=>{let i=(e._searchMarker||[]).reduce((s,o)=>o.index>s.index?o:s,{index:0,p:e._start}).p;if(i)for(;i.right;)i=i.right;return vo(n,e,i,t)},Mp=(n,e,t,r)=>{if(r===0)return;let i=t,s=r,o=$o(e,t),l=e._start;for(o!==null&&(l=o.p,t-=o.index);l!==null&&t>0;l=l.right)!l.deleted&&l.countable&&(t<l.length&&ge(n,M(l.id.client,l.id.clock+t)),t-=l.length);for(;r>0&&l!==null;)l.deleted||(r<l.length&&ge(n,M(l.id.client,l.id.clock+r)),l.delete(n),r-=l.length),l=l.right;if(r>0)throw kp();e._searchMarker&&Fi(e._searchMarker,i,-s+r)},_o=(n,e,t)=>{let r=e._map.get(t);r!==void 0&&r.delete(n)},Ca=(n,e,t,r)=>{let i=e._map.get(t)||null,s=n.doc,o=s.clientID,l;if(r==null)l=new en([r]);else switch(r.constructor){case Number:case Object:case Boolean:case Array:case String:case Date:case BigInt:l=new en([r]);break;case Uint8Array:l=new Pn(r);break;case Je:l=new Ln(r);break;default:if(r instanceof H)l=new Oe(r);else throw new Error("Unexpected content type")}new O(M(o,B(s.store,o)),i,i&&i.lastId,null,null,e,t,l).integrate(n,0)},Ma=(n,e)=>{n.doc??ae();let t=n._map.get(e);return t!==void 0&&!t.deleted?t.content.getContent()[t.length-1]:void 0},Ap=n=>{let e={};return n.doc??ae(),n._map.forEach((t,r)=>{t.deleted||(e[r]=t.content.getContent()[t.length-1])}),e},Ep=(n,e)=>{n.doc??ae();let t=n._map.get(e);return t!==void 0&&!t.deleted},Kb=(n,e,t)=>{let r=n._map.get(e)||null;for(;r!==null&&(!t.sv.has(r.id.client)||r.id.clock>=(t.sv.get(r.id.client)||0));)r=r.left;return r!==null&&Kt(r,t)?r.content.getContent()[r.length-1]:void 0},Tp=(n,e)=>{let t={};return n._map.forEach((r,i)=>{let s=r;for(;s!==null&&(!e.sv.has(s.id.client)||s.id.clock>=(e.sv.get(s.id.client)||0));)s=s.left;s!==null&&Kt(s,e)&&(t[i]=s.content.getContent()[s.length-1])}),t},Ao=n=>(n.doc??ae(),Ru(n._map.entries(),e=>!e[1].deleted)),Uo=class extends Un{},Vn=class n extends H{constructor(){super(),this._prelimContent=[],this._searchMarker=[]}static from(e){let t=new n;return t.push(e),t}_integrate(e,t){super._integrate(e,t),this.insert(0,this._prelimContent),this._prelimContent=null}_copy(){return new n}clone(){let e=new n;return e.insert(0,this.toArray().map(t=>t instanceof H?t.clone():t)),e}get length(){return this.doc??ae(),this._length}_callObserver(e,t){super._callObserver(e,t),qo(this,e,new Uo(this,e))}insert(e,t){this.doc!==null?R(this.doc,r=>{Cp(r,this,e,t)}):this._prelimContent.splice(e,0,...t)}push(e){this.doc!==null?R(this.doc,t=>{Wb(t,this,e)}):this._prelimContent.push(...e)}unshift(e){this.insert(0,e)}delete(e,t=1){this.doc!==null?R(this.doc,r=>{Mp(r,this,e,t)}):this._prelimContent.splice(e,t)}get(e){return Sp(this,e)}toArray(){return bp(this)}slice(e=0,t=this.length){return wp(this,e,t)}toJSON(){return this.map(e=>e instanceof H?e.toJSON():e)}map(e){return xp(this,e)}forEach(e){$i(this,e)}[Symbol.iterator](){return jb(this)}_write(e){e.writeTypeRef(mx)}},Yb=n=>new Vn,Vo=class extends Un{constructor(e,t,r){super(e,t),this.keysChanged=r}},Bn=class n extends H{constructor(e){super(),this._prelimContent=null,e===void 0?this._prelimContent=new Map:this._prelimContent=new Map(e)}_integrate(e,t){super._integrate(e,t),this._prelimContent.forEach((r,i)=>{this.set(i,r)}),this._prelimContent=null}_copy(){return new n}clone(){let e=new n;return this.forEach((t,r)=>{e.set(r,t instanceof H?t.clone():t)}),e}_callObserver(e,t){qo(this,e,new Vo(this,e,t))}toJSON(){this.doc??ae();let e={};return this._map.forEach((t,r)=>{if(!t.deleted){let i=t.content.getContent()[t.length-1];e[r]=i instanceof H?i.toJSON():i}}),e}get size(){return[...Ao(this)].length}keys(){return Co(Ao(this),e=>e[0])}values(){return Co(Ao(this),e=>e[1].content.getContent()[e[1].length-1])}entries(){return Co(Ao(this),e=>[e[0],e[1].content.getContent()[e[1].length-1]])}forEach(e){this.doc??ae(),this._map.forEach((t,r)=>{t.deleted||e(t.content.getContent()[t.length-1],r,this)})}[Symbol.iterator](){return this.entries()}delete(e){this.doc!==null?R(this.doc,t=>{_o(t,this,e)}):this._prelimContent.delete(e)}set(e,t){return this.doc!==null?R(this.doc,r=>{Ca(r,this,e,t)}):this._prelimContent.set(e,t),t}get(e){return Ma(this,e)}has(e){return Ep(this,e)}clear(){this.doc!==null?R(this.doc,e=>{this.forEach(function(t,r,i){_o(e,i,r)})}):this._prelimContent.clear()}_write(e){e.writeTypeRef(gx)}},Gb=n=>new Bn,Gt=(n,e)=>n===e||typeof n=="object"&&typeof e=="object"&&n&&e&&Rc(n,e),qi=class{constructor(e,t,r,i){this.left=e,this.right=t,this.index=r,this.currentAttributes=i}forward(){switch(this.right===null&&F(),this.right.content.constructor){case P:this.right.deleted||Vr(this.currentAttributes,this.right.content);break;default:this.right.deleted||(this.index+=this.right.length);break}this.left=this.right,this.right=this.right.right}},ju=(n,e,t)=>{for(;e.right!==null&&t>0;){switch(e.right.content.constructor){case P:e.right.deleted||Vr(e.currentAttributes,e.right.content);break;default:e.right.deleted||(t<e.right.length&&ge(n,M(e.right.id.client,e.right.id.clock+t)),e.index+=e.right.length,t-=e.right.length);break}e.left=e.right,e.right=e.right.right}return e},Eo=(n,e,t,r)=>{let i=new Map,s=r?$o(e,t):null;if(s){let o=new qi(s.p.left,s.p,s.index,i);return ju(n,o,t-s.index)}else{let o=new qi(null,e._start,0,i);return ju(n,o,t)}},Dp=(n,e,t,r)=>{for(;t.right!==null&&(t.right.deleted===!0||t.right.content.constructor===P&&Gt(r.get(t.right.content.key),t.right.content.value));)t.right.deleted||r.delete(t.right.content.key),t.forward();let i=n.doc,s=i.clientID;r.forEach((o,l)=>{let c=t.left,a=t.right,h=new O(M(s,B(i.store,s)),c,c&&c.lastId,a,a&&a.id,e,null,new P(l,o));h.integrate(n,0),t.right=h,t.forward()})},Vr=(n,e)=>{let{key:t,value:r}=e;r===null?n.delete(t):n.set(t,r)},Op=(n,e)=>{for(;n.right!==null;){if(!(n.right.deleted||n.right.content.constructor===P&&Gt(e[n.right.content.key]??null,n.right.content.value)))break;n.forward()}},Np=(n,e,t,r)=>{let i=n.doc,s=i.clientID,o=new Map;for(let l in r){let c=r[l],a=t.currentAttributes.get(l)??null;if(!Gt(a,c)){o.set(l,a);let{left:h,right:f}=t;t.right=new O(M(s,B(i.store,s)),h,h&&h.lastId,f,f&&f.id,e,null,new P(l,c)),t.right.integrate(n,0),t.forward()}}return o},Zc=(n,e,t,r,i)=>{t.currentAttributes.forEach((d,u)=>{i[u]===void 0&&(i[u]=null)});let s=n.doc,o=s.clientID;Op(t,i);let l=Np(n,e,t,i),c=r.constructor===String?new Ve(r):r instanceof H?new Oe(r):new It(r),{left:a,right:h,index:f}=t;e._searchMarker&&Fi(e._searchMarker,t.index,c.getLength()),h=new O(M(o,B(s.store,o)),a,a&&a.lastId,h,h&&h.id,e,null,c),h.integrate(n,0),t.right=h,t.index=f,t.forward(),Dp(n,e,t,l)},Wu=(n,e,t,r,i)=>{let s=n.doc,o=s.clientID;Op(t,i);let l=Np(n,e,t,i);e:for(;t.right!==null&&(r>0||l.size>0&&(t.right.deleted||t.right.content.constructor===P));){if(!t.right.deleted)switch(t.right.content.constructor){case P:{let{key:c,value:a}=t.right.content,h=i[c];if(h!==void 0){if(Gt(h,a))l.delete(c);else{if(r===0)break e;l.set(c,a)}t.right.delete(n)}else t.currentAttributes.set(c,a);break}default:r<t.right.length&&ge(n,M(t.right.id.client,t.right.id.clock+r)),r-=t.right.length;break}t.forward()}if(r>0){let c="";for(;r>0;r--)c+=`
-`;t.right=new O(M(o,B(s.store,o)),t.left,t.left&&t.left.lastId,t.right,t.right&&t.right.id,e,null,new Ve(c)),t.right.integrate(n,0),t.forward()}Dp(n,e,t,l)},Ip=(n,e,t,r,i)=>{let s=e,o=_();for(;s&&(!s.countable||s.deleted);){if(!s.deleted&&s.content.constructor===P){let a=s.content;o.set(a.key,a)}s=s.right}let l=0,c=!1;for(;e!==s;){if(t===e&&(c=!0),!e.deleted){let a=e.content;switch(a.constructor){case P:{let{key:h,value:f}=a,d=r.get(h)??null;(o.get(h)!==a||d===f)&&(e.delete(n),l++,!c&&(i.get(h)??null)===f&&d!==f&&(d===null?i.delete(h):i.set(h,d))),!c&&!e.deleted&&Vr(i,a);break}}}e=e.right}return l},Xb=(n,e)=>{for(;e&&e.right&&(e.right.deleted||!e.right.countable);)e=e.right;let t=new Set;for(;e&&(e.deleted||!e.countable);){if(!e.deleted&&e.content.constructor===P){let r=e.content.key;t.has(r)?e.delete(n):t.add(r)}e=e.left}},Rp=n=>{let e=0;return R(n.doc,t=>{let r=n._start,i=n._start,s=_(),o=Ws(s);for(;i;){if(i.deleted===!1)switch(i.content.constructor){case P:Vr(o,i.content);break;default:e+=Ip(t,r,i,s,o),s=Ws(o),r=i;break}i=i.right}}),e},Qb=n=>{let e=new Set,t=n.doc;for(let[r,i]of n.afterState.entries()){let s=n.beforeState.get(r)||0;i!==s&&ip(n,t.store.clients.get(r),s,i,o=>{!o.deleted&&o.content.constructor===P&&o.constructor!==ye&&e.add(o.parent)})}R(t,r=>{ct(n,n.deleteSet,i=>{if(i instanceof ye||!i.parent._hasFormatting||e.has(i.parent))return;let s=i.parent;i.content.constructor===P?e.add(s):Xb(r,i)});for(let i of e)Rp(i)})},Ku=(n,e,t)=>{let r=t,i=Ws(e.currentAttributes),s=e.right;for(;t>0&&e.right!==null;){if(e.right.deleted===!1)switch(e.right.content.constructor){case Oe:case It:case Ve:t<e.right.length&&ge(n,M(e.right.id.client,e.right.id.clock+t)),t-=e.right.length,e.right.delete(n);break}e.forward()}s&&Ip(n,s,e.right,i,e.currentAttributes);let o=(e.left||e.right).parent;return o._searchMarker&&Fi(o._searchMarker,e.index,-r+t),e},Bo=class extends Un{constructor(e,t,r){super(e,t),this.childListChanged=!1,this.keysChanged=new Set,r.forEach(i=>{i===null?this.childListChanged=!0:this.keysChanged.add(i)})}get changes(){if(this._changes===null){let e={keys:this.keys,delta:this.delta,added:new Set,deleted:new Set};this._changes=e}return this._changes}get delta(){if(this._delta===null){let e=this.target.doc,t=[];R(e,r=>{let i=new Map,s=new Map,o=this.target._start,l=null,c={},a="",h=0,f=0,d=()=>{if(l!==null){let u=null;switch(l){case"delete":f>0&&(u={delete:f}),f=0;break;case"insert":(typeof a=="object"||a.length>0)&&(u={insert:a},i.size>0&&(u.attributes={},i.forEach((p,m)=>{p!==null&&(u.attributes[m]=p)}))),a="";break;case"retain":h>0&&(u={retain:h},nu(c)||(u.attributes=Zd({},c))),h=0;break}u&&t.push(u),l=null}};for(;o!==null;){switch(o.content.constructor){case Oe:case It:this.adds(o)?this.deletes(o)||(d(),l="insert",a=o.content.getContent()[0],d()):this.deletes(o)?(l!=="delete"&&(d(),l="delete"),f+=1):o.deleted||(l!=="retain"&&(d(),l="retain"),h+=1);break;case Ve:this.adds(o)?this.deletes(o)||(l!=="insert"&&(d(),l="insert"),a+=o.content.str):this.deletes(o)?(l!=="delete"&&(d(),l="delete"),f+=o.length):o.deleted||(l!=="retain"&&(d(),l="retain"),h+=o.length);break;case P:{let{key:u,value:p}=o.content;if(this.adds(o)){if(!this.deletes(o)){let m=i.get(u)??null;Gt(m,p)?p!==null&&o.delete(r):(l==="retain"&&d(),Gt(p,s.get(u)??null)?delete c[u]:c[u]=p)}}else if(this.deletes(o)){s.set(u,p);let m=i.get(u)??null;Gt(m,p)||(l==="retain"&&d(),c[u]=m)}else if(!o.deleted){s.set(u,p);let m=c[u];m!==void 0&&(Gt(m,p)?m!==null&&o.delete(r):(l==="retain"&&d(),p===null?delete c[u]:c[u]=p))}o.deleted||(l==="insert"&&d(),Vr(i,o.content));break}}o=o.right}for(d();t.length>0;){let u=t[t.length-1];if(u.retain!==void 0&&u.attributes===void 0)t.pop();else break}}),this._delta=t}return this._delta}},ut=class n extends H{constructor(e){super(),this._pending=e!==void 0?[()=>this.insert(0,e)]:[],this._searchMarker=[],this._hasFormatting=!1}get length(){return this.doc??ae(),this._length}_integrate(e,t){super._integrate(e,t);try{this._pending.forEach(r=>r())}catch(r){console.error(r)}this._pending=null}_copy(){return new n}clone(){let e=new n;return e.applyDelta(this.toDelta()),e}_callObserver(e,t){super._callObserver(e,t);let r=new Bo(this,e,t);qo(this,e,r),!e.local&&this._hasFormatting&&(e._needFormattingCleanup=!0)}toString(){this.doc??ae();let e="",t=this._start;for(;t!==null;)!t.deleted&&t.countable&&t.content.constructor===Ve&&(e+=t.content.str),t=t.right;return e}toJSON(){return this.toString()}applyDelta(e,{sanitize:t=!0}={}){this.doc!==null?R(this.doc,r=>{let i=new qi(null,this._start,0,new Map);for(let s=0;s<e.length;s++){let o=e[s];if(o.insert!==void 0){let l=!t&&typeof o.insert=="string"&&s===e.length-1&&i.right===null&&o.insert.slice(-1)===`
-`?o.insert.slice(0,-1):o.insert;(typeof l!="string"||l.length>0)&&Zc(r,this,i,l,o.attributes||{})}else o.retain!==void 0?Wu(r,this,i,o.retain,o.attributes||{}):o.delete!==void 0&&Ku(r,i,o.delete)}}):this._pending.push(()=>this.applyDelta(e))}toDelta(e,t,r){this.doc??ae();let i=[],s=new Map,o=this.doc,l="",c=this._start;function a(){if(l.length>0){let f={},d=!1;s.forEach((p,m)=>{d=!0,f[m]=p});let u={insert:l};d&&(u.attributes=f),i.push(u),l=""}}let h=()=>{for(;c!==null;){if(Kt(c,e)||t!==void 0&&Kt(c,t))switch(c.content.constructor){case Ve:{let f=s.get("ychange");e!==void 0&&!Kt(c,e)?(f===void 0||f.user!==c.id.client||f.type!=="removed")&&(a(),s.set("ychange",r?r("removed",c.id):{type:"removed"})):t!==void 0&&!Kt(c,t)?(f===void 0||f.user!==c.id.client||f.type!=="added")&&(a(),s.set("ychange",r?r("added",c.id):{type:"added"})):f!==void 0&&(a(),s.delete("ychange")),l+=c.content.str;break}case Oe:case It:{a();let f={insert:c.content.getContent()[0]};if(s.size>0){let d={};f.attributes=d,s.forEach((u,p)=>{d[p]=u})}i.push(f);break}case P:Kt(c,e)&&(a(),Vr(s,c.content));break}c=c.right}a()};return e||t?R(o,f=>{e&&ra(f,e),t&&ra(f,t),h()},"cleanup"):h(),i}insert(e,t,r){if(t.length<=0)return;let i=this.doc;i!==null?R(i,s=>{let o=Eo(s,this,e,!r);r||(r={},o.currentAttributes.forEach((l,c)=>{r[c]=l})),Zc(s,this,o,t,r)}):this._pending.push(()=>this.insert(e,t,r))}insertEmbed(e,t,r){let i=this.doc;i!==null?R(i,s=>{let o=Eo(s,this,e,!r);Zc(s,this,o,t,r||{})}):this._pending.push(()=>this.insertEmbed(e,t,r||{}))}delete(e,t){if(t===0)return;let r=this.doc;r!==null?R(r,i=>{Ku(i,Eo(i,this,e,!0),t)}):this._pending.push(()=>this.delete(e,t))}format(e,t,r){if(t===0)return;let i=this.doc;i!==null?R(i,s=>{let o=Eo(s,this,e,!1);o.right!==null&&Wu(s,this,o,t,r)}):this._pending.push(()=>this.format(e,t,r))}removeAttribute(e){this.doc!==null?R(this.doc,t=>{_o(t,this,e)}):this._pending.push(()=>this.removeAttribute(e))}setAttribute(e,t){this.doc!==null?R(this.doc,r=>{Ca(r,this,e,t)}):this._pending.push(()=>this.setAttribute(e,t))}getAttribute(e){return Ma(this,e)}getAttributes(){return Ap(this)}_write(e){e.writeTypeRef(yx)}},Zb=n=>new ut,Vi=class{constructor(e,t=()=>!0){this._filter=t,this._root=e,this._currentNode=e._start,this._firstCall=!0,e.doc??ae()}[Symbol.iterator](){return this}next(){let e=this._currentNode,t=e&&e.content&&e.content.type;if(e!==null&&(!this._firstCall||e.deleted||!this._filter(t)))do if(t=e.content.type,!e.deleted&&(t.constructor===ne||t.constructor===pt)&&t._start!==null)e=t._start;else for(;e!==null;){let r=e.next;if(r!==null){e=r;break}else e.parent===this._root?e=null:e=e.parent._item}while(e!==null&&(e.deleted||!this._filter(e.content.type)));return this._firstCall=!1,e===null?{value:void 0,done:!0}:(this._currentNode=e,{value:e.content.type,done:!1})}},pt=class n extends H{constructor(){super(),this._prelimContent=[]}get firstChild(){let e=this._first;return e?e.content.getContent()[0]:null}_integrate(e,t){super._integrate(e,t),this.insert(0,this._prelimContent),this._prelimContent=null}_copy(){return new n}clone(){let e=new n;return e.insert(0,this.toArray().map(t=>t instanceof H?t.clone():t)),e}get length(){return this.doc??ae(),this._prelimContent===null?this._length:this._prelimContent.length}createTreeWalker(e){return new Vi(this,e)}querySelector(e){e=e.toUpperCase();let r=new Vi(this,i=>i.nodeName&&i.nodeName.toUpperCase()===e).next();return r.done?null:r.value}querySelectorAll(e){return e=e.toUpperCase(),Xe(new Vi(this,t=>t.nodeName&&t.nodeName.toUpperCase()===e))}_callObserver(e,t){qo(this,e,new Po(this,t,e))}toString(){return xp(this,e=>e.toString()).join("")}toJSON(){return this.toString()}toDOM(e=document,t={},r){let i=e.createDocumentFragment();return r!==void 0&&r._createAssociation(i,this),$i(this,s=>{i.insertBefore(s.toDOM(e,t,r),null)}),i}insert(e,t){this.doc!==null?R(this.doc,r=>{Cp(r,this,e,t)}):this._prelimContent.splice(e,0,...t)}insertAfter(e,t){if(this.doc!==null)R(this.doc,r=>{let i=e&&e instanceof H?e._item:e;vo(r,this,i,t)});else{let r=this._prelimContent,i=e===null?0:r.findIndex(s=>s===e)+1;if(i===0&&e!==null)throw ve("Reference item not found");r.splice(i,0,...t)}}delete(e,t=1){this.doc!==null?R(this.doc,r=>{Mp(r,this,e,t)}):this._prelimContent.splice(e,t)}toArray(){return bp(this)}push(e){this.insert(this.length,e)}unshift(e){this.insert(0,e)}get(e){return Sp(this,e)}slice(e=0,t=this.length){return wp(this,e,t)}forEach(e){$i(this,e)}_write(e){e.writeTypeRef(bx)}},ex=n=>new pt,ne=class n extends pt{constructor(e="UNDEFINED"){super(),this.nodeName=e,this._prelimAttrs=new Map}get nextSibling(){let e=this._item?this._item.next:null;return e?e.content.type:null}get prevSibling(){let e=this._item?this._item.prev:null;return e?e.content.type:null}_integrate(e,t){super._integrate(e,t),this._prelimAttrs.forEach((r,i)=>{this.setAttribute(i,r)}),this._prelimAttrs=null}_copy(){return new n(this.nodeName)}clone(){let e=new n(this.nodeName),t=this.getAttributes();return eu(t,(r,i)=>{e.setAttribute(i,r)}),e.insert(0,this.toArray().map(r=>r instanceof H?r.clone():r)),e}toString(){let e=this.getAttributes(),t=[],r=[];for(let l in e)r.push(l);r.sort();let i=r.length;for(let l=0;l<i;l++){let c=r[l];t.push(c+'="'+e[c]+'"')}let s=this.nodeName.toLocaleLowerCase(),o=t.length>0?" "+t.join(" "):"";return`<${s}${o}>${super.toString()}</${s}>`}removeAttribute(e){this.doc!==null?R(this.doc,t=>{_o(t,this,e)}):this._prelimAttrs.delete(e)}setAttribute(e,t){this.doc!==null?R(this.doc,r=>{Ca(r,this,e,t)}):this._prelimAttrs.set(e,t)}getAttribute(e){return Ma(this,e)}hasAttribute(e){return Ep(this,e)}getAttributes(e){return e?Tp(this,e):Ap(this)}toDOM(e=document,t={},r){let i=e.createElement(this.nodeName),s=this.getAttributes();for(let o in s){let l=s[o];typeof l=="string"&&i.setAttribute(o,l)}return $i(this,o=>{i.appendChild(o.toDOM(e,t,r))}),r!==void 0&&r._createAssociation(i,this),i}_write(e){e.writeTypeRef(wx),e.writeKey(this.nodeName)}},tx=n=>new ne(n.readKey()),Po=class extends Un{constructor(e,t,r){super(e,r),this.childListChanged=!1,this.attributesChanged=new Set,t.forEach(i=>{i===null?this.childListChanged=!0:this.attributesChanged.add(i)})}},Hi=class n extends Bn{constructor(e){super(),this.hookName=e}_copy(){return new n(this.hookName)}clone(){let e=new n(this.hookName);return this.forEach((t,r)=>{e.set(r,t)}),e}toDOM(e=document,t={},r){let i=t[this.hookName],s;return i!==void 0?s=i.createDom(this):s=document.createElement(this.hookName),s.setAttribute("data-yjs-hook",this.hookName),r!==void 0&&r._createAssociation(s,this),s}_write(e){e.writeTypeRef(xx),e.writeKey(this.hookName)}},nx=n=>new Hi(n.readKey()),Me=class n extends ut{get nextSibling(){let e=this._item?this._item.next:null;return e?e.content.type:null}get prevSibling(){let e=this._item?this._item.prev:null;return e?e.content.type:null}_copy(){return new n}clone(){let e=new n;return e.applyDelta(this.toDelta()),e}toDOM(e=document,t,r){let i=e.createTextNode(this.toString());return r!==void 0&&r._createAssociation(i,this),i}toString(){return this.toDelta().map(e=>{let t=[];for(let i in e.attributes){let s=[];for(let o in e.attributes[i])s.push({key:o,value:e.attributes[i][o]});s.sort((o,l)=>o.key<l.key?-1:1),t.push({nodeName:i,attrs:s})}t.sort((i,s)=>i.nodeName<s.nodeName?-1:1);let r="";for(let i=0;i<t.length;i++){let s=t[i];r+=`<${s.nodeName}`;for(let o=0;o<s.attrs.length;o++){let l=s.attrs[o];r+=` ${l.key}="${l.value}"`}r+=">"}r+=e.insert;for(let i=t.length-1;i>=0;i--)r+=`</${t[i].nodeName}>`;return r}).join("")}toJSON(){return this.toString()}_write(e){e.writeTypeRef(Sx)}},rx=n=>new Me,vr=class{constructor(e,t){this.id=e,this.length=t}get deleted(){throw ke()}mergeWith(e){return!1}write(e,t,r){throw ke()}integrate(e,t){throw ke()}},ix=0,ye=class extends vr{get deleted(){return!0}delete(){}mergeWith(e){return this.constructor!==e.constructor?!1:(this.length+=e.length,!0)}integrate(e,t){t>0&&(this.id.clock+=t,this.length-=t),rp(e.doc.store,this)}write(e,t){e.writeInfo(ix),e.writeLen(this.length-t)}getMissing(e,t){return null}},Pn=class n{constructor(e){this.content=e}getLength(){return 1}getContent(){return[this.content]}isCountable(){return!0}copy(){return new n(this.content)}splice(e){throw ke()}mergeWith(e){return!1}integrate(e,t){}delete(e){}gc(e){}write(e,t){e.writeBuf(this.content)}getRef(){return 3}},sx=n=>new Pn(n.readBuf()),_r=class n{constructor(e){this.len=e}getLength(){return this.len}getContent(){return[]}isCountable(){return!1}copy(){return new n(this.len)}splice(e){let t=new n(this.len-e);return this.len=e,t}mergeWith(e){return this.len+=e.len,!0}integrate(e,t){Pi(e.deleteSet,t.id.client,t.id.clock,this.len),t.markDeleted()}delete(e){}gc(e){}write(e,t){e.writeLen(this.len-t)}getRef(){return 1}},ox=n=>new _r(n.readLen()),vp=(n,e)=>new Je({guid:n,...e,shouldLoad:e.shouldLoad||e.autoLoad||!1}),Ln=class n{constructor(e){e._item&&console.error("This document was already integrated as a sub-document. You should create a second instance instead with the same guid."),this.doc=e;let t={};this.opts=t,e.gc||(t.gc=!1),e.autoLoad&&(t.autoLoad=!0),e.meta!==null&&(t.meta=e.meta)}getLength(){return 1}getContent(){return[this.doc]}isCountable(){return!0}copy(){return new n(vp(this.doc.guid,this.opts))}splice(e){throw ke()}mergeWith(e){return!1}integrate(e,t){this.doc._item=t,e.subdocsAdded.add(this.doc),this.doc.shouldLoad&&e.subdocsLoaded.add(this.doc)}delete(e){e.subdocsAdded.has(this.doc)?e.subdocsAdded.delete(this.doc):e.subdocsRemoved.add(this.doc)}gc(e){}write(e,t){e.writeString(this.doc.guid),e.writeAny(this.opts)}getRef(){return 9}},lx=n=>new Ln(vp(n.readString(),n.readAny())),It=class n{constructor(e){this.embed=e}getLength(){return 1}getContent(){return[this.embed]}isCountable(){return!0}copy(){return new n(this.embed)}splice(e){throw ke()}mergeWith(e){return!1}integrate(e,t){}delete(e){}gc(e){}write(e,t){e.writeJSON(this.embed)}getRef(){return 5}},cx=n=>new It(n.readJSON()),P=class n{constructor(e,t){this.key=e,this.value=t}getLength(){return 1}getContent(){return[]}isCountable(){return!1}copy(){return new n(this.key,this.value)}splice(e){throw ke()}mergeWith(e){return!1}integrate(e,t){let r=t.parent;r._searchMarker=null,r._hasFormatting=!0}delete(e){}gc(e){}write(e,t){e.writeKey(this.key),e.writeJSON(this.value)}getRef(){return 6}},ax=n=>new P(n.readKey(),n.readJSON()),Ji=class n{constructor(e){this.arr=e}getLength(){return this.arr.length}getContent(){return this.arr}isCountable(){return!0}copy(){return new n(this.arr)}splice(e){let t=new n(this.arr.slice(e));return this.arr=this.arr.slice(0,e),t}mergeWith(e){return this.arr=this.arr.concat(e.arr),!0}integrate(e,t){}delete(e){}gc(e){}write(e,t){let r=this.arr.length;e.writeLen(r-t);for(let i=t;i<r;i++){let s=this.arr[i];e.writeString(s===void 0?"undefined":JSON.stringify(s))}}getRef(){return 2}},hx=n=>{let e=n.readLen(),t=[];for(let r=0;r<e;r++){let i=n.readString();i==="undefined"?t.push(void 0):t.push(JSON.parse(i))}return new Ji(t)},fx=Ti("node_env")==="development",en=class n{constructor(e){this.arr=e,fx&&vc(e)}getLength(){return this.arr.length}getContent(){return this.arr}isCountable(){return!0}copy(){return new n(this.arr)}splice(e){let t=new n(this.arr.slice(e));return this.arr=this.arr.slice(0,e),t}mergeWith(e){return this.arr=this.arr.concat(e.arr),!0}integrate(e,t){}delete(e){}gc(e){}write(e,t){let r=this.arr.length;e.writeLen(r-t);for(let i=t;i<r;i++){let s=this.arr[i];e.writeAny(s)}}getRef(){return 8}},dx=n=>{let e=n.readLen(),t=[];for(let r=0;r<e;r++)t.push(n.readAny());return new en(t)},Ve=class n{constructor(e){this.str=e}getLength(){return this.str.length}getContent(){return this.str.split("")}isCountable(){return!0}copy(){return new n(this.str)}splice(e){let t=new n(this.str.slice(e));this.str=this.str.slice(0,e);let r=this.str.charCodeAt(e-1);return r>=55296&&r<=56319&&(this.str=this.str.slice(0,e-1)+"\uFFFD",t.str="\uFFFD"+t.str.slice(1)),t}mergeWith(e){return this.str+=e.str,!0}integrate(e,t){}delete(e){}gc(e){}write(e,t){e.writeString(t===0?this.str:this.str.slice(t))}getRef(){return 4}},ux=n=>new Ve(n.readString()),px=[Yb,Gb,Zb,tx,ex,nx,rx],mx=0,gx=1,yx=2,wx=3,bx=4,xx=5,Sx=6,Oe=class n{constructor(e){this.type=e}getLength(){return 1}getContent(){return[this.type]}isCountable(){return!0}copy(){return new n(this.type._copy())}splice(e){throw ke()}mergeWith(e){return!1}integrate(e,t){this.type._integrate(e.doc,t)}delete(e){let t=this.type._start;for(;t!==null;)t.deleted?t.id.clock<(e.beforeState.get(t.id.client)||0)&&e._mergeStructs.push(t):t.delete(e),t=t.right;this.type._map.forEach(r=>{r.deleted?r.id.clock<(e.beforeState.get(r.id.client)||0)&&e._mergeStructs.push(r):r.delete(e)}),e.changed.delete(this.type)}gc(e){let t=this.type._start;for(;t!==null;)t.gc(e,!0),t=t.right;this.type._start=null,this.type._map.forEach(r=>{for(;r!==null;)r.gc(e,!0),r=r.left}),this.type._map=new Map}write(e,t){this.type._write(e)}getRef(){return 7}},kx=n=>new Oe(px[n.readTypeRef()](n)),ca=(n,e)=>{let t=e,r=0,i;do r>0&&(t=M(t.client,t.clock+r)),i=Nn(n,t),r=t.clock-i.id.clock,t=i.redone;while(t!==null&&i instanceof O);return{item:i,diff:r}},Aa=(n,e)=>{for(;n!==null&&n.keep!==e;)n.keep=e,n=n.parent._item},Lo=(n,e,t)=>{let{client:r,clock:i}=e.id,s=new O(M(r,i+t),e,M(r,i+t-1),e.right,e.rightOrigin,e.parent,e.parentSub,e.content.splice(t));return e.deleted&&s.markDeleted(),e.keep&&(s.keep=!0),e.redone!==null&&(s.redone=M(e.redone.client,e.redone.clock+t)),e.right=s,s.right!==null&&(s.right.left=s),n._mergeStructs.push(s),s.parentSub!==null&&s.right===null&&s.parent._map.set(s.parentSub,s),e.length=t,s},Yu=(n,e)=>pi(n,t=>Rt(t.deletions,e)),_p=(n,e,t,r,i,s)=>{let o=n.doc,l=o.store,c=o.clientID,a=e.redone;if(a!==null)return ge(n,a);let h=e.parent._item,f=null,d;if(h!==null&&h.deleted===!0){if(h.redone===null&&(!t.has(h)||_p(n,h,t,r,i,s)===null))return null;for(;h.redone!==null;)h=ge(n,h.redone)}let u=h===null?e.parent:h.content.type;if(e.parentSub===null){for(f=e.left,d=e;f!==null;){let y=f;for(;y!==null&&y.parent._item!==h;)y=y.redone===null?null:ge(n,y.redone);if(y!==null&&y.parent._item===h){f=y;break}f=f.left}for(;d!==null;){let y=d;for(;y!==null&&y.parent._item!==h;)y=y.redone===null?null:ge(n,y.redone);if(y!==null&&y.parent._item===h){d=y;break}d=d.right}}else if(d=null,e.right&&!i){for(f=e;f!==null&&f.right!==null&&(f.right.redone||Rt(r,f.right.id)||Yu(s.undoStack,f.right.id)||Yu(s.redoStack,f.right.id));)for(f=f.right;f.redone;)f=ge(n,f.redone);if(f&&f.right!==null)return null}else f=u._map.get(e.parentSub)||null;let p=B(l,c),m=M(c,p),g=new O(m,f,f&&f.lastId,d,d&&d.id,u,e.parentSub,e.content.copy());return e.redone=m,Aa(g,!0),g.integrate(n,0),g},O=class n extends vr{constructor(e,t,r,i,s,o,l,c){super(e,c.getLength()),this.origin=r,this.left=t,this.right=i,this.rightOrigin=s,this.parent=o,this.parentSub=l,this.redone=null,this.content=c,this.info=this.content.isCountable()?2:0}set marker(e){(this.info&8)>0!==e&&(this.info^=8)}get marker(){return(this.info&8)>0}get keep(){return(this.info&1)>0}set keep(e){this.keep!==e&&(this.info^=1)}get countable(){return(this.info&2)>0}get deleted(){return(this.info&4)>0}set deleted(e){this.deleted!==e&&(this.info^=4)}markDeleted(){this.info|=4}getMissing(e,t){if(this.origin&&this.origin.client!==this.id.client&&this.origin.clock>=B(t,this.origin.client))return this.origin.client;if(this.rightOrigin&&this.rightOrigin.client!==this.id.client&&this.rightOrigin.clock>=B(t,this.rightOrigin.client))return this.rightOrigin.client;if(this.parent&&this.parent.constructor===Ot&&this.id.client!==this.parent.client&&this.parent.clock>=B(t,this.parent.client))return this.parent.client;if(this.origin&&(this.left=sa(e,t,this.origin),this.origin=this.left.lastId),this.rightOrigin&&(this.right=ge(e,this.rightOrigin),this.rightOrigin=this.right.id),this.left&&this.left.constructor===ye||this.right&&this.right.constructor===ye)this.parent=null;else if(!this.parent)this.left&&this.left.constructor===n?(this.parent=this.left.parent,this.parentSub=this.left.parentSub):this.right&&this.right.constructor===n&&(this.parent=this.right.parent,this.parentSub=this.right.parentSub);else if(this.parent.constructor===Ot){let r=Nn(t,this.parent);r.constructor===ye?this.parent=null:this.parent=r.content.type}return null}integrate(e,t){if(t>0&&(this.id.clock+=t,this.left=sa(e,e.doc.store,M(this.id.client,this.id.clock-1)),this.origin=this.left.lastId,this.content=this.content.splice(t),this.length-=t),this.parent){if(!this.left&&(!this.right||this.right.left!==null)||this.left&&this.left.right!==this.right){let r=this.left,i;if(r!==null)i=r.right;else if(this.parentSub!==null)for(i=this.parent._map.get(this.parentSub)||null;i!==null&&i.left!==null;)i=i.left;else i=this.parent._start;let s=new Set,o=new Set;for(;i!==null&&i!==this.right;){if(o.add(i),s.add(i),On(this.origin,i.origin)){if(i.id.client<this.id.client)r=i,s.clear();else if(On(this.rightOrigin,i.rightOrigin))break}else if(i.origin!==null&&o.has(Nn(e.doc.store,i.origin)))s.has(Nn(e.doc.store,i.origin))||(r=i,s.clear());else break;i=i.right}this.left=r}if(this.left!==null){let r=this.left.right;this.right=r,this.left.right=this}else{let r;if(this.parentSub!==null)for(r=this.parent._map.get(this.parentSub)||null;r!==null&&r.left!==null;)r=r.left;else r=this.parent._start,this.parent._start=this;this.right=r}this.right!==null?this.right.left=this:this.parentSub!==null&&(this.parent._map.set(this.parentSub,this),this.left!==null&&this.left.delete(e)),this.parentSub===null&&this.countable&&!this.deleted&&(this.parent._length+=this.length),rp(e.doc.store,this),this.content.integrate(e,this),$u(e,this.parent,this.parentSub),(this.parent._item!==null&&this.parent._item.deleted||this.parentSub!==null&&this.right!==null)&&this.delete(e)}else new ye(this.id,this.length).integrate(e,0)}get next(){let e=this.right;for(;e!==null&&e.deleted;)e=e.right;return e}get prev(){let e=this.left;for(;e!==null&&e.deleted;)e=e.left;return e}get lastId(){return this.length===1?this.id:M(this.id.client,this.id.clock+this.length-1)}mergeWith(e){if(this.constructor===e.constructor&&On(e.origin,this.lastId)&&this.right===e&&On(this.rightOrigin,e.rightOrigin)&&this.id.client===e.id.client&&this.id.clock+this.length===e.id.clock&&this.deleted===e.deleted&&this.redone===null&&e.redone===null&&this.content.constructor===e.content.constructor&&this.content.mergeWith(e.content)){let t=this.parent._searchMarker;return t&&t.forEach(r=>{r.p===e&&(r.p=this,!this.deleted&&this.countable&&(r.index-=this.length))}),e.keep&&(this.keep=!0),this.right=e.right,this.right!==null&&(this.right.left=this),this.length+=e.length,!0}return!1}delete(e){if(!this.deleted){let t=this.parent;this.countable&&this.parentSub===null&&(t._length-=this.length),this.markDeleted(),Pi(e.deleteSet,this.id.client,this.id.clock,this.length),$u(e,t,this.parentSub),this.content.delete(e)}}gc(e,t){if(!this.deleted)throw F();this.content.gc(e),t?Nb(e,this,new ye(this.id,this.length)):this.content=new _r(this.length)}write(e,t){let r=t>0?M(this.id.client,this.id.clock+t-1):this.origin,i=this.rightOrigin,s=this.parentSub,o=this.content.getRef()&31|(r===null?0:128)|(i===null?0:64)|(s===null?0:32);if(e.writeInfo(o),r!==null&&e.writeLeftID(r),i!==null&&e.writeRightID(i),r===null&&i===null){let l=this.parent;if(l._item!==void 0){let c=l._item;if(c===null){let a=Fn(l);e.writeParentInfo(!0),e.writeString(a)}else e.writeParentInfo(!1),e.writeLeftID(c.id)}else l.constructor===String?(e.writeParentInfo(!0),e.writeString(l)):l.constructor===Ot?(e.writeParentInfo(!1),e.writeLeftID(l)):F();s!==null&&e.writeString(s)}this.content.write(e,t)}},Up=(n,e)=>Cx[e&31](n),Cx=[()=>{F()},ox,hx,sx,ux,cx,ax,kx,dx,lx,()=>{F()}],Mx=10,ce=class extends vr{get deleted(){return!0}delete(){}mergeWith(e){return this.constructor!==e.constructor?!1:(this.length+=e.length,!0)}integrate(e,t){F()}write(e,t){e.writeInfo(Mx),x(e.restEncoder,this.length-t)}getMissing(e,t){return null}},Vp=typeof globalThis<"u"?globalThis:typeof window<"u"?window:typeof global<"u"?global:{},Bp="__ $YJS$ __";Vp[Bp]===!0&&console.error("Yjs was already imported. This breaks constructor checks and will lead to issues! - https://github.com/yjs/yjs/issues/438");Vp[Bp]=!0;var Pp=new Map,Ea=class{constructor(e){this.room=e,this.onmessage=null,this._onChange=t=>t.key===e&&this.onmessage!==null&&this.onmessage({data:hu(t.newValue||"")}),Yd(this._onChange)}postMessage(e){ro.setItem(this.room,au(cu(e)))}close(){Gd(this._onChange)}},Ax=typeof BroadcastChannel>"u"?Ea:BroadcastChannel,Ta=n=>W(Pp,n,()=>{let e=Te(),t=new Ax(n);return t.onmessage=r=>e.forEach(i=>i(r.data,"broadcastchannel")),{bc:t,subs:e}}),Lp=(n,e)=>(Ta(n).subs.add(e),e),zp=(n,e)=>{let t=Ta(n),r=t.subs.delete(e);return r&&t.subs.size===0&&(t.bc.close(),Pp.delete(n)),r},qn=(n,e,t=null)=>{let r=Ta(n);r.bc.postMessage(e),r.subs.forEach(i=>i(e,t))};var Fp=0,Jo=1,$p=2,jo=(n,e)=>{x(n,Fp);let t=wa(e);U(n,t)},Da=(n,e,t)=>{x(n,Jo),U(n,ma(e,t))},Tx=(n,e,t)=>Da(e,t,G(n)),qp=(n,e,t)=>{try{pa(e,G(n),t)}catch(r){console.error("Caught error while handling a Yjs update",r)}},Hp=(n,e)=>{x(n,$p),U(n,e)},Dx=qp,Jp=(n,e,t,r)=>{let i=C(n);switch(i){case Fp:Tx(n,e,t);break;case Jo:qp(n,t,r);break;case $p:Dx(n,t,r);break;default:throw new Error("Unknown message type")}return i};var Nx=0;var jp=(n,e,t)=>{switch(C(n)){case Nx:t(e,He(n))}};var Oa=3e4,Wo=class extends hr{constructor(e){super(),this.doc=e,this.clientID=e.clientID,this.states=new Map,this.meta=new Map,this._checkInterval=setInterval(()=>{let t=_e();this.getLocalState()!==null&&Oa/2<=t-this.meta.get(this.clientID).lastUpdated&&this.setLocalState(this.getLocalState());let r=[];this.meta.forEach((i,s)=>{s!==this.clientID&&Oa<=t-i.lastUpdated&&this.states.has(s)&&r.push(s)}),r.length>0&&Ko(this,r,"timeout")},Y(Oa/10)),e.on("destroy",()=>{this.destroy()}),this.setLocalState({})}destroy(){this.emit("destroy",[this]),this.setLocalState(null),super.destroy(),clearInterval(this._checkInterval)}getLocalState(){return this.states.get(this.clientID)||null}setLocalState(e){let t=this.clientID,r=this.meta.get(t),i=r===void 0?0:r.clock+1,s=this.states.get(t);e===null?this.states.delete(t):this.states.set(t,e),this.meta.set(t,{clock:i,lastUpdated:_e()});let o=[],l=[],c=[],a=[];e===null?a.push(t):s==null?e!=null&&o.push(t):(l.push(t),Wt(s,e)||c.push(t)),(o.length>0||c.length>0||a.length>0)&&this.emit("change",[{added:o,updated:c,removed:a},"local"]),this.emit("update",[{added:o,updated:l,removed:a},"local"])}setLocalStateField(e,t){let r=this.getLocalState();r!==null&&this.setLocalState({...r,[e]:t})}getStates(){return this.states}},Ko=(n,e,t)=>{let r=[];for(let i=0;i<e.length;i++){let s=e[i];if(n.states.has(s)){if(n.states.delete(s),s===n.clientID){let o=n.meta.get(s);n.meta.set(s,{clock:o.clock+1,lastUpdated:_e()})}r.push(s)}}r.length>0&&(n.emit("change",[{added:[],updated:[],removed:r},t]),n.emit("update",[{added:[],updated:[],removed:r},t]))},Pr=(n,e,t=n.states)=>{let r=e.length,i=$();x(i,r);for(let s=0;s<r;s++){let o=e[s],l=t.get(o)||null,c=n.meta.get(o).clock;x(i,o),x(i,c),it(i,JSON.stringify(l))}return I(i)};var Wp=(n,e,t)=>{let r=q(e),i=_e(),s=[],o=[],l=[],c=[],a=C(r);for(let h=0;h<a;h++){let f=C(r),d=C(r),u=JSON.parse(He(r)),p=n.meta.get(f),m=n.states.get(f),g=p===void 0?0:p.clock;(g<d||g===d&&u===null&&n.states.has(f))&&(u===null?f===n.clientID&&n.getLocalState()!=null?d++:n.states.delete(f):n.states.set(f,u),n.meta.set(f,{clock:d,lastUpdated:i}),p===void 0&&u!==null?s.push(f):p!==void 0&&u===null?c.push(f):u!==null&&(Wt(u,m)||l.push(f),o.push(f)))}(s.length>0||l.length>0||c.length>0)&&n.emit("change",[{added:s,updated:l,removed:c},t]),(s.length>0||o.length>0||c.length>0)&&n.emit("update",[{added:s,updated:o,removed:c},t])};var Kp=n=>tu(n,(e,t)=>`${encodeURIComponent(t)}=${encodeURIComponent(e)}`).join("&");var Hn=0,Gp=3,Lr=1,_x=2,Gi=[];Gi[Hn]=(n,e,t,r,i)=>{x(n,Hn);let s=Jp(e,n,t.doc,t);r&&s===Jo&&!t.synced&&(t.synced=!0)};Gi[Gp]=(n,e,t,r,i)=>{x(n,Lr),U(n,Pr(t.awareness,Array.from(t.awareness.getStates().keys())))};Gi[Lr]=(n,e,t,r,i)=>{Wp(t.awareness,G(e),t)};Gi[_x]=(n,e,t,r,i)=>{jp(e,t.doc,(s,o)=>Ux(t,o))};var Yp=3e4,Ux=(n,e)=>console.warn(`Permission denied to access ${n.url}.
-${e}`),Xp=(n,e,t)=>{let r=q(e),i=$(),s=C(r),o=n.messageHandlers[s];return o?o(i,r,n,t,s):console.error("Unable to compute message"),i},Qp=n=>{if(n.shouldConnect&&n.ws===null){let e=new n._WS(n.url,n.protocols);e.binaryType="arraybuffer",n.ws=e,n.wsconnecting=!0,n.wsconnected=!1,n.synced=!1,e.onmessage=t=>{n.wsLastMessageReceived=_e();let r=Xp(n,new Uint8Array(t.data),!0);Zs(r)>1&&e.send(I(r))},e.onerror=t=>{n.emit("connection-error",[t,n])},e.onclose=t=>{n.emit("connection-close",[t,n]),n.ws=null,n.wsconnecting=!1,n.wsconnected?(n.wsconnected=!1,n.synced=!1,Ko(n.awareness,Array.from(n.awareness.getStates().keys()).filter(r=>r!==n.doc.clientID),n),n.emit("status",[{status:"disconnected"}])):n.wsUnsuccessfulReconnects++,setTimeout(Qp,Re(_d(2,n.wsUnsuccessfulReconnects)*100,n.maxBackoffTime),n)},e.onopen=()=>{n.wsLastMessageReceived=_e(),n.wsconnecting=!1,n.wsconnected=!0,n.wsUnsuccessfulReconnects=0,n.emit("status",[{status:"connected"}]);let t=$();if(x(t,Hn),jo(t,n.doc),e.send(I(t)),n.awareness.getLocalState()!==null){let r=$();x(r,Lr),U(r,Pr(n.awareness,[n.doc.clientID])),e.send(I(r))}},n.emit("status",[{status:"connecting"}])}},Na=(n,e)=>{let t=n.ws;n.wsconnected&&t&&t.readyState===t.OPEN&&t.send(e),n.bcconnected&&qn(n.bcChannel,e,n)},Ia=class extends hr{constructor(e,t,r,{connect:i=!0,awareness:s=new Wo(r),params:o={},protocols:l=[],WebSocketPolyfill:c=WebSocket,resyncInterval:a=-1,maxBackoffTime:h=2500,disableBc:f=!1}={}){for(super();e[e.length-1]==="/";)e=e.slice(0,e.length-1);this.serverUrl=e,this.bcChannel=e+"/"+t,this.maxBackoffTime=h,this.params=o,this.protocols=l,this.roomname=t,this.doc=r,this._WS=c,this.awareness=s,this.wsconnected=!1,this.wsconnecting=!1,this.bcconnected=!1,this.disableBc=f,this.wsUnsuccessfulReconnects=0,this.messageHandlers=Gi.slice(),this._synced=!1,this.ws=null,this.wsLastMessageReceived=0,this.shouldConnect=i,this._resyncInterval=0,a>0&&(this._resyncInterval=setInterval(()=>{if(this.ws&&this.ws.readyState===WebSocket.OPEN){let d=$();x(d,Hn),jo(d,r),this.ws.send(I(d))}},a)),this._bcSubscriber=(d,u)=>{if(u!==this){let p=Xp(this,new Uint8Array(d),!1);Zs(p)>1&&qn(this.bcChannel,I(p),this)}},this._updateHandler=(d,u)=>{if(u!==this){let p=$();x(p,Hn),Hp(p,d),Na(this,I(p))}},this.doc.on("update",this._updateHandler),this._awarenessUpdateHandler=({added:d,updated:u,removed:p},m)=>{let g=d.concat(u).concat(p),y=$();x(y,Lr),U(y,Pr(s,g)),Na(this,I(y))},this._exitHandler=()=>{Ko(this.awareness,[r.clientID],"app closed")},Tt&&typeof process<"u"&&process.on("exit",this._exitHandler),s.on("update",this._awarenessUpdateHandler),this._checkInterval=setInterval(()=>{this.wsconnected&&Yp<_e()-this.wsLastMessageReceived&&this.ws.close()},Yp/10),i&&this.connect()}get url(){let e=Kp(this.params);return this.serverUrl+"/"+this.roomname+(e.length===0?"":"?"+e)}get synced(){return this._synced}set synced(e){this._synced!==e&&(this._synced=e,this.emit("synced",[e]),this.emit("sync",[e]))}destroy(){this._resyncInterval!==0&&clearInterval(this._resyncInterval),clearInterval(this._checkInterval),this.disconnect(),Tt&&typeof process<"u"&&process.off("exit",this._exitHandler),this.awareness.off("update",this._awarenessUpdateHandler),this.doc.off("update",this._updateHandler),super.destroy()}connectBc(){if(this.disableBc)return;this.bcconnected||(Lp(this.bcChannel,this._bcSubscriber),this.bcconnected=!0);let e=$();x(e,Hn),jo(e,this.doc),qn(this.bcChannel,I(e),this);let t=$();x(t,Hn),Da(t,this.doc),qn(this.bcChannel,I(t),this);let r=$();x(r,Gp),qn(this.bcChannel,I(r),this);let i=$();x(i,Lr),U(i,Pr(this.awareness,[this.doc.clientID])),qn(this.bcChannel,I(i),this)}disconnectBc(){let e=$();x(e,Lr),U(e,Pr(this.awareness,[this.doc.clientID],new Map)),Na(this,I(e)),this.bcconnected&&(zp(this.bcChannel,this._bcSubscriber),this.bcconnected=!1)}disconnect(){this.shouldConnect=!1,this.disconnectBc(),this.ws!==null&&this.ws.close()}connect(){this.shouldConnect=!0,!this.wsconnected&&this.ws===null&&(Qp(this),this.connectBc())}};var Zp=()=>{let n=!0;return(e,t)=>{if(n){n=!1;try{e()}finally{n=!0}}else t!==void 0&&t()}};var Vx=/[\uD800-\uDBFF]/,Bx=/[\uDC00-\uDFFF]/,Px=(n,e)=>{let t=0,r=0;for(;t<n.length&&t<e.length&&n[t]===e[t];)t++;for(t>0&&Vx.test(n[t-1])&&t--;r+t<n.length&&r+t<e.length&&n[n.length-r-1]===e[e.length-r-1];)r++;return r>0&&Bx.test(n[n.length-r])&&r--,{index:t,remove:n.length-t-r,insert:e.slice(t,e.length-r)}},em=Px;var v=new fe("y-sync"),vt=new fe("y-undo"),Xi=new fe("yjs-cursor");var Zi=(n,e)=>e===void 0?!n.deleted:e.sv.has(n.id.client)&&e.sv.get(n.id.client)>n.id.clock&&!Rt(e.ds,n.id),Lx=[{light:"#ecd44433",dark:"#ecd444"}],zx=(n,e,t)=>{if(!n.has(t)){if(n.size<e.length){let r=Te();n.forEach(i=>r.add(i)),e=e.filter(i=>!r.has(i))}n.set(t,Jd(e))}return n.get(t)},rm=(n,{colors:e=Lx,colorMapping:t=new Map,permanentUserData:r=null,onFirstRender:i=()=>{},mapping:s}={})=>{let o=!1,l=new Yo(n,s),c=new J({props:{editable:a=>{let h=v.getState(a);return h.snapshot==null&&h.prevSnapshot==null}},key:v,state:{init:(a,h)=>({type:n,doc:n.doc,binding:l,snapshot:null,prevSnapshot:null,isChangeOrigin:!1,isUndoRedoOperation:!1,addToHistory:!0,colors:e,colorMapping:t,permanentUserData:r}),apply:(a,h)=>{let f=a.getMeta(v);if(f!==void 0){h=Object.assign({},h);for(let d in f)h[d]=f[d]}return h.addToHistory=a.getMeta("addToHistory")!==!1,h.isChangeOrigin=f!==void 0&&!!f.isChangeOrigin,h.isUndoRedoOperation=f!==void 0&&!!f.isChangeOrigin&&!!f.isUndoRedoOperation,l.prosemirrorView!==null&&f!==void 0&&(f.snapshot!=null||f.prevSnapshot!=null)&&Ri(0,()=>{l.prosemirrorView!=null&&(f.restore==null?l._renderSnapshot(f.snapshot,f.prevSnapshot,h):(l._renderSnapshot(f.snapshot,f.snapshot,h),delete h.restore,delete h.snapshot,delete h.prevSnapshot,l.mux(()=>{l._prosemirrorChanged(l.prosemirrorView.state.doc)})))}),h}},view:a=>(l.initView(a),s==null&&l._forceRerender(),i(),{update:()=>{let h=c.getState(a.state);if(h.snapshot==null&&h.prevSnapshot==null&&(o||a.state.doc.content.findDiffStart(a.state.doc.type.createAndFill().content)!==null)){if(o=!0,h.addToHistory===!1&&!h.isChangeOrigin){let f=vt.getState(a.state),d=f&&f.undoManager;d&&d.stopCapturing()}l.mux(()=>{h.doc.transact(f=>{f.meta.set("addToHistory",h.addToHistory),l._prosemirrorChanged(a.state.doc)},v)})}},destroy:()=>{l.destroy()}})});return c},Fx=(n,e,t)=>{if(e!==null&&e.anchor!==null&&e.head!==null){let r=tn(t.doc,t.type,e.anchor,t.mapping),i=tn(t.doc,t.type,e.head,t.mapping);r!==null&&i!==null&&(n=n.setSelection(A.create(n.doc,r,i)))}},es=(n,e)=>({anchor:Jn(e.selection.anchor,n.type,n.mapping),head:Jn(e.selection.head,n.type,n.mapping)}),Yo=class{constructor(e,t=new Map){this.type=e,this.prosemirrorView=null,this.mux=Zp(),this.mapping=t,this._observeFunction=this._typeChanged.bind(this),this.doc=e.doc,this.beforeTransactionSelection=null,this.beforeAllTransactions=()=>{this.beforeTransactionSelection===null&&this.prosemirrorView!=null&&(this.beforeTransactionSelection=es(this,this.prosemirrorView.state))},this.afterAllTransactions=()=>{this.beforeTransactionSelection=null},this._domSelectionInView=null}get _tr(){return this.prosemirrorView.state.tr.setMeta("addToHistory",!1)}_isLocalCursorInView(){return this.prosemirrorView.hasFocus()?(Mr&&this._domSelectionInView===null&&(Ri(0,()=>{this._domSelectionInView=null}),this._domSelectionInView=this._isDomSelectionInView()),this._domSelectionInView):!1}_isDomSelectionInView(){let e=this.prosemirrorView._root.getSelection(),t=this.prosemirrorView._root.createRange();t.setStart(e.anchorNode,e.anchorOffset),t.setEnd(e.focusNode,e.focusOffset),t.getClientRects().length===0&&t.startContainer&&t.collapsed&&t.selectNodeContents(t.startContainer);let i=t.getBoundingClientRect(),s=Dt.documentElement;return i.bottom>=0&&i.right>=0&&i.left<=(window.innerWidth||s.clientWidth||0)&&i.top<=(window.innerHeight||s.clientHeight||0)}renderSnapshot(e,t){t||(t=Wi(Ur(),new Map)),this.prosemirrorView.dispatch(this._tr.setMeta(v,{snapshot:e,prevSnapshot:t}))}unrenderSnapshot(){this.mapping.clear(),this.mux(()=>{let e=this.type.toArray().map(r=>Qi(r,this.prosemirrorView.state.schema,this.mapping)).filter(r=>r!==null),t=this._tr.replace(0,this.prosemirrorView.state.doc.content.size,new b(w.from(e),0,0));t.setMeta(v,{snapshot:null,prevSnapshot:null}),this.prosemirrorView.dispatch(t)})}_forceRerender(){this.mapping.clear(),this.mux(()=>{let e=this.beforeTransactionSelection!==null?null:this.prosemirrorView.state.selection,t=this.type.toArray().map(i=>Qi(i,this.prosemirrorView.state.schema,this.mapping)).filter(i=>i!==null),r=this._tr.replace(0,this.prosemirrorView.state.doc.content.size,new b(w.from(t),0,0));e&&r.setSelection(A.create(r.doc,e.anchor,e.head)),this.prosemirrorView.dispatch(r.setMeta(v,{isChangeOrigin:!0,binding:this}))})}_renderSnapshot(e,t,r){let i=this.doc;e||(e=Ki(this.doc)),(e instanceof Uint8Array||t instanceof Uint8Array)&&((!(e instanceof Uint8Array)||!(t instanceof Uint8Array))&&F(),i=new Je({gc:!1}),zn(i,t),t=Ki(i),zn(i,e),e=Ki(i)),this.mapping.clear(),this.mux(()=>{i.transact(s=>{let o=r.permanentUserData;o&&o.dss.forEach(h=>{ct(s,h,f=>{})});let l=(h,f)=>{let d=h==="added"?o.getUserByClientId(f.client):o.getUserByDeletedId(f);return{user:d,type:h,color:zx(r.colorMapping,r.colors,d)}},c=Ho(this.type,new Zt(t.ds,e.sv)).map(h=>!h._item.deleted||Zi(h._item,e)||Zi(h._item,t)?Qi(h,this.prosemirrorView.state.schema,new Map,e,t,l):null).filter(h=>h!==null),a=this._tr.replace(0,this.prosemirrorView.state.doc.content.size,new b(w.from(c),0,0));this.prosemirrorView.dispatch(a.setMeta(v,{isChangeOrigin:!0}))},v)})}_typeChanged(e,t){if(this.prosemirrorView==null)return;let r=v.getState(this.prosemirrorView.state);if(e.length===0||r.snapshot!=null||r.prevSnapshot!=null){this.renderSnapshot(r.snapshot,r.prevSnapshot);return}this.mux(()=>{let i=(l,c)=>this.mapping.delete(c);ct(t,t.deleteSet,l=>{if(l.constructor===O){let c=l.content.type;c&&this.mapping.delete(c)}}),t.changed.forEach(i),t.changedParentTypes.forEach(i);let s=this.type.toArray().map(l=>im(l,this.prosemirrorView.state.schema,this.mapping)).filter(l=>l!==null),o=this._tr.replace(0,this.prosemirrorView.state.doc.content.size,new b(w.from(s),0,0));Fx(o,this.beforeTransactionSelection,this),o=o.setMeta(v,{isChangeOrigin:!0,isUndoRedoOperation:t.origin instanceof _n}),this.beforeTransactionSelection!==null&&this._isLocalCursorInView()&&o.scrollIntoView(),this.prosemirrorView.dispatch(o)})}_prosemirrorChanged(e){this.doc.transact(()=>{zr(this.doc,this.type,e,this.mapping),this.beforeTransactionSelection=es(this,this.prosemirrorView.state)},v)}initView(e){this.prosemirrorView!=null&&this.destroy(),this.prosemirrorView=e,this.doc.on("beforeAllTransactions",this.beforeAllTransactions),this.doc.on("afterAllTransactions",this.afterAllTransactions),this.type.observeDeep(this._observeFunction)}destroy(){this.prosemirrorView!=null&&(this.prosemirrorView=null,this.type.unobserveDeep(this._observeFunction),this.doc.off("beforeAllTransactions",this.beforeAllTransactions),this.doc.off("afterAllTransactions",this.afterAllTransactions))}},im=(n,e,t,r,i,s)=>{let o=t.get(n);if(o===void 0){if(n instanceof ne)return Qi(n,e,t,r,i,s);throw ke()}return o},Qi=(n,e,t,r,i,s)=>{let o=[],l=c=>{if(c.constructor===ne){let a=im(c,e,t,r,i,s);a!==null&&o.push(a)}else{let a=c._item.right?.content.type;a instanceof ut&&!a._item.deleted&&a._item.id.client===a.doc.clientID&&(c.applyDelta([{retain:c.length},...a.toDelta()]),a.doc.transact(f=>{a._item.delete(f)}));let h=$x(c,e,t,r,i,s);h!==null&&h.forEach(f=>{f!==null&&o.push(f)})}};r===void 0||i===void 0?n.toArray().forEach(l):Ho(n,new Zt(i.ds,r.sv)).forEach(l);try{let c=n.getAttributes(r);r!==void 0&&(Zi(n._item,r)?Zi(n._item,i)||(c.ychange=s?s("added",n._item.id):{type:"added"}):c.ychange=s?s("removed",n._item.id):{type:"removed"});let a=e.node(n.nodeName,c,o);return t.set(n,a),a}catch{return n.doc.transact(a=>{n._item.delete(a)},v),t.delete(n),null}},$x=(n,e,t,r,i,s)=>{let o=[],l=n.toDelta(r,i,s);try{for(let c=0;c<l.length;c++){let a=l[c],h=[];for(let f in a.attributes)h.push(e.mark(f,a.attributes[f]));o.push(e.text(a.insert,h))}}catch{return n.doc.transact(a=>{n._item.delete(a)},v),null}return o},qx=(n,e)=>{let t=new Me,r=n.map(i=>({insert:i.text,attributes:om(i.marks)}));return t.applyDelta(r),e.set(t,n),t},Hx=(n,e)=>{let t=new ne(n.type.name);for(let r in n.attrs){let i=n.attrs[r];i!==null&&r!=="ychange"&&t.setAttribute(r,i)}return t.insert(0,Xo(n).map(r=>Ra(r,e))),e.set(t,n),t},Ra=(n,e)=>n instanceof Array?qx(n,e):Hx(n,e),tm=n=>typeof n=="object"&&n!==null,_a=(n,e)=>{let t=Object.keys(n).filter(i=>n[i]!==null),r=t.length===Object.keys(e).filter(i=>e[i]!==null).length;for(let i=0;i<t.length&&r;i++){let s=t[i],o=n[s],l=e[s];r=s==="ychange"||o===l||tm(o)&&tm(l)&&_a(o,l)}return r},Xo=n=>{let e=n.content.content,t=[];for(let r=0;r<e.length;r++){let i=e[r];if(i.isText){let s=[];for(let o=e[r];r<e.length&&o.isText;o=e[++r])s.push(o);r--,t.push(s)}else t.push(i)}return t},sm=(n,e)=>{let t=n.toDelta();return t.length===e.length&&t.every((r,i)=>r.insert===e[i].text&&Ic(r.attributes||{}).length===e[i].marks.length&&e[i].marks.every(s=>_a(r.attributes[s.type.name]||{},s.attrs)))},ts=(n,e)=>{if(n instanceof ne&&!(e instanceof Array)&&va(n,e)){let t=Xo(e);return n._length===t.length&&_a(n.getAttributes(),e.attrs)&&n.toArray().every((r,i)=>ts(r,t[i]))}return n instanceof Me&&e instanceof Array&&sm(n,e)},Go=(n,e)=>n===e||n instanceof Array&&e instanceof Array&&n.length===e.length&&n.every((t,r)=>e[r]===t),nm=(n,e,t)=>{let r=n.toArray(),i=Xo(e),s=i.length,o=r.length,l=Re(o,s),c=0,a=0,h=!1;for(;c<l;c++){let f=r[c],d=i[c];if(Go(t.get(f),d))h=!0;else if(!ts(f,d))break}for(;c+a<l;a++){let f=r[o-a-1],d=i[s-a-1];if(Go(t.get(f),d))h=!0;else if(!ts(f,d))break}return{equalityFactor:c+a,foundMappedChild:h}},Jx=n=>{let e="",t=n._start,r={};for(;t!==null;)t.deleted||(t.countable&&t.content instanceof Ve?e+=t.content.str:t.content instanceof P&&(r[t.content.key]=null)),t=t.right;return{str:e,nAttrs:r}},jx=(n,e,t)=>{t.set(n,e);let{nAttrs:r,str:i}=Jx(n),s=e.map(a=>({insert:a.text,attributes:Object.assign({},r,om(a.marks))})),{insert:o,remove:l,index:c}=em(i,s.map(a=>a.insert).join(""));n.delete(c,l),n.insert(c,o),n.applyDelta(s.map(a=>({retain:a.insert.length,attributes:a.attributes})))},om=n=>{let e={};return n.forEach(t=>{t.type.name!=="ychange"&&(e[t.type.name]=t.attrs)}),e},zr=(n,e,t,r)=>{if(e instanceof ne&&e.nodeName!==t.type.name)throw new Error("node name mismatch!");if(r.set(e,t),e instanceof ne){let f=e.getAttributes(),d=t.attrs;for(let u in d)d[u]!==null?f[u]!==d[u]&&u!=="ychange"&&e.setAttribute(u,d[u]):e.removeAttribute(u);for(let u in f)d[u]===void 0&&e.removeAttribute(u)}let i=Xo(t),s=i.length,o=e.toArray(),l=o.length,c=Re(s,l),a=0,h=0;for(;a<c;a++){let f=o[a],d=i[a];if(!Go(r.get(f),d))if(ts(f,d))r.set(f,d);else break}for(;h+a+1<c;h++){let f=o[l-h-1],d=i[s-h-1];if(!Go(r.get(f),d))if(ts(f,d))r.set(f,d);else break}n.transact(()=>{for(;l-a-h>0&&s-a-h>0;){let d=o[a],u=i[a],p=o[l-h-1],m=i[s-h-1];if(d instanceof Me&&u instanceof Array)sm(d,u)||jx(d,u,r),a+=1;else{let g=d instanceof ne&&va(d,u),y=p instanceof ne&&va(p,m);if(g&&y){let E=nm(d,u,r),N=nm(p,m,r);E.foundMappedChild&&!N.foundMappedChild?y=!1:!E.foundMappedChild&&N.foundMappedChild||E.equalityFactor<N.equalityFactor?g=!1:y=!1}g?(zr(n,d,u,r),a+=1):y?(zr(n,p,m,r),h+=1):(r.delete(e.get(a)),e.delete(a,1),e.insert(a,[Ra(u,r)]),a+=1)}}let f=l-a-h;if(l===1&&s===0&&o[0]instanceof Me?(r.delete(o[0]),o[0].delete(0,o[0].length)):f>0&&(e.slice(a,a+f).forEach(d=>r.delete(d)),e.delete(a,f)),a+h<s){let d=[];for(let u=a;u<s-h;u++)d.push(Ra(i[u],r));e.insert(a,d)}},v)},va=(n,e)=>!(e instanceof Array)&&n.nodeName===e.type.name;var ns=null,Wx=()=>{let n=ns;ns=null,n.forEach((e,t)=>{let r=t.state.tr,i=v.getState(t.state);i&&i.binding&&!i.binding.isDestroyed&&(e.forEach((s,o)=>{r.setMeta(o,s)}),t.dispatch(r))})},Ua=(n,e,t)=>{ns||(ns=new Map,Ri(0,Wx)),W(ns,n,_).set(e,t)},Jn=(n,e,t)=>{if(n===0)return ji(e,0,-1);let r=e._first===null?null:e._first.content.type;for(;r!==null&&e!==r;){if(r instanceof Me){if(r._length>=n)return ji(r,n,-1);if(n-=r._length,r._item!==null&&r._item.next!==null)r=r._item.next.content.type;else{do r=r._item===null?null:r._item.parent,n--;while(r!==e&&r!==null&&r._item!==null&&r._item.next===null);r!==null&&r!==e&&(r=r._item===null?null:r._item.next.content.type)}}else{let i=(t.get(r)||{nodeSize:0}).nodeSize;if(r._first!==null&&n<i)r=r._first.content.type,n--;else{if(n===1&&r._length===0&&i>1)return new ft(r._item===null?null:r._item.id,r._item===null?Fn(r):null,null);if(n-=i,r._item!==null&&r._item.next!==null)r=r._item.next.content.type;else{if(n===0)return r=r._item===null?r:r._item.parent,new ft(r._item===null?null:r._item.id,r._item===null?Fn(r):null,null);do r=r._item.parent,n--;while(r!==e&&r._item.next===null);r!==e&&(r=r._item.next.content.type)}}}if(r===null)throw F();if(n===0&&r.constructor!==Me&&r!==e)return Kx(r._item.parent,r._item)}return ji(e,e._length,-1)},Kx=(n,e)=>{let t=null,r=null;return n._item===null?r=Fn(n):t=M(n._item.id.client,n._item.id.clock),new ft(t,r,e.id)},tn=(n,e,t,r)=>{let i=ba(t,n);if(i===null||i.type!==e&&!vn(e,i.type._item))return null;let s=i.type,o=0;if(s.constructor===Me)o=i.index;else if(s._item===null||!s._item.deleted){let l=s._first,c=0;for(;c<s._length&&c<i.index&&l!==null;){if(!l.deleted){let a=l.content.type;c++,a instanceof Me?o+=a._length:o+=r.get(a).nodeSize}l=l.right}o+=1}for(;s!==e&&s._item!==null;){let l=s._item.parent;if(l._item===null||!l._item.deleted){o+=1;let c=l._first;for(;c!==null;){let a=c.content.type;if(a===s)break;c.deleted||(a instanceof Me?o+=a._length:o+=r.get(a).nodeSize),c=c.right}}s=l}return o-1};function lm(n,e="prosemirror"){let t=new Je,r=t.get(e,pt);return r.doc?(Va(n,r),r.doc):t}function Va(n,e){let t=e||new pt,r=t.doc?t.doc:{transact:i=>i(void 0)};return zr(r,t,n,new Map),t}function cm(n,e){let t=Ba(e);return Be.fromJSON(n,t)}function Ba(n,e="prosemirror"){return Pa(n.getXmlFragment(e))}function Pa(n){let e=n.toArray();function t(r){let i;if(!r.nodeName)i=r.toDelta().map(o=>{let l={type:"text",text:o.insert};return o.attributes&&(l.marks=Object.keys(o.attributes).map(c=>{let a=o.attributes[c],h={type:c};return Object.keys(a)&&(h.attrs=a),h})),l});else{i={type:r.nodeName};let s=r.getAttributes();Object.keys(s).length&&(i.attrs=s);let o=r.toArray();o.length&&(i.content=o.map(t).flat())}return i}return{type:"doc",content:e.map(t)}}var Yx=(n,e,t)=>n!==e,Gx=n=>{let e=document.createElement("span");e.classList.add("ProseMirror-yjs-cursor"),e.setAttribute("style",`border-color: ${n.color}`);let t=document.createElement("div");t.setAttribute("style",`background-color: ${n.color}`),t.insertBefore(document.createTextNode(n.name),null);let r=document.createTextNode("\u2060"),i=document.createTextNode("\u2060");return e.insertBefore(r,null),e.insertBefore(t,null),e.insertBefore(i,null),e},Xx=n=>({style:`background-color: ${n.color}70`,class:"ProseMirror-yjs-selection"}),Qx=/^#[0-9a-fA-F]{6}$/,am=(n,e,t,r,i)=>{let s=v.getState(n),o=s.doc,l=[];return s.snapshot!=null||s.prevSnapshot!=null||s.binding.mapping.size===0?L.create(n.doc,[]):(e.getStates().forEach((c,a)=>{if(t(o.clientID,a,c)&&c.cursor!=null){let h=c.user||{};h.color==null?h.color="#ffa500":Qx.test(h.color)||console.warn("A user uses an unsupported color format",h),h.name==null&&(h.name=`User: ${a}`);let f=tn(o,s.type,$n(c.cursor.anchor),s.binding.mapping),d=tn(o,s.type,$n(c.cursor.head),s.binding.mapping);if(f!==null&&d!==null){let u=$e(n.doc.content.size-1,0);f=Re(f,u),d=Re(d,u),l.push(se.widget(d,()=>r(h),{key:a+"",side:10}));let p=Re(f,d),m=$e(f,d);l.push(se.inline(p,m,i(h),{inclusiveEnd:!0,inclusiveStart:!1}))}}}),L.create(n.doc,l))},Zx=(n,{awarenessStateFilter:e=Yx,cursorBuilder:t=Gx,selectionBuilder:r=Xx,getSelection:i=o=>o.selection}={},s="cursor")=>new J({key:Xi,state:{init(o,l){return am(l,n,e,t,r)},apply(o,l,c,a){let h=v.getState(a),f=o.getMeta(Xi);return h&&h.isChangeOrigin||f&&f.awarenessUpdated?am(a,n,e,t,r):l.map(o.mapping,o.doc)}},props:{decorations:o=>Xi.getState(o)},view:o=>{let l=()=>{o.docView&&Ua(o,Xi,{awarenessUpdated:!0})},c=()=>{let a=v.getState(o.state),h=n.getLocalState()||{};if(o.hasFocus()){let f=i(o.state),d=Jn(f.anchor,a.type,a.binding.mapping),u=Jn(f.head,a.type,a.binding.mapping);(h.cursor==null||!zo($n(h.cursor.anchor),d)||!zo($n(h.cursor.head),u))&&n.setLocalStateField(s,{anchor:d,head:u})}else h.cursor!=null&&tn(a.doc,a.type,$n(h.cursor.anchor),a.binding.mapping)!==null&&n.setLocalStateField(s,null)};return n.on("change",l),o.dom.addEventListener("focusin",c),o.dom.addEventListener("focusout",c),{update:c,destroy:()=>{o.dom.removeEventListener("focusin",c),o.dom.removeEventListener("focusout",c),n.off("change",l),n.setLocalStateField(s,null)}}}});var eS=n=>{let e=vt.getState(n).undoManager;if(e!=null)return e.undo(),!0},tS=n=>{let e=vt.getState(n).undoManager;if(e!=null)return e.redo(),!0},nS=new Set(["paragraph"]),rS=(n,e)=>!(n instanceof O)||!(n.content instanceof Oe)||!(n.content.type instanceof ut||n.content.type instanceof ne&&e.has(n.content.type.nodeName))||n.content.type._length===0,iS=({protectedNodes:n=nS,trackedOrigins:e=[],undoManager:t=null}={})=>new J({key:vt,state:{init:(r,i)=>{let s=v.getState(i),o=t||new _n(s.type,{trackedOrigins:new Set([v].concat(e)),deleteFilter:l=>rS(l,n),captureTransaction:l=>l.meta.get("addToHistory")!==!1});return{undoManager:o,prevSel:null,hasUndoOps:o.undoStack.length>0,hasRedoOps:o.redoStack.length>0}},apply:(r,i,s,o)=>{let l=v.getState(o).binding,c=i.undoManager,a=c.undoStack.length>0,h=c.redoStack.length>0;return l?{undoManager:c,prevSel:es(l,s),hasUndoOps:a,hasRedoOps:h}:a!==i.hasUndoOps||h!==i.hasRedoOps?Object.assign({},i,{hasUndoOps:c.undoStack.length>0,hasRedoOps:c.redoStack.length>0}):i}},view:r=>{let i=v.getState(r.state),s=vt.getState(r.state).undoManager;return s.on("stack-item-added",({stackItem:o})=>{let l=i.binding;l&&o.meta.set(l,vt.getState(r.state).prevSel)}),s.on("stack-item-popped",({stackItem:o})=>{let l=i.binding;l&&(l.beforeTransactionSelection=o.meta.get(l)||l.beforeTransactionSelection)}),{destroy:()=>{s.destroy()}}}});var rs="http://www.w3.org/2000/svg",sS="http://www.w3.org/1999/xlink",za="ProseMirror-icon",La="pm-close-dropdowns";function oS(n){let e=0;for(let t=0;t<n.length;t++)e=(e<<5)-e+n.charCodeAt(t)|0;return e}function lS(n,e){let t=(n.nodeType==9?n:n.ownerDocument)||document,r=t.createElement("div");if(r.className=za,e.path){let{path:i,width:s,height:o}=e,l="pm-icon-"+oS(i).toString(16);t.getElementById(l)||cS(n,l,e);let c=r.appendChild(t.createElementNS(rs,"svg"));c.style.width=s/o+"em",c.appendChild(t.createElementNS(rs,"use")).setAttributeNS(sS,"href",/([^#]*)/.exec(t.location.toString())[1]+"#"+l)}else if(e.dom)r.appendChild(e.dom.cloneNode(!0));else{let{text:i,css:s}=e;r.appendChild(t.createElement("span")).textContent=i||"",s&&(r.firstChild.style.cssText=s)}return r}function cS(n,e,t){let[r,i]=n.nodeType==9?[n,n.body]:[n.ownerDocument||document,n],s=r.getElementById(za+"-collection");s||(s=r.createElementNS(rs,"svg"),s.id=za+"-collection",s.style.display="none",i.insertBefore(s,i.firstChild));let o=r.createElementNS(rs,"symbol");o.id=e,o.setAttribute("viewBox","0 0 "+t.width+" "+t.height),o.appendChild(r.createElementNS(rs,"path")).setAttribute("d",t.path),s.appendChild(o)}var Qe="ProseMirror-menu",mt=class{constructor(e){this.spec=e}render(e){let t=this.spec,r=t.render?t.render(e):t.icon?lS(e.root,t.icon):t.label?Mt("div",null,Qo(e,t.label)):null;if(!r)throw new RangeError("MenuItem without icon or label property");if(t.title){let s=typeof t.title=="function"?t.title(e.state):t.title;r.setAttribute("title",Qo(e,s))}t.class&&r.classList.add(t.class),t.css&&(r.style.cssText+=t.css),t.column&&r.setAttribute("column",t.column),r.addEventListener("mousedown",s=>{s.preventDefault(),r.classList.contains(Qe+"-disabled")||t.run(e.state,e.dispatch,e,s)});function i(s){if(t.select){let l=t.select(s);if(r.style.display=l?"":"none",!l)return!1}let o=!0;if(t.enable&&(o=t.enable(s)||!1,hm(r,Qe+"-disabled",!o)),t.active){let l=o&&t.active(s)||!1;hm(r,Qe+"-active",l)}return!0}return{dom:r,update:i}}};function Qo(n,e){return n._props.translate?n._props.translate(e):e}var is={time:0,node:null};function aS(n){is.time=Date.now(),is.node=n.target}function hS(n){return Date.now()-100<is.time&&is.node&&n.contains(is.node)}var Fa=class{constructor(e,t={sticky:!0}){this.options=t||{},this.content=Array.isArray(e)?e:[e]}render(e){let t=fS(this.content,e),r=e.dom.ownerDocument.defaultView||window,i=Mt("div",{class:Qe+"-dropdown "+(this.options.class||""),style:this.options.css},Qo(e,this.options.label||""));this.options.title&&i.setAttribute("title",Qo(e,this.options.title));let s=Mt("div",{class:Qe+"-dropdown-wrap"},i),o=null,l=null,c=null,a=()=>{o&&o.close()&&(o=null,this.options.sticky||r.removeEventListener("mousedown",l),r.removeEventListener(La,c))};i.addEventListener("mousedown",f=>{f.preventDefault(),aS(f),o?a():(r.dispatchEvent(new CustomEvent(La)),o=this.expand(s,t.dom),this.options.sticky||r.addEventListener("mousedown",l=()=>{hS(s)||a()}),r.addEventListener(La,c=()=>{a()}))});function h(f){let d=t.update(f);return s.style.display=d?"":"none",d}return{dom:s,update:h}}expand(e,t){let r=document.createElement("div");r.className=`${Qe}-dropdown-menu-col-1`;let i=document.createElement("div");i.className=`${Qe}-dropdown-menu-col-2`,t.forEach(c=>{c.querySelector('[column="2"]')?i.append(c):r.append(c)});let s=Mt("div",{class:Qe+"-dropdown-menu "+(this.options.class||"")},r,i),o=!1;function l(){return o?!1:(o=!0,e.removeChild(s),!0)}return e.appendChild(s),{close:l,node:s}}};function fS(n,e){let t=[],r=[];for(let i=0;i<n.length;i++){let{dom:s,update:o}=n[i].render(e);t.push(Mt("div",{class:Qe+"-dropdown-item"},s)),r.push(o)}return{dom:t,update:fm(r,t)}}function fm(n,e){return t=>{let r=!1;for(let i=0;i<n.length;i++){let s=n[i](t);e[i].style.display=s?"":"none",s&&(r=!0)}return r}}function dS(n,e){let t=document.createDocumentFragment(),r=[],i=[];for(let o=0;o<e.length;o++){let l=e[o],c=[],a=[];for(let h=0;h<l.length;h++){let{dom:f,update:d}=l[h].render(n),u=Mt("span",{class:Qe+"item"},f);t.appendChild(u),a.push(u),c.push(d)}c.length&&(r.push(fm(c,a)),o<e.length-1&&i.push(t.appendChild(uS())))}function s(o){let l=!1,c=!1;for(let a=0;a<r.length;a++){let h=r[a](o);a&&(i[a-1].style.display=c&&h?"":"none"),c=h,h&&(l=!0)}return l}return{dom:t,update:s}}function uS(){return Mt("span",{class:Qe+"separator"})}var ss={join:{width:800,height:900,path:"M0 75h800v125h-800z M0 825h800v-125h-800z M250 400h100v-100h100v100h100v100h-100v100h-100v-100h-100z"},lift:{width:1024,height:1024,path:"M219 310v329q0 7-5 12t-12 5q-8 0-13-5l-164-164q-5-5-5-13t5-13l164-164q5-5 13-5 7 0 12 5t5 12zM1024 749v109q0 7-5 12t-12 5h-987q-7 0-12-5t-5-12v-109q0-7 5-12t12-5h987q7 0 12 5t5 12zM1024 530v109q0 7-5 12t-12 5h-621q-7 0-12-5t-5-12v-109q0-7 5-12t12-5h621q7 0 12 5t5 12zM1024 310v109q0 7-5 12t-12 5h-621q-7 0-12-5t-5-12v-109q0-7 5-12t12-5h621q7 0 12 5t5 12zM1024 91v109q0 7-5 12t-12 5h-987q-7 0-12-5t-5-12v-109q0-7 5-12t12-5h987q7 0 12 5t5 12z"},selectParentNode:{text:"\u2B1A",css:"font-weight: bold"},undo:{width:1024,height:1024,path:"M761 1024c113-206 132-520-313-509v253l-384-384 384-384v248c534-13 594 472 313 775z"},redo:{width:1024,height:1024,path:"M576 248v-248l384 384-384 384v-253c-446-10-427 303-313 509-280-303-221-789 313-775z"},strong:{width:805,height:1024,path:"M317 869q42 18 80 18 214 0 214-191 0-65-23-102-15-25-35-42t-38-26-46-14-48-6-54-1q-41 0-57 5 0 30-0 90t-0 90q0 4-0 38t-0 55 2 47 6 38zM309 442q24 4 62 4 46 0 81-7t62-25 42-51 14-81q0-40-16-70t-45-46-61-24-70-8q-28 0-74 7 0 28 2 86t2 86q0 15-0 45t-0 45q0 26 0 39zM0 950l1-53q8-2 48-9t60-15q4-6 7-15t4-19 3-18 1-21 0-19v-37q0-561-12-585-2-4-12-8t-25-6-28-4-27-2-17-1l-2-47q56-1 194-6t213-5q13 0 39 0t38 0q40 0 78 7t73 24 61 40 42 59 16 78q0 29-9 54t-22 41-36 32-41 25-48 22q88 20 146 76t58 141q0 57-20 102t-53 74-78 48-93 27-100 8q-25 0-75-1t-75-1q-60 0-175 6t-132 6z"},em:{width:585,height:1024,path:"M0 949l9-48q3-1 46-12t63-21q16-20 23-57 0-4 35-165t65-310 29-169v-14q-13-7-31-10t-39-4-33-3l10-58q18 1 68 3t85 4 68 1q27 0 56-1t69-4 56-3q-2 22-10 50-17 5-58 16t-62 19q-4 10-8 24t-5 22-4 26-3 24q-15 84-50 239t-44 203q-1 5-7 33t-11 51-9 47-3 32l0 10q9 2 105 17-1 25-9 56-6 0-18 0t-18 0q-16 0-49-5t-49-5q-78-1-117-1-29 0-81 5t-69 6z"},code:{width:896,height:1024,path:"M608 192l-96 96 224 224-224 224 96 96 288-320-288-320zM288 192l-288 320 288 320 96-96-224-224 224-224-96-96z"},link:{width:951,height:1024,path:"M832 694q0-22-16-38l-118-118q-16-16-38-16-24 0-41 18 1 1 10 10t12 12 8 10 7 14 2 15q0 22-16 38t-38 16q-8 0-15-2t-14-7-10-8-12-12-10-10q-18 17-18 41 0 22 16 38l117 118q15 15 38 15 22 0 38-14l84-83q16-16 16-38zM430 292q0-22-16-38l-117-118q-16-16-38-16-22 0-38 15l-84 83q-16 16-16 38 0 22 16 38l118 118q15 15 38 15 24 0 41-17-1-1-10-10t-12-12-8-10-7-14-2-15q0-22 16-38t38-16q8 0 15 2t14 7 10 8 12 12 10 10q18-17 18-41zM941 694q0 68-48 116l-84 83q-47 47-116 47-69 0-116-48l-117-118q-47-47-47-116 0-70 50-119l-50-50q-49 50-118 50-68 0-116-48l-118-118q-48-48-48-116t48-116l84-83q47-47 116-47 69 0 116 48l117 118q47 47 47 116 0 70-50 119l50 50q49-50 118-50 68 0 116 48l118 118q48 48 48 116z"},bulletList:{width:768,height:896,path:"M0 512h128v-128h-128v128zM0 256h128v-128h-128v128zM0 768h128v-128h-128v128zM256 512h512v-128h-512v128zM256 256h512v-128h-512v128zM256 768h512v-128h-512v128z"},orderedList:{width:768,height:896,path:"M320 512h448v-128h-448v128zM320 768h448v-128h-448v128zM320 128v128h448v-128h-448zM79 384h78v-256h-36l-85 23v50l43-2v185zM189 590c0-36-12-78-96-78-33 0-64 6-83 16l1 66c21-10 42-15 67-15s32 11 32 28c0 26-30 58-110 112v50h192v-67l-91 2c49-30 87-66 87-113l1-1z"},blockquote:{width:640,height:896,path:"M0 448v256h256v-256h-128c0 0 0-128 128-128v-128c0 0-256 0-256 256zM640 320v-128c0 0-256 0-256 256v256h256v-256h-128c0 0 0-128 128-128z"}},AM=new mt({title:"Join with above block",run:li,select:n=>li(n),icon:ss.join}),EM=new mt({title:"Lift out of enclosing block",run:ci,select:n=>ci(n),icon:ss.lift}),TM=new mt({title:"Select parent node",run:ai,select:n=>ai(n),icon:ss.selectParentNode}),DM=new mt({title:"Undo last change",run:di,enable:n=>di(n),icon:ss.undo}),OM=new mt({title:"Redo last undone change",run:lr,enable:n=>lr(n),icon:ss.redo});function pS(n,e){let t={run(r,i){return or(n,e.attrs)(r,i)},select(r){return or(n,e.attrs)(r)}};for(let r in e)t[r]=e[r];return new mt(t)}function mS(n,e){let t=bn(n,e.attrs),r={run:t,enable(i){return t(i)},active(i){let{$from:s,to:o,node:l}=i.selection;return l?l.hasMarkup(n,e.attrs):o<=s.end()&&s.parent.hasMarkup(n,e.attrs)}};for(let i in e)r[i]=e[i];return new mt(r)}function hm(n,e,t){t?n.classList.add(e):n.classList.remove(e)}export{Wn as DOMParser,Vt as DOMSerializer,Fa as Dropdown,bl as EditorState,$l as EditorView,w as Fragment,nt as InputRule,mt as MenuItem,k as NodeSelection,J as Plugin,fe as PluginKey,Hr as Schema,b as Slice,A as TextSelection,Ia as WebsocketProvider,Br as Y,rw as addColumnAfter,nw as addColumnBefore,d0 as addListNodes,cw as addRowAfter,lw as addRowBefore,td as baseKeymap,Fy as baseSchema,mS as blockTypeItem,L0 as buildKeymap,Dw as columnResizing,sw as deleteColumn,hw as deleteRow,ww as deleteTable,Ad as fixTables,N0 as gapCursor,yw as goToNextCell,ld as inputRules,Ye as isInTable,S0 as keymap,tc as liftListItem,dw as mergeCells,lm as prosemirrorToYDoc,Va as prosemirrorToYXmlFragment,dS as renderGrouped,Ge as selectedRect,bn as setBlockType,nc as sinkListItem,uw as splitCell,ec as splitListItem,Lw as tableEditing,H0 as tableNodes,xn as toggleMark,or as wrapIn,Us as wrapInList,pS as wrapItem,ad as wrappingInputRule,Zx as yCursorPlugin,cm as yDocToProsemirror,Ba as yDocToProsemirrorJSON,tS as yRedo,rm as ySyncPlugin,eS as yUndo,iS as yUndoPlugin,vt as yUndoPluginKey,Pa as yXmlFragmentToProsemirrorJSON};
+`))),0,0):b.empty;let f=n.someProp("clipboardTextParser",d=>d(e,i,r,n));if(f)l=f;else{let d=i.marks(),{schema:u}=n.state,p=Bt.fromSchema(u);o=document.createElement("div"),e.split(/(?:\r\n?|\n)+/).forEach(m=>{let g=o.appendChild(document.createElement("p"));m&&g.appendChild(p.serializeNode(u.text(m,d)))})}}else n.someProp("transformPastedHTML",f=>{t=f(t,n)}),o=Kg(t),oi&&Yg(o);let a=o&&o.querySelector("[data-pm-slice]"),h=a&&/^(\d+) (\d+)(?: -(\d+))? (.*)/.exec(a.getAttribute("data-pm-slice")||"");if(h&&h[3])for(let f=+h[3];f>0;f--){let d=o.firstChild;for(;d&&d.nodeType!=1;)d=d.nextSibling;if(!d)break;o=d}if(l||(l=(n.someProp("clipboardParser")||n.someProp("domParser")||Wn.fromSchema(n.state.schema)).parseSlice(o,{preserveWhitespace:!!(c||h),context:i,ruleFromNode(d){return d.nodeName=="BR"&&!d.nextSibling&&d.parentNode&&!Jg.test(d.parentNode.nodeName)?{ignore:!0}:null}})),h)l=Gg(nf(l,+h[1],+h[2]),h[4]);else if(l=b.maxOpen(jg(l.content,i),!0),l.openStart||l.openEnd){let f=0,d=0;for(let u=l.content.firstChild;f<l.openStart&&!u.type.spec.isolating;f++,u=u.firstChild);for(let u=l.content.lastChild;d<l.openEnd&&!u.type.spec.isolating;d++,u=u.lastChild);l=nf(l,f,d)}return n.someProp("transformPasted",f=>{l=f(l,n)}),l}var Jg=/^(a|abbr|acronym|b|cite|code|del|em|i|ins|kbd|label|output|q|ruby|s|samp|span|strong|sub|sup|time|u|tt|var)$/i;function jg(n,e){if(n.childCount<2)return n;for(let t=e.depth;t>=0;t--){let i=e.node(t).contentMatchAt(e.index(t)),s,o=[];if(n.forEach(l=>{if(!o)return;let c=i.findWrapping(l.type),a;if(!c)return o=null;if(a=o.length&&s.length&&_f(c,s,l,o[o.length-1],0))o[o.length-1]=a;else{o.length&&(o[o.length-1]=Uf(o[o.length-1],s.length));let h=vf(l,c);o.push(h),i=i.matchType(h.type),s=c}}),o)return w.from(o)}return n}function vf(n,e,t=0){for(let r=e.length-1;r>=t;r--)n=e[r].create(null,w.from(n));return n}function _f(n,e,t,r,i){if(i<n.length&&i<e.length&&n[i]==e[i]){let s=_f(n,e,t,r.lastChild,i+1);if(s)return r.copy(r.content.replaceChild(r.childCount-1,s));if(r.contentMatchAt(r.childCount).matchType(i==n.length-1?t.type:n[i+1]))return r.copy(r.content.append(w.from(vf(t,n,i+1))))}}function Uf(n,e){if(e==0)return n;let t=n.content.replaceChild(n.childCount-1,Uf(n.lastChild,e-1)),r=n.contentMatchAt(n.childCount).fillBefore(w.empty,!0);return n.copy(t.append(r))}function Ul(n,e,t,r,i,s){let o=e<0?n.firstChild:n.lastChild,l=o.content;return n.childCount>1&&(s=0),i<r-1&&(l=Ul(l,e,t,r,i+1,s)),i>=t&&(l=e<0?o.contentMatchAt(0).fillBefore(l,s<=i).append(l):l.append(o.contentMatchAt(o.childCount).fillBefore(w.empty,!0))),n.replaceChild(e<0?0:n.childCount-1,o.copy(l))}function nf(n,e,t){return e<n.openStart&&(n=new b(Ul(n.content,-1,e,n.openStart,0,n.openEnd),e,n.openEnd)),t<n.openEnd&&(n=new b(Ul(n.content,1,t,n.openEnd,0,0),n.openStart,t)),n}var Vf={thead:["table"],tbody:["table"],tfoot:["table"],caption:["table"],colgroup:["table"],col:["table","colgroup"],tr:["table","tbody"],td:["table","tbody","tr"],th:["table","tbody","tr"]},rf=null;function Bf(){return rf||(rf=document.implementation.createHTMLDocument("title"))}function Wg(n){let e=window.trustedTypes;return e?e.createPolicy("detachedDocument",{createHTML:t=>t}).createHTML(n):n}function Kg(n){let e=/^(\s*<meta [^>]*>)*/.exec(n);e&&(n=n.slice(e[0].length));let t=Bf().createElement("div"),r=/<([a-z][^>\s]+)/i.exec(n),i;if((i=r&&Vf[r[1].toLowerCase()])&&(n=i.map(s=>"<"+s+">").join("")+n+i.map(s=>"</"+s+">").reverse().join("")),t.innerHTML=Wg(n),i)for(let s=0;s<i.length;s++)t=t.querySelector(i[s])||t;return t}function Yg(n){let e=n.querySelectorAll(ue?"span:not([class]):not([style])":"span.Apple-converted-space");for(let t=0;t<e.length;t++){let r=e[t];r.childNodes.length==1&&r.textContent=="\xA0"&&r.parentNode&&r.parentNode.replaceChild(n.ownerDocument.createTextNode(" "),r)}}function Gg(n,e){if(!n.size)return n;let t=n.content.firstChild.type.schema,r;try{r=JSON.parse(e)}catch{return n}let{content:i,openStart:s,openEnd:o}=n;for(let l=r.length-2;l>=0;l-=2){let c=t.nodes[r[l]];if(!c||c.hasRequiredAttrs())break;i=w.from(c.create(r[l+1],i)),s++,o++}return new b(i,s,o)}var xe={},Se={},Xg={touchstart:!0,touchmove:!0},Vl=class{constructor(){this.shiftKey=!1,this.mouseDown=null,this.lastKeyCode=null,this.lastKeyCodeTime=0,this.lastClick={time:0,x:0,y:0,type:""},this.lastSelectionOrigin=null,this.lastSelectionTime=0,this.lastIOSEnter=0,this.lastIOSEnterFallbackTimeout=-1,this.lastFocus=0,this.lastTouch=0,this.lastAndroidDelete=0,this.composing=!1,this.compositionNode=null,this.composingTimeout=-1,this.compositionNodes=[],this.compositionEndedAt=-2e8,this.compositionID=1,this.compositionPendingChanges=0,this.domChangeCount=0,this.eventHandlers=Object.create(null),this.hideSelectionGuard=null}};function Qg(n){for(let e in xe){let t=xe[e];n.dom.addEventListener(e,n.input.eventHandlers[e]=r=>{ey(n,r)&&!jl(n,r)&&(n.editable||!(r.type in Se))&&t(n,r)},Xg[e]?{passive:!0}:void 0)}be&&n.dom.addEventListener("input",()=>null),Bl(n)}function $t(n,e){n.input.lastSelectionOrigin=e,n.input.lastSelectionTime=Date.now()}function Zg(n){n.domObserver.stop();for(let e in n.input.eventHandlers)n.dom.removeEventListener(e,n.input.eventHandlers[e]);clearTimeout(n.input.composingTimeout),clearTimeout(n.input.lastIOSEnterFallbackTimeout)}function Bl(n){n.someProp("handleDOMEvents",e=>{for(let t in e)n.input.eventHandlers[t]||n.dom.addEventListener(t,n.input.eventHandlers[t]=r=>jl(n,r))})}function jl(n,e){return n.someProp("handleDOMEvents",t=>{let r=t[e.type];return r?r(n,e)||e.defaultPrevented:!1})}function ey(n,e){if(!e.bubbles)return!0;if(e.defaultPrevented)return!1;for(let t=e.target;t!=n.dom;t=t.parentNode)if(!t||t.nodeType==11||t.pmViewDesc&&t.pmViewDesc.stopEvent(e))return!1;return!0}function ty(n,e){!jl(n,e)&&xe[e.type]&&(n.editable||!(e.type in Se))&&xe[e.type](n,e)}Se.keydown=(n,e)=>{let t=e;if(n.input.shiftKey=t.keyCode==16||t.shiftKey,!Lf(n,t)&&(n.input.lastKeyCode=t.keyCode,n.input.lastKeyCodeTime=Date.now(),!(We&&ue&&t.keyCode==13)))if(n.domObserver.selectionChanged(n.domSelectionRange())?n.domObserver.flush():t.keyCode!=229&&n.domObserver.forceFlush(),rr&&t.keyCode==13&&!t.ctrlKey&&!t.altKey&&!t.metaKey){let r=Date.now();n.input.lastIOSEnter=r,n.input.lastIOSEnterFallbackTimeout=setTimeout(()=>{n.input.lastIOSEnter==r&&(n.someProp("handleKeyDown",i=>i(n,dn(13,"Enter"))),n.input.lastIOSEnter=0)},200)}else n.someProp("handleKeyDown",r=>r(n,t))||Hg(n,t)?t.preventDefault():$t(n,"key")};Se.keyup=(n,e)=>{e.keyCode==16&&(n.input.shiftKey=!1)};Se.keypress=(n,e)=>{let t=e;if(Lf(n,t)||!t.charCode||t.ctrlKey&&!t.altKey||Pe&&t.metaKey)return;if(n.someProp("handleKeyPress",i=>i(n,t))){t.preventDefault();return}let r=n.state.selection;if(!(r instanceof A)||!r.$from.sameParent(r.$to)){let i=String.fromCharCode(t.charCode);!/[\r\n]/.test(i)&&!n.someProp("handleTextInput",s=>s(n,r.$from.pos,r.$to.pos,i))&&n.dispatch(n.state.tr.insertText(i).scrollIntoView()),t.preventDefault()}};function _s(n){return{left:n.clientX,top:n.clientY}}function ny(n,e){let t=e.x-n.clientX,r=e.y-n.clientY;return t*t+r*r<100}function Wl(n,e,t,r,i){if(r==-1)return!1;let s=n.state.doc.resolve(r);for(let o=s.depth+1;o>0;o--)if(n.someProp(e,l=>o>s.depth?l(n,t,s.nodeAfter,s.before(o),i,!0):l(n,t,s.node(o),s.before(o),i,!1)))return!0;return!1}function nr(n,e,t){if(n.focused||n.focus(),n.state.selection.eq(e))return;let r=n.state.tr.setSelection(e);t=="pointer"&&r.setMeta("pointer",!0),n.dispatch(r)}function ry(n,e){if(e==-1)return!1;let t=n.state.doc.resolve(e),r=t.nodeAfter;return r&&r.isAtom&&k.isSelectable(r)?(nr(n,new k(t),"pointer"),!0):!1}function iy(n,e){if(e==-1)return!1;let t=n.state.selection,r,i;t instanceof k&&(r=t.node);let s=n.state.doc.resolve(e);for(let o=s.depth+1;o>0;o--){let l=o>s.depth?s.nodeAfter:s.node(o);if(k.isSelectable(l)){r&&t.$from.depth>0&&o>=t.$from.depth&&s.before(t.$from.depth+1)==t.$from.pos?i=s.before(t.$from.depth):i=s.before(o);break}}return i!=null?(nr(n,k.create(n.state.doc,i),"pointer"),!0):!1}function sy(n,e,t,r,i){return Wl(n,"handleClickOn",e,t,r)||n.someProp("handleClick",s=>s(n,e,r))||(i?iy(n,t):ry(n,t))}function oy(n,e,t,r){return Wl(n,"handleDoubleClickOn",e,t,r)||n.someProp("handleDoubleClick",i=>i(n,e,r))}function ly(n,e,t,r){return Wl(n,"handleTripleClickOn",e,t,r)||n.someProp("handleTripleClick",i=>i(n,e,r))||cy(n,t,r)}function cy(n,e,t){if(t.button!=0)return!1;let r=n.state.doc;if(e==-1)return r.inlineContent?(nr(n,A.create(r,0,r.content.size),"pointer"),!0):!1;let i=r.resolve(e);for(let s=i.depth+1;s>0;s--){let o=s>i.depth?i.nodeAfter:i.node(s),l=i.before(s);if(o.inlineContent)nr(n,A.create(r,l+1,l+1+o.content.size),"pointer");else if(k.isSelectable(o))nr(n,k.create(r,l),"pointer");else continue;return!0}}function Kl(n){return Ds(n)}var Pf=Pe?"metaKey":"ctrlKey";xe.mousedown=(n,e)=>{let t=e;n.input.shiftKey=t.shiftKey;let r=Kl(n),i=Date.now(),s="singleClick";i-n.input.lastClick.time<500&&ny(t,n.input.lastClick)&&!t[Pf]&&(n.input.lastClick.type=="singleClick"?s="doubleClick":n.input.lastClick.type=="doubleClick"&&(s="tripleClick")),n.input.lastClick={time:i,x:t.clientX,y:t.clientY,type:s};let o=n.posAtCoords(_s(t));o&&(s=="singleClick"?(n.input.mouseDown&&n.input.mouseDown.done(),n.input.mouseDown=new Pl(n,o,t,!!r)):(s=="doubleClick"?oy:ly)(n,o.pos,o.inside,t)?t.preventDefault():$t(n,"pointer"))};var Pl=class{constructor(e,t,r,i){this.view=e,this.pos=t,this.event=r,this.flushed=i,this.delayedSelectionSync=!1,this.mightDrag=null,this.startDoc=e.state.doc,this.selectNode=!!r[Pf],this.allowDefault=r.shiftKey;let s,o;if(t.inside>-1)s=e.state.doc.nodeAt(t.inside),o=t.inside;else{let h=e.state.doc.resolve(t.pos);s=h.parent,o=h.depth?h.before():0}let l=i?null:r.target,c=l?e.docView.nearestDesc(l,!0):null;this.target=c&&c.dom.nodeType==1?c.dom:null;let{selection:a}=e.state;(r.button==0&&s.type.spec.draggable&&s.type.spec.selectable!==!1||a instanceof k&&a.from<=o&&a.to>o)&&(this.mightDrag={node:s,pos:o,addAttr:!!(this.target&&!this.target.draggable),setUneditable:!!(this.target&&Ke&&!this.target.hasAttribute("contentEditable"))}),this.target&&this.mightDrag&&(this.mightDrag.addAttr||this.mightDrag.setUneditable)&&(this.view.domObserver.stop(),this.mightDrag.addAttr&&(this.target.draggable=!0),this.mightDrag.setUneditable&&setTimeout(()=>{this.view.input.mouseDown==this&&this.target.setAttribute("contentEditable","false")},20),this.view.domObserver.start()),e.root.addEventListener("mouseup",this.up=this.up.bind(this)),e.root.addEventListener("mousemove",this.move=this.move.bind(this)),$t(e,"pointer")}done(){this.view.root.removeEventListener("mouseup",this.up),this.view.root.removeEventListener("mousemove",this.move),this.mightDrag&&this.target&&(this.view.domObserver.stop(),this.mightDrag.addAttr&&this.target.removeAttribute("draggable"),this.mightDrag.setUneditable&&this.target.removeAttribute("contentEditable"),this.view.domObserver.start()),this.delayedSelectionSync&&setTimeout(()=>St(this.view)),this.view.input.mouseDown=null}up(e){if(this.done(),!this.view.dom.contains(e.target))return;let t=this.pos;this.view.state.doc!=this.startDoc&&(t=this.view.posAtCoords(_s(e))),this.updateAllowDefault(e),this.allowDefault||!t?$t(this.view,"pointer"):sy(this.view,t.pos,t.inside,e,this.selectNode)?e.preventDefault():e.button==0&&(this.flushed||be&&this.mightDrag&&!this.mightDrag.node.isAtom||ue&&!this.view.state.selection.visible&&Math.min(Math.abs(t.pos-this.view.state.selection.from),Math.abs(t.pos-this.view.state.selection.to))<=2)?(nr(this.view,S.near(this.view.state.doc.resolve(t.pos)),"pointer"),e.preventDefault()):$t(this.view,"pointer")}move(e){this.updateAllowDefault(e),$t(this.view,"pointer"),e.buttons==0&&this.done()}updateAllowDefault(e){!this.allowDefault&&(Math.abs(this.event.x-e.clientX)>4||Math.abs(this.event.y-e.clientY)>4)&&(this.allowDefault=!0)}};xe.touchstart=n=>{n.input.lastTouch=Date.now(),Kl(n),$t(n,"pointer")};xe.touchmove=n=>{n.input.lastTouch=Date.now(),$t(n,"pointer")};xe.contextmenu=n=>Kl(n);function Lf(n,e){return n.composing?!0:be&&Math.abs(e.timeStamp-n.input.compositionEndedAt)<500?(n.input.compositionEndedAt=-2e8,!0):!1}var ay=We?5e3:-1;Se.compositionstart=Se.compositionupdate=n=>{if(!n.composing){n.domObserver.flush();let{state:e}=n,t=e.selection.$to;if(e.selection instanceof A&&(e.storedMarks||!t.textOffset&&t.parentOffset&&t.nodeBefore.marks.some(r=>r.type.spec.inclusive===!1)))n.markCursor=n.state.storedMarks||t.marks(),Ds(n,!0),n.markCursor=null;else if(Ds(n,!e.selection.empty),Ke&&e.selection.empty&&t.parentOffset&&!t.textOffset&&t.nodeBefore.marks.length){let r=n.domSelectionRange();for(let i=r.focusNode,s=r.focusOffset;i&&i.nodeType==1&&s!=0;){let o=s<0?i.lastChild:i.childNodes[s-1];if(!o)break;if(o.nodeType==3){let l=n.domSelection();l&&l.collapse(o,o.nodeValue.length);break}else i=o,s=-1}}n.input.composing=!0}zf(n,ay)};Se.compositionend=(n,e)=>{n.composing&&(n.input.composing=!1,n.input.compositionEndedAt=e.timeStamp,n.input.compositionPendingChanges=n.domObserver.pendingRecords().length?n.input.compositionID:0,n.input.compositionNode=null,n.input.compositionPendingChanges&&Promise.resolve().then(()=>n.domObserver.flush()),n.input.compositionID++,zf(n,20))};function zf(n,e){clearTimeout(n.input.composingTimeout),e>-1&&(n.input.composingTimeout=setTimeout(()=>Ds(n),e))}function Ff(n){for(n.composing&&(n.input.composing=!1,n.input.compositionEndedAt=fy());n.input.compositionNodes.length>0;)n.input.compositionNodes.pop().markParentsDirty()}function hy(n){let e=n.domSelectionRange();if(!e.focusNode)return null;let t=lg(e.focusNode,e.focusOffset),r=cg(e.focusNode,e.focusOffset);if(t&&r&&t!=r){let i=r.pmViewDesc,s=n.domObserver.lastChangedTextNode;if(t==s||r==s)return s;if(!i||!i.isText(r.nodeValue))return r;if(n.input.compositionNode==r){let o=t.pmViewDesc;if(!(!o||!o.isText(t.nodeValue)))return r}}return t||r}function fy(){let n=document.createEvent("Event");return n.initEvent("event",!0,!0),n.timeStamp}function Ds(n,e=!1){if(!(We&&n.domObserver.flushingSoon>=0)){if(n.domObserver.forceFlush(),Ff(n),e||n.docView&&n.docView.dirty){let t=Hl(n);return t&&!t.eq(n.state.selection)?n.dispatch(n.state.tr.setSelection(t)):(n.markCursor||e)&&!n.state.selection.empty?n.dispatch(n.state.tr.deleteSelection()):n.updateState(n.state),!0}return!1}}function dy(n,e){if(!n.dom.parentNode)return;let t=n.dom.parentNode.appendChild(document.createElement("div"));t.appendChild(e),t.style.cssText="position: fixed; left: -10000px; top: 10px";let r=getSelection(),i=document.createRange();i.selectNodeContents(e),n.dom.blur(),r.removeAllRanges(),r.addRange(i),setTimeout(()=>{t.parentNode&&t.parentNode.removeChild(t),n.focus()},50)}var ni=Te&&qt<15||rr&&ug<604;xe.copy=Se.cut=(n,e)=>{let t=e,r=n.state.selection,i=t.type=="cut";if(r.empty)return;let s=ni?null:t.clipboardData,o=r.content(),{dom:l,text:c}=If(n,o);s?(t.preventDefault(),s.clearData(),s.setData("text/html",l.innerHTML),s.setData("text/plain",c)):dy(n,l),i&&n.dispatch(n.state.tr.deleteSelection().scrollIntoView().setMeta("uiEvent","cut"))};function uy(n){return n.openStart==0&&n.openEnd==0&&n.content.childCount==1?n.content.firstChild:null}function py(n,e){if(!n.dom.parentNode)return;let t=n.input.shiftKey||n.state.selection.$from.parent.type.spec.code,r=n.dom.parentNode.appendChild(document.createElement(t?"textarea":"div"));t||(r.contentEditable="true"),r.style.cssText="position: fixed; left: -10000px; top: 10px",r.focus();let i=n.input.shiftKey&&n.input.lastKeyCode!=45;setTimeout(()=>{n.focus(),r.parentNode&&r.parentNode.removeChild(r),t?ri(n,r.value,null,i,e):ri(n,r.textContent,r.innerHTML,i,e)},50)}function ri(n,e,t,r,i){let s=Rf(n,e,t,r,n.state.selection.$from);if(n.someProp("handlePaste",c=>c(n,i,s||b.empty)))return!0;if(!s)return!1;let o=uy(s),l=o?n.state.tr.replaceSelectionWith(o,r):n.state.tr.replaceSelection(s);return n.dispatch(l.scrollIntoView().setMeta("paste",!0).setMeta("uiEvent","paste")),!0}function $f(n){let e=n.getData("text/plain")||n.getData("Text");if(e)return e;let t=n.getData("text/uri-list");return t?t.replace(/\r?\n/g," "):""}Se.paste=(n,e)=>{let t=e;if(n.composing&&!We)return;let r=ni?null:t.clipboardData,i=n.input.shiftKey&&n.input.lastKeyCode!=45;r&&ri(n,$f(r),r.getData("text/html"),i,t)?t.preventDefault():py(n,t)};var Os=class{constructor(e,t,r){this.slice=e,this.move=t,this.node=r}},qf=Pe?"altKey":"ctrlKey";xe.dragstart=(n,e)=>{let t=e,r=n.input.mouseDown;if(r&&r.done(),!t.dataTransfer)return;let i=n.state.selection,s=i.empty?null:n.posAtCoords(_s(t)),o;if(!(s&&s.pos>=i.from&&s.pos<=(i instanceof k?i.to-1:i.to))){if(r&&r.mightDrag)o=k.create(n.state.doc,r.mightDrag.pos);else if(t.target&&t.target.nodeType==1){let f=n.docView.nearestDesc(t.target,!0);f&&f.node.type.spec.draggable&&f!=n.docView&&(o=k.create(n.state.doc,f.posBefore))}}let l=(o||n.state.selection).content(),{dom:c,text:a,slice:h}=If(n,l);(!t.dataTransfer.files.length||!ue||yf>120)&&t.dataTransfer.clearData(),t.dataTransfer.setData(ni?"Text":"text/html",c.innerHTML),t.dataTransfer.effectAllowed="copyMove",ni||t.dataTransfer.setData("text/plain",a),n.dragging=new Os(h,!t[qf],o)};xe.dragend=n=>{let e=n.dragging;window.setTimeout(()=>{n.dragging==e&&(n.dragging=null)},50)};Se.dragover=Se.dragenter=(n,e)=>e.preventDefault();Se.drop=(n,e)=>{let t=e,r=n.dragging;if(n.dragging=null,!t.dataTransfer)return;let i=n.posAtCoords(_s(t));if(!i)return;let s=n.state.doc.resolve(i.pos),o=r&&r.slice;o?n.someProp("transformPasted",p=>{o=p(o,n)}):o=Rf(n,$f(t.dataTransfer),ni?null:t.dataTransfer.getData("text/html"),!1,s);let l=!!(r&&!t[qf]);if(n.someProp("handleDrop",p=>p(n,t,o||b.empty,l))){t.preventDefault();return}if(!o)return;t.preventDefault();let c=o?Ch(n.state.doc,s.pos,o):s.pos;c==null&&(c=s.pos);let a=n.state.tr;if(l){let{node:p}=r;p?p.replace(a):a.deleteSelection()}let h=a.mapping.map(c),f=o.openStart==0&&o.openEnd==0&&o.content.childCount==1,d=a.doc;if(f?a.replaceRangeWith(h,h,o.content.firstChild):a.replaceRange(h,h,o),a.doc.eq(d))return;let u=a.doc.resolve(h);if(f&&k.isSelectable(o.content.firstChild)&&u.nodeAfter&&u.nodeAfter.sameMarkup(o.content.firstChild))a.setSelection(new k(u));else{let p=a.mapping.map(c);a.mapping.maps[a.mapping.maps.length-1].forEach((m,g,y,T)=>p=T),a.setSelection(Jl(n,u,a.doc.resolve(p)))}n.focus(),n.dispatch(a.setMeta("uiEvent","drop"))};xe.focus=n=>{n.input.lastFocus=Date.now(),n.focused||(n.domObserver.stop(),n.dom.classList.add("ProseMirror-focused"),n.domObserver.start(),n.focused=!0,setTimeout(()=>{n.docView&&n.hasFocus()&&!n.domObserver.currentSelection.eq(n.domSelectionRange())&&St(n)},20))};xe.blur=(n,e)=>{let t=e;n.focused&&(n.domObserver.stop(),n.dom.classList.remove("ProseMirror-focused"),n.domObserver.start(),t.relatedTarget&&n.dom.contains(t.relatedTarget)&&n.domObserver.currentSelection.clear(),n.focused=!1)};xe.beforeinput=(n,e)=>{if(ue&&We&&e.inputType=="deleteContentBackward"){n.domObserver.flushSoon();let{domChangeCount:r}=n.input;setTimeout(()=>{if(n.input.domChangeCount!=r||(n.dom.blur(),n.focus(),n.someProp("handleKeyDown",s=>s(n,dn(8,"Backspace")))))return;let{$cursor:i}=n.state.selection;i&&i.pos>0&&n.dispatch(n.state.tr.delete(i.pos-1,i.pos).scrollIntoView())},50)}};for(let n in Se)xe[n]=Se[n];function ii(n,e){if(n==e)return!0;for(let t in n)if(n[t]!==e[t])return!1;for(let t in e)if(!(t in n))return!1;return!0}var Ns=class n{constructor(e,t){this.toDOM=e,this.spec=t||gn,this.side=this.spec.side||0}map(e,t,r,i){let{pos:s,deleted:o}=e.mapResult(t.from+i,this.side<0?-1:1);return o?null:new te(s-r,s-r,this)}valid(){return!0}eq(e){return this==e||e instanceof n&&(this.spec.key&&this.spec.key==e.spec.key||this.toDOM==e.toDOM&&ii(this.spec,e.spec))}destroy(e){this.spec.destroy&&this.spec.destroy(e)}},mn=class n{constructor(e,t){this.attrs=e,this.spec=t||gn}map(e,t,r,i){let s=e.map(t.from+i,this.spec.inclusiveStart?-1:1)-r,o=e.map(t.to+i,this.spec.inclusiveEnd?1:-1)-r;return s>=o?null:new te(s,o,this)}valid(e,t){return t.from<t.to}eq(e){return this==e||e instanceof n&&ii(this.attrs,e.attrs)&&ii(this.spec,e.spec)}static is(e){return e.type instanceof n}destroy(){}},Ll=class n{constructor(e,t){this.attrs=e,this.spec=t||gn}map(e,t,r,i){let s=e.mapResult(t.from+i,1);if(s.deleted)return null;let o=e.mapResult(t.to+i,-1);return o.deleted||o.pos<=s.pos?null:new te(s.pos-r,o.pos-r,this)}valid(e,t){let{index:r,offset:i}=e.content.findIndex(t.from),s;return i==t.from&&!(s=e.child(r)).isText&&i+s.nodeSize==t.to}eq(e){return this==e||e instanceof n&&ii(this.attrs,e.attrs)&&ii(this.spec,e.spec)}destroy(){}},te=class n{constructor(e,t,r){this.from=e,this.to=t,this.type=r}copy(e,t){return new n(e,t,this.type)}eq(e,t=0){return this.type.eq(e.type)&&this.from+t==e.from&&this.to+t==e.to}map(e,t,r){return this.type.map(e,this,t,r)}static widget(e,t,r){return new n(e,e,new Ns(t,r))}static inline(e,t,r,i){return new n(e,t,new mn(r,i))}static node(e,t,r,i){return new n(e,t,new Ll(r,i))}get spec(){return this.type.spec}get inline(){return this.type instanceof mn}get widget(){return this.type instanceof Ns}},tr=[],gn={},V=class n{constructor(e,t){this.local=e.length?e:tr,this.children=t.length?t:tr}static create(e,t){return t.length?Rs(t,e,0,gn):de}find(e,t,r){let i=[];return this.findInner(e??0,t??1e9,i,0,r),i}findInner(e,t,r,i,s){for(let o=0;o<this.local.length;o++){let l=this.local[o];l.from<=t&&l.to>=e&&(!s||s(l.spec))&&r.push(l.copy(l.from+i,l.to+i))}for(let o=0;o<this.children.length;o+=3)if(this.children[o]<t&&this.children[o+1]>e){let l=this.children[o]+1;this.children[o+2].findInner(e-l,t-l,r,i+l,s)}}map(e,t,r){return this==de||e.maps.length==0?this:this.mapInner(e,t,0,0,r||gn)}mapInner(e,t,r,i,s){let o;for(let l=0;l<this.local.length;l++){let c=this.local[l].map(e,r,i);c&&c.type.valid(t,c)?(o||(o=[])).push(c):s.onRemove&&s.onRemove(this.local[l].spec)}return this.children.length?my(this.children,o||[],e,t,r,i,s):o?new n(o.sort(yn),tr):de}add(e,t){return t.length?this==de?n.create(e,t):this.addInner(e,t,0):this}addInner(e,t,r){let i,s=0;e.forEach((l,c)=>{let a=c+r,h;if(h=Jf(t,l,a)){for(i||(i=this.children.slice());s<i.length&&i[s]<c;)s+=3;i[s]==c?i[s+2]=i[s+2].addInner(l,h,a+1):i.splice(s,0,c,c+l.nodeSize,Rs(h,l,a+1,gn)),s+=3}});let o=Hf(s?jf(t):t,-r);for(let l=0;l<o.length;l++)o[l].type.valid(e,o[l])||o.splice(l--,1);return new n(o.length?this.local.concat(o).sort(yn):this.local,i||this.children)}remove(e){return e.length==0||this==de?this:this.removeInner(e,0)}removeInner(e,t){let r=this.children,i=this.local;for(let s=0;s<r.length;s+=3){let o,l=r[s]+t,c=r[s+1]+t;for(let h=0,f;h<e.length;h++)(f=e[h])&&f.from>l&&f.to<c&&(e[h]=null,(o||(o=[])).push(f));if(!o)continue;r==this.children&&(r=this.children.slice());let a=r[s+2].removeInner(o,l+1);a!=de?r[s+2]=a:(r.splice(s,3),s-=3)}if(i.length){for(let s=0,o;s<e.length;s++)if(o=e[s])for(let l=0;l<i.length;l++)i[l].eq(o,t)&&(i==this.local&&(i=this.local.slice()),i.splice(l--,1))}return r==this.children&&i==this.local?this:i.length||r.length?new n(i,r):de}forChild(e,t){if(this==de)return this;if(t.isLeaf)return n.empty;let r,i;for(let l=0;l<this.children.length;l+=3)if(this.children[l]>=e){this.children[l]==e&&(r=this.children[l+2]);break}let s=e+1,o=s+t.content.size;for(let l=0;l<this.local.length;l++){let c=this.local[l];if(c.from<o&&c.to>s&&c.type instanceof mn){let a=Math.max(s,c.from)-s,h=Math.min(o,c.to)-s;a<h&&(i||(i=[])).push(c.copy(a,h))}}if(i){let l=new n(i.sort(yn),tr);return r?new Is([l,r]):l}return r||de}eq(e){if(this==e)return!0;if(!(e instanceof n)||this.local.length!=e.local.length||this.children.length!=e.children.length)return!1;for(let t=0;t<this.local.length;t++)if(!this.local[t].eq(e.local[t]))return!1;for(let t=0;t<this.children.length;t+=3)if(this.children[t]!=e.children[t]||this.children[t+1]!=e.children[t+1]||!this.children[t+2].eq(e.children[t+2]))return!1;return!0}locals(e){return Yl(this.localsInner(e))}localsInner(e){if(this==de)return tr;if(e.inlineContent||!this.local.some(mn.is))return this.local;let t=[];for(let r=0;r<this.local.length;r++)this.local[r].type instanceof mn||t.push(this.local[r]);return t}forEachSet(e){e(this)}};V.empty=new V([],[]);V.removeOverlap=Yl;var de=V.empty,Is=class n{constructor(e){this.members=e}map(e,t){let r=this.members.map(i=>i.map(e,t,gn));return n.from(r)}forChild(e,t){if(t.isLeaf)return V.empty;let r=[];for(let i=0;i<this.members.length;i++){let s=this.members[i].forChild(e,t);s!=de&&(s instanceof n?r=r.concat(s.members):r.push(s))}return n.from(r)}eq(e){if(!(e instanceof n)||e.members.length!=this.members.length)return!1;for(let t=0;t<this.members.length;t++)if(!this.members[t].eq(e.members[t]))return!1;return!0}locals(e){let t,r=!0;for(let i=0;i<this.members.length;i++){let s=this.members[i].localsInner(e);if(s.length)if(!t)t=s;else{r&&(t=t.slice(),r=!1);for(let o=0;o<s.length;o++)t.push(s[o])}}return t?Yl(r?t:t.sort(yn)):tr}static from(e){switch(e.length){case 0:return de;case 1:return e[0];default:return new n(e.every(t=>t instanceof V)?e:e.reduce((t,r)=>t.concat(r instanceof V?r:r.members),[]))}}forEachSet(e){for(let t=0;t<this.members.length;t++)this.members[t].forEachSet(e)}};function my(n,e,t,r,i,s,o){let l=n.slice();for(let a=0,h=s;a<t.maps.length;a++){let f=0;t.maps[a].forEach((d,u,p,m)=>{let g=m-p-(u-d);for(let y=0;y<l.length;y+=3){let T=l[y+1];if(T<0||d>T+h-f)continue;let N=l[y]+h-f;u>=N?l[y+1]=d<=N?-2:-1:d>=h&&g&&(l[y]+=g,l[y+1]+=g)}f+=g}),h=t.maps[a].map(h,-1)}let c=!1;for(let a=0;a<l.length;a+=3)if(l[a+1]<0){if(l[a+1]==-2){c=!0,l[a+1]=-1;continue}let h=t.map(n[a]+s),f=h-i;if(f<0||f>=r.content.size){c=!0;continue}let d=t.map(n[a+1]+s,-1),u=d-i,{index:p,offset:m}=r.content.findIndex(f),g=r.maybeChild(p);if(g&&m==f&&m+g.nodeSize==u){let y=l[a+2].mapInner(t,g,h+1,n[a]+s+1,o);y!=de?(l[a]=f,l[a+1]=u,l[a+2]=y):(l[a+1]=-2,c=!0)}else c=!0}if(c){let a=gy(l,n,e,t,i,s,o),h=Rs(a,r,0,o);e=h.local;for(let f=0;f<l.length;f+=3)l[f+1]<0&&(l.splice(f,3),f-=3);for(let f=0,d=0;f<h.children.length;f+=3){let u=h.children[f];for(;d<l.length&&l[d]<u;)d+=3;l.splice(d,0,h.children[f],h.children[f+1],h.children[f+2])}}return new V(e.sort(yn),l)}function Hf(n,e){if(!e||!n.length)return n;let t=[];for(let r=0;r<n.length;r++){let i=n[r];t.push(new te(i.from+e,i.to+e,i.type))}return t}function gy(n,e,t,r,i,s,o){function l(c,a){for(let h=0;h<c.local.length;h++){let f=c.local[h].map(r,i,a);f?t.push(f):o.onRemove&&o.onRemove(c.local[h].spec)}for(let h=0;h<c.children.length;h+=3)l(c.children[h+2],c.children[h]+a+1)}for(let c=0;c<n.length;c+=3)n[c+1]==-1&&l(n[c+2],e[c]+s+1);return t}function Jf(n,e,t){if(e.isLeaf)return null;let r=t+e.nodeSize,i=null;for(let s=0,o;s<n.length;s++)(o=n[s])&&o.from>t&&o.to<r&&((i||(i=[])).push(o),n[s]=null);return i}function jf(n){let e=[];for(let t=0;t<n.length;t++)n[t]!=null&&e.push(n[t]);return e}function Rs(n,e,t,r){let i=[],s=!1;e.forEach((l,c)=>{let a=Jf(n,l,c+t);if(a){s=!0;let h=Rs(a,l,t+c+1,r);h!=de&&i.push(c,c+l.nodeSize,h)}});let o=Hf(s?jf(n):n,-t).sort(yn);for(let l=0;l<o.length;l++)o[l].type.valid(e,o[l])||(r.onRemove&&r.onRemove(o[l].spec),o.splice(l--,1));return o.length||i.length?new V(o,i):de}function yn(n,e){return n.from-e.from||n.to-e.to}function Yl(n){let e=n;for(let t=0;t<e.length-1;t++){let r=e[t];if(r.from!=r.to)for(let i=t+1;i<e.length;i++){let s=e[i];if(s.from==r.from){s.to!=r.to&&(e==n&&(e=n.slice()),e[i]=s.copy(s.from,r.to),sf(e,i+1,s.copy(r.to,s.to)));continue}else{s.from<r.to&&(e==n&&(e=n.slice()),e[t]=r.copy(r.from,s.from),sf(e,i,r.copy(s.from,r.to)));break}}}return e}function sf(n,e,t){for(;e<n.length&&yn(t,n[e])>0;)e++;n.splice(e,0,t)}function kl(n){let e=[];return n.someProp("decorations",t=>{let r=t(n.state);r&&r!=de&&e.push(r)}),n.cursorWrapper&&e.push(V.create(n.state.doc,[n.cursorWrapper.deco])),Is.from(e)}var yy={childList:!0,characterData:!0,characterDataOldValue:!0,attributes:!0,attributeOldValue:!0,subtree:!0},wy=Te&&qt<=11,zl=class{constructor(){this.anchorNode=null,this.anchorOffset=0,this.focusNode=null,this.focusOffset=0}set(e){this.anchorNode=e.anchorNode,this.anchorOffset=e.anchorOffset,this.focusNode=e.focusNode,this.focusOffset=e.focusOffset}clear(){this.anchorNode=this.focusNode=null}eq(e){return e.anchorNode==this.anchorNode&&e.anchorOffset==this.anchorOffset&&e.focusNode==this.focusNode&&e.focusOffset==this.focusOffset}},Fl=class{constructor(e,t){this.view=e,this.handleDOMChange=t,this.queue=[],this.flushingSoon=-1,this.observer=null,this.currentSelection=new zl,this.onCharData=null,this.suppressingSelectionUpdates=!1,this.lastChangedTextNode=null,this.observer=window.MutationObserver&&new window.MutationObserver(r=>{for(let i=0;i<r.length;i++)this.queue.push(r[i]);Te&&qt<=11&&r.some(i=>i.type=="childList"&&i.removedNodes.length||i.type=="characterData"&&i.oldValue.length>i.target.nodeValue.length)?this.flushSoon():this.flush()}),wy&&(this.onCharData=r=>{this.queue.push({target:r.target,type:"characterData",oldValue:r.prevValue}),this.flushSoon()}),this.onSelectionChange=this.onSelectionChange.bind(this)}flushSoon(){this.flushingSoon<0&&(this.flushingSoon=window.setTimeout(()=>{this.flushingSoon=-1,this.flush()},20))}forceFlush(){this.flushingSoon>-1&&(window.clearTimeout(this.flushingSoon),this.flushingSoon=-1,this.flush())}start(){this.observer&&(this.observer.takeRecords(),this.observer.observe(this.view.dom,yy)),this.onCharData&&this.view.dom.addEventListener("DOMCharacterDataModified",this.onCharData),this.connectSelection()}stop(){if(this.observer){let e=this.observer.takeRecords();if(e.length){for(let t=0;t<e.length;t++)this.queue.push(e[t]);window.setTimeout(()=>this.flush(),20)}this.observer.disconnect()}this.onCharData&&this.view.dom.removeEventListener("DOMCharacterDataModified",this.onCharData),this.disconnectSelection()}connectSelection(){this.view.dom.ownerDocument.addEventListener("selectionchange",this.onSelectionChange)}disconnectSelection(){this.view.dom.ownerDocument.removeEventListener("selectionchange",this.onSelectionChange)}suppressSelectionUpdates(){this.suppressingSelectionUpdates=!0,setTimeout(()=>this.suppressingSelectionUpdates=!1,50)}onSelectionChange(){if(Gh(this.view)){if(this.suppressingSelectionUpdates)return St(this.view);if(Te&&qt<=11&&!this.view.state.selection.empty){let e=this.view.domSelectionRange();if(e.focusNode&&wn(e.focusNode,e.focusOffset,e.anchorNode,e.anchorOffset))return this.flushSoon()}this.flush()}}setCurSelection(){this.currentSelection.set(this.view.domSelectionRange())}ignoreSelectionChange(e){if(!e.focusNode)return!0;let t=new Set,r;for(let s=e.focusNode;s;s=ti(s))t.add(s);for(let s=e.anchorNode;s;s=ti(s))if(t.has(s)){r=s;break}let i=r&&this.view.docView.nearestDesc(r);if(i&&i.ignoreMutation({type:"selection",target:r.nodeType==3?r.parentNode:r}))return this.setCurSelection(),!0}pendingRecords(){if(this.observer)for(let e of this.observer.takeRecords())this.queue.push(e);return this.queue}selectionChanged(e){return!this.suppressingSelectionUpdates&&!this.currentSelection.eq(e)&&Gh(this.view)&&!this.ignoreSelectionChange(e)}flush(){let{view:e}=this;if(!e.docView||this.flushingSoon>-1)return;let t=this.pendingRecords();t.length&&(this.queue=[]);let r=e.domSelectionRange(),i=this.selectionChanged(r),s=-1,o=-1,l=!1,c=[];if(e.editable)for(let h=0;h<t.length;h++){let f=this.registerMutation(t[h],c);f&&(s=s<0?f.from:Math.min(f.from,s),o=o<0?f.to:Math.max(f.to,o),f.typeOver&&(l=!0))}if(Ke&&c.length){let h=c.filter(f=>f.nodeName=="BR");if(h.length==2){let[f,d]=h;f.parentNode&&f.parentNode.parentNode==d.parentNode?d.remove():f.remove()}else{let{focusNode:f}=this.currentSelection;for(let d of h){let u=d.parentNode;u&&u.nodeName=="LI"&&(!f||Sy(e,f)!=u)&&d.remove()}}}let a=null;s<0&&i&&e.input.lastFocus>Date.now()-200&&Math.max(e.input.lastTouch,e.input.lastClick.time)<Date.now()-300&&vs(r)&&(a=Hl(e))&&a.eq(S.near(e.state.doc.resolve(0),1))?(e.input.lastFocus=0,St(e),this.currentSelection.set(r),e.scrollToSelection()):(s>-1||i)&&(s>-1&&(e.docView.markDirty(s,o),by(e)),this.handleDOMChange(s,o,l,c),e.docView&&e.docView.dirty?e.updateState(e.state):this.currentSelection.eq(r)||St(e),this.currentSelection.set(r))}registerMutation(e,t){if(t.indexOf(e.target)>-1)return null;let r=this.view.docView.nearestDesc(e.target);if(e.type=="attributes"&&(r==this.view.docView||e.attributeName=="contenteditable"||e.attributeName=="style"&&!e.oldValue&&!e.target.getAttribute("style"))||!r||r.ignoreMutation(e))return null;if(e.type=="childList"){for(let h=0;h<e.addedNodes.length;h++){let f=e.addedNodes[h];t.push(f),f.nodeType==3&&(this.lastChangedTextNode=f)}if(r.contentDOM&&r.contentDOM!=r.dom&&!r.contentDOM.contains(e.target))return{from:r.posBefore,to:r.posAfter};let i=e.previousSibling,s=e.nextSibling;if(Te&&qt<=11&&e.addedNodes.length)for(let h=0;h<e.addedNodes.length;h++){let{previousSibling:f,nextSibling:d}=e.addedNodes[h];(!f||Array.prototype.indexOf.call(e.addedNodes,f)<0)&&(i=f),(!d||Array.prototype.indexOf.call(e.addedNodes,d)<0)&&(s=d)}let o=i&&i.parentNode==e.target?se(i)+1:0,l=r.localPosFromDOM(e.target,o,-1),c=s&&s.parentNode==e.target?se(s):e.target.childNodes.length,a=r.localPosFromDOM(e.target,c,1);return{from:l,to:a}}else return e.type=="attributes"?{from:r.posAtStart-r.border,to:r.posAtEnd+r.border}:(this.lastChangedTextNode=e.target,{from:r.posAtStart,to:r.posAtEnd,typeOver:e.target.nodeValue==e.oldValue})}},of=new WeakMap,lf=!1;function by(n){if(!of.has(n)&&(of.set(n,null),["normal","nowrap","pre-line"].indexOf(getComputedStyle(n.dom).whiteSpace)!==-1)){if(n.requiresGeckoHackNode=Ke,lf)return;console.warn("ProseMirror expects the CSS white-space property to be set, preferably to 'pre-wrap'. It is recommended to load style/prosemirror.css from the prosemirror-view package."),lf=!0}}function cf(n,e){let t=e.startContainer,r=e.startOffset,i=e.endContainer,s=e.endOffset,o=n.domAtPos(n.state.selection.anchor);return wn(o.node,o.offset,i,s)&&([t,r,i,s]=[i,s,t,r]),{anchorNode:t,anchorOffset:r,focusNode:i,focusOffset:s}}function xy(n,e){if(e.getComposedRanges){let i=e.getComposedRanges(n.root)[0];if(i)return cf(n,i)}let t;function r(i){i.preventDefault(),i.stopImmediatePropagation(),t=i.getTargetRanges()[0]}return n.dom.addEventListener("beforeinput",r,!0),document.execCommand("indent"),n.dom.removeEventListener("beforeinput",r,!0),t?cf(n,t):null}function Sy(n,e){for(let t=e.parentNode;t&&t!=n.dom;t=t.parentNode){let r=n.docView.nearestDesc(t,!0);if(r&&r.node.isBlock)return t}return null}function ky(n,e,t){let{node:r,fromOffset:i,toOffset:s,from:o,to:l}=n.docView.parseRange(e,t),c=n.domSelectionRange(),a,h=c.anchorNode;if(h&&n.dom.contains(h.nodeType==1?h:h.parentNode)&&(a=[{node:h,offset:c.anchorOffset}],vs(c)||a.push({node:c.focusNode,offset:c.focusOffset})),ue&&n.input.lastKeyCode===8)for(let g=s;g>i;g--){let y=r.childNodes[g-1],T=y.pmViewDesc;if(y.nodeName=="BR"&&!T){s=g;break}if(!T||T.size)break}let f=n.state.doc,d=n.someProp("domParser")||Wn.fromSchema(n.state.schema),u=f.resolve(o),p=null,m=d.parse(r,{topNode:u.parent,topMatch:u.parent.contentMatchAt(u.index()),topOpen:!0,from:i,to:s,preserveWhitespace:u.parent.type.whitespace=="pre"?"full":!0,findPositions:a,ruleFromNode:Cy,context:u});if(a&&a[0].pos!=null){let g=a[0].pos,y=a[1]&&a[1].pos;y==null&&(y=g),p={anchor:g+o,head:y+o}}return{doc:m,sel:p,from:o,to:l}}function Cy(n){let e=n.pmViewDesc;if(e)return e.parseRule();if(n.nodeName=="BR"&&n.parentNode){if(be&&/^(ul|ol)$/i.test(n.parentNode.nodeName)){let t=document.createElement("div");return t.appendChild(document.createElement("li")),{skip:t}}else if(n.parentNode.lastChild==n||be&&/^(tr|table)$/i.test(n.parentNode.nodeName))return{ignore:!0}}else if(n.nodeName=="IMG"&&n.getAttribute("mark-placeholder"))return{ignore:!0};return null}var My=/^(a|abbr|acronym|b|bd[io]|big|br|button|cite|code|data(list)?|del|dfn|em|i|ins|kbd|label|map|mark|meter|output|q|ruby|s|samp|small|span|strong|su[bp]|time|u|tt|var)$/i;function Ay(n,e,t,r,i){let s=n.input.compositionPendingChanges||(n.composing?n.input.compositionID:0);if(n.input.compositionPendingChanges=0,e<0){let E=n.input.lastSelectionTime>Date.now()-50?n.input.lastSelectionOrigin:null,Vt=Hl(n,E);if(Vt&&!n.state.selection.eq(Vt)){if(ue&&We&&n.input.lastKeyCode===13&&Date.now()-100<n.input.lastKeyCodeTime&&n.someProp("handleKeyDown",dm=>dm(n,dn(13,"Enter"))))return;let ls=n.state.tr.setSelection(Vt);E=="pointer"?ls.setMeta("pointer",!0):E=="key"&&ls.scrollIntoView(),s&&ls.setMeta("composition",s),n.dispatch(ls)}return}let o=n.state.doc.resolve(e),l=o.sharedDepth(t);e=o.before(l+1),t=n.state.doc.resolve(t).after(l+1);let c=n.state.selection,a=ky(n,e,t),h=n.state.doc,f=h.slice(a.from,a.to),d,u;n.input.lastKeyCode===8&&Date.now()-100<n.input.lastKeyCodeTime?(d=n.state.selection.to,u="end"):(d=n.state.selection.from,u="start"),n.input.lastKeyCode=null;let p=Dy(f.content,a.doc.content,a.from,d,u);if(p&&n.input.domChangeCount++,(rr&&n.input.lastIOSEnter>Date.now()-225||We)&&i.some(E=>E.nodeType==1&&!My.test(E.nodeName))&&(!p||p.endA>=p.endB)&&n.someProp("handleKeyDown",E=>E(n,dn(13,"Enter")))){n.input.lastIOSEnter=0;return}if(!p)if(r&&c instanceof A&&!c.empty&&c.$head.sameParent(c.$anchor)&&!n.composing&&!(a.sel&&a.sel.anchor!=a.sel.head))p={start:c.from,endA:c.to,endB:c.to};else{if(a.sel){let E=af(n,n.state.doc,a.sel);if(E&&!E.eq(n.state.selection)){let Vt=n.state.tr.setSelection(E);s&&Vt.setMeta("composition",s),n.dispatch(Vt)}}return}n.state.selection.from<n.state.selection.to&&p.start==p.endB&&n.state.selection instanceof A&&(p.start>n.state.selection.from&&p.start<=n.state.selection.from+2&&n.state.selection.from>=a.from?p.start=n.state.selection.from:p.endA<n.state.selection.to&&p.endA>=n.state.selection.to-2&&n.state.selection.to<=a.to&&(p.endB+=n.state.selection.to-p.endA,p.endA=n.state.selection.to)),Te&&qt<=11&&p.endB==p.start+1&&p.endA==p.start&&p.start>a.from&&a.doc.textBetween(p.start-a.from-1,p.start-a.from+1)==" \xA0"&&(p.start--,p.endA--,p.endB--);let m=a.doc.resolveNoCache(p.start-a.from),g=a.doc.resolveNoCache(p.endB-a.from),y=h.resolve(p.start),T=m.sameParent(g)&&m.parent.inlineContent&&y.end()>=p.endA,N;if((rr&&n.input.lastIOSEnter>Date.now()-225&&(!T||i.some(E=>E.nodeName=="DIV"||E.nodeName=="P"))||!T&&m.pos<a.doc.content.size&&!m.sameParent(g)&&(N=S.findFrom(a.doc.resolve(m.pos+1),1,!0))&&N.head==g.pos)&&n.someProp("handleKeyDown",E=>E(n,dn(13,"Enter")))){n.input.lastIOSEnter=0;return}if(n.state.selection.anchor>p.start&&Ey(h,p.start,p.endA,m,g)&&n.someProp("handleKeyDown",E=>E(n,dn(8,"Backspace")))){We&&ue&&n.domObserver.suppressSelectionUpdates();return}ue&&We&&p.endB==p.start&&(n.input.lastAndroidDelete=Date.now()),We&&!T&&m.start()!=g.start()&&g.parentOffset==0&&m.depth==g.depth&&a.sel&&a.sel.anchor==a.sel.head&&a.sel.head==p.endA&&(p.endB-=2,g=a.doc.resolveNoCache(p.endB-a.from),setTimeout(()=>{n.someProp("handleKeyDown",function(E){return E(n,dn(13,"Enter"))})},20));let Ae=p.start,we=p.endA,Q,gt,Ut;if(T){if(m.pos==g.pos)Te&&qt<=11&&m.parentOffset==0&&(n.domObserver.suppressSelectionUpdates(),setTimeout(()=>St(n),20)),Q=n.state.tr.delete(Ae,we),gt=h.resolve(p.start).marksAcross(h.resolve(p.endA));else if(p.endA==p.endB&&(Ut=Ty(m.parent.content.cut(m.parentOffset,g.parentOffset),y.parent.content.cut(y.parentOffset,p.endA-y.start()))))Q=n.state.tr,Ut.type=="add"?Q.addMark(Ae,we,Ut.mark):Q.removeMark(Ae,we,Ut.mark);else if(m.parent.child(m.index()).isText&&m.index()==g.index()-(g.textOffset?0:1)){let E=m.parent.textBetween(m.parentOffset,g.parentOffset);if(n.someProp("handleTextInput",Vt=>Vt(n,Ae,we,E)))return;Q=n.state.tr.insertText(E,Ae,we)}}if(Q||(Q=n.state.tr.replace(Ae,we,a.doc.slice(p.start-a.from,p.endB-a.from))),a.sel){let E=af(n,Q.doc,a.sel);E&&!(ue&&We&&n.composing&&E.empty&&(p.start!=p.endB||n.input.lastAndroidDelete<Date.now()-100)&&(E.head==Ae||E.head==Q.mapping.map(we)-1)||Te&&E.empty&&E.head==Ae)&&Q.setSelection(E)}gt&&Q.ensureMarks(gt),s&&Q.setMeta("composition",s),n.dispatch(Q.scrollIntoView())}function af(n,e,t){return Math.max(t.anchor,t.head)>e.content.size?null:Jl(n,e.resolve(t.anchor),e.resolve(t.head))}function Ty(n,e){let t=n.firstChild.marks,r=e.firstChild.marks,i=t,s=r,o,l,c;for(let h=0;h<r.length;h++)i=r[h].removeFromSet(i);for(let h=0;h<t.length;h++)s=t[h].removeFromSet(s);if(i.length==1&&s.length==0)l=i[0],o="add",c=h=>h.mark(l.addToSet(h.marks));else if(i.length==0&&s.length==1)l=s[0],o="remove",c=h=>h.mark(l.removeFromSet(h.marks));else return null;let a=[];for(let h=0;h<e.childCount;h++)a.push(c(e.child(h)));if(w.from(a).eq(n))return{mark:l,type:o}}function Ey(n,e,t,r,i){if(t-e<=i.pos-r.pos||Cl(r,!0,!1)<i.pos)return!1;let s=n.resolve(e);if(!r.parent.isTextblock){let l=s.nodeAfter;return l!=null&&t==e+l.nodeSize}if(s.parentOffset<s.parent.content.size||!s.parent.isTextblock)return!1;let o=n.resolve(Cl(s,!0,!0));return!o.parent.isTextblock||o.pos>t||Cl(o,!0,!1)<t?!1:r.parent.content.cut(r.parentOffset).eq(o.parent.content)}function Cl(n,e,t){let r=n.depth,i=e?n.end():n.pos;for(;r>0&&(e||n.indexAfter(r)==n.node(r).childCount);)r--,i++,e=!1;if(t){let s=n.node(r).maybeChild(n.indexAfter(r));for(;s&&!s.isLeaf;)s=s.firstChild,i++}return i}function Dy(n,e,t,r,i){let s=n.findDiffStart(e,t);if(s==null)return null;let{a:o,b:l}=n.findDiffEnd(e,t+n.size,t+e.size);if(i=="end"){let c=Math.max(0,s-Math.min(o,l));r-=o+c-s}if(o<s&&n.size<e.size){let c=r<=s&&r>=o?s-r:0;s-=c,s&&s<e.size&&hf(e.textBetween(s-1,s+1))&&(s+=c?1:-1),l=s+(l-o),o=s}else if(l<s){let c=r<=s&&r>=l?s-r:0;s-=c,s&&s<n.size&&hf(n.textBetween(s-1,s+1))&&(s+=c?1:-1),o=s+(o-l),l=s}return{start:s,endA:o,endB:l}}function hf(n){if(n.length!=2)return!1;let e=n.charCodeAt(0),t=n.charCodeAt(1);return e>=56320&&e<=57343&&t>=55296&&t<=56319}var $l=class{constructor(e,t){this._root=null,this.focused=!1,this.trackWrites=null,this.mounted=!1,this.markCursor=null,this.cursorWrapper=null,this.lastSelectedViewDesc=void 0,this.input=new Vl,this.prevDirectPlugins=[],this.pluginViews=[],this.requiresGeckoHackNode=!1,this.dragging=null,this._props=t,this.state=t.state,this.directPlugins=t.plugins||[],this.directPlugins.forEach(mf),this.dispatch=this.dispatch.bind(this),this.dom=e&&e.mount||document.createElement("div"),e&&(e.appendChild?e.appendChild(this.dom):typeof e=="function"?e(this.dom):e.mount&&(this.mounted=!0)),this.editable=uf(this),df(this),this.nodeViews=pf(this),this.docView=Hh(this.state.doc,ff(this),kl(this),this.dom,this),this.domObserver=new Fl(this,(r,i,s,o)=>Ay(this,r,i,s,o)),this.domObserver.start(),Qg(this),this.updatePluginViews()}get composing(){return this.input.composing}get props(){if(this._props.state!=this.state){let e=this._props;this._props={};for(let t in e)this._props[t]=e[t];this._props.state=this.state}return this._props}update(e){e.handleDOMEvents!=this._props.handleDOMEvents&&Bl(this);let t=this._props;this._props=e,e.plugins&&(e.plugins.forEach(mf),this.directPlugins=e.plugins),this.updateStateInner(e.state,t)}setProps(e){let t={};for(let r in this._props)t[r]=this._props[r];t.state=this.state;for(let r in e)t[r]=e[r];this.update(t)}updateState(e){this.updateStateInner(e,this._props)}updateStateInner(e,t){var r;let i=this.state,s=!1,o=!1;e.storedMarks&&this.composing&&(Ff(this),o=!0),this.state=e;let l=i.plugins!=e.plugins||this._props.plugins!=t.plugins;if(l||this._props.plugins!=t.plugins||this._props.nodeViews!=t.nodeViews){let u=pf(this);Ny(u,this.nodeViews)&&(this.nodeViews=u,s=!0)}(l||t.handleDOMEvents!=this._props.handleDOMEvents)&&Bl(this),this.editable=uf(this),df(this);let c=kl(this),a=ff(this),h=i.plugins!=e.plugins&&!i.doc.eq(e.doc)?"reset":e.scrollToSelection>i.scrollToSelection?"to selection":"preserve",f=s||!this.docView.matchesNode(e.doc,a,c);(f||!e.selection.eq(i.selection))&&(o=!0);let d=h=="preserve"&&o&&this.dom.style.overflowAnchor==null&&gg(this);if(o){this.domObserver.stop();let u=f&&(Te||ue)&&!this.composing&&!i.selection.empty&&!e.selection.empty&&Oy(i.selection,e.selection);if(f){let p=ue?this.trackWrites=this.domSelectionRange().focusNode:null;this.composing&&(this.input.compositionNode=hy(this)),(s||!this.docView.update(e.doc,a,c,this))&&(this.docView.updateOuterDeco(a),this.docView.destroy(),this.docView=Hh(e.doc,a,c,this.dom,this)),p&&!this.trackWrites&&(u=!0)}u||!(this.input.mouseDown&&this.domObserver.currentSelection.eq(this.domSelectionRange())&&Bg(this))?St(this,u):(Df(this,e.selection),this.domObserver.setCurSelection()),this.domObserver.start()}this.updatePluginViews(i),!((r=this.dragging)===null||r===void 0)&&r.node&&!i.doc.eq(e.doc)&&this.updateDraggedNode(this.dragging,i),h=="reset"?this.dom.scrollTop=0:h=="to selection"?this.scrollToSelection():d&&yg(d)}scrollToSelection(){let e=this.domSelectionRange().focusNode;if(!this.someProp("handleScrollToSelection",t=>t(this)))if(this.state.selection instanceof k){let t=this.docView.domAfterPos(this.state.selection.from);t.nodeType==1&&Ph(this,t.getBoundingClientRect(),e)}else Ph(this,this.coordsAtPos(this.state.selection.head,1),e)}destroyPluginViews(){let e;for(;e=this.pluginViews.pop();)e.destroy&&e.destroy()}updatePluginViews(e){if(!e||e.plugins!=this.state.plugins||this.directPlugins!=this.prevDirectPlugins){this.prevDirectPlugins=this.directPlugins,this.destroyPluginViews();for(let t=0;t<this.directPlugins.length;t++){let r=this.directPlugins[t];r.spec.view&&this.pluginViews.push(r.spec.view(this))}for(let t=0;t<this.state.plugins.length;t++){let r=this.state.plugins[t];r.spec.view&&this.pluginViews.push(r.spec.view(this))}}else for(let t=0;t<this.pluginViews.length;t++){let r=this.pluginViews[t];r.update&&r.update(this,e)}}updateDraggedNode(e,t){let r=e.node,i=-1;if(this.state.doc.nodeAt(r.from)==r.node)i=r.from;else{let s=r.from+(this.state.doc.content.size-t.doc.content.size);(s>0&&this.state.doc.nodeAt(s))==r.node&&(i=s)}this.dragging=new Os(e.slice,e.move,i<0?void 0:k.create(this.state.doc,i))}someProp(e,t){let r=this._props&&this._props[e],i;if(r!=null&&(i=t?t(r):r))return i;for(let o=0;o<this.directPlugins.length;o++){let l=this.directPlugins[o].props[e];if(l!=null&&(i=t?t(l):l))return i}let s=this.state.plugins;if(s)for(let o=0;o<s.length;o++){let l=s[o].props[e];if(l!=null&&(i=t?t(l):l))return i}}hasFocus(){if(Te){let e=this.root.activeElement;if(e==this.dom)return!0;if(!e||!this.dom.contains(e))return!1;for(;e&&this.dom!=e&&this.dom.contains(e);){if(e.contentEditable=="false")return!1;e=e.parentElement}return!0}return this.root.activeElement==this.dom}focus(){this.domObserver.stop(),this.editable&&wg(this.dom),St(this),this.domObserver.start()}get root(){let e=this._root;if(e==null){for(let t=this.dom.parentNode;t;t=t.parentNode)if(t.nodeType==9||t.nodeType==11&&t.host)return t.getSelection||(Object.getPrototypeOf(t).getSelection=()=>t.ownerDocument.getSelection()),this._root=t}return e||document}updateRoot(){this._root=null}posAtCoords(e){return Cg(this,e)}coordsAtPos(e,t=1){return kf(this,e,t)}domAtPos(e,t=0){return this.docView.domFromPos(e,t)}nodeDOM(e){let t=this.docView.descAt(e);return t?t.nodeDOM:null}posAtDOM(e,t,r=-1){let i=this.docView.posFromDOM(e,t,r);if(i==null)throw new RangeError("DOM position not inside the editor");return i}endOfTextblock(e,t){return Dg(this,t||this.state,e)}pasteHTML(e,t){return ri(this,"",e,!1,t||new ClipboardEvent("paste"))}pasteText(e,t){return ri(this,e,null,!0,t||new ClipboardEvent("paste"))}destroy(){this.docView&&(Zg(this),this.destroyPluginViews(),this.mounted?(this.docView.update(this.state.doc,[],kl(this),this),this.dom.textContent=""):this.dom.parentNode&&this.dom.parentNode.removeChild(this.dom),this.docView.destroy(),this.docView=null,sg())}get isDestroyed(){return this.docView==null}dispatchEvent(e){return ty(this,e)}dispatch(e){let t=this._props.dispatchTransaction;t?t.call(this,e):this.updateState(this.state.apply(e))}domSelectionRange(){let e=this.domSelection();return e?be&&this.root.nodeType===11&&hg(this.dom.ownerDocument)==this.dom&&xy(this,e)||e:{focusNode:null,focusOffset:0,anchorNode:null,anchorOffset:0}}domSelection(){return this.root.getSelection()}};function ff(n){let e=Object.create(null);return e.class="ProseMirror",e.contenteditable=String(n.editable),n.someProp("attributes",t=>{if(typeof t=="function"&&(t=t(n.state)),t)for(let r in t)r=="class"?e.class+=" "+t[r]:r=="style"?e.style=(e.style?e.style+";":"")+t[r]:!e[r]&&r!="contenteditable"&&r!="nodeName"&&(e[r]=String(t[r]))}),e.translate||(e.translate="no"),[te.node(0,n.state.doc.content.size,e)]}function df(n){if(n.markCursor){let e=document.createElement("img");e.className="ProseMirror-separator",e.setAttribute("mark-placeholder","true"),e.setAttribute("alt",""),n.cursorWrapper={dom:e,deco:te.widget(n.state.selection.from,e,{raw:!0,marks:n.markCursor})}}else n.cursorWrapper=null}function uf(n){return!n.someProp("editable",e=>e(n.state)===!1)}function Oy(n,e){let t=Math.min(n.$anchor.sharedDepth(n.head),e.$anchor.sharedDepth(e.head));return n.$anchor.start(t)!=e.$anchor.start(t)}function pf(n){let e=Object.create(null);function t(r){for(let i in r)Object.prototype.hasOwnProperty.call(e,i)||(e[i]=r[i])}return n.someProp("nodeViews",t),n.someProp("markViews",t),e}function Ny(n,e){let t=0,r=0;for(let i in n){if(n[i]!=e[i])return!0;t++}for(let i in e)r++;return t!=r}function mf(n){if(n.spec.state||n.spec.filterTransaction||n.spec.appendTransaction)throw new RangeError("Plugins passed directly to the view must not have a state component")}var Iy=["p",0],Ry=["blockquote",0],vy=["hr"],_y=["pre",["code",0]],Uy=["br"],Vy={doc:{content:"block+"},paragraph:{content:"inline*",group:"block",parseDOM:[{tag:"p"}],toDOM(){return Iy}},blockquote:{content:"block+",group:"block",defining:!0,parseDOM:[{tag:"blockquote"}],toDOM(){return Ry}},horizontal_rule:{group:"block",parseDOM:[{tag:"hr"}],toDOM(){return vy}},heading:{attrs:{level:{default:1,validate:"number"}},content:"inline*",group:"block",defining:!0,parseDOM:[{tag:"h1",attrs:{level:1}},{tag:"h2",attrs:{level:2}},{tag:"h3",attrs:{level:3}},{tag:"h4",attrs:{level:4}},{tag:"h5",attrs:{level:5}},{tag:"h6",attrs:{level:6}}],toDOM(n){return["h"+n.attrs.level,0]}},code_block:{content:"text*",marks:"",group:"block",code:!0,defining:!0,parseDOM:[{tag:"pre",preserveWhitespace:"full"}],toDOM(){return _y}},text:{group:"inline"},image:{inline:!0,attrs:{src:{validate:"string"},alt:{default:null,validate:"string|null"},title:{default:null,validate:"string|null"}},group:"inline",draggable:!0,parseDOM:[{tag:"img[src]",getAttrs(n){return{src:n.getAttribute("src"),title:n.getAttribute("title"),alt:n.getAttribute("alt")}}}],toDOM(n){let{src:e,alt:t,title:r}=n.attrs;return["img",{src:e,alt:t,title:r}]}},hard_break:{inline:!0,group:"inline",selectable:!1,parseDOM:[{tag:"br"}],toDOM(){return Uy}}},By=["em",0],Py=["strong",0],Ly=["code",0],zy={link:{attrs:{href:{validate:"string"},title:{default:null,validate:"string|null"}},inclusive:!1,parseDOM:[{tag:"a[href]",getAttrs(n){return{href:n.getAttribute("href"),title:n.getAttribute("title")}}}],toDOM(n){let{href:e,title:t}=n.attrs;return["a",{href:e,title:t},0]}},em:{parseDOM:[{tag:"i"},{tag:"em"},{style:"font-style=italic"},{style:"font-style=normal",clearMark:n=>n.type.name=="em"}],toDOM(){return By}},strong:{parseDOM:[{tag:"strong"},{tag:"b",getAttrs:n=>n.style.fontWeight!="normal"&&null},{style:"font-weight=400",clearMark:n=>n.type.name=="strong"},{style:"font-weight",getAttrs:n=>/^(bold(er)?|[5-9]\d{2,})$/.test(n)&&null}],toDOM(){return Py}},code:{parseDOM:[{tag:"code"}],toDOM(){return Ly}}},Fy=new Hr({nodes:Vy,marks:zy});var Kf=(n,e)=>n.selection.empty?!1:(e&&e(n.tr.deleteSelection().scrollIntoView()),!0);function $y(n,e){let{$cursor:t}=n.selection;return!t||(e?!e.endOfTextblock("backward",n):t.parentOffset>0)?null:t}var qy=(n,e,t)=>{let r=$y(n,t);if(!r)return!1;let i=Yf(r);if(!i){let o=r.blockRange(),l=o&&hn(o);return l==null?!1:(e&&e(n.tr.lift(o,l).scrollIntoView()),!0)}let s=i.nodeBefore;if(Qf(n,i,e,-1))return!0;if(r.parent.content.size==0&&(sr(s,"end")||k.isSelectable(s)))for(let o=r.depth;;o--){let l=xs(n.doc,r.before(o),r.after(o),b.empty);if(l&&l.slice.size<l.to-l.from){if(e){let c=n.tr.step(l);c.setSelection(sr(s,"end")?S.findFrom(c.doc.resolve(c.mapping.map(i.pos,-1)),-1):k.create(c.doc,i.pos-s.nodeSize)),e(c.scrollIntoView())}return!0}if(o==1||r.node(o-1).childCount>1)break}return s.isAtom&&i.depth==r.depth-1?(e&&e(n.tr.delete(i.pos-s.nodeSize,i.pos).scrollIntoView()),!0):!1};function sr(n,e,t=!1){for(let r=n;r;r=e=="start"?r.firstChild:r.lastChild){if(r.isTextblock)return!0;if(t&&r.childCount!=1)return!1}return!1}var Hy=(n,e,t)=>{let{$head:r,empty:i}=n.selection,s=r;if(!i)return!1;if(r.parent.isTextblock){if(t?!t.endOfTextblock("backward",n):r.parentOffset>0)return!1;s=Yf(r)}let o=s&&s.nodeBefore;return!o||!k.isSelectable(o)?!1:(e&&e(n.tr.setSelection(k.create(n.doc,s.pos-o.nodeSize)).scrollIntoView()),!0)};function Yf(n){if(!n.parent.type.spec.isolating)for(let e=n.depth-1;e>=0;e--){if(n.index(e)>0)return n.doc.resolve(n.before(e+1));if(n.node(e).type.spec.isolating)break}return null}function Jy(n,e){let{$cursor:t}=n.selection;return!t||(e?!e.endOfTextblock("forward",n):t.parentOffset<t.parent.content.size)?null:t}var jy=(n,e,t)=>{let r=Jy(n,t);if(!r)return!1;let i=Gf(r);if(!i)return!1;let s=i.nodeAfter;if(Qf(n,i,e,1))return!0;if(r.parent.content.size==0&&(sr(s,"start")||k.isSelectable(s))){let o=xs(n.doc,r.before(),r.after(),b.empty);if(o&&o.slice.size<o.to-o.from){if(e){let l=n.tr.step(o);l.setSelection(sr(s,"start")?S.findFrom(l.doc.resolve(l.mapping.map(i.pos)),1):k.create(l.doc,l.mapping.map(i.pos))),e(l.scrollIntoView())}return!0}}return s.isAtom&&i.depth==r.depth-1?(e&&e(n.tr.delete(i.pos,i.pos+s.nodeSize).scrollIntoView()),!0):!1},Wy=(n,e,t)=>{let{$head:r,empty:i}=n.selection,s=r;if(!i)return!1;if(r.parent.isTextblock){if(t?!t.endOfTextblock("forward",n):r.parentOffset<r.parent.content.size)return!1;s=Gf(r)}let o=s&&s.nodeAfter;return!o||!k.isSelectable(o)?!1:(e&&e(n.tr.setSelection(k.create(n.doc,s.pos)).scrollIntoView()),!0)};function Gf(n){if(!n.parent.type.spec.isolating)for(let e=n.depth-1;e>=0;e--){let t=n.node(e);if(n.index(e)+1<t.childCount)return n.doc.resolve(n.after(e+1));if(t.type.spec.isolating)break}return null}var li=(n,e)=>{let t=n.selection,r=t instanceof k,i;if(r){if(t.node.isTextblock||!wt(n.doc,t.from))return!1;i=t.from}else if(i=pl(n.doc,t.from,-1),i==null)return!1;if(e){let s=n.tr.join(i);r&&s.setSelection(k.create(s.doc,i-n.doc.resolve(i).nodeBefore.nodeSize)),e(s.scrollIntoView())}return!0},Xf=(n,e)=>{let t=n.selection,r;if(t instanceof k){if(t.node.isTextblock||!wt(n.doc,t.to))return!1;r=t.to}else if(r=pl(n.doc,t.to,1),r==null)return!1;return e&&e(n.tr.join(r).scrollIntoView()),!0},ci=(n,e)=>{let{$from:t,$to:r}=n.selection,i=t.blockRange(r),s=i&&hn(i);return s==null?!1:(e&&e(n.tr.lift(i,s).scrollIntoView()),!0)},Ky=(n,e)=>{let{$head:t,$anchor:r}=n.selection;return!t.parent.type.spec.code||!t.sameParent(r)?!1:(e&&e(n.tr.insertText(`
+`).scrollIntoView()),!0)};function Xl(n){for(let e=0;e<n.edgeCount;e++){let{type:t}=n.edge(e);if(t.isTextblock&&!t.hasRequiredAttrs())return t}return null}var Ql=(n,e)=>{let{$head:t,$anchor:r}=n.selection;if(!t.parent.type.spec.code||!t.sameParent(r))return!1;let i=t.node(-1),s=t.indexAfter(-1),o=Xl(i.contentMatchAt(s));if(!o||!i.canReplaceWith(s,s,o))return!1;if(e){let l=t.after(),c=n.tr.replaceWith(l,l,o.createAndFill());c.setSelection(S.near(c.doc.resolve(l),1)),e(c.scrollIntoView())}return!0},Yy=(n,e)=>{let t=n.selection,{$from:r,$to:i}=t;if(t instanceof Ie||r.parent.inlineContent||i.parent.inlineContent)return!1;let s=Xl(i.parent.contentMatchAt(i.indexAfter()));if(!s||!s.isTextblock)return!1;if(e){let o=(!r.parentOffset&&i.index()<i.parent.childCount?r:i).pos,l=n.tr.insert(o,s.createAndFill());l.setSelection(A.create(l.doc,o+1)),e(l.scrollIntoView())}return!0},Gy=(n,e)=>{let{$cursor:t}=n.selection;if(!t||t.parent.content.size)return!1;if(t.depth>1&&t.after()!=t.end(-1)){let s=t.before();if(Pt(n.doc,s))return e&&e(n.tr.split(s).scrollIntoView()),!0}let r=t.blockRange(),i=r&&hn(r);return i==null?!1:(e&&e(n.tr.lift(r,i).scrollIntoView()),!0)};function Xy(n){return(e,t)=>{let{$from:r,$to:i}=e.selection;if(e.selection instanceof k&&e.selection.node.isBlock)return!r.parentOffset||!Pt(e.doc,r.pos)?!1:(t&&t(e.tr.split(r.pos).scrollIntoView()),!0);if(!r.parent.isBlock)return!1;let s=i.parentOffset==i.parent.content.size,o=e.tr;(e.selection instanceof A||e.selection instanceof Ie)&&o.deleteSelection();let l=r.depth==0?null:Xl(r.node(-1).contentMatchAt(r.indexAfter(-1))),c=n&&n(i.parent,s,r),a=c?[c]:s&&l?[{type:l}]:void 0,h=Pt(o.doc,o.mapping.map(r.pos),1,a);if(!a&&!h&&Pt(o.doc,o.mapping.map(r.pos),1,l?[{type:l}]:void 0)&&(l&&(a=[{type:l}]),h=!0),!h)return!1;if(o.split(o.mapping.map(r.pos),1,a),!s&&!r.parentOffset&&r.parent.type!=l){let f=o.mapping.map(r.before()),d=o.doc.resolve(f);l&&r.node(-1).canReplaceWith(d.index(),d.index()+1,l)&&o.setNodeMarkup(o.mapping.map(r.before()),l)}return t&&t(o.scrollIntoView()),!0}}var Qy=Xy();var ai=(n,e)=>{let{$from:t,to:r}=n.selection,i,s=t.sharedDepth(r);return s==0?!1:(i=t.before(s),e&&e(n.tr.setSelection(k.create(n.doc,i))),!0)},Zy=(n,e)=>(e&&e(n.tr.setSelection(new Ie(n.doc))),!0);function e0(n,e,t){let r=e.nodeBefore,i=e.nodeAfter,s=e.index();return!r||!i||!r.type.compatibleContent(i.type)?!1:!r.content.size&&e.parent.canReplace(s-1,s)?(t&&t(n.tr.delete(e.pos-r.nodeSize,e.pos).scrollIntoView()),!0):!e.parent.canReplace(s,s+1)||!(i.isTextblock||wt(n.doc,e.pos))?!1:(t&&t(n.tr.join(e.pos).scrollIntoView()),!0)}function Qf(n,e,t,r){let i=e.nodeBefore,s=e.nodeAfter,o,l,c=i.type.spec.isolating||s.type.spec.isolating;if(!c&&e0(n,e,t))return!0;let a=!c&&e.parent.canReplace(e.index(),e.index()+1);if(a&&(o=(l=i.contentMatchAt(i.childCount)).findWrapping(s.type))&&l.matchType(o[0]||s.type).validEnd){if(t){let u=e.pos+s.nodeSize,p=w.empty;for(let y=o.length-1;y>=0;y--)p=w.from(o[y].create(null,p));p=w.from(i.copy(p));let m=n.tr.step(new ee(e.pos-1,u,e.pos,u,new b(p,1,0),o.length,!0)),g=m.doc.resolve(u+2*o.length);g.nodeAfter&&g.nodeAfter.type==i.type&&wt(m.doc,g.pos)&&m.join(g.pos),t(m.scrollIntoView())}return!0}let h=s.type.spec.isolating||r>0&&c?null:S.findFrom(e,1),f=h&&h.$from.blockRange(h.$to),d=f&&hn(f);if(d!=null&&d>=e.depth)return t&&t(n.tr.lift(f,d).scrollIntoView()),!0;if(a&&sr(s,"start",!0)&&sr(i,"end")){let u=i,p=[];for(;p.push(u),!u.isTextblock;)u=u.lastChild;let m=s,g=1;for(;!m.isTextblock;m=m.firstChild)g++;if(u.canReplace(u.childCount,u.childCount,m.content)){if(t){let y=w.empty;for(let N=p.length-1;N>=0;N--)y=w.from(p[N].copy(y));let T=n.tr.step(new ee(e.pos-p.length,e.pos+s.nodeSize,e.pos+g,e.pos+s.nodeSize-g,new b(y,p.length,0),0,!0));t(T.scrollIntoView())}return!0}}return!1}function Zf(n){return function(e,t){let r=e.selection,i=n<0?r.$from:r.$to,s=i.depth;for(;i.node(s).isInline;){if(!s)return!1;s--}return i.node(s).isTextblock?(t&&t(e.tr.setSelection(A.create(e.doc,n<0?i.start(s):i.end(s)))),!0):!1}}var t0=Zf(-1),n0=Zf(1);function or(n,e=null){return function(t,r){let{$from:i,$to:s}=t.selection,o=i.blockRange(s),l=o&&Xn(o,n,e);return l?(r&&r(t.tr.wrap(o,l).scrollIntoView()),!0):!1}}function xn(n,e=null){return function(t,r){let i=!1;for(let s=0;s<t.selection.ranges.length&&!i;s++){let{$from:{pos:o},$to:{pos:l}}=t.selection.ranges[s];t.doc.nodesBetween(o,l,(c,a)=>{if(i)return!1;if(!(!c.isTextblock||c.hasMarkup(n,e)))if(c.type==n)i=!0;else{let h=t.doc.resolve(a),f=h.index();i=h.parent.canReplaceWith(f,f+1,n)}})}if(!i)return!1;if(r){let s=t.tr;for(let o=0;o<t.selection.ranges.length;o++){let{$from:{pos:l},$to:{pos:c}}=t.selection.ranges[o];s.setBlockType(l,c,n,e)}r(s.scrollIntoView())}return!0}}function r0(n,e,t,r){for(let i=0;i<e.length;i++){let{$from:s,$to:o}=e[i],l=s.depth==0?n.inlineContent&&n.type.allowsMarkType(t):!1;if(n.nodesBetween(s.pos,o.pos,(c,a)=>{if(l||!r&&c.isAtom&&c.isInline&&a>=s.pos&&a+c.nodeSize<=o.pos)return!1;l=c.inlineContent&&c.type.allowsMarkType(t)}),l)return!0}return!1}function i0(n){let e=[];for(let t=0;t<n.length;t++){let{$from:r,$to:i}=n[t];r.doc.nodesBetween(r.pos,i.pos,(s,o)=>{if(s.isAtom&&s.content.size&&s.isInline&&o>=r.pos&&o+s.nodeSize<=i.pos)return o+1>r.pos&&e.push(new Lt(r,r.doc.resolve(o+1))),r=r.doc.resolve(o+1+s.content.size),!1}),r.pos<i.pos&&e.push(new Lt(r,i))}return e}function Sn(n,e=null,t){let r=(t&&t.removeWhenPresent)!==!1,i=(t&&t.enterInlineAtoms)!==!1;return function(s,o){let{empty:l,$cursor:c,ranges:a}=s.selection;if(l&&!c||!r0(s.doc,a,n,i))return!1;if(o)if(c)n.isInSet(s.storedMarks||c.marks())?o(s.tr.removeStoredMark(n)):o(s.tr.addStoredMark(n.create(e)));else{let h,f=s.tr;i||(a=i0(a)),r?h=!a.some(d=>s.doc.rangeHasMark(d.$from.pos,d.$to.pos,n)):h=!a.every(d=>{let u=!1;return f.doc.nodesBetween(d.$from.pos,d.$to.pos,(p,m,g)=>{if(u)return!1;u=!n.isInSet(p.marks)&&!!g&&g.type.allowsMarkType(n)&&!(p.isText&&/^\s*$/.test(p.textBetween(Math.max(0,d.$from.pos-m),Math.min(p.nodeSize,d.$to.pos-m))))}),!u});for(let d=0;d<a.length;d++){let{$from:u,$to:p}=a[d];if(!h)f.removeMark(u.pos,p.pos,n);else{let m=u.pos,g=p.pos,y=u.nodeAfter,T=p.nodeBefore,N=y&&y.isText?/^\s*/.exec(y.text)[0].length:0,Ae=T&&T.isText?/\s*$/.exec(T.text)[0].length:0;m+N<g&&(m+=N,g-=Ae),f.addMark(m,g,n.create(e))}}o(f.scrollIntoView())}return!0}}function hi(...n){return function(e,t,r){for(let i=0;i<n.length;i++)if(n[i](e,t,r))return!0;return!1}}var Gl=hi(Kf,qy,Hy),Wf=hi(Kf,jy,Wy),kt={Enter:hi(Ky,Yy,Gy,Qy),"Mod-Enter":Ql,Backspace:Gl,"Mod-Backspace":Gl,"Shift-Backspace":Gl,Delete:Wf,"Mod-Delete":Wf,"Mod-a":Zy},ed={"Ctrl-h":kt.Backspace,"Alt-Backspace":kt["Mod-Backspace"],"Ctrl-d":kt.Delete,"Ctrl-Alt-Backspace":kt["Mod-Delete"],"Alt-Delete":kt["Mod-Delete"],"Alt-d":kt["Mod-Delete"],"Ctrl-a":t0,"Ctrl-e":n0};for(let n in kt)ed[n]=kt[n];var s0=typeof navigator<"u"?/Mac|iP(hone|[oa]d)/.test(navigator.platform):typeof os<"u"&&os.platform?os.platform()=="darwin":!1,td=s0?ed:kt;var o0=["ol",0],l0=["ul",0],c0=["li",0],a0={attrs:{order:{default:1,validate:"number"}},parseDOM:[{tag:"ol",getAttrs(n){return{order:n.hasAttribute("start")?+n.getAttribute("start"):1}}}],toDOM(n){return n.attrs.order==1?o0:["ol",{start:n.attrs.order},0]}},h0={parseDOM:[{tag:"ul"}],toDOM(){return l0}},f0={parseDOM:[{tag:"li"}],toDOM(){return c0},defining:!0};function Zl(n,e){let t={};for(let r in n)t[r]=n[r];for(let r in e)t[r]=e[r];return t}function d0(n,e,t){return n.append({ordered_list:Zl(a0,{content:"list_item+",group:t}),bullet_list:Zl(h0,{content:"list_item+",group:t}),list_item:Zl(f0,{content:e})})}function Us(n,e=null){return function(t,r){let{$from:i,$to:s}=t.selection,o=i.blockRange(s),l=!1,c=o;if(!o)return!1;if(o.depth>=2&&i.node(o.depth-1).type.compatibleContent(n)&&o.startIndex==0){if(i.index(o.depth-1)==0)return!1;let h=t.doc.resolve(o.start-2);c=new ln(h,h,o.depth),o.endIndex<o.parent.childCount&&(o=new ln(i,t.doc.resolve(s.end(o.depth)),o.depth)),l=!0}let a=Xn(c,n,e,o);return a?(r&&r(u0(t.tr,o,a,l,n).scrollIntoView()),!0):!1}}function u0(n,e,t,r,i){let s=w.empty;for(let h=t.length-1;h>=0;h--)s=w.from(t[h].type.create(t[h].attrs,s));n.step(new ee(e.start-(r?2:0),e.end,e.start,e.end,new b(s,0,0),t.length,!0));let o=0;for(let h=0;h<t.length;h++)t[h].type==i&&(o=h+1);let l=t.length-o,c=e.start+t.length-(r?2:0),a=e.parent;for(let h=e.startIndex,f=e.endIndex,d=!0;h<f;h++,d=!1)!d&&Pt(n.doc,c,l)&&(n.split(c,l),c+=2*l),c+=a.child(h).nodeSize;return n}function ec(n,e){return function(t,r){let{$from:i,$to:s,node:o}=t.selection;if(o&&o.isBlock||i.depth<2||!i.sameParent(s))return!1;let l=i.node(-1);if(l.type!=n)return!1;if(i.parent.content.size==0&&i.node(-1).childCount==i.indexAfter(-1)){if(i.depth==3||i.node(-3).type!=n||i.index(-2)!=i.node(-2).childCount-1)return!1;if(r){let f=w.empty,d=i.index(-1)?1:i.index(-2)?2:3;for(let y=i.depth-d;y>=i.depth-3;y--)f=w.from(i.node(y).copy(f));let u=i.indexAfter(-1)<i.node(-2).childCount?1:i.indexAfter(-2)<i.node(-3).childCount?2:3;f=f.append(w.from(n.createAndFill()));let p=i.before(i.depth-(d-1)),m=t.tr.replace(p,i.after(-u),new b(f,4-d,0)),g=-1;m.doc.nodesBetween(p,m.doc.content.size,(y,T)=>{if(g>-1)return!1;y.isTextblock&&y.content.size==0&&(g=T+1)}),g>-1&&m.setSelection(S.near(m.doc.resolve(g))),r(m.scrollIntoView())}return!0}let c=s.pos==i.end()?l.contentMatchAt(0).defaultType:null,a=t.tr.delete(i.pos,s.pos),h=c?[e?{type:n,attrs:e}:null,{type:c}]:void 0;return Pt(a.doc,i.pos,2,h)?(r&&r(a.split(i.pos,2,h).scrollIntoView()),!0):!1}}function tc(n){return function(e,t){let{$from:r,$to:i}=e.selection,s=r.blockRange(i,o=>o.childCount>0&&o.firstChild.type==n);return s?t?r.node(s.depth-1).type==n?p0(e,t,n,s):m0(e,t,s):!0:!1}}function p0(n,e,t,r){let i=n.tr,s=r.end,o=r.$to.end(r.depth);s<o&&(i.step(new ee(s-1,o,s,o,new b(w.from(t.create(null,r.parent.copy())),1,0),1,!0)),r=new ln(i.doc.resolve(r.$from.pos),i.doc.resolve(o),r.depth));let l=hn(r);if(l==null)return!1;i.lift(r,l);let c=i.mapping.map(s,-1)-1;return wt(i.doc,c)&&i.join(c),e(i.scrollIntoView()),!0}function m0(n,e,t){let r=n.tr,i=t.parent;for(let u=t.end,p=t.endIndex-1,m=t.startIndex;p>m;p--)u-=i.child(p).nodeSize,r.delete(u-1,u+1);let s=r.doc.resolve(t.start),o=s.nodeAfter;if(r.mapping.map(t.end)!=t.start+s.nodeAfter.nodeSize)return!1;let l=t.startIndex==0,c=t.endIndex==i.childCount,a=s.node(-1),h=s.index(-1);if(!a.canReplace(h+(l?0:1),h+1,o.content.append(c?w.empty:w.from(i))))return!1;let f=s.pos,d=f+o.nodeSize;return r.step(new ee(f-(l?1:0),d+(c?1:0),f+1,d-1,new b((l?w.empty:w.from(i.copy(w.empty))).append(c?w.empty:w.from(i.copy(w.empty))),l?0:1,c?0:1),l?0:1)),e(r.scrollIntoView()),!0}function nc(n){return function(e,t){let{$from:r,$to:i}=e.selection,s=r.blockRange(i,a=>a.childCount>0&&a.firstChild.type==n);if(!s)return!1;let o=s.startIndex;if(o==0)return!1;let l=s.parent,c=l.child(o-1);if(c.type!=n)return!1;if(t){let a=c.lastChild&&c.lastChild.type==l.type,h=w.from(a?n.create():null),f=new b(w.from(n.create(null,w.from(l.type.create(null,h)))),a?3:1,0),d=s.start,u=s.end;t(e.tr.step(new ee(d-(a?3:1),u,d,u,f,1,!0)).scrollIntoView())}return!0}}var Ct={8:"Backspace",9:"Tab",10:"Enter",12:"NumLock",13:"Enter",16:"Shift",17:"Control",18:"Alt",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",44:"PrintScreen",45:"Insert",46:"Delete",59:";",61:"=",91:"Meta",92:"Meta",106:"*",107:"+",108:",",109:"-",110:".",111:"/",144:"NumLock",145:"ScrollLock",160:"Shift",161:"Shift",162:"Control",163:"Control",164:"Alt",165:"Alt",173:"-",186:";",187:"=",188:",",189:"-",190:".",191:"/",192:"`",219:"[",220:"\\",221:"]",222:"'"},Bs={48:")",49:"!",50:"@",51:"#",52:"$",53:"%",54:"^",55:"&",56:"*",57:"(",59:":",61:"+",173:"_",186:":",187:"+",188:"<",189:"_",190:">",191:"?",192:"~",219:"{",220:"|",221:"}",222:'"'},g0=typeof navigator<"u"&&/Mac/.test(navigator.platform),y0=typeof navigator<"u"&&/MSIE \d|Trident\/(?:[7-9]|\d{2,})\..*rv:(\d+)/.exec(navigator.userAgent);for(j=0;j<10;j++)Ct[48+j]=Ct[96+j]=String(j);var j;for(j=1;j<=24;j++)Ct[j+111]="F"+j;var j;for(j=65;j<=90;j++)Ct[j]=String.fromCharCode(j+32),Bs[j]=String.fromCharCode(j);var j;for(Vs in Ct)Bs.hasOwnProperty(Vs)||(Bs[Vs]=Ct[Vs]);var Vs;function nd(n){var e=g0&&n.metaKey&&n.shiftKey&&!n.ctrlKey&&!n.altKey||y0&&n.shiftKey&&n.key&&n.key.length==1||n.key=="Unidentified",t=!e&&n.key||(n.shiftKey?Bs:Ct)[n.keyCode]||n.key||"Unidentified";return t=="Esc"&&(t="Escape"),t=="Del"&&(t="Delete"),t=="Left"&&(t="ArrowLeft"),t=="Up"&&(t="ArrowUp"),t=="Right"&&(t="ArrowRight"),t=="Down"&&(t="ArrowDown"),t}var w0=typeof navigator<"u"?/Mac|iP(hone|[oa]d)/.test(navigator.platform):!1;function b0(n){let e=n.split(/-(?!$)/),t=e[e.length-1];t=="Space"&&(t=" ");let r,i,s,o;for(let l=0;l<e.length-1;l++){let c=e[l];if(/^(cmd|meta|m)$/i.test(c))o=!0;else if(/^a(lt)?$/i.test(c))r=!0;else if(/^(c|ctrl|control)$/i.test(c))i=!0;else if(/^s(hift)?$/i.test(c))s=!0;else if(/^mod$/i.test(c))w0?o=!0:i=!0;else throw new Error("Unrecognized modifier name: "+c)}return r&&(t="Alt-"+t),i&&(t="Ctrl-"+t),o&&(t="Meta-"+t),s&&(t="Shift-"+t),t}function x0(n){let e=Object.create(null);for(let t in n)e[b0(t)]=n[t];return e}function rc(n,e,t=!0){return e.altKey&&(n="Alt-"+n),e.ctrlKey&&(n="Ctrl-"+n),e.metaKey&&(n="Meta-"+n),t&&e.shiftKey&&(n="Shift-"+n),n}function S0(n){return new J({props:{handleKeyDown:fi(n)}})}function fi(n){let e=x0(n);return function(t,r){let i=nd(r),s,o=e[rc(i,r)];if(o&&o(t.state,t.dispatch,t))return!0;if(i.length==1&&i!=" "){if(r.shiftKey){let l=e[rc(i,r,!1)];if(l&&l(t.state,t.dispatch,t))return!0}if((r.shiftKey||r.altKey||r.metaKey||i.charCodeAt(0)>127)&&(s=Ct[r.keyCode])&&s!=i){let l=e[rc(s,r)];if(l&&l(t.state,t.dispatch,t))return!0}}return!1}}var Ps=200,oe=function(){};oe.prototype.append=function(e){return e.length?(e=oe.from(e),!this.length&&e||e.length<Ps&&this.leafAppend(e)||this.length<Ps&&e.leafPrepend(this)||this.appendInner(e)):this};oe.prototype.prepend=function(e){return e.length?oe.from(e).append(this):this};oe.prototype.appendInner=function(e){return new k0(this,e)};oe.prototype.slice=function(e,t){return e===void 0&&(e=0),t===void 0&&(t=this.length),e>=t?oe.empty:this.sliceInner(Math.max(0,e),Math.min(this.length,t))};oe.prototype.get=function(e){if(!(e<0||e>=this.length))return this.getInner(e)};oe.prototype.forEach=function(e,t,r){t===void 0&&(t=0),r===void 0&&(r=this.length),t<=r?this.forEachInner(e,t,r,0):this.forEachInvertedInner(e,t,r,0)};oe.prototype.map=function(e,t,r){t===void 0&&(t=0),r===void 0&&(r=this.length);var i=[];return this.forEach(function(s,o){return i.push(e(s,o))},t,r),i};oe.from=function(e){return e instanceof oe?e:e&&e.length?new rd(e):oe.empty};var rd=function(n){function e(r){n.call(this),this.values=r}n&&(e.__proto__=n),e.prototype=Object.create(n&&n.prototype),e.prototype.constructor=e;var t={length:{configurable:!0},depth:{configurable:!0}};return e.prototype.flatten=function(){return this.values},e.prototype.sliceInner=function(i,s){return i==0&&s==this.length?this:new e(this.values.slice(i,s))},e.prototype.getInner=function(i){return this.values[i]},e.prototype.forEachInner=function(i,s,o,l){for(var c=s;c<o;c++)if(i(this.values[c],l+c)===!1)return!1},e.prototype.forEachInvertedInner=function(i,s,o,l){for(var c=s-1;c>=o;c--)if(i(this.values[c],l+c)===!1)return!1},e.prototype.leafAppend=function(i){if(this.length+i.length<=Ps)return new e(this.values.concat(i.flatten()))},e.prototype.leafPrepend=function(i){if(this.length+i.length<=Ps)return new e(i.flatten().concat(this.values))},t.length.get=function(){return this.values.length},t.depth.get=function(){return 0},Object.defineProperties(e.prototype,t),e}(oe);oe.empty=new rd([]);var k0=function(n){function e(t,r){n.call(this),this.left=t,this.right=r,this.length=t.length+r.length,this.depth=Math.max(t.depth,r.depth)+1}return n&&(e.__proto__=n),e.prototype=Object.create(n&&n.prototype),e.prototype.constructor=e,e.prototype.flatten=function(){return this.left.flatten().concat(this.right.flatten())},e.prototype.getInner=function(r){return r<this.left.length?this.left.get(r):this.right.get(r-this.left.length)},e.prototype.forEachInner=function(r,i,s,o){var l=this.left.length;if(i<l&&this.left.forEachInner(r,i,Math.min(s,l),o)===!1||s>l&&this.right.forEachInner(r,Math.max(i-l,0),Math.min(this.length,s)-l,o+l)===!1)return!1},e.prototype.forEachInvertedInner=function(r,i,s,o){var l=this.left.length;if(i>l&&this.right.forEachInvertedInner(r,i-l,Math.max(s,l)-l,o+l)===!1||s<l&&this.left.forEachInvertedInner(r,Math.min(i,l),s,o)===!1)return!1},e.prototype.sliceInner=function(r,i){if(r==0&&i==this.length)return this;var s=this.left.length;return i<=s?this.left.slice(r,i):r>=s?this.right.slice(r-s,i-s):this.left.slice(r,s).append(this.right.slice(0,i-s))},e.prototype.leafAppend=function(r){var i=this.right.leafAppend(r);if(i)return new e(this.left,i)},e.prototype.leafPrepend=function(r){var i=this.left.leafPrepend(r);if(i)return new e(i,this.right)},e.prototype.appendInner=function(r){return this.left.depth>=Math.max(this.right.depth,r.depth)+1?new e(this.left,new e(this.right,r)):new e(this,r)},e}(oe),ic=oe;var C0=500,Ls=class n{constructor(e,t){this.items=e,this.eventCount=t}popEvent(e,t){if(this.eventCount==0)return null;let r=this.items.length;for(;;r--)if(this.items.get(r-1).selection){--r;break}let i,s;t&&(i=this.remapping(r,this.items.length),s=i.maps.length);let o=e.tr,l,c,a=[],h=[];return this.items.forEach((f,d)=>{if(!f.step){i||(i=this.remapping(r,d+1),s=i.maps.length),s--,h.push(f);return}if(i){h.push(new tt(f.map));let u=f.step.map(i.slice(s)),p;u&&o.maybeStep(u).doc&&(p=o.mapping.maps[o.mapping.maps.length-1],a.push(new tt(p,void 0,void 0,a.length+h.length))),s--,p&&i.appendMap(p,s)}else o.maybeStep(f.step);if(f.selection)return l=i?f.selection.map(i.slice(s)):f.selection,c=new n(this.items.slice(0,r).append(h.reverse().concat(a)),this.eventCount-1),!1},this.items.length,0),{remaining:c,transform:o,selection:l}}addTransform(e,t,r,i){let s=[],o=this.eventCount,l=this.items,c=!i&&l.length?l.get(l.length-1):null;for(let h=0;h<e.steps.length;h++){let f=e.steps[h].invert(e.docs[h]),d=new tt(e.mapping.maps[h],f,t),u;(u=c&&c.merge(d))&&(d=u,h?s.pop():l=l.slice(0,l.length-1)),s.push(d),t&&(o++,t=void 0),i||(c=d)}let a=o-r.depth;return a>A0&&(l=M0(l,a),o-=a),new n(l.append(s),o)}remapping(e,t){let r=new Kr;return this.items.forEach((i,s)=>{let o=i.mirrorOffset!=null&&s-i.mirrorOffset>=e?r.maps.length-i.mirrorOffset:void 0;r.appendMap(i.map,o)},e,t),r}addMaps(e){return this.eventCount==0?this:new n(this.items.append(e.map(t=>new tt(t))),this.eventCount)}rebased(e,t){if(!this.eventCount)return this;let r=[],i=Math.max(0,this.items.length-t),s=e.mapping,o=e.steps.length,l=this.eventCount;this.items.forEach(d=>{d.selection&&l--},i);let c=t;this.items.forEach(d=>{let u=s.getMirror(--c);if(u==null)return;o=Math.min(o,u);let p=s.maps[u];if(d.step){let m=e.steps[u].invert(e.docs[u]),g=d.selection&&d.selection.map(s.slice(c+1,u));g&&l++,r.push(new tt(p,m,g))}else r.push(new tt(p))},i);let a=[];for(let d=t;d<o;d++)a.push(new tt(s.maps[d]));let h=this.items.slice(0,i).append(a).append(r),f=new n(h,l);return f.emptyItemCount()>C0&&(f=f.compress(this.items.length-r.length)),f}emptyItemCount(){let e=0;return this.items.forEach(t=>{t.step||e++}),e}compress(e=this.items.length){let t=this.remapping(0,e),r=t.maps.length,i=[],s=0;return this.items.forEach((o,l)=>{if(l>=e)i.push(o),o.selection&&s++;else if(o.step){let c=o.step.map(t.slice(r)),a=c&&c.getMap();if(r--,a&&t.appendMap(a,r),c){let h=o.selection&&o.selection.map(t.slice(r));h&&s++;let f=new tt(a.invert(),c,h),d,u=i.length-1;(d=i.length&&i[u].merge(f))?i[u]=d:i.push(f)}}else o.map&&r--},this.items.length,0),new n(ic.from(i.reverse()),s)}};Ls.empty=new Ls(ic.empty,0);function M0(n,e){let t;return n.forEach((r,i)=>{if(r.selection&&e--==0)return t=i,!1}),n.slice(t)}var tt=class n{constructor(e,t,r,i){this.map=e,this.step=t,this.selection=r,this.mirrorOffset=i}merge(e){if(this.step&&e.step&&!e.selection){let t=e.step.merge(this.step);if(t)return new n(t.getMap().invert(),t,this.selection)}}},oc=class{constructor(e,t,r,i,s){this.done=e,this.undone=t,this.prevRanges=r,this.prevTime=i,this.prevComposition=s}},A0=20;function T0(n,e,t){let r=E0(e),i=lc.get(e).spec.config,s=(t?n.undone:n.done).popEvent(e,r);if(!s)return null;let o=s.selection.resolve(s.transform.doc),l=(t?n.done:n.undone).addTransform(s.transform,e.selection.getBookmark(),i,r),c=new oc(t?l:s.remaining,t?s.remaining:l,null,0,-1);return s.transform.setSelection(o).setMeta(lc,{redo:t,historyState:c})}var sc=!1,id=null;function E0(n){let e=n.plugins;if(id!=e){sc=!1,id=e;for(let t=0;t<e.length;t++)if(e[t].spec.historyPreserveItems){sc=!0;break}}return sc}var lc=new fe("history"),WS=new fe("closeHistory");function zs(n,e){return(t,r)=>{let i=lc.getState(t);if(!i||(n?i.undone:i.done).eventCount==0)return!1;if(r){let s=T0(i,t,n);s&&r(e?s.scrollIntoView():s)}return!0}}var di=zs(!1,!0),lr=zs(!0,!0),KS=zs(!1,!1),YS=zs(!0,!1);var pe=class n extends S{constructor(e){super(e,e)}map(e,t){let r=e.resolve(t.map(this.head));return n.valid(r)?new n(r):S.near(r)}content(){return b.empty}eq(e){return e instanceof n&&e.head==this.head}toJSON(){return{type:"gapcursor",pos:this.head}}static fromJSON(e,t){if(typeof t.pos!="number")throw new RangeError("Invalid input for GapCursor.fromJSON");return new n(e.resolve(t.pos))}getBookmark(){return new cc(this.anchor)}static valid(e){let t=e.parent;if(t.isTextblock||!D0(e)||!O0(e))return!1;let r=t.type.spec.allowGapCursor;if(r!=null)return r;let i=t.contentMatchAt(e.index()).defaultType;return i&&i.isTextblock}static findGapCursorFrom(e,t,r=!1){e:for(;;){if(!r&&n.valid(e))return e;let i=e.pos,s=null;for(let o=e.depth;;o--){let l=e.node(o);if(t>0?e.indexAfter(o)<l.childCount:e.index(o)>0){s=l.child(t>0?e.indexAfter(o):e.index(o)-1);break}else if(o==0)return null;i+=t;let c=e.doc.resolve(i);if(n.valid(c))return c}for(;;){let o=t>0?s.firstChild:s.lastChild;if(!o){if(s.isAtom&&!s.isText&&!k.isSelectable(s)){e=e.doc.resolve(i+s.nodeSize*t),r=!1;continue e}break}s=o,i+=t;let l=e.doc.resolve(i);if(n.valid(l))return l}return null}}};pe.prototype.visible=!1;pe.findFrom=pe.findGapCursorFrom;S.jsonID("gapcursor",pe);var cc=class n{constructor(e){this.pos=e}map(e){return new n(e.map(this.pos))}resolve(e){let t=e.resolve(this.pos);return pe.valid(t)?new pe(t):S.near(t)}};function D0(n){for(let e=n.depth;e>=0;e--){let t=n.index(e),r=n.node(e);if(t==0){if(r.type.spec.isolating)return!0;continue}for(let i=r.child(t-1);;i=i.lastChild){if(i.childCount==0&&!i.inlineContent||i.isAtom||i.type.spec.isolating)return!0;if(i.inlineContent)return!1}}return!0}function O0(n){for(let e=n.depth;e>=0;e--){let t=n.indexAfter(e),r=n.node(e);if(t==r.childCount){if(r.type.spec.isolating)return!0;continue}for(let i=r.child(t);;i=i.firstChild){if(i.childCount==0&&!i.inlineContent||i.isAtom||i.type.spec.isolating)return!0;if(i.inlineContent)return!1}}return!0}function N0(){return new J({props:{decorations:_0,createSelectionBetween(n,e,t){return e.pos==t.pos&&pe.valid(t)?new pe(t):null},handleClick:R0,handleKeyDown:I0,handleDOMEvents:{beforeinput:v0}}})}var I0=fi({ArrowLeft:Fs("horiz",-1),ArrowRight:Fs("horiz",1),ArrowUp:Fs("vert",-1),ArrowDown:Fs("vert",1)});function Fs(n,e){let t=n=="vert"?e>0?"down":"up":e>0?"right":"left";return function(r,i,s){let o=r.selection,l=e>0?o.$to:o.$from,c=o.empty;if(o instanceof A){if(!s.endOfTextblock(t)||l.depth==0)return!1;c=!1,l=r.doc.resolve(e>0?l.after():l.before())}let a=pe.findGapCursorFrom(l,e,c);return a?(i&&i(r.tr.setSelection(new pe(a))),!0):!1}}function R0(n,e,t){if(!n||!n.editable)return!1;let r=n.state.doc.resolve(e);if(!pe.valid(r))return!1;let i=n.posAtCoords({left:t.clientX,top:t.clientY});return i&&i.inside>-1&&k.isSelectable(n.state.doc.nodeAt(i.inside))?!1:(n.dispatch(n.state.tr.setSelection(new pe(r))),!0)}function v0(n,e){if(e.inputType!="insertCompositionText"||!(n.state.selection instanceof pe))return!1;let{$from:t}=n.state.selection,r=t.parent.contentMatchAt(t.index()).findWrapping(n.state.schema.nodes.text);if(!r)return!1;let i=w.empty;for(let o=r.length-1;o>=0;o--)i=w.from(r[o].createAndFill(null,i));let s=n.state.tr.replace(t.pos,t.pos,new b(i,0,0));return s.setSelection(A.near(s.doc.resolve(t.pos+1))),n.dispatch(s),!1}function _0(n){if(!(n.selection instanceof pe))return null;let e=document.createElement("div");return e.className="ProseMirror-gapcursor",V.create(n.doc,[te.widget(n.selection.head,e,{key:"gapcursor"})])}function Mt(){var n=arguments[0];typeof n=="string"&&(n=document.createElement(n));var e=1,t=arguments[1];if(t&&typeof t=="object"&&t.nodeType==null&&!Array.isArray(t)){for(var r in t)if(Object.prototype.hasOwnProperty.call(t,r)){var i=t[r];typeof i=="string"?n.setAttribute(r,i):i!=null&&(n[r]=i)}e++}for(;e<arguments.length;e++)sd(n,arguments[e]);return n}function sd(n,e){if(typeof e=="string")n.appendChild(document.createTextNode(e));else if(e!=null)if(e.nodeType!=null)n.appendChild(e);else if(Array.isArray(e))for(var t=0;t<e.length;t++)sd(n,e[t]);else throw new RangeError("Unsupported child node: "+e)}var nt=class{constructor(e,t,r={}){this.match=e,this.match=e,this.handler=typeof t=="string"?U0(t):t,this.undoable=r.undoable!==!1,this.inCode=r.inCode||!1}};function U0(n){return function(e,t,r,i){let s=n;if(t[1]){let o=t[0].lastIndexOf(t[1]);s+=t[0].slice(o+t[1].length),r+=o;let l=r-i;l>0&&(s=t[0].slice(o-l,o)+s,r=i)}return e.tr.insertText(s,r,i)}}var V0=500;function ld({rules:n}){let e=new J({state:{init(){return null},apply(t,r){let i=t.getMeta(this);return i||(t.selectionSet||t.docChanged?null:r)}},props:{handleTextInput(t,r,i,s){return od(t,r,i,s,n,e)},handleDOMEvents:{compositionend:t=>{setTimeout(()=>{let{$cursor:r}=t.state.selection;r&&od(t,r.pos,r.pos,"",n,e)})}}},isInputRules:!0});return e}function od(n,e,t,r,i,s){if(n.composing)return!1;let o=n.state,l=o.doc.resolve(e),c=l.parent.textBetween(Math.max(0,l.parentOffset-V0),l.parentOffset,null,"\uFFFC")+r;for(let a=0;a<i.length;a++){let h=i[a];if(l.parent.type.spec.code){if(!h.inCode)continue}else if(h.inCode==="only")continue;let f=h.match.exec(c),d=f&&h.handler(o,f,e-(f[0].length-r.length),t);if(d)return h.undoable&&d.setMeta(s,{transform:d,from:e,to:t,text:r}),n.dispatch(d),!0}return!1}var cd=(n,e)=>{let t=n.plugins;for(let r=0;r<t.length;r++){let i=t[r],s;if(i.spec.isInputRules&&(s=i.getState(n))){if(e){let o=n.tr,l=s.transform;for(let c=l.steps.length-1;c>=0;c--)o.step(l.steps[c].invert(l.docs[c]));if(s.text){let c=o.doc.resolve(s.from).marks();o.replaceWith(s.from,s.to,n.schema.text(s.text,c))}else o.delete(s.from,s.to);e(o)}return!0}}return!1},B0=new nt(/--$/,"\u2014"),P0=new nt(/\.\.\.$/,"\u2026"),sk=new nt(/(?:^|[\s\{\[\(\<'"\u2018\u201C])(")$/,"\u201C"),ok=new nt(/"$/,"\u201D"),lk=new nt(/(?:^|[\s\{\[\(\<'"\u2018\u201C])(')$/,"\u2018"),ck=new nt(/'$/,"\u2019");function ad(n,e,t=null,r){return new nt(n,(i,s,o,l)=>{let c=t instanceof Function?t(s):t,a=i.tr.delete(o,l),h=a.doc.resolve(o),f=h.blockRange(),d=f&&Xn(f,e,c);if(!d)return null;a.wrap(f,d);let u=a.doc.resolve(o-1).nodeBefore;return u&&u.type==e&&wt(a.doc,o-1)&&(!r||r(s,u))&&a.join(o-1),a})}var hd=typeof navigator<"u"?/Mac|iP(hone|[oa]d)/.test(navigator.platform):!1;function L0(n,e){let t={},r;function i(s,o){if(e){let l=e[s];if(l===!1)return;l&&(s=l)}t[s]=o}if(i("Mod-z",di),i("Shift-Mod-z",lr),i("Backspace",cd),hd||i("Mod-y",lr),i("Alt-ArrowUp",li),i("Alt-ArrowDown",Xf),i("Mod-BracketLeft",ci),i("Escape",ai),(r=n.marks.strong)&&(i("Mod-b",Sn(r)),i("Mod-B",Sn(r))),(r=n.marks.em)&&(i("Mod-i",Sn(r)),i("Mod-I",Sn(r))),(r=n.marks.code)&&i("Mod-`",Sn(r)),(r=n.nodes.bullet_list)&&i("Shift-Ctrl-8",Us(r)),(r=n.nodes.ordered_list)&&i("Shift-Ctrl-9",Us(r)),(r=n.nodes.blockquote)&&i("Ctrl->",or(r)),r=n.nodes.hard_break){let s=r,o=hi(Ql,(l,c)=>(c&&c(l.tr.replaceSelectionWith(s.create()).scrollIntoView()),!0));i("Mod-Enter",o),i("Shift-Enter",o),hd&&i("Ctrl-Enter",o)}if((r=n.nodes.list_item)&&(i("Enter",ec(r)),i("Mod-[",tc(r)),i("Mod-]",nc(r))),(r=n.nodes.paragraph)&&i("Shift-Ctrl-0",xn(r)),(r=n.nodes.code_block)&&i("Shift-Ctrl-\\",xn(r)),r=n.nodes.heading)for(let s=1;s<=6;s++)i("Shift-Ctrl-"+s,xn(r,{level:s}));if(r=n.nodes.horizontal_rule){let s=r;i("Mod-_",(o,l)=>(l&&l(o.tr.replaceSelectionWith(s.create()).scrollIntoView()),!0))}return t}var hc,fc;if(typeof WeakMap<"u"){let n=new WeakMap;hc=e=>n.get(e),fc=(e,t)=>(n.set(e,t),t)}else{let n=[],t=0;hc=r=>{for(let i=0;i<n.length;i+=2)if(n[i]==r)return n[i+1]},fc=(r,i)=>(t==10&&(t=0),n[t++]=r,n[t++]=i)}var z=class{constructor(n,e,t,r){this.width=n,this.height=e,this.map=t,this.problems=r}findCell(n){for(let e=0;e<this.map.length;e++){let t=this.map[e];if(t!=n)continue;let r=e%this.width,i=e/this.width|0,s=r+1,o=i+1;for(let l=1;s<this.width&&this.map[e+l]==t;l++)s++;for(let l=1;o<this.height&&this.map[e+this.width*l]==t;l++)o++;return{left:r,top:i,right:s,bottom:o}}throw new RangeError(`No cell with offset ${n} found`)}colCount(n){for(let e=0;e<this.map.length;e++)if(this.map[e]==n)return e%this.width;throw new RangeError(`No cell with offset ${n} found`)}nextCell(n,e,t){let{left:r,right:i,top:s,bottom:o}=this.findCell(n);return e=="horiz"?(t<0?r==0:i==this.width)?null:this.map[s*this.width+(t<0?r-1:i)]:(t<0?s==0:o==this.height)?null:this.map[r+this.width*(t<0?s-1:o)]}rectBetween(n,e){let{left:t,right:r,top:i,bottom:s}=this.findCell(n),{left:o,right:l,top:c,bottom:a}=this.findCell(e);return{left:Math.min(t,o),top:Math.min(i,c),right:Math.max(r,l),bottom:Math.max(s,a)}}cellsInRect(n){let e=[],t={};for(let r=n.top;r<n.bottom;r++)for(let i=n.left;i<n.right;i++){let s=r*this.width+i,o=this.map[s];t[o]||(t[o]=!0,!(i==n.left&&i&&this.map[s-1]==o||r==n.top&&r&&this.map[s-this.width]==o)&&e.push(o))}return e}positionAt(n,e,t){for(let r=0,i=0;;r++){let s=i+t.child(r).nodeSize;if(r==n){let o=e+n*this.width,l=(n+1)*this.width;for(;o<l&&this.map[o]<i;)o++;return o==l?s-1:this.map[o]}i=s}}static get(n){return hc(n)||fc(n,z0(n))}};function z0(n){if(n.type.spec.tableRole!="table")throw new RangeError("Not a table node: "+n.type.name);let e=F0(n),t=n.childCount,r=[],i=0,s=null,o=[];for(let a=0,h=e*t;a<h;a++)r[a]=0;for(let a=0,h=0;a<t;a++){let f=n.child(a);h++;for(let p=0;;p++){for(;i<r.length&&r[i]!=0;)i++;if(p==f.childCount)break;let m=f.child(p),{colspan:g,rowspan:y,colwidth:T}=m.attrs;for(let N=0;N<y;N++){if(N+a>=t){(s||(s=[])).push({type:"overlong_rowspan",pos:h,n:y-N});break}let Ae=i+N*e;for(let we=0;we<g;we++){r[Ae+we]==0?r[Ae+we]=h:(s||(s=[])).push({type:"collision",row:a,pos:h,n:g-we});let Q=T&&T[we];if(Q){let gt=(Ae+we)%e*2,Ut=o[gt];Ut==null||Ut!=Q&&o[gt+1]==1?(o[gt]=Q,o[gt+1]=1):Ut==Q&&o[gt+1]++}}}i+=g,h+=m.nodeSize}let d=(a+1)*e,u=0;for(;i<d;)r[i++]==0&&u++;u&&(s||(s=[])).push({type:"missing",row:a,n:u}),h++}let l=new z(e,t,r,s),c=!1;for(let a=0;!c&&a<o.length;a+=2)o[a]!=null&&o[a+1]<t&&(c=!0);return c&&$0(l,o,n),l}function F0(n){let e=-1,t=!1;for(let r=0;r<n.childCount;r++){let i=n.child(r),s=0;if(t)for(let o=0;o<r;o++){let l=n.child(o);for(let c=0;c<l.childCount;c++){let a=l.child(c);o+a.attrs.rowspan>r&&(s+=a.attrs.colspan)}}for(let o=0;o<i.childCount;o++){let l=i.child(o);s+=l.attrs.colspan,l.attrs.rowspan>1&&(t=!0)}e==-1?e=s:e!=s&&(e=Math.max(e,s))}return e}function $0(n,e,t){n.problems||(n.problems=[]);let r={};for(let i=0;i<n.map.length;i++){let s=n.map[i];if(r[s])continue;r[s]=!0;let o=t.nodeAt(s);if(!o)throw new RangeError(`No cell with offset ${s} found`);let l=null,c=o.attrs;for(let a=0;a<c.colspan;a++){let h=(i+a)%n.width,f=e[h*2];f!=null&&(!c.colwidth||c.colwidth[a]!=f)&&((l||(l=q0(c)))[a]=f)}l&&n.problems.unshift({type:"colwidth mismatch",pos:s,colwidth:l})}}function q0(n){if(n.colwidth)return n.colwidth.slice();let e=[];for(let t=0;t<n.colspan;t++)e.push(0);return e}function fd(n,e){if(typeof n=="string")return{};let t=n.getAttribute("data-colwidth"),r=t&&/^\d+(,\d+)*$/.test(t)?t.split(",").map(o=>Number(o)):null,i=Number(n.getAttribute("colspan")||1),s={colspan:i,rowspan:Number(n.getAttribute("rowspan")||1),colwidth:r&&r.length==i?r:null};for(let o in e){let l=e[o].getFromDOM,c=l&&l(n);c!=null&&(s[o]=c)}return s}function dd(n,e){let t={};n.attrs.colspan!=1&&(t.colspan=n.attrs.colspan),n.attrs.rowspan!=1&&(t.rowspan=n.attrs.rowspan),n.attrs.colwidth&&(t["data-colwidth"]=n.attrs.colwidth.join(","));for(let r in e){let i=e[r].setDOMAttr;i&&i(n.attrs[r],t)}return t}function H0(n){let e=n.cellAttributes||{},t={colspan:{default:1},rowspan:{default:1},colwidth:{default:null}};for(let r in e)t[r]={default:e[r].default};return{table:{content:"table_row+",tableRole:"table",isolating:!0,group:n.tableGroup,parseDOM:[{tag:"table"}],toDOM(){return["table",["tbody",0]]}},table_row:{content:"(table_cell | table_header)*",tableRole:"row",parseDOM:[{tag:"tr"}],toDOM(){return["tr",0]}},table_cell:{content:n.cellContent,attrs:t,tableRole:"cell",isolating:!0,parseDOM:[{tag:"td",getAttrs:r=>fd(r,e)}],toDOM(r){return["td",dd(r,e),0]}},table_header:{content:n.cellContent,attrs:t,tableRole:"header_cell",isolating:!0,parseDOM:[{tag:"th",getAttrs:r=>fd(r,e)}],toDOM(r){return["th",dd(r,e),0]}}}}function me(n){let e=n.cached.tableNodeTypes;if(!e){e=n.cached.tableNodeTypes={};for(let t in n.nodes){let r=n.nodes[t],i=r.spec.tableRole;i&&(e[i]=r)}}return e}var jt=new fe("selectingCells");function cr(n){for(let e=n.depth-1;e>0;e--)if(n.node(e).type.spec.tableRole=="row")return n.node(0).resolve(n.before(e+1));return null}function J0(n){for(let e=n.depth;e>0;e--){let t=n.node(e).type.spec.tableRole;if(t==="cell"||t==="header_cell")return n.node(e)}return null}function Ye(n){let e=n.selection.$head;for(let t=e.depth;t>0;t--)if(e.node(t).type.spec.tableRole=="row")return!0;return!1}function mc(n){let e=n.selection;if("$anchorCell"in e&&e.$anchorCell)return e.$anchorCell.pos>e.$headCell.pos?e.$anchorCell:e.$headCell;if("node"in e&&e.node&&e.node.type.spec.tableRole=="cell")return e.$anchor;let t=cr(e.$head)||j0(e.$head);if(t)return t;throw new RangeError(`No cell found around position ${e.head}`)}function j0(n){for(let e=n.nodeAfter,t=n.pos;e;e=e.firstChild,t++){let r=e.type.spec.tableRole;if(r=="cell"||r=="header_cell")return n.doc.resolve(t)}for(let e=n.nodeBefore,t=n.pos;e;e=e.lastChild,t--){let r=e.type.spec.tableRole;if(r=="cell"||r=="header_cell")return n.doc.resolve(t-e.nodeSize)}}function dc(n){return n.parent.type.spec.tableRole=="row"&&!!n.nodeAfter}function W0(n){return n.node(0).resolve(n.pos+n.nodeAfter.nodeSize)}function gc(n,e){return n.depth==e.depth&&n.pos>=e.start(-1)&&n.pos<=e.end(-1)}function Sd(n,e,t){let r=n.node(-1),i=z.get(r),s=n.start(-1),o=i.nextCell(n.pos-s,e,t);return o==null?null:n.node(0).resolve(s+o)}function kn(n,e,t=1){let r={...n,colspan:n.colspan-t};return r.colwidth&&(r.colwidth=r.colwidth.slice(),r.colwidth.splice(e,t),r.colwidth.some(i=>i>0)||(r.colwidth=null)),r}function kd(n,e,t=1){let r={...n,colspan:n.colspan+t};if(r.colwidth){r.colwidth=r.colwidth.slice();for(let i=0;i<t;i++)r.colwidth.splice(e,0,0)}return r}function K0(n,e,t){let r=me(e.type.schema).header_cell;for(let i=0;i<n.height;i++)if(e.nodeAt(n.map[t+i*n.width]).type!=r)return!1;return!0}var B=class At extends S{constructor(e,t=e){let r=e.node(-1),i=z.get(r),s=e.start(-1),o=i.rectBetween(e.pos-s,t.pos-s),l=e.node(0),c=i.cellsInRect(o).filter(h=>h!=t.pos-s);c.unshift(t.pos-s);let a=c.map(h=>{let f=r.nodeAt(h);if(!f)throw RangeError(`No cell with offset ${h} found`);let d=s+h+1;return new Lt(l.resolve(d),l.resolve(d+f.content.size))});super(a[0].$from,a[0].$to,a),this.$anchorCell=e,this.$headCell=t}map(e,t){let r=e.resolve(t.map(this.$anchorCell.pos)),i=e.resolve(t.map(this.$headCell.pos));if(dc(r)&&dc(i)&&gc(r,i)){let s=this.$anchorCell.node(-1)!=r.node(-1);return s&&this.isRowSelection()?At.rowSelection(r,i):s&&this.isColSelection()?At.colSelection(r,i):new At(r,i)}return A.between(r,i)}content(){let e=this.$anchorCell.node(-1),t=z.get(e),r=this.$anchorCell.start(-1),i=t.rectBetween(this.$anchorCell.pos-r,this.$headCell.pos-r),s={},o=[];for(let c=i.top;c<i.bottom;c++){let a=[];for(let h=c*t.width+i.left,f=i.left;f<i.right;f++,h++){let d=t.map[h];if(s[d])continue;s[d]=!0;let u=t.findCell(d),p=e.nodeAt(d);if(!p)throw RangeError(`No cell with offset ${d} found`);let m=i.left-u.left,g=u.right-i.right;if(m>0||g>0){let y=p.attrs;if(m>0&&(y=kn(y,0,m)),g>0&&(y=kn(y,y.colspan-g,g)),u.left<i.left){if(p=p.type.createAndFill(y),!p)throw RangeError(`Could not create cell with attrs ${JSON.stringify(y)}`)}else p=p.type.create(y,p.content)}if(u.top<i.top||u.bottom>i.bottom){let y={...p.attrs,rowspan:Math.min(u.bottom,i.bottom)-Math.max(u.top,i.top)};u.top<i.top?p=p.type.createAndFill(y):p=p.type.create(y,p.content)}a.push(p)}o.push(e.child(c).copy(w.from(a)))}let l=this.isColSelection()&&this.isRowSelection()?e:o;return new b(w.from(l),1,1)}replace(e,t=b.empty){let r=e.steps.length,i=this.ranges;for(let o=0;o<i.length;o++){let{$from:l,$to:c}=i[o],a=e.mapping.slice(r);e.replace(a.map(l.pos),a.map(c.pos),o?b.empty:t)}let s=S.findFrom(e.doc.resolve(e.mapping.slice(r).map(this.to)),-1);s&&e.setSelection(s)}replaceWith(e,t){this.replace(e,new b(w.from(t),0,0))}forEachCell(e){let t=this.$anchorCell.node(-1),r=z.get(t),i=this.$anchorCell.start(-1),s=r.cellsInRect(r.rectBetween(this.$anchorCell.pos-i,this.$headCell.pos-i));for(let o=0;o<s.length;o++)e(t.nodeAt(s[o]),i+s[o])}isColSelection(){let e=this.$anchorCell.index(-1),t=this.$headCell.index(-1);if(Math.min(e,t)>0)return!1;let r=e+this.$anchorCell.nodeAfter.attrs.rowspan,i=t+this.$headCell.nodeAfter.attrs.rowspan;return Math.max(r,i)==this.$headCell.node(-1).childCount}static colSelection(e,t=e){let r=e.node(-1),i=z.get(r),s=e.start(-1),o=i.findCell(e.pos-s),l=i.findCell(t.pos-s),c=e.node(0);return o.top<=l.top?(o.top>0&&(e=c.resolve(s+i.map[o.left])),l.bottom<i.height&&(t=c.resolve(s+i.map[i.width*(i.height-1)+l.right-1]))):(l.top>0&&(t=c.resolve(s+i.map[l.left])),o.bottom<i.height&&(e=c.resolve(s+i.map[i.width*(i.height-1)+o.right-1]))),new At(e,t)}isRowSelection(){let e=this.$anchorCell.node(-1),t=z.get(e),r=this.$anchorCell.start(-1),i=t.colCount(this.$anchorCell.pos-r),s=t.colCount(this.$headCell.pos-r);if(Math.min(i,s)>0)return!1;let o=i+this.$anchorCell.nodeAfter.attrs.colspan,l=s+this.$headCell.nodeAfter.attrs.colspan;return Math.max(o,l)==t.width}eq(e){return e instanceof At&&e.$anchorCell.pos==this.$anchorCell.pos&&e.$headCell.pos==this.$headCell.pos}static rowSelection(e,t=e){let r=e.node(-1),i=z.get(r),s=e.start(-1),o=i.findCell(e.pos-s),l=i.findCell(t.pos-s),c=e.node(0);return o.left<=l.left?(o.left>0&&(e=c.resolve(s+i.map[o.top*i.width])),l.right<i.width&&(t=c.resolve(s+i.map[i.width*(l.top+1)-1]))):(l.left>0&&(t=c.resolve(s+i.map[l.top*i.width])),o.right<i.width&&(e=c.resolve(s+i.map[i.width*(o.top+1)-1]))),new At(e,t)}toJSON(){return{type:"cell",anchor:this.$anchorCell.pos,head:this.$headCell.pos}}static fromJSON(e,t){return new At(e.resolve(t.anchor),e.resolve(t.head))}static create(e,t,r=t){return new At(e.resolve(t),e.resolve(r))}getBookmark(){return new Y0(this.$anchorCell.pos,this.$headCell.pos)}};B.prototype.visible=!1;S.jsonID("cell",B);var Y0=class Cd{constructor(e,t){this.anchor=e,this.head=t}map(e){return new Cd(e.map(this.anchor),e.map(this.head))}resolve(e){let t=e.resolve(this.anchor),r=e.resolve(this.head);return t.parent.type.spec.tableRole=="row"&&r.parent.type.spec.tableRole=="row"&&t.index()<t.parent.childCount&&r.index()<r.parent.childCount&&gc(t,r)?new B(t,r):S.near(r,1)}};function G0(n){if(!(n.selection instanceof B))return null;let e=[];return n.selection.forEachCell((t,r)=>{e.push(te.node(r,r+t.nodeSize,{class:"selectedCell"}))}),V.create(n.doc,e)}function X0({$from:n,$to:e}){if(n.pos==e.pos||n.pos<e.pos-6)return!1;let t=n.pos,r=e.pos,i=n.depth;for(;i>=0&&!(n.after(i+1)<n.end(i));i--,t++);for(let s=e.depth;s>=0&&!(e.before(s+1)>e.start(s));s--,r--);return t==r&&/row|table/.test(n.node(i).type.spec.tableRole)}function Q0({$from:n,$to:e}){let t,r;for(let i=n.depth;i>0;i--){let s=n.node(i);if(s.type.spec.tableRole==="cell"||s.type.spec.tableRole==="header_cell"){t=s;break}}for(let i=e.depth;i>0;i--){let s=e.node(i);if(s.type.spec.tableRole==="cell"||s.type.spec.tableRole==="header_cell"){r=s;break}}return t!==r&&e.parentOffset===0}function Z0(n,e,t){let r=(e||n).selection,i=(e||n).doc,s,o;if(r instanceof k&&(o=r.node.type.spec.tableRole)){if(o=="cell"||o=="header_cell")s=B.create(i,r.from);else if(o=="row"){let l=i.resolve(r.from+1);s=B.rowSelection(l,l)}else if(!t){let l=z.get(r.node),c=r.from+1,a=c+l.map[l.width*l.height-1];s=B.create(i,c+1,a)}}else r instanceof A&&X0(r)?s=A.create(i,r.from):r instanceof A&&Q0(r)&&(s=A.create(i,r.$from.start(),r.$from.end()));return s&&(e||(e=n.tr)).setSelection(s),e}var ew=new fe("fix-tables");function Md(n,e,t,r){let i=n.childCount,s=e.childCount;e:for(let o=0,l=0;o<s;o++){let c=e.child(o);for(let a=l,h=Math.min(i,o+3);a<h;a++)if(n.child(a)==c){l=a+1,t+=c.nodeSize;continue e}r(c,t),l<i&&n.child(l).sameMarkup(c)?Md(n.child(l),c,t+1,r):c.nodesBetween(0,c.content.size,r,t+1),t+=c.nodeSize}}function Ad(n,e){let t,r=(i,s)=>{i.type.spec.tableRole=="table"&&(t=tw(n,i,s,t))};return e?e.doc!=n.doc&&Md(e.doc,n.doc,0,r):n.doc.descendants(r),t}function tw(n,e,t,r){let i=z.get(e);if(!i.problems)return r;r||(r=n.tr);let s=[];for(let c=0;c<i.height;c++)s.push(0);for(let c=0;c<i.problems.length;c++){let a=i.problems[c];if(a.type=="collision"){let h=e.nodeAt(a.pos);if(!h)continue;let f=h.attrs;for(let d=0;d<f.rowspan;d++)s[a.row+d]+=a.n;r.setNodeMarkup(r.mapping.map(t+1+a.pos),null,kn(f,f.colspan-a.n,a.n))}else if(a.type=="missing")s[a.row]+=a.n;else if(a.type=="overlong_rowspan"){let h=e.nodeAt(a.pos);if(!h)continue;r.setNodeMarkup(r.mapping.map(t+1+a.pos),null,{...h.attrs,rowspan:h.attrs.rowspan-a.n})}else if(a.type=="colwidth mismatch"){let h=e.nodeAt(a.pos);if(!h)continue;r.setNodeMarkup(r.mapping.map(t+1+a.pos),null,{...h.attrs,colwidth:a.colwidth})}}let o,l;for(let c=0;c<s.length;c++)s[c]&&(o==null&&(o=c),l=c);for(let c=0,a=t+1;c<i.height;c++){let h=e.child(c),f=a+h.nodeSize,d=s[c];if(d>0){let u="cell";h.firstChild&&(u=h.firstChild.type.spec.tableRole);let p=[];for(let g=0;g<d;g++){let y=me(n.schema)[u].createAndFill();y&&p.push(y)}let m=(c==0||o==c-1)&&l==c?a+1:f-1;r.insert(r.mapping.map(m),p)}a=f}return r.setMeta(ew,{fixTables:!0})}function Ge(n){let e=n.selection,t=mc(n),r=t.node(-1),i=t.start(-1),s=z.get(r);return{...e instanceof B?s.rectBetween(e.$anchorCell.pos-i,e.$headCell.pos-i):s.findCell(t.pos-i),tableStart:i,map:s,table:r}}function Td(n,{map:e,tableStart:t,table:r},i){let s=i>0?-1:0;K0(e,r,i+s)&&(s=i==0||i==e.width?null:0);for(let o=0;o<e.height;o++){let l=o*e.width+i;if(i>0&&i<e.width&&e.map[l-1]==e.map[l]){let c=e.map[l],a=r.nodeAt(c);n.setNodeMarkup(n.mapping.map(t+c),null,kd(a.attrs,i-e.colCount(c))),o+=a.attrs.rowspan-1}else{let c=s==null?me(r.type.schema).cell:r.nodeAt(e.map[l+s]).type,a=e.positionAt(o,i,r);n.insert(n.mapping.map(t+a),c.createAndFill())}}return n}function nw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n);e(Td(n.tr,t,t.left))}return!0}function rw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n);e(Td(n.tr,t,t.right))}return!0}function iw(n,{map:e,table:t,tableStart:r},i){let s=n.mapping.maps.length;for(let o=0;o<e.height;){let l=o*e.width+i,c=e.map[l],a=t.nodeAt(c),h=a.attrs;if(i>0&&e.map[l-1]==c||i<e.width-1&&e.map[l+1]==c)n.setNodeMarkup(n.mapping.slice(s).map(r+c),null,kn(h,i-e.colCount(c)));else{let f=n.mapping.slice(s).map(r+c);n.delete(f,f+a.nodeSize)}o+=h.rowspan}}function sw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n),r=n.tr;if(t.left==0&&t.right==t.map.width)return!1;for(let i=t.right-1;iw(r,t,i),i!=t.left;i--){let s=t.tableStart?r.doc.nodeAt(t.tableStart-1):r.doc;if(!s)throw RangeError("No table found");t.table=s,t.map=z.get(s)}e(r)}return!0}function ow(n,e,t){var r;let i=me(e.type.schema).header_cell;for(let s=0;s<n.width;s++)if(((r=e.nodeAt(n.map[s+t*n.width]))==null?void 0:r.type)!=i)return!1;return!0}function Ed(n,{map:e,tableStart:t,table:r},i){var s;let o=t;for(let a=0;a<i;a++)o+=r.child(a).nodeSize;let l=[],c=i>0?-1:0;ow(e,r,i+c)&&(c=i==0||i==e.height?null:0);for(let a=0,h=e.width*i;a<e.width;a++,h++)if(i>0&&i<e.height&&e.map[h]==e.map[h-e.width]){let f=e.map[h],d=r.nodeAt(f).attrs;n.setNodeMarkup(t+f,null,{...d,rowspan:d.rowspan+1}),a+=d.colspan-1}else{let f=c==null?me(r.type.schema).cell:(s=r.nodeAt(e.map[h+c*e.width]))==null?void 0:s.type,d=f?.createAndFill();d&&l.push(d)}return n.insert(o,me(r.type.schema).row.create(null,l)),n}function lw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n);e(Ed(n.tr,t,t.top))}return!0}function cw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n);e(Ed(n.tr,t,t.bottom))}return!0}function aw(n,{map:e,table:t,tableStart:r},i){let s=0;for(let a=0;a<i;a++)s+=t.child(a).nodeSize;let o=s+t.child(i).nodeSize,l=n.mapping.maps.length;n.delete(s+r,o+r);let c=new Set;for(let a=0,h=i*e.width;a<e.width;a++,h++){let f=e.map[h];if(!c.has(f)){if(c.add(f),i>0&&f==e.map[h-e.width]){let d=t.nodeAt(f).attrs;n.setNodeMarkup(n.mapping.slice(l).map(f+r),null,{...d,rowspan:d.rowspan-1}),a+=d.colspan-1}else if(i<e.height&&f==e.map[h+e.width]){let d=t.nodeAt(f),u=d.attrs,p=d.type.create({...u,rowspan:d.attrs.rowspan-1},d.content),m=e.positionAt(i+1,a,t);n.insert(n.mapping.slice(l).map(r+m),p),a+=u.colspan-1}}}}function hw(n,e){if(!Ye(n))return!1;if(e){let t=Ge(n),r=n.tr;if(t.top==0&&t.bottom==t.map.height)return!1;for(let i=t.bottom-1;aw(r,t,i),i!=t.top;i--){let s=t.tableStart?r.doc.nodeAt(t.tableStart-1):r.doc;if(!s)throw RangeError("No table found");t.table=s,t.map=z.get(t.table)}e(r)}return!0}function ud(n){let e=n.content;return e.childCount==1&&e.child(0).isTextblock&&e.child(0).childCount==0}function fw({width:n,height:e,map:t},r){let i=r.top*n+r.left,s=i,o=(r.bottom-1)*n+r.left,l=i+(r.right-r.left-1);for(let c=r.top;c<r.bottom;c++){if(r.left>0&&t[s]==t[s-1]||r.right<n&&t[l]==t[l+1])return!0;s+=n,l+=n}for(let c=r.left;c<r.right;c++){if(r.top>0&&t[i]==t[i-n]||r.bottom<e&&t[o]==t[o+n])return!0;i++,o++}return!1}function dw(n,e){let t=n.selection;if(!(t instanceof B)||t.$anchorCell.pos==t.$headCell.pos)return!1;let r=Ge(n),{map:i}=r;if(fw(i,r))return!1;if(e){let s=n.tr,o={},l=w.empty,c,a;for(let h=r.top;h<r.bottom;h++)for(let f=r.left;f<r.right;f++){let d=i.map[h*i.width+f],u=r.table.nodeAt(d);if(!(o[d]||!u))if(o[d]=!0,c==null)c=d,a=u;else{ud(u)||(l=l.append(u.content));let p=s.mapping.map(d+r.tableStart);s.delete(p,p+u.nodeSize)}}if(c==null||a==null)return!0;if(s.setNodeMarkup(c+r.tableStart,null,{...kd(a.attrs,a.attrs.colspan,r.right-r.left-a.attrs.colspan),rowspan:r.bottom-r.top}),l.size){let h=c+1+a.content.size,f=ud(a)?c+1:h;s.replaceWith(f+r.tableStart,h+r.tableStart,l)}s.setSelection(new B(s.doc.resolve(c+r.tableStart))),e(s)}return!0}function uw(n,e){let t=me(n.schema);return pw(({node:r})=>t[r.type.spec.tableRole])(n,e)}function pw(n){return(e,t)=>{var r;let i=e.selection,s,o;if(i instanceof B){if(i.$anchorCell.pos!=i.$headCell.pos)return!1;s=i.$anchorCell.nodeAfter,o=i.$anchorCell.pos}else{if(s=J0(i.$from),!s)return!1;o=(r=cr(i.$from))==null?void 0:r.pos}if(s==null||o==null||s.attrs.colspan==1&&s.attrs.rowspan==1)return!1;if(t){let l=s.attrs,c=[],a=l.colwidth;l.rowspan>1&&(l={...l,rowspan:1}),l.colspan>1&&(l={...l,colspan:1});let h=Ge(e),f=e.tr;for(let u=0;u<h.right-h.left;u++)c.push(a?{...l,colwidth:a&&a[u]?[a[u]]:null}:l);let d;for(let u=h.top;u<h.bottom;u++){let p=h.map.positionAt(u,h.left,h.table);u==h.top&&(p+=s.nodeSize);for(let m=h.left,g=0;m<h.right;m++,g++)m==h.left&&u==h.top||f.insert(d=f.mapping.map(p+h.tableStart,1),n({node:s,row:u,col:m}).createAndFill(c[g]))}f.setNodeMarkup(o,n({node:s,row:h.top,col:h.left}),c[0]),i instanceof B&&f.setSelection(new B(f.doc.resolve(i.$anchorCell.pos),d?f.doc.resolve(d):void 0)),t(f)}return!0}}function mw(n){return function(e,t){if(!Ye(e))return!1;if(t){let r=me(e.schema),i=Ge(e),s=e.tr,o=i.map.cellsInRect(n=="column"?{left:i.left,top:0,right:i.right,bottom:i.map.height}:n=="row"?{left:0,top:i.top,right:i.map.width,bottom:i.bottom}:i),l=o.map(c=>i.table.nodeAt(c));for(let c=0;c<o.length;c++)l[c].type==r.header_cell&&s.setNodeMarkup(i.tableStart+o[c],r.cell,l[c].attrs);if(s.steps.length==0)for(let c=0;c<o.length;c++)s.setNodeMarkup(i.tableStart+o[c],r.header_cell,l[c].attrs);t(s)}return!0}}function pd(n,e,t){let r=e.map.cellsInRect({left:0,top:0,right:n=="row"?e.map.width:1,bottom:n=="column"?e.map.height:1});for(let i=0;i<r.length;i++){let s=e.table.nodeAt(r[i]);if(s&&s.type!==t.header_cell)return!1}return!0}function yc(n,e){return e=e||{useDeprecatedLogic:!1},e.useDeprecatedLogic?mw(n):function(t,r){if(!Ye(t))return!1;if(r){let i=me(t.schema),s=Ge(t),o=t.tr,l=pd("row",s,i),c=pd("column",s,i),h=(n==="column"?l:n==="row"?c:!1)?1:0,f=n=="column"?{left:0,top:h,right:1,bottom:s.map.height}:n=="row"?{left:h,top:0,right:s.map.width,bottom:1}:s,d=n=="column"?c?i.cell:i.header_cell:n=="row"?l?i.cell:i.header_cell:i.cell;s.map.cellsInRect(f).forEach(u=>{let p=u+s.tableStart,m=o.doc.nodeAt(p);m&&o.setNodeMarkup(p,d,m.attrs)}),r(o)}return!0}}var Ok=yc("row",{useDeprecatedLogic:!0}),Nk=yc("column",{useDeprecatedLogic:!0}),Ik=yc("cell",{useDeprecatedLogic:!0});function gw(n,e){if(e<0){let t=n.nodeBefore;if(t)return n.pos-t.nodeSize;for(let r=n.index(-1)-1,i=n.before();r>=0;r--){let s=n.node(-1).child(r),o=s.lastChild;if(o)return i-1-o.nodeSize;i-=s.nodeSize}}else{if(n.index()<n.parent.childCount-1)return n.pos+n.nodeAfter.nodeSize;let t=n.node(-1);for(let r=n.indexAfter(-1),i=n.after();r<t.childCount;r++){let s=t.child(r);if(s.childCount)return i+1;i+=s.nodeSize}}return null}function yw(n){return function(e,t){if(!Ye(e))return!1;let r=gw(mc(e),n);if(r==null)return!1;if(t){let i=e.doc.resolve(r);t(e.tr.setSelection(A.between(i,W0(i))).scrollIntoView())}return!0}}function ww(n,e){let t=n.selection.$anchor;for(let r=t.depth;r>0;r--)if(t.node(r).type.spec.tableRole=="table")return e&&e(n.tr.delete(t.before(r),t.after(r)).scrollIntoView()),!0;return!1}function $s(n,e){let t=n.selection;if(!(t instanceof B))return!1;if(e){let r=n.tr,i=me(n.schema).cell.createAndFill().content;t.forEachCell((s,o)=>{s.content.eq(i)||r.replace(r.mapping.map(o+1),r.mapping.map(o+s.nodeSize-1),new b(i,0,0))}),r.docChanged&&e(r)}return!0}function bw(n){if(!n.size)return null;let{content:e,openStart:t,openEnd:r}=n;for(;e.childCount==1&&(t>0&&r>0||e.child(0).type.spec.tableRole=="table");)t--,r--,e=e.child(0).content;let i=e.child(0),s=i.type.spec.tableRole,o=i.type.schema,l=[];if(s=="row")for(let c=0;c<e.childCount;c++){let a=e.child(c).content,h=c?0:Math.max(0,t-1),f=c<e.childCount-1?0:Math.max(0,r-1);(h||f)&&(a=uc(me(o).row,new b(a,h,f)).content),l.push(a)}else if(s=="cell"||s=="header_cell")l.push(t||r?uc(me(o).row,new b(e,t,r)).content:e);else return null;return xw(o,l)}function xw(n,e){let t=[];for(let i=0;i<e.length;i++){let s=e[i];for(let o=s.childCount-1;o>=0;o--){let{rowspan:l,colspan:c}=s.child(o).attrs;for(let a=i;a<i+l;a++)t[a]=(t[a]||0)+c}}let r=0;for(let i=0;i<t.length;i++)r=Math.max(r,t[i]);for(let i=0;i<t.length;i++)if(i>=e.length&&e.push(w.empty),t[i]<r){let s=me(n).cell.createAndFill(),o=[];for(let l=t[i];l<r;l++)o.push(s);e[i]=e[i].append(w.from(o))}return{height:e.length,width:r,rows:e}}function uc(n,e){let t=n.createAndFill();return new Gn(t).replace(0,t.content.size,e).doc}function Sw({width:n,height:e,rows:t},r,i){if(n!=r){let s=[],o=[];for(let l=0;l<t.length;l++){let c=t[l],a=[];for(let h=s[l]||0,f=0;h<r;f++){let d=c.child(f%c.childCount);h+d.attrs.colspan>r&&(d=d.type.createChecked(kn(d.attrs,d.attrs.colspan,h+d.attrs.colspan-r),d.content)),a.push(d),h+=d.attrs.colspan;for(let u=1;u<d.attrs.rowspan;u++)s[l+u]=(s[l+u]||0)+d.attrs.colspan}o.push(w.from(a))}t=o,n=r}if(e!=i){let s=[];for(let o=0,l=0;o<i;o++,l++){let c=[],a=t[l%e];for(let h=0;h<a.childCount;h++){let f=a.child(h);o+f.attrs.rowspan>i&&(f=f.type.create({...f.attrs,rowspan:Math.max(1,i-f.attrs.rowspan)},f.content)),c.push(f)}s.push(w.from(c))}t=s,e=i}return{width:n,height:e,rows:t}}function kw(n,e,t,r,i,s,o){let l=n.doc.type.schema,c=me(l),a,h;if(i>e.width)for(let f=0,d=0;f<e.height;f++){let u=t.child(f);d+=u.nodeSize;let p=[],m;u.lastChild==null||u.lastChild.type==c.cell?m=a||(a=c.cell.createAndFill()):m=h||(h=c.header_cell.createAndFill());for(let g=e.width;g<i;g++)p.push(m);n.insert(n.mapping.slice(o).map(d-1+r),p)}if(s>e.height){let f=[];for(let p=0,m=(e.height-1)*e.width;p<Math.max(e.width,i);p++){let g=p>=e.width?!1:t.nodeAt(e.map[m+p]).type==c.header_cell;f.push(g?h||(h=c.header_cell.createAndFill()):a||(a=c.cell.createAndFill()))}let d=c.row.create(null,w.from(f)),u=[];for(let p=e.height;p<s;p++)u.push(d);n.insert(n.mapping.slice(o).map(r+t.nodeSize-2),u)}return!!(a||h)}function md(n,e,t,r,i,s,o,l){if(o==0||o==e.height)return!1;let c=!1;for(let a=i;a<s;a++){let h=o*e.width+a,f=e.map[h];if(e.map[h-e.width]==f){c=!0;let d=t.nodeAt(f),{top:u,left:p}=e.findCell(f);n.setNodeMarkup(n.mapping.slice(l).map(f+r),null,{...d.attrs,rowspan:o-u}),n.insert(n.mapping.slice(l).map(e.positionAt(o,p,t)),d.type.createAndFill({...d.attrs,rowspan:u+d.attrs.rowspan-o})),a+=d.attrs.colspan-1}}return c}function gd(n,e,t,r,i,s,o,l){if(o==0||o==e.width)return!1;let c=!1;for(let a=i;a<s;a++){let h=a*e.width+o,f=e.map[h];if(e.map[h-1]==f){c=!0;let d=t.nodeAt(f),u=e.colCount(f),p=n.mapping.slice(l).map(f+r);n.setNodeMarkup(p,null,kn(d.attrs,o-u,d.attrs.colspan-(o-u))),n.insert(p+d.nodeSize,d.type.createAndFill(kn(d.attrs,0,o-u))),a+=d.attrs.rowspan-1}}return c}function yd(n,e,t,r,i){let s=t?n.doc.nodeAt(t-1):n.doc;if(!s)throw new Error("No table found");let o=z.get(s),{top:l,left:c}=r,a=c+i.width,h=l+i.height,f=n.tr,d=0;function u(){if(s=t?f.doc.nodeAt(t-1):f.doc,!s)throw new Error("No table found");o=z.get(s),d=f.mapping.maps.length}kw(f,o,s,t,a,h,d)&&u(),md(f,o,s,t,c,a,l,d)&&u(),md(f,o,s,t,c,a,h,d)&&u(),gd(f,o,s,t,l,h,c,d)&&u(),gd(f,o,s,t,l,h,a,d)&&u();for(let p=l;p<h;p++){let m=o.positionAt(p,c,s),g=o.positionAt(p,a,s);f.replace(f.mapping.slice(d).map(m+t),f.mapping.slice(d).map(g+t),new b(i.rows[p-l],0,0))}u(),f.setSelection(new B(f.doc.resolve(t+o.positionAt(l,c,s)),f.doc.resolve(t+o.positionAt(h-1,a-1,s)))),e(f)}var Cw=fi({ArrowLeft:qs("horiz",-1),ArrowRight:qs("horiz",1),ArrowUp:qs("vert",-1),ArrowDown:qs("vert",1),"Shift-ArrowLeft":Hs("horiz",-1),"Shift-ArrowRight":Hs("horiz",1),"Shift-ArrowUp":Hs("vert",-1),"Shift-ArrowDown":Hs("vert",1),Backspace:$s,"Mod-Backspace":$s,Delete:$s,"Mod-Delete":$s});function Js(n,e,t){return t.eq(n.selection)?!1:(e&&e(n.tr.setSelection(t).scrollIntoView()),!0)}function qs(n,e){return(t,r,i)=>{if(!i)return!1;let s=t.selection;if(s instanceof B)return Js(t,r,S.near(s.$headCell,e));if(n!="horiz"&&!s.empty)return!1;let o=Dd(i,n,e);if(o==null)return!1;if(n=="horiz")return Js(t,r,S.near(t.doc.resolve(s.head+e),e));{let l=t.doc.resolve(o),c=Sd(l,n,e),a;return c?a=S.near(c,1):e<0?a=S.near(t.doc.resolve(l.before(-1)),-1):a=S.near(t.doc.resolve(l.after(-1)),1),Js(t,r,a)}}}function Hs(n,e){return(t,r,i)=>{if(!i)return!1;let s=t.selection,o;if(s instanceof B)o=s;else{let c=Dd(i,n,e);if(c==null)return!1;o=new B(t.doc.resolve(c))}let l=Sd(o.$headCell,n,e);return l?Js(t,r,new B(o.$anchorCell,l)):!1}}function Mw(n,e){let t=n.state.doc,r=cr(t.resolve(e));return r?(n.dispatch(n.state.tr.setSelection(new B(r))),!0):!1}function Aw(n,e,t){if(!Ye(n.state))return!1;let r=bw(t),i=n.state.selection;if(i instanceof B){r||(r={width:1,height:1,rows:[w.from(uc(me(n.state.schema).cell,t))]});let s=i.$anchorCell.node(-1),o=i.$anchorCell.start(-1),l=z.get(s).rectBetween(i.$anchorCell.pos-o,i.$headCell.pos-o);return r=Sw(r,l.right-l.left,l.bottom-l.top),yd(n.state,n.dispatch,o,l,r),!0}else if(r){let s=mc(n.state),o=s.start(-1);return yd(n.state,n.dispatch,o,z.get(s.node(-1)).findCell(s.pos-o),r),!0}else return!1}function Tw(n,e){var t;if(e.ctrlKey||e.metaKey)return;let r=wd(n,e.target),i;if(e.shiftKey&&n.state.selection instanceof B)s(n.state.selection.$anchorCell,e),e.preventDefault();else if(e.shiftKey&&r&&(i=cr(n.state.selection.$anchor))!=null&&((t=ac(n,e))==null?void 0:t.pos)!=i.pos)s(i,e),e.preventDefault();else if(!r)return;function s(c,a){let h=ac(n,a),f=jt.getState(n.state)==null;if(!h||!gc(c,h))if(f)h=c;else return;let d=new B(c,h);if(f||!n.state.selection.eq(d)){let u=n.state.tr.setSelection(d);f&&u.setMeta(jt,c.pos),n.dispatch(u)}}function o(){n.root.removeEventListener("mouseup",o),n.root.removeEventListener("dragstart",o),n.root.removeEventListener("mousemove",l),jt.getState(n.state)!=null&&n.dispatch(n.state.tr.setMeta(jt,-1))}function l(c){let a=c,h=jt.getState(n.state),f;if(h!=null)f=n.state.doc.resolve(h);else if(wd(n,a.target)!=r&&(f=ac(n,e),!f))return o();f&&s(f,a)}n.root.addEventListener("mouseup",o),n.root.addEventListener("dragstart",o),n.root.addEventListener("mousemove",l)}function Dd(n,e,t){if(!(n.state.selection instanceof A))return null;let{$head:r}=n.state.selection;for(let i=r.depth-1;i>=0;i--){let s=r.node(i);if((t<0?r.index(i):r.indexAfter(i))!=(t<0?0:s.childCount))return null;if(s.type.spec.tableRole=="cell"||s.type.spec.tableRole=="header_cell"){let l=r.before(i),c=e=="vert"?t>0?"down":"up":t>0?"right":"left";return n.endOfTextblock(c)?l:null}}return null}function wd(n,e){for(;e&&e!=n.dom;e=e.parentNode)if(e.nodeName=="TD"||e.nodeName=="TH")return e;return null}function ac(n,e){let t=n.posAtCoords({left:e.clientX,top:e.clientY});return t&&t?cr(n.state.doc.resolve(t.pos)):null}var Ew=class{constructor(n,e){this.node=n,this.cellMinWidth=e,this.dom=document.createElement("div"),this.dom.className="tableWrapper",this.table=this.dom.appendChild(document.createElement("table")),this.colgroup=this.table.appendChild(document.createElement("colgroup")),pc(n,this.colgroup,this.table,e),this.contentDOM=this.table.appendChild(document.createElement("tbody"))}update(n){return n.type!=this.node.type?!1:(this.node=n,pc(n,this.colgroup,this.table,this.cellMinWidth),!0)}ignoreMutation(n){return n.type=="attributes"&&(n.target==this.table||this.colgroup.contains(n.target))}};function pc(n,e,t,r,i,s){var o;let l=0,c=!0,a=e.firstChild,h=n.firstChild;if(h){for(let f=0,d=0;f<h.childCount;f++){let{colspan:u,colwidth:p}=h.child(f).attrs;for(let m=0;m<u;m++,d++){let g=i==d?s:p&&p[m],y=g?g+"px":"";l+=g||r,g||(c=!1),a?(a.style.width!=y&&(a.style.width=y),a=a.nextSibling):e.appendChild(document.createElement("col")).style.width=y}}for(;a;){let f=a.nextSibling;(o=a.parentNode)==null||o.removeChild(a),a=f}c?(t.style.width=l+"px",t.style.minWidth=""):(t.style.width="",t.style.minWidth=l+"px")}}var Fe=new fe("tableColumnResizing");function Dw({handleWidth:n=5,cellMinWidth:e=25,View:t=Ew,lastColumnResizable:r=!0}={}){let i=new J({key:Fe,state:{init(s,o){var l,c;let a=(c=(l=i.spec)==null?void 0:l.props)==null?void 0:c.nodeViews,h=me(o.schema).table.name;return t&&a&&(a[h]=(f,d)=>new t(f,e,d)),new Ow(-1,!1)},apply(s,o){return o.apply(s)}},props:{attributes:s=>{let o=Fe.getState(s);return o&&o.activeHandle>-1?{class:"resize-cursor"}:{}},handleDOMEvents:{mousemove:(s,o)=>{Nw(s,o,n,e,r)},mouseleave:s=>{Iw(s)},mousedown:(s,o)=>{Rw(s,o,e)}},decorations:s=>{let o=Fe.getState(s);if(o&&o.activeHandle>-1)return Pw(s,o.activeHandle)},nodeViews:{}}});return i}var Ow=class js{constructor(e,t){this.activeHandle=e,this.dragging=t}apply(e){let t=this,r=e.getMeta(Fe);if(r&&r.setHandle!=null)return new js(r.setHandle,!1);if(r&&r.setDragging!==void 0)return new js(t.activeHandle,r.setDragging);if(t.activeHandle>-1&&e.docChanged){let i=e.mapping.map(t.activeHandle,-1);return dc(e.doc.resolve(i))||(i=-1),new js(i,t.dragging)}return t}};function Nw(n,e,t,r,i){let s=Fe.getState(n.state);if(s&&!s.dragging){let o=_w(e.target),l=-1;if(o){let{left:c,right:a}=o.getBoundingClientRect();e.clientX-c<=t?l=bd(n,e,"left",t):a-e.clientX<=t&&(l=bd(n,e,"right",t))}if(l!=s.activeHandle){if(!i&&l!==-1){let c=n.state.doc.resolve(l),a=c.node(-1),h=z.get(a),f=c.start(-1);if(h.colCount(c.pos-f)+c.nodeAfter.attrs.colspan-1==h.width-1)return}Od(n,l)}}}function Iw(n){let e=Fe.getState(n.state);e&&e.activeHandle>-1&&!e.dragging&&Od(n,-1)}function Rw(n,e,t){var r;let i=(r=n.dom.ownerDocument.defaultView)!=null?r:window,s=Fe.getState(n.state);if(!s||s.activeHandle==-1||s.dragging)return!1;let o=n.state.doc.nodeAt(s.activeHandle),l=vw(n,s.activeHandle,o.attrs);n.dispatch(n.state.tr.setMeta(Fe,{setDragging:{startX:e.clientX,startWidth:l}}));function c(h){i.removeEventListener("mouseup",c),i.removeEventListener("mousemove",a);let f=Fe.getState(n.state);f?.dragging&&(Uw(n,f.activeHandle,xd(f.dragging,h,t)),n.dispatch(n.state.tr.setMeta(Fe,{setDragging:null})))}function a(h){if(!h.which)return c(h);let f=Fe.getState(n.state);if(f&&f.dragging){let d=xd(f.dragging,h,t);Vw(n,f.activeHandle,d,t)}}return i.addEventListener("mouseup",c),i.addEventListener("mousemove",a),e.preventDefault(),!0}function vw(n,e,{colspan:t,colwidth:r}){let i=r&&r[r.length-1];if(i)return i;let s=n.domAtPos(e),l=s.node.childNodes[s.offset].offsetWidth,c=t;if(r)for(let a=0;a<t;a++)r[a]&&(l-=r[a],c--);return l/c}function _w(n){for(;n&&n.nodeName!="TD"&&n.nodeName!="TH";)n=n.classList&&n.classList.contains("ProseMirror")?null:n.parentNode;return n}function bd(n,e,t,r){let i=t=="right"?-r:r,s=n.posAtCoords({left:e.clientX+i,top:e.clientY});if(!s)return-1;let{pos:o}=s,l=cr(n.state.doc.resolve(o));if(!l)return-1;if(t=="right")return l.pos;let c=z.get(l.node(-1)),a=l.start(-1),h=c.map.indexOf(l.pos-a);return h%c.width==0?-1:a+c.map[h-1]}function xd(n,e,t){let r=e.clientX-n.startX;return Math.max(t,n.startWidth+r)}function Od(n,e){n.dispatch(n.state.tr.setMeta(Fe,{setHandle:e}))}function Uw(n,e,t){let r=n.state.doc.resolve(e),i=r.node(-1),s=z.get(i),o=r.start(-1),l=s.colCount(r.pos-o)+r.nodeAfter.attrs.colspan-1,c=n.state.tr;for(let a=0;a<s.height;a++){let h=a*s.width+l;if(a&&s.map[h]==s.map[h-s.width])continue;let f=s.map[h],d=i.nodeAt(f).attrs,u=d.colspan==1?0:l-s.colCount(f);if(d.colwidth&&d.colwidth[u]==t)continue;let p=d.colwidth?d.colwidth.slice():Bw(d.colspan);p[u]=t,c.setNodeMarkup(o+f,null,{...d,colwidth:p})}c.docChanged&&n.dispatch(c)}function Vw(n,e,t,r){let i=n.state.doc.resolve(e),s=i.node(-1),o=i.start(-1),l=z.get(s).colCount(i.pos-o)+i.nodeAfter.attrs.colspan-1,c=n.domAtPos(i.start(-1)).node;for(;c&&c.nodeName!="TABLE";)c=c.parentNode;c&&pc(s,c.firstChild,c,r,l,t)}function Bw(n){return Array(n).fill(0)}function Pw(n,e){let t=[],r=n.doc.resolve(e),i=r.node(-1);if(!i)return V.empty;let s=z.get(i),o=r.start(-1),l=s.colCount(r.pos-o)+r.nodeAfter.attrs.colspan-1;for(let c=0;c<s.height;c++){let a=l+c*s.width;if((l==s.width-1||s.map[a]!=s.map[a+1])&&(c==0||s.map[a]!=s.map[a-s.width])){let h=s.map[a],f=o+h+i.nodeAt(h).nodeSize-1,d=document.createElement("div");d.className="column-resize-handle",t.push(te.widget(f,d))}}return V.create(n.doc,t)}function Lw({allowTableNodeSelection:n=!1}={}){return new J({key:jt,state:{init(){return null},apply(e,t){let r=e.getMeta(jt);if(r!=null)return r==-1?null:r;if(t==null||!e.docChanged)return t;let{deleted:i,pos:s}=e.mapping.mapResult(t);return i?null:s}},props:{decorations:G0,handleDOMEvents:{mousedown:Tw},createSelectionBetween(e){return jt.getState(e.state)!=null?e.state.selection:null},handleTripleClick:Mw,handleKeyDown:Cw,handlePaste:Aw},appendTransaction(e,t,r){return Z0(r,Ad(r,t),n)}})}var Br={};pm(Br,{AbsolutePosition:()=>No,AbstractConnector:()=>ea,AbstractStruct:()=>vr,AbstractType:()=>H,Array:()=>Bn,ContentAny:()=>tn,ContentBinary:()=>Ln,ContentDeleted:()=>_r,ContentDoc:()=>zn,ContentEmbed:()=>It,ContentFormat:()=>L,ContentJSON:()=>Ji,ContentString:()=>Ve,ContentType:()=>Oe,Doc:()=>Je,GC:()=>ye,ID:()=>Ot,Item:()=>O,Map:()=>Pn,PermanentUserData:()=>na,RelativePosition:()=>ft,Skip:()=>ce,Snapshot:()=>en,Text:()=>ut,Transaction:()=>Ro,UndoManager:()=>Un,UpdateDecoderV1:()=>De,UpdateDecoderV2:()=>Ce,UpdateEncoderV1:()=>ht,UpdateEncoderV2:()=>Ue,XmlElement:()=>re,XmlFragment:()=>pt,XmlHook:()=>Hi,XmlText:()=>Me,YArrayEvent:()=>Uo,YEvent:()=>Vn,YMapEvent:()=>Vo,YTextEvent:()=>Bo,YXmlEvent:()=>Po,applyUpdate:()=>pa,applyUpdateV2:()=>Fn,cleanupYTextFormatting:()=>Rp,compareIDs:()=>Nn,compareRelativePositions:()=>zo,convertUpdateFormatV1ToV2:()=>Fb,convertUpdateFormatV2ToV1:()=>mp,createAbsolutePositionFromRelativePosition:()=>ba,createDeleteSet:()=>Ur,createDeleteSetFromStructStore:()=>fa,createDocFromSnapshot:()=>Tb,createID:()=>M,createRelativePositionFromJSON:()=>qn,createRelativePositionFromTypeIndex:()=>ji,createSnapshot:()=>Wi,decodeRelativePosition:()=>xb,decodeSnapshot:()=>Mb,decodeSnapshotV2:()=>np,decodeStateVector:()=>ga,decodeUpdate:()=>_b,decodeUpdateV2:()=>ap,diffUpdate:()=>Pb,diffUpdateV2:()=>xa,emptySnapshot:()=>Ab,encodeRelativePosition:()=>wb,encodeSnapshot:()=>Cb,encodeSnapshotV2:()=>tp,encodeStateAsUpdate:()=>ma,encodeStateAsUpdateV2:()=>Qu,encodeStateVector:()=>wa,encodeStateVectorFromUpdate:()=>Ub,encodeStateVectorFromUpdateV2:()=>fp,equalDeleteSets:()=>Gu,equalSnapshots:()=>kb,findIndexSS:()=>je,findRootTypeKey:()=>$n,getItem:()=>In,getItemCleanEnd:()=>sa,getItemCleanStart:()=>ge,getState:()=>P,getTypeChildren:()=>Jb,isDeleted:()=>Rt,isParentOf:()=>_n,iterateDeletedStructs:()=>ct,logType:()=>pb,logUpdate:()=>vb,logUpdateV2:()=>cp,mergeDeleteSets:()=>Rn,mergeUpdates:()=>hp,mergeUpdatesV2:()=>zi,obfuscateUpdate:()=>Lb,obfuscateUpdateV2:()=>zb,parseUpdateMeta:()=>Vb,parseUpdateMetaV2:()=>dp,readUpdate:()=>hb,readUpdateV2:()=>ua,relativePositionToJSON:()=>mb,snapshot:()=>Ki,snapshotContainsUpdate:()=>Db,transact:()=>R,tryGc:()=>Ib,typeListToArraySnapshot:()=>Ho,typeMapGetAllSnapshot:()=>Ep,typeMapGetSnapshot:()=>Kb});var _=()=>new Map,Ws=n=>{let e=_();return n.forEach((t,r)=>{e.set(r,t)}),e},W=(n,e,t)=>{let r=n.get(e);return r===void 0&&n.set(e,r=t()),r},Nd=(n,e)=>{let t=[];for(let[r,i]of n)t.push(e(i,r));return t},Id=(n,e)=>{for(let[t,r]of n)if(e(r,t))return!0;return!1};var Ee=()=>new Set;var Ks=n=>n[n.length-1];var Rd=(n,e)=>{for(let t=0;t<e.length;t++)n.push(e[t])},Xe=Array.from,Ys=(n,e)=>{for(let t=0;t<n.length;t++)if(!e(n[t],t,n))return!1;return!0},pi=(n,e)=>{for(let t=0;t<n.length;t++)if(e(n[t],t,n))return!0;return!1};var vd=(n,e)=>{let t=new Array(n);for(let r=0;r<n;r++)t[r]=e(r,t);return t};var Tt=Array.isArray;var ar=class{constructor(){this._observers=_()}on(e,t){return W(this._observers,e,Ee).add(t),t}once(e,t){let r=(...i)=>{this.off(e,r),t(...i)};this.on(e,r)}off(e,t){let r=this._observers.get(e);r!==void 0&&(r.delete(t),r.size===0&&this._observers.delete(e))}emit(e,t){return Xe((this._observers.get(e)||_()).values()).forEach(r=>r(...t))}destroy(){this._observers=_()}},hr=class{constructor(){this._observers=_()}on(e,t){W(this._observers,e,Ee).add(t)}once(e,t){let r=(...i)=>{this.off(e,r),t(...i)};this.on(e,r)}off(e,t){let r=this._observers.get(e);r!==void 0&&(r.delete(t),r.size===0&&this._observers.delete(e))}emit(e,t){return Xe((this._observers.get(e)||_()).values()).forEach(r=>r(...t))}destroy(){this._observers=_()}};var Y=Math.floor;var Mn=Math.abs;var Re=(n,e)=>n<e?n:e,$e=(n,e)=>n>e?n:e,zk=Number.isNaN,_d=Math.pow;var Gs=n=>n!==0?n<0:1/n<0;var fr=Number.MAX_SAFE_INTEGER,wc=Number.MIN_SAFE_INTEGER,Fk=1<<31;var Ud=Number.isInteger||(n=>typeof n=="number"&&isFinite(n)&&Y(n)===n),$k=Number.isNaN,qk=Number.parseInt;var gi=String.fromCharCode,zw=String.fromCodePoint,Hk=gi(65535),Fw=n=>n.toLowerCase(),$w=/^\s*/g,qw=n=>n.replace($w,""),Hw=/([A-Z])/g,xc=(n,e)=>qw(n.replace(Hw,t=>`${e}${Fw(t)}`));var Jw=n=>{let e=unescape(encodeURIComponent(n)),t=e.length,r=new Uint8Array(t);for(let i=0;i<t;i++)r[i]=e.codePointAt(i);return r},ur=typeof TextEncoder<"u"?new TextEncoder:null,jw=n=>ur.encode(n),Vd=ur?jw:Jw;var dr=typeof TextDecoder>"u"?null:new TextDecoder("utf-8",{fatal:!0,ignoreBOM:!0});dr&&dr.decode(new Uint8Array).length===1&&(dr=null);var Xs=(n,e)=>vd(e,()=>n).join("");var An=class{constructor(){this.cpos=0,this.cbuf=new Uint8Array(100),this.bufs=[]}},$=()=>new An;var Zs=n=>{let e=n.cpos;for(let t=0;t<n.bufs.length;t++)e+=n.bufs[t].length;return e};var I=n=>{let e=new Uint8Array(Zs(n)),t=0;for(let r=0;r<n.bufs.length;r++){let i=n.bufs[r];e.set(i,t),t+=i.length}return e.set(new Uint8Array(n.cbuf.buffer,0,n.cpos),t),e},Ww=(n,e)=>{let t=n.cbuf.length;t-n.cpos<e&&(n.bufs.push(new Uint8Array(n.cbuf.buffer,0,n.cpos)),n.cbuf=new Uint8Array($e(t,e)*2),n.cpos=0)},ne=(n,e)=>{let t=n.cbuf.length;n.cpos===t&&(n.bufs.push(n.cbuf),n.cbuf=new Uint8Array(t*2),n.cpos=0),n.cbuf[n.cpos++]=e};var wr=ne;var x=(n,e)=>{for(;e>127;)ne(n,128|127&e),e=Y(e/128);ne(n,127&e)},wi=(n,e)=>{let t=Gs(e);for(t&&(e=-e),ne(n,(e>63?128:0)|(t?64:0)|63&e),e=Y(e/64);e>0;)ne(n,(e>127?128:0)|127&e),e=Y(e/128)},Sc=new Uint8Array(3e4),Kw=Sc.length/3,Yw=(n,e)=>{if(e.length<Kw){let t=ur.encodeInto(e,Sc).written||0;x(n,t);for(let r=0;r<t;r++)ne(n,Sc[r])}else U(n,Vd(e))},Gw=(n,e)=>{let t=unescape(encodeURIComponent(e)),r=t.length;x(n,r);for(let i=0;i<r;i++)ne(n,t.codePointAt(i))},it=ur&&ur.encodeInto?Yw:Gw;var Fd=(n,e)=>br(n,I(e)),br=(n,e)=>{let t=n.cbuf.length,r=n.cpos,i=Re(t-r,e.length),s=e.length-i;n.cbuf.set(e.subarray(0,i),r),n.cpos+=i,s>0&&(n.bufs.push(n.cbuf),n.cbuf=new Uint8Array($e(t*2,s)),n.cbuf.set(e.subarray(i)),n.cpos=s)},U=(n,e)=>{x(n,e.byteLength),br(n,e)},kc=(n,e)=>{Ww(n,e);let t=new DataView(n.cbuf.buffer,n.cpos,e);return n.cpos+=e,t},Xw=(n,e)=>kc(n,4).setFloat32(0,e,!1),Qw=(n,e)=>kc(n,8).setFloat64(0,e,!1),Zw=(n,e)=>kc(n,8).setBigInt64(0,e,!1);var Pd=new DataView(new ArrayBuffer(4)),e1=n=>(Pd.setFloat32(0,n),Pd.getFloat32(0)===n),gr=(n,e)=>{switch(typeof e){case"string":ne(n,119),it(n,e);break;case"number":Ud(e)&&Mn(e)<=2147483647?(ne(n,125),wi(n,e)):e1(e)?(ne(n,124),Xw(n,e)):(ne(n,123),Qw(n,e));break;case"bigint":ne(n,122),Zw(n,e);break;case"object":if(e===null)ne(n,126);else if(Tt(e)){ne(n,117),x(n,e.length);for(let t=0;t<e.length;t++)gr(n,e[t])}else if(e instanceof Uint8Array)ne(n,116),U(n,e);else{ne(n,118);let t=Object.keys(e);x(n,t.length);for(let r=0;r<t.length;r++){let i=t[r];it(n,i),gr(n,e[i])}}break;case"boolean":ne(n,e?120:121);break;default:ne(n,127)}},yi=class extends An{constructor(e){super(),this.w=e,this.s=null,this.count=0}write(e){this.s===e?this.count++:(this.count>0&&x(this,this.count-1),this.count=1,this.w(this,e),this.s=e)}};var Ld=n=>{n.count>0&&(wi(n.encoder,n.count===1?n.s:-n.s),n.count>1&&x(n.encoder,n.count-2))},Tn=class{constructor(){this.encoder=new An,this.s=0,this.count=0}write(e){this.s===e?this.count++:(Ld(this),this.count=1,this.s=e)}toUint8Array(){return Ld(this),I(this.encoder)}};var zd=n=>{if(n.count>0){let e=n.diff*2+(n.count===1?0:1);wi(n.encoder,e),n.count>1&&x(n.encoder,n.count-2)}},yr=class{constructor(){this.encoder=new An,this.s=0,this.count=0,this.diff=0}write(e){this.diff===e-this.s?(this.s=e,this.count++):(zd(this),this.count=1,this.diff=e-this.s,this.s=e)}toUint8Array(){return zd(this),I(this.encoder)}},Qs=class{constructor(){this.sarr=[],this.s="",this.lensE=new Tn}write(e){this.s+=e,this.s.length>19&&(this.sarr.push(this.s),this.s=""),this.lensE.write(e.length)}toUint8Array(){let e=new An;return this.sarr.push(this.s),this.s="",it(e,this.sarr.join("")),br(e,this.lensE.toUint8Array()),I(e)}};var ve=n=>new Error(n),ke=()=>{throw ve("Method unimplemented")},F=()=>{throw ve("Unexpected case")};var $d=ve("Unexpected end of array"),qd=ve("Integer out of Range"),xr=class{constructor(e){this.arr=e,this.pos=0}},q=n=>new xr(n),Cc=n=>n.pos!==n.arr.length;var t1=(n,e)=>{let t=new Uint8Array(n.arr.buffer,n.pos+n.arr.byteOffset,e);return n.pos+=e,t},G=n=>t1(n,C(n));var En=n=>n.arr[n.pos++];var C=n=>{let e=0,t=1,r=n.arr.length;for(;n.pos<r;){let i=n.arr[n.pos++];if(e=e+(i&127)*t,t*=128,i<128)return e;if(e>fr)throw qd}throw $d},Si=n=>{let e=n.arr[n.pos++],t=e&63,r=64,i=(e&64)>0?-1:1;if(!(e&128))return i*t;let s=n.arr.length;for(;n.pos<s;){if(e=n.arr[n.pos++],t=t+(e&127)*r,r*=128,e<128)return i*t;if(t>fr)throw qd}throw $d};var n1=n=>{let e=C(n);if(e===0)return"";{let t=String.fromCodePoint(En(n));if(--e<100)for(;e--;)t+=String.fromCodePoint(En(n));else for(;e>0;){let r=e<1e4?e:1e4,i=n.arr.subarray(n.pos,n.pos+r);n.pos+=r,t+=String.fromCodePoint.apply(null,i),e-=r}return decodeURIComponent(escape(t))}},r1=n=>dr.decode(G(n)),He=dr?r1:n1;var Mc=(n,e)=>{let t=new DataView(n.arr.buffer,n.arr.byteOffset+n.pos,e);return n.pos+=e,t},i1=n=>Mc(n,4).getFloat32(0,!1),s1=n=>Mc(n,8).getFloat64(0,!1),o1=n=>Mc(n,8).getBigInt64(0,!1);var l1=[n=>{},n=>null,Si,i1,s1,o1,n=>!1,n=>!0,He,n=>{let e=C(n),t={};for(let r=0;r<e;r++){let i=He(n);t[i]=Sr(n)}return t},n=>{let e=C(n),t=[];for(let r=0;r<e;r++)t.push(Sr(n));return t},G],Sr=n=>l1[127-En(n)](n),xi=class extends xr{constructor(e,t){super(e),this.reader=t,this.s=null,this.count=0}read(){return this.count===0&&(this.s=this.reader(this),Cc(this)?this.count=C(this)+1:this.count=-1),this.count--,this.s}};var Dn=class extends xr{constructor(e){super(e),this.s=0,this.count=0}read(){if(this.count===0){this.s=Si(this);let e=Gs(this.s);this.count=1,e&&(this.s=-this.s,this.count=C(this)+2)}return this.count--,this.s}};var kr=class extends xr{constructor(e){super(e),this.s=0,this.count=0,this.diff=0}read(){if(this.count===0){let e=Si(this),t=e&1;this.diff=Y(e/2),this.count=1,t&&(this.count=C(this)+2)}return this.s+=this.diff,this.count--,this.s}},to=class{constructor(e){this.decoder=new Dn(e),this.str=He(this.decoder),this.spos=0}read(){let e=this.spos+this.decoder.read(),t=this.str.slice(this.spos,e);return this.spos=e,t}};var Wk=crypto.subtle,Hd=crypto.getRandomValues.bind(crypto);var c1=Math.random,Ac=()=>Hd(new Uint32Array(1))[0];var Jd=n=>n[Y(c1()*n.length)],a1="10000000-1000-4000-8000"+-1e11,jd=()=>a1.replace(/[018]/g,n=>(n^Ac()&15>>n/4).toString(16));var _e=Date.now;var Tc=n=>new Promise(n);var Gk=Promise.all.bind(Promise);var Ec=n=>n===void 0?null:n;var Dc=class{constructor(){this.map=new Map}setItem(e,t){this.map.set(e,t)}getItem(e){return this.map.get(e)}},Kd=new Dc,Oc=!0;try{typeof localStorage<"u"&&localStorage&&(Kd=localStorage,Oc=!1)}catch{}var ro=Kd,Yd=n=>Oc||addEventListener("storage",n),Gd=n=>Oc||removeEventListener("storage",n);var On=Symbol("Equality"),io=(n,e)=>n===e||!!n?.[On]?.(e)||!1;var Qd=n=>typeof n=="object",Zd=Object.assign,Ic=Object.keys;var eu=(n,e)=>{for(let t in n)e(n[t],t)},tu=(n,e)=>{let t=[];for(let r in n)t.push(e(n[r],r));return t};var Ci=n=>Ic(n).length;var nu=n=>{for(let e in n)return!1;return!0},Cr=(n,e)=>{for(let t in n)if(!e(n[t],t))return!1;return!0},Mi=(n,e)=>Object.prototype.hasOwnProperty.call(n,e),Rc=(n,e)=>n===e||Ci(n)===Ci(e)&&Cr(n,(t,r)=>(t!==void 0||Mi(e,r))&&io(e[r],t)),d1=Object.freeze,vc=n=>{for(let e in n){let t=n[e];(typeof t=="object"||typeof t=="function")&&vc(n[e])}return d1(n)};var Ti=(n,e,t=0)=>{try{for(;t<n.length;t++)n[t](...e)}finally{t<n.length&&Ti(n,e,t+1)}};var _c=n=>n;var Kt=(n,e)=>{if(n===e)return!0;if(n==null||e==null||n.constructor!==e.constructor&&(n.constructor||Object)!==(e.constructor||Object))return!1;if(n[On]!=null)return n[On](e);switch(n.constructor){case ArrayBuffer:n=new Uint8Array(n),e=new Uint8Array(e);case Uint8Array:{if(n.byteLength!==e.byteLength)return!1;for(let t=0;t<n.length;t++)if(n[t]!==e[t])return!1;break}case Set:{if(n.size!==e.size)return!1;for(let t of n)if(!e.has(t))return!1;break}case Map:{if(n.size!==e.size)return!1;for(let t of n.keys())if(!e.has(t)||!Kt(n.get(t),e.get(t)))return!1;break}case void 0:case Object:if(Ci(n)!==Ci(e))return!1;for(let t in n)if(!Mi(n,t)||!Kt(n[t],e[t]))return!1;break;case Array:if(n.length!==e.length)return!1;for(let t=0;t<n.length;t++)if(!Kt(n[t],e[t]))return!1;break;default:return!1}return!0},ru=(n,e)=>e.includes(n);var Et=typeof process<"u"&&process.release&&/node|io\.js/.test(process.release.name)&&Object.prototype.toString.call(typeof process<"u"?process:0)==="[object process]",Mr=typeof window<"u"&&typeof document<"u"&&!Et,Xk=typeof navigator<"u"?/Mac/.test(navigator.platform):!1,st,u1=[],p1=()=>{if(st===void 0)if(Et){st=_();let n=process.argv,e=null;for(let t=0;t<n.length;t++){let r=n[t];r[0]==="-"?(e!==null&&st.set(e,""),e=r):e!==null?(st.set(e,r),e=null):u1.push(r)}e!==null&&st.set(e,"")}else typeof location=="object"?(st=_(),(location.search||"?").slice(1).split("&").forEach(n=>{if(n.length!==0){let[e,t]=n.split("=");st.set(`--${xc(e,"-")}`,t),st.set(`-${xc(e,"-")}`,t)}})):st=_();return st},Uc=n=>p1().has(n);var Ei=n=>Et?Ec(process.env[n.toUpperCase().replaceAll("-","_")]):Ec(ro.getItem(n));var iu=n=>Uc("--"+n)||Ei(n)!==null,su=iu("production"),m1=Et&&ru(process.env.FORCE_COLOR,["true","1","2"]),ou=m1||!Uc("--no-colors")&&!iu("no-color")&&(!Et||process.stdout.isTTY)&&(!Et||Uc("--color")||Ei("COLORTERM")!==null||(Ei("TERM")||"").includes("color"));var lu=n=>new Uint8Array(n),g1=(n,e,t)=>new Uint8Array(n,e,t),cu=n=>new Uint8Array(n),y1=n=>{let e="";for(let t=0;t<n.byteLength;t++)e+=gi(n[t]);return btoa(e)},w1=n=>Buffer.from(n.buffer,n.byteOffset,n.byteLength).toString("base64"),b1=n=>{let e=atob(n),t=lu(e.length);for(let r=0;r<e.length;r++)t[r]=e.charCodeAt(r);return t},x1=n=>{let e=Buffer.from(n,"base64");return g1(e.buffer,e.byteOffset,e.byteLength)},au=Mr?y1:w1,hu=Mr?b1:x1;var fu=n=>{let e=lu(n.byteLength);return e.set(n),e};var Vc=class{constructor(e,t){this.left=e,this.right=t}},ot=(n,e)=>new Vc(n,e);var Bc=n=>n.next()>=.5,oo=(n,e,t)=>Y(n.next()*(t+1-e)+e);var Pc=(n,e,t)=>Y(n.next()*(t+1-e)+e);var Lc=(n,e,t)=>Pc(n,e,t);var k1=n=>gi(Lc(n,97,122)),uu=(n,e=0,t=20)=>{let r=Lc(n,e,t),i="";for(let s=0;s<r;s++)i+=k1(n);return i};var lo=(n,e)=>e[Lc(n,0,e.length-1)];var M1=Symbol("0schema"),zc=class{constructor(){this._rerrs=[]}extend(e,t,r,i=null){this._rerrs.push({path:e,expected:t,has:r,message:i})}toString(){let e=[];for(let t=this._rerrs.length-1;t>0;t--){let r=this._rerrs[t];e.push(Xs(" ",(this._rerrs.length-t)*2)+`${r.path!=null?`[${r.path}] `:""}${r.has} doesn't match ${r.expected}. ${r.message}`)}return e.join(`
+`)}},Fc=(n,e)=>n===e?!0:n==null||e==null||n.constructor!==e.constructor?!1:n[On]?io(n,e):Tt(n)?Ys(n,t=>pi(e,r=>Fc(t,r))):Qd(n)?Cr(n,(t,r)=>Fc(t,e[r])):!1,le=class{static _dilutes=!1;extends(e){let[t,r]=[this.shape,e.shape];return this.constructor._dilutes&&([r,t]=[t,r]),Fc(t,r)}equals(e){return this.constructor===e.constructor&&Kt(this.shape,e.shape)}[M1](){return!0}[On](e){return this.equals(e)}validate(e){return this.check(e)}check(e,t){ke()}get nullable(){return Nr(this,xo)}get optional(){return new co(this)}cast(e){return pu(e,this),e}expect(e){return pu(e,this),e}},Di=class extends le{constructor(e,t){super(),this.shape=e,this._c=t}check(e,t=void 0){let r=e?.constructor===this.shape&&(this._c==null||this._c(e));return!r&&t?.extend(null,this.shape.name,e?.constructor.name,e?.constructor!==this.shape?"Constructor match failed":"Check failed"),r}},K=(n,e=null)=>new Di(n,e),Zk=K(Di),Oi=class extends le{constructor(e){super(),this.shape=e}check(e,t){let r=this.shape(e);return!r&&t?.extend(null,"custom prop",e?.constructor.name,"failed to check custom prop"),r}},X=n=>new Oi(n),eC=K(Oi),Dr=class extends le{constructor(e){super(),this.shape=e}check(e,t){let r=this.shape.some(i=>i===e);return!r&&t?.extend(null,this.shape.join(" | "),e.toString()),r}},wo=(...n)=>new Dr(n),mu=K(Dr),A1=RegExp.escape||(n=>n.replace(/[().|&,$^[\]]/g,e=>"\\"+e)),gu=n=>{if(Or.check(n))return[A1(n)];if(mu.check(n))return n.shape.map(e=>e+"");if(Su.check(n))return["[+-]?\\d+.?\\d*"];if(ku.check(n))return[".*"];if(go.check(n))return n.shape.map(gu).flat(1);F()},$c=class extends le{constructor(e){super(),this.shape=e,this._r=new RegExp("^"+e.map(gu).map(t=>`(${t.join("|")})`).join("")+"$")}check(e,t){let r=this._r.exec(e)!=null;return!r&&t?.extend(null,this._r.toString(),e.toString(),"String doesn't match string template."),r}};var tC=K($c),T1=Symbol("optional"),co=class extends le{constructor(e){super(),this.shape=e}check(e,t){let r=e===void 0||this.shape.check(e);return!r&&t?.extend(null,"undefined (optional)","()"),r}get[T1](){return!0}},E1=K(co),ao=class extends le{check(e,t){return t?.extend(null,"never",typeof e),!1}},nC=new ao,rC=K(ao),ho=class n extends le{constructor(e,t=!1){super(),this.shape=e,this._isPartial=t}static _dilutes=!0;get partial(){return new n(this.shape,!0)}check(e,t){return e==null?(t?.extend(null,"object","null"),!1):Cr(this.shape,(r,i)=>{let s=this._isPartial&&!Mi(e,i)||r.check(e[i],t);return!s&&t?.extend(i.toString(),r.toString(),typeof e[i],"Object property does not match"),s})}},D1=n=>new ho(n),O1=K(ho),N1=X(n=>n!=null&&(n.constructor===Object||n.constructor==null)),fo=class extends le{constructor(e,t){super(),this.shape={keys:e,values:t}}check(e,t){return e!=null&&Cr(e,(r,i)=>{let s=this.shape.keys.check(i,t);return!s&&t?.extend(i+"","Record",typeof e,s?"Key doesn't match schema":"Value doesn't match value"),s&&this.shape.values.check(r,t)})}},yu=(n,e)=>new fo(n,e),I1=K(fo),uo=class extends le{constructor(e){super(),this.shape=e}check(e,t){return e!=null&&Cr(this.shape,(r,i)=>{let s=r.check(e[i],t);return!s&&t?.extend(i.toString(),"Tuple",typeof r),s})}},R1=(...n)=>new uo(n),iC=K(uo),po=class extends le{constructor(e){super(),this.shape=e.length===1?e[0]:new Ni(e)}check(e,t){let r=Tt(e)&&Ys(e,i=>this.shape.check(i));return!r&&t?.extend(null,"Array",""),r}},wu=(...n)=>new po(n),v1=K(po),_1=X(n=>Tt(n)),mo=class extends le{constructor(e,t){super(),this.shape=e,this._c=t}check(e,t){let r=e instanceof this.shape&&(this._c==null||this._c(e));return!r&&t?.extend(null,this.shape.name,e?.constructor.name),r}},U1=(n,e=null)=>new mo(n,e),sC=K(mo),V1=U1(le),qc=class extends le{constructor(e){super(),this.len=e.length-1,this.args=R1(...e.slice(-1)),this.res=e[this.len]}check(e,t){let r=e.constructor===Function&&e.length<=this.len;return!r&&t?.extend(null,"function",typeof e),r}};var B1=K(qc),P1=X(n=>typeof n=="function"),Hc=class extends le{constructor(e){super(),this.shape=e}check(e,t){let r=Ys(this.shape,i=>i.check(e,t));return!r&&t?.extend(null,"Intersectinon",typeof e),r}};var oC=K(Hc,n=>n.shape.length>0),Ni=class extends le{static _dilutes=!0;constructor(e){super(),this.shape=e}check(e,t){let r=pi(this.shape,i=>i.check(e,t));return t?.extend(null,"Union",typeof e),r}},Nr=(...n)=>n.findIndex(e=>go.check(e))>=0?Nr(...n.map(e=>Ii(e)).map(e=>go.check(e)?e.shape:[e]).flat(1)):n.length===1?n[0]:new Ni(n),go=K(Ni),bu=()=>!0,yo=X(bu),L1=K(Oi,n=>n.shape===bu),jc=X(n=>typeof n=="bigint"),z1=X(n=>n===jc),xu=X(n=>typeof n=="symbol"),lC=X(n=>n===xu),Er=X(n=>typeof n=="number"),Su=X(n=>n===Er),Or=X(n=>typeof n=="string"),ku=X(n=>n===Or),bo=X(n=>typeof n=="boolean"),F1=X(n=>n===bo),Cu=wo(void 0),cC=K(Dr,n=>n.shape.length===1&&n.shape[0]===void 0),aC=wo(void 0);var xo=wo(null),$1=K(Dr,n=>n.shape.length===1&&n.shape[0]===null),hC=K(Uint8Array),fC=K(Di,n=>n.shape===Uint8Array),q1=Nr(Er,Or,xo,Cu,jc,bo,xu),dC=(()=>{let n=wu(yo),e=yu(Or,yo),t=Nr(Er,Or,xo,bo,n,e);return n.shape=t,e.shape.values=t,t})(),Ii=n=>{if(V1.check(n))return n;if(N1.check(n)){let e={};for(let t in n)e[t]=Ii(n[t]);return D1(e)}else{if(_1.check(n))return Nr(...n.map(Ii));if(q1.check(n))return wo(n);if(P1.check(n))return K(n)}F()},pu=su?()=>{}:(n,e)=>{let t=new zc;if(!e.check(n,t))throw ve(`Expected value to be of type ${e.constructor.name}.
+${t.toString()}`)},Jc=class{constructor(e){this.patterns=[],this.$state=e}if(e,t){return this.patterns.push({if:Ii(e),h:t}),this}else(e){return this.if(yo,e)}done(){return(e,t)=>{for(let r=0;r<this.patterns.length;r++){let i=this.patterns[r];if(i.if.check(e))return i.h(e,t)}throw ve("Unhandled pattern")}}},H1=n=>new Jc(n),Mu=H1(yo).if(Su,(n,e)=>oo(e,wc,fr)).if(ku,(n,e)=>uu(e)).if(F1,(n,e)=>Bc(e)).if(z1,(n,e)=>BigInt(oo(e,wc,fr))).if(go,(n,e)=>Tr(e,lo(e,n.shape))).if(O1,(n,e)=>{let t={};for(let r in n.shape){let i=n.shape[r];if(E1.check(i)){if(Bc(e))continue;i=i.shape}t[r]=Mu(i,e)}return t}).if(v1,(n,e)=>{let t=[],r=Pc(e,0,42);for(let i=0;i<r;i++)t.push(Tr(e,n.shape));return t}).if(mu,(n,e)=>lo(e,n.shape)).if($1,(n,e)=>null).if(B1,(n,e)=>{let t=Tr(e,n.res);return()=>t}).if(L1,(n,e)=>Tr(e,lo(e,[Er,Or,xo,Cu,jc,bo,wu(Er),yu(Nr("a","b","c"),Er)]))).if(I1,(n,e)=>{let t={},r=oo(e,0,3);for(let i=0;i<r;i++){let s=Tr(e,n.shape.keys),o=Tr(e,n.shape.values);t[s]=o}return t}).done(),Tr=(n,e)=>Mu(Ii(e),n);var Dt=typeof document<"u"?document:{};var uC=X(n=>n.nodeType===Y1);var pC=typeof DOMParser<"u"?new DOMParser:null;var mC=X(n=>n.nodeType===j1);var gC=X(n=>n.nodeType===W1);var Au=n=>Nd(n,(e,t)=>`${t}:${e};`).join("");var j1=Dt.ELEMENT_NODE,W1=Dt.TEXT_NODE,yC=Dt.CDATA_SECTION_NODE,wC=Dt.COMMENT_NODE,K1=Dt.DOCUMENT_NODE,bC=Dt.DOCUMENT_TYPE_NODE,Y1=Dt.DOCUMENT_FRAGMENT_NODE,xC=X(n=>n.nodeType===K1);var So=n=>class{constructor(t){this._=t}destroy(){n(this._)}},G1=So(clearTimeout),Ri=(n,e)=>new G1(setTimeout(e,n)),kC=So(clearInterval);var CC=So(n=>typeof requestAnimationFrame<"u"&&cancelAnimationFrame(n));var MC=So(n=>typeof cancelIdleCallback<"u"&&cancelIdleCallback(n));var lt=Symbol;var vi=lt(),_i=lt(),Wc=lt(),Kc=lt(),Yc=lt(),Ui=lt(),Gc=lt(),Ir=lt(),Xc=lt(),Du=n=>{n.length===1&&n[0]?.constructor===Function&&(n=n[0]());let e=[],t=[],r=0;for(;r<n.length;r++){let i=n[r];if(i===void 0)break;if(i.constructor===String||i.constructor===Number)e.push(i);else if(i.constructor===Object)break}for(r>0&&t.push(e.join(""));r<n.length;r++){let i=n[r];i instanceof Symbol||t.push(i)}return t};var AC=_e();var Z1={[vi]:ot("font-weight","bold"),[_i]:ot("font-weight","normal"),[Wc]:ot("color","blue"),[Yc]:ot("color","green"),[Kc]:ot("color","grey"),[Ui]:ot("color","red"),[Gc]:ot("color","purple"),[Ir]:ot("color","orange"),[Xc]:ot("color","black")},eb=n=>{n.length===1&&n[0]?.constructor===Function&&(n=n[0]());let e=[],t=[],r=_(),i=[],s=0;for(;s<n.length;s++){let o=n[s],l=Z1[o];if(l!==void 0)r.set(l.left,l.right);else{if(o===void 0)break;if(o.constructor===String||o.constructor===Number){let c=Au(r);s>0||c.length>0?(e.push("%c"+o),t.push(c)):e.push(o)}else break}}for(s>0&&(i=t,i.unshift(e.join("")));s<n.length;s++){let o=n[s];o instanceof Symbol||i.push(o)}return i},Ou=ou?eb:Du,ko=(...n)=>{console.log(...Ou(n)),Nu.forEach(e=>e.print(n))},Qc=(...n)=>{console.warn(...Ou(n)),n.unshift(Ir),Nu.forEach(e=>e.print(n))};var Nu=Ee();var Iu=n=>({[Symbol.iterator](){return this},next:n}),Ru=(n,e)=>Iu(()=>{let t;do t=n.next();while(!t.done&&!e(t.value));return t}),Co=(n,e)=>Iu(()=>{let{done:t,value:r}=n.next();return{done:t,value:t?void 0:e(r)}});var ea=class extends ar{constructor(e,t){super(),this.doc=e,this.awareness=t}},Bi=class{constructor(e,t){this.clock=e,this.len=t}},Qt=class{constructor(){this.clients=new Map}},ct=(n,e,t)=>e.clients.forEach((r,i)=>{let s=n.doc.store.clients.get(i);if(s!=null){let o=s[s.length-1],l=o.id.clock+o.length;for(let c=0,a=r[c];c<r.length&&a.clock<l;a=r[++c])ip(n,s,a.clock,a.len,t)}}),sb=(n,e)=>{let t=0,r=n.length-1;for(;t<=r;){let i=Y((t+r)/2),s=n[i],o=s.clock;if(o<=e){if(e<o+s.len)return i;t=i+1}else r=i-1}return null},Rt=(n,e)=>{let t=n.clients.get(e.client);return t!==void 0&&sb(t,e.clock)!==null},ha=n=>{n.clients.forEach(e=>{e.sort((i,s)=>i.clock-s.clock);let t,r;for(t=1,r=1;t<e.length;t++){let i=e[r-1],s=e[t];i.clock+i.len>=s.clock?i.len=$e(i.len,s.clock+s.len-i.clock):(r<t&&(e[r]=s),r++)}e.length=r})},Rn=n=>{let e=new Qt;for(let t=0;t<n.length;t++)n[t].clients.forEach((r,i)=>{if(!e.clients.has(i)){let s=r.slice();for(let o=t+1;o<n.length;o++)Rd(s,n[o].clients.get(i)||[]);e.clients.set(i,s)}});return ha(e),e},Pi=(n,e,t,r)=>{W(n.clients,e,()=>[]).push(new Bi(t,r))},Ur=()=>new Qt,fa=n=>{let e=Ur();return n.clients.forEach((t,r)=>{let i=[];for(let s=0;s<t.length;s++){let o=t[s];if(o.deleted){let l=o.id.clock,c=o.length;if(s+1<t.length)for(let a=t[s+1];s+1<t.length&&a.deleted;a=t[++s+1])c+=a.length;i.push(new Bi(l,c))}}i.length>0&&e.clients.set(r,i)}),e},at=(n,e)=>{x(n.restEncoder,e.clients.size),Xe(e.clients.entries()).sort((t,r)=>r[0]-t[0]).forEach(([t,r])=>{n.resetDsCurVal(),x(n.restEncoder,t);let i=r.length;x(n.restEncoder,i);for(let s=0;s<i;s++){let o=r[s];n.writeDsClock(o.clock),n.writeDsLen(o.len)}})},Nt=n=>{let e=new Qt,t=C(n.restDecoder);for(let r=0;r<t;r++){n.resetDsCurVal();let i=C(n.restDecoder),s=C(n.restDecoder);if(s>0){let o=W(e.clients,i,()=>[]);for(let l=0;l<s;l++)o.push(new Bi(n.readDsClock(),n.readDsLen()))}}return e},Uu=(n,e,t)=>{let r=new Qt,i=C(n.restDecoder);for(let s=0;s<i;s++){n.resetDsCurVal();let o=C(n.restDecoder),l=C(n.restDecoder),c=t.clients.get(o)||[],a=P(t,o);for(let h=0;h<l;h++){let f=n.readDsClock(),d=f+n.readDsLen();if(f<a){a<d&&Pi(r,o,a,d-a);let u=je(c,f),p=c[u];for(!p.deleted&&p.id.clock<f&&(c.splice(u+1,0,Lo(e,p,f-p.id.clock)),u++);u<c.length&&(p=c[u++],p.id.clock<d);)p.deleted||(d<p.id.clock+p.length&&c.splice(u,0,Lo(e,p,d-p.id.clock)),p.delete(e))}else Pi(r,o,f,d-f)}}if(r.clients.size>0){let s=new Ue;return x(s.restEncoder,0),at(s,r),s.toUint8Array()}return null},Gu=(n,e)=>{if(n.clients.size!==e.clients.size)return!1;for(let[t,r]of n.clients.entries()){let i=e.clients.get(t);if(i===void 0||r.length!==i.length)return!1;for(let s=0;s<r.length;s++){let o=r[s],l=i[s];if(o.clock!==l.clock||o.len!==l.len)return!1}}return!0},Xu=Ac,Je=class n extends ar{constructor({guid:e=jd(),collectionid:t=null,gc:r=!0,gcFilter:i=()=>!0,meta:s=null,autoLoad:o=!1,shouldLoad:l=!0}={}){super(),this.gc=r,this.gcFilter=i,this.clientID=Xu(),this.guid=e,this.collectionid=t,this.share=new Map,this.store=new Io,this._transaction=null,this._transactionCleanups=[],this.subdocs=new Set,this._item=null,this.shouldLoad=l,this.autoLoad=o,this.meta=s,this.isLoaded=!1,this.isSynced=!1,this.isDestroyed=!1,this.whenLoaded=Tc(a=>{this.on("load",()=>{this.isLoaded=!0,a(this)})});let c=()=>Tc(a=>{let h=f=>{(f===void 0||f===!0)&&(this.off("sync",h),a())};this.on("sync",h)});this.on("sync",a=>{a===!1&&this.isSynced&&(this.whenSynced=c()),this.isSynced=a===void 0||a===!0,this.isSynced&&!this.isLoaded&&this.emit("load",[this])}),this.whenSynced=c()}load(){let e=this._item;e!==null&&!this.shouldLoad&&R(e.parent.doc,t=>{t.subdocsLoaded.add(this)},null,!0),this.shouldLoad=!0}getSubdocs(){return this.subdocs}getSubdocGuids(){return new Set(Xe(this.subdocs).map(e=>e.guid))}transact(e,t=null){return R(this,e,t)}get(e,t=H){let r=W(this.share,e,()=>{let s=new t;return s._integrate(this,null),s}),i=r.constructor;if(t!==H&&i!==t)if(i===H){let s=new t;s._map=r._map,r._map.forEach(o=>{for(;o!==null;o=o.left)o.parent=s}),s._start=r._start;for(let o=s._start;o!==null;o=o.right)o.parent=s;return s._length=r._length,this.share.set(e,s),s._integrate(this,null),s}else throw new Error(`Type with the name ${e} has already been defined with a different constructor`);return r}getArray(e=""){return this.get(e,Bn)}getText(e=""){return this.get(e,ut)}getMap(e=""){return this.get(e,Pn)}getXmlElement(e=""){return this.get(e,re)}getXmlFragment(e=""){return this.get(e,pt)}toJSON(){let e={};return this.share.forEach((t,r)=>{e[r]=t.toJSON()}),e}destroy(){this.isDestroyed=!0,Xe(this.subdocs).forEach(t=>t.destroy());let e=this._item;if(e!==null){this._item=null;let t=e.content;t.doc=new n({guid:this.guid,...t.opts,shouldLoad:!1}),t.doc._item=e,R(e.parent.doc,r=>{let i=t.doc;e.deleted||r.subdocsAdded.add(i),r.subdocsRemoved.add(this)},null,!0)}this.emit("destroyed",[!0]),this.emit("destroy",[this]),super.destroy()}},vn=class{constructor(e){this.restDecoder=e}resetDsCurVal(){}readDsClock(){return C(this.restDecoder)}readDsLen(){return C(this.restDecoder)}},De=class extends vn{readLeftID(){return M(C(this.restDecoder),C(this.restDecoder))}readRightID(){return M(C(this.restDecoder),C(this.restDecoder))}readClient(){return C(this.restDecoder)}readInfo(){return En(this.restDecoder)}readString(){return He(this.restDecoder)}readParentInfo(){return C(this.restDecoder)===1}readTypeRef(){return C(this.restDecoder)}readLen(){return C(this.restDecoder)}readAny(){return Sr(this.restDecoder)}readBuf(){return fu(G(this.restDecoder))}readJSON(){return JSON.parse(He(this.restDecoder))}readKey(){return He(this.restDecoder)}},Oo=class{constructor(e){this.dsCurrVal=0,this.restDecoder=e}resetDsCurVal(){this.dsCurrVal=0}readDsClock(){return this.dsCurrVal+=C(this.restDecoder),this.dsCurrVal}readDsLen(){let e=C(this.restDecoder)+1;return this.dsCurrVal+=e,e}},Ce=class extends Oo{constructor(e){super(e),this.keys=[],C(e),this.keyClockDecoder=new kr(G(e)),this.clientDecoder=new Dn(G(e)),this.leftClockDecoder=new kr(G(e)),this.rightClockDecoder=new kr(G(e)),this.infoDecoder=new xi(G(e),En),this.stringDecoder=new to(G(e)),this.parentInfoDecoder=new xi(G(e),En),this.typeRefDecoder=new Dn(G(e)),this.lenDecoder=new Dn(G(e))}readLeftID(){return new Ot(this.clientDecoder.read(),this.leftClockDecoder.read())}readRightID(){return new Ot(this.clientDecoder.read(),this.rightClockDecoder.read())}readClient(){return this.clientDecoder.read()}readInfo(){return this.infoDecoder.read()}readString(){return this.stringDecoder.read()}readParentInfo(){return this.parentInfoDecoder.read()===1}readTypeRef(){return this.typeRefDecoder.read()}readLen(){return this.lenDecoder.read()}readAny(){return Sr(this.restDecoder)}readBuf(){return G(this.restDecoder)}readJSON(){return Sr(this.restDecoder)}readKey(){let e=this.keyClockDecoder.read();if(e<this.keys.length)return this.keys[e];{let t=this.stringDecoder.read();return this.keys.push(t),t}}},Zt=class{constructor(){this.restEncoder=$()}toUint8Array(){return I(this.restEncoder)}resetDsCurVal(){}writeDsClock(e){x(this.restEncoder,e)}writeDsLen(e){x(this.restEncoder,e)}},ht=class extends Zt{writeLeftID(e){x(this.restEncoder,e.client),x(this.restEncoder,e.clock)}writeRightID(e){x(this.restEncoder,e.client),x(this.restEncoder,e.clock)}writeClient(e){x(this.restEncoder,e)}writeInfo(e){wr(this.restEncoder,e)}writeString(e){it(this.restEncoder,e)}writeParentInfo(e){x(this.restEncoder,e?1:0)}writeTypeRef(e){x(this.restEncoder,e)}writeLen(e){x(this.restEncoder,e)}writeAny(e){gr(this.restEncoder,e)}writeBuf(e){U(this.restEncoder,e)}writeJSON(e){it(this.restEncoder,JSON.stringify(e))}writeKey(e){it(this.restEncoder,e)}},Rr=class{constructor(){this.restEncoder=$(),this.dsCurrVal=0}toUint8Array(){return I(this.restEncoder)}resetDsCurVal(){this.dsCurrVal=0}writeDsClock(e){let t=e-this.dsCurrVal;this.dsCurrVal=e,x(this.restEncoder,t)}writeDsLen(e){e===0&&F(),x(this.restEncoder,e-1),this.dsCurrVal+=e}},Ue=class extends Rr{constructor(){super(),this.keyMap=new Map,this.keyClock=0,this.keyClockEncoder=new yr,this.clientEncoder=new Tn,this.leftClockEncoder=new yr,this.rightClockEncoder=new yr,this.infoEncoder=new yi(wr),this.stringEncoder=new Qs,this.parentInfoEncoder=new yi(wr),this.typeRefEncoder=new Tn,this.lenEncoder=new Tn}toUint8Array(){let e=$();return x(e,0),U(e,this.keyClockEncoder.toUint8Array()),U(e,this.clientEncoder.toUint8Array()),U(e,this.leftClockEncoder.toUint8Array()),U(e,this.rightClockEncoder.toUint8Array()),U(e,I(this.infoEncoder)),U(e,this.stringEncoder.toUint8Array()),U(e,I(this.parentInfoEncoder)),U(e,this.typeRefEncoder.toUint8Array()),U(e,this.lenEncoder.toUint8Array()),br(e,I(this.restEncoder)),I(e)}writeLeftID(e){this.clientEncoder.write(e.client),this.leftClockEncoder.write(e.clock)}writeRightID(e){this.clientEncoder.write(e.client),this.rightClockEncoder.write(e.clock)}writeClient(e){this.clientEncoder.write(e)}writeInfo(e){this.infoEncoder.write(e)}writeString(e){this.stringEncoder.write(e)}writeParentInfo(e){this.parentInfoEncoder.write(e?1:0)}writeTypeRef(e){this.typeRefEncoder.write(e)}writeLen(e){this.lenEncoder.write(e)}writeAny(e){gr(this.restEncoder,e)}writeBuf(e){U(this.restEncoder,e)}writeJSON(e){gr(this.restEncoder,e)}writeKey(e){let t=this.keyMap.get(e);t===void 0?(this.keyClockEncoder.write(this.keyClock++),this.stringEncoder.write(e)):this.keyClockEncoder.write(t)}},ob=(n,e,t,r)=>{r=$e(r,e[0].id.clock);let i=je(e,r);x(n.restEncoder,e.length-i),n.writeClient(t),x(n.restEncoder,r);let s=e[i];s.write(n,r-s.id.clock);for(let o=i+1;o<e.length;o++)e[o].write(n,0)},da=(n,e,t)=>{let r=new Map;t.forEach((i,s)=>{P(e,s)>i&&r.set(s,i)}),Yi(e).forEach((i,s)=>{t.has(s)||r.set(s,0)}),x(n.restEncoder,r.size),Xe(r.entries()).sort((i,s)=>s[0]-i[0]).forEach(([i,s])=>{ob(n,e.clients.get(i),i,s)})},lb=(n,e)=>{let t=_(),r=C(n.restDecoder);for(let i=0;i<r;i++){let s=C(n.restDecoder),o=new Array(s),l=n.readClient(),c=C(n.restDecoder);t.set(l,{i:0,refs:o});for(let a=0;a<s;a++){let h=n.readInfo();switch(31&h){case 0:{let f=n.readLen();o[a]=new ye(M(l,c),f),c+=f;break}case 10:{let f=C(n.restDecoder);o[a]=new ce(M(l,c),f),c+=f;break}default:{let f=(h&192)===0,d=new O(M(l,c),null,(h&128)===128?n.readLeftID():null,null,(h&64)===64?n.readRightID():null,f?n.readParentInfo()?e.get(n.readString()):n.readLeftID():null,f&&(h&32)===32?n.readString():null,Up(n,h));o[a]=d,c+=d.length}}}}return t},cb=(n,e,t)=>{let r=[],i=Xe(t.keys()).sort((u,p)=>u-p);if(i.length===0)return null;let s=()=>{if(i.length===0)return null;let u=t.get(i[i.length-1]);for(;u.refs.length===u.i;)if(i.pop(),i.length>0)u=t.get(i[i.length-1]);else return null;return u},o=s();if(o===null)return null;let l=new Io,c=new Map,a=(u,p)=>{let m=c.get(u);(m==null||m>p)&&c.set(u,p)},h=o.refs[o.i++],f=new Map,d=()=>{for(let u of r){let p=u.id.client,m=t.get(p);m?(m.i--,l.clients.set(p,m.refs.slice(m.i)),t.delete(p),m.i=0,m.refs=[]):l.clients.set(p,[u]),i=i.filter(g=>g!==p)}r.length=0};for(;;){if(h.constructor!==ce){let p=W(f,h.id.client,()=>P(e,h.id.client))-h.id.clock;if(p<0)r.push(h),a(h.id.client,h.id.clock-1),d();else{let m=h.getMissing(n,e);if(m!==null){r.push(h);let g=t.get(m)||{refs:[],i:0};if(g.refs.length===g.i)a(m,P(e,m)),d();else{h=g.refs[g.i++];continue}}else(p===0||p<h.length)&&(h.integrate(n,p),f.set(h.id.client,h.id.clock+h.length))}}if(r.length>0)h=r.pop();else if(o!==null&&o.i<o.refs.length)h=o.refs[o.i++];else{if(o=s(),o===null)break;h=o.refs[o.i++]}}if(l.clients.size>0){let u=new Ue;return da(u,l,new Map),x(u.restEncoder,0),{missing:c,update:u.toUint8Array()}}return null},ab=(n,e)=>da(n,e.doc.store,e.beforeState),ua=(n,e,t,r=new Ce(n))=>R(e,i=>{i.local=!1;let s=!1,o=i.doc,l=o.store,c=lb(r,o),a=cb(i,l,c),h=l.pendingStructs;if(h){for(let[d,u]of h.missing)if(u<P(l,d)){s=!0;break}if(a){for(let[d,u]of a.missing){let p=h.missing.get(d);(p==null||p>u)&&h.missing.set(d,u)}h.update=zi([h.update,a.update])}}else l.pendingStructs=a;let f=Uu(r,i,l);if(l.pendingDs){let d=new Ce(q(l.pendingDs));C(d.restDecoder);let u=Uu(d,i,l);f&&u?l.pendingDs=zi([f,u]):l.pendingDs=f||u}else l.pendingDs=f;if(s){let d=l.pendingStructs.update;l.pendingStructs=null,Fn(i.doc,d)}},t,!1),hb=(n,e,t)=>ua(n,e,t,new De(n)),Fn=(n,e,t,r=Ce)=>{let i=q(e);ua(i,n,t,new r(i))},pa=(n,e,t)=>Fn(n,e,t,De),fb=(n,e,t=new Map)=>{da(n,e.store,t),at(n,fa(e.store))},Qu=(n,e=new Uint8Array([0]),t=new Ue)=>{let r=ga(e);fb(t,n,r);let i=[t.toUint8Array()];if(n.store.pendingDs&&i.push(n.store.pendingDs),n.store.pendingStructs&&i.push(xa(n.store.pendingStructs.update,e)),i.length>1){if(t.constructor===ht)return hp(i.map((s,o)=>o===0?s:mp(s)));if(t.constructor===Ue)return zi(i)}return i[0]},ma=(n,e)=>Qu(n,e,new ht),Zu=n=>{let e=new Map,t=C(n.restDecoder);for(let r=0;r<t;r++){let i=C(n.restDecoder),s=C(n.restDecoder);e.set(i,s)}return e},ga=n=>Zu(new vn(q(n))),ya=(n,e)=>(x(n.restEncoder,e.size),Xe(e.entries()).sort((t,r)=>r[0]-t[0]).forEach(([t,r])=>{x(n.restEncoder,t),x(n.restEncoder,r)}),n),db=(n,e)=>ya(n,Yi(e.store)),ub=(n,e=new Rr)=>(n instanceof Map?ya(e,n):db(e,n),e.toUint8Array()),wa=n=>ub(n,new Zt),ta=class{constructor(){this.l=[]}},Vu=()=>new ta,Bu=(n,e)=>n.l.push(e),Pu=(n,e)=>{let t=n.l,r=t.length;n.l=t.filter(i=>e!==i),r===n.l.length&&console.error("[yjs] Tried to remove event handler that doesn't exist.")},ep=(n,e,t)=>Ti(n.l,[e,t]),Ot=class{constructor(e,t){this.client=e,this.clock=t}},Nn=(n,e)=>n===e||n!==null&&e!==null&&n.client===e.client&&n.clock===e.clock,M=(n,e)=>new Ot(n,e),Lu=(n,e)=>{x(n,e.client),x(n,e.clock)},zu=n=>M(C(n),C(n)),$n=n=>{for(let[e,t]of n.doc.share.entries())if(t===n)return e;throw F()},_n=(n,e)=>{for(;e!==null;){if(e.parent===n)return!0;e=e.parent._item}return!1},pb=n=>{let e=[],t=n._start;for(;t;)e.push(t),t=t.right;console.log("Children: ",e),console.log("Children content: ",e.filter(r=>!r.deleted).map(r=>r.content))},na=class{constructor(e,t=e.getMap("users")){let r=new Map;this.yusers=t,this.doc=e,this.clients=new Map,this.dss=r;let i=(s,o)=>{let l=s.get("ds"),c=s.get("ids"),a=h=>this.clients.set(h,o);l.observe(h=>{h.changes.added.forEach(f=>{f.content.getContent().forEach(d=>{d instanceof Uint8Array&&this.dss.set(o,Rn([this.dss.get(o)||Ur(),Nt(new vn(q(d)))]))})})}),this.dss.set(o,Rn(l.map(h=>Nt(new vn(q(h)))))),c.observe(h=>h.changes.added.forEach(f=>f.content.getContent().forEach(a))),c.forEach(a)};t.observe(s=>{s.keysChanged.forEach(o=>i(t.get(o),o))}),t.forEach(i)}setUserMapping(e,t,r,{filter:i=()=>!0}={}){let s=this.yusers,o=s.get(r);o||(o=new Pn,o.set("ids",new Bn),o.set("ds",new Bn),s.set(r,o)),o.get("ids").push([t]),s.observe(l=>{setTimeout(()=>{let c=s.get(r);if(c!==o){o=c,this.clients.forEach((f,d)=>{r===f&&o.get("ids").push([d])});let a=new Zt,h=this.dss.get(r);h&&(at(a,h),o.get("ds").push([a.toUint8Array()]))}},0)}),e.on("afterTransaction",l=>{setTimeout(()=>{let c=o.get("ds"),a=l.deleteSet;if(l.local&&a.clients.size>0&&i(l,a)){let h=new Zt;at(h,a),c.push([h.toUint8Array()])}})})}getUserByClientId(e){return this.clients.get(e)||null}getUserByDeletedId(e){for(let[t,r]of this.dss.entries())if(Rt(r,e))return t;return null}},ft=class{constructor(e,t,r,i=0){this.type=e,this.tname=t,this.item=r,this.assoc=i}},mb=n=>{let e={};return n.type&&(e.type=n.type),n.tname&&(e.tname=n.tname),n.item&&(e.item=n.item),n.assoc!=null&&(e.assoc=n.assoc),e},qn=n=>new ft(n.type==null?null:M(n.type.client,n.type.clock),n.tname??null,n.item==null?null:M(n.item.client,n.item.clock),n.assoc==null?0:n.assoc),No=class{constructor(e,t,r=0){this.type=e,this.index=t,this.assoc=r}},gb=(n,e,t=0)=>new No(n,e,t),Mo=(n,e,t)=>{let r=null,i=null;return n._item===null?i=$n(n):r=M(n._item.id.client,n._item.id.clock),new ft(r,i,e,t)},ji=(n,e,t=0)=>{let r=n._start;if(t<0){if(e===0)return Mo(n,null,t);e--}for(;r!==null;){if(!r.deleted&&r.countable){if(r.length>e)return Mo(n,M(r.id.client,r.id.clock+e),t);e-=r.length}if(r.right===null&&t<0)return Mo(n,r.lastId,t);r=r.right}return Mo(n,null,t)},yb=(n,e)=>{let{type:t,tname:r,item:i,assoc:s}=e;if(i!==null)x(n,0),Lu(n,i);else if(r!==null)wr(n,1),it(n,r);else if(t!==null)wr(n,2),Lu(n,t);else throw F();return wi(n,s),n},wb=n=>{let e=$();return yb(e,n),I(e)},bb=n=>{let e=null,t=null,r=null;switch(C(n)){case 0:r=zu(n);break;case 1:t=He(n);break;case 2:e=zu(n)}let i=Cc(n)?Si(n):0;return new ft(e,t,r,i)},xb=n=>bb(q(n)),Sb=(n,e)=>{let t=In(n,e),r=e.clock-t.id.clock;return{item:t,diff:r}},ba=(n,e,t=!0)=>{let r=e.store,i=n.item,s=n.type,o=n.tname,l=n.assoc,c=null,a=0;if(i!==null){if(P(r,i.client)<=i.clock)return null;let h=t?ca(r,i):Sb(r,i),f=h.item;if(!(f instanceof O))return null;if(c=f.parent,c._item===null||!c._item.deleted){a=f.deleted||!f.countable?0:h.diff+(l>=0?0:1);let d=f.left;for(;d!==null;)!d.deleted&&d.countable&&(a+=d.length),d=d.left}}else{if(o!==null)c=e.get(o);else if(s!==null){if(P(r,s.client)<=s.clock)return null;let{item:h}=t?ca(r,s):{item:In(r,s)};if(h instanceof O&&h.content instanceof Oe)c=h.content.type;else return null}else throw F();l>=0?a=c._length:a=0}return gb(c,a,n.assoc)},zo=(n,e)=>n===e||n!==null&&e!==null&&n.tname===e.tname&&Nn(n.item,e.item)&&Nn(n.type,e.type)&&n.assoc===e.assoc,en=class{constructor(e,t){this.ds=e,this.sv=t}},kb=(n,e)=>{let t=n.ds.clients,r=e.ds.clients,i=n.sv,s=e.sv;if(i.size!==s.size||t.size!==r.size)return!1;for(let[o,l]of i.entries())if(s.get(o)!==l)return!1;for(let[o,l]of t.entries()){let c=r.get(o)||[];if(l.length!==c.length)return!1;for(let a=0;a<l.length;a++){let h=l[a],f=c[a];if(h.clock!==f.clock||h.len!==f.len)return!1}}return!0},tp=(n,e=new Rr)=>(at(e,n.ds),ya(e,n.sv),e.toUint8Array()),Cb=n=>tp(n,new Zt),np=(n,e=new Oo(q(n)))=>new en(Nt(e),Zu(e)),Mb=n=>np(n,new vn(q(n))),Wi=(n,e)=>new en(n,e),Ab=Wi(Ur(),new Map),Ki=n=>Wi(fa(n.store),Yi(n.store)),Yt=(n,e)=>e===void 0?!n.deleted:e.sv.has(n.id.client)&&(e.sv.get(n.id.client)||0)>n.id.clock&&!Rt(e.ds,n.id),ra=(n,e)=>{let t=W(n.meta,ra,Ee),r=n.doc.store;t.has(e)||(e.sv.forEach((i,s)=>{i<P(r,s)&&ge(n,M(s,i))}),ct(n,e.ds,i=>{}),t.add(e))},Tb=(n,e,t=new Je)=>{if(n.gc)throw new Error("Garbage-collection must be disabled in `originDoc`!");let{sv:r,ds:i}=e,s=new Ue;return n.transact(o=>{let l=0;r.forEach(c=>{c>0&&l++}),x(s.restEncoder,l);for(let[c,a]of r){if(a===0)continue;a<P(n.store,c)&&ge(o,M(c,a));let h=n.store.clients.get(c)||[],f=je(h,a-1);x(s.restEncoder,f+1),s.writeClient(c),x(s.restEncoder,0);for(let d=0;d<=f;d++)h[d].write(s,0)}at(s,i)}),Fn(t,s.toUint8Array(),"snapshot"),t},Eb=(n,e,t=Ce)=>{let r=new t(q(e)),i=new dt(r,!1);for(let o=i.curr;o!==null;o=i.next())if((n.sv.get(o.id.client)||0)<o.id.clock+o.length)return!1;let s=Rn([n.ds,Nt(r)]);return Gu(n.ds,s)},Db=(n,e)=>Eb(n,e,De),Io=class{constructor(){this.clients=new Map,this.pendingStructs=null,this.pendingDs=null}},Yi=n=>{let e=new Map;return n.clients.forEach((t,r)=>{let i=t[t.length-1];e.set(r,i.id.clock+i.length)}),e},P=(n,e)=>{let t=n.clients.get(e);if(t===void 0)return 0;let r=t[t.length-1];return r.id.clock+r.length},rp=(n,e)=>{let t=n.clients.get(e.id.client);if(t===void 0)t=[],n.clients.set(e.id.client,t);else{let r=t[t.length-1];if(r.id.clock+r.length!==e.id.clock)throw F()}t.push(e)},je=(n,e)=>{let t=0,r=n.length-1,i=n[r],s=i.id.clock;if(s===e)return r;let o=Y(e/(s+i.length-1)*r);for(;t<=r;){if(i=n[o],s=i.id.clock,s<=e){if(e<s+i.length)return o;t=o+1}else r=o-1;o=Y((t+r)/2)}throw F()},Ob=(n,e)=>{let t=n.clients.get(e.client);return t[je(t,e.clock)]},In=Ob,ia=(n,e,t)=>{let r=je(e,t),i=e[r];return i.id.clock<t&&i instanceof O?(e.splice(r+1,0,Lo(n,i,t-i.id.clock)),r+1):r},ge=(n,e)=>{let t=n.doc.store.clients.get(e.client);return t[ia(n,t,e.clock)]},sa=(n,e,t)=>{let r=e.clients.get(t.client),i=je(r,t.clock),s=r[i];return t.clock!==s.id.clock+s.length-1&&s.constructor!==ye&&r.splice(i+1,0,Lo(n,s,t.clock-s.id.clock+1)),s},Nb=(n,e,t)=>{let r=n.clients.get(e.id.client);r[je(r,e.id.clock)]=t},ip=(n,e,t,r,i)=>{if(r===0)return;let s=t+r,o=ia(n,e,t),l;do l=e[o++],s<l.id.clock+l.length&&ia(n,e,s),i(l);while(o<e.length&&e[o].id.clock<s)},Ro=class{constructor(e,t,r){this.doc=e,this.deleteSet=new Qt,this.beforeState=Yi(e.store),this.afterState=new Map,this.changed=new Map,this.changedParentTypes=new Map,this._mergeStructs=[],this.origin=t,this.meta=new Map,this.local=r,this.subdocsAdded=new Set,this.subdocsRemoved=new Set,this.subdocsLoaded=new Set,this._needFormattingCleanup=!1}},Fu=(n,e)=>e.deleteSet.clients.size===0&&!Id(e.afterState,(t,r)=>e.beforeState.get(r)!==t)?!1:(ha(e.deleteSet),ab(n,e),at(n,e.deleteSet),!0),$u=(n,e,t)=>{let r=e._item;(r===null||r.id.clock<(n.beforeState.get(r.id.client)||0)&&!r.deleted)&&W(n.changed,e,Ee).add(t)},Eo=(n,e)=>{let t=n[e],r=n[e-1],i=e;for(;i>0;t=r,r=n[--i-1]){if(r.deleted===t.deleted&&r.constructor===t.constructor&&r.mergeWith(t)){t instanceof O&&t.parentSub!==null&&t.parent._map.get(t.parentSub)===t&&t.parent._map.set(t.parentSub,r);continue}break}let s=e-i;return s&&n.splice(e+1-s,s),s},sp=(n,e,t)=>{for(let[r,i]of n.clients.entries()){let s=e.clients.get(r);for(let o=i.length-1;o>=0;o--){let l=i[o],c=l.clock+l.len;for(let a=je(s,l.clock),h=s[a];a<s.length&&h.id.clock<c;h=s[++a]){let f=s[a];if(l.clock+l.len<=f.id.clock)break;f instanceof O&&f.deleted&&!f.keep&&t(f)&&f.gc(e,!1)}}}},op=(n,e)=>{n.clients.forEach((t,r)=>{let i=e.clients.get(r);for(let s=t.length-1;s>=0;s--){let o=t[s],l=Re(i.length-1,1+je(i,o.clock+o.len-1));for(let c=l,a=i[c];c>0&&a.id.clock>=o.clock;a=i[c])c-=1+Eo(i,c)}})},Ib=(n,e,t)=>{sp(n,e,t),op(n,e)},lp=(n,e)=>{if(e<n.length){let t=n[e],r=t.doc,i=r.store,s=t.deleteSet,o=t._mergeStructs;try{ha(s),t.afterState=Yi(t.doc.store),r.emit("beforeObserverCalls",[t,r]);let l=[];t.changed.forEach((c,a)=>l.push(()=>{(a._item===null||!a._item.deleted)&&a._callObserver(t,c)})),l.push(()=>{t.changedParentTypes.forEach((c,a)=>{a._dEH.l.length>0&&(a._item===null||!a._item.deleted)&&(c=c.filter(h=>h.target._item===null||!h.target._item.deleted),c.forEach(h=>{h.currentTarget=a,h._path=null}),c.sort((h,f)=>h.path.length-f.path.length),l.push(()=>{ep(a._dEH,c,t)}))}),l.push(()=>r.emit("afterTransaction",[t,r])),l.push(()=>{t._needFormattingCleanup&&Qb(t)})}),Ti(l,[])}finally{r.gc&&sp(s,i,r.gcFilter),op(s,i),t.afterState.forEach((h,f)=>{let d=t.beforeState.get(f)||0;if(d!==h){let u=i.clients.get(f),p=$e(je(u,d),1);for(let m=u.length-1;m>=p;)m-=1+Eo(u,m)}});for(let h=o.length-1;h>=0;h--){let{client:f,clock:d}=o[h].id,u=i.clients.get(f),p=je(u,d);p+1<u.length&&Eo(u,p+1)>1||p>0&&Eo(u,p)}if(!t.local&&t.afterState.get(r.clientID)!==t.beforeState.get(r.clientID)&&(ko(Ir,vi,"[yjs] ",_i,Ui,"Changed the client-id because another client seems to be using it."),r.clientID=Xu()),r.emit("afterTransactionCleanup",[t,r]),r._observers.has("update")){let h=new ht;Fu(h,t)&&r.emit("update",[h.toUint8Array(),t.origin,r,t])}if(r._observers.has("updateV2")){let h=new Ue;Fu(h,t)&&r.emit("updateV2",[h.toUint8Array(),t.origin,r,t])}let{subdocsAdded:l,subdocsLoaded:c,subdocsRemoved:a}=t;(l.size>0||a.size>0||c.size>0)&&(l.forEach(h=>{h.clientID=r.clientID,h.collectionid==null&&(h.collectionid=r.collectionid),r.subdocs.add(h)}),a.forEach(h=>r.subdocs.delete(h)),r.emit("subdocs",[{loaded:c,added:l,removed:a},r,t]),a.forEach(h=>h.destroy())),n.length<=e+1?(r._transactionCleanups=[],r.emit("afterAllTransactions",[r,n])):lp(n,e+1)}}},R=(n,e,t=null,r=!0)=>{let i=n._transactionCleanups,s=!1,o=null;n._transaction===null&&(s=!0,n._transaction=new Ro(n,t,r),i.push(n._transaction),i.length===1&&n.emit("beforeAllTransactions",[n]),n.emit("beforeTransaction",[n._transaction,n]));try{o=e(n._transaction)}finally{if(s){let l=n._transaction===i[0];n._transaction=null,l&&lp(i,0)}}return o},oa=class{constructor(e,t){this.insertions=t,this.deletions=e,this.meta=new Map}},qu=(n,e,t)=>{ct(n,t.deletions,r=>{r instanceof O&&e.scope.some(i=>i===n.doc||_n(i,r))&&Aa(r,!1)})},Hu=(n,e,t)=>{let r=null,i=n.doc,s=n.scope;R(i,l=>{for(;e.length>0&&n.currStackItem===null;){let c=i.store,a=e.pop(),h=new Set,f=[],d=!1;ct(l,a.insertions,u=>{if(u instanceof O){if(u.redone!==null){let{item:p,diff:m}=ca(c,u.id);m>0&&(p=ge(l,M(p.id.client,p.id.clock+m))),u=p}!u.deleted&&s.some(p=>p===l.doc||_n(p,u))&&f.push(u)}}),ct(l,a.deletions,u=>{u instanceof O&&s.some(p=>p===l.doc||_n(p,u))&&!Rt(a.insertions,u.id)&&h.add(u)}),h.forEach(u=>{d=_p(l,u,h,a.insertions,n.ignoreRemoteMapChanges,n)!==null||d});for(let u=f.length-1;u>=0;u--){let p=f[u];n.deleteFilter(p)&&(p.delete(l),d=!0)}n.currStackItem=d?a:null}l.changed.forEach((c,a)=>{c.has(null)&&a._searchMarker&&(a._searchMarker.length=0)}),r=l},n);let o=n.currStackItem;if(o!=null){let l=r.changedParentTypes;n.emit("stack-item-popped",[{stackItem:o,type:t,changedParentTypes:l,origin:n},n]),n.currStackItem=null}return o},Un=class extends ar{constructor(e,{captureTimeout:t=500,captureTransaction:r=c=>!0,deleteFilter:i=()=>!0,trackedOrigins:s=new Set([null]),ignoreRemoteMapChanges:o=!1,doc:l=Tt(e)?e[0].doc:e instanceof Je?e:e.doc}={}){super(),this.scope=[],this.doc=l,this.addToScope(e),this.deleteFilter=i,s.add(this),this.trackedOrigins=s,this.captureTransaction=r,this.undoStack=[],this.redoStack=[],this.undoing=!1,this.redoing=!1,this.currStackItem=null,this.lastChange=0,this.ignoreRemoteMapChanges=o,this.captureTimeout=t,this.afterTransactionHandler=c=>{if(!this.captureTransaction(c)||!this.scope.some(g=>c.changedParentTypes.has(g)||g===this.doc)||!this.trackedOrigins.has(c.origin)&&(!c.origin||!this.trackedOrigins.has(c.origin.constructor)))return;let a=this.undoing,h=this.redoing,f=a?this.redoStack:this.undoStack;a?this.stopCapturing():h||this.clear(!1,!0);let d=new Qt;c.afterState.forEach((g,y)=>{let T=c.beforeState.get(y)||0,N=g-T;N>0&&Pi(d,y,T,N)});let u=_e(),p=!1;if(this.lastChange>0&&u-this.lastChange<this.captureTimeout&&f.length>0&&!a&&!h){let g=f[f.length-1];g.deletions=Rn([g.deletions,c.deleteSet]),g.insertions=Rn([g.insertions,d])}else f.push(new oa(c.deleteSet,d)),p=!0;!a&&!h&&(this.lastChange=u),ct(c,c.deleteSet,g=>{g instanceof O&&this.scope.some(y=>y===c.doc||_n(y,g))&&Aa(g,!0)});let m=[{stackItem:f[f.length-1],origin:c.origin,type:a?"redo":"undo",changedParentTypes:c.changedParentTypes},this];p?this.emit("stack-item-added",m):this.emit("stack-item-updated",m)},this.doc.on("afterTransaction",this.afterTransactionHandler),this.doc.on("destroy",()=>{this.destroy()})}addToScope(e){let t=new Set(this.scope);e=Tt(e)?e:[e],e.forEach(r=>{t.has(r)||(t.add(r),(r instanceof H?r.doc!==this.doc:r!==this.doc)&&Qc("[yjs#509] Not same Y.Doc"),this.scope.push(r))})}addTrackedOrigin(e){this.trackedOrigins.add(e)}removeTrackedOrigin(e){this.trackedOrigins.delete(e)}clear(e=!0,t=!0){(e&&this.canUndo()||t&&this.canRedo())&&this.doc.transact(r=>{e&&(this.undoStack.forEach(i=>qu(r,this,i)),this.undoStack=[]),t&&(this.redoStack.forEach(i=>qu(r,this,i)),this.redoStack=[]),this.emit("stack-cleared",[{undoStackCleared:e,redoStackCleared:t}])})}stopCapturing(){this.lastChange=0}undo(){this.undoing=!0;let e;try{e=Hu(this,this.undoStack,"undo")}finally{this.undoing=!1}return e}redo(){this.redoing=!0;let e;try{e=Hu(this,this.redoStack,"redo")}finally{this.redoing=!1}return e}canUndo(){return this.undoStack.length>0}canRedo(){return this.redoStack.length>0}destroy(){this.trackedOrigins.delete(this),this.doc.off("afterTransaction",this.afterTransactionHandler),super.destroy()}};function*Rb(n){let e=C(n.restDecoder);for(let t=0;t<e;t++){let r=C(n.restDecoder),i=n.readClient(),s=C(n.restDecoder);for(let o=0;o<r;o++){let l=n.readInfo();if(l===10){let c=C(n.restDecoder);yield new ce(M(i,s),c),s+=c}else if(31&l){let c=(l&192)===0,a=new O(M(i,s),null,(l&128)===128?n.readLeftID():null,null,(l&64)===64?n.readRightID():null,c?n.readParentInfo()?n.readString():n.readLeftID():null,c&&(l&32)===32?n.readString():null,Up(n,l));yield a,s+=a.length}else{let c=n.readLen();yield new ye(M(i,s),c),s+=c}}}}var dt=class{constructor(e,t){this.gen=Rb(e),this.curr=null,this.done=!1,this.filterSkips=t,this.next()}next(){do this.curr=this.gen.next().value||null;while(this.filterSkips&&this.curr!==null&&this.curr.constructor===ce);return this.curr}},vb=n=>cp(n,De),cp=(n,e=Ce)=>{let t=[],r=new e(q(n)),i=new dt(r,!1);for(let o=i.curr;o!==null;o=i.next())t.push(o);ko("Structs: ",t);let s=Nt(r);ko("DeleteSet: ",s)},_b=n=>ap(n,De),ap=(n,e=Ce)=>{let t=[],r=new e(q(n)),i=new dt(r,!1);for(let s=i.curr;s!==null;s=i.next())t.push(s);return{structs:t,ds:Nt(r)}},Li=class{constructor(e){this.currClient=0,this.startClock=0,this.written=0,this.encoder=e,this.clientStructs=[]}},hp=n=>zi(n,De,ht),fp=(n,e=Rr,t=Ce)=>{let r=new e,i=new dt(new t(q(n)),!1),s=i.curr;if(s!==null){let o=0,l=s.id.client,c=s.id.clock!==0,a=c?0:s.id.clock+s.length;for(;s!==null;s=i.next())l!==s.id.client&&(a!==0&&(o++,x(r.restEncoder,l),x(r.restEncoder,a)),l=s.id.client,a=0,c=s.id.clock!==0),s.constructor===ce&&(c=!0),c||(a=s.id.clock+s.length);a!==0&&(o++,x(r.restEncoder,l),x(r.restEncoder,a));let h=$();return x(h,o),Fd(h,r.restEncoder),r.restEncoder=h,r.toUint8Array()}else return x(r.restEncoder,0),r.toUint8Array()},Ub=n=>fp(n,Zt,De),dp=(n,e=Ce)=>{let t=new Map,r=new Map,i=new dt(new e(q(n)),!1),s=i.curr;if(s!==null){let o=s.id.client,l=s.id.clock;for(t.set(o,l);s!==null;s=i.next())o!==s.id.client&&(r.set(o,l),t.set(s.id.client,s.id.clock),o=s.id.client),l=s.id.clock+s.length;r.set(o,l)}return{from:t,to:r}},Vb=n=>dp(n,De),Bb=(n,e)=>{if(n.constructor===ye){let{client:t,clock:r}=n.id;return new ye(M(t,r+e),n.length-e)}else if(n.constructor===ce){let{client:t,clock:r}=n.id;return new ce(M(t,r+e),n.length-e)}else{let t=n,{client:r,clock:i}=t.id;return new O(M(r,i+e),null,M(r,i+e-1),null,t.rightOrigin,t.parent,t.parentSub,t.content.splice(e))}},zi=(n,e=Ce,t=Ue)=>{if(n.length===1)return n[0];let r=n.map(h=>new e(q(h))),i=r.map(h=>new dt(h,!0)),s=null,o=new t,l=new Li(o);for(;i=i.filter(d=>d.curr!==null),i.sort((d,u)=>{if(d.curr.id.client===u.curr.id.client){let p=d.curr.id.clock-u.curr.id.clock;return p===0?d.curr.constructor===u.curr.constructor?0:d.curr.constructor===ce?1:-1:p}else return u.curr.id.client-d.curr.id.client}),i.length!==0;){let h=i[0],f=h.curr.id.client;if(s!==null){let d=h.curr,u=!1;for(;d!==null&&d.id.clock+d.length<=s.struct.id.clock+s.struct.length&&d.id.client>=s.struct.id.client;)d=h.next(),u=!0;if(d===null||d.id.client!==f||u&&d.id.clock>s.struct.id.clock+s.struct.length)continue;if(f!==s.struct.id.client)Gt(l,s.struct,s.offset),s={struct:d,offset:0},h.next();else if(s.struct.id.clock+s.struct.length<d.id.clock)if(s.struct.constructor===ce)s.struct.length=d.id.clock+d.length-s.struct.id.clock;else{Gt(l,s.struct,s.offset);let p=d.id.clock-s.struct.id.clock-s.struct.length;s={struct:new ce(M(f,s.struct.id.clock+s.struct.length),p),offset:0}}else{let p=s.struct.id.clock+s.struct.length-d.id.clock;p>0&&(s.struct.constructor===ce?s.struct.length-=p:d=Bb(d,p)),s.struct.mergeWith(d)||(Gt(l,s.struct,s.offset),s={struct:d,offset:0},h.next())}}else s={struct:h.curr,offset:0},h.next();for(let d=h.curr;d!==null&&d.id.client===f&&d.id.clock===s.struct.id.clock+s.struct.length&&d.constructor!==ce;d=h.next())Gt(l,s.struct,s.offset),s={struct:d,offset:0}}s!==null&&(Gt(l,s.struct,s.offset),s=null),Sa(l);let c=r.map(h=>Nt(h)),a=Rn(c);return at(o,a),o.toUint8Array()},xa=(n,e,t=Ce,r=Ue)=>{let i=ga(e),s=new r,o=new Li(s),l=new t(q(n)),c=new dt(l,!1);for(;c.curr;){let h=c.curr,f=h.id.client,d=i.get(f)||0;if(c.curr.constructor===ce){c.next();continue}if(h.id.clock+h.length>d)for(Gt(o,h,$e(d-h.id.clock,0)),c.next();c.curr&&c.curr.id.client===f;)Gt(o,c.curr,0),c.next();else for(;c.curr&&c.curr.id.client===f&&c.curr.id.clock+c.curr.length<=d;)c.next()}Sa(o);let a=Nt(l);return at(s,a),s.toUint8Array()},Pb=(n,e)=>xa(n,e,De,ht),up=n=>{n.written>0&&(n.clientStructs.push({written:n.written,restEncoder:I(n.encoder.restEncoder)}),n.encoder.restEncoder=$(),n.written=0)},Gt=(n,e,t)=>{n.written>0&&n.currClient!==e.id.client&&up(n),n.written===0&&(n.currClient=e.id.client,n.encoder.writeClient(e.id.client),x(n.encoder.restEncoder,e.id.clock+t)),e.write(n.encoder,t),n.written++},Sa=n=>{up(n);let e=n.encoder.restEncoder;x(e,n.clientStructs.length);for(let t=0;t<n.clientStructs.length;t++){let r=n.clientStructs[t];x(e,r.written),br(e,r.restEncoder)}},Fo=(n,e,t,r)=>{let i=new t(q(n)),s=new dt(i,!1),o=new r,l=new Li(o);for(let a=s.curr;a!==null;a=s.next())Gt(l,e(a),0);Sa(l);let c=Nt(i);return at(o,c),o.toUint8Array()},pp=({formatting:n=!0,subdocs:e=!0,yxml:t=!0}={})=>{let r=0,i=_(),s=_(),o=_(),l=_();return l.set(null,null),c=>{switch(c.constructor){case ye:case ce:return c;case O:{let a=c,h=a.content;switch(h.constructor){case _r:break;case Oe:{if(t){let f=h.type;f instanceof re&&(f.nodeName=W(s,f.nodeName,()=>"node-"+r)),f instanceof Hi&&(f.hookName=W(s,f.hookName,()=>"hook-"+r))}break}case tn:{let f=h;f.arr=f.arr.map(()=>r);break}case Ln:{let f=h;f.content=new Uint8Array([r]);break}case zn:{let f=h;e&&(f.opts={},f.doc.guid=r+"");break}case It:{let f=h;f.embed={};break}case L:{let f=h;n&&(f.key=W(o,f.key,()=>r+""),f.value=W(l,f.value,()=>({i:r})));break}case Ji:{let f=h;f.arr=f.arr.map(()=>r);break}case Ve:{let f=h;f.str=Xs(r%10+"",f.str.length);break}default:F()}return a.parentSub&&(a.parentSub=W(i,a.parentSub,()=>r+"")),r++,c}default:F()}}},Lb=(n,e)=>Fo(n,pp(e),De,ht),zb=(n,e)=>Fo(n,pp(e),Ce,Ue),Fb=n=>Fo(n,_c,De,Ue),mp=n=>Fo(n,_c,Ce,ht),Ju="You must not compute changes after the event-handler fired.",Vn=class{constructor(e,t){this.target=e,this.currentTarget=e,this.transaction=t,this._changes=null,this._keys=null,this._delta=null,this._path=null}get path(){return this._path||(this._path=$b(this.currentTarget,this.target))}deletes(e){return Rt(this.transaction.deleteSet,e.id)}get keys(){if(this._keys===null){if(this.transaction.doc._transactionCleanups.length===0)throw ve(Ju);let e=new Map,t=this.target;this.transaction.changed.get(t).forEach(i=>{if(i!==null){let s=t._map.get(i),o,l;if(this.adds(s)){let c=s.left;for(;c!==null&&this.adds(c);)c=c.left;if(this.deletes(s))if(c!==null&&this.deletes(c))o="delete",l=Ks(c.content.getContent());else return;else c!==null&&this.deletes(c)?(o="update",l=Ks(c.content.getContent())):(o="add",l=void 0)}else if(this.deletes(s))o="delete",l=Ks(s.content.getContent());else return;e.set(i,{action:o,oldValue:l})}}),this._keys=e}return this._keys}get delta(){return this.changes.delta}adds(e){return e.id.clock>=(this.transaction.beforeState.get(e.id.client)||0)}get changes(){let e=this._changes;if(e===null){if(this.transaction.doc._transactionCleanups.length===0)throw ve(Ju);let t=this.target,r=Ee(),i=Ee(),s=[];if(e={added:r,deleted:i,delta:s,keys:this.keys},this.transaction.changed.get(t).has(null)){let l=null,c=()=>{l&&s.push(l)};for(let a=t._start;a!==null;a=a.right)a.deleted?this.deletes(a)&&!this.adds(a)&&((l===null||l.delete===void 0)&&(c(),l={delete:0}),l.delete+=a.length,i.add(a)):this.adds(a)?((l===null||l.insert===void 0)&&(c(),l={insert:[]}),l.insert=l.insert.concat(a.content.getContent()),r.add(a)):((l===null||l.retain===void 0)&&(c(),l={retain:0}),l.retain+=a.length);l!==null&&l.retain===void 0&&c()}this._changes=e}return e}},$b=(n,e)=>{let t=[];for(;e._item!==null&&e!==n;){if(e._item.parentSub!==null)t.unshift(e._item.parentSub);else{let r=0,i=e._item.parent._start;for(;i!==e._item&&i!==null;)!i.deleted&&i.countable&&(r+=i.length),i=i.right;t.unshift(r)}e=e._item.parent}return t},ae=()=>{Qc("Invalid access: Add Yjs type to a document before reading data.")},gp=80,ka=0,la=class{constructor(e,t){e.marker=!0,this.p=e,this.index=t,this.timestamp=ka++}},qb=n=>{n.timestamp=ka++},yp=(n,e,t)=>{n.p.marker=!1,n.p=e,e.marker=!0,n.index=t,n.timestamp=ka++},Hb=(n,e,t)=>{if(n.length>=gp){let r=n.reduce((i,s)=>i.timestamp<s.timestamp?i:s);return yp(r,e,t),r}else{let r=new la(e,t);return n.push(r),r}},$o=(n,e)=>{if(n._start===null||e===0||n._searchMarker===null)return null;let t=n._searchMarker.length===0?null:n._searchMarker.reduce((s,o)=>Mn(e-s.index)<Mn(e-o.index)?s:o),r=n._start,i=0;for(t!==null&&(r=t.p,i=t.index,qb(t));r.right!==null&&i<e;){if(!r.deleted&&r.countable){if(e<i+r.length)break;i+=r.length}r=r.right}for(;r.left!==null&&i>e;)r=r.left,!r.deleted&&r.countable&&(i-=r.length);for(;r.left!==null&&r.left.id.client===r.id.client&&r.left.id.clock+r.left.length===r.id.clock;)r=r.left,!r.deleted&&r.countable&&(i-=r.length);return t!==null&&Mn(t.index-i)<r.parent.length/gp?(yp(t,r,i),t):Hb(n._searchMarker,r,i)},Fi=(n,e,t)=>{for(let r=n.length-1;r>=0;r--){let i=n[r];if(t>0){let s=i.p;for(s.marker=!1;s&&(s.deleted||!s.countable);)s=s.left,s&&!s.deleted&&s.countable&&(i.index-=s.length);if(s===null||s.marker===!0){n.splice(r,1);continue}i.p=s,s.marker=!0}(e<i.index||t>0&&e===i.index)&&(i.index=$e(e,i.index+t))}},Jb=n=>{n.doc??ae();let e=n._start,t=[];for(;e;)t.push(e),e=e.right;return t},qo=(n,e,t)=>{let r=n,i=e.changedParentTypes;for(;W(i,n,()=>[]).push(t),n._item!==null;)n=n._item.parent;ep(r._eH,t,e)},H=class{constructor(){this._item=null,this._map=new Map,this._start=null,this.doc=null,this._length=0,this._eH=Vu(),this._dEH=Vu(),this._searchMarker=null}get parent(){return this._item?this._item.parent:null}_integrate(e,t){this.doc=e,this._item=t}_copy(){throw ke()}clone(){throw ke()}_write(e){}get _first(){let e=this._start;for(;e!==null&&e.deleted;)e=e.right;return e}_callObserver(e,t){!e.local&&this._searchMarker&&(this._searchMarker.length=0)}observe(e){Bu(this._eH,e)}observeDeep(e){Bu(this._dEH,e)}unobserve(e){Pu(this._eH,e)}unobserveDeep(e){Pu(this._dEH,e)}toJSON(){}},wp=(n,e,t)=>{n.doc??ae(),e<0&&(e=n._length+e),t<0&&(t=n._length+t);let r=t-e,i=[],s=n._start;for(;s!==null&&r>0;){if(s.countable&&!s.deleted){let o=s.content.getContent();if(o.length<=e)e-=o.length;else{for(let l=e;l<o.length&&r>0;l++)i.push(o[l]),r--;e=0}}s=s.right}return i},bp=n=>{n.doc??ae();let e=[],t=n._start;for(;t!==null;){if(t.countable&&!t.deleted){let r=t.content.getContent();for(let i=0;i<r.length;i++)e.push(r[i])}t=t.right}return e},Ho=(n,e)=>{let t=[],r=n._start;for(;r!==null;){if(r.countable&&Yt(r,e)){let i=r.content.getContent();for(let s=0;s<i.length;s++)t.push(i[s])}r=r.right}return t},$i=(n,e)=>{let t=0,r=n._start;for(n.doc??ae();r!==null;){if(r.countable&&!r.deleted){let i=r.content.getContent();for(let s=0;s<i.length;s++)e(i[s],t++,n)}r=r.right}},xp=(n,e)=>{let t=[];return $i(n,(r,i)=>{t.push(e(r,i,n))}),t},jb=n=>{let e=n._start,t=null,r=0;return{[Symbol.iterator](){return this},next:()=>{if(t===null){for(;e!==null&&e.deleted;)e=e.right;if(e===null)return{done:!0,value:void 0};t=e.content.getContent(),r=0,e=e.right}let i=t[r++];return t.length<=r&&(t=null),{done:!1,value:i}}}},Sp=(n,e)=>{n.doc??ae();let t=$o(n,e),r=n._start;for(t!==null&&(r=t.p,e-=t.index);r!==null;r=r.right)if(!r.deleted&&r.countable){if(e<r.length)return r.content.getContent()[e];e-=r.length}},vo=(n,e,t,r)=>{let i=t,s=n.doc,o=s.clientID,l=s.store,c=t===null?e._start:t.right,a=[],h=()=>{a.length>0&&(i=new O(M(o,P(l,o)),i,i&&i.lastId,c,c&&c.id,e,null,new tn(a)),i.integrate(n,0),a=[])};r.forEach(f=>{if(f===null)a.push(f);else switch(f.constructor){case Number:case Object:case Boolean:case Array:case String:a.push(f);break;default:switch(h(),f.constructor){case Uint8Array:case ArrayBuffer:i=new O(M(o,P(l,o)),i,i&&i.lastId,c,c&&c.id,e,null,new Ln(new Uint8Array(f))),i.integrate(n,0);break;case Je:i=new O(M(o,P(l,o)),i,i&&i.lastId,c,c&&c.id,e,null,new zn(f)),i.integrate(n,0);break;default:if(f instanceof H)i=new O(M(o,P(l,o)),i,i&&i.lastId,c,c&&c.id,e,null,new Oe(f)),i.integrate(n,0);else throw new Error("Unexpected content type in insert operation")}}}),h()},kp=()=>ve("Length exceeded!"),Cp=(n,e,t,r)=>{if(t>e._length)throw kp();if(t===0)return e._searchMarker&&Fi(e._searchMarker,t,r.length),vo(n,e,null,r);let i=t,s=$o(e,t),o=e._start;for(s!==null&&(o=s.p,t-=s.index,t===0&&(o=o.prev,t+=o&&o.countable&&!o.deleted?o.length:0));o!==null;o=o.right)if(!o.deleted&&o.countable){if(t<=o.length){t<o.length&&ge(n,M(o.id.client,o.id.clock+t));break}t-=o.length}return e._searchMarker&&Fi(e._searchMarker,i,r.length),vo(n,e,o,r)},Wb=(n,e,t)=>{let i=(e._searchMarker||[]).reduce((s,o)=>o.index>s.index?o:s,{index:0,p:e._start}).p;if(i)for(;i.right;)i=i.right;return vo(n,e,i,t)},Mp=(n,e,t,r)=>{if(r===0)return;let i=t,s=r,o=$o(e,t),l=e._start;for(o!==null&&(l=o.p,t-=o.index);l!==null&&t>0;l=l.right)!l.deleted&&l.countable&&(t<l.length&&ge(n,M(l.id.client,l.id.clock+t)),t-=l.length);for(;r>0&&l!==null;)l.deleted||(r<l.length&&ge(n,M(l.id.client,l.id.clock+r)),l.delete(n),r-=l.length),l=l.right;if(r>0)throw kp();e._searchMarker&&Fi(e._searchMarker,i,-s+r)},_o=(n,e,t)=>{let r=e._map.get(t);r!==void 0&&r.delete(n)},Ca=(n,e,t,r)=>{let i=e._map.get(t)||null,s=n.doc,o=s.clientID,l;if(r==null)l=new tn([r]);else switch(r.constructor){case Number:case Object:case Boolean:case Array:case String:case Date:case BigInt:l=new tn([r]);break;case Uint8Array:l=new Ln(r);break;case Je:l=new zn(r);break;default:if(r instanceof H)l=new Oe(r);else throw new Error("Unexpected content type")}new O(M(o,P(s.store,o)),i,i&&i.lastId,null,null,e,t,l).integrate(n,0)},Ma=(n,e)=>{n.doc??ae();let t=n._map.get(e);return t!==void 0&&!t.deleted?t.content.getContent()[t.length-1]:void 0},Ap=n=>{let e={};return n.doc??ae(),n._map.forEach((t,r)=>{t.deleted||(e[r]=t.content.getContent()[t.length-1])}),e},Tp=(n,e)=>{n.doc??ae();let t=n._map.get(e);return t!==void 0&&!t.deleted},Kb=(n,e,t)=>{let r=n._map.get(e)||null;for(;r!==null&&(!t.sv.has(r.id.client)||r.id.clock>=(t.sv.get(r.id.client)||0));)r=r.left;return r!==null&&Yt(r,t)?r.content.getContent()[r.length-1]:void 0},Ep=(n,e)=>{let t={};return n._map.forEach((r,i)=>{let s=r;for(;s!==null&&(!e.sv.has(s.id.client)||s.id.clock>=(e.sv.get(s.id.client)||0));)s=s.left;s!==null&&Yt(s,e)&&(t[i]=s.content.getContent()[s.length-1])}),t},Ao=n=>(n.doc??ae(),Ru(n._map.entries(),e=>!e[1].deleted)),Uo=class extends Vn{},Bn=class n extends H{constructor(){super(),this._prelimContent=[],this._searchMarker=[]}static from(e){let t=new n;return t.push(e),t}_integrate(e,t){super._integrate(e,t),this.insert(0,this._prelimContent),this._prelimContent=null}_copy(){return new n}clone(){let e=new n;return e.insert(0,this.toArray().map(t=>t instanceof H?t.clone():t)),e}get length(){return this.doc??ae(),this._length}_callObserver(e,t){super._callObserver(e,t),qo(this,e,new Uo(this,e))}insert(e,t){this.doc!==null?R(this.doc,r=>{Cp(r,this,e,t)}):this._prelimContent.splice(e,0,...t)}push(e){this.doc!==null?R(this.doc,t=>{Wb(t,this,e)}):this._prelimContent.push(...e)}unshift(e){this.insert(0,e)}delete(e,t=1){this.doc!==null?R(this.doc,r=>{Mp(r,this,e,t)}):this._prelimContent.splice(e,t)}get(e){return Sp(this,e)}toArray(){return bp(this)}slice(e=0,t=this.length){return wp(this,e,t)}toJSON(){return this.map(e=>e instanceof H?e.toJSON():e)}map(e){return xp(this,e)}forEach(e){$i(this,e)}[Symbol.iterator](){return jb(this)}_write(e){e.writeTypeRef(mx)}},Yb=n=>new Bn,Vo=class extends Vn{constructor(e,t,r){super(e,t),this.keysChanged=r}},Pn=class n extends H{constructor(e){super(),this._prelimContent=null,e===void 0?this._prelimContent=new Map:this._prelimContent=new Map(e)}_integrate(e,t){super._integrate(e,t),this._prelimContent.forEach((r,i)=>{this.set(i,r)}),this._prelimContent=null}_copy(){return new n}clone(){let e=new n;return this.forEach((t,r)=>{e.set(r,t instanceof H?t.clone():t)}),e}_callObserver(e,t){qo(this,e,new Vo(this,e,t))}toJSON(){this.doc??ae();let e={};return this._map.forEach((t,r)=>{if(!t.deleted){let i=t.content.getContent()[t.length-1];e[r]=i instanceof H?i.toJSON():i}}),e}get size(){return[...Ao(this)].length}keys(){return Co(Ao(this),e=>e[0])}values(){return Co(Ao(this),e=>e[1].content.getContent()[e[1].length-1])}entries(){return Co(Ao(this),e=>[e[0],e[1].content.getContent()[e[1].length-1]])}forEach(e){this.doc??ae(),this._map.forEach((t,r)=>{t.deleted||e(t.content.getContent()[t.length-1],r,this)})}[Symbol.iterator](){return this.entries()}delete(e){this.doc!==null?R(this.doc,t=>{_o(t,this,e)}):this._prelimContent.delete(e)}set(e,t){return this.doc!==null?R(this.doc,r=>{Ca(r,this,e,t)}):this._prelimContent.set(e,t),t}get(e){return Ma(this,e)}has(e){return Tp(this,e)}clear(){this.doc!==null?R(this.doc,e=>{this.forEach(function(t,r,i){_o(e,i,r)})}):this._prelimContent.clear()}_write(e){e.writeTypeRef(gx)}},Gb=n=>new Pn,Xt=(n,e)=>n===e||typeof n=="object"&&typeof e=="object"&&n&&e&&Rc(n,e),qi=class{constructor(e,t,r,i){this.left=e,this.right=t,this.index=r,this.currentAttributes=i}forward(){switch(this.right===null&&F(),this.right.content.constructor){case L:this.right.deleted||Vr(this.currentAttributes,this.right.content);break;default:this.right.deleted||(this.index+=this.right.length);break}this.left=this.right,this.right=this.right.right}},ju=(n,e,t)=>{for(;e.right!==null&&t>0;){switch(e.right.content.constructor){case L:e.right.deleted||Vr(e.currentAttributes,e.right.content);break;default:e.right.deleted||(t<e.right.length&&ge(n,M(e.right.id.client,e.right.id.clock+t)),e.index+=e.right.length,t-=e.right.length);break}e.left=e.right,e.right=e.right.right}return e},To=(n,e,t,r)=>{let i=new Map,s=r?$o(e,t):null;if(s){let o=new qi(s.p.left,s.p,s.index,i);return ju(n,o,t-s.index)}else{let o=new qi(null,e._start,0,i);return ju(n,o,t)}},Dp=(n,e,t,r)=>{for(;t.right!==null&&(t.right.deleted===!0||t.right.content.constructor===L&&Xt(r.get(t.right.content.key),t.right.content.value));)t.right.deleted||r.delete(t.right.content.key),t.forward();let i=n.doc,s=i.clientID;r.forEach((o,l)=>{let c=t.left,a=t.right,h=new O(M(s,P(i.store,s)),c,c&&c.lastId,a,a&&a.id,e,null,new L(l,o));h.integrate(n,0),t.right=h,t.forward()})},Vr=(n,e)=>{let{key:t,value:r}=e;r===null?n.delete(t):n.set(t,r)},Op=(n,e)=>{for(;n.right!==null;){if(!(n.right.deleted||n.right.content.constructor===L&&Xt(e[n.right.content.key]??null,n.right.content.value)))break;n.forward()}},Np=(n,e,t,r)=>{let i=n.doc,s=i.clientID,o=new Map;for(let l in r){let c=r[l],a=t.currentAttributes.get(l)??null;if(!Xt(a,c)){o.set(l,a);let{left:h,right:f}=t;t.right=new O(M(s,P(i.store,s)),h,h&&h.lastId,f,f&&f.id,e,null,new L(l,c)),t.right.integrate(n,0),t.forward()}}return o},Zc=(n,e,t,r,i)=>{t.currentAttributes.forEach((d,u)=>{i[u]===void 0&&(i[u]=null)});let s=n.doc,o=s.clientID;Op(t,i);let l=Np(n,e,t,i),c=r.constructor===String?new Ve(r):r instanceof H?new Oe(r):new It(r),{left:a,right:h,index:f}=t;e._searchMarker&&Fi(e._searchMarker,t.index,c.getLength()),h=new O(M(o,P(s.store,o)),a,a&&a.lastId,h,h&&h.id,e,null,c),h.integrate(n,0),t.right=h,t.index=f,t.forward(),Dp(n,e,t,l)},Wu=(n,e,t,r,i)=>{let s=n.doc,o=s.clientID;Op(t,i);let l=Np(n,e,t,i);e:for(;t.right!==null&&(r>0||l.size>0&&(t.right.deleted||t.right.content.constructor===L));){if(!t.right.deleted)switch(t.right.content.constructor){case L:{let{key:c,value:a}=t.right.content,h=i[c];if(h!==void 0){if(Xt(h,a))l.delete(c);else{if(r===0)break e;l.set(c,a)}t.right.delete(n)}else t.currentAttributes.set(c,a);break}default:r<t.right.length&&ge(n,M(t.right.id.client,t.right.id.clock+r)),r-=t.right.length;break}t.forward()}if(r>0){let c="";for(;r>0;r--)c+=`
+`;t.right=new O(M(o,P(s.store,o)),t.left,t.left&&t.left.lastId,t.right,t.right&&t.right.id,e,null,new Ve(c)),t.right.integrate(n,0),t.forward()}Dp(n,e,t,l)},Ip=(n,e,t,r,i)=>{let s=e,o=_();for(;s&&(!s.countable||s.deleted);){if(!s.deleted&&s.content.constructor===L){let a=s.content;o.set(a.key,a)}s=s.right}let l=0,c=!1;for(;e!==s;){if(t===e&&(c=!0),!e.deleted){let a=e.content;switch(a.constructor){case L:{let{key:h,value:f}=a,d=r.get(h)??null;(o.get(h)!==a||d===f)&&(e.delete(n),l++,!c&&(i.get(h)??null)===f&&d!==f&&(d===null?i.delete(h):i.set(h,d))),!c&&!e.deleted&&Vr(i,a);break}}}e=e.right}return l},Xb=(n,e)=>{for(;e&&e.right&&(e.right.deleted||!e.right.countable);)e=e.right;let t=new Set;for(;e&&(e.deleted||!e.countable);){if(!e.deleted&&e.content.constructor===L){let r=e.content.key;t.has(r)?e.delete(n):t.add(r)}e=e.left}},Rp=n=>{let e=0;return R(n.doc,t=>{let r=n._start,i=n._start,s=_(),o=Ws(s);for(;i;){if(i.deleted===!1)switch(i.content.constructor){case L:Vr(o,i.content);break;default:e+=Ip(t,r,i,s,o),s=Ws(o),r=i;break}i=i.right}}),e},Qb=n=>{let e=new Set,t=n.doc;for(let[r,i]of n.afterState.entries()){let s=n.beforeState.get(r)||0;i!==s&&ip(n,t.store.clients.get(r),s,i,o=>{!o.deleted&&o.content.constructor===L&&o.constructor!==ye&&e.add(o.parent)})}R(t,r=>{ct(n,n.deleteSet,i=>{if(i instanceof ye||!i.parent._hasFormatting||e.has(i.parent))return;let s=i.parent;i.content.constructor===L?e.add(s):Xb(r,i)});for(let i of e)Rp(i)})},Ku=(n,e,t)=>{let r=t,i=Ws(e.currentAttributes),s=e.right;for(;t>0&&e.right!==null;){if(e.right.deleted===!1)switch(e.right.content.constructor){case Oe:case It:case Ve:t<e.right.length&&ge(n,M(e.right.id.client,e.right.id.clock+t)),t-=e.right.length,e.right.delete(n);break}e.forward()}s&&Ip(n,s,e.right,i,e.currentAttributes);let o=(e.left||e.right).parent;return o._searchMarker&&Fi(o._searchMarker,e.index,-r+t),e},Bo=class extends Vn{constructor(e,t,r){super(e,t),this.childListChanged=!1,this.keysChanged=new Set,r.forEach(i=>{i===null?this.childListChanged=!0:this.keysChanged.add(i)})}get changes(){if(this._changes===null){let e={keys:this.keys,delta:this.delta,added:new Set,deleted:new Set};this._changes=e}return this._changes}get delta(){if(this._delta===null){let e=this.target.doc,t=[];R(e,r=>{let i=new Map,s=new Map,o=this.target._start,l=null,c={},a="",h=0,f=0,d=()=>{if(l!==null){let u=null;switch(l){case"delete":f>0&&(u={delete:f}),f=0;break;case"insert":(typeof a=="object"||a.length>0)&&(u={insert:a},i.size>0&&(u.attributes={},i.forEach((p,m)=>{p!==null&&(u.attributes[m]=p)}))),a="";break;case"retain":h>0&&(u={retain:h},nu(c)||(u.attributes=Zd({},c))),h=0;break}u&&t.push(u),l=null}};for(;o!==null;){switch(o.content.constructor){case Oe:case It:this.adds(o)?this.deletes(o)||(d(),l="insert",a=o.content.getContent()[0],d()):this.deletes(o)?(l!=="delete"&&(d(),l="delete"),f+=1):o.deleted||(l!=="retain"&&(d(),l="retain"),h+=1);break;case Ve:this.adds(o)?this.deletes(o)||(l!=="insert"&&(d(),l="insert"),a+=o.content.str):this.deletes(o)?(l!=="delete"&&(d(),l="delete"),f+=o.length):o.deleted||(l!=="retain"&&(d(),l="retain"),h+=o.length);break;case L:{let{key:u,value:p}=o.content;if(this.adds(o)){if(!this.deletes(o)){let m=i.get(u)??null;Xt(m,p)?p!==null&&o.delete(r):(l==="retain"&&d(),Xt(p,s.get(u)??null)?delete c[u]:c[u]=p)}}else if(this.deletes(o)){s.set(u,p);let m=i.get(u)??null;Xt(m,p)||(l==="retain"&&d(),c[u]=m)}else if(!o.deleted){s.set(u,p);let m=c[u];m!==void 0&&(Xt(m,p)?m!==null&&o.delete(r):(l==="retain"&&d(),p===null?delete c[u]:c[u]=p))}o.deleted||(l==="insert"&&d(),Vr(i,o.content));break}}o=o.right}for(d();t.length>0;){let u=t[t.length-1];if(u.retain!==void 0&&u.attributes===void 0)t.pop();else break}}),this._delta=t}return this._delta}},ut=class n extends H{constructor(e){super(),this._pending=e!==void 0?[()=>this.insert(0,e)]:[],this._searchMarker=[],this._hasFormatting=!1}get length(){return this.doc??ae(),this._length}_integrate(e,t){super._integrate(e,t);try{this._pending.forEach(r=>r())}catch(r){console.error(r)}this._pending=null}_copy(){return new n}clone(){let e=new n;return e.applyDelta(this.toDelta()),e}_callObserver(e,t){super._callObserver(e,t);let r=new Bo(this,e,t);qo(this,e,r),!e.local&&this._hasFormatting&&(e._needFormattingCleanup=!0)}toString(){this.doc??ae();let e="",t=this._start;for(;t!==null;)!t.deleted&&t.countable&&t.content.constructor===Ve&&(e+=t.content.str),t=t.right;return e}toJSON(){return this.toString()}applyDelta(e,{sanitize:t=!0}={}){this.doc!==null?R(this.doc,r=>{let i=new qi(null,this._start,0,new Map);for(let s=0;s<e.length;s++){let o=e[s];if(o.insert!==void 0){let l=!t&&typeof o.insert=="string"&&s===e.length-1&&i.right===null&&o.insert.slice(-1)===`
+`?o.insert.slice(0,-1):o.insert;(typeof l!="string"||l.length>0)&&Zc(r,this,i,l,o.attributes||{})}else o.retain!==void 0?Wu(r,this,i,o.retain,o.attributes||{}):o.delete!==void 0&&Ku(r,i,o.delete)}}):this._pending.push(()=>this.applyDelta(e))}toDelta(e,t,r){this.doc??ae();let i=[],s=new Map,o=this.doc,l="",c=this._start;function a(){if(l.length>0){let f={},d=!1;s.forEach((p,m)=>{d=!0,f[m]=p});let u={insert:l};d&&(u.attributes=f),i.push(u),l=""}}let h=()=>{for(;c!==null;){if(Yt(c,e)||t!==void 0&&Yt(c,t))switch(c.content.constructor){case Ve:{let f=s.get("ychange");e!==void 0&&!Yt(c,e)?(f===void 0||f.user!==c.id.client||f.type!=="removed")&&(a(),s.set("ychange",r?r("removed",c.id):{type:"removed"})):t!==void 0&&!Yt(c,t)?(f===void 0||f.user!==c.id.client||f.type!=="added")&&(a(),s.set("ychange",r?r("added",c.id):{type:"added"})):f!==void 0&&(a(),s.delete("ychange")),l+=c.content.str;break}case Oe:case It:{a();let f={insert:c.content.getContent()[0]};if(s.size>0){let d={};f.attributes=d,s.forEach((u,p)=>{d[p]=u})}i.push(f);break}case L:Yt(c,e)&&(a(),Vr(s,c.content));break}c=c.right}a()};return e||t?R(o,f=>{e&&ra(f,e),t&&ra(f,t),h()},"cleanup"):h(),i}insert(e,t,r){if(t.length<=0)return;let i=this.doc;i!==null?R(i,s=>{let o=To(s,this,e,!r);r||(r={},o.currentAttributes.forEach((l,c)=>{r[c]=l})),Zc(s,this,o,t,r)}):this._pending.push(()=>this.insert(e,t,r))}insertEmbed(e,t,r){let i=this.doc;i!==null?R(i,s=>{let o=To(s,this,e,!r);Zc(s,this,o,t,r||{})}):this._pending.push(()=>this.insertEmbed(e,t,r||{}))}delete(e,t){if(t===0)return;let r=this.doc;r!==null?R(r,i=>{Ku(i,To(i,this,e,!0),t)}):this._pending.push(()=>this.delete(e,t))}format(e,t,r){if(t===0)return;let i=this.doc;i!==null?R(i,s=>{let o=To(s,this,e,!1);o.right!==null&&Wu(s,this,o,t,r)}):this._pending.push(()=>this.format(e,t,r))}removeAttribute(e){this.doc!==null?R(this.doc,t=>{_o(t,this,e)}):this._pending.push(()=>this.removeAttribute(e))}setAttribute(e,t){this.doc!==null?R(this.doc,r=>{Ca(r,this,e,t)}):this._pending.push(()=>this.setAttribute(e,t))}getAttribute(e){return Ma(this,e)}getAttributes(){return Ap(this)}_write(e){e.writeTypeRef(yx)}},Zb=n=>new ut,Vi=class{constructor(e,t=()=>!0){this._filter=t,this._root=e,this._currentNode=e._start,this._firstCall=!0,e.doc??ae()}[Symbol.iterator](){return this}next(){let e=this._currentNode,t=e&&e.content&&e.content.type;if(e!==null&&(!this._firstCall||e.deleted||!this._filter(t)))do if(t=e.content.type,!e.deleted&&(t.constructor===re||t.constructor===pt)&&t._start!==null)e=t._start;else for(;e!==null;){let r=e.next;if(r!==null){e=r;break}else e.parent===this._root?e=null:e=e.parent._item}while(e!==null&&(e.deleted||!this._filter(e.content.type)));return this._firstCall=!1,e===null?{value:void 0,done:!0}:(this._currentNode=e,{value:e.content.type,done:!1})}},pt=class n extends H{constructor(){super(),this._prelimContent=[]}get firstChild(){let e=this._first;return e?e.content.getContent()[0]:null}_integrate(e,t){super._integrate(e,t),this.insert(0,this._prelimContent),this._prelimContent=null}_copy(){return new n}clone(){let e=new n;return e.insert(0,this.toArray().map(t=>t instanceof H?t.clone():t)),e}get length(){return this.doc??ae(),this._prelimContent===null?this._length:this._prelimContent.length}createTreeWalker(e){return new Vi(this,e)}querySelector(e){e=e.toUpperCase();let r=new Vi(this,i=>i.nodeName&&i.nodeName.toUpperCase()===e).next();return r.done?null:r.value}querySelectorAll(e){return e=e.toUpperCase(),Xe(new Vi(this,t=>t.nodeName&&t.nodeName.toUpperCase()===e))}_callObserver(e,t){qo(this,e,new Po(this,t,e))}toString(){return xp(this,e=>e.toString()).join("")}toJSON(){return this.toString()}toDOM(e=document,t={},r){let i=e.createDocumentFragment();return r!==void 0&&r._createAssociation(i,this),$i(this,s=>{i.insertBefore(s.toDOM(e,t,r),null)}),i}insert(e,t){this.doc!==null?R(this.doc,r=>{Cp(r,this,e,t)}):this._prelimContent.splice(e,0,...t)}insertAfter(e,t){if(this.doc!==null)R(this.doc,r=>{let i=e&&e instanceof H?e._item:e;vo(r,this,i,t)});else{let r=this._prelimContent,i=e===null?0:r.findIndex(s=>s===e)+1;if(i===0&&e!==null)throw ve("Reference item not found");r.splice(i,0,...t)}}delete(e,t=1){this.doc!==null?R(this.doc,r=>{Mp(r,this,e,t)}):this._prelimContent.splice(e,t)}toArray(){return bp(this)}push(e){this.insert(this.length,e)}unshift(e){this.insert(0,e)}get(e){return Sp(this,e)}slice(e=0,t=this.length){return wp(this,e,t)}forEach(e){$i(this,e)}_write(e){e.writeTypeRef(bx)}},ex=n=>new pt,re=class n extends pt{constructor(e="UNDEFINED"){super(),this.nodeName=e,this._prelimAttrs=new Map}get nextSibling(){let e=this._item?this._item.next:null;return e?e.content.type:null}get prevSibling(){let e=this._item?this._item.prev:null;return e?e.content.type:null}_integrate(e,t){super._integrate(e,t),this._prelimAttrs.forEach((r,i)=>{this.setAttribute(i,r)}),this._prelimAttrs=null}_copy(){return new n(this.nodeName)}clone(){let e=new n(this.nodeName),t=this.getAttributes();return eu(t,(r,i)=>{e.setAttribute(i,r)}),e.insert(0,this.toArray().map(r=>r instanceof H?r.clone():r)),e}toString(){let e=this.getAttributes(),t=[],r=[];for(let l in e)r.push(l);r.sort();let i=r.length;for(let l=0;l<i;l++){let c=r[l];t.push(c+'="'+e[c]+'"')}let s=this.nodeName.toLocaleLowerCase(),o=t.length>0?" "+t.join(" "):"";return`<${s}${o}>${super.toString()}</${s}>`}removeAttribute(e){this.doc!==null?R(this.doc,t=>{_o(t,this,e)}):this._prelimAttrs.delete(e)}setAttribute(e,t){this.doc!==null?R(this.doc,r=>{Ca(r,this,e,t)}):this._prelimAttrs.set(e,t)}getAttribute(e){return Ma(this,e)}hasAttribute(e){return Tp(this,e)}getAttributes(e){return e?Ep(this,e):Ap(this)}toDOM(e=document,t={},r){let i=e.createElement(this.nodeName),s=this.getAttributes();for(let o in s){let l=s[o];typeof l=="string"&&i.setAttribute(o,l)}return $i(this,o=>{i.appendChild(o.toDOM(e,t,r))}),r!==void 0&&r._createAssociation(i,this),i}_write(e){e.writeTypeRef(wx),e.writeKey(this.nodeName)}},tx=n=>new re(n.readKey()),Po=class extends Vn{constructor(e,t,r){super(e,r),this.childListChanged=!1,this.attributesChanged=new Set,t.forEach(i=>{i===null?this.childListChanged=!0:this.attributesChanged.add(i)})}},Hi=class n extends Pn{constructor(e){super(),this.hookName=e}_copy(){return new n(this.hookName)}clone(){let e=new n(this.hookName);return this.forEach((t,r)=>{e.set(r,t)}),e}toDOM(e=document,t={},r){let i=t[this.hookName],s;return i!==void 0?s=i.createDom(this):s=document.createElement(this.hookName),s.setAttribute("data-yjs-hook",this.hookName),r!==void 0&&r._createAssociation(s,this),s}_write(e){e.writeTypeRef(xx),e.writeKey(this.hookName)}},nx=n=>new Hi(n.readKey()),Me=class n extends ut{get nextSibling(){let e=this._item?this._item.next:null;return e?e.content.type:null}get prevSibling(){let e=this._item?this._item.prev:null;return e?e.content.type:null}_copy(){return new n}clone(){let e=new n;return e.applyDelta(this.toDelta()),e}toDOM(e=document,t,r){let i=e.createTextNode(this.toString());return r!==void 0&&r._createAssociation(i,this),i}toString(){return this.toDelta().map(e=>{let t=[];for(let i in e.attributes){let s=[];for(let o in e.attributes[i])s.push({key:o,value:e.attributes[i][o]});s.sort((o,l)=>o.key<l.key?-1:1),t.push({nodeName:i,attrs:s})}t.sort((i,s)=>i.nodeName<s.nodeName?-1:1);let r="";for(let i=0;i<t.length;i++){let s=t[i];r+=`<${s.nodeName}`;for(let o=0;o<s.attrs.length;o++){let l=s.attrs[o];r+=` ${l.key}="${l.value}"`}r+=">"}r+=e.insert;for(let i=t.length-1;i>=0;i--)r+=`</${t[i].nodeName}>`;return r}).join("")}toJSON(){return this.toString()}_write(e){e.writeTypeRef(Sx)}},rx=n=>new Me,vr=class{constructor(e,t){this.id=e,this.length=t}get deleted(){throw ke()}mergeWith(e){return!1}write(e,t,r){throw ke()}integrate(e,t){throw ke()}},ix=0,ye=class extends vr{get deleted(){return!0}delete(){}mergeWith(e){return this.constructor!==e.constructor?!1:(this.length+=e.length,!0)}integrate(e,t){t>0&&(this.id.clock+=t,this.length-=t),rp(e.doc.store,this)}write(e,t){e.writeInfo(ix),e.writeLen(this.length-t)}getMissing(e,t){return null}},Ln=class n{constructor(e){this.content=e}getLength(){return 1}getContent(){return[this.content]}isCountable(){return!0}copy(){return new n(this.content)}splice(e){throw ke()}mergeWith(e){return!1}integrate(e,t){}delete(e){}gc(e){}write(e,t){e.writeBuf(this.content)}getRef(){return 3}},sx=n=>new Ln(n.readBuf()),_r=class n{constructor(e){this.len=e}getLength(){return this.len}getContent(){return[]}isCountable(){return!1}copy(){return new n(this.len)}splice(e){let t=new n(this.len-e);return this.len=e,t}mergeWith(e){return this.len+=e.len,!0}integrate(e,t){Pi(e.deleteSet,t.id.client,t.id.clock,this.len),t.markDeleted()}delete(e){}gc(e){}write(e,t){e.writeLen(this.len-t)}getRef(){return 1}},ox=n=>new _r(n.readLen()),vp=(n,e)=>new Je({guid:n,...e,shouldLoad:e.shouldLoad||e.autoLoad||!1}),zn=class n{constructor(e){e._item&&console.error("This document was already integrated as a sub-document. You should create a second instance instead with the same guid."),this.doc=e;let t={};this.opts=t,e.gc||(t.gc=!1),e.autoLoad&&(t.autoLoad=!0),e.meta!==null&&(t.meta=e.meta)}getLength(){return 1}getContent(){return[this.doc]}isCountable(){return!0}copy(){return new n(vp(this.doc.guid,this.opts))}splice(e){throw ke()}mergeWith(e){return!1}integrate(e,t){this.doc._item=t,e.subdocsAdded.add(this.doc),this.doc.shouldLoad&&e.subdocsLoaded.add(this.doc)}delete(e){e.subdocsAdded.has(this.doc)?e.subdocsAdded.delete(this.doc):e.subdocsRemoved.add(this.doc)}gc(e){}write(e,t){e.writeString(this.doc.guid),e.writeAny(this.opts)}getRef(){return 9}},lx=n=>new zn(vp(n.readString(),n.readAny())),It=class n{constructor(e){this.embed=e}getLength(){return 1}getContent(){return[this.embed]}isCountable(){return!0}copy(){return new n(this.embed)}splice(e){throw ke()}mergeWith(e){return!1}integrate(e,t){}delete(e){}gc(e){}write(e,t){e.writeJSON(this.embed)}getRef(){return 5}},cx=n=>new It(n.readJSON()),L=class n{constructor(e,t){this.key=e,this.value=t}getLength(){return 1}getContent(){return[]}isCountable(){return!1}copy(){return new n(this.key,this.value)}splice(e){throw ke()}mergeWith(e){return!1}integrate(e,t){let r=t.parent;r._searchMarker=null,r._hasFormatting=!0}delete(e){}gc(e){}write(e,t){e.writeKey(this.key),e.writeJSON(this.value)}getRef(){return 6}},ax=n=>new L(n.readKey(),n.readJSON()),Ji=class n{constructor(e){this.arr=e}getLength(){return this.arr.length}getContent(){return this.arr}isCountable(){return!0}copy(){return new n(this.arr)}splice(e){let t=new n(this.arr.slice(e));return this.arr=this.arr.slice(0,e),t}mergeWith(e){return this.arr=this.arr.concat(e.arr),!0}integrate(e,t){}delete(e){}gc(e){}write(e,t){let r=this.arr.length;e.writeLen(r-t);for(let i=t;i<r;i++){let s=this.arr[i];e.writeString(s===void 0?"undefined":JSON.stringify(s))}}getRef(){return 2}},hx=n=>{let e=n.readLen(),t=[];for(let r=0;r<e;r++){let i=n.readString();i==="undefined"?t.push(void 0):t.push(JSON.parse(i))}return new Ji(t)},fx=Ei("node_env")==="development",tn=class n{constructor(e){this.arr=e,fx&&vc(e)}getLength(){return this.arr.length}getContent(){return this.arr}isCountable(){return!0}copy(){return new n(this.arr)}splice(e){let t=new n(this.arr.slice(e));return this.arr=this.arr.slice(0,e),t}mergeWith(e){return this.arr=this.arr.concat(e.arr),!0}integrate(e,t){}delete(e){}gc(e){}write(e,t){let r=this.arr.length;e.writeLen(r-t);for(let i=t;i<r;i++){let s=this.arr[i];e.writeAny(s)}}getRef(){return 8}},dx=n=>{let e=n.readLen(),t=[];for(let r=0;r<e;r++)t.push(n.readAny());return new tn(t)},Ve=class n{constructor(e){this.str=e}getLength(){return this.str.length}getContent(){return this.str.split("")}isCountable(){return!0}copy(){return new n(this.str)}splice(e){let t=new n(this.str.slice(e));this.str=this.str.slice(0,e);let r=this.str.charCodeAt(e-1);return r>=55296&&r<=56319&&(this.str=this.str.slice(0,e-1)+"\uFFFD",t.str="\uFFFD"+t.str.slice(1)),t}mergeWith(e){return this.str+=e.str,!0}integrate(e,t){}delete(e){}gc(e){}write(e,t){e.writeString(t===0?this.str:this.str.slice(t))}getRef(){return 4}},ux=n=>new Ve(n.readString()),px=[Yb,Gb,Zb,tx,ex,nx,rx],mx=0,gx=1,yx=2,wx=3,bx=4,xx=5,Sx=6,Oe=class n{constructor(e){this.type=e}getLength(){return 1}getContent(){return[this.type]}isCountable(){return!0}copy(){return new n(this.type._copy())}splice(e){throw ke()}mergeWith(e){return!1}integrate(e,t){this.type._integrate(e.doc,t)}delete(e){let t=this.type._start;for(;t!==null;)t.deleted?t.id.clock<(e.beforeState.get(t.id.client)||0)&&e._mergeStructs.push(t):t.delete(e),t=t.right;this.type._map.forEach(r=>{r.deleted?r.id.clock<(e.beforeState.get(r.id.client)||0)&&e._mergeStructs.push(r):r.delete(e)}),e.changed.delete(this.type)}gc(e){let t=this.type._start;for(;t!==null;)t.gc(e,!0),t=t.right;this.type._start=null,this.type._map.forEach(r=>{for(;r!==null;)r.gc(e,!0),r=r.left}),this.type._map=new Map}write(e,t){this.type._write(e)}getRef(){return 7}},kx=n=>new Oe(px[n.readTypeRef()](n)),ca=(n,e)=>{let t=e,r=0,i;do r>0&&(t=M(t.client,t.clock+r)),i=In(n,t),r=t.clock-i.id.clock,t=i.redone;while(t!==null&&i instanceof O);return{item:i,diff:r}},Aa=(n,e)=>{for(;n!==null&&n.keep!==e;)n.keep=e,n=n.parent._item},Lo=(n,e,t)=>{let{client:r,clock:i}=e.id,s=new O(M(r,i+t),e,M(r,i+t-1),e.right,e.rightOrigin,e.parent,e.parentSub,e.content.splice(t));return e.deleted&&s.markDeleted(),e.keep&&(s.keep=!0),e.redone!==null&&(s.redone=M(e.redone.client,e.redone.clock+t)),e.right=s,s.right!==null&&(s.right.left=s),n._mergeStructs.push(s),s.parentSub!==null&&s.right===null&&s.parent._map.set(s.parentSub,s),e.length=t,s},Yu=(n,e)=>pi(n,t=>Rt(t.deletions,e)),_p=(n,e,t,r,i,s)=>{let o=n.doc,l=o.store,c=o.clientID,a=e.redone;if(a!==null)return ge(n,a);let h=e.parent._item,f=null,d;if(h!==null&&h.deleted===!0){if(h.redone===null&&(!t.has(h)||_p(n,h,t,r,i,s)===null))return null;for(;h.redone!==null;)h=ge(n,h.redone)}let u=h===null?e.parent:h.content.type;if(e.parentSub===null){for(f=e.left,d=e;f!==null;){let y=f;for(;y!==null&&y.parent._item!==h;)y=y.redone===null?null:ge(n,y.redone);if(y!==null&&y.parent._item===h){f=y;break}f=f.left}for(;d!==null;){let y=d;for(;y!==null&&y.parent._item!==h;)y=y.redone===null?null:ge(n,y.redone);if(y!==null&&y.parent._item===h){d=y;break}d=d.right}}else if(d=null,e.right&&!i){for(f=e;f!==null&&f.right!==null&&(f.right.redone||Rt(r,f.right.id)||Yu(s.undoStack,f.right.id)||Yu(s.redoStack,f.right.id));)for(f=f.right;f.redone;)f=ge(n,f.redone);if(f&&f.right!==null)return null}else f=u._map.get(e.parentSub)||null;let p=P(l,c),m=M(c,p),g=new O(m,f,f&&f.lastId,d,d&&d.id,u,e.parentSub,e.content.copy());return e.redone=m,Aa(g,!0),g.integrate(n,0),g},O=class n extends vr{constructor(e,t,r,i,s,o,l,c){super(e,c.getLength()),this.origin=r,this.left=t,this.right=i,this.rightOrigin=s,this.parent=o,this.parentSub=l,this.redone=null,this.content=c,this.info=this.content.isCountable()?2:0}set marker(e){(this.info&8)>0!==e&&(this.info^=8)}get marker(){return(this.info&8)>0}get keep(){return(this.info&1)>0}set keep(e){this.keep!==e&&(this.info^=1)}get countable(){return(this.info&2)>0}get deleted(){return(this.info&4)>0}set deleted(e){this.deleted!==e&&(this.info^=4)}markDeleted(){this.info|=4}getMissing(e,t){if(this.origin&&this.origin.client!==this.id.client&&this.origin.clock>=P(t,this.origin.client))return this.origin.client;if(this.rightOrigin&&this.rightOrigin.client!==this.id.client&&this.rightOrigin.clock>=P(t,this.rightOrigin.client))return this.rightOrigin.client;if(this.parent&&this.parent.constructor===Ot&&this.id.client!==this.parent.client&&this.parent.clock>=P(t,this.parent.client))return this.parent.client;if(this.origin&&(this.left=sa(e,t,this.origin),this.origin=this.left.lastId),this.rightOrigin&&(this.right=ge(e,this.rightOrigin),this.rightOrigin=this.right.id),this.left&&this.left.constructor===ye||this.right&&this.right.constructor===ye)this.parent=null;else if(!this.parent)this.left&&this.left.constructor===n?(this.parent=this.left.parent,this.parentSub=this.left.parentSub):this.right&&this.right.constructor===n&&(this.parent=this.right.parent,this.parentSub=this.right.parentSub);else if(this.parent.constructor===Ot){let r=In(t,this.parent);r.constructor===ye?this.parent=null:this.parent=r.content.type}return null}integrate(e,t){if(t>0&&(this.id.clock+=t,this.left=sa(e,e.doc.store,M(this.id.client,this.id.clock-1)),this.origin=this.left.lastId,this.content=this.content.splice(t),this.length-=t),this.parent){if(!this.left&&(!this.right||this.right.left!==null)||this.left&&this.left.right!==this.right){let r=this.left,i;if(r!==null)i=r.right;else if(this.parentSub!==null)for(i=this.parent._map.get(this.parentSub)||null;i!==null&&i.left!==null;)i=i.left;else i=this.parent._start;let s=new Set,o=new Set;for(;i!==null&&i!==this.right;){if(o.add(i),s.add(i),Nn(this.origin,i.origin)){if(i.id.client<this.id.client)r=i,s.clear();else if(Nn(this.rightOrigin,i.rightOrigin))break}else if(i.origin!==null&&o.has(In(e.doc.store,i.origin)))s.has(In(e.doc.store,i.origin))||(r=i,s.clear());else break;i=i.right}this.left=r}if(this.left!==null){let r=this.left.right;this.right=r,this.left.right=this}else{let r;if(this.parentSub!==null)for(r=this.parent._map.get(this.parentSub)||null;r!==null&&r.left!==null;)r=r.left;else r=this.parent._start,this.parent._start=this;this.right=r}this.right!==null?this.right.left=this:this.parentSub!==null&&(this.parent._map.set(this.parentSub,this),this.left!==null&&this.left.delete(e)),this.parentSub===null&&this.countable&&!this.deleted&&(this.parent._length+=this.length),rp(e.doc.store,this),this.content.integrate(e,this),$u(e,this.parent,this.parentSub),(this.parent._item!==null&&this.parent._item.deleted||this.parentSub!==null&&this.right!==null)&&this.delete(e)}else new ye(this.id,this.length).integrate(e,0)}get next(){let e=this.right;for(;e!==null&&e.deleted;)e=e.right;return e}get prev(){let e=this.left;for(;e!==null&&e.deleted;)e=e.left;return e}get lastId(){return this.length===1?this.id:M(this.id.client,this.id.clock+this.length-1)}mergeWith(e){if(this.constructor===e.constructor&&Nn(e.origin,this.lastId)&&this.right===e&&Nn(this.rightOrigin,e.rightOrigin)&&this.id.client===e.id.client&&this.id.clock+this.length===e.id.clock&&this.deleted===e.deleted&&this.redone===null&&e.redone===null&&this.content.constructor===e.content.constructor&&this.content.mergeWith(e.content)){let t=this.parent._searchMarker;return t&&t.forEach(r=>{r.p===e&&(r.p=this,!this.deleted&&this.countable&&(r.index-=this.length))}),e.keep&&(this.keep=!0),this.right=e.right,this.right!==null&&(this.right.left=this),this.length+=e.length,!0}return!1}delete(e){if(!this.deleted){let t=this.parent;this.countable&&this.parentSub===null&&(t._length-=this.length),this.markDeleted(),Pi(e.deleteSet,this.id.client,this.id.clock,this.length),$u(e,t,this.parentSub),this.content.delete(e)}}gc(e,t){if(!this.deleted)throw F();this.content.gc(e),t?Nb(e,this,new ye(this.id,this.length)):this.content=new _r(this.length)}write(e,t){let r=t>0?M(this.id.client,this.id.clock+t-1):this.origin,i=this.rightOrigin,s=this.parentSub,o=this.content.getRef()&31|(r===null?0:128)|(i===null?0:64)|(s===null?0:32);if(e.writeInfo(o),r!==null&&e.writeLeftID(r),i!==null&&e.writeRightID(i),r===null&&i===null){let l=this.parent;if(l._item!==void 0){let c=l._item;if(c===null){let a=$n(l);e.writeParentInfo(!0),e.writeString(a)}else e.writeParentInfo(!1),e.writeLeftID(c.id)}else l.constructor===String?(e.writeParentInfo(!0),e.writeString(l)):l.constructor===Ot?(e.writeParentInfo(!1),e.writeLeftID(l)):F();s!==null&&e.writeString(s)}this.content.write(e,t)}},Up=(n,e)=>Cx[e&31](n),Cx=[()=>{F()},ox,hx,sx,ux,cx,ax,kx,dx,lx,()=>{F()}],Mx=10,ce=class extends vr{get deleted(){return!0}delete(){}mergeWith(e){return this.constructor!==e.constructor?!1:(this.length+=e.length,!0)}integrate(e,t){F()}write(e,t){e.writeInfo(Mx),x(e.restEncoder,this.length-t)}getMissing(e,t){return null}},Vp=typeof globalThis<"u"?globalThis:typeof window<"u"?window:typeof global<"u"?global:{},Bp="__ $YJS$ __";Vp[Bp]===!0&&console.error("Yjs was already imported. This breaks constructor checks and will lead to issues! - https://github.com/yjs/yjs/issues/438");Vp[Bp]=!0;var Pp=new Map,Ta=class{constructor(e){this.room=e,this.onmessage=null,this._onChange=t=>t.key===e&&this.onmessage!==null&&this.onmessage({data:hu(t.newValue||"")}),Yd(this._onChange)}postMessage(e){ro.setItem(this.room,au(cu(e)))}close(){Gd(this._onChange)}},Ax=typeof BroadcastChannel>"u"?Ta:BroadcastChannel,Ea=n=>W(Pp,n,()=>{let e=Ee(),t=new Ax(n);return t.onmessage=r=>e.forEach(i=>i(r.data,"broadcastchannel")),{bc:t,subs:e}}),Lp=(n,e)=>(Ea(n).subs.add(e),e),zp=(n,e)=>{let t=Ea(n),r=t.subs.delete(e);return r&&t.subs.size===0&&(t.bc.close(),Pp.delete(n)),r},Hn=(n,e,t=null)=>{let r=Ea(n);r.bc.postMessage(e),r.subs.forEach(i=>i(e,t))};var Fp=0,Jo=1,$p=2,jo=(n,e)=>{x(n,Fp);let t=wa(e);U(n,t)},Da=(n,e,t)=>{x(n,Jo),U(n,ma(e,t))},Ex=(n,e,t)=>Da(e,t,G(n)),qp=(n,e,t)=>{try{pa(e,G(n),t)}catch(r){console.error("Caught error while handling a Yjs update",r)}},Hp=(n,e)=>{x(n,$p),U(n,e)},Dx=qp,Jp=(n,e,t,r)=>{let i=C(n);switch(i){case Fp:Ex(n,e,t);break;case Jo:qp(n,t,r);break;case $p:Dx(n,t,r);break;default:throw new Error("Unknown message type")}return i};var Nx=0;var jp=(n,e,t)=>{switch(C(n)){case Nx:t(e,He(n))}};var Oa=3e4,Wo=class extends hr{constructor(e){super(),this.doc=e,this.clientID=e.clientID,this.states=new Map,this.meta=new Map,this._checkInterval=setInterval(()=>{let t=_e();this.getLocalState()!==null&&Oa/2<=t-this.meta.get(this.clientID).lastUpdated&&this.setLocalState(this.getLocalState());let r=[];this.meta.forEach((i,s)=>{s!==this.clientID&&Oa<=t-i.lastUpdated&&this.states.has(s)&&r.push(s)}),r.length>0&&Ko(this,r,"timeout")},Y(Oa/10)),e.on("destroy",()=>{this.destroy()}),this.setLocalState({})}destroy(){this.emit("destroy",[this]),this.setLocalState(null),super.destroy(),clearInterval(this._checkInterval)}getLocalState(){return this.states.get(this.clientID)||null}setLocalState(e){let t=this.clientID,r=this.meta.get(t),i=r===void 0?0:r.clock+1,s=this.states.get(t);e===null?this.states.delete(t):this.states.set(t,e),this.meta.set(t,{clock:i,lastUpdated:_e()});let o=[],l=[],c=[],a=[];e===null?a.push(t):s==null?e!=null&&o.push(t):(l.push(t),Kt(s,e)||c.push(t)),(o.length>0||c.length>0||a.length>0)&&this.emit("change",[{added:o,updated:c,removed:a},"local"]),this.emit("update",[{added:o,updated:l,removed:a},"local"])}setLocalStateField(e,t){let r=this.getLocalState();r!==null&&this.setLocalState({...r,[e]:t})}getStates(){return this.states}},Ko=(n,e,t)=>{let r=[];for(let i=0;i<e.length;i++){let s=e[i];if(n.states.has(s)){if(n.states.delete(s),s===n.clientID){let o=n.meta.get(s);n.meta.set(s,{clock:o.clock+1,lastUpdated:_e()})}r.push(s)}}r.length>0&&(n.emit("change",[{added:[],updated:[],removed:r},t]),n.emit("update",[{added:[],updated:[],removed:r},t]))},Pr=(n,e,t=n.states)=>{let r=e.length,i=$();x(i,r);for(let s=0;s<r;s++){let o=e[s],l=t.get(o)||null,c=n.meta.get(o).clock;x(i,o),x(i,c),it(i,JSON.stringify(l))}return I(i)};var Wp=(n,e,t)=>{let r=q(e),i=_e(),s=[],o=[],l=[],c=[],a=C(r);for(let h=0;h<a;h++){let f=C(r),d=C(r),u=JSON.parse(He(r)),p=n.meta.get(f),m=n.states.get(f),g=p===void 0?0:p.clock;(g<d||g===d&&u===null&&n.states.has(f))&&(u===null?f===n.clientID&&n.getLocalState()!=null?d++:n.states.delete(f):n.states.set(f,u),n.meta.set(f,{clock:d,lastUpdated:i}),p===void 0&&u!==null?s.push(f):p!==void 0&&u===null?c.push(f):u!==null&&(Kt(u,m)||l.push(f),o.push(f)))}(s.length>0||l.length>0||c.length>0)&&n.emit("change",[{added:s,updated:l,removed:c},t]),(s.length>0||o.length>0||c.length>0)&&n.emit("update",[{added:s,updated:o,removed:c},t])};var Kp=n=>tu(n,(e,t)=>`${encodeURIComponent(t)}=${encodeURIComponent(e)}`).join("&");var Jn=0,Gp=3,Lr=1,_x=2,Gi=[];Gi[Jn]=(n,e,t,r,i)=>{x(n,Jn);let s=Jp(e,n,t.doc,t);r&&s===Jo&&!t.synced&&(t.synced=!0)};Gi[Gp]=(n,e,t,r,i)=>{x(n,Lr),U(n,Pr(t.awareness,Array.from(t.awareness.getStates().keys())))};Gi[Lr]=(n,e,t,r,i)=>{Wp(t.awareness,G(e),t)};Gi[_x]=(n,e,t,r,i)=>{jp(e,t.doc,(s,o)=>Ux(t,o))};var Yp=3e4,Ux=(n,e)=>console.warn(`Permission denied to access ${n.url}.
+${e}`),Xp=(n,e,t)=>{let r=q(e),i=$(),s=C(r),o=n.messageHandlers[s];return o?o(i,r,n,t,s):console.error("Unable to compute message"),i},Qp=n=>{if(n.shouldConnect&&n.ws===null){let e=new n._WS(n.url,n.protocols);e.binaryType="arraybuffer",n.ws=e,n.wsconnecting=!0,n.wsconnected=!1,n.synced=!1,e.onmessage=t=>{n.wsLastMessageReceived=_e();let r=Xp(n,new Uint8Array(t.data),!0);Zs(r)>1&&e.send(I(r))},e.onerror=t=>{n.emit("connection-error",[t,n])},e.onclose=t=>{n.emit("connection-close",[t,n]),n.ws=null,n.wsconnecting=!1,n.wsconnected?(n.wsconnected=!1,n.synced=!1,Ko(n.awareness,Array.from(n.awareness.getStates().keys()).filter(r=>r!==n.doc.clientID),n),n.emit("status",[{status:"disconnected"}])):n.wsUnsuccessfulReconnects++,setTimeout(Qp,Re(_d(2,n.wsUnsuccessfulReconnects)*100,n.maxBackoffTime),n)},e.onopen=()=>{n.wsLastMessageReceived=_e(),n.wsconnecting=!1,n.wsconnected=!0,n.wsUnsuccessfulReconnects=0,n.emit("status",[{status:"connected"}]);let t=$();if(x(t,Jn),jo(t,n.doc),e.send(I(t)),n.awareness.getLocalState()!==null){let r=$();x(r,Lr),U(r,Pr(n.awareness,[n.doc.clientID])),e.send(I(r))}},n.emit("status",[{status:"connecting"}])}},Na=(n,e)=>{let t=n.ws;n.wsconnected&&t&&t.readyState===t.OPEN&&t.send(e),n.bcconnected&&Hn(n.bcChannel,e,n)},Ia=class extends hr{constructor(e,t,r,{connect:i=!0,awareness:s=new Wo(r),params:o={},protocols:l=[],WebSocketPolyfill:c=WebSocket,resyncInterval:a=-1,maxBackoffTime:h=2500,disableBc:f=!1}={}){for(super();e[e.length-1]==="/";)e=e.slice(0,e.length-1);this.serverUrl=e,this.bcChannel=e+"/"+t,this.maxBackoffTime=h,this.params=o,this.protocols=l,this.roomname=t,this.doc=r,this._WS=c,this.awareness=s,this.wsconnected=!1,this.wsconnecting=!1,this.bcconnected=!1,this.disableBc=f,this.wsUnsuccessfulReconnects=0,this.messageHandlers=Gi.slice(),this._synced=!1,this.ws=null,this.wsLastMessageReceived=0,this.shouldConnect=i,this._resyncInterval=0,a>0&&(this._resyncInterval=setInterval(()=>{if(this.ws&&this.ws.readyState===WebSocket.OPEN){let d=$();x(d,Jn),jo(d,r),this.ws.send(I(d))}},a)),this._bcSubscriber=(d,u)=>{if(u!==this){let p=Xp(this,new Uint8Array(d),!1);Zs(p)>1&&Hn(this.bcChannel,I(p),this)}},this._updateHandler=(d,u)=>{if(u!==this){let p=$();x(p,Jn),Hp(p,d),Na(this,I(p))}},this.doc.on("update",this._updateHandler),this._awarenessUpdateHandler=({added:d,updated:u,removed:p},m)=>{let g=d.concat(u).concat(p),y=$();x(y,Lr),U(y,Pr(s,g)),Na(this,I(y))},this._exitHandler=()=>{Ko(this.awareness,[r.clientID],"app closed")},Et&&typeof process<"u"&&process.on("exit",this._exitHandler),s.on("update",this._awarenessUpdateHandler),this._checkInterval=setInterval(()=>{this.wsconnected&&Yp<_e()-this.wsLastMessageReceived&&this.ws.close()},Yp/10),i&&this.connect()}get url(){let e=Kp(this.params);return this.serverUrl+"/"+this.roomname+(e.length===0?"":"?"+e)}get synced(){return this._synced}set synced(e){this._synced!==e&&(this._synced=e,this.emit("synced",[e]),this.emit("sync",[e]))}destroy(){this._resyncInterval!==0&&clearInterval(this._resyncInterval),clearInterval(this._checkInterval),this.disconnect(),Et&&typeof process<"u"&&process.off("exit",this._exitHandler),this.awareness.off("update",this._awarenessUpdateHandler),this.doc.off("update",this._updateHandler),super.destroy()}connectBc(){if(this.disableBc)return;this.bcconnected||(Lp(this.bcChannel,this._bcSubscriber),this.bcconnected=!0);let e=$();x(e,Jn),jo(e,this.doc),Hn(this.bcChannel,I(e),this);let t=$();x(t,Jn),Da(t,this.doc),Hn(this.bcChannel,I(t),this);let r=$();x(r,Gp),Hn(this.bcChannel,I(r),this);let i=$();x(i,Lr),U(i,Pr(this.awareness,[this.doc.clientID])),Hn(this.bcChannel,I(i),this)}disconnectBc(){let e=$();x(e,Lr),U(e,Pr(this.awareness,[this.doc.clientID],new Map)),Na(this,I(e)),this.bcconnected&&(zp(this.bcChannel,this._bcSubscriber),this.bcconnected=!1)}disconnect(){this.shouldConnect=!1,this.disconnectBc(),this.ws!==null&&this.ws.close()}connect(){this.shouldConnect=!0,!this.wsconnected&&this.ws===null&&(Qp(this),this.connectBc())}};var Zp=()=>{let n=!0;return(e,t)=>{if(n){n=!1;try{e()}finally{n=!0}}else t!==void 0&&t()}};var Vx=/[\uD800-\uDBFF]/,Bx=/[\uDC00-\uDFFF]/,Px=(n,e)=>{let t=0,r=0;for(;t<n.length&&t<e.length&&n[t]===e[t];)t++;for(t>0&&Vx.test(n[t-1])&&t--;r+t<n.length&&r+t<e.length&&n[n.length-r-1]===e[e.length-r-1];)r++;return r>0&&Bx.test(n[n.length-r])&&r--,{index:t,remove:n.length-t-r,insert:e.slice(t,e.length-r)}},em=Px;var v=new fe("y-sync"),vt=new fe("y-undo"),Xi=new fe("yjs-cursor");var Zi=(n,e)=>e===void 0?!n.deleted:e.sv.has(n.id.client)&&e.sv.get(n.id.client)>n.id.clock&&!Rt(e.ds,n.id),Lx=[{light:"#ecd44433",dark:"#ecd444"}],zx=(n,e,t)=>{if(!n.has(t)){if(n.size<e.length){let r=Ee();n.forEach(i=>r.add(i)),e=e.filter(i=>!r.has(i))}n.set(t,Jd(e))}return n.get(t)},rm=(n,{colors:e=Lx,colorMapping:t=new Map,permanentUserData:r=null,onFirstRender:i=()=>{},mapping:s}={})=>{let o=!1,l=new Yo(n,s),c=new J({props:{editable:a=>{let h=v.getState(a);return h.snapshot==null&&h.prevSnapshot==null}},key:v,state:{init:(a,h)=>({type:n,doc:n.doc,binding:l,snapshot:null,prevSnapshot:null,isChangeOrigin:!1,isUndoRedoOperation:!1,addToHistory:!0,colors:e,colorMapping:t,permanentUserData:r}),apply:(a,h)=>{let f=a.getMeta(v);if(f!==void 0){h=Object.assign({},h);for(let d in f)h[d]=f[d]}return h.addToHistory=a.getMeta("addToHistory")!==!1,h.isChangeOrigin=f!==void 0&&!!f.isChangeOrigin,h.isUndoRedoOperation=f!==void 0&&!!f.isChangeOrigin&&!!f.isUndoRedoOperation,l.prosemirrorView!==null&&f!==void 0&&(f.snapshot!=null||f.prevSnapshot!=null)&&Ri(0,()=>{l.prosemirrorView!=null&&(f.restore==null?l._renderSnapshot(f.snapshot,f.prevSnapshot,h):(l._renderSnapshot(f.snapshot,f.snapshot,h),delete h.restore,delete h.snapshot,delete h.prevSnapshot,l.mux(()=>{l._prosemirrorChanged(l.prosemirrorView.state.doc)})))}),h}},view:a=>(l.initView(a),s==null&&l._forceRerender(),i(),{update:()=>{let h=c.getState(a.state);if(h.snapshot==null&&h.prevSnapshot==null&&(o||a.state.doc.content.findDiffStart(a.state.doc.type.createAndFill().content)!==null)){if(o=!0,h.addToHistory===!1&&!h.isChangeOrigin){let f=vt.getState(a.state),d=f&&f.undoManager;d&&d.stopCapturing()}l.mux(()=>{h.doc.transact(f=>{f.meta.set("addToHistory",h.addToHistory),l._prosemirrorChanged(a.state.doc)},v)})}},destroy:()=>{l.destroy()}})});return c},Fx=(n,e,t)=>{if(e!==null&&e.anchor!==null&&e.head!==null){let r=_t(t.doc,t.type,e.anchor,t.mapping),i=_t(t.doc,t.type,e.head,t.mapping);r!==null&&i!==null&&(n=n.setSelection(A.create(n.doc,r,i)))}},es=(n,e)=>({anchor:nn(e.selection.anchor,n.type,n.mapping),head:nn(e.selection.head,n.type,n.mapping)}),Yo=class{constructor(e,t=new Map){this.type=e,this.prosemirrorView=null,this.mux=Zp(),this.mapping=t,this._observeFunction=this._typeChanged.bind(this),this.doc=e.doc,this.beforeTransactionSelection=null,this.beforeAllTransactions=()=>{this.beforeTransactionSelection===null&&this.prosemirrorView!=null&&(this.beforeTransactionSelection=es(this,this.prosemirrorView.state))},this.afterAllTransactions=()=>{this.beforeTransactionSelection=null},this._domSelectionInView=null}get _tr(){return this.prosemirrorView.state.tr.setMeta("addToHistory",!1)}_isLocalCursorInView(){return this.prosemirrorView.hasFocus()?(Mr&&this._domSelectionInView===null&&(Ri(0,()=>{this._domSelectionInView=null}),this._domSelectionInView=this._isDomSelectionInView()),this._domSelectionInView):!1}_isDomSelectionInView(){let e=this.prosemirrorView._root.getSelection(),t=this.prosemirrorView._root.createRange();t.setStart(e.anchorNode,e.anchorOffset),t.setEnd(e.focusNode,e.focusOffset),t.getClientRects().length===0&&t.startContainer&&t.collapsed&&t.selectNodeContents(t.startContainer);let i=t.getBoundingClientRect(),s=Dt.documentElement;return i.bottom>=0&&i.right>=0&&i.left<=(window.innerWidth||s.clientWidth||0)&&i.top<=(window.innerHeight||s.clientHeight||0)}renderSnapshot(e,t){t||(t=Wi(Ur(),new Map)),this.prosemirrorView.dispatch(this._tr.setMeta(v,{snapshot:e,prevSnapshot:t}))}unrenderSnapshot(){this.mapping.clear(),this.mux(()=>{let e=this.type.toArray().map(r=>Qi(r,this.prosemirrorView.state.schema,this.mapping)).filter(r=>r!==null),t=this._tr.replace(0,this.prosemirrorView.state.doc.content.size,new b(w.from(e),0,0));t.setMeta(v,{snapshot:null,prevSnapshot:null}),this.prosemirrorView.dispatch(t)})}_forceRerender(){this.mapping.clear(),this.mux(()=>{let e=this.beforeTransactionSelection!==null?null:this.prosemirrorView.state.selection,t=this.type.toArray().map(i=>Qi(i,this.prosemirrorView.state.schema,this.mapping)).filter(i=>i!==null),r=this._tr.replace(0,this.prosemirrorView.state.doc.content.size,new b(w.from(t),0,0));e&&r.setSelection(A.create(r.doc,e.anchor,e.head)),this.prosemirrorView.dispatch(r.setMeta(v,{isChangeOrigin:!0,binding:this}))})}_renderSnapshot(e,t,r){let i=this.doc;e||(e=Ki(this.doc)),(e instanceof Uint8Array||t instanceof Uint8Array)&&((!(e instanceof Uint8Array)||!(t instanceof Uint8Array))&&F(),i=new Je({gc:!1}),Fn(i,t),t=Ki(i),Fn(i,e),e=Ki(i)),this.mapping.clear(),this.mux(()=>{i.transact(s=>{let o=r.permanentUserData;o&&o.dss.forEach(h=>{ct(s,h,f=>{})});let l=(h,f)=>{let d=h==="added"?o.getUserByClientId(f.client):o.getUserByDeletedId(f);return{user:d,type:h,color:zx(r.colorMapping,r.colors,d)}},c=Ho(this.type,new en(t.ds,e.sv)).map(h=>!h._item.deleted||Zi(h._item,e)||Zi(h._item,t)?Qi(h,this.prosemirrorView.state.schema,new Map,e,t,l):null).filter(h=>h!==null),a=this._tr.replace(0,this.prosemirrorView.state.doc.content.size,new b(w.from(c),0,0));this.prosemirrorView.dispatch(a.setMeta(v,{isChangeOrigin:!0}))},v)})}_typeChanged(e,t){if(this.prosemirrorView==null)return;let r=v.getState(this.prosemirrorView.state);if(e.length===0||r.snapshot!=null||r.prevSnapshot!=null){this.renderSnapshot(r.snapshot,r.prevSnapshot);return}this.mux(()=>{let i=(l,c)=>this.mapping.delete(c);ct(t,t.deleteSet,l=>{if(l.constructor===O){let c=l.content.type;c&&this.mapping.delete(c)}}),t.changed.forEach(i),t.changedParentTypes.forEach(i);let s=this.type.toArray().map(l=>im(l,this.prosemirrorView.state.schema,this.mapping)).filter(l=>l!==null),o=this._tr.replace(0,this.prosemirrorView.state.doc.content.size,new b(w.from(s),0,0));Fx(o,this.beforeTransactionSelection,this),o=o.setMeta(v,{isChangeOrigin:!0,isUndoRedoOperation:t.origin instanceof Un}),this.beforeTransactionSelection!==null&&this._isLocalCursorInView()&&o.scrollIntoView(),this.prosemirrorView.dispatch(o)})}_prosemirrorChanged(e){this.doc.transact(()=>{zr(this.doc,this.type,e,this.mapping),this.beforeTransactionSelection=es(this,this.prosemirrorView.state)},v)}initView(e){this.prosemirrorView!=null&&this.destroy(),this.prosemirrorView=e,this.doc.on("beforeAllTransactions",this.beforeAllTransactions),this.doc.on("afterAllTransactions",this.afterAllTransactions),this.type.observeDeep(this._observeFunction)}destroy(){this.prosemirrorView!=null&&(this.prosemirrorView=null,this.type.unobserveDeep(this._observeFunction),this.doc.off("beforeAllTransactions",this.beforeAllTransactions),this.doc.off("afterAllTransactions",this.afterAllTransactions))}},im=(n,e,t,r,i,s)=>{let o=t.get(n);if(o===void 0){if(n instanceof re)return Qi(n,e,t,r,i,s);throw ke()}return o},Qi=(n,e,t,r,i,s)=>{let o=[],l=c=>{if(c.constructor===re){let a=im(c,e,t,r,i,s);a!==null&&o.push(a)}else{let a=c._item.right?.content.type;a instanceof ut&&!a._item.deleted&&a._item.id.client===a.doc.clientID&&(c.applyDelta([{retain:c.length},...a.toDelta()]),a.doc.transact(f=>{a._item.delete(f)}));let h=$x(c,e,t,r,i,s);h!==null&&h.forEach(f=>{f!==null&&o.push(f)})}};r===void 0||i===void 0?n.toArray().forEach(l):Ho(n,new en(i.ds,r.sv)).forEach(l);try{let c=n.getAttributes(r);r!==void 0&&(Zi(n._item,r)?Zi(n._item,i)||(c.ychange=s?s("added",n._item.id):{type:"added"}):c.ychange=s?s("removed",n._item.id):{type:"removed"});let a=e.node(n.nodeName,c,o);return t.set(n,a),a}catch{return n.doc.transact(a=>{n._item.delete(a)},v),t.delete(n),null}},$x=(n,e,t,r,i,s)=>{let o=[],l=n.toDelta(r,i,s);try{for(let c=0;c<l.length;c++){let a=l[c],h=[];for(let f in a.attributes)h.push(e.mark(f,a.attributes[f]));o.push(e.text(a.insert,h))}}catch{return n.doc.transact(a=>{n._item.delete(a)},v),null}return o},qx=(n,e)=>{let t=new Me,r=n.map(i=>({insert:i.text,attributes:om(i.marks)}));return t.applyDelta(r),e.set(t,n),t},Hx=(n,e)=>{let t=new re(n.type.name);for(let r in n.attrs){let i=n.attrs[r];i!==null&&r!=="ychange"&&t.setAttribute(r,i)}return t.insert(0,Xo(n).map(r=>Ra(r,e))),e.set(t,n),t},Ra=(n,e)=>n instanceof Array?qx(n,e):Hx(n,e),tm=n=>typeof n=="object"&&n!==null,_a=(n,e)=>{let t=Object.keys(n).filter(i=>n[i]!==null),r=t.length===Object.keys(e).filter(i=>e[i]!==null).length;for(let i=0;i<t.length&&r;i++){let s=t[i],o=n[s],l=e[s];r=s==="ychange"||o===l||tm(o)&&tm(l)&&_a(o,l)}return r},Xo=n=>{let e=n.content.content,t=[];for(let r=0;r<e.length;r++){let i=e[r];if(i.isText){let s=[];for(let o=e[r];r<e.length&&o.isText;o=e[++r])s.push(o);r--,t.push(s)}else t.push(i)}return t},sm=(n,e)=>{let t=n.toDelta();return t.length===e.length&&t.every((r,i)=>r.insert===e[i].text&&Ic(r.attributes||{}).length===e[i].marks.length&&e[i].marks.every(s=>_a(r.attributes[s.type.name]||{},s.attrs)))},ts=(n,e)=>{if(n instanceof re&&!(e instanceof Array)&&va(n,e)){let t=Xo(e);return n._length===t.length&&_a(n.getAttributes(),e.attrs)&&n.toArray().every((r,i)=>ts(r,t[i]))}return n instanceof Me&&e instanceof Array&&sm(n,e)},Go=(n,e)=>n===e||n instanceof Array&&e instanceof Array&&n.length===e.length&&n.every((t,r)=>e[r]===t),nm=(n,e,t)=>{let r=n.toArray(),i=Xo(e),s=i.length,o=r.length,l=Re(o,s),c=0,a=0,h=!1;for(;c<l;c++){let f=r[c],d=i[c];if(Go(t.get(f),d))h=!0;else if(!ts(f,d))break}for(;c+a<l;a++){let f=r[o-a-1],d=i[s-a-1];if(Go(t.get(f),d))h=!0;else if(!ts(f,d))break}return{equalityFactor:c+a,foundMappedChild:h}},Jx=n=>{let e="",t=n._start,r={};for(;t!==null;)t.deleted||(t.countable&&t.content instanceof Ve?e+=t.content.str:t.content instanceof L&&(r[t.content.key]=null)),t=t.right;return{str:e,nAttrs:r}},jx=(n,e,t)=>{t.set(n,e);let{nAttrs:r,str:i}=Jx(n),s=e.map(a=>({insert:a.text,attributes:Object.assign({},r,om(a.marks))})),{insert:o,remove:l,index:c}=em(i,s.map(a=>a.insert).join(""));n.delete(c,l),n.insert(c,o),n.applyDelta(s.map(a=>({retain:a.insert.length,attributes:a.attributes})))},om=n=>{let e={};return n.forEach(t=>{t.type.name!=="ychange"&&(e[t.type.name]=t.attrs)}),e},zr=(n,e,t,r)=>{if(e instanceof re&&e.nodeName!==t.type.name)throw new Error("node name mismatch!");if(r.set(e,t),e instanceof re){let f=e.getAttributes(),d=t.attrs;for(let u in d)d[u]!==null?f[u]!==d[u]&&u!=="ychange"&&e.setAttribute(u,d[u]):e.removeAttribute(u);for(let u in f)d[u]===void 0&&e.removeAttribute(u)}let i=Xo(t),s=i.length,o=e.toArray(),l=o.length,c=Re(s,l),a=0,h=0;for(;a<c;a++){let f=o[a],d=i[a];if(!Go(r.get(f),d))if(ts(f,d))r.set(f,d);else break}for(;h+a+1<c;h++){let f=o[l-h-1],d=i[s-h-1];if(!Go(r.get(f),d))if(ts(f,d))r.set(f,d);else break}n.transact(()=>{for(;l-a-h>0&&s-a-h>0;){let d=o[a],u=i[a],p=o[l-h-1],m=i[s-h-1];if(d instanceof Me&&u instanceof Array)sm(d,u)||jx(d,u,r),a+=1;else{let g=d instanceof re&&va(d,u),y=p instanceof re&&va(p,m);if(g&&y){let T=nm(d,u,r),N=nm(p,m,r);T.foundMappedChild&&!N.foundMappedChild?y=!1:!T.foundMappedChild&&N.foundMappedChild||T.equalityFactor<N.equalityFactor?g=!1:y=!1}g?(zr(n,d,u,r),a+=1):y?(zr(n,p,m,r),h+=1):(r.delete(e.get(a)),e.delete(a,1),e.insert(a,[Ra(u,r)]),a+=1)}}let f=l-a-h;if(l===1&&s===0&&o[0]instanceof Me?(r.delete(o[0]),o[0].delete(0,o[0].length)):f>0&&(e.slice(a,a+f).forEach(d=>r.delete(d)),e.delete(a,f)),a+h<s){let d=[];for(let u=a;u<s-h;u++)d.push(Ra(i[u],r));e.insert(a,d)}},v)},va=(n,e)=>!(e instanceof Array)&&n.nodeName===e.type.name;var ns=null,Wx=()=>{let n=ns;ns=null,n.forEach((e,t)=>{let r=t.state.tr,i=v.getState(t.state);i&&i.binding&&!i.binding.isDestroyed&&(e.forEach((s,o)=>{r.setMeta(o,s)}),t.dispatch(r))})},Ua=(n,e,t)=>{ns||(ns=new Map,Ri(0,Wx)),W(ns,n,_).set(e,t)},nn=(n,e,t)=>{if(n===0)return ji(e,0,-1);let r=e._first===null?null:e._first.content.type;for(;r!==null&&e!==r;){if(r instanceof Me){if(r._length>=n)return ji(r,n,-1);if(n-=r._length,r._item!==null&&r._item.next!==null)r=r._item.next.content.type;else{do r=r._item===null?null:r._item.parent,n--;while(r!==e&&r!==null&&r._item!==null&&r._item.next===null);r!==null&&r!==e&&(r=r._item===null?null:r._item.next.content.type)}}else{let i=(t.get(r)||{nodeSize:0}).nodeSize;if(r._first!==null&&n<i)r=r._first.content.type,n--;else{if(n===1&&r._length===0&&i>1)return new ft(r._item===null?null:r._item.id,r._item===null?$n(r):null,null);if(n-=i,r._item!==null&&r._item.next!==null)r=r._item.next.content.type;else{if(n===0)return r=r._item===null?r:r._item.parent,new ft(r._item===null?null:r._item.id,r._item===null?$n(r):null,null);do r=r._item.parent,n--;while(r!==e&&r._item.next===null);r!==e&&(r=r._item.next.content.type)}}}if(r===null)throw F();if(n===0&&r.constructor!==Me&&r!==e)return Kx(r._item.parent,r._item)}return ji(e,e._length,-1)},Kx=(n,e)=>{let t=null,r=null;return n._item===null?r=$n(n):t=M(n._item.id.client,n._item.id.clock),new ft(t,r,e.id)},_t=(n,e,t,r)=>{let i=ba(t,n);if(i===null||i.type!==e&&!_n(e,i.type._item))return null;let s=i.type,o=0;if(s.constructor===Me)o=i.index;else if(s._item===null||!s._item.deleted){let l=s._first,c=0;for(;c<s._length&&c<i.index&&l!==null;){if(!l.deleted){let a=l.content.type;c++,a instanceof Me?o+=a._length:o+=r.get(a).nodeSize}l=l.right}o+=1}for(;s!==e&&s._item!==null;){let l=s._item.parent;if(l._item===null||!l._item.deleted){o+=1;let c=l._first;for(;c!==null;){let a=c.content.type;if(a===s)break;c.deleted||(a instanceof Me?o+=a._length:o+=r.get(a).nodeSize),c=c.right}}s=l}return o-1};function lm(n,e="prosemirror"){let t=new Je,r=t.get(e,pt);return r.doc?(Va(n,r),r.doc):t}function Va(n,e){let t=e||new pt,r=t.doc?t.doc:{transact:i=>i(void 0)};return zr(r,t,n,new Map),t}function cm(n,e){let t=Ba(e);return Be.fromJSON(n,t)}function Ba(n,e="prosemirror"){return Pa(n.getXmlFragment(e))}function Pa(n){let e=n.toArray();function t(r){let i;if(!r.nodeName)i=r.toDelta().map(o=>{let l={type:"text",text:o.insert};return o.attributes&&(l.marks=Object.keys(o.attributes).map(c=>{let a=o.attributes[c],h={type:c};return Object.keys(a)&&(h.attrs=a),h})),l});else{i={type:r.nodeName};let s=r.getAttributes();Object.keys(s).length&&(i.attrs=s);let o=r.toArray();o.length&&(i.content=o.map(t).flat())}return i}return{type:"doc",content:e.map(t)}}var Yx=(n,e,t)=>n!==e,Gx=n=>{let e=document.createElement("span");e.classList.add("ProseMirror-yjs-cursor"),e.setAttribute("style",`border-color: ${n.color}`);let t=document.createElement("div");t.setAttribute("style",`background-color: ${n.color}`),t.insertBefore(document.createTextNode(n.name),null);let r=document.createTextNode("\u2060"),i=document.createTextNode("\u2060");return e.insertBefore(r,null),e.insertBefore(t,null),e.insertBefore(i,null),e},Xx=n=>({style:`background-color: ${n.color}70`,class:"ProseMirror-yjs-selection"}),Qx=/^#[0-9a-fA-F]{6}$/,am=(n,e,t,r,i)=>{let s=v.getState(n),o=s.doc,l=[];return s.snapshot!=null||s.prevSnapshot!=null||s.binding.mapping.size===0?V.create(n.doc,[]):(e.getStates().forEach((c,a)=>{if(t(o.clientID,a,c)&&c.cursor!=null){let h=c.user||{};h.color==null?h.color="#ffa500":Qx.test(h.color)||console.warn("A user uses an unsupported color format",h),h.name==null&&(h.name=`User: ${a}`);let f=_t(o,s.type,qn(c.cursor.anchor),s.binding.mapping),d=_t(o,s.type,qn(c.cursor.head),s.binding.mapping);if(f!==null&&d!==null){let u=$e(n.doc.content.size-1,0);f=Re(f,u),d=Re(d,u),l.push(te.widget(d,()=>r(h),{key:a+"",side:10}));let p=Re(f,d),m=$e(f,d);l.push(te.inline(p,m,i(h),{inclusiveEnd:!0,inclusiveStart:!1}))}}}),V.create(n.doc,l))},Zx=(n,{awarenessStateFilter:e=Yx,cursorBuilder:t=Gx,selectionBuilder:r=Xx,getSelection:i=o=>o.selection}={},s="cursor")=>new J({key:Xi,state:{init(o,l){return am(l,n,e,t,r)},apply(o,l,c,a){let h=v.getState(a),f=o.getMeta(Xi);return h&&h.isChangeOrigin||f&&f.awarenessUpdated?am(a,n,e,t,r):l.map(o.mapping,o.doc)}},props:{decorations:o=>Xi.getState(o)},view:o=>{let l=()=>{o.docView&&Ua(o,Xi,{awarenessUpdated:!0})},c=()=>{let a=v.getState(o.state),h=n.getLocalState()||{};if(o.hasFocus()){let f=i(o.state),d=nn(f.anchor,a.type,a.binding.mapping),u=nn(f.head,a.type,a.binding.mapping);(h.cursor==null||!zo(qn(h.cursor.anchor),d)||!zo(qn(h.cursor.head),u))&&n.setLocalStateField(s,{anchor:d,head:u})}else h.cursor!=null&&_t(a.doc,a.type,qn(h.cursor.anchor),a.binding.mapping)!==null&&n.setLocalStateField(s,null)};return n.on("change",l),o.dom.addEventListener("focusin",c),o.dom.addEventListener("focusout",c),{update:c,destroy:()=>{o.dom.removeEventListener("focusin",c),o.dom.removeEventListener("focusout",c),n.off("change",l),n.setLocalStateField(s,null)}}}});var eS=n=>{let e=vt.getState(n).undoManager;if(e!=null)return e.undo(),!0},tS=n=>{let e=vt.getState(n).undoManager;if(e!=null)return e.redo(),!0},nS=new Set(["paragraph"]),rS=(n,e)=>!(n instanceof O)||!(n.content instanceof Oe)||!(n.content.type instanceof ut||n.content.type instanceof re&&e.has(n.content.type.nodeName))||n.content.type._length===0,iS=({protectedNodes:n=nS,trackedOrigins:e=[],undoManager:t=null}={})=>new J({key:vt,state:{init:(r,i)=>{let s=v.getState(i),o=t||new Un(s.type,{trackedOrigins:new Set([v].concat(e)),deleteFilter:l=>rS(l,n),captureTransaction:l=>l.meta.get("addToHistory")!==!1});return{undoManager:o,prevSel:null,hasUndoOps:o.undoStack.length>0,hasRedoOps:o.redoStack.length>0}},apply:(r,i,s,o)=>{let l=v.getState(o).binding,c=i.undoManager,a=c.undoStack.length>0,h=c.redoStack.length>0;return l?{undoManager:c,prevSel:es(l,s),hasUndoOps:a,hasRedoOps:h}:a!==i.hasUndoOps||h!==i.hasRedoOps?Object.assign({},i,{hasUndoOps:c.undoStack.length>0,hasRedoOps:c.redoStack.length>0}):i}},view:r=>{let i=v.getState(r.state),s=vt.getState(r.state).undoManager;return s.on("stack-item-added",({stackItem:o})=>{let l=i.binding;l&&o.meta.set(l,vt.getState(r.state).prevSel)}),s.on("stack-item-popped",({stackItem:o})=>{let l=i.binding;l&&(l.beforeTransactionSelection=o.meta.get(l)||l.beforeTransactionSelection)}),{destroy:()=>{s.destroy()}}}});var rs="http://www.w3.org/2000/svg",sS="http://www.w3.org/1999/xlink",za="ProseMirror-icon",La="pm-close-dropdowns";function oS(n){let e=0;for(let t=0;t<n.length;t++)e=(e<<5)-e+n.charCodeAt(t)|0;return e}function lS(n,e){let t=(n.nodeType==9?n:n.ownerDocument)||document,r=t.createElement("div");if(r.className=za,e.path){let{path:i,width:s,height:o}=e,l="pm-icon-"+oS(i).toString(16);t.getElementById(l)||cS(n,l,e);let c=r.appendChild(t.createElementNS(rs,"svg"));c.style.width=s/o+"em",c.appendChild(t.createElementNS(rs,"use")).setAttributeNS(sS,"href",/([^#]*)/.exec(t.location.toString())[1]+"#"+l)}else if(e.dom)r.appendChild(e.dom.cloneNode(!0));else{let{text:i,css:s}=e;r.appendChild(t.createElement("span")).textContent=i||"",s&&(r.firstChild.style.cssText=s)}return r}function cS(n,e,t){let[r,i]=n.nodeType==9?[n,n.body]:[n.ownerDocument||document,n],s=r.getElementById(za+"-collection");s||(s=r.createElementNS(rs,"svg"),s.id=za+"-collection",s.style.display="none",i.insertBefore(s,i.firstChild));let o=r.createElementNS(rs,"symbol");o.id=e,o.setAttribute("viewBox","0 0 "+t.width+" "+t.height),o.appendChild(r.createElementNS(rs,"path")).setAttribute("d",t.path),s.appendChild(o)}var Qe="ProseMirror-menu",mt=class{constructor(e){this.spec=e}render(e){let t=this.spec,r=t.render?t.render(e):t.icon?lS(e.root,t.icon):t.label?Mt("div",null,Qo(e,t.label)):null;if(!r)throw new RangeError("MenuItem without icon or label property");if(t.title){let s=typeof t.title=="function"?t.title(e.state):t.title;r.setAttribute("title",Qo(e,s))}t.class&&r.classList.add(t.class),t.css&&(r.style.cssText+=t.css),t.column&&r.setAttribute("column",t.column),r.addEventListener("mousedown",s=>{s.preventDefault(),r.classList.contains(Qe+"-disabled")||t.run(e.state,e.dispatch,e,s)});function i(s){if(t.select){let l=t.select(s);if(r.style.display=l?"":"none",!l)return!1}let o=!0;if(t.enable&&(o=t.enable(s)||!1,hm(r,Qe+"-disabled",!o)),t.active){let l=o&&t.active(s)||!1;hm(r,Qe+"-active",l)}return!0}return{dom:r,update:i}}};function Qo(n,e){return n._props.translate?n._props.translate(e):e}var is={time:0,node:null};function aS(n){is.time=Date.now(),is.node=n.target}function hS(n){return Date.now()-100<is.time&&is.node&&n.contains(is.node)}var Fa=class{constructor(e,t={sticky:!0}){this.options=t||{},this.content=Array.isArray(e)?e:[e]}render(e){let t=fS(this.content,e),r=e.dom.ownerDocument.defaultView||window,i=Mt("div",{class:Qe+"-dropdown "+(this.options.class||""),style:this.options.css},Qo(e,this.options.label||""));this.options.title&&i.setAttribute("title",Qo(e,this.options.title));let s=Mt("div",{class:Qe+"-dropdown-wrap"},i),o=null,l=null,c=null,a=()=>{o&&o.close()&&(o=null,this.options.sticky||r.removeEventListener("mousedown",l),r.removeEventListener(La,c))};i.addEventListener("mousedown",f=>{f.preventDefault(),aS(f),o?a():(r.dispatchEvent(new CustomEvent(La)),o=this.expand(s,t.dom),this.options.sticky||r.addEventListener("mousedown",l=()=>{hS(s)||a()}),r.addEventListener(La,c=()=>{a()}))});function h(f){let d=t.update(f);return s.style.display=d?"":"none",d}return{dom:s,update:h}}expand(e,t){let r=document.createElement("div");r.className=`${Qe}-dropdown-menu-col-1`;let i=document.createElement("div");i.className=`${Qe}-dropdown-menu-col-2`,t.forEach(c=>{c.querySelector('[column="2"]')?i.append(c):r.append(c)});let s=Mt("div",{class:Qe+"-dropdown-menu "+(this.options.class||"")},r,i),o=!1;function l(){return o?!1:(o=!0,e.removeChild(s),!0)}return e.appendChild(s),{close:l,node:s}}};function fS(n,e){let t=[],r=[];for(let i=0;i<n.length;i++){let{dom:s,update:o}=n[i].render(e);t.push(Mt("div",{class:Qe+"-dropdown-item"},s)),r.push(o)}return{dom:t,update:fm(r,t)}}function fm(n,e){return t=>{let r=!1;for(let i=0;i<n.length;i++){let s=n[i](t);e[i].style.display=s?"":"none",s&&(r=!0)}return r}}function dS(n,e){let t=document.createDocumentFragment(),r=[],i=[];for(let o=0;o<e.length;o++){let l=e[o],c=[],a=[];for(let h=0;h<l.length;h++){let{dom:f,update:d}=l[h].render(n),u=Mt("span",{class:Qe+"item"},f);t.appendChild(u),a.push(u),c.push(d)}c.length&&(r.push(fm(c,a)),o<e.length-1&&i.push(t.appendChild(uS())))}function s(o){let l=!1,c=!1;for(let a=0;a<r.length;a++){let h=r[a](o);a&&(i[a-1].style.display=c&&h?"":"none"),c=h,h&&(l=!0)}return l}return{dom:t,update:s}}function uS(){return Mt("span",{class:Qe+"separator"})}var ss={join:{width:800,height:900,path:"M0 75h800v125h-800z M0 825h800v-125h-800z M250 400h100v-100h100v100h100v100h-100v100h-100v-100h-100z"},lift:{width:1024,height:1024,path:"M219 310v329q0 7-5 12t-12 5q-8 0-13-5l-164-164q-5-5-5-13t5-13l164-164q5-5 13-5 7 0 12 5t5 12zM1024 749v109q0 7-5 12t-12 5h-987q-7 0-12-5t-5-12v-109q0-7 5-12t12-5h987q7 0 12 5t5 12zM1024 530v109q0 7-5 12t-12 5h-621q-7 0-12-5t-5-12v-109q0-7 5-12t12-5h621q7 0 12 5t5 12zM1024 310v109q0 7-5 12t-12 5h-621q-7 0-12-5t-5-12v-109q0-7 5-12t12-5h621q7 0 12 5t5 12zM1024 91v109q0 7-5 12t-12 5h-987q-7 0-12-5t-5-12v-109q0-7 5-12t12-5h987q7 0 12 5t5 12z"},selectParentNode:{text:"\u2B1A",css:"font-weight: bold"},undo:{width:1024,height:1024,path:"M761 1024c113-206 132-520-313-509v253l-384-384 384-384v248c534-13 594 472 313 775z"},redo:{width:1024,height:1024,path:"M576 248v-248l384 384-384 384v-253c-446-10-427 303-313 509-280-303-221-789 313-775z"},strong:{width:805,height:1024,path:"M317 869q42 18 80 18 214 0 214-191 0-65-23-102-15-25-35-42t-38-26-46-14-48-6-54-1q-41 0-57 5 0 30-0 90t-0 90q0 4-0 38t-0 55 2 47 6 38zM309 442q24 4 62 4 46 0 81-7t62-25 42-51 14-81q0-40-16-70t-45-46-61-24-70-8q-28 0-74 7 0 28 2 86t2 86q0 15-0 45t-0 45q0 26 0 39zM0 950l1-53q8-2 48-9t60-15q4-6 7-15t4-19 3-18 1-21 0-19v-37q0-561-12-585-2-4-12-8t-25-6-28-4-27-2-17-1l-2-47q56-1 194-6t213-5q13 0 39 0t38 0q40 0 78 7t73 24 61 40 42 59 16 78q0 29-9 54t-22 41-36 32-41 25-48 22q88 20 146 76t58 141q0 57-20 102t-53 74-78 48-93 27-100 8q-25 0-75-1t-75-1q-60 0-175 6t-132 6z"},em:{width:585,height:1024,path:"M0 949l9-48q3-1 46-12t63-21q16-20 23-57 0-4 35-165t65-310 29-169v-14q-13-7-31-10t-39-4-33-3l10-58q18 1 68 3t85 4 68 1q27 0 56-1t69-4 56-3q-2 22-10 50-17 5-58 16t-62 19q-4 10-8 24t-5 22-4 26-3 24q-15 84-50 239t-44 203q-1 5-7 33t-11 51-9 47-3 32l0 10q9 2 105 17-1 25-9 56-6 0-18 0t-18 0q-16 0-49-5t-49-5q-78-1-117-1-29 0-81 5t-69 6z"},code:{width:896,height:1024,path:"M608 192l-96 96 224 224-224 224 96 96 288-320-288-320zM288 192l-288 320 288 320 96-96-224-224 224-224-96-96z"},link:{width:951,height:1024,path:"M832 694q0-22-16-38l-118-118q-16-16-38-16-24 0-41 18 1 1 10 10t12 12 8 10 7 14 2 15q0 22-16 38t-38 16q-8 0-15-2t-14-7-10-8-12-12-10-10q-18 17-18 41 0 22 16 38l117 118q15 15 38 15 22 0 38-14l84-83q16-16 16-38zM430 292q0-22-16-38l-117-118q-16-16-38-16-22 0-38 15l-84 83q-16 16-16 38 0 22 16 38l118 118q15 15 38 15 24 0 41-17-1-1-10-10t-12-12-8-10-7-14-2-15q0-22 16-38t38-16q8 0 15 2t14 7 10 8 12 12 10 10q18-17 18-41zM941 694q0 68-48 116l-84 83q-47 47-116 47-69 0-116-48l-117-118q-47-47-47-116 0-70 50-119l-50-50q-49 50-118 50-68 0-116-48l-118-118q-48-48-48-116t48-116l84-83q47-47 116-47 69 0 116 48l117 118q47 47 47 116 0 70-50 119l50 50q49-50 118-50 68 0 116 48l118 118q48 48 48 116z"},bulletList:{width:768,height:896,path:"M0 512h128v-128h-128v128zM0 256h128v-128h-128v128zM0 768h128v-128h-128v128zM256 512h512v-128h-512v128zM256 256h512v-128h-512v128zM256 768h512v-128h-512v128z"},orderedList:{width:768,height:896,path:"M320 512h448v-128h-448v128zM320 768h448v-128h-448v128zM320 128v128h448v-128h-448zM79 384h78v-256h-36l-85 23v50l43-2v185zM189 590c0-36-12-78-96-78-33 0-64 6-83 16l1 66c21-10 42-15 67-15s32 11 32 28c0 26-30 58-110 112v50h192v-67l-91 2c49-30 87-66 87-113l1-1z"},blockquote:{width:640,height:896,path:"M0 448v256h256v-256h-128c0 0 0-128 128-128v-128c0 0-256 0-256 256zM640 320v-128c0 0-256 0-256 256v256h256v-256h-128c0 0 0-128 128-128z"}},AM=new mt({title:"Join with above block",run:li,select:n=>li(n),icon:ss.join}),TM=new mt({title:"Lift out of enclosing block",run:ci,select:n=>ci(n),icon:ss.lift}),EM=new mt({title:"Select parent node",run:ai,select:n=>ai(n),icon:ss.selectParentNode}),DM=new mt({title:"Undo last change",run:di,enable:n=>di(n),icon:ss.undo}),OM=new mt({title:"Redo last undone change",run:lr,enable:n=>lr(n),icon:ss.redo});function pS(n,e){let t={run(r,i){return or(n,e.attrs)(r,i)},select(r){return or(n,e.attrs)(r)}};for(let r in e)t[r]=e[r];return new mt(t)}function mS(n,e){let t=xn(n,e.attrs),r={run:t,enable(i){return t(i)},active(i){let{$from:s,to:o,node:l}=i.selection;return l?l.hasMarkup(n,e.attrs):o<=s.end()&&s.parent.hasMarkup(n,e.attrs)}};for(let i in e)r[i]=e[i];return new mt(r)}function hm(n,e,t){t?n.classList.add(e):n.classList.remove(e)}export{Wn as DOMParser,Bt as DOMSerializer,te as Decoration,V as DecorationSet,Fa as Dropdown,bl as EditorState,$l as EditorView,w as Fragment,nt as InputRule,mt as MenuItem,k as NodeSelection,J as Plugin,fe as PluginKey,Hr as Schema,b as Slice,A as TextSelection,Ia as WebsocketProvider,Br as Y,nn as absolutePositionToRelativePosition,rw as addColumnAfter,nw as addColumnBefore,d0 as addListNodes,cw as addRowAfter,lw as addRowBefore,td as baseKeymap,Fy as baseSchema,mS as blockTypeItem,L0 as buildKeymap,Dw as columnResizing,sw as deleteColumn,hw as deleteRow,ww as deleteTable,Ad as fixTables,N0 as gapCursor,yw as goToNextCell,ld as inputRules,Ye as isInTable,S0 as keymap,tc as liftListItem,dw as mergeCells,lm as prosemirrorToYDoc,Va as prosemirrorToYXmlFragment,_t as relativePositionToAbsolutePosition,dS as renderGrouped,Ge as selectedRect,xn as setBlockType,nc as sinkListItem,uw as splitCell,ec as splitListItem,Lw as tableEditing,H0 as tableNodes,Sn as toggleMark,or as wrapIn,Us as wrapInList,pS as wrapItem,ad as wrappingInputRule,Zx as yCursorPlugin,cm as yDocToProsemirror,Ba as yDocToProsemirrorJSON,tS as yRedo,rm as ySyncPlugin,v as ySyncPluginKey,eS as yUndo,iS as yUndoPlugin,vt as yUndoPluginKey,Pa as yXmlFragmentToProsemirrorJSON};
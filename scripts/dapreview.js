@@ -1,4 +1,5 @@
 let port;
+let highlighted = null;
 
 async function loadCSS(href) {
   return new Promise((resolve, reject) => {
@@ -15,8 +16,8 @@ async function loadCSS(href) {
   });
 }
 
-function handleScrollTo() {
-  const cursorEl = window.document.getElementById('da-cursor-position');
+function handleScrollTo(selector = '#da-cursor-position') {
+  const cursorEl = window.document.querySelector(selector);
   if (cursorEl) {
     // Calculate header height dynamically and set scroll-margin
     const header = document.querySelector('header');
@@ -29,7 +30,31 @@ function handleScrollTo() {
     // Use native scrollIntoView with the margin applied
     cursorEl.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
   }
-  port.postMessage({ updated: true });
+}
+
+function handlePreferences({ colorScheme, reducedMotion }) {
+  const root = document.documentElement;
+  if (colorScheme) {
+    root.style.colorScheme = colorScheme;
+    root.classList.toggle('dark-scheme', colorScheme === 'dark');
+    root.classList.toggle('light-scheme', colorScheme === 'light');
+  }
+  if (reducedMotion) root.classList.toggle('da-reduced-motion', reducedMotion === 'reduce');
+}
+
+function handleHighlight(source) {
+  highlighted = source ?? null;
+  document.querySelectorAll('.da-preview-highlight').forEach((el) => {
+    el.classList.remove('da-preview-highlight');
+  });
+  if (highlighted === null) return;
+  const el = document.querySelector(`[data-da-source="${CSS.escape(String(highlighted))}"]`);
+  el?.classList.add('da-preview-highlight');
+}
+
+function handleClick(e) {
+  const el = e.target.closest?.('[data-da-source]');
+  if (el) port?.postMessage({ source: el.dataset.daSource });
 }
 
 export default async function daPreview(loadPage) {
@@ -42,8 +67,23 @@ export default async function daPreview(loadPage) {
       document.body.className = 'da-preview';
       document.body.innerHTML = doc.body.innerHTML;
       await loadPage();
+      // Keep the selected node outlined in the new body
+      handleHighlight(highlighted);
       handleScrollTo();
+      port.postMessage({ updated: true });
     }
+    if (e.data.set === 'scroll') handleScrollTo(e.data.selector);
+    if (e.data.set === 'preferences') handlePreferences(e.data);
+    if (e.data.set === 'highlight') handleHighlight(e.data.source);
+  }
+
+  // Handle messages in order so nothing is applied to a body still loading
+  let queue = Promise.resolve();
+  function queueMessage(e) {
+    queue = queue.then(() => onMessage(e)).catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error('DA Preview:', err);
+    });
   }
 
   function initPort(e) {
@@ -64,7 +104,9 @@ export default async function daPreview(loadPage) {
       port.postMessage({ ready: true });
 
       // Going forward, all messages will be sent via the port
-      port.onmessage = onMessage;
+      port.onmessage = queueMessage;
+      // Let the editor select the node that was clicked
+      document.addEventListener('click', handleClick);
       // watchHeight();
     }
   }
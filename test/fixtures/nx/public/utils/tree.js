@@ -1,7 +1,13 @@
 export class Queue {
-  constructor() { this.items = []; }
+  constructor(callback) {
+    this.items = [];
+    this.callback = callback;
+  }
 
-  push(item) { this.items.push(item); }
+  async push(item) {
+    this.items.push(item);
+    return this.callback?.(item);
+  }
 
   shift() { return this.items.shift(); }
 }
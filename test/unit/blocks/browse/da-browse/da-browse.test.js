@@ -200,6 +200,31 @@ describe('Browse', () => {
     expect(calls).to.equal(2);
   });
 
+  it('loadModifiedBy only fetches the version list of the given rows', async () => {
+    const daBrowse = new DaBrowse();
+    daBrowse._listItems = [
+      { path: '/org/site/a.html', ext: 'html' },
+      { path: '/org/site/b.html', ext: 'html' },
+      { path: '/org/site/folder' },
+    ];
+    const requested = [];
+
+    const orgFetch = window.fetch;
+    try {
+      window.fetch = async (url) => {
+        requested.push(new URL(url).pathname);
+        return new Response(JSON.stringify([{ timestamp: 1, users: [{ email: 'jane@example.com' }] }]));
+      };
+      await daBrowse.loadModifiedBy(['/org/site/a.html', '/org/site/folder']);
+    } finally {
+      window.fetch = orgFetch;
+    }
+
+    expect(requested).to.deep.equal(['/versionlist/org/site/a.html']);
+    expect(daBrowse._modifiedBy.get('/org/site/a.html')).to.equal('jane');
+    expect(daBrowse._modifiedBy.has('/org/site/b.html')).to.be.false;
+  });
+
   it('hasPaginationStateChanges ignores unrelated property changes', () => {
     const daBrowse = new DaBrowse();
     daBrowse._listItems = [{ path: '/a', name: 'a' }];
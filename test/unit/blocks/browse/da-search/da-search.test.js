@@ -1,6 +1,7 @@
 /* eslint-disable no-underscore-dangle */
 import { expect } from '@esm-bundle/chai';
 import { stub, spy } from 'sinon';
+import { nothing } from 'da-lit';
 
 // Setup for dynamic imports
 const { setNx } = await import('../../../../../scripts/utils.js');
@@ -540,6 +541,33 @@ describe('DaSearch', () => {
 
       expect(daSearch._time.length).to.be.at.most(4);
     });
+
+    it('tells how old the index is and refreshes it', async () => {
+      daSearch._term = 'test';
+      daSearch._indexedAt = Date.now();
+      expect(daSearch.indexAgeText).to.equal(nothing);
+
+      daSearch._indexedAt = Date.now() - 6 * 60 * 1000;
+      expect(daSearch.indexAgeText.strings.join('')).to.contain('min ago');
+
+      daSearch.handleRefreshIndex();
+      expect(daSearch.getMatches.firstCall.args).to.deep.equal(['/org/site/folder', 'test', true]);
+    });
+  });
+
+  describe('canReplace', () => {
+    it('only replaces a single word or phrase', () => {
+      daSearch._regex = false;
+      daSearch._term = '"summer sale"';
+      expect(daSearch.canReplace).to.be.true;
+      expect(daSearch.getReplaceOptions('deal').pattern.source).to.equal('summer sale');
+
+      daSearch._term = 'block:hero sale';
+      expect(daSearch.canReplace).to.be.false;
+
+      daSearch._regex = true;
+      expect(daSearch.canReplace).to.be.true;
+    });
   });
 
   describe('handleReplace', () => {
@@ -616,6 +644,33 @@ describe('DaSearch', () => {
 
       expect(daSearch._total).to.equal(5);
     });
+
+    it('awaits retries and versions every file once', async () => {
+      daSearch._items = [{ path: '/org/site/file1.html', ext: 'html' }];
+      const requests = [];
+      let puts = 0;
+      fetchStub.callsFake(async (url, opts = {}) => {
+        requests.push(opts.method || 'GET');
+        if (opts.method === 'POST') return new Response('', { status: 201 });
+        if (opts.method === 'PUT') {
+          puts += 1;
+          if (puts === 1) throw new Error('Network error');
+          return new Response('', { status: 200 });
+        }
+        return new Response('<body><main><p>content with oldtext</p></main></body>', { status: 200 });
+      });
+      const event = {
+        preventDefault: () => {},
+        target: { elements: [{ value: 'newtext' }] },
+      };
+
+      await daSearch.handleReplace(event);
+
+      expect(requests.filter((method) => method === 'POST').length).to.equal(1);
+      expect(puts).to.equal(2);
+      expect(daSearch._matches).to.equal(1);
+      expect(daSearch._journal.files.map((file) => file.path)).to.deep.equal(['/org/site/file1.html']);
+    });
   });
 
   describe('getters', () => {
@@ -0,0 +1,103 @@
+import { expect } from '@esm-bundle/chai';
+import {
+  indexFile,
+  parseQuery,
+  matchRecord,
+  queryIndex,
+  updateIndex,
+  refreshIndex,
+  getRefreshTime,
+} from '../../../../../../blocks/browse/da-search/helpers/index.js';
+
+const HTML = `<body><header></header><main>
+  <div>
+    <h1>Summer Sale</h1>
+    <p>Big savings on <a href="https://example.com/offers">outdoor gear</a>.</p>
+    <div class="hero dark"><div><div><picture><img src="./media_123.png"></picture></div></div></div>
+    <div class="metadata">
+      <div><div>Template</div><div>Article</div></div>
+      <div><div>Description</div><div>Deals of the week</div></div>
+    </div>
+  </div>
+</main></body>`;
+
+const FILE = { path: '/org/site/en/sale.html', ext: 'html', lastModified: 1 };
+
+describe('Search index', () => {
+  const record = indexFile(FILE, HTML);
+
+  it('Indexes the title, metadata, blocks and text of a page', () => {
+    expect(record.title).to.equal('Summer Sale');
+    expect(record.meta).to.deep.equal({ template: 'Article', description: 'Deals of the week' });
+    expect(record.blocks).to.deep.equal(['hero', 'metadata']);
+    expect(record.text).to.contain('Big savings on outdoor gear.');
+    expect(record.text).to.contain('https://example.com/offers');
+    expect(record.text).not.to.contain('Deals of the week');
+    expect(record.tokens).to.include('savings');
+  });
+
+  it('Parses phrases, prefixes and fields', () => {
+    const terms = parseQuery('"outdoor gear" sav* block:hero meta:template=article -winter https://example.com');
+    expect(terms).to.deep.equal([
+      { field: 'text', value: 'outdoor gear', not: false },
+      { field: 'text', value: 'sav', not: false, prefix: true },
+      { field: 'block', value: 'hero', not: false },
+      { field: 'meta', value: 'template=article', not: false },
+      { field: 'text', value: 'winter', not: true },
+      { field: 'text', value: 'https://example.com', not: false },
+    ]);
+  });
+
+  it('Matches records against every term', () => {
+    const match = (query, caseSensitive) => matchRecord(record, parseQuery(query), caseSensitive);
+    expect(match('"outdoor gear" sav*')).to.be.true;
+    expect(match('block:hero meta:template=article')).to.be.true;
+    expect(match('meta:template=blog')).to.be.false;
+    expect(match('meta:description')).to.be.true;
+    expect(match('block:cards')).to.be.false;
+    expect(match('title:summer path:/en/')).to.be.true;
+    expect(match('sale -summer')).to.be.false;
+    expect(match('summer', true)).to.be.false;
+    expect(match('sale.html')).to.be.true;
+    expect(match('')).to.be.false;
+  });
+
+  it('Queries the records of a folder', async () => {
+    await updateIndex(FILE, HTML);
+    await updateIndex({ path: '/org/site/de/sale.html', ext: 'html', lastModified: 1 }, HTML);
+    await updateIndex({ path: '/org/site/en/data.json', ext: 'json', lastModified: 1 }, '{"sale":true}');
+
+    const { matches, total } = await queryIndex('/org/site/en', 'sale');
+    expect(total).to.equal(2);
+    expect(matches.map((match) => match.path)).to.deep.equal([
+      '/org/site/en/sale.html',
+      '/org/site/en/data.json',
+    ]);
+  });
+
+  it('Shares a refresh between concurrent searches of a scope', async () => {
+    const file = { path: '/org/site/fr/sale.html', ext: 'html', lastModified: 1 };
+    await updateIndex(file, HTML);
+
+    let crawls = 0;
+    const crawl = ({ callback }) => {
+      crawls += 1;
+      return { results: callback(file) };
+    };
+    const scope = { paths: ['/org/site/fr'], files: [] };
+    const progress = [];
+    const first = refreshIndex(crawl, scope, { force: true });
+    const second = refreshIndex(crawl, scope, { onProgress: (counts) => progress.push(counts) });
+
+    expect(await Promise.all([first, second])).to.deep.equal([false, false]);
+    expect(crawls).to.equal(1);
+    expect(progress).to.deep.equal([{ listed: 1, indexed: 1 }]);
+    expect(getRefreshTime(scope)).to.be.closeTo(Date.now(), 1000);
+
+    // A fresh index is re-used unless the refresh is forced
+    await refreshIndex(crawl, scope);
+    expect(crawls).to.equal(1);
+    await refreshIndex(crawl, scope, { force: true });
+    expect(crawls).to.equal(2);
+  });
+});
@@ -0,0 +1,62 @@
+import { expect } from '@esm-bundle/chai';
+import { stub } from 'sinon';
+import {
+  saveJournal,
+  getLastJournal,
+  revertJournal,
+} from '../../../../../../blocks/browse/da-search/helpers/journal.js';
+
+const JOURNAL = {
+  id: '2',
+  path: '/org/site/journal',
+  date: 2,
+  term: 'sale',
+  replacement: 'deal',
+  files: [
+    { path: '/org/site/journal/one.html', ext: 'html', before: 'sale one', after: 'deal one' },
+    { path: '/org/site/journal/two.html', ext: 'html', before: 'sale two', after: 'deal two' },
+  ],
+};
+
+describe('Search replace journal', () => {
+  let fetchStub;
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    fetchStub = stub(window, 'fetch').callsFake(async (url, opts = {}) => {
+      const { pathname } = new URL(url);
+      requests.push({ method: opts.method || 'GET', pathname });
+      if (opts.method === 'POST') return new Response('', { status: 201 });
+      if (opts.method === 'PUT') return new Response('', { status: 200 });
+      // The second file was edited after the replace
+      const text = pathname.endsWith('one.html') ? 'deal one' : 'deal two, edited';
+      return new Response(text, { status: 200 });
+    });
+  });
+
+  afterEach(() => {
+    fetchStub.restore();
+  });
+
+  it('Returns the latest replace of a folder', async () => {
+    await saveJournal({ ...JOURNAL, id: '1', date: 1 });
+    await saveJournal(JOURNAL);
+    const journal = await getLastJournal('/org/site/journal');
+    expect(journal.id).to.equal('2');
+    expect(await getLastJournal('/org/site/other')).to.be.undefined;
+  });
+
+  it('Restores the files and skips the ones changed since', async () => {
+    await saveJournal(JOURNAL);
+    const report = await revertJournal(JOURNAL);
+    expect(report.restored).to.deep.equal(['/org/site/journal/one.html']);
+    expect(report.changed).to.deep.equal(['/org/site/journal/two.html']);
+    expect(report.failed).to.be.empty;
+
+    // The edits made since the replace are never overwritten
+    const writes = requests.filter(({ method }) => method !== 'GET');
+    expect(writes).to.deep.equal([{ method: 'PUT', pathname: '/source/org/site/journal/one.html' }]);
+    expect((await getLastJournal('/org/site/journal')).id).to.equal('1');
+  });
+});
@@ -0,0 +1,84 @@
+import { expect } from '@esm-bundle/chai';
+import { getPattern, getReplaceTerm, replaceInSource } from '../../../../../../blocks/browse/da-search/helpers/replace.js';
+
+const HTML = `<body><header></header><main><div>
+<h1>Sale on sale.html</h1>
+<p><a href="https://example.com/sale.html">Big sale</a> <img src="./sale.png" alt="Sale banner"></p>
+<div class="cards"><div><div>Card sale</div></div></div>
+<div class="metadata"><div><div>Title</div><div>Summer sale</div></div></div>
+</div></main><footer></footer></body>`;
+
+const replace = (term, replacement, opts = {}) => replaceInSource(HTML, 'html', {
+  pattern: getPattern(term, opts),
+  replacement,
+  ...opts,
+});
+
+describe('Search replace', () => {
+  it('Only replaces text, never markup', () => {
+    const { text, changes } = replace('sale', 'deal');
+    expect(changes.length).to.equal(4);
+    expect(text).to.contain('Sale on deal.html');
+    expect(text).to.contain('href="https://example.com/sale.html"');
+    expect(text).to.contain('src="./sale.png"');
+    expect(text).to.contain('alt="Sale banner"');
+    expect(changes[0]).to.deep.equal({ prefix: 'Sale on ', match: 'sale', replacement: 'deal', suffix: '.html' });
+  });
+
+  it('Replaces with regex capture groups', () => {
+    const { text } = replace('(\\w+) sale', '$1 deal ($&)', { regex: true, caseSensitive: false });
+    expect(text).to.contain('Big deal (Big sale)');
+    expect(text).to.contain('Summer deal (Summer sale)');
+    expect(replace('$1', 'x').changes).to.be.empty;
+  });
+
+  it('Scopes replacements', () => {
+    const href = replace('sale.html', 'deal.html', { scope: 'href' });
+    expect(href.changes.length).to.equal(1);
+    expect(href.text).to.contain('href="https://example.com/deal.html"');
+    expect(href.text).to.contain('Sale on sale.html');
+
+    const alt = replace('Sale', 'Deal', { scope: 'alt' });
+    expect(alt.text).to.contain('alt="Deal banner"');
+    expect(alt.text).to.contain('Sale on');
+
+    const meta = replace('sale', 'deal', { scope: 'metadata' });
+    expect(meta.text).to.contain('<div>Title</div><div>Summer deal</div>');
+    expect(meta.changes.length).to.equal(1);
+
+    const block = replace('sale', 'deal', { scope: 'block', blocks: ['Cards'] });
+    expect(block.text).to.contain('Card deal');
+    expect(block.changes.length).to.equal(1);
+  });
+
+  it('Replaces the values of sheets', () => {
+    const json = JSON.stringify({ data: [{ sale: 'Summer sale' }] });
+    const { text } = replaceInSource(json, 'json', { pattern: getPattern('sale'), replacement: 'deal', scope: 'text' });
+    expect(JSON.parse(text)).to.deep.equal({ data: [{ sale: 'Summer deal' }] });
+  });
+
+  it('Only replaces the cells of sheet rows', () => {
+    const json = JSON.stringify({
+      ':names': ['sale', 'other'],
+      ':type': 'multi-sheet',
+      sale: { total: 1, data: [{ sale: 'Summer sale', count: 1 }], ':colWidths': ['sale'] },
+      other: { total: 0, data: [] },
+    });
+    const { text, changes } = replaceInSource(json, 'json', { pattern: getPattern('sale'), replacement: 'deal', scope: 'text' });
+    const sheets = JSON.parse(text);
+    expect(changes.length).to.equal(1);
+    expect(sheets[':names']).to.deep.equal(['sale', 'other']);
+    expect(sheets.sale.data).to.deep.equal([{ sale: 'Summer deal', count: 1 }]);
+    expect(sheets.sale[':colWidths']).to.deep.equal(['sale']);
+  });
+
+  it('Only replaces a single word or phrase', () => {
+    expect(getReplaceTerm('sale')).to.equal('sale');
+    expect(getReplaceTerm('"summer sale"')).to.equal('summer sale');
+    expect(getReplaceTerm('summer sale')).to.be.null;
+    expect(getReplaceTerm('block:hero')).to.be.null;
+    expect(getReplaceTerm('sal*')).to.be.null;
+    expect(getReplaceTerm('-sale')).to.be.null;
+    expect(getReplaceTerm('summer sale', true)).to.equal('summer sale');
+  });
+});
@@ -0,0 +1,103 @@
+import { expect } from '@esm-bundle/chai';
+import { stub } from 'sinon';
+import {
+  toAemPath,
+  startBulkJob,
+  pollBulkJob,
+  getScheduleConflicts,
+} from '../../../../../blocks/browse/da-list/helpers/aem.js';
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+describe('AEM bulk helpers', () => {
+  let fetchStub;
+
+  beforeEach(() => {
+    fetchStub = stub(window, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchStub.restore();
+  });
+
+  it('Converts items to AEM paths', () => {
+    expect(toAemPath({ path: '/org/site/en/index.html', ext: 'html' })).to.equal('/en/index');
+    expect(toAemPath({ path: '/org/site/en/data.json', ext: 'json' })).to.equal('/en/data.json');
+    expect(toAemPath({ path: '/org/site/en' })).to.equal('/en/*');
+    expect(toAemPath({ path: '/org/site' })).to.equal('/*');
+  });
+
+  it('Starts a bulk job', async () => {
+    const links = { self: 'https://admin.hlx.page/job/org/site/main/live/job-1' };
+    fetchStub.resolves(json({ job: { name: 'job-1' }, links }, 202));
+
+    const result = await startBulkJob('org', 'site', 'unpublish', ['/en/*']);
+    expect(result.links).to.deep.equal(links);
+
+    const [url, opts] = fetchStub.firstCall.args;
+    expect(url).to.equal('https://admin.hlx.page/live/org/site/main/*');
+    expect(JSON.parse(opts.body)).to.deep.equal({ paths: ['/en/*'], forceUpdate: true, delete: true });
+  });
+
+  it('Returns the parsed error of a job that cannot start', async () => {
+    const headers = { 'x-error': '[admin] Unable to preview \'/doc.pdf\': PDF is larger than 10MB: 24.0MB' };
+    fetchStub.resolves(new Response('', { status: 400, headers }));
+    const { error } = await startBulkJob('org', 'site', 'preview', ['/doc.pdf']);
+    expect(error.message).to.equal('Error during preview');
+    expect(error.details).to.equal('PDF is larger than 10MB: 24.0MB');
+  });
+
+  it('Reports the errors of every file once the job stops', async () => {
+    const links = { self: 'https://admin.hlx.page/job/1', details: 'https://admin.hlx.page/job/1/details' };
+    fetchStub.withArgs(links.self).resolves(json({ state: 'stopped', progress: { total: 2, processed: 2 } }));
+    fetchStub.withArgs(links.details).resolves(json({
+      data: {
+        resources: [
+          { path: '/en/index', status: 200 },
+          { path: '/en/big', status: 413, error: '[admin] Unable to preview \'/en/big.md\': source contains large image: error fetching resource at http://x: Image 1 exceeds allowed limit of 10.00MB' },
+        ],
+      },
+    }));
+
+    const progress = [];
+    const result = await pollBulkJob(links, (counts) => progress.push(counts));
+    expect(progress).to.deep.equal([{ processed: 2, total: 2 }]);
+    expect(result.total).to.equal(2);
+    expect(result.errors).to.deep.equal([
+      { path: '/en/big', status: 413, message: 'Image 1 exceeds allowed limit of 10MB' },
+    ]);
+  });
+
+  it('Stops following a job without links or past its deadline', async () => {
+    expect((await pollBulkJob(undefined)).error.message).to.equal('The job did not start');
+    expect(fetchStub.called).to.be.false;
+
+    const links = { self: 'https://admin.hlx.page/job/1' };
+    fetchStub.resolves(json({ state: 'running', progress: { total: 2, processed: 1 } }));
+    const { error } = await pollBulkJob(links, undefined, Date.now());
+    expect(error.message).to.contain('taking too long');
+    expect(fetchStub.callCount).to.equal(1);
+  });
+
+  it('Finds pages with a scheduled publish', async () => {
+    fetchStub.callsFake(async (url) => {
+      const scheduled = url.endsWith('sale');
+      return json(scheduled ? { scheduled: true, scheduledPublish: 1 } : {});
+    });
+    const crawled = [];
+    const crawl = ({ path, callback }) => {
+      crawled.push(path);
+      const files = [
+        { path: `${path}/blog/sale.html`, ext: 'html' },
+        { path: `${path}/blog/deep/page.html`, ext: 'html' },
+        { path: `${path}/blog/data.json`, ext: 'json' },
+      ];
+      return { results: Promise.all(files.map(callback)) };
+    };
+    const conflicts = await getScheduleConflicts('org', 'site', ['/en/sale', '/en/index', '/en/*'], crawl);
+    expect(conflicts.map(({ path }) => path)).to.deep.equal(['/en/sale', '/en/blog/sale']);
+    // Folders are checked by every page in them and their subfolders
+    expect(crawled).to.deep.equal(['/org/site/en']);
+    expect(fetchStub.callCount).to.equal(4);
+  });
+});
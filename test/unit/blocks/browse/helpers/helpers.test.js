@@ -51,6 +51,31 @@ describe('Drag and drop', () => {
   });
 });
 
+describe('Markdown', () => {
+  it('Converts dropped Markdown to a document', async () => {
+    const mdEntry = {
+      isDirectory: false,
+      fullPath: '/My Page.md',
+      file: (callback) => callback(new File(['# Hello'], 'My Page.md', { type: '' })),
+    };
+    const [file] = await getFullEntryList([mdEntry]);
+    expect(file.path).to.equal('/my-page.html');
+    expect(file.type).to.equal('text/html');
+    expect(await file.data.text()).to.include('<h1>Hello</h1>');
+  });
+
+  it('Converts Markdown with any extension case', async () => {
+    const mdEntry = {
+      isDirectory: false,
+      fullPath: '/docs/README.Markdown',
+      file: (callback) => callback(new File(['# Read me'], 'README.Markdown', { type: '' })),
+    };
+    const [file] = await getFullEntryList([mdEntry]);
+    expect(file.path).to.equal('/docs/readme.html');
+    expect(file.name).to.equal('README.html');
+  });
+});
+
 describe('Upload and format', () => {
   const ogFetch = window.fetch;
 
@@ -0,0 +1,83 @@
+import { expect } from '@esm-bundle/chai';
+import { stub } from 'sinon';
+import {
+  getItemStatus,
+  matchesStatusFilter,
+  getFolderStatus,
+  parseVersionList,
+} from '../../../../../blocks/browse/da-list/helpers/status.js';
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+const PAGE = { path: '/org/site/en/index.html', ext: 'html', lastModified: 300 };
+
+describe('Browse status helpers', () => {
+  it('Flags pages changed since their last publish', () => {
+    expect(getItemStatus(PAGE, { preview: 100, live: 200 }).modified).to.be.true;
+    expect(getItemStatus(PAGE, { preview: 400, live: 400 }).modified).to.be.false;
+    expect(getItemStatus(PAGE).modified).to.be.false;
+  });
+
+  it('Filters pages by their status', () => {
+    expect(matchesStatusFilter('never-published', PAGE)).to.be.true;
+    expect(matchesStatusFilter('never-published', PAGE, { live: 200 })).to.be.false;
+    expect(matchesStatusFilter('unpublished-changes', PAGE, { live: 200 })).to.be.true;
+    expect(matchesStatusFilter('previewed-not-live', PAGE, { preview: 250, live: 200 })).to.be.true;
+    expect(matchesStatusFilter('previewed-not-live', PAGE, { preview: 200, live: 200 })).to.be.false;
+
+    // Folders are never filtered in
+    expect(matchesStatusFilter('never-published', { path: '/org/site/en' })).to.be.false;
+  });
+
+  it('Summarizes the version list of a file', () => {
+    expect(parseVersionList([])).to.deep.equal({ version: 0, lastModifiedBy: 'anonymous' });
+    const list = [
+      { timestamp: 2, url: '/versionsource/org/site/1', users: [{ email: 'Jane@example.com' }] },
+      { timestamp: 3, users: [{ email: 'bob@example.com' }] },
+      { timestamp: 1, url: '/versionsource/org/site/0', users: [{ email: 'jane@example.com' }] },
+    ];
+    expect(parseVersionList(list)).to.deep.equal({ version: 2, lastModifiedBy: 'bob' });
+  });
+
+  describe('Folder status', () => {
+    let fetchStub;
+
+    beforeEach(() => {
+      fetchStub = stub(window, 'fetch');
+    });
+
+    afterEach(() => {
+      fetchStub.restore();
+    });
+
+    it('Maps the status of every resource to its DA path', async () => {
+      const links = { self: 'https://admin.hlx.page/job/1', details: 'https://admin.hlx.page/job/1/details' };
+      fetchStub.withArgs('https://admin.hlx.page/status/org/site/main/*').resolves(json({ links }, 202));
+      fetchStub.withArgs(links.self).resolves(json({ state: 'stopped', progress: { total: 2, processed: 2 } }));
+      fetchStub.withArgs(links.details).resolves(json({
+        data: {
+          resources: [
+            { resourcePath: '/en/index.md', previewLastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' },
+            { resourcePath: '/en/data.json', publishLastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' },
+            { resourcePath: '/en/Guide.MD', previewLastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' },
+          ],
+        },
+      }));
+
+      const { statuses } = await getFolderStatus('/org/site/en');
+      const time = Date.parse('Mon, 01 Jan 2024 00:00:00 GMT');
+      expect(statuses.get('/org/site/en/index.html')).to.deep.equal({ preview: time, live: null });
+      expect(statuses.get('/org/site/en/data.json')).to.deep.equal({ preview: null, live: time });
+      expect(statuses.get('/org/site/en/Guide.html')).to.deep.equal({ preview: time, live: null });
+
+      const [, opts] = fetchStub.firstCall.args;
+      expect(JSON.parse(opts.body)).to.deep.equal({ paths: ['/en/*'], select: ['preview', 'live'] });
+    });
+
+    it('Returns the error of a status job that cannot start', async () => {
+      fetchStub.resolves(new Response('', { status: 403 }));
+      const { error } = await getFolderStatus('/org/site/en');
+      expect(error.message).to.equal('Not authorized to get the status');
+    });
+  });
+});
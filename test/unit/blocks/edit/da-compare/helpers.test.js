@@ -0,0 +1,83 @@
+import { expect } from '@esm-bundle/chai';
+import { createTestEditor, destroyEditor } from '../prose/test-helpers.js';
+import { initDaMetadata, getDaMetadata } from '../../../../../blocks/edit/utils/helpers.js';
+import {
+  getLiveVersion,
+  getHunks,
+  getMetadataChanges,
+  restoreHunks,
+} from '../../../../../blocks/edit/da-compare/helpers.js';
+
+function toDom(str) {
+  const dom = document.createElement('div');
+  dom.innerHTML = str;
+  return dom;
+}
+
+describe('Compare helpers', () => {
+  it('Splits versions into unchanged rows and hunks', () => {
+    const oldDom = toDom('<p>One</p><p>Two</p><p>Three</p>');
+    const newDom = toDom('<p>One</p><p>Two changed</p><p>Three</p><p>Four</p>');
+    const rows = getHunks(oldDom, newDom);
+
+    expect(rows.map((row) => row.type)).to.deep.equal(['same', 'change', 'same', 'change']);
+    const [, edit, , insert] = rows;
+    expect(edit).to.include({ oldIndex: 1, oldCount: 1, newIndex: 1, newCount: 1 });
+    expect(edit.diff).to.include('<ins class="diffins">');
+    expect(edit.diff).to.include('changed');
+    expect(insert).to.include({ oldIndex: 3, oldCount: 0, newIndex: 3, newCount: 1 });
+  });
+
+  it('Diffs block table cells', () => {
+    const table = (cell) => `<table><tbody><tr><td>hero</td></tr><tr><td>${cell}</td></tr></tbody></table>`;
+    const [row] = getHunks(toDom(table('Old title')), toDom(table('New title')));
+    expect(row.type).to.equal('change');
+    expect(row.diff).to.include('<td>');
+    expect(row.diff).to.include('<del class="diffdel">Old</del>');
+  });
+
+  it('Finds metadata changes', () => {
+    const changes = getMetadataChanges({ title: 'A', same: 'x' }, { title: 'B', same: 'x', added: 'y' });
+    expect(changes.map((change) => change.key)).to.deep.equal(['title', 'added']);
+    expect(changes[1].oldValue).to.be.null;
+  });
+
+  describe('Restore', () => {
+    let editor;
+
+    beforeEach(async () => {
+      editor = await createTestEditor({
+        dispatchTransaction(tr) {
+          this.updateState(this.state.apply(tr));
+        },
+      });
+      initDaMetadata(editor.ydoc.getMap('daMetadata'));
+      const { schema } = editor.view.state;
+      const paragraphs = ['One', 'Two changed', 'Three']
+        .map((text) => schema.nodes.paragraph.create(null, schema.text(text)));
+      const { tr } = editor.view.state;
+      editor.view.dispatch(tr.replaceWith(0, tr.doc.content.size, paragraphs));
+    });
+
+    afterEach(() => {
+      destroyEditor(editor);
+      editor = null;
+      initDaMetadata(null);
+    });
+
+    it('Restores only the selected hunks into the live doc', () => {
+      const live = getLiveVersion(editor.view);
+      const version = toDom('<p>One</p><p>Two</p><p>Three</p><p>Four</p>');
+      const hunks = getHunks(version, live.dom).filter((row) => row.type === 'change');
+      expect(hunks.length).to.equal(2);
+
+      const meta = getMetadataChanges({ title: 'Old' }, {});
+      restoreHunks(editor.view, [hunks[0]], meta, 'new');
+
+      const texts = [];
+      editor.view.state.doc.forEach((node) => texts.push(node.textContent));
+      expect(texts).to.deep.equal(['One', 'Two', 'Three']);
+      expect(getDaMetadata('title')).to.equal('Old');
+    });
+  });
+});
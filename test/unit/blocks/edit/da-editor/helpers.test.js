@@ -0,0 +1,65 @@
+import { expect } from '@esm-bundle/chai';
+import { DOMParser as proseDOMParser } from 'da-y-wrapper';
+import { createTestEditor, destroyEditor } from '../prose/test-helpers.js';
+import { getVersionSections, restoreVersionSections } from '../../../../../blocks/edit/da-editor/helpers.js';
+
+function toDom(str) {
+  const dom = document.createElement('div');
+  dom.innerHTML = str;
+  return dom;
+}
+
+const block = (name, text) => `<table><tbody><tr><td>${name}</td></tr><tr><td>${text}</td></tr></tbody></table>`;
+
+describe('Version restore helpers', () => {
+  let editor;
+
+  const LIVE = `<p>Intro changed</p>${block('hero', 'Live hero')}<hr><p>Second changed</p>${block('cards', 'Live cards')}`;
+  const VERSION = `<p>Intro</p>${block('hero', 'Old hero')}<hr><p>Second</p>${block('cards', 'Old cards')}`;
+
+  function getTexts() {
+    const texts = [];
+    editor.view.state.doc.forEach((node) => texts.push(node.textContent));
+    return texts;
+  }
+
+  beforeEach(async () => {
+    editor = await createTestEditor({
+      dispatchTransaction(tr) {
+        this.updateState(this.state.apply(tr));
+      },
+    });
+    const { schema, tr } = editor.view.state;
+    const doc = proseDOMParser.fromSchema(schema).parse(toDom(LIVE));
+    editor.view.dispatch(tr.replaceWith(0, tr.doc.content.size, doc.content));
+  });
+
+  afterEach(() => {
+    destroyEditor(editor);
+    editor = null;
+  });
+
+  it('Splits a version into sections and block tables', () => {
+    const sections = getVersionSections(toDom(VERSION));
+    expect(sections.length).to.equal(2);
+    expect(sections[0].blocks.length).to.equal(2);
+    expect(sections[1].tables[0].id).to.equal('block-1-cards-0');
+  });
+
+  it('Restores a single section', () => {
+    const sections = getVersionSections(toDom(VERSION));
+    restoreVersionSections(editor.view, sections, new Set(['section-1']));
+    expect(getTexts()).to.deep.equal(['Intro changed', 'heroLive hero', '', 'Second', 'cardsOld cards']);
+  });
+
+  it('Restores a single block table', () => {
+    const sections = getVersionSections(toDom(VERSION));
+    restoreVersionSections(editor.view, sections, new Set(['block-0-hero-0']));
+    expect(getTexts()).to.deep.equal(['Intro changed', 'heroOld hero', '', 'Second changed', 'cardsLive cards']);
+  });
+
+  it('Does nothing without a selection', () => {
+    const sections = getVersionSections(toDom(VERSION));
+    expect(restoreVersionSections(editor.view, sections, new Set())).to.be.false;
+  });
+});
@@ -0,0 +1,95 @@
+import { expect } from '@esm-bundle/chai';
+import { DOMParser as proseDOMParser } from 'da-y-wrapper';
+import { createTestEditor, destroyEditor } from '../prose/test-helpers.js';
+import {
+  findMetadataRow,
+  getMetadataValues,
+  setMetadataValue,
+  validateMetadata,
+} from '../../../../../blocks/edit/da-metadata/helpers.js';
+
+function toDom(str) {
+  const dom = document.createElement('div');
+  dom.innerHTML = str;
+  return dom;
+}
+
+const METADATA = `<p>Body</p><table><tbody>
+  <tr><td colspan="2"><p>metadata</p></td></tr>
+  <tr><td><p>title</p></td><td><p>Hello</p></td></tr>
+  <tr><td><p>tags</p></td><td><p>a, b</p></td></tr>
+  <tr><td><p>image</p></td><td><p><img src="https://example.com/img.png"></p></td></tr>
+</tbody></table>`;
+
+describe('Metadata helpers', () => {
+  let editor;
+
+  function load(html) {
+    const { schema, tr } = editor.view.state;
+    const doc = proseDOMParser.fromSchema(schema).parse(toDom(html));
+    editor.view.dispatch(tr.replaceWith(0, tr.doc.content.size, doc.content));
+  }
+
+  beforeEach(async () => {
+    editor = await createTestEditor({
+      dispatchTransaction(tr) {
+        this.updateState(this.state.apply(tr));
+      },
+    });
+  });
+
+  afterEach(() => {
+    destroyEditor(editor);
+    editor = null;
+  });
+
+  it('Reads the metadata table', () => {
+    load(METADATA);
+    expect(getMetadataValues(editor.view.state.doc)).to.deep.equal({
+      title: 'Hello',
+      tags: 'a, b',
+      image: 'https://example.com/img.png',
+    });
+  });
+
+  it('Finds a row with the text of its value', () => {
+    load(METADATA);
+    const { doc } = editor.view.state;
+    expect(findMetadataRow(doc, 'title').value).to.equal('Hello');
+    // The text of the cell, unlike getMetadataValues
+    expect(findMetadataRow(doc, 'image').value).to.be.null;
+    expect(findMetadataRow(doc, 'missing')).to.be.null;
+  });
+
+  it('Updates, adds and removes rows', () => {
+    load(METADATA);
+    const { view } = editor;
+    setMetadataValue(view, 'title', '<b>New</b>', 'text');
+    setMetadataValue(view, 'date', '2026-01-31', 'date');
+    setMetadataValue(view, 'tags', '', 'multi-select');
+    expect(getMetadataValues(view.state.doc)).to.deep.equal({
+      title: '<b>New</b>',
+      image: 'https://example.com/img.png',
+      date: '2026-01-31',
+    });
+  });
+
+  it('Creates the table when missing', () => {
+    load('<p>Body</p>');
+    setMetadataValue(editor.view, 'title', 'Hello', 'text');
+    expect(getMetadataValues(editor.view.state.doc)).to.deep.equal({ title: 'Hello' });
+    expect(editor.view.state.doc.firstChild.textContent).to.equal('Body');
+  });
+
+  it('Validates values against the schema', () => {
+    const fields = [
+      { key: 'title', label: 'Title', type: 'text', options: [], required: true },
+      { key: 'date', label: 'Date', type: 'date', options: [], required: false },
+      { key: 'theme', label: 'Theme', type: 'enum', options: ['dark', 'light'], required: false },
+      { key: 'tags', label: 'Tags', type: 'multi-select', options: ['a', 'b'], required: false },
+    ];
+    const errors = validateMetadata(fields, { date: '31/01/2026', theme: 'blue', tags: 'a, c' });
+    expect(errors.map((error) => error.key)).to.deep.equal(['title', 'date', 'theme', 'tags']);
+    expect(validateMetadata(fields, { title: 'Hi', date: '2026-01-31', theme: 'dark', tags: 'b' })).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,84 @@
+import { expect } from '@esm-bundle/chai';
+import { DOMParser as proseDOMParser } from 'da-y-wrapper';
+import { createTestEditor, destroyEditor } from '../prose/test-helpers.js';
+import { getOutline, moveSection, moveNode } from '../../../../../blocks/edit/da-outline/helpers.js';
+
+const HTML = `<h1>Welcome</h1>
+  <table><tbody><tr><td><p>hero (dark)</p></td></tr><tr><td><p>Hero</p></td></tr></tbody></table>
+  <hr>
+  <h2>Features</h2>
+  <da-diff-deleted><p>Old copy</p></da-diff-deleted>
+  <da-diff-added><p>New copy</p></da-diff-added>
+  <da-diff-added><p>Local only</p></da-diff-added>
+  <table><tbody><tr><td><p>cards</p></td></tr><tr><td><p>Card</p></td></tr></tbody></table>
+  <p>---</p>
+  <p>Closing</p>`;
+
+describe('Outline helpers', () => {
+  let editor;
+
+  beforeEach(async () => {
+    editor = await createTestEditor({
+      dispatchTransaction(tr) {
+        this.updateState(this.state.apply(tr));
+      },
+    });
+    const dom = document.createElement('div');
+    dom.innerHTML = HTML;
+    const { schema, tr } = editor.view.state;
+    const doc = proseDOMParser.fromSchema(schema).parse(dom);
+    editor.view.dispatch(tr.replaceWith(0, tr.doc.content.size, doc.content));
+  });
+
+  afterEach(() => {
+    destroyEditor(editor);
+    editor = null;
+  });
+
+  const getTitles = (section) => section.items.map((item) => item.title);
+  const getText = () => {
+    const text = [];
+    editor.view.state.doc.forEach((node) => { text.push(node.textContent || node.type.name); });
+    return text;
+  };
+
+  it('Lists sections, blocks, headings and pending diffs', () => {
+    const sections = getOutline(editor.view.state.doc);
+    expect(sections.length).to.equal(3);
+    expect(getTitles(sections[0])).to.deep.equal(['Welcome', 'hero (dark)']);
+    expect(sections[0].items[1].type).to.equal('block');
+    expect(getTitles(sections[1])).to.deep.equal(['Features', 'cards']);
+    expect(sections[1].items[0].level).to.equal(2);
+    expect(sections[0].diffs).to.equal(0);
+    expect(sections[1].diffs).to.equal(2);
+    expect(getTitles(sections[2])).to.deep.equal([]);
+  });
+
+  it('Moves a section in one transaction', () => {
+    const { view } = editor;
+    const tr = moveSection(view.state, 2, 0);
+    expect(tr.steps.length).to.equal(1);
+    view.dispatch(tr);
+
+    const sections = getOutline(view.state.doc);
+    expect(sections[0].nodes[0].textContent).to.equal('Closing');
+    expect(getTitles(sections[1])).to.deep.equal(['Welcome', 'hero (dark)']);
+    expect(getTitles(sections[2])).to.deep.equal(['Features', 'cards']);
+    // The separators keep their place
+    expect(getText()[1]).to.equal('horizontal_rule');
+    expect(getText()[4]).to.equal('---');
+    expect(moveSection(view.state, 1, 1)).to.be.null;
+  });
+
+  it('Moves a block to another section', () => {
+    const { view } = editor;
+    const [first, second] = getOutline(view.state.doc);
+    const cards = second.items[1];
+    view.dispatch(moveNode(view.state, cards.pos, first.items[1].pos));
+
+    const sections = getOutline(view.state.doc);
+    expect(getTitles(sections[0])).to.deep.equal(['Welcome', 'cards', 'hero (dark)']);
+    expect(getTitles(sections[1])).to.deep.equal(['Features']);
+    expect(moveNode(view.state, sections[0].items[1].pos, sections[0].items[1].pos)).to.be.null;
+  });
+});
@@ -0,0 +1,42 @@
+import { expect } from '@esm-bundle/chai';
+import { getPresets, setPresets } from '../../../../../blocks/edit/da-preview/da-preview.js';
+
+describe('Preview', () => {
+  const path = 'https://main--site--org.aem.page/page';
+
+  afterEach(() => {
+    localStorage.removeItem('da-preview-presets-main--site--org.aem.page');
+  });
+
+  it('Stores grid presets per site', () => {
+    expect(getPresets(path).selected).to.deep.equal(['mobile', 'tablet', 'laptop']);
+
+    const presets = { custom: [{ name: '800x600', width: 800, height: 600 }], selected: ['800x600'] };
+    setPresets(path, presets);
+    expect(getPresets(path)).to.deep.equal(presets);
+    expect(getPresets('https://main--other--org.aem.page/page').custom).to.deep.equal([]);
+  });
+
+  it('Pushes the body, scroll and preferences to each frame', async () => {
+    const frame = document.createElement('da-preview-frame');
+    frame.size = { width: 375, height: 729 };
+    document.body.append(frame);
+    await frame.updateComplete;
+
+    const messages = [];
+    frame.port1 = { postMessage: (message) => messages.push(message) };
+    frame.initialized = true;
+    frame.syncScroll = true;
+    frame.preferences = { colorScheme: 'dark', reducedMotion: 'reduce' };
+    frame.body = '<main></main>';
+    await frame.updateComplete;
+
+    expect(messages).to.deep.equal([
+      { set: 'preferences', colorScheme: 'dark', reducedMotion: 'reduce' },
+      { set: 'body', body: '<main></main>' },
+      { set: 'scroll', selector: '#da-cursor-position' },
+    ]);
+    frame.port1 = null;
+    frame.remove();
+  });
+});
@@ -190,6 +190,28 @@ describe('DaTitle', () => {
     });
   });
 
+  describe('handleAction', () => {
+    it('resets the button when the metadata cannot be checked', async () => {
+      const details = createDetails({ org: 'failorg' });
+      el = await fixture({ details });
+      const mockFetch = window.fetch;
+      const savedView = window.view;
+      window.fetch = async (url) => {
+        if (url.includes('/config/failorg')) throw new TypeError('Failed to fetch');
+        return mockFetch(url);
+      };
+      window.view = {};
+      try {
+        await el.handleAction('preview');
+      } finally {
+        window.fetch = mockFetch;
+        window.view = savedView;
+      }
+      expect(el._status.message).to.equal('Could not check metadata');
+      expect(el._sendButton.classList.contains('is-sending')).to.be.false;
+    });
+  });
+
   describe('getAvailableActions', () => {
     it('returns only save for config view', async () => {
       el = await fixture({ details: createDetails({ view: 'config' }) });
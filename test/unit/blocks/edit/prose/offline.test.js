@@ -0,0 +1,238 @@
+import { expect } from '@esm-bundle/chai';
+import { Y } from 'da-y-wrapper';
+import initOfflinePersistence, { getOfflinePermissions, coversState } from '../../../../../blocks/edit/prose/offline.js';
+
+const delay = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+function createProvider({ connected = false, synced = false, failed = false } = {}) {
+  const handlers = {};
+  const provider = {
+    wsconnected: connected,
+    synced,
+    wsUnsuccessfulReconnects: failed ? 1 : 0,
+    calls: [],
+    on: (name, fn) => { (handlers[name] ??= []).push(fn); },
+    emit: (name, arg) => handlers[name]?.forEach((fn) => fn(arg)),
+    connect: () => provider.calls.push('connect'),
+    disconnect: () => provider.calls.push('disconnect'),
+  };
+  return provider;
+}
+
+function createServer() {
+  const doc = new Y.Doc();
+  doc.getXmlFragment('prosemirror').insert(0, [new Y.XmlElement('paragraph')]);
+  return doc;
+}
+
+// Sync a doc with the server, as y-websocket would
+function syncWith(server, ydoc, wsProvider) {
+  Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(server), wsProvider);
+  wsProvider.wsconnected = true;
+  wsProvider.synced = true;
+  wsProvider.emit('sync', true);
+}
+
+// Store a doc that was synced with the server, then edited offline
+async function storeSession(key, server, { offlineEdit = true } = {}) {
+  const ydoc = new Y.Doc();
+  const wsProvider = createProvider();
+  const persistence = initOfflinePersistence({ key, ydoc, wsProvider, permissions: ['write'] });
+  await persistence.loaded;
+  syncWith(server, ydoc, wsProvider);
+  await delay(600);
+
+  if (offlineEdit) {
+    wsProvider.wsconnected = false;
+    wsProvider.synced = false;
+    ydoc.getMap('daMetadata').set('foo', 'bar');
+    await delay(600);
+  }
+}
+
+describe('Offline persistence', () => {
+  it('Flags local changes made while disconnected as unsynced', async () => {
+    const key = `offline-test-${Date.now()}-a`;
+    const ydoc = new Y.Doc();
+    const wsProvider = createProvider();
+    const states = [];
+
+    const persistence = initOfflinePersistence({
+      key,
+      ydoc,
+      wsProvider,
+      permissions: ['read', 'write'],
+      onUnsynced: (value) => states.push(value),
+    });
+    await persistence.loaded;
+
+    ydoc.getMap('daMetadata').set('foo', 'bar');
+    expect(persistence.unsynced).to.be.true;
+
+    wsProvider.wsconnected = true;
+    wsProvider.synced = true;
+    wsProvider.emit('sync', true);
+    expect(persistence.unsynced).to.be.false;
+    expect(states).to.deep.equal([true, false]);
+  });
+
+  it('Does not flag changes while the socket is live', async () => {
+    const key = `offline-test-${Date.now()}-b`;
+    const ydoc = new Y.Doc();
+    const wsProvider = createProvider({ connected: true, synced: true });
+
+    const persistence = initOfflinePersistence({ key, ydoc, wsProvider, permissions: ['read'] });
+    await persistence.loaded;
+
+    ydoc.getMap('daMetadata').set('foo', 'bar');
+    expect(persistence.unsynced).to.be.false;
+  });
+
+  it('Restores unsynced changes into a new document', async () => {
+    const key = `offline-test-${Date.now()}-c`;
+    const ydoc = new Y.Doc();
+    const persistence = initOfflinePersistence({
+      key,
+      ydoc,
+      wsProvider: createProvider(),
+      permissions: ['read', 'write'],
+    });
+    await persistence.loaded;
+
+    ydoc.getXmlFragment('prosemirror').insert(0, [new Y.XmlElement('paragraph')]);
+    ydoc.getMap('daMetadata').set('foo', 'bar');
+    await delay(600);
+
+    expect(await getOfflinePermissions(key)).to.deep.equal(['read', 'write']);
+
+    let ready = false;
+    const nextDoc = new Y.Doc();
+    const next = initOfflinePersistence({
+      key,
+      ydoc: nextDoc,
+      wsProvider: createProvider({ failed: true }),
+      permissions: ['read', 'write'],
+      onReady: () => { ready = true; },
+    });
+    await next.loaded;
+
+    expect(ready).to.be.true;
+    expect(next.unsynced).to.be.true;
+    expect(nextDoc.getMap('daMetadata').get('foo')).to.equal('bar');
+    expect(nextDoc.getXmlFragment('prosemirror').length).to.equal(1);
+  });
+
+  it('Compares state vectors', () => {
+    const server = createServer();
+    const base = Y.encodeStateVector(server);
+    server.getMap('daMetadata').set('foo', 'bar');
+    expect(coversState(Y.encodeStateVector(server), base)).to.be.true;
+    expect(coversState(Y.encodeStateVector(createServer()), base)).to.be.false;
+    expect(coversState(Y.encodeStateVector(server), undefined)).to.be.false;
+  });
+
+  it('Does not open a copy without unsynced edits on a slow connection', async () => {
+    const key = `offline-test-${Date.now()}-d`;
+    const server = createServer();
+    await storeSession(key, server, { offlineEdit: false });
+
+    let ready = false;
+    const ydoc = new Y.Doc();
+    const wsProvider = createProvider();
+    const persistence = initOfflinePersistence({
+      key,
+      ydoc,
+      wsProvider,
+      permissions: ['write'],
+      onReady: () => { ready = true; },
+    });
+    await persistence.loaded;
+    await delay(50);
+    expect(ready).to.be.false;
+
+    // The server rebuilt the doc meanwhile, it is not duplicated
+    syncWith(createServer(), ydoc, wsProvider);
+    expect(ydoc.getXmlFragment('prosemirror').length).to.equal(1);
+  });
+
+  it('Merges unsynced edits when the server holds their base', async () => {
+    const key = `offline-test-${Date.now()}-e`;
+    const server = createServer();
+    await storeSession(key, server);
+
+    const ydoc = new Y.Doc();
+    const wsProvider = createProvider();
+    const persistence = initOfflinePersistence({ key, ydoc, wsProvider, permissions: ['write'] });
+    await persistence.loaded;
+
+    syncWith(server, ydoc, wsProvider);
+    expect(ydoc.getMap('daMetadata').get('foo')).to.equal('bar');
+    expect(ydoc.getXmlFragment('prosemirror').length).to.equal(1);
+  });
+
+  it('Drops unsynced edits when the server rebuilt the doc', async () => {
+    const key = `offline-test-${Date.now()}-f`;
+    await storeSession(key, createServer());
+
+    const diverged = [];
+    const ydoc = new Y.Doc();
+    const wsProvider = createProvider();
+    const persistence = initOfflinePersistence({
+      key,
+      ydoc,
+      wsProvider,
+      permissions: ['write'],
+      onDiverged: (opts) => diverged.push(opts),
+    });
+    await persistence.loaded;
+
+    syncWith(createServer(), ydoc, wsProvider);
+    expect(ydoc.getXmlFragment('prosemirror').length).to.equal(1);
+    expect(ydoc.getMap('daMetadata').get('foo')).to.be.undefined;
+    await delay(50);
+    expect(diverged).to.deep.equal([{ stale: false, unsynced: true }]);
+    expect(await getOfflinePermissions(key)).to.be.undefined;
+  });
+
+  it('Only reconnects an offline copy to a server that matches it', async () => {
+    const key = `offline-test-${Date.now()}-g`;
+    const server = createServer();
+    await storeSession(key, server);
+
+    let serverState;
+    const diverged = [];
+    const open = async () => {
+      const wsProvider = createProvider({ failed: true });
+      const persistence = initOfflinePersistence({
+        key,
+        ydoc: new Y.Doc(),
+        wsProvider,
+        permissions: ['write'],
+        getServerState: async () => serverState,
+        onDiverged: (opts) => diverged.push(opts),
+      });
+      await persistence.loaded;
+      return { wsProvider, persistence };
+    };
+
+    const matching = await open();
+    expect(matching.persistence.held).to.be.true;
+    expect(matching.wsProvider.calls).to.deep.equal(['disconnect']);
+
+    // Still offline
+    await matching.persistence.reconnect();
+    expect(matching.persistence.held).to.be.true;
+
+    serverState = Y.encodeStateVector(server);
+    await matching.persistence.reconnect();
+    expect(matching.persistence.held).to.be.false;
+    expect(matching.wsProvider.calls).to.deep.equal(['disconnect', 'connect']);
+
+    const rebuilt = await open();
+    serverState = Y.encodeStateVector(createServer());
+    await rebuilt.persistence.reconnect();
+    await delay(50);
+    expect(rebuilt.wsProvider.calls).to.deep.equal(['disconnect']);
+    expect(diverged).to.deep.equal([{ stale: true, unsynced: true }]);
+  });
+});
@@ -0,0 +1,109 @@
+import { expect } from '@esm-bundle/chai';
+import { columnResizing, DOMParser as proseDOMParser, NodeSelection, TextSelection } from 'da-y-wrapper';
+import { createTestEditor, destroyEditor } from '../test-helpers.js';
+import blockMove, { moveBlock, moveEnclosingSection } from '../../../../../../blocks/edit/prose/plugins/blockMove.js';
+
+const HTML = `<p>Intro</p>
+  <table><tbody><tr><td><p>hero</p></td></tr><tr><td><p><img src="https://example.com/a.jpg" data-focal-x="20" data-focal-y="40"></p></td></tr></tbody></table>
+  <ul><li><p>One</p></li><li><p>Two</p></li></ul>
+  <hr>
+  <p>Second section</p>`;
+
+describe('Block move plugin', () => {
+  let editor;
+
+  beforeEach(async () => {
+    editor = await createTestEditor({
+      additionalPlugins: [columnResizing(), blockMove()],
+      dispatchTransaction(tr) {
+        this.updateState(this.state.apply(tr));
+      },
+    });
+    const dom = document.createElement('div');
+    dom.innerHTML = HTML;
+    const { schema, tr } = editor.view.state;
+    const doc = proseDOMParser.fromSchema(schema).parse(dom);
+    editor.view.dispatch(tr.replaceWith(0, tr.doc.content.size, doc.content));
+  });
+
+  afterEach(() => {
+    destroyEditor(editor);
+    editor = null;
+  });
+
+  const getTypes = () => {
+    const types = [];
+    editor.view.state.doc.forEach((node) => { types.push(node.type.name); });
+    return types;
+  };
+
+  const select = (text) => {
+    const { doc } = editor.view.state;
+    let pos;
+    doc.descendants((node, nodePos) => {
+      if (pos === undefined && node.isText && node.text.includes(text)) pos = nodePos;
+    });
+    editor.view.dispatch(editor.view.state.tr.setSelection(TextSelection.create(doc, pos + 1)));
+  };
+
+  it('Moves the block around the selection as a unit', () => {
+    const { view } = editor;
+    select('hero');
+    expect(moveBlock(-1)(view.state, view.dispatch)).to.be.true;
+    expect(getTypes()).to.deep.equal(['table', 'paragraph', 'bullet_list', 'horizontal_rule', 'paragraph']);
+    expect(view.state.selection.$from.parent.textContent).to.equal('hero');
+
+    const img = view.state.doc.firstChild.lastChild.firstChild.firstChild.firstChild;
+    expect(img.attrs.dataFocalX).to.equal('20');
+    expect(moveBlock(-1)(view.state, view.dispatch)).to.be.false;
+
+    select('One');
+    moveBlock(1)(view.state, view.dispatch);
+    expect(getTypes()).to.deep.equal(['table', 'paragraph', 'horizontal_rule', 'bullet_list', 'paragraph']);
+    expect(view.state.selection.$from.parent.textContent).to.equal('One');
+  });
+
+  it('Moves node selections', () => {
+    const { view } = editor;
+    view.dispatch(view.state.tr.setSelection(NodeSelection.create(view.state.doc, 0)));
+    moveBlock(1)(view.state, view.dispatch);
+    expect(getTypes()[1]).to.equal('paragraph');
+    expect(view.state.selection.node.textContent).to.equal('Intro');
+  });
+
+  it('Moves the section around the selection', () => {
+    const { view } = editor;
+    select('Second');
+    expect(moveEnclosingSection(-1)(view.state, view.dispatch)).to.be.true;
+    expect(getTypes()).to.deep.equal(['paragraph', 'horizontal_rule', 'paragraph', 'table', 'bullet_list']);
+    expect(view.state.doc.firstChild.textContent).to.equal('Second section');
+    expect(view.state.selection.$from.parent.textContent).to.equal('Second section');
+    expect(moveEnclosingSection(-1)(view.state, view.dispatch)).to.be.false;
+  });
+
+  it('Shows a drag handle next to top level nodes', () => {
+    const { view } = editor;
+    const list = view.dom.querySelector('ul');
+    list.querySelector('p').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    const handle = view.dom.parentElement.querySelector('.block-drag-handle');
+    expect(handle.classList.contains('is-visible')).to.be.true;
+    expect(handle.draggable).to.be.true;
+  });
+
+  it('Drops the dragged node below the last node', () => {
+    const { view } = editor;
+    view.dom.querySelector('p').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    const handle = view.dom.parentElement.querySelector('.block-drag-handle');
+    handle.dispatchEvent(new DragEvent('dragstart', { dataTransfer: new DataTransfer() }));
+
+    const { bottom } = view.dom.getBoundingClientRect();
+    const opts = { bubbles: true, cancelable: true, clientY: bottom + 10 };
+    view.dom.dispatchEvent(new DragEvent('dragover', opts));
+    expect(view.dom.parentElement.querySelector('.block-drop-indicator.is-visible')).to.exist;
+
+    view.dom.dispatchEvent(new DragEvent('drop', opts));
+    const types = getTypes();
+    expect(types[0]).to.equal('table');
+    expect(editor.view.state.doc.lastChild.textContent).to.equal('Intro');
+  });
+});
@@ -0,0 +1,181 @@
+import { expect } from '@esm-bundle/chai';
+import { TextSelection, Y } from 'da-y-wrapper';
+import { createTestEditor, destroyEditor } from '../test-helpers.js';
+import comments, {
+  commentsKey,
+  initComments,
+  getThreads,
+  getThreadRange,
+  getSelectionAnchor,
+  addThread,
+  addReply,
+  setResolved,
+  restoreComments,
+} from '../../../../../../blocks/edit/prose/plugins/comments.js';
+import { flushAnnotations } from '../../../../../../blocks/edit/prose/annotations.js';
+
+describe('Comments plugin', () => {
+  let editor;
+
+  beforeEach(async () => {
+    // Apply to the current view state so the reconfigured plugins are used
+    editor = await createTestEditor({
+      dispatchTransaction(tr) {
+        this.updateState(this.state.apply(tr));
+      },
+    });
+    initComments(editor.ydoc.getMap('daComments'), editor.awareness);
+
+    const { view } = editor;
+    const state = view.state.reconfigure({ plugins: [...view.state.plugins, comments()] });
+    view.updateState(state);
+
+    view.dispatch(view.state.tr.insertText('Hello big world'));
+  });
+
+  afterEach(() => {
+    destroyEditor(editor);
+    editor = null;
+  });
+
+  function selectText(text) {
+    const { view } = editor;
+    const from = view.state.doc.textContent.indexOf(text) + 1;
+    const sel = TextSelection.create(view.state.doc, from, from + text.length);
+    view.dispatch(view.state.tr.setSelection(sel));
+  }
+
+  it('Creates a thread anchored to the selection', () => {
+    selectText('big');
+    const draft = getSelectionAnchor(editor.view.state);
+    expect(draft.quote).to.equal('big');
+
+    const id = addThread(draft, 'Is this the right word?');
+    const [thread] = getThreads();
+    expect(thread.id).to.equal(id);
+    expect(thread.author.name).to.equal('Test User');
+    expect(thread.messages[0].text).to.equal('Is this the right word?');
+
+    const anchor = editor.view.dom.querySelector('.da-comment-anchor');
+    expect(anchor.textContent).to.equal('big');
+    expect(anchor.dataset.commentId).to.equal(id);
+  });
+
+  it('Keeps the anchor when text is inserted before it', () => {
+    selectText('big');
+    const id = addThread(getSelectionAnchor(editor.view.state), 'Comment');
+
+    const { view } = editor;
+    view.dispatch(view.state.tr.insertText('Oh, ', 1));
+
+    const range = getThreadRange(view.state, getThreads()[0]);
+    expect(view.state.doc.textBetween(range.from, range.to)).to.equal('big');
+    expect(commentsKey.getState(view.state).decorations.find().length).to.equal(1);
+    expect(view.dom.querySelector(`[data-comment-id="${id}"]`).textContent).to.equal('big');
+  });
+
+  it('Supports replies and resolving', () => {
+    selectText('world');
+    const id = addThread(getSelectionAnchor(editor.view.state), 'First');
+    addReply(id, 'Second');
+    expect(getThreads()[0].messages.map((m) => m.text)).to.deep.equal(['First', 'Second']);
+
+    setResolved(id, true);
+    expect(getThreads()[0].resolved).to.be.true;
+    expect(editor.view.dom.querySelector('.da-comment-anchor')).to.not.exist;
+
+    setResolved(id, false);
+    expect(editor.view.dom.querySelector('.da-comment-anchor')).to.exist;
+  });
+
+  it('Merges concurrent replies and resolves from collaborators', () => {
+    selectText('world');
+    const id = addThread(getSelectionAnchor(editor.view.state), 'First');
+
+    const remote = new Y.Doc();
+    Y.applyUpdate(remote, Y.encodeStateAsUpdate(editor.ydoc));
+    const localMap = editor.ydoc.getMap('daComments');
+    const remoteMap = remote.getMap('daComments');
+
+    // Both reply before seeing each other's changes
+    addReply(id, 'Local');
+    initComments(remoteMap, editor.awareness);
+    addReply(id, 'Remote');
+    setResolved(id, true);
+
+    Y.applyUpdate(remote, Y.encodeStateAsUpdate(editor.ydoc));
+    Y.applyUpdate(editor.ydoc, Y.encodeStateAsUpdate(remote));
+    initComments(localMap, editor.awareness);
+
+    const [thread] = getThreads();
+    expect(thread.messages.map((m) => m.text)).to.have.members(['First', 'Local', 'Remote']);
+    expect(thread.resolved).to.be.true;
+    expect(remoteMap.toJSON()).to.deep.equal(localMap.toJSON());
+  });
+
+  it('Does not create a draft for an empty selection', () => {
+    expect(getSelectionAnchor(editor.view.state)).to.be.null;
+  });
+
+  describe('Stored threads', () => {
+    const savedFetch = window.fetch;
+    let requests;
+
+    const stored = {
+      comments: [{
+        id: 'stored-thread',
+        // Relative positions from a previous room no longer resolve
+        anchor: { from: { item: { client: 1, clock: 1 } }, to: { item: { client: 1, clock: 4 } } },
+        quote: 'world',
+        pos: { from: 11, to: 16 },
+        resolved: false,
+        created: 1,
+        author: { id: 'other', name: 'Other User' },
+        messages: [{ id: 'stored-thread', text: 'Stored', created: 1 }],
+      }],
+    };
+
+    beforeEach(() => {
+      requests = [];
+      window.fetch = async (url, opts = {}) => {
+        requests.push({ url, method: opts.method || 'GET', body: opts.body });
+        if (opts.method === 'PUT') return new Response('', { status: 201 });
+        return new Response(JSON.stringify(stored), { status: 200 });
+      };
+    });
+
+    afterEach(() => {
+      window.fetch = savedFetch;
+    });
+
+    it('Restores and anchors stored threads in a new room', async () => {
+      await restoreComments(editor.view, 'https://admin.da.live/source/org/site/restore.html');
+      expect(requests[0].url).to.equal('https://admin.da.live/source/org/site/.da/annotations/restore.json');
+
+      const [thread] = getThreads();
+      expect(thread.messages[0].text).to.equal('Stored');
+      const range = getThreadRange(editor.view.state, thread);
+      expect(editor.view.state.doc.textBetween(range.from, range.to)).to.equal('world');
+      expect(editor.view.dom.querySelector('[data-comment-id="stored-thread"]').textContent).to.equal('world');
+    });
+
+    it('Saves local changes to the stored threads', async () => {
+      await restoreComments(editor.view, 'https://admin.da.live/source/org/site/save.html');
+      addReply('stored-thread', 'Reply');
+      await flushAnnotations();
+
+      const put = requests.find(({ method }) => method === 'PUT');
+      expect(put.url).to.equal('https://admin.da.live/source/org/site/.da/annotations/save.json');
+      const { comments: [thread] } = JSON.parse(await put.body.get('data').text());
+      expect(thread.messages.map((m) => m.text)).to.deep.equal(['Stored', 'Reply']);
+      expect(thread.pos).to.deep.equal({ from: 11, to: 16 });
+    });
+
+    it('Does not add stored threads to a live room', async () => {
+      selectText('big');
+      addThread(getSelectionAnchor(editor.view.state), 'Live');
+      await restoreComments(editor.view, 'https://admin.da.live/source/org/site/live.html');
+      expect(getThreads().map((thread) => thread.messages[0].text)).to.deep.equal(['Live']);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { expect } from '@esm-bundle/chai';
+import { DOMParser as proseDOMParser, yUndoPluginKey } from 'da-y-wrapper';
+import { createTestEditor, destroyEditor } from '../../test-helpers.js';
+import { handleUndo } from '../../../../../../../blocks/edit/prose/plugins/keyHandlers.js';
+import findReplace, {
+  findKey,
+  getSearchRegex,
+  openFind,
+  updateSearch,
+  goToMatch,
+  replaceCurrent,
+  replaceAll,
+} from '../../../../../../../blocks/edit/prose/plugins/findReplace/findReplace.js';
+
+const HTML = `<p>The cat sat on the mat. Concatenate.</p>
+  <table><tbody><tr><td><p>cards</p></td></tr><tr><td><p>A Cat in a block</p></td></tr></tbody></table>`;
+
+describe('Find and replace plugin', () => {
+  let editor;
+
+  beforeEach(async () => {
+    editor = await createTestEditor({
+      additionalPlugins: [findReplace()],
+      dispatchTransaction(tr) {
+        this.updateState(this.state.apply(tr));
+      },
+    });
+    const dom = document.createElement('div');
+    dom.innerHTML = HTML;
+    const { schema, tr } = editor.view.state;
+    const doc = proseDOMParser.fromSchema(schema).parse(dom);
+    editor.view.dispatch(tr.replaceWith(0, tr.doc.content.size, doc.content));
+    openFind(editor.view.state, editor.view.dispatch);
+  });
+
+  afterEach(() => {
+    destroyEditor(editor);
+    editor = null;
+  });
+
+  const getSearch = () => findKey.getState(editor.view.state);
+  const getText = (from, to) => editor.view.state.doc.textBetween(from, to);
+
+  it('Builds expressions for the search options', () => {
+    expect(getSearchRegex({ query: '' })).to.be.null;
+    expect(getSearchRegex({ query: '(', regex: true })).to.be.null;
+    expect(getSearchRegex({ query: 'a.b' }).test('axb')).to.be.false;
+    expect(getSearchRegex({ query: 'Cat', caseSensitive: true }).test('cat')).to.be.false;
+    expect(getSearchRegex({ query: 'cat', wholeWord: true }).test('concatenate')).to.be.false;
+  });
+
+  it('Highlights matches in paragraphs and block tables', () => {
+    updateSearch(editor.view, { query: 'cat' });
+    const { matches, index } = getSearch();
+    expect(matches.length).to.equal(3);
+    expect(matches.map(({ from, to }) => getText(from, to))).to.deep.equal(['cat', 'cat', 'Cat']);
+    expect(index).to.equal(0);
+
+    const highlights = editor.view.dom.querySelectorAll('.da-find-match');
+    expect(highlights.length).to.equal(3);
+    expect(highlights[2].closest('td')).to.exist;
+    expect(editor.view.dom.querySelector('.da-find-match.is-current').textContent).to.equal('cat');
+
+    updateSearch(editor.view, { wholeWord: true });
+    expect(getSearch().matches.length).to.equal(2);
+    updateSearch(editor.view, { caseSensitive: true });
+    expect(getSearch().matches.length).to.equal(1);
+
+    goToMatch(editor.view, -1);
+    const { from, to } = editor.view.state.selection;
+    expect(getText(from, to)).to.equal('cat');
+  });
+
+  it('Replaces with regular expression groups and undoes', async () => {
+    window.view = editor.view;
+    const stopCapturing = () => {
+      yUndoPluginKey.getState(editor.view.state).undoManager.stopCapturing();
+    };
+    stopCapturing();
+    updateSearch(editor.view, { query: '(c)a(t|r)', regex: true });
+    expect(getSearch().matches.length).to.equal(4);
+
+    replaceCurrent(editor.view, '$2$1');
+    expect(editor.view.state.doc.textContent).to.include('The tc sat');
+    expect(getSearch().matches.length).to.equal(3);
+    expect(getSearch().index).to.equal(0);
+
+    stopCapturing();
+    const count = replaceAll(editor.view, '[$&]');
+    expect(count).to.equal(3);
+    const text = editor.view.state.doc.textContent;
+    expect(text).to.include('Con[cat]enate');
+    expect(text).to.include('[car]ds');
+    expect(text).to.include('A [Cat] in a block');
+    expect(getSearch().matches.length).to.equal(3);
+
+    expect(handleUndo(editor.view.state)).to.be.true;
+    // Replace all is a single undo step
+    const undone = editor.view.state.doc.textContent;
+    expect(undone).to.include('Concatenate');
+    expect(undone).to.include('The tc sat');
+    await new Promise((resolve) => { setTimeout(resolve, 0); });
+    delete window.view;
+  });
+});
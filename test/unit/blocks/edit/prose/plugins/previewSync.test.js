@@ -0,0 +1,74 @@
+import { expect } from '@esm-bundle/chai';
+import { columnResizing, DOMParser as proseDOMParser } from 'da-y-wrapper';
+import { createTestEditor, destroyEditor } from '../test-helpers.js';
+import { getHtmlWithCursor, SOURCE_ATTR } from '../../../../../../blocks/shared/prose2aem.js';
+import { getSourcePos, selectSource } from '../../../../../../blocks/edit/prose/plugins/previewSync.js';
+
+const HTML = `<p>Intro</p>
+  <table><tbody><tr><td><p>hero</p></td></tr><tr><td><p>Cell</p></td></tr></tbody></table>
+  <hr>
+  <p><img src="https://example.com/photo.jpg"></p>`;
+
+describe('Preview sync', () => {
+  let editor;
+
+  beforeEach(async () => {
+    editor = await createTestEditor({
+      additionalPlugins: [columnResizing()],
+      dispatchTransaction(tr) {
+        this.updateState(this.state.apply(tr));
+      },
+    });
+    const dom = document.createElement('div');
+    dom.innerHTML = HTML;
+    const { schema, tr } = editor.view.state;
+    const doc = proseDOMParser.fromSchema(schema).parse(dom);
+    editor.view.dispatch(tr.replaceWith(0, tr.doc.content.size, doc.content));
+  });
+
+  afterEach(() => {
+    destroyEditor(editor);
+    editor = null;
+  });
+
+  function getPositions(type) {
+    const positions = [];
+    editor.view.state.doc.descendants((node, pos) => {
+      if (node.type.name === type) positions.push(pos);
+    });
+    return positions;
+  }
+
+  it('Marks paragraphs, blocks, sections and images in the preview', () => {
+    const html = getHtmlWithCursor(editor.view);
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const source = (el) => Number(el.getAttribute(SOURCE_ATTR));
+
+    const [table] = getPositions('table');
+    const [hr] = getPositions('horizontal_rule');
+    const [image] = getPositions('image');
+
+    expect(source(doc.querySelector('main > div > p'))).to.equal(0);
+    expect(source(doc.querySelector('.hero'))).to.equal(table);
+    expect(source(doc.querySelector('main > div:nth-child(2)'))).to.equal(hr);
+    expect(source(doc.querySelector('picture img'))).to.equal(image);
+  });
+
+  it('Selects the node clicked in the preview', () => {
+    const [image] = getPositions('image');
+    expect(selectSource(editor.view, image)).to.be.true;
+    expect(editor.view.state.selection.node.type.name).to.equal('image');
+
+    const [table] = getPositions('table');
+    selectSource(editor.view, table);
+    expect(editor.view.state.selection.$from.parent.textContent).to.equal('hero');
+
+    expect(selectSource(editor.view, 10000)).to.be.false;
+  });
+
+  it('Finds the marked node under the pointer', () => {
+    const cell = [...editor.view.dom.querySelectorAll('td p')].pop();
+    const pos = getSourcePos(editor.view, cell);
+    expect(editor.view.state.doc.nodeAt(pos).textContent).to.equal('Cell');
+  });
+});
@@ -0,0 +1,223 @@
+import { expect } from '@esm-bundle/chai';
+import { TextSelection } from 'da-y-wrapper';
+import { createTestEditor, destroyEditor } from '../test-helpers.js';
+import suggestions, {
+  suggestionsKey,
+  initSuggestions,
+  getSuggestion,
+  getChangedRange,
+  hasOnlySuggestions,
+  isSuggesting,
+  toggleSuggesting,
+  restoreSuggestions,
+} from '../../../../../../blocks/edit/prose/plugins/suggestions.js';
+import { flushAnnotations } from '../../../../../../blocks/edit/prose/annotations.js';
+
+const tick = () => new Promise((resolve) => { setTimeout(resolve, 0); });
+
+describe('Suggestions plugin', () => {
+  let editor;
+  let map;
+
+  beforeEach(async () => {
+    // Apply to the current view state so the reconfigured plugins are used
+    editor = await createTestEditor({
+      dispatchTransaction(tr) {
+        this.updateState(this.state.apply(tr));
+      },
+    });
+    map = editor.ydoc.getMap('daSuggestions');
+    initSuggestions(map, editor.awareness);
+
+    const { view } = editor;
+    const state = view.state.reconfigure({ plugins: [...view.state.plugins, suggestions()] });
+    view.updateState(state);
+
+    view.dispatch(view.state.tr.insertText('Hello world'));
+  });
+
+  afterEach(() => {
+    destroyEditor(editor);
+    editor = null;
+  });
+
+  function getDiffNodes() {
+    const nodes = [];
+    editor.view.state.doc.forEach((node) => {
+      if (node.type.name.startsWith('diff_')) nodes.push(node);
+    });
+    return nodes;
+  }
+
+  function getNodeSuggestion(index) {
+    const { state } = editor.view;
+    let pos = 0;
+    for (let i = 0; i < index; i += 1) pos += state.doc.child(i).nodeSize;
+    const { decorations } = suggestionsKey.getState(state);
+    return getSuggestion(decorations.find(pos, pos + state.doc.child(index).nodeSize));
+  }
+
+  function toggle() {
+    const { view } = editor;
+    toggleSuggesting(view.state, view.dispatch);
+  }
+
+  it('Toggles suggesting mode', () => {
+    expect(isSuggesting(editor.view.state)).to.be.false;
+    toggle();
+    expect(isSuggesting(editor.view.state)).to.be.true;
+    expect(editor.view.dom.classList.contains('is-suggesting')).to.be.true;
+    toggle();
+    expect(isSuggesting(editor.view.state)).to.be.false;
+  });
+
+  it('Does not record edits outside of suggesting mode', () => {
+    const { view } = editor;
+    view.dispatch(view.state.tr.insertText('!', view.state.doc.content.size - 1));
+    expect(getDiffNodes().length).to.equal(0);
+    expect(map.size).to.equal(0);
+  });
+
+  it('Records an edit as an attributed diff pair', async () => {
+    toggle();
+    const { view } = editor;
+    view.dispatch(view.state.tr.insertText(' again', view.state.doc.content.size - 1));
+    // The suggestion is pending until the mode is turned off, but shared already
+    expect(getDiffNodes().length).to.equal(0);
+    const [pending] = [...map.values()];
+    expect(pending.pending).to.be.true;
+    expect(pending.author.name).to.equal('Test User');
+    await tick();
+    expect(view.dom.querySelector('.da-suggestion-pending').textContent).to.equal('Hello world again');
+
+    toggle();
+    const [deleted, added] = getDiffNodes();
+    expect(deleted.type.name).to.equal('diff_deleted');
+    expect(deleted.textContent).to.equal('Hello world');
+    expect(added.type.name).to.equal('diff_added');
+    expect(added.textContent).to.equal('Hello world again');
+
+    await tick();
+    const suggestion = getNodeSuggestion(0);
+    expect(suggestion.id).to.equal(pending.id);
+    expect(suggestion.author.name).to.equal('Test User');
+    expect(suggestion.created).to.be.a('number');
+    expect(map.get(pending.id).pending).to.be.undefined;
+    expect(hasOnlySuggestions(view.state)).to.be.true;
+  });
+
+  it('Keeps identical suggestions apart', async () => {
+    const { view } = editor;
+    const { paragraph } = view.state.schema.nodes;
+    const end = view.state.doc.content.size;
+    view.dispatch(view.state.tr.insert(end, [
+      paragraph.create(null, view.state.schema.text('Between')),
+      paragraph.create(null, view.state.schema.text('Hello world')),
+    ]));
+
+    toggle();
+    view.dispatch(view.state.tr.insertText('!', view.state.doc.firstChild.nodeSize - 1));
+    view.dispatch(view.state.tr.insertText('!', view.state.doc.content.size - 1));
+    toggle();
+    await tick();
+
+    expect(getDiffNodes().map((node) => node.textContent))
+      .to.deep.equal(['Hello world', 'Hello world!', 'Hello world', 'Hello world!']);
+    expect(map.size).to.equal(2);
+    expect(getNodeSuggestion(0).id).to.not.equal(getNodeSuggestion(3).id);
+  });
+
+  it('Finishes the pending suggestion of an author that left', async () => {
+    toggle();
+    const { view } = editor;
+    view.dispatch(view.state.tr.insertText(' again', view.state.doc.content.size - 1));
+    const [pending] = [...map.values()];
+
+    // The author left: another client, without the pending state, finds it
+    view.dispatch(view.state.tr.setMeta(suggestionsKey, { pending: null }));
+    map.set(pending.id, { ...pending, clientID: -1, updated: 0 });
+    await tick();
+
+    const [deleted, added] = getDiffNodes();
+    expect(deleted.textContent).to.equal('Hello world');
+    expect(added.textContent).to.equal('Hello world again');
+    await tick();
+    expect(getNodeSuggestion(0).author.name).to.equal('Test User');
+    expect(map.get(pending.id).pending).to.be.undefined;
+  });
+
+  it('Finishes a suggestion when the cursor leaves it', () => {
+    const { view } = editor;
+    const { paragraph } = view.state.schema.nodes;
+    const end = view.state.doc.content.size;
+    view.dispatch(view.state.tr.insert(end, paragraph.create(null, view.state.schema.text('Second'))));
+
+    toggle();
+    view.dispatch(view.state.tr.insertText('Oh, ', 1));
+    expect(getDiffNodes().length).to.equal(0);
+
+    const last = view.state.doc.content.size - 2;
+    view.dispatch(view.state.tr.setSelection(TextSelection.create(view.state.doc, last)));
+    const [deleted, added] = getDiffNodes();
+    expect(deleted.textContent).to.equal('Hello world');
+    expect(added.textContent).to.equal('Oh, Hello world');
+    expect(view.state.doc.lastChild.textContent).to.equal('Second');
+  });
+
+  it('Expands changed ranges to top level blocks', () => {
+    const { doc } = editor.view.state;
+    const tr = editor.view.state.tr.insertText('big ', 7);
+    const range = getChangedRange(doc, tr.doc);
+    expect(range.from).to.equal(0);
+    expect(range.oldTo).to.equal(doc.content.size);
+    expect(range.newTo).to.equal(tr.doc.content.size);
+  });
+
+  it('Stores finished suggestions and restores them in a new room', async () => {
+    const savedFetch = window.fetch;
+    let stored = {};
+    window.fetch = async (url, opts = {}) => {
+      if (opts.method === 'PUT') {
+        stored = JSON.parse(await opts.body.get('data').text());
+        return new Response('', { status: 201 });
+      }
+      return new Response(JSON.stringify(stored), { status: 200 });
+    };
+
+    try {
+      await restoreSuggestions(editor.view, 'https://admin.da.live/source/org/site/first.html');
+      toggle();
+      const { view } = editor;
+      view.dispatch(view.state.tr.insertText(' again', view.state.doc.content.size - 1));
+      toggle();
+      await tick();
+      const { id } = getNodeSuggestion(0);
+      await flushAnnotations();
+      expect(stored.suggestions[0].id).to.equal(id);
+      expect(stored.suggestions[0].diffs).to.deep.equal(['diff_deleted:Hello world', 'diff_added:Hello world again']);
+
+      // A new room has the diff nodes from the saved HTML, but no yMap entries
+      const docJSON = view.state.doc.toJSON();
+      destroyEditor(editor);
+      editor = await createTestEditor({
+        dispatchTransaction(tr) {
+          this.updateState(this.state.apply(tr));
+        },
+      });
+      map = editor.ydoc.getMap('daSuggestions');
+      initSuggestions(map, editor.awareness);
+      const plugins = [...editor.view.state.plugins, suggestions()];
+      editor.view.updateState(editor.view.state.reconfigure({ plugins }));
+      const { state } = editor.view;
+      const doc = state.schema.nodeFromJSON(docJSON);
+      editor.view.dispatch(state.tr.replaceWith(0, state.doc.content.size, doc.content));
+
+      await restoreSuggestions(editor.view, 'https://admin.da.live/source/org/site/second.html');
+      await tick();
+      expect(getNodeSuggestion(0).id).to.equal(id);
+      expect(getNodeSuggestion(1).author.name).to.equal('Test User');
+    } finally {
+      window.fetch = savedFetch;
+    }
+  });
+});
@@ -0,0 +1,39 @@
+import { expect } from '@esm-bundle/chai';
+import { stub } from 'sinon';
+import { matchesEditor, getByoEditor } from '../../../../../blocks/edit/utils/byo.js';
+
+const { default: getPathDetails } = await import('../../../../../blocks/shared/pathDetails.js');
+
+describe('BYO editor registry', () => {
+  const details = getPathDetails({ pathname: '/edit', hash: '#/adobe/site/products/shoes/red' });
+  const doc = { classes: ['product'], fullpath: details.fullpath };
+
+  it('Matches on the metadata class', () => {
+    expect(matchesEditor({ class: 'product', url: '/editor.js' }, doc)).to.be.true;
+    expect(matchesEditor({ class: 'event', url: '/editor.js' }, doc)).to.be.false;
+  });
+
+  it('Matches on path globs', () => {
+    expect(matchesEditor({ path: '/adobe/site/products/**', url: '/editor.js' }, doc)).to.be.true;
+    expect(matchesEditor({ path: '/adobe/site/products/*', url: '/editor.js' }, doc)).to.be.false;
+    expect(matchesEditor({ path: '/adobe/site/products/*/red', url: '/editor.js' }, doc)).to.be.true;
+  });
+
+  it('Requires every given condition and a module url', () => {
+    expect(matchesEditor({ class: 'product', path: '/other/**', url: '/editor.js' }, doc)).to.be.false;
+    expect(matchesEditor({ class: 'product' }, doc)).to.be.false;
+    expect(matchesEditor({ url: '/editor.js' }, doc)).to.be.false;
+  });
+
+  it('Falls back to the default editor when the configs cannot be read', async () => {
+    const fetchStub = stub(window, 'fetch').rejects(new Error('offline'));
+    const errorStub = stub(console, 'error');
+    try {
+      const editor = await getByoEditor({ ...details, org: 'byo-offline' }, ['product']);
+      expect(editor).to.be.undefined;
+    } finally {
+      fetchStub.restore();
+      errorStub.restore();
+    }
+  });
+});
@@ -14,6 +14,8 @@ import {
   initDaMetadata,
   getDaMetadata,
   setDaMetadata,
+  trackSourceVersion,
+  isSaveConflict,
 } from '../../../../../blocks/edit/utils/helpers.js';
 
 const bodyHtml = await readFile({ path: './mocks/body.html' });
@@ -107,6 +109,40 @@ describe('saveToDa', () => {
   });
 });
 
+describe('Conditional saves', () => {
+  const url = 'https://admin.da.live/source/aemsites/test/conflict.json';
+  const sheets = [createSheet('data', [['A'], ['1']], [10])];
+
+  it('Sends the tracked ETag and tracks the saved one', async () => {
+    const requests = [];
+    const savedFetch = window.fetch;
+    try {
+      window.fetch = async (_url, opts) => {
+        requests.push(opts.headers);
+        return new Response('', { status: 200, headers: { etag: `"${requests.length + 1}"` } });
+      };
+      trackSourceVersion(url, new Response('', { headers: { etag: '"1"' } }));
+      await saveToDa('/aemsites/test/conflict', sheets);
+      await saveToDa('/aemsites/test/conflict', sheets);
+    } finally {
+      window.fetch = savedFetch;
+    }
+    expect(requests[0]['If-Match']).to.equal('"1"');
+    expect(requests[1]['If-Match']).to.equal('"2"');
+  });
+
+  it('Reports a changed server copy as a conflict', async () => {
+    const savedFetch = window.fetch;
+    try {
+      window.fetch = async () => new Response('', { status: 412 });
+      const resp = await saveToDa('/aemsites/test/conflict', sheets);
+      expect(isSaveConflict(resp)).to.be.true;
+    } finally {
+      window.fetch = savedFetch;
+    }
+  });
+});
+
 describe('convertSheets', () => {
   it('Converts single public sheet', () => {
     const sheets = [
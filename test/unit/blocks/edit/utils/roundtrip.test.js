@@ -0,0 +1,27 @@
+import { readFile } from '@web/test-runner-commands';
+import { expect } from '@esm-bundle/chai';
+import roundTrip from '../../../../../blocks/edit/utils/roundtrip.js';
+
+const FIXTURES = ['blocks', 'pictures', 'metadata'];
+
+describe('Round trip', () => {
+  FIXTURES.forEach((name) => {
+    it(`Saves ${name} without drift`, async () => {
+      const html = await readFile({ path: `./mocks/roundtrip/${name}.html` });
+      const { diffs, expected, actual } = roundTrip(html);
+      expect(diffs).to.deep.equal([]);
+      expect(actual).to.equal(expected);
+    });
+  });
+
+  it('Reports the paragraph saved in list items with a nested list', async () => {
+    const html = await readFile({ path: './mocks/roundtrip/lists.html' });
+    const { diffs } = roundTrip(html);
+    expect(diffs).to.deep.equal([{
+      path: 'main > div[0] > ul[1] > li[2] > #text[0]',
+      type: 'node',
+      expected: 'Parent',
+      actual: '<p>',
+    }]);
+  });
+});
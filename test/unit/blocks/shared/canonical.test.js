@@ -0,0 +1,39 @@
+import { expect } from '@esm-bundle/chai';
+import { compareHtml, normalizeHtml } from '../../../../blocks/shared/canonical.js';
+
+describe('Canonical HTML', () => {
+  it('Ignores whitespace, comments and attribute order', () => {
+    const a = '<main><div><!-- note --><p class="a" id="b">Hello\n   world</p>\n</div></main>';
+    const b = '<main><div><p id="b" class="a" loading="lazy">Hello world </p></div></main>';
+    expect(normalizeHtml(a)).to.equal(normalizeHtml(b));
+    expect(compareHtml(a, b)).to.deep.equal([]);
+  });
+
+  it('Reports pictures reduced to their image', () => {
+    const a = '<p><picture><source srcset="a.webp"><img src="a.png" alt="A"></picture></p>';
+    const b = '<p><img alt="A" src="a.png"></p>';
+    expect(compareHtml(a, b)).to.deep.equal([
+      { path: 'main > p[0] > picture[0]', type: 'node', expected: '<picture>', actual: '<img alt="A" src="a.png"></img>' },
+    ]);
+  });
+
+  it('Reports changed inline styles and list item paragraphs', () => {
+    const a = '<ul><li style="color: red">One</li></ul>';
+    const b = '<ul><li><p>One</p></li></ul>';
+    expect(compareHtml(a, b)).to.deep.equal([
+      { path: 'main > ul[0] > li[0]@style', type: 'attribute', expected: 'color: red', actual: null },
+      { path: 'main > ul[0] > li[0] > #text[0]', type: 'node', expected: 'One', actual: '<p>' },
+    ]);
+  });
+
+  it('Reports structural differences with a path', () => {
+    const diffs = compareHtml(
+      '<div class="hero"><p>Hi</p><p>There</p></div>',
+      '<div class="hero"><h2>Hi</h2></div>',
+    );
+    expect(diffs).to.deep.equal([
+      { path: 'main > div.hero[0] > p[0]', type: 'node', expected: '<p>', actual: '<h2>' },
+      { path: 'main > div.hero[0] > p[1]', type: 'missing', expected: '<p>', actual: null },
+    ]);
+  });
+});
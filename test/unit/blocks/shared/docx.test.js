@@ -0,0 +1,142 @@
+import { expect } from '@esm-bundle/chai';
+import { stub } from 'sinon';
+import { docx2html, importDocx } from '../../../../blocks/shared/docx.js';
+
+const NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"';
+
+const para = (text, props = '', runProps = '') => `<w:p><w:pPr>${props}</w:pPr><w:r><w:rPr>${runProps}</w:rPr><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+const cell = (content) => `<w:tc>${content}</w:tc>`;
+const list = (text, numId, ilvl = 0) => para(text, `<w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="${numId}"/></w:numPr>`);
+
+const IMAGE = '<w:p><w:r><w:drawing><wp:inline><wp:docPr id="1" descr="A photo"/><a:graphic><a:graphicData><a:blip r:embed="rId3"/></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>';
+
+const DOCUMENT = `<w:document ${NS}><w:body>
+  ${para('Hello', '<w:pStyle w:val="Heading1"/>')}
+  <w:p><w:r><w:t xml:space="preserve">Some </w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>bold</w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t> text</w:t></w:r>
+    <w:hyperlink r:id="rId2"><w:r><w:t>link</w:t></w:r></w:hyperlink></w:p>
+  ${list('One', '1')}${list('Nested', '1', 1)}${list('Two', '1')}
+  ${list('First', '2')}
+  <w:p><w:pPr><w:sectPr/></w:pPr></w:p>
+  <w:tbl>
+    <w:tr>${cell(para('Marquee (light)'))}</w:tr>
+    <w:tr>${cell(IMAGE)}${cell(para('Text', '', '<w:i/>'))}</w:tr>
+  </w:tbl>
+  ${para('---')}
+  ${para('Last')}
+  <w:sectPr/>
+</w:body></w:document>`;
+
+const RELS = `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId2" Target="https://da.live/" TargetMode="External"/>
+  <Relationship Id="rId3" Target="media/image1.png"/>
+</Relationships>`;
+
+const STYLES = `<w:styles ${NS}><w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style></w:styles>`;
+
+const NUMBERING = `<w:numbering ${NS}>
+  <w:abstractNum w:abstractNumId="10"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl><w:lvl w:ilvl="1"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum>
+  <w:abstractNum w:abstractNumId="11"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="10"/></w:num>
+  <w:num w:numId="2"><w:abstractNumId w:val="11"/></w:num>
+</w:numbering>`;
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// A minimal zip writer, the reader doesn't check checksums
+async function makeZip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = encoder.encode(name);
+    const raw = typeof content === 'string' ? encoder.encode(content) : content;
+    const data = await deflate(raw);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, 8, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    locals.push(local.buffer, nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(10, 8, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, raw.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(central.buffer, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const size = centrals.reduce((acc, part) => acc + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...locals, ...centrals, end.buffer]).arrayBuffer();
+}
+
+describe('Word documents', () => {
+  let buffer;
+  let html;
+  let images;
+
+  before(async () => {
+    buffer = await makeZip({
+      'word/document.xml': DOCUMENT,
+      'word/_rels/document.xml.rels': RELS,
+      'word/styles.xml': STYLES,
+      'word/numbering.xml': NUMBERING,
+      'word/media/image1.png': new Uint8Array([1, 2, 3]),
+    });
+    ({ html, images } = await docx2html(buffer, 'https://content.da.live/org/site/.page'));
+  });
+
+  it('Converts sections, headings and text', () => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const sections = doc.querySelectorAll('main > div');
+    expect(sections.length).to.equal(3);
+    expect(sections[0].querySelector('h1').textContent).to.equal('Hello');
+    expect(sections[0].querySelector('p').innerHTML).to.equal('Some <strong>bold text</strong><a href="https://da.live/">link</a>');
+    expect(sections[2].innerHTML).to.equal('<p>Last</p>');
+  });
+
+  it('Converts lists', () => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const [bullets, numbers] = doc.querySelectorAll('main > div > ul, main > div > ol');
+    expect(bullets.outerHTML).to.equal('<ul><li>One<ul><li>Nested</li></ul></li><li>Two</li></ul>');
+    expect(numbers.outerHTML).to.equal('<ol><li>First</li></ol>');
+  });
+
+  it('Converts tables to blocks with images', () => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const block = doc.querySelector('main > div:nth-child(2) > .marquee.light');
+    const [img, text] = block.querySelectorAll(':scope > div > div');
+    expect(img.querySelector('img').getAttribute('src')).to.equal('https://content.da.live/org/site/.page/image1.png');
+    expect(img.querySelector('img').alt).to.equal('A photo');
+    expect(text.innerHTML).to.equal('<p><em>Text</em></p>');
+    expect(images.map((image) => image.name)).to.deep.equal(['image1.png']);
+    expect([...images[0].data]).to.deep.equal([1, 2, 3]);
+  });
+
+  it('Reports images that could not be stored', async () => {
+    const fetchStub = stub(window, 'fetch').resolves(new Response('', { status: 500 }));
+    try {
+      const docx = new File([buffer], 'page.docx');
+      const { file, error } = await importDocx(docx, '/org/site/page.docx');
+      expect(file.name).to.equal('page.html');
+      expect(error).to.equal('Couldn\'t upload images: image1.png');
+      expect(fetchStub.firstCall.args[0]).to.include('/source/org/site/.page/image1.png');
+    } finally {
+      fetchStub.restore();
+    }
+  });
+});
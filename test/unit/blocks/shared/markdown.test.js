@@ -0,0 +1,87 @@
+import { expect } from '@esm-bundle/chai';
+import { html2md, md2html } from '../../../../blocks/shared/markdown.js';
+import { compareHtml } from '../../../../blocks/shared/canonical.js';
+
+const MD = `---
+title: Hello world
+tags:
+  - a
+  - b
+---
+
+# Hello *world*
+
+Some **bold** text with a [link](https://da.live/) and \`code\`.
+
+- One
+- Two
+  - Nested
+
+| Marquee (light, large) | |
+| --- | --- |
+| ![A photo](https://example.com/photo.jpg) | Text<br>More text |
+
+---
+
+1\\. Not a list
+
+| Section Metadata | |
+| --- | --- |
+| style | dark |
+`;
+
+describe('Markdown', () => {
+  it('Converts Markdown to DA documents', () => {
+    const doc = new DOMParser().parseFromString(md2html(MD), 'text/html');
+    const sections = doc.querySelectorAll('main > div');
+    expect(sections.length).to.equal(2);
+    expect(sections[0].querySelector('h1').innerHTML).to.equal('Hello <em>world</em>');
+    expect(sections[0].querySelector('ul ul li').textContent).to.equal('Nested');
+
+    const block = sections[0].querySelector('.marquee.light.large');
+    const cells = block.querySelectorAll(':scope > div > div');
+    expect(cells[0].querySelector('img').getAttribute('src')).to.equal('https://example.com/photo.jpg');
+    expect(cells[1].querySelectorAll('p').length).to.equal(2);
+
+    expect(sections[1].querySelector('p').textContent).to.equal('1. Not a list');
+    expect(sections[1].querySelector('.section-metadata')).to.exist;
+
+    const meta = sections[1].querySelector('.metadata');
+    const values = [...meta.children].map((row) => row.textContent);
+    expect(values).to.deep.equal(['titleHello world', 'tagsa, b']);
+  });
+
+  it('Converts DA documents to Markdown', () => {
+    const html = `<body><main><div>
+      <h2>Title</h2>
+      <p>Snake_case and <strong>bold</strong></p>
+      <div class="columns contained"><div><div><p>A</p><p>B | C</p></div><div><p>D</p></div></div><div><div><p>E</p></div></div></div>
+    </div><div>
+      <ol><li>First<ul><li>Sub</li></ul></li></ol>
+      <div class="metadata"><div><div><p>title</p></div><div><p>Page: one</p></div></div></div>
+    </div></main></body>`;
+    expect(html2md(html)).to.equal(`---
+title: "Page: one"
+---
+
+## Title
+
+Snake\\_case and **bold**
+
+| columns (contained) | |
+| --- | --- |
+| A<br>B \\| C | D |
+| E | |
+
+---
+
+1. First
+   - Sub
+`);
+  });
+
+  it('Survives a round trip', () => {
+    const html = md2html(MD);
+    expect(compareHtml(html, md2html(html2md(html)))).to.deep.equal([]);
+  });
+});
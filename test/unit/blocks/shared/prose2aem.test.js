@@ -223,4 +223,99 @@ describe('prose2aem with isFragment parameter', () => {
     expect(result).to.include('<picture>');
     expect(result).to.include('data-title="data-focal:30.5,70.2"');
   });
+
+  it('Strips comment highlights but keeps their content', () => {
+    const fragment = document.createElement('div');
+    fragment.innerHTML = '<p>Hello <span class="da-comment-anchor" data-comment-id="abc">big <strong>wide</strong></span> world</p>';
+
+    const result = prose2aem(fragment, true, true);
+
+    expect(result).to.not.include('da-comment-anchor');
+    expect(result).to.not.include('data-comment-id');
+    expect(result).to.include('Hello big <strong>wide</strong> world');
+  });
+});
+
+describe('prose2aem localization variants', () => {
+  const getDiffDoc = () => {
+    const fragment = document.createElement('div');
+    fragment.innerHTML = `
+      <div class="loc-tabbed-container">
+        <div class="diff-tab-content">
+          <div class="diff-tab-pane active" data-tab="added"><p>Hallo Welt</p></div>
+          <div class="diff-tab-pane" data-tab="deleted"><p>Hello world</p></div>
+          <div class="diff-tab-pane" data-tab="diff"></div>
+          <div class="loc-tabbed-color-overlay diff-bg-local"></div>
+        </div>
+        <div class="diff-tabbed-actions"></div>
+      </div>
+      <div class="loc-single-container loc-added-view"><p>Nur lokal</p><div class="loc-color-overlay"></div></div>
+      <div class="loc-single-container loc-deleted-view"><table><tr><td>marquee</td></tr><tr><td>Upstream only</td></tr></table><div class="loc-color-overlay"></div></div>
+      <ul>
+        <li><div class="loc-single-container loc-deleted-view"><p>Upstream item</p><div class="loc-color-overlay"></div></div></li>
+        <li><p>Shared item</p></li>
+      </ul>`;
+    return fragment;
+  };
+
+  it('Renders the local side by default', () => {
+    const result = prose2aem(getDiffDoc(), true, true);
+    expect(result).to.include('<p>Hallo Welt</p>');
+    expect(result).to.include('<p>Nur lokal</p>');
+    expect(result).to.not.include('Hello world');
+    expect(result).to.not.include('Upstream');
+    expect(result).to.not.include('loc-');
+    expect(result).to.not.include('diff-');
+  });
+
+  it('Renders the upstream side', () => {
+    const fragment = getDiffDoc();
+    const result = prose2aem(fragment, true, true, false, 'upstream');
+    expect(result).to.include('<p>Hello world</p>');
+    expect(result).to.not.include('Hallo Welt');
+    expect(result).to.not.include('Nur lokal');
+    expect(fragment.querySelector('.marquee')).to.exist;
+    expect(fragment.querySelectorAll('li').length).to.equal(2);
+    expect(fragment.querySelector('li').textContent).to.equal('Upstream item');
+  });
+
+  it('Renders the tab each pair currently shows when merged', () => {
+    const fragment = getDiffDoc();
+    fragment.querySelector('[data-tab="added"]').classList.remove('active');
+    fragment.querySelector('[data-tab="deleted"]').classList.add('active');
+
+    const merged = prose2aem(fragment, true, true, false, 'merged');
+    expect(merged).to.include('<p>Hello world</p>');
+    expect(merged).to.include('<p>Nur lokal</p>');
+    expect(fragment.querySelectorAll('li').length).to.equal(1);
+
+    const local = prose2aem(getDiffDoc(), true, true, false, 'local');
+    expect(local).to.include('<p>Hallo Welt</p>');
+  });
+
+  it('Renders the original side of suggestions in every variant', () => {
+    const getSuggestionDoc = () => {
+      const fragment = document.createElement('div');
+      fragment.innerHTML = `
+        <div class="loc-tabbed-container is-suggestion">
+          <div class="diff-suggestion-author">Suggested by Ada</div>
+          <div class="diff-tab-content">
+            <div class="diff-tab-pane active" data-tab="added"><p>Hello big world</p></div>
+            <div class="diff-tab-pane" data-tab="deleted"><p>Hello world</p></div>
+          </div>
+        </div>
+        <div class="loc-single-container loc-added-view is-suggestion"><p>New paragraph</p></div>
+        <div class="loc-single-container loc-deleted-view is-suggestion"><p>Removed paragraph</p></div>`;
+      return fragment;
+    };
+
+    ['merged', 'local', 'upstream'].forEach((variant) => {
+      const result = prose2aem(getSuggestionDoc(), true, true, false, variant);
+      expect(result).to.include('<p>Hello world</p>');
+      expect(result).to.include('<p>Removed paragraph</p>');
+      expect(result).to.not.include('Hello big world');
+      expect(result).to.not.include('New paragraph');
+      expect(result).to.not.include('Suggested by');
+    });
+  });
 });
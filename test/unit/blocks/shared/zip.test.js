@@ -0,0 +1,23 @@
+import { expect } from '@esm-bundle/chai';
+import { zip, unzip } from '../../../../blocks/shared/zip.js';
+
+describe('Zip', () => {
+  it('Writes files that can be read back', async () => {
+    const blob = zip([
+      { name: 'index.md', text: '# Hello' },
+      { name: 'café.md', text: 'Ünïcode' },
+    ]);
+    expect(blob.type).to.equal('application/zip');
+
+    const entries = unzip(await blob.arrayBuffer());
+    expect([...entries.keys()]).to.deep.equal(['index.md', 'café.md']);
+    const decoder = new TextDecoder();
+    expect(decoder.decode(await entries.get('index.md')())).to.equal('# Hello');
+    expect(decoder.decode(await entries.get('café.md')())).to.equal('Ünïcode');
+  });
+
+  it('Stores the checksum of each file', async () => {
+    const view = new DataView(await zip([{ name: 'a.txt', text: 'abc' }]).arrayBuffer());
+    expect(view.getUint32(14, true)).to.equal(0x352441c2);
+  });
+});
@@ -0,0 +1,84 @@
+import { expect } from '@esm-bundle/chai';
+import { diffRows, diffSheets, restoreRow, restoreTab } from '../../../../blocks/sheet/utils/diff.js';
+
+describe('Sheet version diff', () => {
+  it('Finds changed, added and removed rows', () => {
+    const version = [['key', 'value'], ['a', '1'], ['b', '2'], ['c', '3']];
+    const current = [['key', 'value', ''], ['a', '1'], ['b', '20'], ['d', '4'], ['', '']];
+    const rows = diffRows(version, current);
+
+    expect(rows.map((row) => row.status)).to.deep.equal(['same', 'same', 'changed', 'changed']);
+    const [, , changed, replaced] = rows;
+    expect(changed.cells.map((cell) => cell.changed)).to.deep.equal([false, true]);
+    expect(changed.cells[1]).to.include({ value: '2', current: '20' });
+    expect(replaced).to.include({ versionIndex: 3, currentIndex: 3 });
+  });
+
+  it('Keeps rows only in one side apart', () => {
+    const rows = diffRows([['key'], ['a'], ['b']], [['key'], ['b'], ['c'], ['d']]);
+    expect(rows.map((row) => row.status)).to.deep.equal(['same', 'removed', 'same', 'added', 'added']);
+  });
+
+  it('Compares tabs by name, including private sheets', () => {
+    const version = [{ sheetName: 'data', data: [['a']] }, { sheetName: 'private-notes', data: [['x']] }];
+    const current = [{ sheetName: 'data', data: [['a']] }, { sheetName: 'extra', data: [['y']] }];
+    const tabs = diffSheets(version, current);
+    expect(tabs.map((tab) => [tab.sheetName, tab.status])).to.deep.equal([
+      ['data', 'same'],
+      ['private-notes', 'removed'],
+      ['extra', 'added'],
+    ]);
+  });
+
+  describe('Restore row', () => {
+    function getSheet(data) {
+      return {
+        data,
+        setRowData(idx, values) { this.data[idx] = values; },
+        deleteRow(idx, count) { this.data.splice(idx, count); },
+        insertRow(values, idx, before) { this.data.splice(before ? idx : idx + 1, 0, values); },
+      };
+    }
+
+    it('Restores each kind of row', () => {
+      const version = [['key'], ['a'], ['b'], ['c']];
+      const sheet = getSheet([['key'], ['a2'], ['c'], ['d']]);
+
+      let rows = diffRows(version, sheet.data);
+      restoreRow(sheet, rows, rows.find((row) => row.status === 'added'));
+      expect(sheet.data).to.deep.equal([['key'], ['a2'], ['c']]);
+
+      rows = diffRows(version, sheet.data);
+      restoreRow(sheet, rows, rows.find((row) => row.status === 'changed'));
+      expect(sheet.data).to.deep.equal([['key'], ['a'], ['c']]);
+
+      rows = diffRows(version, sheet.data);
+      restoreRow(sheet, rows, rows.find((row) => row.status === 'removed'));
+      expect(sheet.data).to.deep.equal(version);
+    });
+  });
+
+  it('Restores a tab in place', () => {
+    const calls = [];
+    const sheet = {
+      data: [['key'], ['a']],
+      columns: [{ width: '300' }],
+      options: { onafterchanges: () => calls.push('afterchanges') },
+      getConfig() { return { columns: this.columns }; },
+      insertColumn(count) { calls.push(['insertColumn', count]); },
+      setData(data) { this.data = data; },
+      setWidth(x, width) { calls.push(['setWidth', x, width]); },
+    };
+    const tab = { data: [['key', 'value'], ['b', '1']], columns: [{ width: '200' }, { width: '100' }] };
+
+    restoreTab(sheet, tab);
+    expect(sheet.data).to.deep.equal(tab.data);
+    expect(sheet.data).to.not.equal(tab.data);
+    expect(calls).to.deep.equal([
+      ['insertColumn', 1],
+      ['setWidth', 0, '200'],
+      ['setWidth', 1, '100'],
+      'afterchanges',
+    ]);
+  });
+});
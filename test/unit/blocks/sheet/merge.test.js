@@ -0,0 +1,42 @@
+import { expect } from '@esm-bundle/chai';
+import {
+  getMergeTabs,
+  getMergedTabs,
+  chooseRow,
+} from '../../../../blocks/sheet/utils/merge.js';
+
+describe('Sheet merge', () => {
+  const remote = [{ sheetName: 'data', data: [['key', 'value'], ['a', '1'], ['b', 'theirs'], ['c', '3']] }];
+  const local = [{ sheetName: 'data', data: [['key', 'value'], ['a', '1'], ['b', 'mine'], ['d', '4']] }];
+
+  it('Keeps local changes by default', () => {
+    const [tab] = getMergedTabs(getMergeTabs(remote, local));
+    expect(tab.data).to.deep.equal([['key', 'value'], ['a', '1'], ['b', 'mine'], ['d', '4']]);
+  });
+
+  it('Picks rows and cells', () => {
+    const tabs = getMergeTabs(
+      [{ sheetName: 'data', data: [['key', 'value'], ['a', '1'], ['b', '2']] }],
+      [{ sheetName: 'data', data: [['key', 'value'], ['a', '10'], ['b', '20'], ['c', '3']] }],
+    );
+    const [, first, second, added] = tabs[0].rows;
+    first.cells[1].choice = 'remote';
+    chooseRow(second, 'remote');
+    chooseRow(added, 'remote');
+
+    const [tab] = getMergedTabs(tabs);
+    expect(tab.data).to.deep.equal([['key', 'value'], ['a', '1'], ['b', '2']]);
+  });
+
+  it('Keeps tabs only one side has', () => {
+    const tabs = getMergeTabs(
+      [{ sheetName: 'data', data: [['a']] }, { sheetName: 'theirs', data: [['x']] }],
+      [{ sheetName: 'data', data: [['a']] }, { sheetName: 'private-mine', data: [['y']] }],
+    );
+    expect(getMergedTabs(tabs)).to.deep.equal([
+      { sheetName: 'data', data: [['a']] },
+      { sheetName: 'theirs', data: [['x']] },
+      { sheetName: 'private-mine', data: [['y']] },
+    ]);
+  });
+});
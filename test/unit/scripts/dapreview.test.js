@@ -0,0 +1,89 @@
+import { expect } from '@esm-bundle/chai';
+import daPreview from '../../../scripts/dapreview.js';
+
+const nextMessage = (port) => new Promise((resolve) => {
+  port.onmessage = (e) => resolve(e.data);
+});
+
+describe('DA Preview receiver', () => {
+  let port;
+  let loads = 0;
+
+  before(async () => {
+    await daPreview(async () => { loads += 1; });
+
+    const channel = new MessageChannel();
+    port = channel.port1;
+    const ready = nextMessage(port);
+    window.dispatchEvent(new MessageEvent('message', {
+      data: { ready: true },
+      origin: 'http://localhost:3000',
+      ports: [channel.port2],
+    }));
+    expect(await ready).to.deep.equal({ ready: true });
+  });
+
+  it('Renders the body', async () => {
+    const updated = nextMessage(port);
+    port.postMessage({ set: 'body', body: '<body><main><p id="da-cursor-position">Hello</p></main></body>' });
+    expect(await updated).to.deep.equal({ updated: true });
+    expect(loads).to.equal(1);
+    expect(document.body.className).to.equal('da-preview');
+    expect(document.querySelector('main p').textContent).to.equal('Hello');
+  });
+
+  it('Scrolls to the selector once the body is rendered', async () => {
+    const updated = nextMessage(port);
+    const body = '<body><main><div style="height: 5000px"></div><p id="da-cursor-position">Bottom</p></main></body>';
+    port.postMessage({ set: 'body', body });
+    port.postMessage({ set: 'scroll', selector: '#da-cursor-position' });
+    await updated;
+    // Let the queued scroll run
+    await new Promise((resolve) => { setTimeout(resolve, 50); });
+    expect(document.getElementById('da-cursor-position').style.scrollMarginTop).to.equal('20px');
+    expect(window.scrollY).to.be.greaterThan(0);
+  });
+
+  it('Applies the user preferences', async () => {
+    const root = document.documentElement;
+    port.postMessage({ set: 'preferences', colorScheme: 'dark', reducedMotion: 'reduce' });
+    await new Promise((resolve) => { setTimeout(resolve, 50); });
+    expect(root.style.colorScheme).to.equal('dark');
+    expect(root.classList.contains('dark-scheme')).to.be.true;
+    expect(root.classList.contains('da-reduced-motion')).to.be.true;
+
+    port.postMessage({ set: 'preferences', colorScheme: 'light', reducedMotion: 'no-preference' });
+    await new Promise((resolve) => { setTimeout(resolve, 50); });
+    expect(root.style.colorScheme).to.equal('light');
+    expect(root.classList.contains('dark-scheme')).to.be.false;
+    expect(root.classList.contains('light-scheme')).to.be.true;
+    expect(root.classList.contains('da-reduced-motion')).to.be.false;
+  });
+
+  it('Outlines the highlighted source', async () => {
+    const updated = nextMessage(port);
+    const body = '<body><main><p data-da-source="3">One</p><p data-da-source="7"><strong>Two</strong></p></main></body>';
+    port.postMessage({ set: 'body', body });
+    await updated;
+
+    port.postMessage({ set: 'highlight', source: 7 });
+    await new Promise((resolve) => { setTimeout(resolve, 50); });
+    expect(document.querySelector('.da-preview-highlight').dataset.daSource).to.equal('7');
+
+    // The highlight survives a new body
+    const rerendered = nextMessage(port);
+    port.postMessage({ set: 'body', body });
+    await rerendered;
+    expect(document.querySelector('.da-preview-highlight').dataset.daSource).to.equal('7');
+
+    port.postMessage({ set: 'highlight', source: null });
+    await new Promise((resolve) => { setTimeout(resolve, 50); });
+    expect(document.querySelector('.da-preview-highlight')).to.be.null;
+  });
+
+  it('Posts the source of a clicked element', async () => {
+    const clicked = nextMessage(port);
+    document.querySelector('strong').click();
+    expect(await clicked).to.deep.equal({ source: '7' });
+  });
+});